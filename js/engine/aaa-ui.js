@@ -2,6 +2,19 @@
 // Premium micro-interactions, tooltips, notifications, mini-map, selection system,
 // onboarding, and statistics dashboard
 
+import { SYMBOL_GLYPHS } from './language.js';
+import { SLOT_NAMES, SLOT_ICONS, QUALITY_NAMES, QUALITY_COLORS, RESOURCE_NAMES, itemName, itemIcon } from './equipment.js';
+import { NO_HEALTH, SimEventKind, NO_SIM_ID } from '../wasm-loader.js';
+import { getBuildingDefinition } from './buildings.js';
+import { TECH_NAMES } from './techtree.js';
+
+// Matches AgeStage, Disease and DeathCause in population.zig (index = enum value)
+const AGE_STAGE_NAMES = ['Infants', 'Children', 'Adults', 'Elders'];
+const DISEASE_NAMES = ['Healthy', 'Cold', 'Fever', 'Plague', 'Food Poisoning', 'Infection'];
+const DISEASE_COLORS = ['rgba(200, 208, 220, 0.35)', '#6ec6ff', '#ffb74d', '#e53935', '#9ccc65', '#ba68c8'];
+const DEATH_CAUSE_NAMES = ['Unknown', 'Old Age', 'Starvation', 'Disease', 'Combat', 'Predation', 'Other', 'Disaster'];
+const DEATH_CAUSE_COLORS = ['#777', '#90a4ae', '#ffb74d', '#ba68c8', '#e53935', '#ff7043', '#bdbdbd', '#fdd835'];
+
 export class AAAUISystem {
     constructor() {
         this.wasmModule = null;
@@ -13,6 +26,7 @@ export class AAAUISystem {
         this.selectedEntity = null;
         this.selectedType = null; // 'creature' | 'tribe' | 'building'
         this.selectionRing = null;
+        this.lastLoadoutSample = 0; // Creature gear is re-read twice a second while selected
 
         // Notification queue
         this.notifications = [];
@@ -27,16 +41,28 @@ export class AAAUISystem {
         this.minimapCanvas = null;
         this.minimapCtx = null;
         this.minimapSize = 180;
+        this.minimapTerritory = null; // Latest territory grid with tribe colors, refreshed twice a second
+        this.lastTerritorySample = 0;
 
         // Statistics
         this.statsHistory = {
             population: [],
             tribes: [],
-            births: [],
-            deaths: [],
-            buildings: []
+            births: [], // Births since the previous sample
+            deaths: [], // Deaths since the previous sample
+            buildings: [],
+            vocabulary: [], // { tribeId: active vocabulary size } per sample
+            health: [] // { starving, sick, total } tribe members per sample
         };
+        this.lastPopulationTotals = null; // Simulation birth/death totals at the previous sample
+        this.statsTab = 'overview'; // 'overview' | 'health'
         this.maxHistoryPoints = 300; // 5 minutes at 1 sample/sec
+
+        // Language: a symbol is in a tribe's active vocabulary when it makes up at least
+        // languageShare of the tribe's symbols over the last languageWindow samples
+        this.languageSamples = []; // Map tribeId -> cumulative symbol usage, one per sample
+        this.languageWindow = 30;
+        this.languageShare = 0.05;
         this.lastStatsSample = 0;
 
         // Onboarding
@@ -47,9 +73,8 @@ export class AAAUISystem {
         // Pause menu
         this.pauseMenuVisible = false;
 
-        // Event tracking for notifications
+        // Event tracking for notifications (everything else arrives through onSimEvent)
         this.lastTribeCount = 0;
-        this.lastBuildingCount = 0;
         this.lastPopulation = 0;
 
         // Listeners for cleanup
@@ -551,6 +576,46 @@ export class AAAUISystem {
                 color: var(--hud-text-bright);
             }
 
+            .aaa-selection-loadout:empty {
+                display: none;
+            }
+
+            .aaa-selection-loadout {
+                margin-top: 12px;
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                font-size: 11px;
+                color: var(--hud-text);
+            }
+
+            .aaa-loadout-slot {
+                display: grid;
+                grid-template-columns: 20px 1fr 60px;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .aaa-loadout-slot.empty {
+                color: var(--hud-text-dim);
+            }
+
+            .aaa-loadout-durability {
+                height: 4px;
+                background: var(--hud-bg-light);
+                border-radius: 2px;
+                overflow: hidden;
+            }
+
+            .aaa-loadout-durability > div {
+                height: 100%;
+                background: var(--hud-accent);
+            }
+
+            .aaa-loadout-line {
+                color: var(--hud-text-dim);
+            }
+
             .aaa-selection-actions {
                 display: flex;
                 gap: 8px;
@@ -637,6 +702,32 @@ export class AAAUISystem {
                 color: #fff;
             }
 
+            .aaa-stats-tabs {
+                display: flex;
+                gap: 4px;
+                padding: 8px 20px 0;
+                border-bottom: 1px solid var(--hud-border);
+            }
+
+            .aaa-stats-tab {
+                padding: 6px 14px;
+                background: transparent;
+                border: none;
+                border-bottom: 2px solid transparent;
+                color: var(--hud-text-dim);
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .aaa-stats-tab.active {
+                color: var(--hud-text-bright);
+                border-bottom-color: var(--hud-accent);
+            }
+
+            .aaa-stats-charts[hidden] {
+                display: none;
+            }
+
             .aaa-stats-body {
                 padding: 20px;
                 overflow-y: auto;
@@ -1346,6 +1437,7 @@ export class AAAUISystem {
                 <span><span class="dot" style="background: #ff0;"></span> Herb</span>
                 <span><span class="dot" style="background: #f60;"></span> Carn</span>
                 <span><span class="dot" style="background: #08f;"></span> Human</span>
+                <span><span class="dot" style="background: #f33;"></span> Border</span>
             </div>
         `;
         document.body.appendChild(minimap);
@@ -1390,14 +1482,23 @@ export class AAAUISystem {
         ctx.lineTo(size - 4, halfSize);
         ctx.stroke();
 
+        // Map world coordinates to minimap (the territory grid spans the whole world)
+        const now = Date.now();
+        if (now - this.lastTerritorySample >= 500) {
+            this.lastTerritorySample = now;
+            this.minimapTerritory = this.sampleTerritory();
+        }
+        const territory = this.minimapTerritory;
+        const worldScale = territory ? territory.width * territory.cellSize : 200;
+        const mapScale = (size - 16) / worldScale;
+
+        if (territory) {
+            this.drawMinimapTerritory(ctx, territory, mapScale, halfSize);
+        }
+
         // Get organism data
         const data = this.wasmModule.getOrganismData();
-        if (!data || !data.x || !data.z || !data.types || !data.alive) return;
-
-        // Map world coordinates to minimap
-        // Assuming world is roughly -50 to 50 in x and z
-        const worldScale = 100;
-        const mapScale = (size - 16) / worldScale;
+        if (!data || !data.positionsX || !data.positionsZ || !data.types || !data.alive) return;
 
         // Color by type
         const colors = {
@@ -1411,8 +1512,8 @@ export class AAAUISystem {
         for (let i = 0; i < data.count; i++) {
             if (!data.alive[i]) continue;
 
-            const x = data.x[i] * mapScale + halfSize;
-            const z = data.z[i] * mapScale + halfSize;
+            const x = data.positionsX[i] * mapScale + halfSize;
+            const z = data.positionsZ[i] * mapScale + halfSize;
             const type = data.types[i];
 
             ctx.fillStyle = colors[type] || '#fff';
@@ -1425,6 +1526,7 @@ export class AAAUISystem {
         const buildings = this.wasmModule.getAllBuildings ? this.wasmModule.getAllBuildings() : [];
         ctx.fillStyle = '#888';
         buildings.forEach(b => {
+            if (!b.active) return;
             const x = b.x * mapScale + halfSize;
             const z = b.z * mapScale + halfSize;
             ctx.fillRect(x - 2, z - 2, 4, 4);
@@ -1442,6 +1544,108 @@ export class AAAUISystem {
         }
     }
 
+    // Territory grid plus a CSS color for every tribe that owns or contests a cell
+    sampleTerritory() {
+        const map = this.wasmModule.getTerritoryMap ? this.wasmModule.getTerritoryMap() : null;
+        if (!map) return null;
+
+        const colors = new Map();
+        const addColor = (tribeId) => {
+            if (tribeId === 255 || colors.has(tribeId)) return;
+            const { r, g, b } = this.wasmModule.getTribeData(tribeId).color;
+            colors.set(tribeId, `${r}, ${g}, ${b}`);
+        };
+        for (let i = 0; i < map.owners.length; i++) {
+            addColor(map.owners[i]);
+            addColor(map.contesters[i]);
+        }
+
+        return { ...map, colors };
+    }
+
+    // Claimed cells tinted by owner, borders between owners, contested cells and border conflict pressure
+    drawMinimapTerritory(ctx, map, mapScale, halfSize) {
+        const cellPx = map.cellSize * mapScale;
+        const cellLeft = (cx) => (map.originX + cx * map.cellSize) * mapScale + halfSize;
+        const cellTop = (cz) => (map.originZ + cz * map.cellSize) * mapScale + halfSize;
+        const ownerAt = (cx, cz) => {
+            if (cx < 0 || cz < 0 || cx >= map.width || cz >= map.height) return 255;
+            return map.owners[cz * map.width + cx];
+        };
+
+        // Claimed cells, stronger tint where control is firm
+        for (let cz = 0; cz < map.height; cz++) {
+            for (let cx = 0; cx < map.width; cx++) {
+                const cell = cz * map.width + cx;
+                const owner = map.owners[cell];
+                if (owner === 255) continue;
+
+                const alpha = 0.15 + 0.25 * map.control[cell] / 100;
+                ctx.fillStyle = `rgba(${map.colors.get(owner)}, ${alpha})`;
+                ctx.fillRect(cellLeft(cx), cellTop(cz), cellPx, cellPx);
+            }
+        }
+
+        // Borders where neighbouring cells have different owners
+        ctx.lineWidth = 1;
+        for (let cz = 0; cz < map.height; cz++) {
+            for (let cx = 0; cx < map.width; cx++) {
+                const owner = ownerAt(cx, cz);
+                if (owner === 255) continue;
+
+                const left = cellLeft(cx);
+                const top = cellTop(cz);
+                ctx.strokeStyle = `rgba(${map.colors.get(owner)}, 0.9)`;
+                ctx.beginPath();
+                if (ownerAt(cx - 1, cz) !== owner) { ctx.moveTo(left, top); ctx.lineTo(left, top + cellPx); }
+                if (ownerAt(cx + 1, cz) !== owner) { ctx.moveTo(left + cellPx, top); ctx.lineTo(left + cellPx, top + cellPx); }
+                if (ownerAt(cx, cz - 1) !== owner) { ctx.moveTo(left, top); ctx.lineTo(left + cellPx, top); }
+                if (ownerAt(cx, cz + 1) !== owner) { ctx.moveTo(left, top + cellPx); ctx.lineTo(left + cellPx, top + cellPx); }
+                ctx.stroke();
+            }
+        }
+
+        // Contested cells: hatched in the challenger's color with a red outline
+        for (let cell = 0; cell < map.contesters.length; cell++) {
+            const contester = map.contesters[cell];
+            if (contester === 255) continue;
+
+            const left = cellLeft(cell % map.width);
+            const top = cellTop(Math.floor(cell / map.width));
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, top, cellPx, cellPx);
+            ctx.clip();
+            ctx.strokeStyle = `rgba(${map.colors.get(contester)}, 0.8)`;
+            ctx.beginPath();
+            for (let d = -cellPx; d < cellPx; d += 3) {
+                ctx.moveTo(left + d, top + cellPx);
+                ctx.lineTo(left + d + cellPx, top);
+            }
+            ctx.stroke();
+            ctx.restore();
+
+            ctx.strokeStyle = 'rgba(255, 51, 51, 0.9)';
+            ctx.strokeRect(left + 0.5, top + 0.5, cellPx - 1, cellPx - 1);
+        }
+
+        // Active border conflicts: a tug-of-war bar split by each side's pressure
+        for (const conflict of map.conflicts) {
+            const total = conflict.defenderPressure + conflict.attackerPressure;
+            if (total <= 0) continue;
+
+            const left = cellLeft(conflict.cellX) - 2;
+            const top = cellTop(conflict.cellZ) - 4;
+            const width = cellPx + 4;
+            const split = width * conflict.defenderPressure / total;
+
+            ctx.fillStyle = `rgb(${map.colors.get(conflict.defender) || '200, 200, 200'})`;
+            ctx.fillRect(left, top, split, 2);
+            ctx.fillStyle = `rgb(${map.colors.get(conflict.attacker) || '200, 200, 200'})`;
+            ctx.fillRect(left + split, top, width - split, 2);
+        }
+    }
+
     // ========== Selection System ==========
 
     createSelectionPanel() {
@@ -1458,6 +1662,7 @@ export class AAAUISystem {
                 </div>
             </div>
             <div class="aaa-selection-stats"></div>
+            <div class="aaa-selection-loadout"></div>
             <div class="aaa-selection-actions"></div>
         `;
         document.body.appendChild(panel);
@@ -1525,6 +1730,8 @@ export class AAAUISystem {
             </div>
         `;
 
+        this.renderCreatureLoadout(creature.id, panel);
+
         panel.querySelector('.aaa-selection-actions').innerHTML = `
             <button class="aaa-selection-btn" onclick="window.planetEden?.aaaUI?.followSelected()">Follow</button>
             <button class="aaa-selection-btn" onclick="window.planetEden?.aaaUI?.inspectSelected()">Inspect</button>
@@ -1555,6 +1762,8 @@ export class AAAUISystem {
             </div>
         `;
 
+        panel.querySelector('.aaa-selection-loadout').innerHTML = '';
+
         panel.querySelector('.aaa-selection-actions').innerHTML = `
             <button class="aaa-selection-btn" onclick="window.planetEden?.aaaUI?.focusTribe()">Focus</button>
             <button class="aaa-selection-btn" onclick="window.planetEden?.aaaUI?.giftTribe()">Gift</button>
@@ -1586,11 +1795,59 @@ export class AAAUISystem {
             </div>
         `;
 
+        panel.querySelector('.aaa-selection-loadout').innerHTML = '';
+
         panel.querySelector('.aaa-selection-actions').innerHTML = `
             <button class="aaa-selection-btn" onclick="window.planetEden?.aaaUI?.focusBuilding()">Focus</button>
         `;
     }
 
+    // Equipped gear with quality and durability, the bonuses it gives, carried materials and the craft in progress
+    renderCreatureLoadout(orgId, panel) {
+        const container = panel.querySelector('.aaa-selection-loadout');
+        const loadout = this.wasmModule ? this.wasmModule.getOrganismLoadout(orgId) : null;
+        const hasGear = loadout && (Object.values(loadout.equipped).some(item => item) ||
+            loadout.spare.length > 0 || Object.keys(loadout.inventory).length > 0 || loadout.craft);
+        if (!hasGear) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const slots = Object.values(loadout.equipped).map((item, slot) => {
+            if (!item) {
+                return `
+                    <div class="aaa-loadout-slot empty">
+                        <span>${SLOT_ICONS[slot]}</span>
+                        <span>No ${SLOT_NAMES[slot].toLowerCase()}</span>
+                        <span></span>
+                    </div>`;
+            }
+            const wear = item.maxDurability > 0 ? (item.durability / item.maxDurability) * 100 : 0;
+            const bonus = item.damage > 0 ? ` +${Math.round(item.damage)} dmg` : item.defense > 0 ? ` +${Math.round(item.defense)} def` : '';
+            return `
+                <div class="aaa-loadout-slot" title="${Math.ceil(item.durability)}/${Math.round(item.maxDurability)} durability">
+                    <span>${itemIcon(item)}</span>
+                    <span><span style="color: ${QUALITY_COLORS[item.quality]}">${QUALITY_NAMES[item.quality]}</span> ${itemName(item)}${bonus}</span>
+                    <div class="aaa-loadout-durability"><div style="width: ${wear.toFixed(0)}%"></div></div>
+                </div>`;
+        }).join('');
+
+        const lines = [`⚔️ +${loadout.damage.toFixed(1)} damage · 🛡️ +${loadout.defense.toFixed(1)} defense`];
+        if (loadout.craft) {
+            lines.push(`${itemIcon(loadout.craft)} Crafting ${QUALITY_NAMES[loadout.craft.quality]} ${itemName(loadout.craft)} (${Math.floor(loadout.craft.progress)}%)`);
+        }
+        if (loadout.spare.length > 0) {
+            lines.push(`Spare: ${loadout.spare.map(item => itemName(item)).join(', ')}`);
+        }
+        const carried = Object.entries(loadout.inventory)
+            .map(([type, amount]) => `${RESOURCE_NAMES[type]} ${amount.toFixed(1)}`);
+        if (carried.length > 0) {
+            lines.push(`Carrying: ${carried.join(', ')}`);
+        }
+
+        container.innerHTML = slots + lines.map(line => `<div class="aaa-loadout-line">${line}</div>`).join('');
+    }
+
     clearSelection() {
         this.selectedEntity = null;
         this.selectedType = null;
@@ -1652,8 +1909,12 @@ export class AAAUISystem {
                 <h2>Statistics Dashboard</h2>
                 <button class="aaa-stats-close" aria-label="Close">&times;</button>
             </div>
+            <div class="aaa-stats-tabs">
+                <button class="aaa-stats-tab active" data-tab="overview">Overview</button>
+                <button class="aaa-stats-tab" data-tab="health">Population Health</button>
+            </div>
             <div class="aaa-stats-body">
-                <div class="aaa-stats-charts">
+                <div class="aaa-stats-charts" data-tab="overview">
                     <div class="aaa-stats-chart full-width">
                         <h4>Population Over Time</h4>
                         <canvas id="aaa-chart-population"></canvas>
@@ -1670,6 +1931,28 @@ export class AAAUISystem {
                         <h4>Birth/Death Rate</h4>
                         <canvas id="aaa-chart-births"></canvas>
                     </div>
+                    <div class="aaa-stats-chart full-width">
+                        <h4>Tribe Vocabulary</h4>
+                        <canvas id="aaa-chart-vocabulary"></canvas>
+                    </div>
+                </div>
+                <div class="aaa-stats-charts" data-tab="health" hidden>
+                    <div class="aaa-stats-chart full-width">
+                        <h4>Age Pyramids</h4>
+                        <canvas id="aaa-chart-pyramids"></canvas>
+                    </div>
+                    <div class="aaa-stats-chart">
+                        <h4>Infection Map</h4>
+                        <canvas id="aaa-chart-infection"></canvas>
+                    </div>
+                    <div class="aaa-stats-chart">
+                        <h4>Causes of Death</h4>
+                        <canvas id="aaa-chart-death-causes"></canvas>
+                    </div>
+                    <div class="aaa-stats-chart full-width">
+                        <h4>Starvation &amp; Sickness</h4>
+                        <canvas id="aaa-chart-starvation"></canvas>
+                    </div>
                 </div>
             </div>
         `;
@@ -1678,6 +1961,24 @@ export class AAAUISystem {
         // Close button
         const closeBtn = dashboard.querySelector('.aaa-stats-close');
         this._addListener(closeBtn, 'click', () => this.hideStatsDashboard());
+
+        dashboard.querySelectorAll('.aaa-stats-tab').forEach(tab => {
+            this._addListener(tab, 'click', () => this.showStatsTab(tab.dataset.tab));
+        });
+    }
+
+    showStatsTab(name) {
+        const dashboard = document.getElementById('aaa-stats-dashboard');
+        if (!dashboard) return;
+
+        this.statsTab = name;
+        dashboard.querySelectorAll('.aaa-stats-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+        dashboard.querySelectorAll('.aaa-stats-charts').forEach(page => {
+            page.hidden = page.dataset.tab !== name;
+        });
+        this.drawAllCharts();
     }
 
     showStatsDashboard() {
@@ -1703,11 +2004,21 @@ export class AAAUISystem {
         }
     }
 
+    // Only the open tab is drawn (hidden canvases have no size)
     drawAllCharts() {
+        if (this.statsTab === 'health') {
+            this.drawAgePyramids();
+            this.drawInfectionMap();
+            this.drawDeathCauseChart();
+            this.drawStarvationChart();
+            return;
+        }
+
         this.drawPopulationChart();
         this.drawSpeciesChart();
         this.drawTribesChart();
         this.drawBirthDeathChart();
+        this.drawVocabularyChart();
     }
 
     drawPopulationChart() {
@@ -1861,11 +2172,338 @@ export class AAAUISystem {
 
         ctx.clearRect(0, 0, w, h);
 
-        // This would require birth/death event tracking
+        const births = this.statsHistory.births;
+        const deaths = this.statsHistory.deaths;
+        if (births.length < 2) {
+            this.drawChartPlaceholder(ctx, w, h);
+            return;
+        }
+
+        const maxVal = Math.max(...births, ...deaths, 1);
+        const series = [[births, '#66ee88', 'Births'], [deaths, '#ff5566', 'Deaths']];
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        series.forEach(([data, color, label], s) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            data.forEach((val, i) => {
+                const x = (i / (data.length - 1)) * w;
+                const y = h - 10 - (val / maxVal) * (h - 20);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            ctx.fillText(`${label}: ${data.reduce((sum, val) => sum + val, 0)}`, 4 + s * 90, 10);
+        });
+    }
+
+    drawChartPlaceholder(ctx, w, h, text = 'Collecting data...') {
         ctx.fillStyle = 'rgba(200, 208, 220, 0.5)';
         ctx.font = '12px sans-serif';
         ctx.textAlign = 'center';
-        ctx.fillText('Birth/death tracking coming soon', w / 2, h / 2);
+        ctx.fillText(text, w / 2, h / 2);
+    }
+
+    // One pyramid per tribe: infants at the base, elders at the top, sick members shaded
+    drawAgePyramids() {
+        const canvas = document.getElementById('aaa-chart-pyramids');
+        if (!canvas || !this.wasmModule) return;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width = canvas.offsetWidth;
+        const h = canvas.height = 180;
+
+        ctx.clearRect(0, 0, w, h);
+
+        const pyramids = this.wasmModule.getAllTribes()
+            .map(tribe => ({ tribe, stats: this.wasmModule.getPopulationStats(tribe.id) }))
+            .filter(({ stats }) => stats && stats.total > 0);
+        if (pyramids.length === 0) {
+            this.drawChartPlaceholder(ctx, w, h, 'No tribe members yet');
+            return;
+        }
+
+        const maxStage = Math.max(...pyramids.flatMap(({ stats }) => stats.ages), 1);
+        const colW = w / pyramids.length;
+        const rowH = (h - 30) / AGE_STAGE_NAMES.length;
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        pyramids.forEach(({ tribe, stats }, col) => {
+            const { r, g, b } = tribe.color;
+            const cx = col * colW + colW / 2;
+            const sickShare = stats.total > 0 ? stats.sick / stats.total : 0;
+
+            stats.ages.forEach((count, stage) => {
+                const barW = (count / maxStage) * (colW - 16);
+                const y = h - 30 - (stage + 1) * rowH + 2;
+                ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+                ctx.fillRect(cx - barW / 2, y, barW, rowH - 4);
+                ctx.fillStyle = 'rgba(186, 104, 200, 0.7)';
+                ctx.fillRect(cx - barW / 2, y, barW * sickShare, rowH - 4);
+                if (count > 0) {
+                    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+                    ctx.fillText(String(count), cx, y + rowH / 2 + 1);
+                }
+            });
+
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.8)';
+            ctx.fillText(this.getTribeName(tribe.id), cx, h - 16);
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.5)';
+            ctx.fillText(`avg ${Math.round(stats.avgHealth)} hp · ${stats.starving} starving`, cx, h - 4);
+        });
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(200, 208, 220, 0.5)';
+        AGE_STAGE_NAMES.forEach((name, stage) => {
+            ctx.fillText(name, 2, h - 30 - stage * rowH - rowH / 2 + 3);
+        });
+    }
+
+    // Every living animal and humanoid as a dot on the world, colored by its disease
+    drawInfectionMap() {
+        const canvas = document.getElementById('aaa-chart-infection');
+        if (!canvas || !this.wasmModule) return;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width = canvas.offsetWidth;
+        const h = canvas.height = 120;
+
+        ctx.clearRect(0, 0, w, h);
+
+        const data = this.wasmModule.getOrganismData();
+        const health = this.wasmModule.getHealthMap();
+        if (!data || !health) return;
+
+        // The world spans -100..100 on both axes
+        const size = Math.min(w, h - 14);
+        const left = (w - size) / 2;
+        const scale = size / 200;
+        ctx.strokeStyle = 'rgba(80, 100, 120, 0.4)';
+        ctx.strokeRect(left, 0, size, size);
+
+        const cases = new Array(DISEASE_NAMES.length).fill(0);
+        // Healthy organisms first so the sick are drawn on top
+        for (const sickPass of [false, true]) {
+            for (let i = 0; i < health.count; i++) {
+                const disease = health.diseases[i];
+                if (disease === NO_HEALTH || (disease !== 0) !== sickPass) continue;
+                if (sickPass) cases[disease]++;
+
+                const x = left + (data.positionsX[i] + 100) * scale;
+                const y = (data.positionsZ[i] + 100) * scale;
+                ctx.fillStyle = DISEASE_COLORS[disease];
+                ctx.fillRect(x - 1, y - 1, sickPass ? 3 : 2, sickPass ? 3 : 2);
+            }
+        }
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        let legendX = 2;
+        cases.forEach((count, disease) => {
+            if (disease === 0 || count === 0) return;
+            const label = `${DISEASE_NAMES[disease]} ${count}`;
+            ctx.fillStyle = DISEASE_COLORS[disease];
+            ctx.fillText(label, legendX, h - 2);
+            legendX += ctx.measureText(label).width + 8;
+        });
+        if (legendX === 2) {
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.5)';
+            ctx.fillText('No one is sick', 2, h - 2);
+        }
+    }
+
+    // All-time deaths by cause, as horizontal bars
+    drawDeathCauseChart() {
+        const canvas = document.getElementById('aaa-chart-death-causes');
+        if (!canvas || !this.wasmModule) return;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width = canvas.offsetWidth;
+        const h = canvas.height = 120;
+
+        ctx.clearRect(0, 0, w, h);
+
+        const counts = this.wasmModule.getDeathCauses();
+        const total = counts ? counts.reduce((sum, count) => sum + count, 0) : 0;
+        if (total === 0) {
+            this.drawChartPlaceholder(ctx, w, h, 'No deaths yet');
+            return;
+        }
+
+        const causes = counts.map((count, cause) => ({ count, cause })).filter(({ cause }) => cause !== 0);
+        const maxVal = Math.max(...causes.map(({ count }) => count), 1);
+        const rowH = h / causes.length;
+        const labelW = 70;
+
+        ctx.font = '10px sans-serif';
+        causes.forEach(({ count, cause }, row) => {
+            const y = row * rowH;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.7)';
+            ctx.fillText(DEATH_CAUSE_NAMES[cause], 2, y + rowH / 2 + 3);
+
+            const barW = (count / maxVal) * (w - labelW - 40);
+            ctx.fillStyle = DEATH_CAUSE_COLORS[cause];
+            ctx.fillRect(labelW, y + 2, barW, rowH - 4);
+
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.7)';
+            ctx.fillText(`${Math.round((count / total) * 100)}%`, labelW + barW + 4, y + rowH / 2 + 3);
+        });
+    }
+
+    // Share of tribe members starving and sick over time
+    drawStarvationChart() {
+        const canvas = document.getElementById('aaa-chart-starvation');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width = canvas.offsetWidth;
+        const h = canvas.height = 180;
+
+        ctx.clearRect(0, 0, w, h);
+
+        const data = this.statsHistory.health;
+        if (data.length < 2) {
+            this.drawChartPlaceholder(ctx, w, h);
+            return;
+        }
+
+        ctx.strokeStyle = 'rgba(80, 100, 120, 0.2)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 5; i++) {
+            const y = (h / 5) * i + 10;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(w, y);
+            ctx.stroke();
+        }
+
+        const series = [['starving', '#ffb74d', 'Starving'], ['sick', '#ba68c8', 'Sick']];
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        series.forEach(([key, color, label], s) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            data.forEach((sample, i) => {
+                const share = sample.total > 0 ? sample[key] / sample.total : 0;
+                const x = (i / (data.length - 1)) * w;
+                const y = h - 10 - share * (h - 20);
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+
+            const latest = data[data.length - 1];
+            ctx.fillStyle = color;
+            ctx.fillText(`${label}: ${latest[key]} of ${latest.total}`, 4 + s * 120, 10);
+        });
+    }
+
+    // Active vocabulary of each tribe over time, with the tribe's favourite symbol in the legend
+    drawVocabularyChart() {
+        const canvas = document.getElementById('aaa-chart-vocabulary');
+        if (!canvas || !this.wasmModule) return;
+
+        const ctx = canvas.getContext('2d');
+        const w = canvas.width = canvas.offsetWidth;
+        const h = canvas.height = 180;
+
+        ctx.clearRect(0, 0, w, h);
+
+        const data = this.statsHistory.vocabulary;
+        const tribeIds = [...new Set(data.flatMap(sample => Object.keys(sample).map(Number)))];
+        if (data.length < 2 || tribeIds.length === 0) {
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.5)';
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Collecting data...', w / 2, h / 2);
+            return;
+        }
+
+        const legendH = 16;
+        const chartH = h - legendH;
+        const maxVal = Math.max(...data.flatMap(sample => Object.values(sample)), 5);
+
+        // Draw grid
+        ctx.strokeStyle = 'rgba(80, 100, 120, 0.2)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 5; i++) {
+            const y = (chartH / 5) * i + 10;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(w, y);
+            ctx.stroke();
+        }
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(200, 208, 220, 0.7)';
+        ctx.fillText(`${maxVal} symbols`, 4, 10);
+
+        let legendX = 4;
+        for (const tribeId of tribeIds) {
+            const { r, g, b } = this.wasmModule.getTribeData(tribeId).color;
+            const color = `rgb(${r}, ${g}, ${b})`;
+
+            // A tribe's line only covers the samples it was alive for
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            let drawing = false;
+            data.forEach((sample, i) => {
+                if (sample[tribeId] === undefined) {
+                    drawing = false;
+                    return;
+                }
+                const x = (i / (data.length - 1)) * w;
+                const y = chartH - 10 - (sample[tribeId] / maxVal) * (chartH - 20);
+                if (!drawing) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+                drawing = true;
+            });
+            ctx.stroke();
+
+            const language = this.wasmModule.getLanguageStats(tribeId);
+            const glyph = language && language.mostUsed !== null ? ` ${SYMBOL_GLYPHS[language.mostUsed]}` : '';
+            const label = `${this.getTribeName(tribeId)}${glyph}`;
+            ctx.fillStyle = color;
+            ctx.fillRect(legendX, h - 10, 8, 8);
+            ctx.fillStyle = 'rgba(200, 208, 220, 0.8)';
+            ctx.fillText(label, legendX + 11, h - 2);
+            legendX += ctx.measureText(label).width + 22;
+        }
+    }
+
+    // Count each tribe's active vocabulary from its symbol usage over the last languageWindow samples
+    sampleVocabulary() {
+        const tribes = this.wasmModule.getAllTribes();
+        const usage = new Map();
+        for (const tribe of tribes) {
+            const language = this.wasmModule.getLanguageStats(tribe.id);
+            if (language) usage.set(tribe.id, language.usage);
+        }
+
+        this.languageSamples.push(usage);
+        if (this.languageSamples.length > this.languageWindow + 1) {
+            this.languageSamples.shift();
+        }
+
+        const oldest = this.languageSamples[0];
+        const sample = {};
+        for (const [tribeId, counts] of usage) {
+            const before = oldest.get(tribeId) || counts.map(() => 0);
+            const recent = counts.map((count, symbol) => count - before[symbol]);
+            const total = recent.reduce((sum, count) => sum + count, 0);
+            sample[tribeId] = total === 0 ? 0 :
+                recent.filter(count => count > 0 && count >= total * this.languageShare).length;
+        }
+        return sample;
     }
 
     // ========== Onboarding System ==========
@@ -2088,6 +2726,7 @@ export class AAAUISystem {
                         <div class="aaa-keyboard-item"><kbd>R</kbd><span>Reset Camera</span></div>
                         <div class="aaa-keyboard-item"><kbd>G</kbd><span>Population Graph</span></div>
                         <div class="aaa-keyboard-item"><kbd>S</kbd><span>Stats Dashboard</span></div>
+                        <div class="aaa-keyboard-item"><kbd>V</kbd><span>Territory Overlay</span></div>
                     </div>
                 </div>
 
@@ -2379,6 +3018,47 @@ export class AAAUISystem {
         if (this.statsHistory.buildings.length > this.maxHistoryPoints) {
             this.statsHistory.buildings.shift();
         }
+
+        // Sample each tribe's vocabulary
+        this.statsHistory.vocabulary.push(this.sampleVocabulary());
+        if (this.statsHistory.vocabulary.length > this.maxHistoryPoints) {
+            this.statsHistory.vocabulary.shift();
+        }
+
+        this.samplePopulationHealth();
+
+        const dashboard = document.getElementById('aaa-stats-dashboard');
+        if (dashboard && dashboard.classList.contains('visible')) {
+            this.drawAllCharts();
+        }
+    }
+
+    // Births and deaths since the last sample, and how many tribe members are starving or sick
+    samplePopulationHealth() {
+        const extended = this.wasmModule.getExtendedStats();
+        if (extended) {
+            const last = this.lastPopulationTotals || extended;
+            this.statsHistory.births.push(Math.max(0, extended.totalBirths - last.totalBirths));
+            this.statsHistory.deaths.push(Math.max(0, extended.totalDeaths - last.totalDeaths));
+            this.lastPopulationTotals = extended;
+            if (this.statsHistory.births.length > this.maxHistoryPoints) {
+                this.statsHistory.births.shift();
+                this.statsHistory.deaths.shift();
+            }
+        }
+
+        const sample = { starving: 0, sick: 0, total: 0 };
+        for (const tribe of this.wasmModule.getAllTribes()) {
+            const stats = this.wasmModule.getPopulationStats(tribe.id);
+            if (!stats) continue;
+            sample.starving += stats.starving;
+            sample.sick += stats.sick;
+            sample.total += stats.total;
+        }
+        this.statsHistory.health.push(sample);
+        if (this.statsHistory.health.length > this.maxHistoryPoints) {
+            this.statsHistory.health.shift();
+        }
     }
 
     checkForEvents() {
@@ -2397,12 +3077,6 @@ export class AAAUISystem {
         }
         this.lastTribeCount = stats.tribeCount;
 
-        // New building constructed
-        if (stats.buildingCount > this.lastBuildingCount && this.lastBuildingCount > 0) {
-            this.notify('Construction', 'A new building has been completed', 'success', '🏗️');
-        }
-        this.lastBuildingCount = stats.buildingCount;
-
         // Population milestones
         const milestones = [50, 100, 200, 300, 500];
         for (const milestone of milestones) {
@@ -2414,6 +3088,40 @@ export class AAAUISystem {
         this.lastPopulation = stats.aliveCount;
     }
 
+    // Notify about notable simulation events (see SimEventFeed in sim-events.js)
+    onSimEvent(event) {
+        const tribe = (id) => this.getTribeName(id);
+
+        switch (event.kind) {
+            case SimEventKind.BUILDING_COMPLETE: {
+                const def = getBuildingDefinition(event.detail);
+                const name = def ? def.name : 'building';
+                this.notify('Construction', `The ${tribe(event.tribe)} completed a ${name}`, 'success', '🏗️');
+                break;
+            }
+            case SimEventKind.FIRST_CONTACT:
+                this.notify('First Contact', `The ${tribe(event.tribe)} have met the ${tribe(event.otherTribe)}`, 'info', '🤝');
+                break;
+            case SimEventKind.WAR_DECLARED:
+                this.notify('War', `The ${tribe(event.tribe)} declared war on the ${tribe(event.otherTribe)}!`, 'danger', '⚔️');
+                break;
+            case SimEventKind.WAR_ENDED:
+                this.notify('Peace', `The ${tribe(event.tribe)} and the ${tribe(event.otherTribe)} made peace`, 'success', '🕊️');
+                break;
+            case SimEventKind.TREATY_BROKEN:
+                this.notify('Treaty Broken', `A treaty between the ${tribe(event.tribe)} and the ${tribe(event.otherTribe)} was broken`, 'warning', '💔');
+                break;
+            case SimEventKind.TECH_DISCOVERED:
+                this.notify('Discovery', `The ${tribe(event.tribe)} discovered ${TECH_NAMES[event.detail] || 'a new technology'}`, 'milestone', '💡');
+                break;
+            case SimEventKind.DISEASE_OUTBREAK: {
+                const where = event.tribe !== NO_SIM_ID ? ` among the ${tribe(event.tribe)}` : '';
+                this.notify('Outbreak', `${DISEASE_NAMES[event.detail] || 'Disease'} has broken out${where}`, 'warning', '🦠');
+                break;
+            }
+        }
+    }
+
     updateSelectionPanel() {
         // Refresh selection data if entity still exists
         if (this.selectedType === 'creature' && this.wasmModule) {
@@ -2422,8 +3130,17 @@ export class AAAUISystem {
                 if (!data.alive[this.selectedEntity.id]) {
                     this.notify('Selection Lost', 'The selected creature has died', 'warning', '💀');
                     this.clearSelection();
+                    return;
                 }
             }
+
+            // Gear wears and crafts progress while the creature stays selected
+            const now = Date.now();
+            const panel = document.getElementById('aaa-selection-panel');
+            if (panel && now - this.lastLoadoutSample >= 500) {
+                this.lastLoadoutSample = now;
+                this.renderCreatureLoadout(this.selectedEntity.id, panel);
+            }
         }
     }
 
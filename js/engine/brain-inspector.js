@@ -0,0 +1,133 @@
+// Brain Inspector for Planet Eden
+// Labels and canvas drawing for the live neural network panel
+
+// Matches the input vector built in simulation.zig updateOrganismBehavior
+export const BRAIN_INPUT_LABELS = [
+    'Energy', 'Health', 'Position X', 'Position Y', 'Position Z',
+    'Food Nearby', 'Threats', 'Allies', 'Age', 'Size',
+    'Attacking', 'Eating', 'Noise', 'Clock Sin', 'Clock Cos'
+];
+
+export const BRAIN_OUTPUT_LABELS = [
+    'Move X', 'Move Y', 'Move Z', 'Speed', 'Eat', 'Attack', 'Build', 'Build Type',
+    'Build Distance', 'Speak', 'Symbol 1', 'Symbol 2', 'Reproduce', 'Flee', 'Gather', 'Share', 'Recruit'
+];
+
+// Outputs that trigger an action once they pass the simulation's threshold
+const BRAIN_ACTIONS = [
+    { output: 13, threshold: 0.3, name: 'Flee', icon: '🏃' },
+    { output: 4, threshold: 0.5, name: 'Eat', icon: '🍖' },
+    { output: 5, threshold: 0.5, name: 'Attack', icon: '⚔️' },
+    { output: 9, threshold: 0.5, name: 'Speak', icon: '💬' },
+    { output: 14, threshold: 0.5, name: 'Gather', icon: '🪓' },
+    { output: 15, threshold: 0.6, name: 'Share', icon: '🤝' },
+    { output: 16, threshold: 0.6, name: 'Recruit', icon: '📣' },
+    { output: 6, threshold: 0.7, name: 'Build', icon: '🔨' },
+    { output: 12, threshold: 0.7, name: 'Reproduce', icon: '💚' }
+];
+
+// Pick the action whose output clears its threshold by the widest margin
+export function getWinningAction(outputs) {
+    let winner = null;
+    let bestMargin = 0;
+
+    for (const action of BRAIN_ACTIONS) {
+        const margin = outputs[action.output] - action.threshold;
+        if (margin > bestMargin) {
+            bestMargin = margin;
+            winner = action;
+        }
+    }
+
+    if (!winner) {
+        return { output: 3, name: 'Wander', icon: '🚶', value: outputs[3] };
+    }
+    return { ...winner, value: outputs[winner.output] };
+}
+
+// Activation in [-1, 1] -> red (negative) through grey to green (positive)
+function activationColor(value) {
+    const v = Math.max(-1, Math.min(1, value || 0));
+    if (v >= 0) {
+        return `rgb(${Math.round(60 - v * 60)}, ${Math.round(60 + v * 195)}, ${Math.round(60 - v * 20)})`;
+    }
+    return `rgb(${Math.round(60 - v * 195)}, ${Math.round(60 + v * 20)}, ${Math.round(60 + v * 20)})`;
+}
+
+function layerPositions(count, x, height, padding) {
+    const step = (height - padding * 2) / Math.max(1, count - 1);
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+        nodes.push({ x, y: padding + i * step });
+    }
+    return nodes;
+}
+
+// Draw the network: edges coloured by weight sign, alpha by weight magnitude,
+// nodes coloured by the current activation; the winning output gets a ring
+export function drawBrainNetwork(canvas, weights, activations, winnerIndex = -1) {
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 12;
+
+    ctx.clearRect(0, 0, width, height);
+    if (!weights) return;
+
+    const inputs = layerPositions(weights.inputs, width * 0.16, height, padding);
+    const hidden = layerPositions(weights.hidden, width * 0.5, height, padding);
+    const outputs = layerPositions(weights.outputs, width * 0.8, height, padding);
+
+    const maxIH = weights.weightsIH.reduce((max, w) => Math.max(max, Math.abs(w)), 1e-6);
+    const maxHO = weights.weightsHO.reduce((max, w) => Math.max(max, Math.abs(w)), 1e-6);
+
+    const drawEdges = (from, to, matrix, maxWeight, sourceValues) => {
+        for (let i = 0; i < from.length; i++) {
+            // Edges carrying a live signal are drawn stronger
+            const signal = sourceValues ? Math.min(1, Math.abs(sourceValues[i]) + 0.25) : 1;
+            for (let j = 0; j < to.length; j++) {
+                const w = matrix[i * to.length + j];
+                const alpha = (Math.abs(w) / maxWeight) * 0.6 * signal;
+                if (alpha < 0.03) continue;
+                ctx.strokeStyle = w >= 0 ? `rgba(80, 200, 255, ${alpha})` : `rgba(255, 120, 80, ${alpha})`;
+                ctx.lineWidth = 0.5 + (Math.abs(w) / maxWeight) * 1.5;
+                ctx.beginPath();
+                ctx.moveTo(from[i].x, from[i].y);
+                ctx.lineTo(to[j].x, to[j].y);
+                ctx.stroke();
+            }
+        }
+    };
+
+    drawEdges(inputs, hidden, weights.weightsIH, maxIH, activations && activations.inputs);
+    drawEdges(hidden, outputs, weights.weightsHO, maxHO, activations && activations.hidden);
+
+    const drawNodes = (nodes, values, labels, labelSide) => {
+        ctx.font = '9px monospace';
+        ctx.textBaseline = 'middle';
+        nodes.forEach((node, i) => {
+            ctx.fillStyle = activationColor(values ? values[i] : 0);
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, 4.5, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (!labels) return;
+            ctx.fillStyle = '#aaa';
+            ctx.textAlign = labelSide;
+            ctx.fillText(labels[i], node.x + (labelSide === 'left' ? 8 : -8), node.y);
+        });
+    };
+
+    drawNodes(inputs, activations && activations.inputs, BRAIN_INPUT_LABELS, 'right');
+    drawNodes(hidden, activations && activations.hidden, null);
+    drawNodes(outputs, activations && activations.outputs, BRAIN_OUTPUT_LABELS, 'left');
+
+    if (winnerIndex >= 0 && winnerIndex < outputs.length) {
+        const node = outputs[winnerIndex];
+        ctx.strokeStyle = '#ff0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, 8, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
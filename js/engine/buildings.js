@@ -1210,3 +1210,8 @@ export class BuildingVisuals {
 
 // Singleton for building definitions lookup
 export const buildingDefs = BuildingDefinitions;
+
+// Look up a definition by its simulation building type id (BuildingType in wasm-loader.js)
+export function getBuildingDefinition(id) {
+    return Object.values(BuildingDefinitions).find(def => def.id === id) || null;
+}
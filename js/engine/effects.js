@@ -142,8 +142,18 @@ export class VisualEffectsSystem {
             combat: { brightness: 0.05, contrast: 1.2, saturation: 1.3, tint: new THREE.Color(1.1, 0.9, 0.9) }
         };
 
-        this.currentGrading = { ...this.colorGradingPresets.normal };
-        this.targetGrading = { ...this.colorGradingPresets.normal };
+        // Seasonal layer applied on top of every preset (see setSeasonGrading)
+        this.seasonGradingPresets = {
+            spring: { brightness: 0.02, contrast: 1.0, saturation: 1.1, tint: new THREE.Color(1.0, 1.03, 0.98) },
+            summer: { brightness: 0.03, contrast: 1.03, saturation: 1.05, tint: new THREE.Color(1.04, 1.02, 0.95) },
+            autumn: { brightness: 0, contrast: 1.05, saturation: 1.15, tint: new THREE.Color(1.08, 0.97, 0.86) },
+            winter: { brightness: 0.02, contrast: 0.97, saturation: 0.8, tint: new THREE.Color(0.93, 0.97, 1.08) }
+        };
+        this.seasonGrading = { brightness: 0, contrast: 1.0, saturation: 1.0, tint: new THREE.Color(1, 1, 1) };
+        this.currentPreset = 'normal';
+
+        this.currentGrading = { ...this.colorGradingPresets.normal, tint: this.colorGradingPresets.normal.tint.clone() };
+        this.targetGrading = { ...this.colorGradingPresets.normal, tint: this.colorGradingPresets.normal.tint.clone() };
         this.gradingTransitionSpeed = 1.0;
 
         // Campfire glow tracking
@@ -220,12 +230,33 @@ export class VisualEffectsSystem {
 
     // Set color grading based on time of day or event
     setColorGrading(preset, transitionSpeed = 1.0) {
-        if (this.colorGradingPresets[preset]) {
-            this.targetGrading = { ...this.colorGradingPresets[preset] };
+        const base = this.colorGradingPresets[preset];
+        if (base) {
+            const season = this.seasonGrading;
+            this.currentPreset = preset;
+            this.targetGrading = {
+                brightness: base.brightness + season.brightness,
+                contrast: base.contrast * season.contrast,
+                saturation: base.saturation * season.saturation,
+                tint: base.tint.clone().multiply(season.tint)
+            };
             this.gradingTransitionSpeed = transitionSpeed;
         }
     }
 
+    // Blend the seasonal layer from one season toward the next (blend 0-1)
+    setSeasonGrading(season, nextSeason = season, blend = 0) {
+        const from = this.seasonGradingPresets[season];
+        const to = this.seasonGradingPresets[nextSeason];
+        if (!from || !to) return;
+
+        this.seasonGrading.brightness = from.brightness + (to.brightness - from.brightness) * blend;
+        this.seasonGrading.contrast = from.contrast + (to.contrast - from.contrast) * blend;
+        this.seasonGrading.saturation = from.saturation + (to.saturation - from.saturation) * blend;
+        this.seasonGrading.tint.copy(from.tint).lerp(to.tint, blend);
+        this.setColorGrading(this.currentPreset, this.gradingTransitionSpeed);
+    }
+
     // Set custom color grading
     setCustomGrading(brightness, contrast, saturation, tint) {
         this.targetGrading = {
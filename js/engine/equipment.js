@@ -0,0 +1,42 @@
+// Crafted Equipment for Planet Eden
+// Names, icons and quality colors for the items organisms craft and wear
+
+import { ItemCategory } from '../wasm-loader.js';
+
+// Matches ToolType, WeaponType and ArmorType in crafting.zig (index = subtype)
+const ITEM_NAMES = {
+    [ItemCategory.TOOL]: ['None', 'Hand Axe', 'Pickaxe', 'Hoe', 'Fishing Rod', 'Hammer', 'Knife'],
+    [ItemCategory.WEAPON]: ['None', 'Club', 'Spear', 'Bow', 'Sword', 'Axe', 'Shield'],
+    [ItemCategory.ARMOR]: ['None', 'Hide Armor', 'Leather Armor', 'Wooden Armor', 'Bone Armor', 'Metal Armor']
+};
+
+const ITEM_ICONS = {
+    [ItemCategory.TOOL]: ['', '🪓', '⛏️', '🌾', '🎣', '🔨', '🔪'],
+    [ItemCategory.WEAPON]: ['', '🏏', '🔱', '🏹', '🗡️', '🪓', '🛡️'],
+    [ItemCategory.ARMOR]: ['', '🦺', '🦺', '🪵', '🦴', '🥋']
+};
+
+// Matches EquipSlot in crafting.zig
+export const SLOT_NAMES = ['Tool', 'Weapon', 'Shield', 'Armor'];
+export const SLOT_ICONS = ['🧰', '⚔️', '🛡️', '🦺'];
+
+// Matches Quality in crafting.zig
+export const QUALITY_NAMES = ['Crude', 'Normal', 'Fine', 'Masterwork', 'Legendary'];
+export const QUALITY_COLORS = ['#9a8f80', '#e0e0e0', '#4fc3f7', '#ba68c8', '#ffb300'];
+
+// Matches ResourceType in resource.zig
+export const RESOURCE_NAMES = [
+    'Wood', 'Stone', 'Fiber', 'Food', 'Water', 'Plank', 'Brick', 'Rope',
+    'Cloth', 'Tool', 'Weapon', 'Seed', 'Hide', 'Bone', 'Metal'
+];
+
+// Display name of an item (or craft) from getCraftedItem / getOrganismLoadout
+export function itemName(item) {
+    const names = ITEM_NAMES[item.category];
+    return (names && names[item.subtype]) || 'Unknown Item';
+}
+
+export function itemIcon(item) {
+    const icons = ITEM_ICONS[item.category];
+    return (icons && icons[item.subtype]) || '❔';
+}
@@ -1,6 +1,13 @@
 // Event System - Toast notifications and event log for Planet Eden
 // Captures emergent moments and makes them visible to players
 
+import { getBuildingDefinition } from './buildings.js';
+import { TECH_NAMES } from './techtree.js';
+
+// Matches TreatyType and Disease in wasm-loader.js
+const TREATY_NAMES = ['non-aggression pact', 'trade agreement', 'military alliance', 'tribute treaty', 'border agreement', 'marriage alliance'];
+const DISEASE_NAMES = ['Sickness', 'Cold', 'Fever', 'Plague', 'Food Poisoning', 'Infection'];
+
 export class EventSystem {
     constructor() {
         this.events = [];
@@ -13,10 +20,9 @@ export class EventSystem {
         this.logContainer = null;
         this.logVisible = false;
 
-        // Tracking for emergent events
+        // Tracking for emergent events (birth, death and disease counts come from the
+        // simulation - see getPopulationStats and getDeathCauses in wasm-loader.js)
         this.stats = {
-            births: 0,
-            deaths: 0,
             hunts: 0,
             buildings: 0,
             tribesFormed: 0,
@@ -234,7 +240,6 @@ export class EventSystem {
         if (now - this.cooldowns.birth < this.cooldownDuration) return;
         this.cooldowns.birth = now;
 
-        this.stats.births++;
         const typeNames = ['Plant', 'Herbivore', 'Carnivore', 'Humanoid'];
         const icons = ['🌱', '🦌', '🦁', '👤'];
         const typeName = typeNames[type] || 'Organism';
@@ -252,7 +257,6 @@ export class EventSystem {
         if (now - this.cooldowns.death < this.cooldownDuration) return;
         this.cooldowns.death = now;
 
-        this.stats.deaths++;
         const typeNames = ['Plant', 'Herbivore', 'Carnivore', 'Humanoid'];
         const typeName = typeNames[type] || 'Organism';
 
@@ -260,6 +264,12 @@ export class EventSystem {
             this.log('Hunt', `${typeName} was hunted`, '💀', 'normal');
         } else if (cause === 'starved') {
             this.log('Death', `${typeName} starved`, '💀', 'low');
+        } else if (cause === 'killed') {
+            this.log('Death', `${typeName} was killed in a fight`, '💀', 'normal');
+        } else if (cause === 'disease') {
+            this.log('Death', `${typeName} succumbed to disease`, '💀', 'low');
+        } else if (cause === 'disaster') {
+            this.log('Death', `${typeName} was lost to disaster`, '💀', 'normal');
         } else {
             this.log('Death', `${typeName} died`, '💀', 'low');
         }
@@ -284,8 +294,8 @@ export class EventSystem {
         this.cooldowns.building = now;
 
         this.stats.buildings++;
-        const buildingNames = ['Hut', 'Farm', 'Barracks', 'Watchtower', 'Storage', 'Workshop'];
-        const buildingName = buildingNames[type] || 'Building';
+        const def = getBuildingDefinition(type);
+        const buildingName = def ? def.name : 'Building';
 
         this.log('Construction', `Tribe ${tribeId} built a ${buildingName}`, '🏗️', 'high');
     }
@@ -300,6 +310,49 @@ export class EventSystem {
         this.log('War', `Tribe ${tribe1} declared war on Tribe ${tribe2}!`, '⚔️', 'high');
     }
 
+    onPeace(tribe1, tribe2) {
+        this.log('Peace', `Tribe ${tribe1} and Tribe ${tribe2} made peace`, '🕊️', 'high');
+    }
+
+    onFirstContact(tribe1, tribe2) {
+        this.log('First Contact', `Tribe ${tribe1} met Tribe ${tribe2}`, '🤝', 'normal');
+    }
+
+    // change is 'signed', 'broken' or 'expired'
+    onTreaty(type, tribe1, tribe2, change) {
+        const treatyName = TREATY_NAMES[type] || 'treaty';
+        if (change === 'signed') {
+            this.log('Treaty', `Tribe ${tribe1} and Tribe ${tribe2} signed a ${treatyName}`, '📜', 'normal');
+        } else if (change === 'broken') {
+            this.log('Treaty', `The ${treatyName} between Tribe ${tribe1} and Tribe ${tribe2} was broken`, '💔', 'high');
+        } else {
+            this.log('Treaty', `The ${treatyName} between Tribe ${tribe1} and Tribe ${tribe2} expired`, '📜', 'low');
+        }
+    }
+
+    onTechDiscovered(tech, tribeId) {
+        const techName = TECH_NAMES[tech] || 'a new technology';
+        this.log('Discovery', `Tribe ${tribeId} discovered ${techName}`, '💡', 'normal');
+    }
+
+    onOutbreak(disease, tribeId) {
+        const diseaseName = DISEASE_NAMES[disease] || 'Sickness';
+        const where = tribeId !== 0xFFFFFFFF ? ` in Tribe ${tribeId}` : '';
+        this.log('Outbreak', `${diseaseName} broke out${where}`, '🦠', 'high');
+    }
+
+    // World events from the simulation (see WorldEventManager in world-events.js)
+    onWorldEvent(event) {
+        const message = event.definition ? event.definition.announcement : `${event.name} has begun`;
+        const priority = event.tone === 'bad' ? 'high' : event.tone === 'good' ? 'normal' : 'low';
+        this.log(event.name, message, event.icon, priority);
+    }
+
+    onWorldEventEnd(event) {
+        const message = event.definition ? event.definition.aftermath : `${event.name} has ended`;
+        this.log(event.name, message, event.icon, 'low');
+    }
+
     onExtinction(type) {
         if (this.stats.extinctions.has(type)) return;
         this.stats.extinctions.add(type);
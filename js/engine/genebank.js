@@ -0,0 +1,225 @@
+// Gene Bank Panel for Planet Eden
+// Browse the champion brains kept by the WASM gene bank, export them as JSON,
+// and seed the world with champions or imported brain files (B key)
+
+import { GeneBankMetric } from '../wasm-loader.js';
+
+const TYPE_NAMES = ['Plant', 'Herbivore', 'Carnivore', 'Humanoid'];
+const TYPE_ICONS = ['🌱', '🦌', '🦁', '🧍'];
+const METRIC_LABELS = {
+    LIFESPAN: '⏳ Longest Lived',
+    OFFSPRING: '👶 Most Offspring',
+    KILLS: '⚔️ Most Kills'
+};
+
+// Download a brain from WasmModule.exportBrain()/exportChampion() as a .json file
+export function downloadBrain(brain, name) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(brain, null, 2)], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.download = `${name}.brain.json`;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export class GeneBankPanel {
+    constructor() {
+        this.wasmModule = null;
+        this.renderer = null;
+        this.eventSystem = null;
+        this.panel = null;
+        this.visible = false;
+        this.refreshTimer = null;
+    }
+
+    init(wasmModule, renderer, eventSystem) {
+        this.wasmModule = wasmModule;
+        this.renderer = renderer;
+        this.eventSystem = eventSystem;
+        this.createPanel();
+        this.setupKeyboard();
+        console.log('[GeneBank] Initialized');
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'gene-bank-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 80px;
+            right: 20px;
+            width: 340px;
+            max-height: 75vh;
+            overflow-y: auto;
+            background: rgba(10, 20, 10, 0.92);
+            border: 1px solid rgba(100, 200, 100, 0.4);
+            border-radius: 8px;
+            padding: 14px;
+            color: #fff;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 12px;
+            z-index: 1500;
+            display: none;
+        `;
+
+        this.panel.onclick = (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const metric = Number(button.dataset.metric);
+            const rank = Number(button.dataset.rank);
+            switch (button.dataset.action) {
+                case 'spawn':
+                    this.spawnChampion(metric, rank);
+                    break;
+                case 'export':
+                    this.exportChampion(metric, rank);
+                    break;
+                case 'import':
+                    this.panel.querySelector('#gene-bank-import-file').click();
+                    break;
+                case 'close':
+                    this.hide();
+                    break;
+            }
+        };
+
+        document.body.appendChild(this.panel);
+    }
+
+    setupKeyboard() {
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || document.activeElement.tagName === 'INPUT') return;
+            if (e.key === 'b' || e.key === 'B') {
+                this.toggle();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.panel.style.display = 'block';
+        this.render();
+
+        // Champions change as organisms die, so keep the list fresh while open
+        this.refreshTimer = setInterval(() => this.render(), 2000);
+    }
+
+    hide() {
+        this.visible = false;
+        this.panel.style.display = 'none';
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    render() {
+        const bank = this.wasmModule.getGeneBank();
+
+        const sections = Object.entries(GeneBankMetric).map(([name, metric]) => {
+            const champions = bank[name.toLowerCase()];
+            const rows = champions.length === 0
+                ? '<div style="color: #666; padding: 4px 0;">No champions yet</div>'
+                : champions.map(c => `
+                    <div style="display: flex; align-items: center; gap: 6px; padding: 4px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+                        <span style="width: 16px; color: #8f8;">${c.rank + 1}</span>
+                        <span style="flex: 1;">
+                            ${TYPE_ICONS[c.organismType] || '❔'} ${TYPE_NAMES[c.organismType] || 'Unknown'} #${c.source}
+                            <div style="color: #888; font-size: 11px;">
+                                ${c.lifespan.toFixed(0)}s · ${c.offspring} offspring · ${c.kills} kills
+                            </div>
+                        </span>
+                        <button data-action="spawn" data-metric="${metric}" data-rank="${c.rank}" title="Spawn a copy" style="${this.buttonStyle('#4a0')}">🌱</button>
+                        <button data-action="export" data-metric="${metric}" data-rank="${c.rank}" title="Export brain" style="${this.buttonStyle('#048')}">💾</button>
+                    </div>
+                `).join('');
+
+            return `
+                <div style="margin-bottom: 12px;">
+                    <div style="color: #8f8; font-weight: 600; margin-bottom: 4px;">${METRIC_LABELS[name]}</div>
+                    ${rows}
+                </div>
+            `;
+        }).join('');
+
+        this.panel.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                <span style="font-size: 15px; color: #8f8; font-weight: 600;">🧬 Gene Bank</span>
+                <button data-action="close" style="${this.buttonStyle('#666')}">✕</button>
+            </div>
+            ${sections}
+            <button data-action="import" style="${this.buttonStyle('#048')} width: 100%; padding: 8px;">📥 Spawn From Brain File</button>
+            <input id="gene-bank-import-file" type="file" accept=".json,application/json" style="display: none;">
+        `;
+
+        this.panel.querySelector('#gene-bank-import-file').onchange = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.importBrainFile(file);
+        };
+    }
+
+    buttonStyle(color) {
+        return `
+            background: ${color}33;
+            border: 1px solid ${color};
+            color: #fff;
+            border-radius: 4px;
+            padding: 3px 6px;
+            cursor: pointer;
+        `;
+    }
+
+    // Land position for a seeded organism, or null if none could be found
+    findSpawnPosition() {
+        const pos = this.renderer.findLandPosition();
+        return pos.isLand ? pos : null;
+    }
+
+    spawnChampion(metric, rank) {
+        const pos = this.findSpawnPosition();
+        if (!pos) return;
+
+        const id = this.wasmModule.spawnChampion(metric, rank, pos.flatX, 0.5, pos.flatZ);
+        if (id === 0xFFFFFFFF) {
+            this.eventSystem.log('Gene Bank', 'Could not spawn champion', '❌', 'normal');
+            return;
+        }
+        this.eventSystem.log('Gene Bank', `Champion brain reborn as organism #${id}`, '🧬', 'normal');
+    }
+
+    exportChampion(metric, rank) {
+        const brain = this.wasmModule.exportChampion(metric, rank);
+        if (!brain) return;
+
+        const metricName = Object.keys(GeneBankMetric)[metric].toLowerCase();
+        downloadBrain(brain, `champion-${metricName}-${rank + 1}`);
+    }
+
+    async importBrainFile(file) {
+        try {
+            const brain = JSON.parse(await file.text());
+            const pos = this.findSpawnPosition();
+            if (!pos) throw new Error('no free land to spawn on');
+
+            const id = this.wasmModule.spawnOrganism(brain.organismType, pos.flatX, 0.5, pos.flatZ, 0xFFFFFFFF, brain);
+            if (id === 0xFFFFFFFF) throw new Error('not a compatible Planet Eden brain');
+
+            this.eventSystem.log('Gene Bank', `Imported brain spawned as organism #${id}`, '📥', 'normal');
+        } catch (error) {
+            console.error('[GeneBank] Import failed:', error);
+            this.eventSystem.log('Error', `Brain import failed: ${error.message}`, '❌', 'high');
+        }
+    }
+}
+
+// Singleton
+export const geneBankPanel = new GeneBankPanel();
@@ -0,0 +1,458 @@
+// God Powers for Planet Eden
+// The legacy powers.js powers as a targeted framework: arm a power, then click a creature,
+// a spot on the planet or a tribe's land to cast it. Every cast mutates the simulation
+// (so it is recorded in replays), shows the powers.js effect, costs mana and starts a cooldown
+
+import { eventSystem } from './events.js';
+import { getSimulationSpecies } from './variety.js';
+import { OrganismType, Disease, DeathCause, EventType, NO_SIM_ID, NO_EVENT } from '../wasm-loader.js';
+
+// What a power is cast on
+export const PowerTarget = {
+    CREATURE: 'creature', // A living animal or humanoid
+    LOCATION: 'location', // A spot on the planet (flat world x, z)
+    TRIBE: 'tribe',       // A tribe, picked by clicking one of its members or its territory
+    GLOBAL: 'global'      // The whole world - cast as soon as it is armed
+};
+
+export const MAX_MANA = 100;
+// Mana regained per simulated second
+const MANA_REGEN = 2;
+// Flat world distance between a creature and its clone
+const CLONE_OFFSET = 2;
+// Creatures Mass Spawn brings, and plants Abundance grows
+const MASS_SPAWN_COUNT = 10;
+const ABUNDANCE_PLANTS = 20;
+// Population mix Balance Ecosystem steers towards (the powers.js targets, as shares)
+const BALANCE_SHARES = {
+    [OrganismType.PLANT]: 50,
+    [OrganismType.HERBIVORE]: 15,
+    [OrganismType.CARNIVORE]: 5,
+    [OrganismType.HUMANOID]: 4
+};
+// Most organisms of one type Balance Ecosystem spawns or removes in one cast
+const BALANCE_MAX_CHANGES = 25;
+
+const TYPE_NAMES = ['Plant', 'Herbivore', 'Carnivore', 'Humanoid'];
+
+// Every power: `execute(powers, target)` performs it and returns the message to log,
+// or null when it had no effect (then `noEffect` is logged and nothing is spent).
+// `radius` is in flat world units, `cooldown` in simulated seconds and `sound` is [Hz, ms]
+export const GOD_POWERS = {
+    // === CREATURE POWERS ===
+    'bless': {
+        name: 'Bless', icon: '✨', target: PowerTarget.CREATURE, cost: 10, cooldown: 3, sound: [900, 300],
+        noEffect: 'The blessing found no one',
+        execute: (powers, target) => {
+            if (!powers.wasm.healOrganism(target.organismId, 50, 50)) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0xFFD700));
+            return `Blessed ${powers.describe(target.organismId)}`;
+        }
+    },
+    'curse': {
+        name: 'Curse', icon: '💀', target: PowerTarget.CREATURE, cost: 15, cooldown: 5, sound: [300, 300],
+        noEffect: 'The curse found no one',
+        execute: (powers, target) => {
+            if (!powers.wasm.curseOrganism(target.organismId, 50, 50)) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x800080));
+            return `Cursed ${powers.describe(target.organismId)}`;
+        }
+    },
+    'smite': {
+        name: 'Smite', icon: '🔱', target: PowerTarget.CREATURE, cost: 20, cooldown: 8, sound: [200, 300],
+        noEffect: 'The bolt missed',
+        execute: (powers, target) => {
+            const name = powers.describe(target.organismId);
+            if (!powers.wasm.killOrganism(target.organismId, DeathCause.DISASTER)) return null;
+            powers.bolt(target);
+            return `Smote ${name}`;
+        }
+    },
+    'evolve': {
+        name: 'Evolve', icon: '🧬', target: PowerTarget.CREATURE, cost: 25, cooldown: 10, sound: [800, 200],
+        noEffect: 'It has no brain to evolve',
+        execute: (powers, target) => {
+            if (!powers.wasm.evolveOrganism(target.organismId, 5)) return null;
+            powers.emit(target, (particles, pos) => particles.emitEvolution(pos.x, pos.y, pos.z));
+            return `Evolved ${powers.describe(target.organismId)} by 5 generations`;
+        }
+    },
+    'clone': {
+        name: 'Clone', icon: '👥', target: PowerTarget.CREATURE, cost: 30, cooldown: 10, sound: [700, 250],
+        noEffect: 'The clone could not be made',
+        execute: (powers, target) => {
+            const id = target.organismId;
+            const spot = { x: target.x + CLONE_OFFSET, z: target.z };
+
+            const cloneId = powers.wasm.cloneOrganism(id, spot.x, spot.z);
+            if (cloneId === NO_SIM_ID) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x00FFFF, 1.5));
+            powers.emit(spot, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x00FFFF, 1.5));
+            return `Cloned ${powers.describe(id)} as #${cloneId}`;
+        }
+    },
+    'boost-iq': {
+        name: 'Boost IQ', icon: '🧠', target: PowerTarget.CREATURE, cost: 30, cooldown: 15, sound: [1000, 250],
+        noEffect: 'No champion of its kind is banked yet',
+        execute: (powers, target) => {
+            if (!powers.wasm.enlightenOrganism(target.organismId)) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x0088FF));
+            return `Boosted the intelligence of ${powers.describe(target.organismId)}`;
+        }
+    },
+
+    // === LOCATION POWERS ===
+    'resurrect': {
+        name: 'Resurrect', icon: '🌟', target: PowerTarget.LOCATION, cost: 40, cooldown: 20, radius: 10, sound: [1200, 400],
+        noEffect: 'No one has died here',
+        execute: (powers, target, power) => {
+            const id = powers.wasm.resurrectNear(target.x, target.z, power.radius);
+            if (id === NO_SIM_ID) return null;
+
+            const data = powers.wasm.getOrganismData();
+            const spot = { x: data.positionsX[id], z: data.positionsZ[id] };
+            powers.emit(spot, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x00FFFF));
+            return `Resurrected ${powers.describe(id)}`;
+        }
+    },
+    'meteor': {
+        name: 'Meteor', icon: '☄️', target: PowerTarget.LOCATION, cost: 50, cooldown: 30, sound: [100, 500],
+        noEffect: 'The sky refused the meteor',
+        execute: (powers, target) => {
+            if (powers.wasm.triggerEventAt(EventType.METEOR, target.x, target.z) === NO_EVENT) return null;
+            powers.emit(target, (particles, pos) => particles.emitExplosion(pos.x, pos.y, pos.z));
+            return 'Meteor strike!';
+        }
+    },
+    'lightning': {
+        name: 'Lightning', icon: '⚡', target: PowerTarget.LOCATION, cost: 20, cooldown: 6, radius: 4, sound: [150, 250],
+        noEffect: 'The lightning struck no one',
+        execute: (powers, target, power) => {
+            const hit = powers.wasm.damageArea(target.x, target.z, power.radius, 100, DeathCause.DISASTER);
+            if (hit === 0) return null;
+            powers.bolt(target);
+            return `Lightning struck ${hit} creatures`;
+        }
+    },
+    'plague': {
+        name: 'Plague', icon: '🦠', target: PowerTarget.LOCATION, cost: 35, cooldown: 20, radius: 10, sound: [300, 400],
+        noEffect: 'The plague found no one to infect',
+        execute: (powers, target, power) => {
+            const infected = powers.wasm.infectArea(target.x, target.z, power.radius, Disease.PLAGUE, 0.6);
+            if (infected === 0) return null;
+            powers.emit(target, (particles, pos) => particles.emitPlagueCloud(pos.x, pos.y, pos.z));
+            return `Plague spread! ${infected} creatures infected`;
+        }
+    },
+    'heal-rain': {
+        name: 'Healing Rain', icon: '🌧️', target: PowerTarget.LOCATION, cost: 25, cooldown: 12, radius: 12, sound: [900, 300],
+        noEffect: 'The rain fell on no one',
+        execute: (powers, target, power) => {
+            const healed = powers.wasm.healArea(target.x, target.z, power.radius, 50, 50);
+            if (healed === 0) return null;
+            powers.emit(target, (particles, pos) => particles.emitHealingAura(pos.x, pos.y, pos.z));
+            return `Healing rain! Restored ${healed} creatures`;
+        }
+    },
+    'abundance': {
+        name: 'Abundance', icon: '🌿', target: PowerTarget.LOCATION, cost: 20, cooldown: 10, radius: 8, sound: [600, 300],
+        noEffect: 'Nothing grows in the water',
+        execute: (powers, target, power) => {
+            const grown = powers.spawnAround(target, power.radius, ABUNDANCE_PLANTS, () => OrganismType.PLANT);
+            if (grown === 0) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x00FF88));
+            return `Abundance! ${grown} plants sprouted`;
+        }
+    },
+    'drought': {
+        name: 'Drought', icon: '🏜️', target: PowerTarget.LOCATION, cost: 20, cooldown: 10, radius: 10, sound: [250, 400],
+        noEffect: 'No plants grow here to wither',
+        execute: (powers, target, power) => {
+            const withered = powers.wasm.witherArea(target.x, target.z, power.radius);
+            if (withered === 0) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x996633));
+            return `Drought! ${withered} plants withered`;
+        }
+    },
+    'mass-spawn': {
+        name: 'Mass Spawn', icon: '🎯', target: PowerTarget.LOCATION, cost: 30, cooldown: 15, radius: 8, sound: [700, 300],
+        noEffect: 'No one can live in the water',
+        execute: (powers, target, power) => {
+            // The same mix as the Mass Spawn tribe power
+            const pickType = () => Math.random() < 0.3 ? OrganismType.PLANT :
+                                   Math.random() < 0.6 ? OrganismType.HERBIVORE :
+                                   Math.random() < 0.8 ? OrganismType.CARNIVORE :
+                                   OrganismType.HUMANOID;
+            const spawned = powers.spawnAround(target, power.radius, MASS_SPAWN_COUNT, pickType, target.tribeId);
+            if (spawned === 0) return null;
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0x00FFFF));
+            return `Spawned ${spawned} organisms`;
+        }
+    },
+    'clear-area': {
+        name: 'Clear Area', icon: '💥', target: PowerTarget.LOCATION, cost: 40, cooldown: 20, radius: 8, sound: [150, 400],
+        execute: (powers, target, power) => {
+            const removed = powers.wasm.killArea(target.x, target.z, power.radius, DeathCause.DISASTER) +
+                            powers.wasm.witherArea(target.x, target.z, power.radius);
+            powers.emit(target, (particles, pos) => particles.emitGlow(pos.x, pos.y, pos.z, 0xFFFFFF, 1.5));
+            return `Cleared the area! Removed ${removed} organisms`;
+        }
+    },
+
+    // === TRIBE POWERS ===
+    'gift': {
+        name: 'Gift Resources', icon: '💎', target: PowerTarget.TRIBE, cost: 20, cooldown: 10, sound: [600, 200],
+        noEffect: 'That tribe is gone',
+        execute: (powers, target) => {
+            if (!powers.wasm.giveResources(target.tribeId, 200, 150, 100, 50)) return null;
+            powers.emit(target, (particles, pos) => particles.emitCelebration(pos.x, pos.y, pos.z));
+            return `Gifted 500 resources to tribe ${target.tribeId}`;
+        }
+    },
+    'outbreak': {
+        name: 'Fever', icon: '🤒', target: PowerTarget.TRIBE, cost: 30, cooldown: 20, sound: [300, 400],
+        noEffect: 'No one in the tribe caught the fever',
+        execute: (powers, target) => {
+            if (!powers.wasm.startOutbreak(target.tribeId, Disease.FEVER)) return null;
+            powers.emit(target, (particles, pos) => particles.emitPlagueCloud(pos.x, pos.y, pos.z));
+            return `Fever breaks out in tribe ${target.tribeId}`;
+        }
+    },
+
+    // === GLOBAL POWERS ===
+    'balance': {
+        name: 'Balance Ecosystem', icon: '⚖️', target: PowerTarget.GLOBAL, cost: 60, cooldown: 60, sound: [500, 400],
+        noEffect: 'The ecosystem is already in balance',
+        execute: (powers) => {
+            const changes = powers.balance();
+            return changes > 0 ? `Balanced the ecosystem! ${changes} changes` : null;
+        }
+    },
+    'surplus': {
+        name: 'Food Surplus', icon: '🌾', target: PowerTarget.GLOBAL, cost: 40, cooldown: 60, sound: [700, 300],
+        noEffect: 'The harvest is already bountiful',
+        execute: (powers) => {
+            if (powers.wasm.triggerEvent(EventType.BOUNTIFUL_HARVEST) === NO_EVENT) return null;
+            return 'Food surplus! The land overflows';
+        }
+    },
+    'famine': {
+        name: 'Famine', icon: '🥀', target: PowerTarget.GLOBAL, cost: 40, cooldown: 60, sound: [200, 400],
+        noEffect: 'Famine already grips the land',
+        execute: (powers) => {
+            if (powers.wasm.triggerEvent(EventType.FAMINE) === NO_EVENT) return null;
+            return 'Famine! Food grows scarce';
+        }
+    }
+};
+
+// =============================================================================
+// GOD POWER SYSTEM
+// =============================================================================
+export class GodPowerSystem {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.mana = MAX_MANA;
+        this.cooldowns = {}; // Power id -> simulated seconds until it can be cast again
+        this.armed = null;   // Power id waiting for a target click
+    }
+
+    get wasm() {
+        return this.renderer.wasmModule;
+    }
+
+    // Seconds until a power is off cooldown (0 when ready)
+    cooldownLeft(id) {
+        return this.cooldowns[id] || 0;
+    }
+
+    canAfford(id) {
+        return this.mana >= GOD_POWERS[id].cost && this.cooldownLeft(id) === 0;
+    }
+
+    // Arm a power so the next click on the planet casts it (global powers are cast right away)
+    // Arming the armed power again disarms it. Returns whether a power is now armed
+    arm(id) {
+        const power = GOD_POWERS[id];
+        if (!power || id === this.armed) {
+            this.disarm();
+            return false;
+        }
+        if (!this.checkAffordable(id)) return false;
+
+        if (power.target === PowerTarget.GLOBAL) {
+            this.disarm();
+            this.cast(id, {});
+            return false;
+        }
+
+        this.armed = id;
+        this.setCursor('crosshair');
+        return true;
+    }
+
+    disarm() {
+        if (this.armed === null) return;
+        this.armed = null;
+        this.setCursor('default');
+    }
+
+    // Cast the armed power on a click: { organismId, x, z, tribeId }, with organismId and
+    // tribeId null when the click found none. A target the power can't take keeps it armed
+    useOn(target) {
+        const id = this.armed;
+        if (id === null) return false;
+        const power = GOD_POWERS[id];
+
+        if (power.target === PowerTarget.CREATURE && !this.isCreature(target.organismId)) {
+            this.report(power, 'Click a living creature', false);
+            return false;
+        }
+        if (power.target === PowerTarget.TRIBE && target.tribeId === null) {
+            this.report(power, 'Click a tribe member or tribal land', false);
+            return false;
+        }
+        if (!this.checkAffordable(id)) {
+            this.disarm();
+            return false;
+        }
+
+        if (!this.cast(id, target)) return false;
+        this.disarm();
+        return true;
+    }
+
+    // Update - called each frame with simulated seconds
+    update(delta) {
+        this.mana = Math.min(MAX_MANA, this.mana + MANA_REGEN * delta);
+        for (const id in this.cooldowns) {
+            this.cooldowns[id] = Math.max(0, this.cooldowns[id] - delta);
+        }
+    }
+
+    cast(id, target) {
+        const power = GOD_POWERS[id];
+        const message = power.execute(this, target, power);
+        if (!message) {
+            this.report(power, power.noEffect, false);
+            return false;
+        }
+
+        this.mana -= power.cost;
+        this.cooldowns[id] = power.cooldown;
+        this.report(power, message, true);
+        return true;
+    }
+
+    checkAffordable(id) {
+        const power = GOD_POWERS[id];
+        if (this.cooldownLeft(id) > 0) {
+            this.report(power, `${power.name} is ready in ${Math.ceil(this.cooldownLeft(id))}s`, false);
+            return false;
+        }
+        if (this.mana < power.cost) {
+            this.report(power, `Not enough mana (${power.name} needs ${power.cost})`, false);
+            return false;
+        }
+        return true;
+    }
+
+    isCreature(id) {
+        if (id === null || id === undefined) return false;
+        const data = this.wasm.getOrganismData();
+        return !!data && id < data.count && !!data.alive[id] && data.types[id] !== OrganismType.PLANT;
+    }
+
+    // "Herbivore #12"
+    describe(id) {
+        const data = this.wasm.getOrganismData();
+        const species = data.species ? getSimulationSpecies(data.species[id]) : null;
+        return `${species ? species.name : TYPE_NAMES[data.types[id]] || 'Organism'} #${id}`;
+    }
+
+    // Spawn up to `count` organisms of pickType() on land within `radius` of a spot
+    // Returns how many were spawned
+    spawnAround(spot, radius, count, pickType, tribeId = null) {
+        let spawned = 0;
+        for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * radius;
+            const x = spot.x + Math.cos(angle) * dist;
+            const z = spot.z + Math.sin(angle) * dist;
+            if (!this.wasm.isLand(x, z)) continue;
+
+            const type = pickType();
+            const tribe = type === OrganismType.HUMANOID && tribeId !== null ? tribeId : NO_SIM_ID;
+            if (this.wasm.spawnOrganism(type, x, 0.5, z, tribe) !== NO_SIM_ID) spawned++;
+        }
+        return spawned;
+    }
+
+    // Spawn or remove organisms so each type's share of the living approaches BALANCE_SHARES
+    // Returns how many organisms were changed
+    balance() {
+        const data = this.wasm.getOrganismData();
+        if (!data) return 0;
+
+        const living = { [OrganismType.PLANT]: [], [OrganismType.HERBIVORE]: [], [OrganismType.CARNIVORE]: [], [OrganismType.HUMANOID]: [] };
+        for (let i = 0; i < data.count; i++) {
+            if (data.alive[i] && living[data.types[i]]) living[data.types[i]].push(i);
+        }
+        const positions = Object.values(living).flat().map(i => ({ x: data.positionsX[i], z: data.positionsZ[i] }));
+        const total = positions.length;
+        const shareTotal = Object.values(BALANCE_SHARES).reduce((sum, share) => sum + share, 0);
+
+        let changes = 0;
+        for (const [type, share] of Object.entries(BALANCE_SHARES)) {
+            const members = living[type];
+            const wanted = Math.round(total * share / shareTotal);
+            const diff = Math.max(-BALANCE_MAX_CHANGES, Math.min(BALANCE_MAX_CHANGES, wanted - members.length));
+
+            for (let i = 0; i < diff; i++) {
+                const pos = this.renderer.findLandPosition();
+                if (this.wasm.spawnOrganism(Number(type), pos.flatX, 0.5, pos.flatZ) !== NO_SIM_ID) changes++;
+            }
+            // Newest first, like powers.js
+            for (let i = 0; i < -diff; i++) {
+                const id = members[members.length - 1 - i];
+                const removed = Number(type) === OrganismType.PLANT
+                    ? this.wasm.witherArea(data.positionsX[id], data.positionsZ[id], 0) > 0
+                    : this.wasm.killOrganism(id, DeathCause.DISASTER);
+                if (removed) changes++;
+            }
+        }
+        return changes;
+    }
+
+    // Run emit(particles, position) with the planet surface position above a flat world spot
+    emit(spot, emit) {
+        const particles = this.renderer.particleSystem;
+        if (!particles) return;
+
+        emit(particles, this.renderer.positionOnPlanetSurface(spot.x, spot.z, 0.5).position);
+    }
+
+    // A lightning bolt from the sky down onto a flat world spot
+    bolt(spot) {
+        this.emit(spot, (particles, pos) => {
+            const sky = pos.clone().normalize().multiplyScalar(pos.length() + 30);
+            particles.emitLightningBolt(sky, pos);
+        });
+    }
+
+    setCursor(cursor) {
+        if (this.renderer.renderer) this.renderer.renderer.domElement.style.cursor = cursor;
+    }
+
+    report(power, message, success) {
+        eventSystem.log('God Power', message, power.icon, 'normal');
+
+        const audio = this.renderer.audioSystem;
+        if (!audio) return;
+        if (success) {
+            audio.playTone(power.sound[0], power.sound[1] / 1000, 0.15);
+        } else {
+            audio.playError();
+        }
+    }
+}
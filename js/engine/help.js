@@ -62,6 +62,7 @@ export class HelpSystem {
                             <div><span style="color: #8f8; display: inline-block; width: 60px;">↑ ↓</span> Zoom</div>
                             <div><span style="color: #8f8; display: inline-block; width: 60px;">R</span> Reset camera</div>
                             <div><span style="color: #8f8; display: inline-block; width: 60px;">C</span> Follow creature</div>
+                            <div><span style="color: #8f8; display: inline-block; width: 60px;">V</span> Territory overlay</div>
                         </div>
                     </div>
 
@@ -73,6 +74,9 @@ export class HelpSystem {
                             <div><span style="color: #8f8; display: inline-block; width: 60px;">O</span> Objectives</div>
                             <div><span style="color: #8f8; display: inline-block; width: 60px;">L</span> Event log</div>
                             <div><span style="color: #8f8; display: inline-block; width: 60px;">G</span> Population graph</div>
+                            <div><span style="color: #8f8; display: inline-block; width: 60px;">B</span> Gene bank</div>
+                            <div><span style="color: #8f8; display: inline-block; width: 60px;">F</span> Family tree</div>
+                            <div><span style="color: #8f8; display: inline-block; width: 60px;">K</span> Tech tree</div>
                         </div>
                     </div>
 
@@ -1,6 +1,33 @@
 // Unified HUD System for Planet Eden
 // Clean, minimal game UI with modern aesthetic
 
+import { TradeOutcome, SculptTool } from '../wasm-loader.js';
+import { GOD_POWERS, PowerTarget, MAX_MANA } from './god-powers.js';
+import { getSimulationSpecies } from './variety.js';
+
+const STATUS_STYLES = [
+    { name: 'Unknown', color: '#3a3f48' },
+    { name: 'Hostile', color: '#ff6b6b' },
+    { name: 'Unfriendly', color: '#ffb74d' },
+    { name: 'Neutral', color: '#6a7585' },
+    { name: 'Friendly', color: '#8bc34a' },
+    { name: 'Allied', color: '#3ddc84' },
+    { name: 'Vassal', color: '#b388ff' },
+    { name: 'Overlord', color: '#7c4dff' }
+];
+
+const TREATY_LABELS = ['Non-aggression', 'Trade', 'Alliance', 'Tribute', 'Border', 'Marriage'];
+const TREATY_COLORS = ['#4a9eff', '#ffd54f', '#3ddc84', '#ff8a65', '#90a4ae', '#f48fb1'];
+const WAR_REASON_LABELS = ['Conquest', 'Resources', 'Revenge', 'Holy war', 'Defensive', 'Liberation', 'Honor'];
+const TRADE_OUTCOME_LABELS = ['Pending', 'Accepted', 'Declined', 'Expired'];
+const EVENT_TONE_COLORS = { good: '#3ddc84', neutral: '#90a4ae', bad: '#ff6b6b' };
+const POWER_TARGET_HINTS = {
+    [PowerTarget.CREATURE]: 'click a creature',
+    [PowerTarget.LOCATION]: 'click the planet',
+    [PowerTarget.TRIBE]: 'click a tribe member or its land',
+    [PowerTarget.GLOBAL]: 'affects the whole world'
+};
+
 export class HUD {
     constructor() {
         this.activeTab = 'stats';
@@ -8,6 +35,7 @@ export class HUD {
         this.wasmModule = null;
         this.renderer = null;
         this.audioSystem = null;
+        this.eventTimeline = null;
 
         // Store listener references for cleanup
         this._listeners = [];
@@ -332,6 +360,98 @@ export class HUD {
                 font-weight: 500;
             }
 
+            /* ===== Diplomacy Tab ===== */
+            .hud-diplo-section {
+                margin-bottom: 14px;
+            }
+
+            .hud-diplo-title {
+                font-size: 10px;
+                color: var(--hud-text-dim);
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+                margin-bottom: 6px;
+            }
+
+            .hud-diplo-matrix {
+                border-collapse: collapse;
+                font-size: 10px;
+            }
+
+            .hud-diplo-matrix th {
+                color: var(--hud-text-dim);
+                font-weight: 500;
+                padding: 2px;
+            }
+
+            .hud-diplo-matrix td {
+                width: 28px;
+                height: 22px;
+                text-align: center;
+                color: var(--hud-text-bright);
+                border: 1px solid var(--hud-bg);
+                border-radius: 2px;
+            }
+
+            .hud-diplo-controls {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 6px;
+            }
+
+            .hud-diplo-controls select,
+            .hud-diplo-btn {
+                background: var(--hud-bg-light);
+                border: 1px solid var(--hud-border);
+                border-radius: var(--hud-radius-sm);
+                color: var(--hud-text);
+                font-size: 11px;
+                padding: 5px;
+            }
+
+            .hud-diplo-btn {
+                cursor: pointer;
+                transition: var(--hud-transition);
+            }
+
+            .hud-diplo-btn:hover {
+                background: var(--hud-accent-dim);
+                border-color: var(--hud-accent);
+            }
+
+            .hud-diplo-row {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 5px 0;
+                font-size: 11px;
+                border-bottom: 1px solid var(--hud-border);
+            }
+
+            .hud-diplo-row .grow {
+                flex: 1;
+            }
+
+            .hud-diplo-row .dim {
+                color: var(--hud-text-dim);
+                font-size: 10px;
+            }
+
+            .hud-diplo-timeline {
+                position: relative;
+                height: 10px;
+                margin: 3px 0 6px;
+                background: var(--hud-bg-light);
+                border-radius: 2px;
+            }
+
+            .hud-diplo-timeline span {
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                border-radius: 2px;
+            }
+
             /* ===== Powers Tab ===== */
             .hud-power-grid {
                 display: grid;
@@ -380,6 +500,82 @@ export class HUD {
                 margin-top: 4px;
             }
 
+            .hud-brush-grid {
+                display: grid;
+                grid-template-columns: repeat(3, 1fr);
+                gap: 6px;
+                margin-bottom: 8px;
+            }
+
+            .hud-brush-grid .hud-diplo-btn.active {
+                background: var(--hud-accent-dim);
+                border-color: var(--hud-accent);
+                color: var(--hud-text-bright);
+            }
+
+            .hud-brush-grid .hud-diplo-btn:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+
+            .hud-god-grid {
+                display: grid;
+                grid-template-columns: repeat(4, 1fr);
+                gap: 4px;
+            }
+
+            .hud-god-grid .hud-diplo-btn {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 2px;
+                padding: 5px 2px;
+            }
+
+            .hud-god-grid .hud-diplo-btn .icon {
+                font-size: 16px;
+            }
+
+            .hud-god-grid .hud-diplo-btn .cost {
+                font-size: 9px;
+                color: var(--hud-text-dim);
+            }
+
+            .hud-god-grid .hud-diplo-btn.active {
+                background: var(--hud-accent-dim);
+                border-color: var(--hud-accent);
+                color: var(--hud-text-bright);
+            }
+
+            .hud-god-grid .hud-diplo-btn.unavailable {
+                opacity: 0.4;
+            }
+
+            .hud-mana {
+                position: relative;
+                height: 10px;
+                margin: 3px 0 8px;
+                background: var(--hud-bg-light);
+                border-radius: 2px;
+            }
+
+            .hud-mana span {
+                position: absolute;
+                top: 0;
+                bottom: 0;
+                left: 0;
+                border-radius: 2px;
+                background: var(--hud-accent);
+            }
+
+            .hud-brush-size {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                font-size: 11px;
+                color: var(--hud-text-dim);
+            }
+
             /* ===== Bottom Quick Bar ===== */
             .hud-quickbar {
                 position: fixed;
@@ -661,6 +857,8 @@ export class HUD {
                 <div class="hud-sidebar-tabs" role="tablist" aria-label="Information panels">
                     <button class="hud-tab-btn active" data-tab="stats" role="tab" aria-selected="true" aria-controls="hud-stats-content" id="tab-stats">Stats</button>
                     <button class="hud-tab-btn" data-tab="tribes" role="tab" aria-selected="false" aria-controls="hud-tribes-content" id="tab-tribes">Tribes</button>
+                    <button class="hud-tab-btn" data-tab="diplomacy" role="tab" aria-selected="false" aria-controls="hud-diplomacy-content" id="tab-diplomacy">Diplomacy</button>
+                    <button class="hud-tab-btn" data-tab="events" role="tab" aria-selected="false" aria-controls="hud-events-content" id="tab-events">Events</button>
                     <button class="hud-tab-btn" data-tab="powers" role="tab" aria-selected="false" aria-controls="hud-powers-content" id="tab-powers">Powers</button>
                 </div>
                 <div class="hud-sidebar-content">
@@ -674,6 +872,55 @@ export class HUD {
                         <div id="hud-tribe-list"></div>
                     </div>
 
+                    <!-- Diplomacy Tab -->
+                    <div class="hud-tab-content" id="hud-diplomacy-content" role="tabpanel" aria-labelledby="tab-diplomacy">
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">Relations (row's view of column)</div>
+                            <div id="hud-diplo-matrix"></div>
+                        </div>
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">Divine Diplomacy</div>
+                            <div class="hud-diplo-controls">
+                                <select id="hud-diplo-tribe-a" aria-label="First tribe"></select>
+                                <select id="hud-diplo-tribe-b" aria-label="Second tribe"></select>
+                                <select id="hud-diplo-treaty-type" aria-label="Treaty type">
+                                    ${TREATY_LABELS.map((label, i) => `<option value="${i}">${label}</option>`).join('')}
+                                </select>
+                                <button class="hud-diplo-btn" data-diplo="broker">🤝 Broker Treaty</button>
+                                <select id="hud-diplo-war-reason" aria-label="War reason">
+                                    ${WAR_REASON_LABELS.map((label, i) => `<option value="${i}">${label}</option>`).join('')}
+                                </select>
+                                <button class="hud-diplo-btn" data-diplo="war">⚔️ Declare War</button>
+                                <button class="hud-diplo-btn" data-diplo="peace">🕊️ Force Peace</button>
+                                <button class="hud-diplo-btn" data-diplo="goodwill">💞 Goodwill</button>
+                            </div>
+                        </div>
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">Treaties</div>
+                            <div id="hud-diplo-treaties"></div>
+                        </div>
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">Trade Offers</div>
+                            <div id="hud-diplo-trades"></div>
+                        </div>
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">War History</div>
+                            <div id="hud-diplo-wars"></div>
+                        </div>
+                    </div>
+
+                    <!-- Events Tab -->
+                    <div class="hud-tab-content" id="hud-events-content" role="tabpanel" aria-labelledby="tab-events">
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">Active Events</div>
+                            <div id="hud-events-active"></div>
+                        </div>
+                        <div class="hud-diplo-section">
+                            <div class="hud-diplo-title">Past Events</div>
+                            <div id="hud-events-past"></div>
+                        </div>
+                    </div>
+
                     <!-- Powers Tab -->
                     <div class="hud-tab-content" id="hud-powers-content" role="tabpanel" aria-labelledby="tab-powers">
                         <div class="hud-power-grid">
@@ -708,6 +955,34 @@ export class HUD {
                                 <span class="key">F6</span>
                             </button>
                         </div>
+                        <div class="hud-diplo-section" style="margin-top: 14px;">
+                            <div class="hud-diplo-title">Targeted Powers (pick one, then click, Esc to cancel)</div>
+                            <div class="hud-mana" title="Mana"><span id="hud-mana-fill"></span></div>
+                            <div class="hud-god-grid">${Object.entries(GOD_POWERS).map(([id, power]) => `
+                                    <button class="hud-diplo-btn" data-god-power="${id}" aria-pressed="false"
+                                            title="${power.name} - ${POWER_TARGET_HINTS[power.target]}">
+                                        <span class="icon">${power.icon}</span>
+                                        <span class="cost">${power.cost}</span>
+                                    </button>`).join('')}
+                            </div>
+                        </div>
+                        <div class="hud-diplo-section" style="margin-top: 14px;">
+                            <div class="hud-diplo-title">Terrain Brushes (hold on the planet, Esc to stop)</div>
+                            <div class="hud-brush-grid">
+                                <button class="hud-diplo-btn" data-brush="RAISE" aria-pressed="false">⛰️ Raise</button>
+                                <button class="hud-diplo-btn" data-brush="LOWER" aria-pressed="false">⛏️ Lower</button>
+                                <button class="hud-diplo-btn" data-brush="SMOOTH" aria-pressed="false">〰️ Smooth</button>
+                                <button class="hud-diplo-btn" data-brush="FLATTEN" aria-pressed="false">▭ Flatten</button>
+                                <button class="hud-diplo-btn" data-brush="FLOOD" aria-pressed="false">🌊 Flood</button>
+                                <button class="hud-diplo-btn" id="hud-sculpt-undo" title="Undo stroke (Ctrl+Z)" disabled>↶ Undo</button>
+                            </div>
+                            <label class="hud-brush-size">
+                                Size
+                                <input type="range" class="hud-speed-slider" id="hud-sculpt-size"
+                                       min="3" max="20" step="1" value="8" aria-label="Brush size">
+                                <span id="hud-sculpt-size-value">8</span>
+                            </label>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -799,6 +1074,42 @@ export class HUD {
             this._addListener(btn, 'click', powerHandler);
         });
 
+        // Targeted powers - picking the armed power again disarms it
+        document.querySelectorAll('[data-god-power]').forEach(btn => {
+            this._addListener(btn, 'click', () => this.armGodPower(btn.dataset.godPower));
+        });
+
+        // Terrain brushes - picking the active brush again puts it down
+        document.querySelectorAll('[data-brush]').forEach(btn => {
+            const brushHandler = () => {
+                const tool = SculptTool[btn.dataset.brush];
+                this.selectBrush(this.renderer && this.renderer.sculptTool === tool ? null : tool);
+            };
+            this._addListener(btn, 'click', brushHandler);
+        });
+
+        const undoBtn = document.getElementById('hud-sculpt-undo');
+        this._addListener(undoBtn, 'click', () => this.undoSculpt());
+
+        const sizeSlider = document.getElementById('hud-sculpt-size');
+        const sizeHandler = (e) => {
+            const value = Number(e.target.value);
+            document.getElementById('hud-sculpt-size-value').textContent = value;
+            if (this.renderer) this.renderer.setSculptRadius(value);
+        };
+        this._addListener(sizeSlider, 'input', sizeHandler);
+
+        // A finished stroke can be undone
+        this._addListener(window, 'pointerup', () => this.updateUndoButton());
+
+        // Diplomacy actions (rows are re-rendered, so listen on the tab)
+        const diplomacyTab = document.getElementById('hud-diplomacy-content');
+        const diplomacyHandler = (e) => {
+            const btn = e.target.closest('[data-diplo]');
+            if (btn) this.diplomacyAction(btn.dataset.diplo, Number(btn.dataset.index));
+        };
+        this._addListener(diplomacyTab, 'click', diplomacyHandler);
+
         // Settings button
         const settingsBtn = document.getElementById('hud-settings-btn');
         const settingsHandler = () => {
@@ -833,6 +1144,16 @@ export class HUD {
                 e.preventDefault();
                 this.toggleSidebar();
             }
+            if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+                e.preventDefault();
+                this.undoSculpt();
+            }
+            if (e.key === 'Escape' && this.renderer && this.renderer.sculptTool !== null) {
+                this.selectBrush(null);
+            }
+            if (e.key === 'Escape' && this.renderer && this.renderer.godPowers) {
+                this.renderer.godPowers.disarm();
+            }
         };
         this._addListener(window, 'keydown', keydownHandler);
     }
@@ -868,6 +1189,14 @@ export class HUD {
             content.classList.toggle('active', content.id === `hud-${tabName}-content`);
         });
 
+        if (tabName === 'diplomacy' && this.wasmModule) {
+            this.updateDiplomacy(this.wasmModule.getAllTribes(), true);
+        }
+
+        if (tabName === 'events' && this.eventTimeline) {
+            this.updateEvents(this.eventTimeline, true);
+        }
+
         if (this.audioSystem) {
             this.audioSystem.playClick();
         }
@@ -891,6 +1220,125 @@ export class HUD {
         }
     }
 
+    // Arm a targeted power (a GOD_POWERS id) for the next click on the planet
+    armGodPower(id) {
+        const godPowers = this.renderer && this.renderer.godPowers;
+        if (!godPowers) return;
+
+        // The brush would take the click
+        if (this.renderer.sculptTool !== null) this.selectBrush(null);
+        godPowers.arm(id);
+
+        if (this.audioSystem) {
+            this.audioSystem.playClick();
+        }
+    }
+
+    // Pick a terrain brush (SculptTool) for the renderer, or null to put it down
+    selectBrush(tool) {
+        if (!this.renderer) return;
+        if (tool !== null && this.renderer.godPowers) this.renderer.godPowers.disarm();
+        this.renderer.setSculptTool(tool);
+
+        document.querySelectorAll('[data-brush]').forEach(btn => {
+            const isActive = SculptTool[btn.dataset.brush] === tool;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+        this.updateUndoButton();
+
+        if (this.audioSystem) {
+            this.audioSystem.playClick();
+        }
+    }
+
+    undoSculpt() {
+        if (!this.renderer || !this.renderer.undoTerrainStroke()) return;
+        this.updateUndoButton();
+    }
+
+    updateUndoButton() {
+        const undoBtn = document.getElementById('hud-sculpt-undo');
+        if (undoBtn && this.wasmModule) undoBtn.disabled = this.wasmModule.getTerrainUndoCount() === 0;
+    }
+
+    // Mana bar and each targeted power's armed, affordable and cooldown state
+    updateGodPowers(godPowers) {
+        const fill = document.getElementById('hud-mana-fill');
+        if (fill) fill.style.width = `${(godPowers.mana / MAX_MANA) * 100}%`;
+
+        document.querySelectorAll('[data-god-power]').forEach(btn => {
+            const id = btn.dataset.godPower;
+            const isArmed = godPowers.armed === id;
+            const cooldown = Math.ceil(godPowers.cooldownLeft(id));
+            const label = cooldown > 0 ? `${cooldown}s` : `${GOD_POWERS[id].cost}`;
+
+            btn.classList.toggle('active', isArmed);
+            btn.classList.toggle('unavailable', !godPowers.canAfford(id));
+            btn.setAttribute('aria-pressed', isArmed ? 'true' : 'false');
+            const cost = btn.querySelector('.cost');
+            if (cost.textContent !== label) cost.textContent = label;
+        });
+    }
+
+    diplomacyAction(action, index) {
+        const wasm = this.wasmModule;
+        const tribeA = Number(document.getElementById('hud-diplo-tribe-a').value);
+        const tribeB = Number(document.getElementById('hud-diplo-tribe-b').value);
+        const nameA = this.getTribeName(tribeA);
+        const nameB = this.getTribeName(tribeB);
+        const pairChosen = !Number.isNaN(tribeA) && !Number.isNaN(tribeB) && tribeA !== tribeB;
+
+        let message = null;
+        switch (action) {
+            case 'broker': {
+                if (!pairChosen) return;
+                const type = Number(document.getElementById('hud-diplo-treaty-type').value);
+                const result = wasm.brokerTreaty(type, tribeA, tribeB);
+                message = result === 0xFFFFFFFF
+                    ? `${nameA} and ${nameB} refuse a ${TREATY_LABELS[type]} treaty`
+                    : `${nameA} and ${nameB} sign a ${TREATY_LABELS[type]} treaty`;
+                break;
+            }
+            case 'war': {
+                if (!pairChosen) return;
+                const reason = Number(document.getElementById('hud-diplo-war-reason').value);
+                if (wasm.declareWar(tribeA, tribeB, reason)) {
+                    message = `${nameA} declares war on ${nameB} (${WAR_REASON_LABELS[reason]})`;
+                }
+                break;
+            }
+            case 'peace':
+                if (!pairChosen) return;
+                wasm.forcePeace(tribeA, tribeB);
+                message = `Peace is imposed on ${nameA} and ${nameB}`;
+                break;
+            case 'goodwill':
+                if (!pairChosen) return;
+                wasm.modifyReputation(tribeA, tribeB, 20);
+                wasm.modifyReputation(tribeB, tribeA, 20);
+                message = `${nameA} and ${nameB} warm to each other`;
+                break;
+            case 'break-treaty':
+                if (wasm.breakTreaty(index)) message = 'A treaty is torn up';
+                break;
+            case 'accept-trade':
+                message = wasm.acceptTradeOffer(index) ? 'A trade is sealed' : 'The trade cannot be paid for';
+                break;
+            case 'decline-trade':
+                if (wasm.declineTradeOffer(index)) message = 'A trade offer is turned down';
+                break;
+        }
+
+        if (message && window.planetEden && window.planetEden.eventSystem) {
+            window.planetEden.eventSystem.log('Diplomacy', message, '🏛️', 'normal');
+        }
+        if (this.audioSystem) {
+            this.audioSystem.playClick();
+        }
+        this.updateDiplomacy(wasm.getAllTribes(true), true);
+    }
+
     updatePauseButton() {
         const btn = document.getElementById('hud-pause-btn');
         const isPaused = window.planetEden && !window.planetEden.running;
@@ -926,10 +1374,10 @@ export class HUD {
         if (el) el.textContent = count;
     }
 
-    updateTime(day, time) {
+    updateTime(day, time, season = null) {
         const dayEl = document.getElementById('hud-day');
         const timeEl = document.getElementById('hud-time');
-        if (dayEl) dayEl.textContent = `Day ${day}`;
+        if (dayEl) dayEl.textContent = season ? `${season} · Day ${day}` : `Day ${day}`;
         if (timeEl) timeEl.textContent = time;
     }
 
@@ -938,10 +1386,18 @@ export class HUD {
             clear: '☀️',
             cloudy: '⛅',
             rain: '🌧️',
-            storm: '⛈️'
+            storm: '⛈️',
+            snow: '🌨️',
+            blizzard: '❄️',
+            drought: '🏜️',
+            fog: '🌫️',
+            heat_wave: '🔥'
         };
         const el = document.getElementById('hud-weather');
-        if (el) el.textContent = icons[weather] || '☀️';
+        if (el) {
+            el.textContent = icons[weather] || '☀️';
+            el.title = weather.replace('_', ' ');
+        }
     }
 
     updateSpeed(speed) {
@@ -980,6 +1436,27 @@ export class HUD {
                     👤 ${typeCounts.humanoids}
                 </div>
             </div>
+            ${this.renderSpeciesCard()}
+        `;
+    }
+
+    // Living animals of each species, as reported by the simulation
+    renderSpeciesCard() {
+        const counts = this.wasmModule ? this.wasmModule.getSpeciesCounts() : [];
+        if (counts.length === 0) return '';
+
+        const entries = counts
+            .map((count, id) => ({ species: getSimulationSpecies(id), count }))
+            .filter(entry => entry.species && entry.count > 0)
+            .map(entry => `<span title="${entry.species.name}">${entry.species.icon} ${entry.count}</span>`);
+
+        return `
+            <div class="hud-stat-card wide">
+                <div class="label">Species</div>
+                <div class="sub" style="margin-top: 8px;">
+                    ${entries.length > 0 ? entries.join(' &nbsp;&nbsp;') : 'No animals'}
+                </div>
+            </div>
         `;
     }
 
@@ -1030,6 +1507,169 @@ export class HUD {
         }).join('');
     }
 
+    // Diplomacy tab: relation matrix, god controls, treaty timelines, trades and wars
+    updateDiplomacy(tribes, force = false) {
+        if (!force && (this.activeTab !== 'diplomacy' || !this.sidebarVisible)) return;
+
+        const wasm = this.wasmModule;
+        const now = Math.max(1, wasm.getStats().time);
+        const tribeIds = tribes.map(t => t.id);
+        const colorOf = (id) => {
+            const tribe = tribes.find(t => t.id === id);
+            return tribe ? `rgb(${tribe.color.r}, ${tribe.color.g}, ${tribe.color.b})` : 'var(--hud-text-dim)';
+        };
+        const name = (id) => `<span style="color: ${colorOf(id)};">${this.getTribeName(id)}</span>`;
+
+        this.updateDiplomacySelects(tribeIds);
+
+        // Relation matrix
+        const matrix = document.getElementById('hud-diplo-matrix');
+        if (tribeIds.length < 2) {
+            matrix.innerHTML = '<div class="hud-empty">Diplomacy needs at least two tribes</div>';
+        } else {
+            const header = tribeIds.map(id => `<th style="color: ${colorOf(id)};">${id}</th>`).join('');
+            const rows = tribeIds.map(a => {
+                const cells = tribeIds.map(b => {
+                    if (a === b) return '<td style="background: var(--hud-bg-light);">—</td>';
+                    const relation = wasm.getDiplomacy(a, b);
+                    const style = STATUS_STYLES[relation.status] || STATUS_STYLES[0];
+                    const label = relation.haveMet ? relation.reputation : '?';
+                    return `<td style="background: ${style.color}55;" title="${this.getTribeName(a)} → ${this.getTribeName(b)}: ${style.name}, reputation ${relation.reputation}${relation.atWar ? ', at war' : ''}">${relation.atWar ? '⚔️' : label}</td>`;
+                }).join('');
+                return `<tr><th style="color: ${colorOf(a)};">${a}</th>${cells}</tr>`;
+            }).join('');
+            matrix.innerHTML = `<table class="hud-diplo-matrix"><tr><th></th>${header}</tr>${rows}</table>`;
+        }
+
+        // Treaties with a timeline bar from signing to end (or now)
+        const treaties = wasm.getTreaties().sort((a, b) => b.startTime - a.startTime);
+        document.getElementById('hud-diplo-treaties').innerHTML = treaties.length === 0
+            ? '<div class="dim" style="font-size: 11px; color: var(--hud-text-dim);">No treaties signed yet</div>'
+            : treaties.map(t => {
+                const end = t.endTime === null ? now : t.endTime;
+                const left = (t.startTime / now) * 100;
+                const width = Math.max(1, ((end - t.startTime) / now) * 100);
+                const state = t.active
+                    ? (t.duration > 0 ? `${Math.max(0, t.startTime + t.duration - now).toFixed(0)}s left` : 'permanent')
+                    : (t.broken ? `broken at ${t.endTime.toFixed(0)}s` : `expired at ${t.endTime.toFixed(0)}s`);
+                return `
+                    <div class="hud-diplo-row" style="border-bottom: none; padding-bottom: 0;">
+                        <span class="grow">${TREATY_LABELS[t.type] || 'Treaty'}: ${name(t.tribeA)} & ${name(t.tribeB)}</span>
+                        ${t.active ? `<button class="hud-diplo-btn" data-diplo="break-treaty" data-index="${t.index}" title="Break treaty">✂️</button>` : ''}
+                    </div>
+                    <div class="dim" style="font-size: 10px; color: var(--hud-text-dim);">signed ${t.startTime.toFixed(0)}s · ${state}</div>
+                    <div class="hud-diplo-timeline">
+                        <span style="left: ${left}%; width: ${width}%; background: ${TREATY_COLORS[t.type] || '#888'}${t.active ? '' : '66'};"></span>
+                    </div>
+                `;
+            }).join('');
+
+        // Trades: pending ones first, then the most recent outcomes
+        const trades = wasm.getTradeOffers()
+            .sort((a, b) => (b.active - a.active) || (b.createdTime - a.createdTime))
+            .slice(0, 8);
+        const goods = (r) => [['🍖', r.food], ['🪵', r.wood], ['🪨', r.stone], ['⚙️', r.metal]]
+            .filter(([, amount]) => amount > 0)
+            .map(([icon, amount]) => `${icon}${amount.toFixed(0)}`)
+            .join(' ') || 'nothing';
+        document.getElementById('hud-diplo-trades').innerHTML = trades.length === 0
+            ? '<div style="font-size: 11px; color: var(--hud-text-dim);">No trade offers yet</div>'
+            : trades.map(t => `
+                <div class="hud-diplo-row">
+                    <span class="grow">
+                        ${name(t.from)} → ${name(t.to)}
+                        <div class="dim">${goods(t.offered)} for ${goods(t.requested)} · ratio ${t.valueRatio.toFixed(2)}</div>
+                    </span>
+                    ${t.outcome === TradeOutcome.PENDING
+                        ? `<button class="hud-diplo-btn" data-diplo="accept-trade" data-index="${t.index}" title="Force the trade through">✅</button>
+                           <button class="hud-diplo-btn" data-diplo="decline-trade" data-index="${t.index}" title="Decline">❌</button>`
+                        : `<span class="dim">${TRADE_OUTCOME_LABELS[t.outcome]}</span>`}
+                </div>
+            `).join('');
+
+        // War history, newest first
+        const wars = wasm.getWars().sort((a, b) => b.startTime - a.startTime);
+        document.getElementById('hud-diplo-wars').innerHTML = wars.length === 0
+            ? '<div style="font-size: 11px; color: var(--hud-text-dim);">No wars fought yet</div>'
+            : wars.map(w => {
+                const leader = w.score > 0 ? w.attacker : w.score < 0 ? w.defender : null;
+                const verdict = w.active
+                    ? (leader === null ? 'even' : `${this.getTribeName(leader)} leading`)
+                    : (leader === null ? 'ended in stalemate' : `${this.getTribeName(leader)} prevailed`);
+                const span = w.active
+                    ? `since ${w.startTime.toFixed(0)}s`
+                    : `${w.startTime.toFixed(0)}s – ${w.endTime.toFixed(0)}s`;
+                return `
+                    <div class="hud-diplo-row">
+                        <span class="grow">
+                            ${w.active ? '🔥' : '🏳️'} ${name(w.attacker)} vs ${name(w.defender)}
+                            <div class="dim">${WAR_REASON_LABELS[w.reason] || 'War'} · ${span} · ${verdict}</div>
+                            <div class="dim">score ${w.score} · losses ${w.casualties.attacker}/${w.casualties.defender} · battles ${w.battlesWon.attacker}/${w.battlesWon.defender}</div>
+                        </span>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    // World event timeline from WorldEventManager.getTimeline (calendar seconds)
+    updateEvents(timeline, force = false) {
+        this.eventTimeline = timeline;
+        if (!force && (this.activeTab !== 'events' || !this.sidebarVisible)) return;
+
+        // Every bar shares one axis, from the oldest event listed to the last active event's end
+        const { now, active, past } = timeline;
+        const starts = [...active, ...past].map(e => e.startTime);
+        const axisStart = starts.length > 0 ? Math.min(...starts) : 0;
+        const axisEnd = Math.max(now, ...active.map(e => e.startTime + e.duration));
+        const span = Math.max(1, axisEnd - axisStart);
+
+        const row = (e, end, state) => {
+            const left = ((e.startTime - axisStart) / span) * 100;
+            const width = Math.max(1, ((end - e.startTime) / span) * 100);
+            const color = EVENT_TONE_COLORS[e.tone] || EVENT_TONE_COLORS.neutral;
+            return `
+                <div class="hud-diplo-row" style="border-bottom: none; padding-bottom: 0;">
+                    <span class="grow">${e.icon} ${e.name}</span>
+                    <span class="dim">(${e.x.toFixed(0)}, ${e.z.toFixed(0)})</span>
+                </div>
+                <div class="dim" style="font-size: 10px; color: var(--hud-text-dim);">${state}</div>
+                <div class="hud-diplo-timeline">
+                    <span style="left: ${left}%; width: ${width}%; background: ${color}${end > now ? '66' : ''};"></span>
+                    ${end > now ? `<span style="left: ${left}%; width: ${((now - e.startTime) / span) * 100}%; background: ${color};"></span>` : ''}
+                </div>
+            `;
+        };
+
+        document.getElementById('hud-events-active').innerHTML = active.length === 0
+            ? '<div style="font-size: 11px; color: var(--hud-text-dim);">The world is calm</div>'
+            : active.map(e => {
+                const end = e.startTime + e.duration;
+                return row(e, end, `started ${e.startTime.toFixed(0)}s · ${Math.round(e.progress * 100)}% · ${Math.max(0, end - now).toFixed(0)}s left`);
+            }).join('');
+
+        document.getElementById('hud-events-past').innerHTML = past.length === 0
+            ? '<div style="font-size: 11px; color: var(--hud-text-dim);">No events have ended yet</div>'
+            : past.map(e => row(e, e.endTime, `${e.startTime.toFixed(0)}s – ${e.endTime.toFixed(0)}s`)).join('');
+    }
+
+    // Keep the tribe pickers in sync without resetting the user's choice
+    updateDiplomacySelects(tribeIds) {
+        const key = tribeIds.join(',');
+        if (this._diplomacyTribeKey === key) return;
+        this._diplomacyTribeKey = key;
+
+        ['hud-diplo-tribe-a', 'hud-diplo-tribe-b'].forEach((id, i) => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = tribeIds.map(t => `<option value="${t}">${this.getTribeName(t)}</option>`).join('');
+            if (tribeIds.includes(Number(previous)) && previous !== '') {
+                select.value = previous;
+            } else if (tribeIds.length > i) {
+                select.value = String(tribeIds[i]);
+            }
+        });
+    }
+
     getTribeName(tribeId) {
         const prefixes = ['Sun', 'Moon', 'Star', 'Storm', 'River', 'Mountain', 'Forest', 'Thunder'];
         const suffixes = ['Walkers', 'Seekers', 'Keepers', 'Hunters', 'Builders', 'Warriors', 'Singers', 'Dancers'];
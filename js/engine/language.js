@@ -0,0 +1,67 @@
+// Symbolic Language for Planet Eden
+// Glyphs, names and bubble drawing for the messages organisms send each other
+
+// Matches Symbol in message.zig (index = symbol id)
+export const SYMBOL_NAMES = [
+    'food', 'water', 'shelter', 'danger', 'safe',
+    'happy', 'sad', 'angry', 'fear', 'love',
+    'come', 'go', 'attack', 'defend', 'build', 'gather', 'hunt', 'rest',
+    'here', 'there', 'up', 'down', 'left', 'right',
+    'friend', 'enemy', 'leader', 'follow', 'help', 'trade'
+];
+
+export const SYMBOL_GLYPHS = [
+    '🍖', '💧', '🛖', '⚠️', '🛡️',
+    '😊', '😢', '😠', '😨', '❤️',
+    '👋', '👉', '⚔️', '🧱', '🔨', '🧺', '🏹', '💤',
+    '📍', '🧭', '⬆️', '⬇️', '⬅️', '➡️',
+    '🤝', '👿', '👑', '👣', '🆘', '💱'
+];
+
+// Matches MessageIntent in message.zig
+export const INTENT_NAMES = [
+    'Unknown', 'Warning', 'Threat', 'Asks for help', 'Asks for food',
+    'Asks to build', 'Offers trade', 'Friendly', 'Hostile', 'Command'
+];
+
+// Bubble outline color per intent
+export const INTENT_COLORS = [
+    '#aaaaaa', '#ffcc00', '#ff4444', '#ff8800', '#88cc44',
+    '#bb8844', '#44ccff', '#66ee88', '#cc44cc', '#ffffff'
+];
+
+// Draw a speech bubble holding a message's glyphs; the tail points down at the speaker
+export function drawSpeechBubble(canvas, symbols, intent) {
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+    const tail = h * 0.2;
+    const radius = 12;
+    const bodyH = h - tail - 4;
+
+    ctx.clearRect(0, 0, w, h);
+
+    ctx.beginPath();
+    ctx.moveTo(2 + radius, 2);
+    ctx.arcTo(w - 2, 2, w - 2, 2 + bodyH, radius);
+    ctx.arcTo(w - 2, 2 + bodyH, 2, 2 + bodyH, radius);
+    ctx.lineTo(w / 2 + tail * 0.6, 2 + bodyH);
+    ctx.lineTo(w / 2, h - 2);
+    ctx.lineTo(w / 2 - tail * 0.6, 2 + bodyH);
+    ctx.arcTo(2, 2 + bodyH, 2, 2, radius);
+    ctx.arcTo(2, 2, w - 2, 2, radius);
+    ctx.closePath();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.fill();
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = INTENT_COLORS[intent] || INTENT_COLORS[0];
+    ctx.stroke();
+
+    const text = symbols.map(symbol => SYMBOL_GLYPHS[symbol] || '?').join('');
+    ctx.font = `${Math.floor(bodyH * 0.6)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#222';
+    ctx.fillText(text, w / 2, 2 + bodyH / 2);
+}
@@ -0,0 +1,356 @@
+// Lineage Panel for Planet Eden
+// Family tree of the selected creature or of a whole tribe, drawn from the WASM lineage table (F key)
+
+import { buildChildIndex } from '../wasm-loader.js';
+
+const NO_PARENT = 0xFFFFFFFF;
+const TYPE_COLORS = ['#4a0', '#ff0', '#f60', '#08f'];
+const TYPE_NAMES = ['Plant', 'Herbivore', 'Carnivore', 'Humanoid'];
+
+const MAX_NODES = 400;          // Keep huge dynasties readable (and cheap to lay out)
+const ANCESTOR_GENERATIONS = 6; // How far up the selected creature's line the tree starts
+const NODE_SPACING = 22;
+const ROW_HEIGHT = 48;
+const MARGIN = 24;
+
+export class LineagePanel {
+    constructor() {
+        this.wasmModule = null;
+        this.renderer = null;
+        this.panel = null;
+        this.canvas = null;
+        this.visible = false;
+        this.mode = 'creature';   // 'creature' or 'tribe'
+        this.focusId = null;      // Organism the creature tree is built around
+        this.tribeId = 0;
+        this.layout = null;       // Last drawn nodes, for hover/click
+        this.refreshTimer = null;
+    }
+
+    init(wasmModule, renderer) {
+        this.wasmModule = wasmModule;
+        this.renderer = renderer;
+        this.createPanel();
+        this.setupKeyboard();
+        console.log('[Lineage] Initialized');
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'lineage-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: 820px;
+            max-width: 95vw;
+            background: rgba(10, 20, 10, 0.94);
+            border: 1px solid rgba(100, 200, 100, 0.4);
+            border-radius: 8px;
+            padding: 12px;
+            color: #fff;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 12px;
+            z-index: 1500;
+            display: none;
+        `;
+
+        this.panel.innerHTML = `
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
+                <span style="font-size: 15px; color: #8f8; font-weight: 600;">🌳 Family Tree</span>
+                <select id="lineage-mode" style="background: #121; color: #fff; border: 1px solid #464; border-radius: 4px; padding: 3px;"></select>
+                <span id="lineage-summary" style="flex: 1; color: #888;"></span>
+                <button id="lineage-close" style="background: transparent; border: 1px solid #666; color: #aaa; border-radius: 4px; cursor: pointer; padding: 2px 8px;">✕</button>
+            </div>
+            <div id="lineage-scroll" style="overflow: auto; max-height: 45vh; background: rgba(0,0,0,0.35); border-radius: 6px;">
+                <canvas id="lineage-canvas" width="800" height="200"></canvas>
+            </div>
+            <div id="lineage-info" style="margin-top: 6px; min-height: 16px; color: #aaa;">
+                Filled = alive · hollow = dead · grey branches are extinct · yellow links carried strong mutations
+            </div>
+        `;
+
+        document.body.appendChild(this.panel);
+        this.canvas = this.panel.querySelector('#lineage-canvas');
+
+        this.panel.querySelector('#lineage-close').onclick = () => this.hide();
+        this.panel.querySelector('#lineage-mode').onchange = (e) => {
+            const value = e.target.value;
+            if (value === 'creature') {
+                this.mode = 'creature';
+            } else {
+                this.mode = 'tribe';
+                this.tribeId = Number(value);
+            }
+            this.render();
+        };
+
+        this.canvas.onmousemove = (e) => this.describeNodeAt(e);
+        this.canvas.onclick = (e) => {
+            const node = this.nodeAt(e);
+            if (node && node.alive && this.renderer) {
+                this.renderer.selectOrganism(node.id);
+            }
+        };
+    }
+
+    setupKeyboard() {
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || document.activeElement.tagName === 'INPUT') return;
+            if (e.key === 'f' || e.key === 'F') {
+                if (this.visible) {
+                    this.hide();
+                } else if (this.renderer && this.renderer.selectedOrganism !== null) {
+                    this.showCreature(this.renderer.selectedOrganism);
+                } else {
+                    this.showTribe(this.tribeId);
+                }
+            }
+        });
+    }
+
+    showCreature(orgId) {
+        this.mode = 'creature';
+        this.focusId = orgId;
+        this.show();
+    }
+
+    showTribe(tribeId) {
+        this.mode = 'tribe';
+        this.tribeId = tribeId;
+        this.show();
+    }
+
+    show() {
+        this.visible = true;
+        this.panel.style.display = 'block';
+        this.render();
+
+        // New births and deaths keep arriving, so redraw while open
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.render(), 2000);
+    }
+
+    hide() {
+        this.visible = false;
+        this.panel.style.display = 'none';
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    updateModeSelect() {
+        const select = this.panel.querySelector('#lineage-mode');
+        const tribeCount = this.wasmModule.getStats().tribeCount;
+
+        const options = [];
+        if (this.focusId !== null) {
+            options.push(`<option value="creature">Creature #${this.focusId}</option>`);
+        }
+        for (let t = 0; t < tribeCount; t++) {
+            options.push(`<option value="${t}">Tribe ${t}</option>`);
+        }
+        select.innerHTML = options.join('');
+        select.value = this.mode === 'creature' ? 'creature' : String(this.tribeId);
+    }
+
+    render() {
+        const lineage = this.wasmModule.getLineageData();
+        const organisms = this.wasmModule.getOrganismData();
+        if (!lineage || !organisms) return;
+
+        this.updateModeSelect();
+
+        const roots = this.mode === 'creature'
+            ? [this.findRoot(lineage, this.focusId)]
+            : this.findTribeRoots(lineage, organisms, this.tribeId);
+
+        const tree = this.buildTree(lineage, organisms, roots.filter(id => id !== null && id < lineage.count));
+        this.layout = this.layoutTree(tree);
+        this.draw(tree);
+
+        const living = tree.nodes.filter(n => n.alive).length;
+        const generations = tree.nodes.reduce((max, n) => Math.max(max, n.generation), 0);
+        this.panel.querySelector('#lineage-summary').textContent =
+            `${tree.nodes.length} organisms · ${living} alive · ${generations + 1} generations` +
+            (tree.truncated ? ` · showing first ${MAX_NODES}` : '');
+    }
+
+    // Walk up the primary parent line a few generations so siblings and cousins show too
+    findRoot(lineage, orgId) {
+        if (orgId === null || orgId >= lineage.count) return null;
+
+        let root = orgId;
+        for (let i = 0; i < ANCESTOR_GENERATIONS; i++) {
+            const parent = lineage.parentsA[root];
+            if (parent === NO_PARENT || parent >= lineage.count) break;
+            root = parent;
+        }
+        return root;
+    }
+
+    // Tribe members whose primary parent was not in the tribe start the tribe's branches
+    findTribeRoots(lineage, organisms, tribeId) {
+        const roots = [];
+        for (let id = 0; id < lineage.count; id++) {
+            if (organisms.tribeIds[id] !== tribeId) continue;
+            const parent = lineage.parentsA[id];
+            if (parent === NO_PARENT || parent >= lineage.count || organisms.tribeIds[parent] !== tribeId) {
+                roots.push(id);
+            }
+        }
+        return roots;
+    }
+
+    // Follow primary-parent links down from the roots; second parents become cross links
+    buildTree(lineage, organisms, roots) {
+        const children = new Map();
+        for (const [parent, kids] of buildChildIndex(lineage)) {
+            children.set(parent, kids.filter(id => lineage.parentsA[id] === parent));
+        }
+
+        const nodes = [];
+        const byId = new Map();
+        let truncated = false;
+
+        const visit = (id, depth) => {
+            if (byId.has(id)) return null;
+            if (nodes.length >= MAX_NODES) {
+                truncated = true;
+                return null;
+            }
+
+            const node = {
+                id,
+                depth,
+                type: organisms.types[id],
+                alive: !!organisms.alive[id],
+                generation: lineage.generations[id],
+                mutation: lineage.mutations[id],
+                bornAt: lineage.birthTimes[id],
+                diedAt: lineage.deathTimes[id],
+                mate: lineage.parentsB[id],
+                children: []
+            };
+            nodes.push(node);
+            byId.set(id, node);
+
+            for (const child of children.get(id) || []) {
+                const childNode = visit(child, depth + 1);
+                if (childNode) node.children.push(childNode);
+            }
+
+            // A branch is extinct when nobody in it is still alive
+            node.livingDescendants = (node.alive ? 1 : 0) +
+                node.children.reduce((sum, c) => sum + c.livingDescendants, 0);
+            return node;
+        };
+
+        const rootNodes = roots.map(id => visit(id, 0)).filter(Boolean);
+        return { roots: rootNodes, nodes, byId, truncated };
+    }
+
+    // Leaves take consecutive columns; parents sit centred over their children
+    layoutTree(tree) {
+        let column = 0;
+        let maxDepth = 0;
+
+        const place = (node) => {
+            maxDepth = Math.max(maxDepth, node.depth);
+            if (node.children.length === 0) {
+                node.x = MARGIN + column * NODE_SPACING;
+                column++;
+            } else {
+                node.children.forEach(place);
+                node.x = (node.children[0].x + node.children[node.children.length - 1].x) / 2;
+            }
+            node.y = MARGIN + node.depth * ROW_HEIGHT;
+        };
+        tree.roots.forEach(place);
+
+        this.canvas.width = Math.max(800, MARGIN * 2 + column * NODE_SPACING);
+        this.canvas.height = Math.max(120, MARGIN * 2 + maxDepth * ROW_HEIGHT);
+        return tree.nodes;
+    }
+
+    draw(tree) {
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Parent → child links; strong mutations glow yellow
+        for (const node of tree.nodes) {
+            for (const child of node.children) {
+                const extinct = child.livingDescendants === 0;
+                const strength = Math.min(1, child.mutation * 20);
+                ctx.strokeStyle = extinct ? 'rgba(120, 120, 120, 0.5)' : `rgba(${150 + strength * 105}, ${200 + strength * 55}, ${150 - strength * 150}, 0.8)`;
+                ctx.lineWidth = extinct ? 1 : 1.5 + strength * 2;
+                ctx.beginPath();
+                ctx.moveTo(node.x, node.y);
+                ctx.bezierCurveTo(node.x, node.y + ROW_HEIGHT / 2, child.x, child.y - ROW_HEIGHT / 2, child.x, child.y);
+                ctx.stroke();
+            }
+        }
+
+        // Second parents shown as dashed links when both are in view
+        ctx.setLineDash([3, 3]);
+        ctx.strokeStyle = 'rgba(255, 150, 220, 0.5)';
+        ctx.lineWidth = 1;
+        for (const node of tree.nodes) {
+            const mate = node.mate !== NO_PARENT ? tree.byId.get(node.mate) : null;
+            if (!mate) continue;
+            ctx.beginPath();
+            ctx.moveTo(mate.x, mate.y);
+            ctx.lineTo(node.x, node.y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        for (const node of tree.nodes) {
+            const extinct = node.livingDescendants === 0;
+            const color = extinct ? '#777' : TYPE_COLORS[node.type] || '#fff';
+
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, 6, 0, Math.PI * 2);
+            if (node.alive) {
+                ctx.fillStyle = color;
+                ctx.fill();
+            } else {
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            if (node.id === this.focusId && this.mode === 'creature') {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, 10, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        }
+    }
+
+    nodeAt(e) {
+        if (!this.layout) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        return this.layout.find(n => Math.hypot(n.x - x, n.y - y) < 9) || null;
+    }
+
+    describeNodeAt(e) {
+        const node = this.nodeAt(e);
+        const info = this.panel.querySelector('#lineage-info');
+        if (!node) return;
+
+        const life = node.alive
+            ? `alive, born ${node.bornAt.toFixed(0)}s`
+            : `lived ${node.bornAt.toFixed(0)}s – ${node.diedAt.toFixed(0)}s`;
+        info.textContent = `${TYPE_NAMES[node.type] || 'Organism'} #${node.id} · generation ${node.generation} · ` +
+            `mutation ${node.mutation.toFixed(3)} · ${node.children.length} children · ${life}` +
+            (node.livingDescendants === 0 ? ' · extinct line' : ` · ${node.livingDescendants} living in branch`);
+    }
+}
+
+// Singleton
+export const lineagePanel = new LineagePanel();
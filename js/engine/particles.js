@@ -606,12 +606,19 @@ export class ParticleSystem {
     }
 
     // Effect: Leaves falling from trees
-    emitFallingLeaf(x, y, z) {
+    // color: optional THREE.Color (autumn leaves, blossom petals)
+    emitFallingLeaf(x, y, z, color = null) {
         // Random green-brown color for variety
         const isGreen = Math.random() > 0.3;
-        const r = isGreen ? 0.2 + Math.random() * 0.3 : 0.6 + Math.random() * 0.2;
-        const g = isGreen ? 0.5 + Math.random() * 0.3 : 0.4 + Math.random() * 0.2;
-        const b = isGreen ? 0.1 + Math.random() * 0.1 : 0.1 + Math.random() * 0.1;
+        let r = isGreen ? 0.2 + Math.random() * 0.3 : 0.6 + Math.random() * 0.2;
+        let g = isGreen ? 0.5 + Math.random() * 0.3 : 0.4 + Math.random() * 0.2;
+        let b = isGreen ? 0.1 + Math.random() * 0.1 : 0.1 + Math.random() * 0.1;
+        if (color) {
+            const shade = 0.85 + Math.random() * 0.3;
+            r = color.r * shade;
+            g = color.g * shade;
+            b = color.b * shade;
+        }
 
         this.spawn(
             x + (Math.random() - 0.5) * 2,
@@ -643,6 +650,69 @@ export class ParticleSystem {
         );
     }
 
+    // === GOD POWER EFFECTS (the looks of the legacy powers.js effects) ===
+
+    // A cloud of one color flying apart, up to spread / 2 per second along each axis
+    emitBurst(x, y, z, color, count, size, spread, lifetime) {
+        const c = new THREE.Color(color);
+        for (let i = 0; i < count; i++) {
+            this.spawn(
+                x, y, z,
+                (Math.random() - 0.5) * spread,
+                (Math.random() - 0.5) * spread,
+                (Math.random() - 0.5) * spread,
+                c.r, c.g, c.b,
+                size,
+                lifetime * (0.7 + Math.random() * 0.3)
+            );
+        }
+    }
+
+    // Effect: Glow around a blessed, cursed, cloned or resurrected creature
+    emitGlow(x, y, z, color, lifetime = 2) {
+        this.emitBurst(x, y, z, color, 30, 0.6, 2, lifetime);
+    }
+
+    // Effect: Fiery blast with lingering smoke
+    emitExplosion(x, y, z, color = 0xFF4400) {
+        this.emitBurst(x, y, z, color, 80, 1.2, 8, 1.5);
+        this.emitBurst(x, y, z, 0x555555, 40, 0.8, 4, 2);
+    }
+
+    // Effect: Jagged bolt between two points (Vector3s) ending in a blast
+    emitLightningBolt(from, to) {
+        const steps = 10;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const jitter = i === steps ? 0 : 2;
+            this.emitBurst(
+                from.x + (to.x - from.x) * t + (Math.random() - 0.5) * jitter,
+                from.y + (to.y - from.y) * t + (Math.random() - 0.5) * jitter,
+                from.z + (to.z - from.z) * t + (Math.random() - 0.5) * jitter,
+                0x00DDFF, 15, 0.8, 1, 0.3
+            );
+        }
+        this.emitExplosion(to.x, to.y, to.z, 0x00DDFF);
+    }
+
+    // Effect: Green healing mist with a wider ring of sparkles
+    emitHealingAura(x, y, z) {
+        this.emitBurst(x, y, z, 0x00FF88, 60, 0.5, 5, 2.5);
+        this.emitBurst(x, y, z, 0x88FFAA, 40, 0.3, 8, 1.5);
+    }
+
+    // Effect: Dark plague cloud
+    emitPlagueCloud(x, y, z) {
+        this.emitBurst(x, y, z, 0x440044, 100, 1.0, 6, 3);
+    }
+
+    // Effect: Three waves of magenta sparkles
+    emitEvolution(x, y, z) {
+        for (let wave = 0; wave < 3; wave++) {
+            this.emitBurst(x, y, z, 0xFF00FF, 50, 0.6, 3 + wave, 2 - wave * 0.3);
+        }
+    }
+
     // Update all particles
     update(delta) {
         if (!this.initialized) return;
@@ -0,0 +1,436 @@
+// Replay System for Planet Eden
+// Records every call that mutates the WASM simulation and re-drives a module from the log.
+// The simulation is deterministic for a given seed and call sequence, so a replay
+// reproduces the original run bit-for-bit (verified with periodic state checksums).
+
+import { bytesToBase64, base64ToBytes } from './savesystem.js';
+
+const REPLAY_FORMAT = 'planet-eden-replay';
+const REPLAY_VERSION = 1;
+const CHECKSUM_INTERVAL = 600;   // Frames between recorded checksums (~10s at 60fps)
+const KEYFRAME_INTERVAL = 600;   // Frames between seek keyframes during playback
+const MAX_KEYFRAMES = 30;
+
+export class ReplayRecorder {
+    constructor(wasmModule) {
+        this.wasmModule = wasmModule;
+        this.recording = false;
+        this.start = null;
+        this.calls = [];
+        this.checksums = [];
+        this.frameCount = 0;
+        this.createdAt = null;
+    }
+
+    // Begin recording. Attach before init() to record from the seed, or mid-run to
+    // record from a snapshot of the current world.
+    attach() {
+        this.recording = true;
+        this.calls = [];
+        this.checksums = [];
+        this.frameCount = 0;
+        this.createdAt = new Date().toISOString();
+        this.start = null;
+
+        if (this.wasmModule.initParams) {
+            const snapshot = this.wasmModule.saveState();
+            if (!snapshot) {
+                console.error('[Replay] Cannot record: snapshot of current world failed');
+                this.recording = false;
+                return false;
+            }
+            this.start = { type: 'snapshot', state: bytesToBase64(snapshot) };
+        }
+
+        this.wasmModule.recorder = this;
+        console.log(`[Replay] Recording started (${this.start ? 'from current world' : 'waiting for init'})`);
+        return true;
+    }
+
+    detach() {
+        if (this.wasmModule.recorder === this) {
+            this.wasmModule.recorder = null;
+        }
+        this.recording = false;
+        console.log(`[Replay] Recording stopped (${this.frameCount} frames, ${this.calls.length} calls)`);
+    }
+
+    recordInit(maxOrganisms, seed) {
+        // A re-init discards everything recorded so far
+        this.start = { type: 'init', maxOrganisms, seed };
+        this.calls = [];
+        this.checksums = [];
+        this.frameCount = 0;
+    }
+
+    recordUpdate(delta) {
+        if (!this.start) return;
+        this.calls.push(['update', delta]);
+        this.frameCount++;
+
+        if (this.frameCount % CHECKSUM_INTERVAL === 0) {
+            this.checksums.push([this.frameCount, this.wasmModule.getStateChecksum()]);
+        }
+    }
+
+    recordCall(name, args) {
+        if (!this.start) return;
+        this.calls.push([name, ...args]);
+    }
+
+    // A save loaded mid-recording replaces the world, so the snapshot goes into the log
+    recordLoad(bytes) {
+        if (!this.start) return;
+        this.calls.push(['loadState', bytesToBase64(bytes)]);
+    }
+
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            wasmVersion: this.wasmModule.exports?.getVersion ? this.wasmModule.exports.getVersion() : null,
+            createdAt: this.createdAt,
+            start: this.start,
+            frameCount: this.frameCount,
+            checksums: this.checksums,
+            calls: this.calls
+        };
+    }
+
+    download() {
+        if (!this.start) {
+            console.warn('[Replay] Nothing recorded');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `planet-eden-${Date.now()}.replay.json`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log('[Replay] Downloaded replay');
+    }
+}
+
+export class ReplayPlayer {
+    constructor(wasmModule, replay) {
+        if (!replay || replay.format !== REPLAY_FORMAT) {
+            throw new Error('Not a Planet Eden replay');
+        }
+        if (replay.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${replay.version} is newer than this build supports`);
+        }
+        if (!replay.start) {
+            throw new Error('Replay has no starting point');
+        }
+
+        this.wasmModule = wasmModule;
+        this.replay = replay;
+        this.calls = replay.calls || [];
+        this.checksums = new Map(replay.checksums || []);
+
+        // Index of the first call belonging to each frame (frame N ends with the Nth update)
+        this.frameStarts = [0];
+        this.calls.forEach((call, i) => {
+            if (call[0] === 'update') this.frameStarts.push(i + 1);
+        });
+        this.frameCount = this.frameStarts.length - 1;
+
+        this.frame = 0;
+        this.cursor = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.accumulator = 0;
+        this.keyframes = new Map();
+        this.divergence = null;
+        this.active = false;
+        this.savedRecorder = null;
+
+        // Hooks for the host (e.g. clear renderer meshes when the world is replaced)
+        this.onWorldReset = null;
+        this.onDivergence = null;
+        this.onFinished = null;
+    }
+
+    get finished() {
+        return this.frame >= this.frameCount;
+    }
+
+    // Take ownership of the module and rebuild the starting world
+    begin() {
+        this.savedRecorder = this.wasmModule.recorder;
+        this.wasmModule.recorder = null;
+        this.wasmModule.replayLocked = true;
+        this.active = true;
+
+        if (!this.reset()) {
+            this.end();
+            return false;
+        }
+
+        console.log(`[Replay] Playback started (${this.frameCount} frames)`);
+        return true;
+    }
+
+    end() {
+        this.wasmModule.replayLocked = false;
+        this.wasmModule.recorder = this.savedRecorder;
+        this.savedRecorder = null;
+        this.active = false;
+        this.keyframes.clear();
+    }
+
+    reset() {
+        const start = this.replay.start;
+        let ok;
+        if (start.type === 'init') {
+            ok = this.wasmModule.exports.init(start.maxOrganisms, start.seed);
+        } else {
+            ok = this.wasmModule.restoreState(base64ToBytes(start.state));
+        }
+
+        if (!ok) {
+            console.error('[Replay] Failed to rebuild starting world');
+            return false;
+        }
+
+        this.frame = 0;
+        this.cursor = 0;
+        this.accumulator = 0;
+        this.divergence = null;
+        this.wasmModule.invalidateTribesCache();
+        this.storeKeyframe();
+        if (this.onWorldReset) this.onWorldReset();
+        return true;
+    }
+
+    apply(call) {
+        const [name, ...args] = call;
+        const exports = this.wasmModule.exports;
+
+        if (name === 'loadState') {
+            this.wasmModule.restoreState(base64ToBytes(args[0]));
+            if (this.onWorldReset) this.onWorldReset();
+        } else if (name === 'spawnOrganismWithBrain' && exports[name]) {
+            // Imported brains are recorded with their weights, which must be staged first
+            this.wasmModule.stageBrain(args[5]);
+            exports[name](...args.slice(0, 5));
+        } else if (exports[name]) {
+            exports[name](...args);
+            if (name === 'createTribe') this.wasmModule.invalidateTribesCache();
+        } else {
+            console.warn(`[Replay] Module has no export "${name}", skipping`);
+        }
+    }
+
+    // Run every call of the next frame, ending with its update
+    stepFrame() {
+        if (this.finished) return false;
+
+        const end = this.frameStarts[this.frame + 1];
+        while (this.cursor < end) {
+            this.apply(this.calls[this.cursor++]);
+        }
+        this.frame++;
+
+        this.verifyChecksum();
+        if (this.frame % KEYFRAME_INTERVAL === 0) {
+            this.storeKeyframe();
+        }
+
+        if (this.finished) {
+            console.log('[Replay] Playback finished');
+            if (this.onFinished) this.onFinished();
+        }
+        return true;
+    }
+
+    // Advance by the current speed (called once per rendered frame)
+    tick() {
+        if (this.paused || this.finished) return;
+
+        this.accumulator += this.speed;
+        while (this.accumulator >= 1 && !this.finished) {
+            this.stepFrame();
+            this.accumulator -= 1;
+        }
+    }
+
+    play() {
+        this.paused = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Math.min(16, speed));
+        this.accumulator = 0;
+    }
+
+    // Jump to a frame, restoring the nearest earlier keyframe and fast-forwarding from there
+    seek(targetFrame) {
+        const target = Math.max(0, Math.min(this.frameCount, Math.floor(targetFrame)));
+
+        let best = null;
+        for (const frame of this.keyframes.keys()) {
+            if (frame <= target && (best === null || frame > best)) best = frame;
+        }
+
+        // Only rewind when moving backwards or when a keyframe skips work
+        if (target < this.frame || (best !== null && best > this.frame)) {
+            const keyframe = this.keyframes.get(best);
+            if (!keyframe || !this.wasmModule.restoreState(keyframe.state)) {
+                if (!this.reset()) return;
+            } else {
+                this.frame = best;
+                this.cursor = keyframe.cursor;
+                // A divergence found past the keyframe hasn't happened yet (replaying will find it again)
+                if (this.divergence && this.divergence.frame > best) this.divergence = null;
+                this.wasmModule.invalidateTribesCache();
+                if (this.onWorldReset) this.onWorldReset();
+            }
+        }
+
+        while (this.frame < target) {
+            this.stepFrame();
+        }
+        this.accumulator = 0;
+    }
+
+    // Play the whole replay as fast as possible, returning whether it matched the recording
+    runToEnd() {
+        while (!this.finished) {
+            this.stepFrame();
+            if (this.divergence) break;
+        }
+        return !this.divergence;
+    }
+
+    storeKeyframe() {
+        if (this.keyframes.has(this.frame)) return;
+
+        const state = this.wasmModule.saveState();
+        if (!state) return;
+
+        // Thin out old keyframes, keeping the starting world
+        if (this.keyframes.size >= MAX_KEYFRAMES) {
+            const frames = [...this.keyframes.keys()].filter(f => f !== 0).sort((a, b) => a - b);
+            for (let i = 0; i < frames.length; i += 2) {
+                this.keyframes.delete(frames[i]);
+            }
+        }
+
+        this.keyframes.set(this.frame, { state, cursor: this.cursor });
+    }
+
+    verifyChecksum() {
+        if (this.divergence || !this.checksums.has(this.frame)) return;
+
+        const expected = this.checksums.get(this.frame);
+        const actual = this.wasmModule.getStateChecksum();
+        if (actual !== expected) {
+            this.divergence = { frame: this.frame, expected, actual };
+            console.warn(`[Replay] Diverged at frame ${this.frame} (expected ${expected}, got ${actual})`);
+            if (this.onDivergence) this.onDivergence(this.divergence);
+        }
+    }
+}
+
+// Playback bar shown while a replay is driving the simulation
+export class ReplayControls {
+    constructor(player, onStop) {
+        this.player = player;
+        this.onStop = onStop;
+        this.container = null;
+        this.seeking = false;
+    }
+
+    show() {
+        this.container = document.createElement('div');
+        this.container.id = 'replay-controls';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 8px 14px;
+            background: rgba(0, 0, 0, 0.8);
+            border: 1px solid rgba(100, 200, 100, 0.3);
+            border-radius: 8px;
+            color: #fff;
+            font: 12px "Courier New", monospace;
+            z-index: 1500;
+        `;
+
+        const buttonStyle = 'padding: 4px 10px; background: #333; border: 1px solid #555; border-radius: 4px; color: #fff; cursor: pointer;';
+        this.container.innerHTML = `
+            <span style="color: #f44;">● REPLAY</span>
+            <button data-action="toggle" style="${buttonStyle}">⏸</button>
+            <select data-action="speed" style="${buttonStyle}">
+                <option value="0.25">0.25x</option>
+                <option value="0.5">0.5x</option>
+                <option value="1" selected>1x</option>
+                <option value="2">2x</option>
+                <option value="4">4x</option>
+                <option value="8">8x</option>
+            </select>
+            <input data-action="seek" type="range" min="0" max="${this.player.frameCount}" value="0" style="width: 300px;">
+            <span data-role="frame"></span>
+            <button data-action="stop" style="${buttonStyle}">✕ Stop</button>
+        `;
+        document.body.appendChild(this.container);
+
+        const toggle = this.container.querySelector('[data-action="toggle"]');
+        const seek = this.container.querySelector('[data-action="seek"]');
+
+        toggle.onclick = () => {
+            this.player.togglePause();
+            this.update();
+        };
+        this.container.querySelector('[data-action="speed"]').onchange = (e) => {
+            this.player.setSpeed(parseFloat(e.target.value));
+        };
+        seek.oninput = () => { this.seeking = true; };
+        seek.onchange = () => {
+            this.player.seek(parseInt(seek.value, 10));
+            this.seeking = false;
+        };
+        this.container.querySelector('[data-action="stop"]').onclick = () => this.onStop();
+
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+
+        const player = this.player;
+        this.container.querySelector('[data-action="toggle"]').textContent = player.paused || player.finished ? '▶' : '⏸';
+        if (!this.seeking) {
+            this.container.querySelector('[data-action="seek"]').value = player.frame;
+        }
+
+        const label = this.container.querySelector('[data-role="frame"]');
+        label.textContent = `${player.frame} / ${player.frameCount}`;
+        label.style.color = player.divergence ? '#f84' : '#8f8';
+        label.title = player.divergence ? `Diverged from recording at frame ${player.divergence.frame}` : '';
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
@@ -1,24 +1,121 @@
 // Save/Load System for Planet Eden
-// Handles persistence of simulation state to localStorage
+// Handles persistence of simulation state as named save slots in IndexedDB
+
+const DB_NAME = 'planetEden';
+const DB_VERSION = 1;
+const SLOT_STORE = 'slots';   // Slot metadata + thumbnail (small, listed in the dialog)
+const STATE_STORE = 'states'; // Full game state per slot (large, loaded on demand)
+const FILE_FORMAT = 'planet-eden-save';
+const FILE_VERSION = 1;
+
+// Encode snapshot bytes for JSON storage (chunked to stay under argument limits)
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
+// Only inline base64 images can become a slot thumbnail (it ends up in a style attribute)
+const THUMBNAIL_PATTERN = /^data:image\/[a-z+.-]+;base64,[A-Za-z0-9+/=]+$/;
+
+// Slot metadata from an imported file: just the fields the dialog shows, coerced to safe values
+function importedSlotInfo(info) {
+    return {
+        name: String(info.name || 'Imported world'),
+        timestamp: Number(info.timestamp) || Date.now(),
+        day: Number(info.day) || 0,
+        year: Number(info.year) || 0,
+        population: Number(info.population) || 0,
+        tribes: Number(info.tribes) || 0,
+        playTime: Number(info.playTime) || 0,
+        thumbnail: typeof info.thumbnail === 'string' && THUMBNAIL_PATTERN.test(info.thumbnail) ? info.thumbnail : null
+    };
+}
+
+function newSlotId() {
+    return `slot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SLOT_STORE)) {
+                db.createObjectStore(SLOT_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STATE_STORE)) {
+                db.createObjectStore(STATE_STORE);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
 export class SaveSystem {
     constructor() {
+        // Legacy localStorage keys (migrated into IndexedDB slots on first run)
         this.SAVE_KEY = 'planetEden_saveGame';
         this.AUTOSAVE_KEY = 'planetEden_autoSave';
+        this.AUTOSAVE_SLOT = 'autosave';
         this.AUTOSAVE_INTERVAL = 60000; // 1 minute
 
         this.wasmModule = null;
         this.renderer = null;
         this.eventSystem = null;
+        this.screenshotSystem = null;
+
+        // Called after a save has replaced the world
+        this.onGameLoaded = null;
 
+        this.dbPromise = null;
         this.autosaveTimer = null;
         this.lastSaveTime = null;
     }
 
-    init(wasmModule, renderer, eventSystem) {
+    init(wasmModule, renderer, eventSystem, screenshotSystem = null) {
         this.wasmModule = wasmModule;
         this.renderer = renderer;
         this.eventSystem = eventSystem;
+        this.screenshotSystem = screenshotSystem;
+
+        this.dbPromise = openDatabase();
+        this.migrateLegacySaves().catch(e => console.warn('[SaveSystem] Legacy save migration failed:', e));
 
         this.createUI();
         this.setupKeyboard();
@@ -91,12 +188,12 @@ export class SaveSystem {
 
     setupKeyboard() {
         window.addEventListener('keydown', (e) => {
-            // Ctrl+S to save
+            // Ctrl+S to quick-save into a new slot
             if ((e.ctrlKey || e.metaKey) && e.key === 's') {
                 e.preventDefault();
                 this.saveGame();
             }
-            // Ctrl+L to load
+            // Ctrl+L to open the slot manager
             if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
                 e.preventDefault();
                 this.showLoadDialog();
@@ -169,17 +266,14 @@ export class SaveSystem {
             });
         }
 
-        // Collect tribe resources (from renderer's local tracking)
-        const tribeResources = {};
-        if (this.renderer && this.renderer.tribeResources) {
-            this.renderer.tribeResources.forEach((resources, tribeId) => {
-                tribeResources[tribeId] = { ...resources };
-            });
-        }
+        // Full simulation snapshot (organisms, brains, tribes, diplomacy, tech, territory, ...)
+        const snapshot = this.wasmModule.saveState();
+        if (!snapshot) throw new Error('The simulation could not be snapshotted');
 
         return {
-            version: 1,
+            version: 2,
             timestamp: Date.now(),
+            simulation: bytesToBase64(snapshot),
             stats: {
                 time: stats.time,
                 frameCount: stats.frameCount
@@ -193,83 +287,204 @@ export class SaveSystem {
                 metal: t.metal,
                 color: t.color
             })),
-            buildings,
-            tribeResources
+            buildings
+        };
+    }
+
+    // Build slot metadata for the current world
+    collectSlotInfo(name) {
+        const stats = this.wasmModule.getStats();
+        const calendar = this.wasmModule.getCalendar();
+
+        return {
+            name,
+            timestamp: Date.now(),
+            day: calendar ? calendar.day : 0,
+            year: calendar ? calendar.year : 0,
+            population: stats ? stats.aliveCount : 0,
+            tribes: stats ? stats.tribeCount : 0,
+            playTime: stats ? stats.time : 0,
+            thumbnail: this.screenshotSystem ? this.screenshotSystem.captureThumbnail() : null
         };
     }
 
-    saveGame(slot = 'manual') {
+    defaultSlotName() {
+        const calendar = this.wasmModule.getCalendar();
+        return calendar ? `Year ${calendar.year}, Day ${calendar.day}` : new Date().toLocaleString();
+    }
+
+    // Save the current world into a new slot, or overwrite slotId
+    async saveGame(name = null, slotId = null) {
         try {
             const state = this.collectGameState();
             if (!state) {
                 console.error('[SaveSystem] Failed to collect game state');
-                return false;
+                return null;
             }
 
-            const key = slot === 'auto' ? this.AUTOSAVE_KEY : this.SAVE_KEY;
-            const saveData = JSON.stringify(state);
+            const isAuto = slotId === this.AUTOSAVE_SLOT;
+            const slot = {
+                id: slotId || newSlotId(),
+                ...this.collectSlotInfo(name || (isAuto ? 'Autosave' : this.defaultSlotName())),
+                auto: isAuto
+            };
 
-            localStorage.setItem(key, saveData);
+            await this.writeSlot(slot, state);
             this.lastSaveTime = Date.now();
-
-            const sizeKB = (saveData.length / 1024).toFixed(1);
-            console.log(`[SaveSystem] Game saved (${sizeKB} KB)`);
+            console.log(`[SaveSystem] Game saved to "${slot.name}"`);
 
             // Show notification
-            if (this.eventSystem && slot !== 'auto') {
-                this.eventSystem.log('Save', 'Game saved successfully!', '💾', 'normal');
+            if (this.eventSystem && !isAuto) {
+                this.eventSystem.log('Save', `Saved "${slot.name}"`, '💾', 'normal');
             }
 
-            return true;
+            return slot.id;
         } catch (e) {
             console.error('[SaveSystem] Save failed:', e);
             if (this.eventSystem) {
-                this.eventSystem.log('Error', 'Failed to save game', '❌', 'high');
+                this.eventSystem.log('Error', `Failed to save game: ${e.message}`, '❌', 'high');
             }
-            return false;
+            return null;
         }
     }
 
     autoSave() {
         console.log('[SaveSystem] Auto-saving...');
-        this.saveGame('auto');
+        this.saveGame(null, this.AUTOSAVE_SLOT);
     }
 
-    hasSaveGame(slot = 'manual') {
-        const key = slot === 'auto' ? this.AUTOSAVE_KEY : this.SAVE_KEY;
-        return localStorage.getItem(key) !== null;
+    // === SLOT STORAGE ===
+
+    async writeSlot(slot, state) {
+        const db = await this.dbPromise;
+        const tx = db.transaction([SLOT_STORE, STATE_STORE], 'readwrite');
+        tx.objectStore(SLOT_STORE).put(slot);
+        tx.objectStore(STATE_STORE).put(state, slot.id);
+        await transactionDone(tx);
     }
 
-    getSaveInfo(slot = 'manual') {
-        try {
-            const key = slot === 'auto' ? this.AUTOSAVE_KEY : this.SAVE_KEY;
+    // List slot metadata, newest first
+    async listSlots() {
+        const db = await this.dbPromise;
+        const slots = await promisify(db.transaction(SLOT_STORE).objectStore(SLOT_STORE).getAll());
+        return slots.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async getSlot(slotId) {
+        const db = await this.dbPromise;
+        return promisify(db.transaction(SLOT_STORE).objectStore(SLOT_STORE).get(slotId));
+    }
+
+    async readState(slotId) {
+        const db = await this.dbPromise;
+        return promisify(db.transaction(STATE_STORE).objectStore(STATE_STORE).get(slotId));
+    }
+
+    async hasSaveGame() {
+        return (await this.listSlots()).length > 0;
+    }
+
+    async renameSlot(slotId, name) {
+        const slot = await this.getSlot(slotId);
+        if (!slot) return false;
+
+        const db = await this.dbPromise;
+        const tx = db.transaction(SLOT_STORE, 'readwrite');
+        tx.objectStore(SLOT_STORE).put({ ...slot, name });
+        await transactionDone(tx);
+        return true;
+    }
+
+    async deleteSave(slotId) {
+        const db = await this.dbPromise;
+        const tx = db.transaction([SLOT_STORE, STATE_STORE], 'readwrite');
+        tx.objectStore(SLOT_STORE).delete(slotId);
+        tx.objectStore(STATE_STORE).delete(slotId);
+        await transactionDone(tx);
+        console.log(`[SaveSystem] Deleted slot ${slotId}`);
+    }
+
+    // Move the old two-key localStorage saves into slots
+    async migrateLegacySaves() {
+        const legacy = [
+            { key: this.SAVE_KEY, name: 'Manual Save' },
+            { key: this.AUTOSAVE_KEY, name: 'Autosave (legacy)' }
+        ];
+
+        for (const { key, name } of legacy) {
             const data = localStorage.getItem(key);
-            if (!data) return null;
+            if (!data) continue;
 
             const state = JSON.parse(data);
-            return {
+            await this.writeSlot({
+                id: `legacy-${key}`,
+                name,
                 timestamp: state.timestamp,
-                date: new Date(state.timestamp).toLocaleString(),
-                organisms: state.organisms.length,
-                tribes: state.tribes.length,
-                buildings: state.buildings.length,
-                playTime: state.stats.time
-            };
-        } catch (e) {
-            return null;
+                day: 0,
+                year: 0,
+                population: state.organisms ? state.organisms.length : 0,
+                tribes: state.tribes ? state.tribes.length : 0,
+                playTime: state.stats ? state.stats.time : 0,
+                thumbnail: null,
+                auto: false
+            }, state);
+            localStorage.removeItem(key);
+            console.log(`[SaveSystem] Migrated legacy save "${name}"`);
         }
     }
 
-    showLoadDialog() {
-        const manualSave = this.getSaveInfo('manual');
-        const autoSave = this.getSaveInfo('auto');
+    // === EXPORT / IMPORT ===
+
+    // Download a slot as a shareable .eden file
+    async exportSlot(slotId) {
+        const slot = await this.getSlot(slotId);
+        const state = await this.readState(slotId);
+        if (!slot || !state) return false;
+
+        const file = JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, slot, state });
+        const url = URL.createObjectURL(new Blob([file], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.download = `${slot.name.replace(/[^\w\- ]+/g, '').trim() || 'planet-eden'}.eden`;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`[SaveSystem] Exported "${slot.name}"`);
+        return true;
+    }
+
+    // Import a .eden file as a new slot
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            if (data.format !== FILE_FORMAT || !data.slot || !data.state) {
+                throw new Error('Not a Planet Eden save file');
+            }
+            if (data.version > FILE_VERSION) {
+                throw new Error(`Save file version ${data.version} is newer than this game`);
+            }
+
+            const slot = { ...importedSlotInfo(data.slot), id: newSlotId(), auto: false };
+            await this.writeSlot(slot, data.state);
 
-        if (!manualSave && !autoSave) {
             if (this.eventSystem) {
-                this.eventSystem.log('Load', 'No saved games found', '📂', 'normal');
+                this.eventSystem.log('Import', `Imported "${slot.name}"`, '📥', 'normal');
             }
-            return;
+            return slot.id;
+        } catch (e) {
+            console.error('[SaveSystem] Import failed:', e);
+            if (this.eventSystem) {
+                this.eventSystem.log('Error', `Import failed: ${e.message}`, '❌', 'high');
+            }
+            return null;
         }
+    }
+
+    // === SLOT MANAGER DIALOG ===
+
+    async showLoadDialog() {
+        document.getElementById('load-dialog')?.remove();
 
         // Create modal dialog
         const modal = document.createElement('div');
@@ -288,73 +503,41 @@ export class SaveSystem {
             font-family: 'Segoe UI', sans-serif;
         `;
 
-        const formatTime = (seconds) => {
-            const mins = Math.floor(seconds / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${mins}m ${secs}s`;
-        };
-
         modal.innerHTML = `
             <div style="
                 background: rgba(20, 30, 20, 0.98);
                 border: 2px solid #4a0;
                 border-radius: 12px;
                 padding: 30px;
-                width: 400px;
+                width: 560px;
                 max-width: 90vw;
+                max-height: 85vh;
+                display: flex;
+                flex-direction: column;
                 color: #fff;
                 box-shadow: 0 20px 60px rgba(0, 0, 0, 0.7);
             ">
-                <h2 style="color: #8f8; margin: 0 0 20px 0; text-align: center;">Load Game</h2>
-
-                ${manualSave ? `
-                    <div class="save-slot" style="
-                        background: rgba(0, 0, 0, 0.3);
-                        border: 1px solid #4a0;
-                        border-radius: 8px;
-                        padding: 15px;
-                        margin-bottom: 15px;
-                        cursor: pointer;
-                        transition: all 0.2s;
-                    " onmouseover="this.style.borderColor='#8f8'" onmouseout="this.style.borderColor='#4a0'" onclick="window.loadGameSlot('manual')">
-                        <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                            <span style="color: #8f8; font-weight: 600;">💾 Manual Save</span>
-                            <span style="color: #888; font-size: 12px;">${manualSave.date}</span>
-                        </div>
-                        <div style="color: #aaa; font-size: 13px;">
-                            ${manualSave.organisms} organisms, ${manualSave.tribes} tribes, ${manualSave.buildings} buildings
-                        </div>
-                        <div style="color: #666; font-size: 12px; margin-top: 4px;">
-                            Play time: ${formatTime(manualSave.playTime)}
-                        </div>
-                    </div>
-                ` : ''}
+                <h2 style="color: #8f8; margin: 0 0 20px 0; text-align: center;">Saved Worlds</h2>
 
-                ${autoSave ? `
-                    <div class="save-slot" style="
-                        background: rgba(0, 0, 0, 0.3);
+                <div style="display: flex; gap: 8px; margin-bottom: 15px;">
+                    <input id="save-slot-name" type="text" placeholder="${escapeHtml(this.defaultSlotName())}" style="
+                        flex: 1;
+                        background: rgba(0, 0, 0, 0.4);
                         border: 1px solid #464;
-                        border-radius: 8px;
-                        padding: 15px;
-                        margin-bottom: 15px;
-                        cursor: pointer;
-                        transition: all 0.2s;
-                    " onmouseover="this.style.borderColor='#8f8'" onmouseout="this.style.borderColor='#464'" onclick="window.loadGameSlot('auto')">
-                        <div style="display: flex; justify-content: space-between; margin-bottom: 8px;">
-                            <span style="color: #6a6; font-weight: 600;">🔄 Auto Save</span>
-                            <span style="color: #888; font-size: 12px;">${autoSave.date}</span>
-                        </div>
-                        <div style="color: #aaa; font-size: 13px;">
-                            ${autoSave.organisms} organisms, ${autoSave.tribes} tribes, ${autoSave.buildings} buildings
-                        </div>
-                        <div style="color: #666; font-size: 12px; margin-top: 4px;">
-                            Play time: ${formatTime(autoSave.playTime)}
-                        </div>
-                    </div>
-                ` : ''}
+                        border-radius: 6px;
+                        color: #fff;
+                        padding: 8px 10px;
+                        font-size: 14px;
+                    ">
+                    <button data-action="save-new" style="${this.dialogButtonStyle('#4a0')}">💾 Save</button>
+                    <button data-action="import" style="${this.dialogButtonStyle('#048')}">📥 Import</button>
+                    <input id="save-import-file" type="file" accept=".eden,application/json" style="display: none;">
+                </div>
+
+                <div id="save-slot-list" style="overflow-y: auto; flex: 1;"></div>
 
                 <div style="display: flex; gap: 10px; justify-content: center; margin-top: 20px;">
-                    <button onclick="document.getElementById('load-dialog').remove()" style="
+                    <button data-action="close" style="
                         background: transparent;
                         border: 1px solid #666;
                         color: #888;
@@ -362,52 +545,164 @@ export class SaveSystem {
                         border-radius: 6px;
                         cursor: pointer;
                         font-size: 14px;
-                    ">Cancel</button>
+                    ">Close</button>
                 </div>
             </div>
         `;
 
-        // Setup load function
-        window.loadGameSlot = (slot) => {
-            modal.remove();
-            this.loadGame(slot);
+        modal.onclick = async (e) => {
+            if (e.target === modal) {
+                modal.remove();
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const slotId = button.dataset.slot;
+            switch (button.dataset.action) {
+                case 'close':
+                    modal.remove();
+                    break;
+                case 'save-new': {
+                    const input = modal.querySelector('#save-slot-name');
+                    await this.saveGame(input.value.trim() || null);
+                    input.value = '';
+                    await this.renderSlotList(modal);
+                    break;
+                }
+                case 'import':
+                    modal.querySelector('#save-import-file').click();
+                    break;
+                case 'load':
+                    modal.remove();
+                    await this.loadGame(slotId);
+                    break;
+                case 'overwrite': {
+                    const slot = await this.getSlot(slotId);
+                    if (slot && confirm(`Overwrite "${slot.name}" with the current world?`)) {
+                        await this.saveGame(slot.name, slotId);
+                        await this.renderSlotList(modal);
+                    }
+                    break;
+                }
+                case 'rename': {
+                    const slot = await this.getSlot(slotId);
+                    const name = slot ? prompt('Rename save', slot.name) : null;
+                    if (name && name.trim()) {
+                        await this.renameSlot(slotId, name.trim());
+                        await this.renderSlotList(modal);
+                    }
+                    break;
+                }
+                case 'export':
+                    await this.exportSlot(slotId);
+                    break;
+                case 'delete': {
+                    const slot = await this.getSlot(slotId);
+                    if (slot && confirm(`Delete "${slot.name}"?`)) {
+                        await this.deleteSave(slotId);
+                        await this.renderSlotList(modal);
+                    }
+                    break;
+                }
+            }
         };
 
-        modal.onclick = (e) => {
-            if (e.target === modal) modal.remove();
+        modal.querySelector('#save-import-file').onchange = async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file && await this.importFile(file)) {
+                await this.renderSlotList(modal);
+            }
         };
 
         document.body.appendChild(modal);
+        await this.renderSlotList(modal);
+    }
+
+    async renderSlotList(modal) {
+        const list = modal.querySelector('#save-slot-list');
+        const slots = await this.listSlots();
+
+        const formatTime = (seconds) => {
+            const mins = Math.floor(seconds / 60);
+            const secs = Math.floor(seconds % 60);
+            return `${mins}m ${secs}s`;
+        };
+
+        if (slots.length === 0) {
+            list.innerHTML = '<div style="color: #888; text-align: center; padding: 30px 0;">No saved worlds yet</div>';
+            return;
+        }
+
+        list.innerHTML = slots.map(slot => `
+            <div class="save-slot" style="
+                display: flex;
+                gap: 12px;
+                background: rgba(0, 0, 0, 0.3);
+                border: 1px solid ${slot.auto ? '#464' : '#4a0'};
+                border-radius: 8px;
+                padding: 10px;
+                margin-bottom: 10px;
+            ">
+                <div style="
+                    width: 128px;
+                    height: 72px;
+                    flex-shrink: 0;
+                    border-radius: 4px;
+                    background: #111 ${slot.thumbnail ? `url(${slot.thumbnail}) center / cover` : ''};
+                "></div>
+                <div style="flex: 1; min-width: 0;">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                        <span style="color: ${slot.auto ? '#6a6' : '#8f8'}; font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                            ${slot.auto ? '🔄' : '💾'} ${escapeHtml(slot.name)}
+                        </span>
+                        <span style="color: #888; font-size: 12px; flex-shrink: 0; margin-left: 8px;">${new Date(slot.timestamp).toLocaleString()}</span>
+                    </div>
+                    <div style="color: #aaa; font-size: 13px;">
+                        ${slot.year ? `Year ${slot.year}, Day ${slot.day} · ` : ''}${slot.population} alive, ${slot.tribes} tribes
+                    </div>
+                    <div style="color: #666; font-size: 12px; margin-top: 2px;">
+                        Play time: ${formatTime(slot.playTime || 0)}
+                    </div>
+                    <div style="display: flex; gap: 6px; margin-top: 6px;">
+                        <button data-action="load" data-slot="${escapeHtml(slot.id)}" style="${this.dialogButtonStyle('#4a0')}">Load</button>
+                        <button data-action="overwrite" data-slot="${escapeHtml(slot.id)}" style="${this.dialogButtonStyle('#553')}">Overwrite</button>
+                        <button data-action="rename" data-slot="${escapeHtml(slot.id)}" style="${this.dialogButtonStyle('#335')}">Rename</button>
+                        <button data-action="export" data-slot="${escapeHtml(slot.id)}" style="${this.dialogButtonStyle('#048')}">Export</button>
+                        <button data-action="delete" data-slot="${escapeHtml(slot.id)}" style="${this.dialogButtonStyle('#622')}">Delete</button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
     }
 
-    loadGame(slot = 'manual') {
+    dialogButtonStyle(background) {
+        return `background: ${background}; border: none; border-radius: 4px; color: #fff; padding: 5px 10px; font-size: 12px; cursor: pointer;`;
+    }
+
+    async loadGame(slotId) {
         try {
-            const key = slot === 'auto' ? this.AUTOSAVE_KEY : this.SAVE_KEY;
-            const data = localStorage.getItem(key);
+            const state = await this.readState(slotId);
 
-            if (!data) {
+            if (!state) {
                 console.error('[SaveSystem] No save data found');
                 return false;
             }
 
-            const state = JSON.parse(data);
             console.log('[SaveSystem] Loading save from', new Date(state.timestamp).toLocaleString());
 
-            // Since we can't directly restore WASM state, we'll need to:
-            // 1. Reset the simulation
-            // 2. Recreate organisms
-            // 3. Recreate buildings
-            // 4. Restore tribe resources
-
-            // Note: Full state restoration requires WASM support for loading state
-            // For now, show a message that save/load is a snapshot feature
-
             if (this.eventSystem) {
                 this.eventSystem.log('Load', 'Loading saved game...', '📂', 'high');
             }
 
-            // Attempt to restore what we can
-            this.restoreGameState(state);
+            if (!this.restoreGameState(state)) {
+                if (this.eventSystem) {
+                    this.eventSystem.log('Error', 'Save is from an older version and cannot be restored', '❌', 'high');
+                }
+                return false;
+            }
 
             console.log('[SaveSystem] Game loaded successfully');
             return true;
@@ -421,32 +716,37 @@ export class SaveSystem {
     }
 
     restoreGameState(state) {
-        // Restore tribe resources
-        if (this.renderer && state.tribeResources) {
-            this.renderer.tribeResources.clear();
-            Object.entries(state.tribeResources).forEach(([tribeId, resources]) => {
-                this.renderer.tribeResources.set(parseInt(tribeId), { ...resources });
-            });
+        // Version 1 saves only carried a summary of the world - nothing to rebuild from
+        if (!state.simulation) {
+            console.warn('[SaveSystem] Save has no simulation snapshot');
+            return false;
+        }
+
+        if (!this.wasmModule.loadState(base64ToBytes(state.simulation))) {
+            throw new Error('Simulation snapshot rejected');
+        }
+
+        // Organism ids now refer to the restored world - rebuild meshes from scratch
+        if (this.renderer) {
+            this.renderer.clearOrganisms();
         }
 
-        // Note: Full organism and building restoration would require WASM API support
-        // This is a foundation for when WASM state serialization is implemented
-        console.log(`[SaveSystem] Restored: ${state.organisms.length} organisms, ${state.buildings.length} buildings`);
+        // Imported files may lack the summary arrays - the world itself is already restored
+        const organismCount = state.organisms ? state.organisms.length : 0;
+        const buildingCount = state.buildings ? state.buildings.length : 0;
+        console.log(`[SaveSystem] Restored: ${organismCount} organisms, ${buildingCount} buildings`);
 
         if (this.eventSystem) {
             this.eventSystem.log(
                 'Loaded',
-                `Restored ${state.organisms.length} organisms from ${new Date(state.timestamp).toLocaleDateString()}`,
+                `Restored ${organismCount} organisms from ${new Date(state.timestamp).toLocaleDateString()}`,
                 '✅',
                 'high'
             );
         }
-    }
 
-    deleteSave(slot = 'manual') {
-        const key = slot === 'auto' ? this.AUTOSAVE_KEY : this.SAVE_KEY;
-        localStorage.removeItem(key);
-        console.log(`[SaveSystem] Deleted ${slot} save`);
+        if (this.onGameLoaded) this.onGameLoaded();
+        return true;
     }
 
     dispose() {
@@ -122,6 +122,22 @@ export class ScreenshotSystem {
         this.createScreenshotWithOverlay(canvas);
     }
 
+    // Capture a small JPEG of the current view without flash or preview (used for save slots)
+    captureThumbnail(maxWidth = 240) {
+        if (!this.renderer || !this.renderer.renderer) return null;
+
+        const canvas = this.renderer.renderer.domElement;
+        this.renderer.render();
+
+        const scale = Math.min(1, maxWidth / canvas.width);
+        const thumb = document.createElement('canvas');
+        thumb.width = Math.round(canvas.width * scale);
+        thumb.height = Math.round(canvas.height * scale);
+        thumb.getContext('2d').drawImage(canvas, 0, 0, thumb.width, thumb.height);
+
+        return thumb.toDataURL('image/jpeg', 0.7);
+    }
+
     flashScreen() {
         const flash = document.createElement('div');
         flash.style.cssText = `
@@ -0,0 +1,219 @@
+// Simulation Event Feed for Planet Eden
+// Drains the simulation's event log (see event_log.zig) every frame and hands each
+// birth, death, attack, completed building, diplomatic change, discovery and outbreak
+// to the event log, positional audio, particles and the adaptive music mood
+
+import { eventSystem } from './events.js';
+import { SimEventKind, DeathCause, OrganismType } from '../wasm-loader.js';
+
+// How onDeath in events.js names each DeathCause
+const DEATH_CAUSE_NAMES = {
+    [DeathCause.PREDATION]: 'hunted',
+    [DeathCause.STARVATION]: 'starved',
+    [DeathCause.COMBAT]: 'killed',
+    [DeathCause.DISEASE]: 'disease',
+    [DeathCause.DISASTER]: 'disaster'
+};
+
+const TREATY_CHANGES = {
+    [SimEventKind.TREATY_SIGNED]: 'signed',
+    [SimEventKind.TREATY_BROKEN]: 'broken',
+    [SimEventKind.TREATY_EXPIRED]: 'expired'
+};
+
+// Simulated seconds an event keeps counting towards the music mood
+const RECENT_WINDOW = 10;
+// Fights between creatures within the window before the music turns tense
+const CONFLICT_FIGHTS = 3;
+// Minimum ms between two sounds of the same kind (births and fights come in bursts)
+const SOUND_COOLDOWN = 250;
+
+// =============================================================================
+// SIMULATION EVENT FEED
+// =============================================================================
+export class SimEventFeed {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.listeners = [];
+        this.recent = [];       // Events inside RECENT_WINDOW, oldest first
+        this.time = 0;          // Simulation time of the last update
+        this.lastSound = {};    // Sound name -> performance.now() it last played
+        this.lastCounts = null; // Type counts of the last update (for extinctions)
+    }
+
+    // Call listener(event) for every event drained from now on; returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    // Update - called each frame after the simulation steps
+    // typeCounts is SparklineGraph.countTypes for the same frame
+    update(time, typeCounts = null) {
+        const wasm = this.renderer && this.renderer.wasmModule;
+        if (!wasm) return;
+
+        // Time running backwards means a save or replay replaced the world
+        if (time < this.time) this.recent = [];
+        this.time = time;
+
+        for (const event of wasm.drainEvents()) {
+            this.recent.push(event);
+            this.dispatch(event);
+            for (const listener of this.listeners) listener(event);
+        }
+
+        while (this.recent.length > 0 && this.recent[0].time < time - RECENT_WINDOW) {
+            this.recent.shift();
+        }
+
+        if (typeCounts) this.checkExtinctions(typeCounts);
+    }
+
+    dispatch(event) {
+        const isPlant = event.organismType === OrganismType.PLANT;
+
+        switch (event.kind) {
+            case SimEventKind.BIRTH:
+                if (isPlant) break;
+                eventSystem.onBirth(event.organismType, event.tribe);
+                this.playSound('birth', event);
+                this.emitParticles(event, (particles, pos) => particles.emitBirth(pos.x, pos.y, pos.z, event.organismType));
+                break;
+
+            case SimEventKind.DEATH:
+                if (isPlant) break;
+                eventSystem.onDeath(event.organismType, DEATH_CAUSE_NAMES[event.detail] || 'natural');
+                this.playSound('death', event);
+                if (this.renderer.triggerDeathEffects) {
+                    this.renderer.triggerDeathEffects(this.surfacePosition(event), event.organismType);
+                }
+                break;
+
+            case SimEventKind.ATTACK:
+                if (event.detail === 1) {
+                    eventSystem.onHunt(event.organismType, event.otherType);
+                    this.emitParticles(event, (particles, pos) => particles.emitHunt(pos.x, pos.y, pos.z));
+                } else {
+                    this.emitParticles(event, (particles, pos) => particles.emitCombatImpact(pos.x, pos.y, pos.z, event.organismType));
+                }
+                this.playSound('attack', event);
+                break;
+
+            case SimEventKind.BUILDING_COMPLETE:
+                eventSystem.onBuildingCreated(event.detail, event.tribe);
+                this.playSound('buildingComplete', event);
+                this.emitParticles(event, (particles, pos) => particles.emitConstruction(pos.x, pos.y, pos.z));
+                break;
+
+            case SimEventKind.FIRST_CONTACT:
+                eventSystem.onFirstContact(event.tribe, event.otherTribe);
+                break;
+
+            case SimEventKind.WAR_DECLARED:
+                eventSystem.onWar(event.tribe, event.otherTribe);
+                this.playSound('war');
+                break;
+
+            case SimEventKind.WAR_ENDED:
+                eventSystem.onPeace(event.tribe, event.otherTribe);
+                break;
+
+            case SimEventKind.TREATY_SIGNED:
+            case SimEventKind.TREATY_BROKEN:
+            case SimEventKind.TREATY_EXPIRED:
+                eventSystem.onTreaty(event.detail, event.tribe, event.otherTribe, TREATY_CHANGES[event.kind]);
+                break;
+
+            case SimEventKind.TECH_DISCOVERED:
+                eventSystem.onTechDiscovered(event.detail, event.tribe);
+                this.playSound('discover');
+                break;
+
+            case SimEventKind.DISEASE_OUTBREAK:
+                eventSystem.onOutbreak(event.detail, event.tribe);
+                break;
+        }
+    }
+
+    // A type whose last member just died has gone extinct
+    checkExtinctions(typeCounts) {
+        const last = this.lastCounts;
+        this.lastCounts = { ...typeCounts };
+        if (!last) return;
+
+        const types = [
+            ['plants', OrganismType.PLANT],
+            ['herbivores', OrganismType.HERBIVORE],
+            ['carnivores', OrganismType.CARNIVORE],
+            ['humanoids', OrganismType.HUMANOID]
+        ];
+        for (const [key, type] of types) {
+            if (last[key] > 0 && typeCounts[key] === 0) eventSystem.onExtinction(type);
+        }
+    }
+
+    // Adaptive music inputs from the last RECENT_WINDOW simulated seconds
+    // (see AudioSystem.updateGameState)
+    getMood() {
+        let fights = 0;
+        let wars = 0;
+        let deaths = 0;
+        let births = 0;
+
+        for (const event of this.recent) {
+            if (event.organismType === OrganismType.PLANT) continue;
+            switch (event.kind) {
+                case SimEventKind.ATTACK:
+                    if (event.detail === 0) fights++;
+                    break;
+                case SimEventKind.WAR_DECLARED:
+                    wars++;
+                    break;
+                case SimEventKind.DEATH:
+                    deaths++;
+                    break;
+                case SimEventKind.BIRTH:
+                    births++;
+                    break;
+            }
+        }
+
+        return {
+            isConflict: wars > 0 || fights >= CONFLICT_FIGHTS,
+            recentDeaths: deaths,
+            recentBirths: births
+        };
+    }
+
+    // Planet surface position above an event's flat world position
+    surfacePosition(event) {
+        return this.renderer.positionOnPlanetSurface(event.x, event.z, 0.5).position;
+    }
+
+    emitParticles(event, emit) {
+        const particles = this.renderer && this.renderer.particleSystem;
+        if (!particles || !this.renderer.positionOnPlanetSurface) return;
+
+        emit(particles, this.surfacePosition(event));
+    }
+
+    // Play a sound, at the event's position when one is given
+    playSound(name, event = null) {
+        const audio = this.renderer && this.renderer.audioSystem;
+        if (!audio || !audio.enabled) return;
+
+        const now = performance.now();
+        if (now - (this.lastSound[name] || 0) < SOUND_COOLDOWN) return;
+        this.lastSound[name] = now;
+
+        if (event && this.renderer.positionOnPlanetSurface) {
+            const pos = this.surfacePosition(event);
+            audio.playEventSound(name, { x: pos.x, y: pos.y, z: pos.z });
+        } else {
+            audio.playEventSound(name);
+        }
+    }
+}
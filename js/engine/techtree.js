@@ -0,0 +1,377 @@
+// Tech Tree Panel for Planet Eden
+// Every technology by era with its prerequisites and the selected tribe's progress,
+// plus controls to queue, override or guide the tribe's research (K key)
+
+import { TechState } from '../wasm-loader.js';
+
+// Matches Technology.getName in technology.zig
+export const TECH_NAMES = [
+    'Fire', 'Stone Tools', 'Language', 'Hunting',
+    'Agriculture', 'Pottery', 'Weaving', 'Animal Husbandry',
+    'Bronze Working', 'Writing', 'The Wheel', 'Masonry',
+    'Iron Working', 'Construction', 'Mathematics', 'Medicine',
+    'Philosophy', 'Engineering', 'Astronomy', 'Currency',
+    'Military Tactics', 'Irrigation', 'Calendar', 'Metallurgy'
+];
+
+const TECH_ICONS = [
+    '🔥', '🪨', '🗣️', '🏹',
+    '🌾', '🏺', '🧶', '🐄',
+    '🔔', '📜', '☸️', '🧱',
+    '⚒️', '🏗️', '📐', '⚕️',
+    '🦉', '⚙️', '🔭', '🪙',
+    '🛡️', '💧', '📅', '🔩'
+];
+
+const ERA_NAMES = ['Stone Age', 'Agriculture', 'Bronze Age', 'Iron Age', 'Classical', 'Special'];
+
+const BONUS_LABELS = {
+    food: ['Food', true],
+    wood: ['Wood', true],
+    stone: ['Stone', true],
+    metal: ['Metal', true],
+    attack: ['Attack', false],
+    defense: ['Defense', false],
+    birthRate: ['Birth rate', true],
+    deathRate: ['Death rate', true],
+    diseaseResist: ['Disease resist', true],
+    research: ['Research', true],
+    buildSpeed: ['Build speed', true],
+    buildingHealth: ['Building health', true],
+    trade: ['Trade', true]
+};
+
+const STATE_STYLES = {
+    [TechState.LOCKED]: { border: '#444', background: 'rgba(40, 40, 40, 0.9)', color: '#777', label: 'Locked' },
+    [TechState.AVAILABLE]: { border: '#4a9eff', background: 'rgba(20, 40, 70, 0.9)', color: '#cde', label: 'Available' },
+    [TechState.RESEARCHING]: { border: '#ffd54f', background: 'rgba(70, 60, 20, 0.9)', color: '#fff', label: 'Researching' },
+    [TechState.RESEARCHED]: { border: '#3ddc84', background: 'rgba(20, 60, 35, 0.9)', color: '#fff', label: 'Researched' }
+};
+
+const COLUMN_WIDTH = 150;
+const ROW_HEIGHT = 62;
+const CARD_WIDTH = 124;
+const CARD_HEIGHT = 44;
+const HEADER_HEIGHT = 24;
+
+export class TechTreePanel {
+    constructor() {
+        this.wasmModule = null;
+        this.eventSystem = null;
+        this.panel = null;
+        this.visible = false;
+        this.tribeId = 0;
+        this.selectedTech = null;
+        this.refreshTimer = null;
+    }
+
+    init(wasmModule, eventSystem) {
+        this.wasmModule = wasmModule;
+        this.eventSystem = eventSystem;
+        this.createPanel();
+        this.setupKeyboard();
+        console.log('[TechTree] Initialized');
+    }
+
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'tech-tree-panel';
+        this.panel.style.cssText = `
+            position: fixed;
+            top: 70px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: ${COLUMN_WIDTH * ERA_NAMES.length + 30}px;
+            max-width: 96vw;
+            max-height: 82vh;
+            overflow: auto;
+            background: rgba(12, 14, 18, 0.95);
+            border: 1px solid rgba(80, 130, 200, 0.4);
+            border-radius: 8px;
+            padding: 12px;
+            color: #fff;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 12px;
+            z-index: 1500;
+            display: none;
+        `;
+
+        this.panel.onclick = (e) => {
+            const target = e.target.closest('[data-tech], [data-action]');
+            if (!target) return;
+
+            if (target.dataset.tech !== undefined) {
+                this.selectedTech = Number(target.dataset.tech);
+                this.render();
+                return;
+            }
+            this.handleAction(target.dataset.action);
+        };
+
+        this.panel.onchange = (e) => {
+            if (e.target.id === 'tech-tree-tribe') {
+                this.tribeId = Number(e.target.value);
+                this.render();
+            } else if (e.target.id === 'tech-tree-guided') {
+                this.wasmModule.setResearchGuided(this.tribeId, e.target.checked);
+                this.render();
+            }
+        };
+
+        document.body.appendChild(this.panel);
+    }
+
+    setupKeyboard() {
+        window.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || document.activeElement.tagName === 'INPUT') return;
+            if (e.key === 'k' || e.key === 'K') {
+                this.toggle();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show(tribeId = this.tribeId) {
+        this.tribeId = tribeId;
+        this.visible = true;
+        this.panel.style.display = 'block';
+        this.render();
+
+        // Research progresses every tick, so keep the tree current while open
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.render(), 1000);
+    }
+
+    hide() {
+        this.visible = false;
+        this.panel.style.display = 'none';
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    handleAction(action) {
+        const tech = this.selectedTech;
+        const name = tech !== null ? TECH_NAMES[tech] : '';
+        let message = null;
+
+        switch (action) {
+            case 'close':
+                this.hide();
+                return;
+            case 'queue':
+                if (this.wasmModule.queueResearch(this.tribeId, tech)) message = `${name} added to the research plan`;
+                break;
+            case 'unqueue':
+                this.wasmModule.unqueueResearch(this.tribeId, tech);
+                break;
+            case 'research-now':
+                if (this.wasmModule.setResearch(this.tribeId, tech)) message = `Scholars turn to ${name}`;
+                break;
+            case 'grant':
+                this.wasmModule.grantTechnology(this.tribeId, tech);
+                message = `${name} revealed by divine inspiration`;
+                break;
+            case 'clear-queue':
+                this.wasmModule.clearResearchQueue(this.tribeId);
+                break;
+        }
+
+        if (message && this.eventSystem) {
+            this.eventSystem.log('Research', message, '📜', 'normal');
+        }
+        this.render();
+    }
+
+    render() {
+        const tree = this.wasmModule.getTechTree();
+        const tribes = this.wasmModule.getAllTribes();
+
+        if (tribes.length === 0) {
+            this.panel.innerHTML = `
+                ${this.renderHeader([], null)}
+                <div style="color: #888; padding: 24px; text-align: center;">No tribes yet - create one to research technologies</div>
+            `;
+            return;
+        }
+        if (!tribes.some(t => t.id === this.tribeId)) this.tribeId = tribes[0].id;
+
+        const research = this.wasmModule.getTribeResearch(this.tribeId);
+        const positions = this.layout(tree);
+
+        this.panel.innerHTML = `
+            ${this.renderHeader(tribes, research)}
+            <div style="position: relative; width: ${COLUMN_WIDTH * ERA_NAMES.length}px; height: ${HEADER_HEIGHT + ROW_HEIGHT * 4}px;">
+                ${ERA_NAMES.map((era, i) => `
+                    <div style="position: absolute; left: ${i * COLUMN_WIDTH}px; top: 0; width: ${CARD_WIDTH}px; text-align: center; color: #6a7585; font-size: 10px; text-transform: uppercase; letter-spacing: 0.5px;">${era}</div>
+                `).join('')}
+                ${this.renderLinks(tree, positions, research)}
+                ${tree.map(tech => this.renderCard(tech, positions[tech.id], research)).join('')}
+            </div>
+            ${this.renderDetails(tree, research)}
+        `;
+    }
+
+    renderHeader(tribes, research) {
+        const queue = research && research.queue.length > 0
+            ? research.queue.map((id, i) => `${i + 1}. ${TECH_ICONS[id]} ${TECH_NAMES[id]}`).join(' → ')
+            : 'empty';
+        const current = research && research.current !== null
+            ? `${TECH_ICONS[research.current]} ${TECH_NAMES[research.current]} (${research.progress.toFixed(0)}%)`
+            : 'nothing';
+
+        return `
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 8px;">
+                <span style="font-size: 15px; color: #4a9eff; font-weight: 600;">📜 Technology Tree</span>
+                <select id="tech-tree-tribe" style="background: #141820; color: #fff; border: 1px solid #345; border-radius: 4px; padding: 3px;">
+                    ${tribes.map(t => `<option value="${t.id}" ${t.id === this.tribeId ? 'selected' : ''}>Tribe ${t.id}</option>`).join('')}
+                </select>
+                ${research ? `
+                    <label style="color: #aaa; cursor: pointer;" title="Guided tribes only research what is queued">
+                        <input id="tech-tree-guided" type="checkbox" ${research.guided ? 'checked' : ''}> Guided
+                    </label>
+                    <span style="color: #888;">Era ${research.era} · ${research.level} techs</span>
+                ` : ''}
+                <span style="flex: 1;"></span>
+                <button data-action="close" style="${this.buttonStyle('#666')}">✕</button>
+            </div>
+            ${research ? `
+                <div style="color: #aaa; margin-bottom: 8px; line-height: 1.6;">
+                    Researching: <span style="color: #ffd54f;">${current}</span><br>
+                    Queue: <span style="color: #cde;">${queue}</span>
+                    ${research.queue.length > 0 ? `<button data-action="clear-queue" style="${this.buttonStyle('#a44')} margin-left: 6px;">Clear</button>` : ''}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    // Columns by era, rows in tree order within the era
+    layout(tree) {
+        const rows = new Array(ERA_NAMES.length).fill(0);
+        const positions = [];
+        for (const tech of tree) {
+            const row = rows[tech.era]++;
+            positions[tech.id] = {
+                x: tech.era * COLUMN_WIDTH,
+                y: HEADER_HEIGHT + row * ROW_HEIGHT
+            };
+        }
+        return positions;
+    }
+
+    renderLinks(tree, positions, research) {
+        const lines = [];
+        for (const tech of tree) {
+            const to = positions[tech.id];
+            for (const prereq of tech.prereqs) {
+                const from = positions[prereq];
+                const met = research.states[prereq] === TechState.RESEARCHED;
+                const x1 = from.x + CARD_WIDTH;
+                const y1 = from.y + CARD_HEIGHT / 2;
+                const x2 = to.x;
+                const y2 = to.y + CARD_HEIGHT / 2;
+                // Same-era links (special techs) curve around the card column
+                const bend = x2 > x1 ? (x2 - x1) / 2 : 40;
+                lines.push(`<path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" stroke="${met ? '#3ddc84' : '#445'}" stroke-width="${met ? 1.6 : 1}" fill="none" opacity="0.8"/>`);
+            }
+        }
+        return `<svg style="position: absolute; left: 0; top: 0; pointer-events: none;" width="${COLUMN_WIDTH * ERA_NAMES.length}" height="${HEADER_HEIGHT + ROW_HEIGHT * 4}">${lines.join('')}</svg>`;
+    }
+
+    renderCard(tech, pos, research) {
+        const state = research.states[tech.id];
+        const style = STATE_STYLES[state];
+        const queuePosition = research.queue.indexOf(tech.id);
+        const selected = tech.id === this.selectedTech;
+        const progress = state === TechState.RESEARCHING ? research.progress : (state === TechState.RESEARCHED ? 100 : 0);
+
+        return `
+            <div data-tech="${tech.id}" title="${TECH_NAMES[tech.id]} - ${style.label}" style="
+                position: absolute;
+                left: ${pos.x}px;
+                top: ${pos.y}px;
+                width: ${CARD_WIDTH}px;
+                height: ${CARD_HEIGHT}px;
+                box-sizing: border-box;
+                padding: 4px 6px;
+                background: ${style.background};
+                border: ${selected ? 2 : 1}px solid ${selected ? '#fff' : style.border};
+                border-radius: 5px;
+                color: ${style.color};
+                cursor: pointer;
+                overflow: hidden;
+            ">
+                <div style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${TECH_ICONS[tech.id]} ${TECH_NAMES[tech.id]}</div>
+                <div style="font-size: 10px; color: #888;">${tech.cost} pts${queuePosition >= 0 ? ` · <span style="color: #4a9eff;">#${queuePosition + 1} queued</span>` : ''}</div>
+                <div style="position: absolute; left: 0; bottom: 0; height: 3px; width: ${progress}%; background: ${style.border};"></div>
+            </div>
+        `;
+    }
+
+    renderDetails(tree, research) {
+        if (this.selectedTech === null) {
+            return '<div style="color: #666; margin-top: 8px;">Click a technology for details and research controls</div>';
+        }
+
+        const tech = tree[this.selectedTech];
+        const state = research.states[tech.id];
+        const queued = research.queue.includes(tech.id);
+
+        const bonuses = Object.entries(tech.bonuses).map(([key, value]) => {
+            const [label, percent] = BONUS_LABELS[key];
+            const amount = percent ? `${(value * 100).toFixed(0)}%` : value.toFixed(0);
+            return `<span style="color: ${value > 0 ? '#3ddc84' : '#ff8a65'};">${label} ${value > 0 ? '+' : ''}${amount}</span>`;
+        }).join(' · ');
+
+        const prereqs = tech.prereqs.length === 0
+            ? 'none'
+            : tech.prereqs.map(id => {
+                const met = research.states[id] === TechState.RESEARCHED;
+                return `<span style="color: ${met ? '#3ddc84' : '#ff6b6b'};">${TECH_NAMES[id]}</span>`;
+            }).join(', ');
+
+        const actions = [];
+        if (state !== TechState.RESEARCHED) {
+            if (queued) {
+                actions.push(`<button data-action="unqueue" style="${this.buttonStyle('#a44')}">Remove from queue</button>`);
+            } else if (state !== TechState.RESEARCHING) {
+                actions.push(`<button data-action="queue" style="${this.buttonStyle('#4a9eff')}">${state === TechState.LOCKED ? 'Queue with prerequisites' : 'Queue'}</button>`);
+            }
+            if (state === TechState.AVAILABLE) {
+                actions.push(`<button data-action="research-now" style="${this.buttonStyle('#ffd54f')}">Research now</button>`);
+            }
+            if (state !== TechState.LOCKED) {
+                actions.push(`<button data-action="grant" style="${this.buttonStyle('#b388ff')}">✨ Grant</button>`);
+            }
+        }
+
+        return `
+            <div style="margin-top: 10px; padding: 10px; background: rgba(255,255,255,0.04); border-radius: 6px;">
+                <div style="font-size: 14px; margin-bottom: 4px;">${TECH_ICONS[tech.id]} ${TECH_NAMES[tech.id]} <span style="color: #888; font-size: 11px;">${ERA_NAMES[tech.era]} · ${tech.cost} research points · ${STATE_STYLES[state].label}</span></div>
+                <div style="color: #aaa; margin-bottom: 4px;">Requires: ${prereqs}</div>
+                <div style="margin-bottom: 8px;">${bonuses || '<span style="color: #666;">No direct bonuses</span>'}</div>
+                <div style="display: flex; gap: 6px;">${actions.join('')}</div>
+            </div>
+        `;
+    }
+
+    buttonStyle(color) {
+        return `
+            background: ${color}33;
+            border: 1px solid ${color};
+            color: #fff;
+            border-radius: 4px;
+            padding: 3px 8px;
+            cursor: pointer;
+        `;
+    }
+}
+
+// Singleton
+export const techTreePanel = new TechTreePanel();
@@ -13,6 +13,7 @@ export class TimeSystem {
         this.gameTime = this.startHour / 24; // 0-1 representing full day cycle
         this.day = 1;
         this.paused = false;
+        this.synced = false; // Following an external clock (see syncTo)
 
         // Celestial bodies
         this.sunAngle = 0;
@@ -81,7 +82,7 @@ export class TimeSystem {
     }
 
     update(deltaMs) {
-        if (this.paused) return;
+        if (this.paused || this.synced) return;
 
         const deltaSeconds = deltaMs / 1000;
         const dayProgress = deltaSeconds / this.dayLengthSeconds;
@@ -221,6 +222,37 @@ export class TimeSystem {
         this.setTime(hour / 24);
     }
 
+    // Follow an external clock (the simulation's calendar) instead of our own.
+    // lightLevel (0.2-1) sets the ambient light when given
+    syncTo(timeOfDay, day, lightLevel = null) {
+        this.synced = true;
+
+        if (day !== this.day) {
+            this.day = day;
+            if (this.onDayChange) {
+                this.onDayChange(this.day);
+            }
+        }
+
+        this.gameTime = timeOfDay % 1.0;
+        this.sunAngle = this.gameTime * Math.PI * 2 - Math.PI / 2;
+        this.moonAngle = this.sunAngle + Math.PI;
+        this.updateLighting();
+
+        if (lightLevel !== null) {
+            this.ambientIntensity = 0.1 + Math.max(0, lightLevel - 0.2) * 0.5;
+        }
+
+        if (this.onTimeChange) {
+            this.onTimeChange(this.getTimeInfo());
+        }
+    }
+
+    // Go back to advancing our own clock from where the external one left off
+    unsync() {
+        this.synced = false;
+    }
+
     pause() {
         this.paused = true;
     }
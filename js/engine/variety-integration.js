@@ -1,7 +1,7 @@
 // Variety Integration Module for Planet Eden
 // Connects all variety systems and provides unified API for renderer
 
-import { varietySystem, HerbivoreSpecies, CarnivoreSpecies, Biomes, BehaviorPatterns, VisualVariety } from './variety.js';
+import { varietySystem, getSimulationSpecies, HerbivoreSpecies, CarnivoreSpecies, Biomes, BehaviorPatterns, VisualVariety } from './variety.js';
 import { creatureVisuals } from './creatures.js';
 import { BuildingVisuals, BuildingDefinitions } from './buildings.js';
 import { WorldEventManager } from './world-events.js';
@@ -113,15 +113,16 @@ export class VarietyIntegration {
     // ==========================================================================
 
     // Assign species to a creature based on position and type
-    assignCreatureSpecies(creatureId, organismType, worldX, worldZ) {
+    // Pass the simulation's species id to use it instead of picking one by biome
+    assignCreatureSpecies(creatureId, organismType, worldX, worldZ, simSpeciesId = null) {
         const biome = this.getBiomeAt(worldX, worldZ);
-        let species = null;
+        let species = getSimulationSpecies(simSpeciesId);
 
         if (organismType === 1) { // Herbivore
-            species = varietySystem.getRandomHerbivoreSpecies(biome.name?.toLowerCase());
+            species = species || varietySystem.getRandomHerbivoreSpecies(biome.name?.toLowerCase());
             this.herbivoreCount.set(species.name, (this.herbivoreCount.get(species.name) || 0) + 1);
         } else if (organismType === 2) { // Carnivore
-            species = varietySystem.getRandomCarnivoreSpecies(biome.name?.toLowerCase());
+            species = species || varietySystem.getRandomCarnivoreSpecies(biome.name?.toLowerCase());
             this.carnivoreCount.set(species.name, (this.carnivoreCount.get(species.name) || 0) + 1);
         }
 
@@ -197,11 +198,11 @@ export class VarietyIntegration {
     }
 
     // Create a creature mesh with species variety
-    createCreatureMesh(organismType, creatureId, worldX = 0, worldZ = 0) {
+    createCreatureMesh(organismType, creatureId, worldX = 0, worldZ = 0, simSpeciesId = null) {
         // Assign species if not already assigned
         let speciesData = this.creatureSpecies.get(creatureId);
         if (!speciesData && (organismType === 1 || organismType === 2)) {
-            speciesData = this.assignCreatureSpecies(creatureId, organismType, worldX, worldZ);
+            speciesData = this.assignCreatureSpecies(creatureId, organismType, worldX, worldZ, simSpeciesId);
         }
 
         if (speciesData && speciesData.species) {
@@ -415,10 +416,10 @@ export class VarietyIntegration {
     // WORLD EVENTS API
     // ==========================================================================
 
-    // Update world events
-    updateWorldEvents(deltaMs, simTime, stats) {
+    // Update world events (mirrors the simulation's active events)
+    updateWorldEvents(deltaMs) {
         if (this.worldEvents) {
-            this.worldEvents.update(deltaMs, simTime, stats);
+            this.worldEvents.update(deltaMs);
         }
     }
 
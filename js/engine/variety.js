@@ -242,6 +242,18 @@ export const CarnivoreSpecies = {
     }
 };
 
+// Simulation species ids list the herbivores first, then the carnivores (see species.zig)
+const SIM_CARNIVORE_FIRST = 5;
+
+// The species behind a simulation species id, or null for plants and humanoids
+export function getSimulationSpecies(simSpeciesId) {
+    if (simSpeciesId == null) return null;
+    const herbivores = Object.values(HerbivoreSpecies);
+    const carnivores = Object.values(CarnivoreSpecies);
+    if (simSpeciesId < SIM_CARNIVORE_FIRST) return herbivores.find(s => s.id === simSpeciesId) || null;
+    return carnivores.find(s => s.id === simSpeciesId - SIM_CARNIVORE_FIRST) || null;
+}
+
 // =============================================================================
 // BIOME DEFINITIONS
 // =============================================================================
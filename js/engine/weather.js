@@ -3,6 +3,28 @@
 
 import * as THREE from 'three';
 
+// Simulation weather names (index = Weather in seasons.zig)
+export const WEATHER_KEYS = ['clear', 'cloudy', 'rain', 'storm', 'snow', 'blizzard', 'drought', 'fog', 'heat_wave'];
+
+// Simulation seasons (index = Season in seasons.zig)
+export const SEASON_NAMES = ['Spring', 'Summer', 'Autumn', 'Winter'];
+
+// How each simulation weather looks in the sky: the share of clouds that are
+// active, the state they take and what falls from them
+const SIM_WEATHER_CLOUDS = [
+    { coverage: 0.15, state: 'cloudy', precipitation: 'rain' }, // clear
+    { coverage: 0.6, state: 'cloudy', precipitation: 'rain' },  // cloudy
+    { coverage: 0.6, state: 'rain', precipitation: 'rain' },    // rain
+    { coverage: 0.75, state: 'storm', precipitation: 'rain' },  // storm
+    { coverage: 0.6, state: 'rain', precipitation: 'snow' },    // snow
+    { coverage: 0.9, state: 'storm', precipitation: 'snow' },   // blizzard
+    { coverage: 0, state: 'clear', precipitation: 'rain' },     // drought
+    { coverage: 0.9, state: 'cloudy', precipitation: 'rain' },  // fog
+    { coverage: 0.05, state: 'cloudy', precipitation: 'rain' }  // heat wave
+];
+
+const WINTER = 3;
+
 export class WeatherSystem {
     constructor(scene, planetRadius = 50, getTerrainHeight = null) {
         this.scene = scene;
@@ -45,6 +67,15 @@ export class WeatherSystem {
         this.onWeatherChange = null;
         this.lastWeatherSummary = 'clear';
 
+        // Simulation sync: when syncedWeather is set, cloud states follow the
+        // simulation instead of the local water cycle (see syncWeather)
+        this.syncedWeather = null;
+        this.syncedSeason = 0;
+        this.precipitation = 'rain';
+
+        // Called with (weather, duration) when JS changes the weather, so the simulation can follow
+        this.onWeatherOverride = null;
+
         this.init();
     }
 
@@ -157,7 +188,9 @@ export class WeatherSystem {
             // Moisture tracking for water cycle - storms/rain start with more moisture
             moisture: initialState === 'storm' ? (0.7 + Math.random() * 0.3) :
                       (initialState === 'rain' ? (0.5 + Math.random() * 0.3) : Math.random() * 0.5),
-            isOverWater: false
+            isOverWater: false,
+            // Order in which clouds join in when the simulation's cloud cover grows
+            syncRank: Math.random()
         };
 
         return cell;
@@ -402,19 +435,21 @@ export class WeatherSystem {
         cloud.isOverWater = this.isPositionOverWater(normalized.x, normalized.y, normalized.z);
 
         // WATER CYCLE: Clouds gain moisture over water, release it as rain over land
+        // (while synced, moisture still flows but the simulation picks the states)
+        const freeRunning = this.syncedWeather === null;
         if (cloud.isOverWater) {
             // Over water: absorb moisture (evaporation)
             cloud.moisture = Math.min(1.0, cloud.moisture + deltaSeconds * 0.08);
 
             // High moisture over water = grow into rain cloud
-            if (cloud.moisture > 0.6 && cloud.weatherState === 'clear') {
+            if (freeRunning && cloud.moisture > 0.6 && cloud.weatherState === 'clear') {
                 cloud.weatherState = 'cloudy';
                 cloud.targetIntensity = 0.4;
                 cloud.stateTimer = 15 + Math.random() * 20;
             }
         } else {
             // Over land: release moisture as rain if saturated
-            if (cloud.moisture > 0.7) {
+            if (freeRunning && cloud.moisture > 0.7) {
                 // Trigger rain when moving from water to land with high moisture
                 if (cloud.weatherState === 'cloudy' || cloud.weatherState === 'clear') {
                     cloud.weatherState = 'rain';
@@ -428,7 +463,7 @@ export class WeatherSystem {
                 cloud.moisture = Math.max(0, cloud.moisture - deltaSeconds * 0.1);
 
                 // Stop raining when moisture depleted
-                if (cloud.moisture < 0.2) {
+                if (freeRunning && cloud.moisture < 0.2) {
                     cloud.weatherState = 'cloudy';
                     cloud.targetIntensity = 0.2;
                     cloud.stateTimer = 5 + Math.random() * 10;
@@ -436,7 +471,7 @@ export class WeatherSystem {
             }
 
             // Dissipate dry clouds over land
-            if (cloud.moisture < 0.3 && cloud.weatherState === 'cloudy') {
+            if (freeRunning && cloud.moisture < 0.3 && cloud.weatherState === 'cloudy') {
                 cloud.weatherState = 'clear';
                 cloud.targetIntensity = 0;
                 cloud.stateTimer = 20 + Math.random() * 30;
@@ -456,7 +491,7 @@ export class WeatherSystem {
         cloud.stateProgress += deltaSeconds;
         cloud.stateTimer -= deltaSeconds;
 
-        if (cloud.stateTimer <= 0) {
+        if (cloud.stateTimer <= 0 && freeRunning) {
             this.transitionCloudState(cloud);
         }
 
@@ -606,6 +641,12 @@ export class WeatherSystem {
         const targetOpacity = cloud.weatherState === 'storm' ? 0.9 : 0.6;
         rain.points.material.opacity += (targetOpacity - rain.points.material.opacity) * deltaSeconds * 2;
 
+        // Snow is whiter, larger and falls slower
+        const snowing = this.precipitation === 'snow';
+        rain.points.material.color.setHex(snowing ? 0xffffff : 0xaaccff);
+        rain.points.material.size = snowing ? 0.5 : 0.3;
+        const fallSpeed = snowing ? 0.3 : 0.8;
+
         // Get cloud world position
         const cloudWorldPos = cloud.group.position.clone();
 
@@ -625,7 +666,7 @@ export class WeatherSystem {
             const vel = rain.velocities[i];
 
             // Advance progress
-            vel.progress += vel.speed * deltaSeconds * 0.8;
+            vel.progress += vel.speed * deltaSeconds * fallSpeed;
 
             // Reset if fallen too far
             if (vel.progress > 1) {
@@ -757,21 +798,76 @@ export class WeatherSystem {
             windStrength: this.windStrength,
             windDirection: this.windDirection.clone(),
             isRaining: activeCount > 3,
-            isStorming: this.clouds.some(c => c.weatherState === 'storm')
+            isStorming: this.clouds.some(c => c.weatherState === 'storm'),
+            isSnowing: this.precipitation === 'snow' && this.clouds.some(c => c.weatherState === 'rain' || c.weatherState === 'storm'),
+            simulationWeather: this.syncedWeather
         };
     }
 
+    // Follow the simulation's weather (Weather index) and season; clouds are only
+    // reassigned when the simulation's weather changes, so hand-set clouds survive
+    syncWeather(weather, season) {
+        this.syncedSeason = season;
+        const look = SIM_WEATHER_CLOUDS[weather] || SIM_WEATHER_CLOUDS[0];
+        this.precipitation = season === WINTER ? 'snow' : look.precipitation;
+        if (weather === this.syncedWeather) return;
+
+        this.syncedWeather = weather;
+        for (const cloud of this.clouds) {
+            let state = cloud.syncRank < look.coverage ? look.state : 'clear';
+            if (state === 'storm' && !cloud.canStorm) state = 'rain';
+            this.setCloudState(cloud, state);
+        }
+    }
+
+    // Let the local water cycle drive the clouds again
+    stopSync() {
+        this.syncedWeather = null;
+        this.precipitation = 'rain';
+    }
+
+    setCloudState(cloud, state) {
+        cloud.weatherState = state;
+        switch (state) {
+            case 'clear': cloud.targetIntensity = 0; break;
+            case 'cloudy': cloud.targetIntensity = 0.3; break;
+            case 'rain': cloud.targetIntensity = 0.7; break;
+            case 'storm': cloud.targetIntensity = 1.0; break;
+        }
+    }
+
+    // Simulation weather (Weather index) that best matches the clouds right now
+    getDominantWeather() {
+        let storms = 0;
+        let raining = 0;
+        let active = 0;
+        for (const cloud of this.clouds) {
+            if (cloud.weatherState === 'storm') storms++;
+            if (cloud.weatherState === 'rain') raining++;
+            if (cloud.weatherState !== 'clear') active++;
+        }
+
+        const winter = this.syncedSeason === WINTER;
+        if (storms > 0) return WEATHER_KEYS.indexOf(winter && storms > this.clouds.length / 2 ? 'blizzard' : 'storm');
+        if (raining >= 3) return WEATHER_KEYS.indexOf(winter ? 'snow' : 'rain');
+        if (active > 0) return WEATHER_KEYS.indexOf('cloudy');
+        return WEATHER_KEYS.indexOf('clear');
+    }
+
+    // Tell the simulation about weather changed from JS (god powers, cloud seeding)
+    reportWeatherOverride(duration) {
+        const weather = this.getDominantWeather();
+        if (this.syncedWeather !== null) this.syncedWeather = weather;
+        if (this.onWeatherOverride) {
+            this.onWeatherOverride(weather, duration);
+        }
+    }
+
     // Set weather for a specific cloud (god power)
     setCloudWeather(cloudIndex, weather) {
         if (cloudIndex >= 0 && cloudIndex < this.clouds.length) {
-            const cloud = this.clouds[cloudIndex];
-            cloud.weatherState = weather;
-            switch (weather) {
-                case 'clear': cloud.targetIntensity = 0; break;
-                case 'cloudy': cloud.targetIntensity = 0.3; break;
-                case 'rain': cloud.targetIntensity = 0.7; break;
-                case 'storm': cloud.targetIntensity = 1.0; break;
-            }
+            this.setCloudState(this.clouds[cloudIndex], weather);
+            this.reportWeatherOverride(30);
         }
     }
 
@@ -784,6 +880,7 @@ export class WeatherSystem {
                 cloud.stateTimer = 30;
             }
         }
+        this.reportWeatherOverride(30);
     }
 
     // Clear all weather (god power)
@@ -793,6 +890,7 @@ export class WeatherSystem {
             cloud.targetIntensity = 0;
             cloud.stateTimer = 60;
         }
+        this.reportWeatherOverride(60);
     }
 
     dispose() {
@@ -1,9 +1,32 @@
 // World Events Extension for Planet Eden
-// Dramatic random events that create emergent storytelling
-// Integrates with the variety system and event notifications
+// Presents the simulation's world events (see SeasonManager in seasons.zig) as
+// dramatic moments, using the variety system's definitions, visuals and effects
 
 import { eventSystem } from './events.js';
 import { WorldEvents } from './variety.js';
+import { EventType } from '../wasm-loader.js';
+
+// Every simulation event type (names match getName in seasons.zig); `definition`
+// names the WorldEvents entry that dresses it up
+const EVENT_INFO = {
+    [EventType.BOUNTIFUL_HARVEST]: { name: 'Bountiful Harvest', tone: 'good', definition: 'ABUNDANCE' },
+    [EventType.MIGRATION_ARRIVAL]: { name: 'Animal Migration', tone: 'good', definition: 'MIGRATION' },
+    [EventType.DISCOVERY]: { name: 'Discovery', icon: '💡', tone: 'good' },
+    [EventType.CELEBRATION]: { name: 'Celebration', tone: 'good', definition: 'GOLDEN_AGE' },
+    [EventType.SEASONAL_CHANGE]: { name: 'Season Change', icon: '🍂', tone: 'neutral' },
+    [EventType.ECLIPSE]: { name: 'Eclipse', icon: '🌑', tone: 'neutral' },
+    [EventType.MIGRATION_DEPARTURE]: { name: 'Migration Departure', tone: 'neutral', definition: 'MIGRATION' },
+    [EventType.FAMINE]: { name: 'Famine', icon: '🥀', tone: 'bad' },
+    [EventType.DISEASE_OUTBREAK]: { name: 'Disease Outbreak', tone: 'bad', definition: 'PLAGUE' },
+    [EventType.PREDATOR_ATTACK]: { name: 'Predator Attack', tone: 'bad', definition: 'GREAT_HUNT' },
+    [EventType.NATURAL_DISASTER]: { name: 'Natural Disaster', tone: 'bad', definition: 'VOLCANIC_ACTIVITY' },
+    [EventType.HARSH_WINTER]: { name: 'Harsh Winter', icon: '❄️', tone: 'bad' },
+    [EventType.DROUGHT]: { name: 'Drought', tone: 'bad', definition: 'DROUGHT' },
+    [EventType.FIRE]: { name: 'Forest Fire', icon: '🔥', tone: 'bad' },
+    [EventType.METEOR]: { name: 'Meteor Strike', tone: 'bad', definition: 'METEOR_STRIKE' },
+    [EventType.AURORA]: { name: 'Northern Lights', tone: 'good', definition: 'AURORA' },
+    [EventType.FLOOD]: { name: 'Flood', tone: 'bad', definition: 'FLOOD' }
+};
 
 // =============================================================================
 // WORLD EVENT MANAGER
@@ -11,118 +34,104 @@ import { WorldEvents } from './variety.js';
 export class WorldEventManager {
     constructor(renderer) {
         this.renderer = renderer;
-        this.activeEvents = new Map();
-        this.eventCooldowns = new Map();
-        this.lastEventCheck = 0;
-        this.eventCheckInterval = 5000; // Check every 5 seconds
-        this.minEventInterval = 60000; // At least 60 seconds between events
-        this.lastEventTime = 0;
+        this.activeEvents = new Map(); // simulation event id -> event instance
+        this.history = [];             // Ended events, newest first
+        this.maxHistory = 30;
+        this.calendarTime = 0;
 
         // Visual effects
-        this.meteorEffects = [];
         this.weatherOverrides = {};
-        this.biomeModifiers = {};
 
-        console.log('[WorldEventManager] Initialized with', Object.keys(WorldEvents).length, 'event types');
+        console.log('[WorldEventManager] Initialized with', Object.keys(EVENT_INFO).length, 'event types');
     }
 
-    // Update - called each frame
-    update(deltaMs, simTime, stats) {
-        const now = performance.now();
+    // Update - called each frame; mirrors the simulation's active events
+    update(deltaMs) {
+        const wasm = this.renderer && this.renderer.wasmModule;
+        if (!wasm) return;
 
-        // Check for new events periodically
-        if (now - this.lastEventCheck > this.eventCheckInterval) {
-            this.lastEventCheck = now;
-            this.checkForNewEvent(simTime, stats);
-        }
-
-        // Update active events
-        this.updateActiveEvents(deltaMs);
-    }
+        this.calendarTime = wasm.getCalendarTime();
 
-    // Check if a new event should trigger
-    checkForNewEvent(simTime, stats) {
-        const now = performance.now();
+        const running = new Set();
+        for (const simEvent of wasm.getActiveEvents()) {
+            running.add(simEvent.id);
 
-        // Enforce minimum interval between events
-        if (now - this.lastEventTime < this.minEventInterval) {
-            return null;
+            const event = this.activeEvents.get(simEvent.id) || this.startEvent(simEvent);
+            event.progress = simEvent.progress;
+            this.updateEventEffects(event, deltaMs);
         }
 
-        // Only trigger events occasionally
-        if (Math.random() > 0.1) {
-            return null;
+        // Events the simulation has expired (or replaced by loading a world)
+        for (const id of this.activeEvents.keys()) {
+            if (!running.has(id)) this.endEvent(id);
         }
+    }
 
-        // Check each event type
-        for (const [eventKey, eventDef] of Object.entries(WorldEvents)) {
-            // Check cooldown
-            const cooldown = this.eventCooldowns.get(eventKey) || 0;
-            if (now < cooldown) continue;
-
-            // Random chance based on rarity
-            if (Math.random() < eventDef.rarity) {
-                this.triggerEvent(eventKey, eventDef);
-                this.lastEventTime = now;
-
-                // Set cooldown (event duration + 60 seconds)
-                this.eventCooldowns.set(eventKey, now + (eventDef.duration * 1000) + 60000);
-                return eventDef;
-            }
-        }
+    // Trigger an event by WorldEvents key (e.g. 'METEOR_STRIKE'), centered on (x, z) if given
+    // The simulation runs it; returns its id (NO_EVENT if refused)
+    triggerEvent(eventKey, x = null, z = null) {
+        const wasm = this.renderer && this.renderer.wasmModule;
+        const type = Object.keys(EVENT_INFO).find(t => EVENT_INFO[t].definition === eventKey);
+        if (!wasm || type === undefined) return null;
 
-        return null;
+        console.log(`[WorldEventManager] Triggering event: ${eventKey}`);
+        return x === null ? wasm.triggerEvent(Number(type)) : wasm.triggerEventAt(Number(type), x, z);
     }
 
-    // Trigger a specific event
-    triggerEvent(eventKey, eventDef) {
-        console.log(`[WorldEventManager] Triggering event: ${eventDef.name}`);
-
-        const now = performance.now();
-        const eventInstance = {
-            key: eventKey,
-            definition: eventDef,
-            startTime: now,
-            endTime: now + (eventDef.duration * 1000),
-            progress: 0,
-            data: this.initEventData(eventKey, eventDef)
+    // Begin presenting an event the simulation has started
+    startEvent(simEvent) {
+        const info = EVENT_INFO[simEvent.type] || { name: 'Unknown Event', icon: '❔', tone: 'neutral' };
+        const definition = info.definition ? WorldEvents[info.definition] : null;
+
+        const event = {
+            id: simEvent.id,
+            type: simEvent.type,
+            key: info.definition || null,
+            definition,
+            name: info.name,
+            icon: info.icon || (definition ? definition.icon : '❔'),
+            tone: info.tone,
+            x: simEvent.x,
+            z: simEvent.z,
+            radius: simEvent.radius,
+            intensity: simEvent.intensity,
+            startTime: simEvent.startTime,
+            duration: simEvent.duration,
+            progress: simEvent.progress,
+            data: this.initEventData(info.definition, definition, simEvent)
         };
 
-        this.activeEvents.set(eventKey, eventInstance);
+        this.activeEvents.set(event.id, event);
 
         // Notify event system
-        eventSystem.onWorldEvent(eventDef);
+        eventSystem.onWorldEvent(event);
 
         // Apply immediate effects
-        this.applyEventStart(eventKey, eventDef, eventInstance.data);
+        this.applyEventStart(event.key, event.data);
 
-        return eventInstance;
+        return event;
     }
 
     // Initialize event-specific data
-    initEventData(eventKey, eventDef) {
+    initEventData(eventKey, eventDef, simEvent) {
         const data = {};
 
         switch (eventKey) {
             case 'METEOR_STRIKE':
-                // Random impact location
-                data.impactX = (Math.random() - 0.5) * 80;
-                data.impactZ = (Math.random() - 0.5) * 80;
-                data.radius = eventDef.effects.radius;
+                data.impactX = simEvent.x;
+                data.impactZ = simEvent.z;
+                data.radius = simEvent.radius;
                 data.impacted = false;
                 break;
 
             case 'PLAGUE':
-                data.infectedCreatures = new Set();
-                data.spreadRadius = eventDef.effects.spreadRadius;
-                data.originX = (Math.random() - 0.5) * 60;
-                data.originZ = (Math.random() - 0.5) * 60;
+                data.originX = simEvent.x;
+                data.originZ = simEvent.z;
                 break;
 
             case 'FLOOD':
                 data.waterLevelIncrease = 0;
-                data.maxIncrease = eventDef.effects.waterLevelRise;
-                data.peakTime = eventDef.duration * 0.4; // Peak at 40%
+                data.maxIncrease = eventDef.effects.waterLevelRise * simEvent.intensity;
                 break;
 
             case 'GOLDEN_AGE':
@@ -141,7 +150,7 @@ export class WorldEventManager {
 
             case 'DROUGHT':
                 data.waterDepletion = 0;
-                data.maxDepletion = eventDef.effects.waterDepletion;
+                data.maxDepletion = eventDef.effects.waterDepletion * simEvent.intensity;
                 break;
 
             case 'MIGRATION':
@@ -153,11 +162,10 @@ export class WorldEventManager {
                 break;
 
             case 'VOLCANIC_ACTIVITY':
-                // Volcano location (usually at high terrain)
-                data.volcanoX = (Math.random() - 0.5) * 40;
-                data.volcanoZ = (Math.random() - 0.5) * 40;
+                data.volcanoX = simEvent.x;
+                data.volcanoZ = simEvent.z;
                 data.intensity = 0;
-                data.maxIntensity = 1.0;
+                data.maxIntensity = simEvent.intensity;
                 break;
 
             case 'AURORA':
@@ -183,7 +191,7 @@ export class WorldEventManager {
     }
 
     // Apply effects when event starts
-    applyEventStart(eventKey, eventDef, data) {
+    applyEventStart(eventKey, data) {
         switch (eventKey) {
             case 'METEOR_STRIKE':
                 // Create meteor visual effect
@@ -220,54 +228,17 @@ export class WorldEventManager {
         }
     }
 
-    // Update active events
-    updateActiveEvents(deltaMs) {
-        const now = performance.now();
-        const eventsToEnd = [];
-
-        for (const [eventKey, event] of this.activeEvents) {
-            // Calculate progress
-            const elapsed = now - event.startTime;
-            const duration = event.endTime - event.startTime;
-            event.progress = Math.min(1.0, elapsed / duration);
-
-            // Update event effects
-            this.updateEventEffects(eventKey, event, deltaMs);
-
-            // Check if event has ended
-            if (now >= event.endTime) {
-                eventsToEnd.push(eventKey);
-            }
-        }
-
-        // End completed events
-        for (const eventKey of eventsToEnd) {
-            this.endEvent(eventKey);
-        }
-    }
-
-    // Update ongoing event effects
-    updateEventEffects(eventKey, event, deltaMs) {
-        const deltaSec = deltaMs / 1000;
-
-        switch (eventKey) {
+    // Update ongoing event effects (damage, infection and spawning happen in the simulation)
+    updateEventEffects(event, deltaMs) {
+        switch (event.key) {
             case 'METEOR_STRIKE':
-                // Impact happens at 50% progress
+                // Impact happens at 50% progress (the simulation strikes at the same moment)
                 if (event.progress >= 0.5 && !event.data.impacted) {
                     this.applyMeteorImpact(event.data);
                     event.data.impacted = true;
                 }
                 break;
 
-            case 'PLAGUE':
-                // Spread plague periodically
-                if (Math.random() < 0.1 * deltaSec) {
-                    this.spreadPlague(event.data);
-                }
-                // Damage infected creatures
-                this.damageInfectedCreatures(event.data, event.definition.effects.damagePerSecond * deltaSec);
-                break;
-
             case 'FLOOD':
                 // Water level rises then falls
                 if (event.progress < 0.4) {
@@ -277,21 +248,11 @@ export class WorldEventManager {
                 }
                 break;
 
-            case 'GOLDEN_AGE':
-                // Bonus resources for target tribe
-                // (Applied in variety system integration)
-                break;
-
             case 'DROUGHT':
                 // Gradually increase drought effects
                 event.data.waterDepletion = event.data.maxDepletion * event.progress;
                 break;
 
-            case 'MIGRATION':
-                // Move herds in migration direction
-                // (Applied through behavior system)
-                break;
-
             case 'VOLCANIC_ACTIVITY':
                 // Intensity peaks at 50%
                 if (event.progress < 0.5) {
@@ -299,6 +260,11 @@ export class WorldEventManager {
                 } else {
                     event.data.intensity = event.data.maxIntensity * (1 - (event.progress - 0.5) / 0.5);
                 }
+                if (Math.random() < event.data.intensity * deltaMs / 1000) {
+                    this.emitParticles(event.data.volcanoX, event.data.volcanoZ, (particles, pos) => {
+                        particles.emitSmoke(pos.x, pos.y, pos.z, event.data.intensity);
+                    });
+                }
                 break;
 
             case 'AURORA':
@@ -306,26 +272,50 @@ export class WorldEventManager {
                 this.updateAuroraEffect(event.data, event.progress);
                 break;
         }
+
+        // Forest fires have no WorldEvents definition, only flames
+        if (event.type === EventType.FIRE && Math.random() < 2 * deltaMs / 1000) {
+            const angle = Math.random() * Math.PI * 2;
+            const dist = Math.random() * event.radius * 0.5;
+            this.emitParticles(event.x + Math.cos(angle) * dist, event.z + Math.sin(angle) * dist, (particles, pos) => {
+                particles.emitFireSparks(pos.x, pos.y, pos.z, event.intensity);
+            });
+        }
     }
 
-    // End an event
-    endEvent(eventKey) {
-        const event = this.activeEvents.get(eventKey);
+    // End an event the simulation has expired
+    endEvent(id) {
+        const event = this.activeEvents.get(id);
         if (!event) return;
 
-        console.log(`[WorldEventManager] Event ended: ${event.definition.name}`);
+        console.log(`[WorldEventManager] Event ended: ${event.name}`);
 
         // Notify event system
-        eventSystem.onWorldEventEnd(event.definition);
+        eventSystem.onWorldEventEnd(event);
 
         // Clean up effects
-        this.cleanupEventEffects(eventKey, event);
+        this.cleanupEventEffects(event.key);
+
+        this.history.unshift({
+            id: event.id,
+            type: event.type,
+            name: event.name,
+            icon: event.icon,
+            tone: event.tone,
+            x: event.x,
+            z: event.z,
+            startTime: event.startTime,
+            endTime: Math.min(this.calendarTime, event.startTime + event.duration)
+        });
+        if (this.history.length > this.maxHistory) {
+            this.history.pop();
+        }
 
-        this.activeEvents.delete(eventKey);
+        this.activeEvents.delete(id);
     }
 
     // Clean up event effects
-    cleanupEventEffects(eventKey, event) {
+    cleanupEventEffects(eventKey) {
         switch (eventKey) {
             case 'FLOOD':
             case 'DROUGHT':
@@ -333,13 +323,18 @@ export class WorldEventManager {
                 delete this.weatherOverrides.drought;
                 delete this.weatherOverrides.intensity;
                 break;
-
-            case 'PLAGUE':
-                event.data.infectedCreatures.clear();
-                break;
         }
     }
 
+    // Emit particles on the planet surface above a flat world position
+    emitParticles(x, z, emit) {
+        const particles = this.renderer && this.renderer.particleSystem;
+        if (!particles || !this.renderer.positionOnPlanetSurface) return;
+
+        const { position } = this.renderer.positionOnPlanetSurface(x, z, 0.5);
+        emit(particles, position);
+    }
+
     // Visual effect creators
     createMeteorEffect(impactX, impactZ) {
         if (!this.renderer || !this.renderer.scene) return;
@@ -356,28 +351,10 @@ export class WorldEventManager {
     applyMeteorImpact(data) {
         console.log(`[WorldEventManager] METEOR IMPACT at (${data.impactX.toFixed(1)}, ${data.impactZ.toFixed(1)})`);
 
-        // Notify event system
-        eventSystem.onMeteorStrike(data.impactX, data.impactZ, 200);
-
-        // Apply damage to nearby creatures
-        if (this.renderer && this.renderer.wasmModule) {
-            const orgData = this.renderer.wasmModule.getOrganismData();
-            if (orgData) {
-                for (let i = 0; i < orgData.count; i++) {
-                    if (!orgData.alive[i]) continue;
-
-                    const dx = orgData.positionsX[i] - data.impactX;
-                    const dz = orgData.positionsZ[i] - data.impactZ;
-                    const dist = Math.sqrt(dx * dx + dz * dz);
-
-                    if (dist < data.radius) {
-                        const damage = 200 * (1 - dist / data.radius);
-                        // Apply damage through WASM (if available)
-                        console.log(`[WorldEventManager] Creature ${i} hit by meteor for ${damage.toFixed(0)} damage`);
-                    }
-                }
-            }
-        }
+        this.emitParticles(data.impactX, data.impactZ, (particles, pos) => {
+            particles.emitFireSparks(pos.x, pos.y, pos.z, 4);
+            particles.emitSmoke(pos.x, pos.y, pos.z, 3);
+        });
 
         // Create crater visual
         if (this.renderer.createCraterVisual) {
@@ -385,60 +362,6 @@ export class WorldEventManager {
         }
     }
 
-    spreadPlague(data) {
-        if (!this.renderer || !this.renderer.wasmModule) return;
-
-        const orgData = this.renderer.wasmModule.getOrganismData();
-        if (!orgData) return;
-
-        // Find potential new infections
-        for (let i = 0; i < orgData.count; i++) {
-            if (!orgData.alive[i]) continue;
-            if (data.infectedCreatures.has(i)) continue;
-
-            // Skip carnivores (plague doesn't affect them in this definition)
-            if (orgData.types[i] === 2) continue;
-
-            // Check distance from plague origin or infected creatures
-            let canInfect = false;
-            const x = orgData.positionsX[i];
-            const z = orgData.positionsZ[i];
-
-            // Check origin
-            const originDist = Math.sqrt((x - data.originX) ** 2 + (z - data.originZ) ** 2);
-            if (originDist < data.spreadRadius) {
-                canInfect = true;
-            }
-
-            // Check other infected
-            if (!canInfect) {
-                for (const infectedId of data.infectedCreatures) {
-                    if (!orgData.alive[infectedId]) continue;
-                    const ix = orgData.positionsX[infectedId];
-                    const iz = orgData.positionsZ[infectedId];
-                    const dist = Math.sqrt((x - ix) ** 2 + (z - iz) ** 2);
-                    if (dist < data.spreadRadius * 0.5) {
-                        canInfect = true;
-                        break;
-                    }
-                }
-            }
-
-            // Random chance to actually infect
-            if (canInfect && Math.random() < 0.3) {
-                data.infectedCreatures.add(i);
-            }
-        }
-    }
-
-    damageInfectedCreatures(data, damage) {
-        // Damage would be applied through WASM
-        // This is a placeholder - the actual implementation would modify health values
-        for (const creatureId of data.infectedCreatures) {
-            // Track that creature should take damage
-        }
-    }
-
     createVolcanicEffects(volcanoX, volcanoZ) {
         console.log(`[WorldEventManager] Volcanic activity at (${volcanoX.toFixed(1)}, ${volcanoZ.toFixed(1)})`);
 
@@ -464,8 +387,8 @@ export class WorldEventManager {
             waterLevel: 0
         };
 
-        for (const [eventKey, event] of this.activeEvents) {
-            switch (eventKey) {
+        for (const event of this.activeEvents.values()) {
+            switch (event.key) {
                 case 'GOLDEN_AGE':
                     effects.resourceMultiplier *= event.definition.effects.resourceMultiplier;
                     effects.birthRateBonus += event.definition.effects.birthRateBonus;
@@ -498,12 +421,25 @@ export class WorldEventManager {
 
     // Check if specific event is active
     isEventActive(eventKey) {
-        return this.activeEvents.has(eventKey);
+        for (const event of this.activeEvents.values()) {
+            if (event.key === eventKey) return true;
+        }
+        return false;
     }
 
     // Get active event names for UI
     getActiveEventNames() {
-        return Array.from(this.activeEvents.values()).map(e => e.definition.name);
+        return Array.from(this.activeEvents.values()).map(e => e.name);
+    }
+
+    // Active events (oldest first) and past events (newest first) on the simulation calendar
+    getTimeline() {
+        const active = Array.from(this.activeEvents.values())
+            .sort((a, b) => a.startTime - b.startTime)
+            .map(({ id, type, name, icon, tone, x, z, startTime, duration, progress }) =>
+                ({ id, type, name, icon, tone, x, z, startTime, duration, progress }));
+
+        return { now: this.calendarTime, active, past: this.history };
     }
 }
 
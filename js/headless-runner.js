@@ -0,0 +1,216 @@
+// Headless Runner - steps the WASM simulation without a renderer
+// Used by simulate.mjs for batch experiments; works in Node and in the browser
+
+import { WasmModule, OrganismType, GeneBankMetric } from './wasm-loader.js';
+import { normalizeScenario, applyScenario, ScenarioEvents, techId, mulberry32 } from './scenario.js';
+
+export const DEFAULT_CONFIG = {
+    seed: 42,
+    maxOrganisms: 500,
+    duration: 300,          // Simulated seconds
+    timeStep: 1 / 60,       // Seconds per update() call
+    sampleInterval: 1,      // Simulated seconds between samples
+    worldSize: 90,          // Spawns are spread over a worldSize x worldSize area (matches renderer)
+    tribes: 1,
+    research: [],           // Guided civilizations: [{ tribe, guided, queue: ['writing', ...] }]
+    spawns: [
+        { type: 'plant', count: 300 },
+        { type: 'herbivore', count: 25 },
+        { type: 'carnivore', count: 8 },
+        { type: 'humanoid', count: 12, tribe: 0 }
+    ]
+};
+
+// Merge a config (or a scenario file) over the defaults and resolve its world into a scenario
+export function normalizeConfig(config = {}) {
+    const merged = { ...DEFAULT_CONFIG, ...config };
+
+    // A scenario that lays out its own population doesn't also get the default spawns
+    if (!config.spawns && (config.species || Array.isArray(config.tribes))) {
+        merged.spawns = [];
+    }
+
+    const scenario = normalizeScenario(merged);
+    for (const plan of merged.research) {
+        if (!Number.isInteger(plan.tribe) || plan.tribe < 0 || plan.tribe >= scenario.tribes.length) {
+            throw new Error(`Research plan for unknown tribe ${plan.tribe}`);
+        }
+        const research = scenario.tribes[plan.tribe].research;
+        research.guided = research.guided || !!plan.guided;
+        for (const tech of plan.queue || []) {
+            const id = techId(tech);
+            if (id === undefined) {
+                throw new Error(`Unknown technology "${tech}"`);
+            }
+            research.queue.push(id);
+        }
+    }
+    if (merged.timeStep <= 0 || merged.duration <= 0) {
+        throw new Error('duration and timeStep must be positive');
+    }
+
+    return { ...merged, scenario };
+}
+
+export class HeadlessRunner {
+    constructor(wasmBytes, config = {}) {
+        this.wasmBytes = wasmBytes;
+        this.config = normalizeConfig(config);
+    }
+
+    // Run one simulation with the given seed and return its collected time series
+    async run(seed = this.config.seed) {
+        const config = this.config;
+        const wasm = new WasmModule();
+        if (!await wasm.load(this.wasmBytes)) {
+            throw new Error('Failed to load WASM module');
+        }
+        if (!wasm.init(config.maxOrganisms, seed >>> 0)) {
+            throw new Error('Failed to initialize simulation');
+        }
+
+        const result = { seed, samples: [], tribes: [], diplomacy: [], champions: [] };
+
+        this.spawnWorld(wasm, seed);
+        const events = new ScenarioEvents(config.scenario.events);
+
+        const totalSteps = Math.round(config.duration / config.timeStep);
+        const sampleEvery = Math.max(1, Math.round(config.sampleInterval / config.timeStep));
+
+        this.sample(wasm, 0, result);
+        for (let step = 1; step <= totalSteps; step++) {
+            wasm.update(config.timeStep);
+            events.update(wasm, step * config.timeStep);
+            if (step % sampleEvery === 0 || step === totalSteps) {
+                this.sample(wasm, step, result);
+            }
+        }
+
+        result.champions = exportChampions(wasm);
+        wasm.cleanup();
+        return result;
+    }
+
+    spawnWorld(wasm, seed) {
+        applyScenario(wasm, this.config.scenario, { random: mulberry32(seed) });
+    }
+
+    sample(wasm, step, result) {
+        const stats = wasm.getStats();
+        const extended = wasm.getExtendedStats() || {};
+        const counts = countTypes(wasm);
+        const time = step * this.config.timeStep;
+
+        result.samples.push({
+            step,
+            time,
+            organisms: stats.organismCount,
+            alive: stats.aliveCount,
+            plants: counts[OrganismType.PLANT],
+            herbivores: counts[OrganismType.HERBIVORE],
+            carnivores: counts[OrganismType.CARNIVORE],
+            humanoids: counts[OrganismType.HUMANOID],
+            tribes: stats.tribeCount,
+            buildings: stats.buildingCount,
+            season: extended.season,
+            weather: extended.weather,
+            day: extended.day,
+            year: extended.year,
+            wars: extended.activeWars,
+            treaties: extended.activeTreaties,
+            events: extended.activeEvents,
+            births: extended.totalBirths,
+            deaths: extended.totalDeaths,
+            diseases: extended.totalDiseases
+        });
+
+        for (let id = 0; id < stats.tribeCount; id++) {
+            const tribe = wasm.getTribeStats(id);
+            result.tribes.push({
+                step,
+                time,
+                tribe: id,
+                members: tribe.memberCount,
+                food: tribe.food,
+                wood: tribe.wood,
+                stone: tribe.stone,
+                metal: tribe.metal,
+                techLevel: tribe.techLevel,
+                era: tribe.era,
+                territory: tribe.territory,
+                births: tribe.births,
+                deaths: tribe.deaths
+            });
+
+            for (let other = id + 1; other < stats.tribeCount; other++) {
+                const relation = wasm.getDiplomacy(id, other);
+                if (!relation) continue;
+                result.diplomacy.push({
+                    step,
+                    time,
+                    tribeA: id,
+                    tribeB: other,
+                    status: relation.status,
+                    reputation: relation.reputation,
+                    atWar: relation.atWar ? 1 : 0,
+                    haveMet: relation.haveMet ? 1 : 0
+                });
+            }
+        }
+    }
+}
+
+// Export every gene bank champion's brain so it can seed later runs
+function exportChampions(wasm) {
+    const champions = [];
+    const bank = wasm.getGeneBank();
+    for (const name of Object.keys(GeneBankMetric)) {
+        for (const champion of bank[name.toLowerCase()]) {
+            champions.push(wasm.exportChampion(champion.metric, champion.rank));
+        }
+    }
+    return champions;
+}
+
+// Count living organisms by type
+function countTypes(wasm) {
+    const counts = [0, 0, 0, 0];
+    const data = wasm.getOrganismData();
+    for (let i = 0; i < data.count; i++) {
+        if (data.alive[i]) counts[data.types[i]]++;
+    }
+    return counts;
+}
+
+// Convert an array of flat row objects to CSV text
+export function toCSV(rows) {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    const format = (value) => {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'number' && !Number.isInteger(value)) return String(Math.round(value * 1000) / 1000);
+        return String(value);
+    };
+
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => format(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Parse "1-20", "1,5,9" or a mix into a list of seeds
+export function parseSeeds(spec) {
+    const seeds = [];
+    for (const part of String(spec).split(',')) {
+        const [start, end] = part.split('-').map(n => parseInt(n, 10));
+        if (Number.isNaN(start)) continue;
+        if (end === undefined || Number.isNaN(end)) {
+            seeds.push(start);
+        } else {
+            for (let seed = start; seed <= end; seed++) seeds.push(seed);
+        }
+    }
+    return seeds;
+}
@@ -4,15 +4,76 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { OrganismType, BuildingType, PlantType, GrowthStage } from './wasm-loader.js';
+import { OrganismType, BuildingType, PlantType, GrowthStage, ResourceType, Season, Weather, TerrainType, SculptTool } from './wasm-loader.js';
 import { TimeSystem } from './engine/time.js';
 import { AnimationSystem, ActivityState } from './engine/animation.js';
-import { WeatherSystem } from './engine/weather.js';
+import { WeatherSystem, SEASON_NAMES } from './engine/weather.js';
 import { VisualEffectsSystem } from './engine/effects.js';
+import { BuildingVisuals, getBuildingDefinition } from './engine/buildings.js';
+import { BRAIN_INPUT_LABELS, BRAIN_OUTPUT_LABELS, getWinningAction, drawBrainNetwork } from './engine/brain-inspector.js';
+import { downloadBrain } from './engine/genebank.js';
+import { lineagePanel } from './engine/lineage.js';
+import { drawSpeechBubble } from './engine/language.js';
+import { getSimulationSpecies } from './engine/variety.js';
 
 const PLANET_RADIUS = 50;
 const ORGANISM_SCALE = 1.25; // Reduced for more realistic proportions
 const SUN_ORBIT_RADIUS = 300;
+const FOG_DENSITY = 0.002;
+
+// Sunlight left under each simulation weather and how thick the fog gets
+// (index = Weather in seasons.zig)
+const WEATHER_SUNLIGHT = [1.0, 0.8, 0.6, 0.4, 0.65, 0.35, 1.1, 0.55, 1.15];
+const WEATHER_FOG_DENSITY = [0.002, 0.002, 0.003, 0.004, 0.004, 0.007, 0.002, 0.009, 0.002];
+
+// Terrain tint per season (index = Season in seasons.zig); multiplies the biome colors
+const SEASON_TERRAIN_TINT = [0xf0fff0, 0xffffff, 0xffdcb0, 0xdce4ec].map(hex => new THREE.Color(hex));
+const SNOW_COLOR = new THREE.Color(0.95, 0.97, 1.0);
+const SNOW_STEPS = 20; // Snow cover is repainted in this many steps from bare to full
+
+// Planet colors per biome of the simulation's terrain map (index = TerrainType in territory.zig)
+const BIOME_COLORS = {
+    [TerrainType.PLAINS]: { r: 0.42, g: 0.56, b: 0.14 },   // Grassland
+    [TerrainType.FOREST]: { r: 0.18, g: 0.31, b: 0.09 },   // Dense forest
+    [TerrainType.MOUNTAIN]: { r: 0.41, g: 0.41, b: 0.41 }, // Rocky mountain
+    [TerrainType.RIVER]: { r: 0.29, g: 0.5, b: 0.36 },     // Wet river meadow
+    [TerrainType.COAST]: { r: 0.9, g: 0.83, b: 0.63 },     // Beach
+    [TerrainType.DESERT]: { r: 0.82, g: 0.7, b: 0.45 },    // Sand
+    [TerrainType.FERTILE]: { r: 0.34, g: 0.49, b: 0.27 },  // Lush lowland
+    [TerrainType.TUNDRA]: { r: 0.44, g: 0.5, b: 0.56 }     // Tundra
+};
+const SEAFLOOR_COLOR = { r: 0.15, g: 0.12, b: 0.08 };
+const SNOW_PEAK_COLOR = { r: 0.94, g: 0.97, b: 1.0 };
+const SNOW_PEAK_HEIGHT = 6; // Mountains above this are always white
+
+// Chance a seed takes root in each biome (index = TerrainType); the rest are fully fertile
+const SEED_BIOME_CHANCE = {
+    [TerrainType.MOUNTAIN]: 0.3,
+    [TerrainType.DESERT]: 0.15,
+    [TerrainType.TUNDRA]: 0.25,
+    [TerrainType.OCEAN]: 0
+};
+
+// Terrain brushes: strength of the dab applied every frame the mouse is held (see Terrain.sculpt)
+const SCULPT_STRENGTH = {
+    [SculptTool.RAISE]: 0.12,  // Height per dab
+    [SculptTool.LOWER]: 0.12,
+    [SculptTool.SMOOTH]: 0.15, // Fraction of the way to the target per dab
+    [SculptTool.FLATTEN]: 0.1,
+    [SculptTool.FLOOD]: 0.15
+};
+const SCULPT_RADIUS_MIN = 3;
+const SCULPT_RADIUS_MAX = 20;
+
+// Seasonal plant looks (see seasonalPlantLook)
+const AUTUMN_LEAF_COLORS = [0xd2691e, 0xb22222, 0xdaa520, 0xcd853f].map(hex => new THREE.Color(hex));
+const BLOSSOM_COLOR = new THREE.Color(0xffb7d5);
+const SPRING_GREEN = new THREE.Color(0x66cc44);
+const DRY_GRASS_COLOR = new THREE.Color(0xb8a060);
+const DECIDUOUS_SHARE = 0.6; // Trees that drop their leaves in winter; the rest are evergreen
+const SEASON_PLANT_FRAMES = 10; // Each plant's seasonal look is refreshed every this many frames
+const seasonColorFrom = new THREE.Color();
+const seasonColorTo = new THREE.Color();
 
 export class Renderer {
     constructor(wasmModule) {
@@ -21,6 +82,24 @@ export class Renderer {
         this.organisms = new Map(); // id -> THREE.Mesh
         this.buildings = new Map(); // id -> THREE.Mesh
         this.resources = new Map(); // id -> { mesh, type, amount }
+
+        // Speech bubbles over organisms that recently sent a message
+        this.speechBubbles = new Map(); // sender id -> { sprite, key }
+        this.bubbleTextures = new Map(); // symbols + intent -> THREE.CanvasTexture
+        this.SPEECH_BUBBLE_SECONDS = 2.5;
+        this.MAX_BUBBLE_TEXTURES = 64;
+
+        // Tribe territory overlay draped over the planet (rebuilt from the WASM territory grid)
+        this.territoryOverlay = null;
+        this.territoryMap = null;
+        this.showTerritory = true;
+        this.TERRITORY_REFRESH_FRAMES = 30;
+        this.TERRITORY_SUBDIVISIONS = 4; // Sub-quads per cell edge so the overlay follows terrain
+
+        // Terrain sculpting (see setSculptTool)
+        this.sculptTool = null;   // SculptTool while a brush is picked
+        this.sculptRadius = 8;    // Along the surface, in planet units
+        this.sculptStroke = null; // { x, z, direction } under the mouse while a stroke is held
         this.selectedOrganism = null;
         this.neuralNetworkPanel = null;
 
@@ -41,32 +120,39 @@ export class Renderer {
         // Audio system reference (set via setAudioSystem)
         this.audioSystem = null;
 
+        // God power system (set via setGodPowers) - an armed power takes the next click
+        this.godPowers = null;
+
         // Activity tracking for humanoids
         this.humanoidActivities = new Map(); // id -> { activity, target, progress, effects }
         this.activityEffects = new Map(); // id -> THREE.Group (particle effects)
 
-        // Resource types
-        this.RESOURCE_TYPES = {
-            WOOD: 0,
-            STONE: 1,
-            GOLD: 2,
-            IRON: 3
-        };
-
-        // Tribe resources (tracked client-side for building)
-        this.tribeResources = new Map(); // tribeId -> { wood, stone, gold, iron }
-
-        // Building costs by type
-        this.BUILDING_COSTS = {
-            hut: { wood: 20, stone: 5 },
-            storage: { wood: 30, stone: 10 },
-            workshop: { wood: 25, stone: 20, iron: 5 },
-            farm: { wood: 15, stone: 0 },
-            barracks: { wood: 40, stone: 30, iron: 10 }
+        // Mesh style for each simulation building type
+        // (gathering, costs and construction all live in the WASM tribe economy)
+        // Types without a hand-built mesh use the BuildingVisuals catalogue mesh
+        this.BUILDING_VISUALS = {
+            [BuildingType.HUT]: 'hut',
+            [BuildingType.FARM]: 'farm',
+            [BuildingType.TOWER]: 'tower',
+            [BuildingType.TEMPLE]: 'temple',
+            [BuildingType.WALL]: 'wall',
+            [BuildingType.BARRACKS]: 'barracks',
+            [BuildingType.SMITHY]: 'workshop',
+            [BuildingType.MINE]: 'mine',
+            [BuildingType.MARKET]: 'market',
+            [BuildingType.GRANARY]: 'storage',
+            [BuildingType.GATE]: 'gate',
+            [BuildingType.WELL]: 'well',
+            [BuildingType.STABLE]: 'stable',
+            [BuildingType.LIBRARY]: 'library',
+            [BuildingType.HARBOR]: 'harbor',
+            [BuildingType.MONUMENT]: 'monument',
+            [BuildingType.WORKSHOP]: 'workshop',
+            [BuildingType.HOSPITAL]: 'hospital',
+            [BuildingType.STOREHOUSE]: 'storage',
+            [BuildingType.FORTRESS]: 'fortress'
         };
-
-        // Building footprint radius (for spacing)
-        this.BUILDING_RADIUS = 4;
+        this.buildingVisuals = null; // Created with the scene
 
         // Plant growth and reproduction system
         this.plantData = new Map(); // id -> { age, growth, maxGrowth, canSeed, seedTimer, plantType }
@@ -100,6 +186,15 @@ export class Renderer {
         this.timeSystem.onTimeChange = (info) => this.updateTimeDisplay(info);
         this.timeSystem.onDayChange = (day) => console.log(`[Time] Day ${day} begins`);
 
+        // Sky, clouds, terrain tint and snow follow the simulation's calendar and weather
+        this.simulationSync = true;
+        this.sunlightFactor = 1;
+        this.fogDensity = FOG_DENSITY;
+        this.snowCover = 0; // 0-1, how far snow has crept from the poles and peaks
+        this.snowCoverStep = 0;
+        this.seasonTint = new THREE.Color(0xffffff);
+        this.seasonState = null; // { season, next, blend } while synced
+
         // Initialize animation system
         this.animationSystem = new AnimationSystem();
 
@@ -177,83 +272,327 @@ export class Renderer {
     }
 
     initResourceNodes() {
-        // Create mineable resource nodes scattered around the planet
-        const nodeCount = 15;
-
-        for (let i = 0; i < nodeCount; i++) {
-            // Determine resource type
-            const roll = Math.random();
-            let resourceType, color, emissive;
-            if (roll < 0.4) {
-                resourceType = this.RESOURCE_TYPES.STONE;
-                color = 0x888888;
-                emissive = 0x222222;
-            } else if (roll < 0.7) {
-                resourceType = this.RESOURCE_TYPES.IRON;
-                color = 0x8B4513;
-                emissive = 0x442200;
+        // Stone and metal deposits are owned by the simulation; mirror them as rock meshes
+        this.syncResourceNodes();
+        console.log(`[Renderer] Created ${this.resources.size} resource nodes`);
+    }
+
+    // Create, update and remove deposit meshes to match the simulation
+    syncResourceNodes() {
+        const nodes = this.wasmModule.getResourceNodes();
+
+        for (const node of nodes) {
+            let resource = this.resources.get(node.id);
+
+            // Slot now holds a different deposit (world was replaced)
+            if (resource && (resource.flatX !== node.x || resource.flatZ !== node.z)) {
+                this.removeResourceNode(node.id);
+                resource = null;
+            }
+
+            if (node.amount <= 0) {
+                if (resource) this.removeResourceNode(node.id);
+                continue;
+            }
+
+            if (!resource) {
+                this.createResourceNode(node);
             } else {
-                resourceType = this.RESOURCE_TYPES.GOLD;
-                color = 0xFFD700;
-                emissive = 0x886600;
+                resource.amount = node.amount;
             }
+        }
 
-            // Create rock mesh
-            const rockGroup = new THREE.Group();
+        for (const id of this.resources.keys()) {
+            if (id >= nodes.length) this.removeResourceNode(id);
+        }
+    }
 
-            // Main rock body - irregular shape using multiple geometries
-            const mainRock = new THREE.Mesh(
-                new THREE.DodecahedronGeometry(0.8 + Math.random() * 0.4, 0),
-                new THREE.MeshStandardMaterial({
-                    color: color,
-                    emissive: emissive,
-                    emissiveIntensity: resourceType === this.RESOURCE_TYPES.GOLD ? 0.3 : 0.1,
-                    roughness: 0.9,
-                    metalness: resourceType === this.RESOURCE_TYPES.GOLD ? 0.6 : 0.2
-                })
+    createResourceNode(node) {
+        const isMetal = node.type === ResourceType.METAL;
+        const color = isMetal ? 0x8B4513 : 0x888888;
+        const emissive = isMetal ? 0x442200 : 0x222222;
+
+        // Create rock mesh
+        const rockGroup = new THREE.Group();
+
+        // Main rock body - irregular shape using multiple geometries
+        const mainRock = new THREE.Mesh(
+            new THREE.DodecahedronGeometry(0.8 + Math.random() * 0.4, 0),
+            new THREE.MeshStandardMaterial({
+                color: color,
+                emissive: emissive,
+                emissiveIntensity: 0.1,
+                roughness: 0.9,
+                metalness: isMetal ? 0.4 : 0.2
+            })
+        );
+        mainRock.scale.set(1, 0.7, 1);
+        mainRock.rotation.set(Math.random(), Math.random(), Math.random());
+        mainRock.castShadow = true;
+        mainRock.receiveShadow = true;
+        rockGroup.add(mainRock);
+
+        // Add smaller rocks around
+        for (let j = 0; j < 3; j++) {
+            const smallRock = new THREE.Mesh(
+                new THREE.DodecahedronGeometry(0.3 + Math.random() * 0.2, 0),
+                mainRock.material.clone()
             );
-            mainRock.scale.set(1, 0.7, 1);
-            mainRock.rotation.set(Math.random(), Math.random(), Math.random());
-            mainRock.castShadow = true;
-            mainRock.receiveShadow = true;
-            rockGroup.add(mainRock);
-
-            // Add smaller rocks around
-            for (let j = 0; j < 3; j++) {
-                const smallRock = new THREE.Mesh(
-                    new THREE.DodecahedronGeometry(0.3 + Math.random() * 0.2, 0),
-                    mainRock.material.clone()
-                );
-                smallRock.position.set(
-                    (Math.random() - 0.5) * 1.2,
-                    0,
-                    (Math.random() - 0.5) * 1.2
-                );
-                smallRock.rotation.set(Math.random(), Math.random(), Math.random());
-                smallRock.castShadow = true;
-                rockGroup.add(smallRock);
+            smallRock.position.set(
+                (Math.random() - 0.5) * 1.2,
+                0,
+                (Math.random() - 0.5) * 1.2
+            );
+            smallRock.rotation.set(Math.random(), Math.random(), Math.random());
+            smallRock.castShadow = true;
+            rockGroup.add(smallRock);
+        }
+
+        const surfaceInfo = this.positionOnPlanetSurface(node.x, node.z, 0.5);
+        rockGroup.position.copy(surfaceInfo.position);
+        rockGroup.quaternion.copy(surfaceInfo.quaternion);
+        rockGroup.scale.setScalar(1.5);
+        rockGroup.userData.resourceId = node.id;
+
+        this.planetGroup.add(rockGroup);
+        this.resources.set(node.id, {
+            mesh: rockGroup,
+            type: node.type,
+            amount: node.amount,
+            flatX: node.x,
+            flatZ: node.z
+        });
+    }
+
+    removeResourceNode(id) {
+        const resource = this.resources.get(id);
+        if (!resource) return;
+
+        if (this.selectedResource === id) this.deselectResource();
+        this.planetGroup.remove(resource.mesh);
+        this.resources.delete(id);
+    }
+
+    // Give each organism that spoke recently a bubble with its latest message
+    syncSpeechBubbles() {
+        const latest = new Map();
+        for (const message of this.wasmModule.getRecentMessages()) {
+            if (message.age > this.SPEECH_BUBBLE_SECONDS || message.symbols.length === 0) continue;
+            if (!this.organisms.has(message.sender)) continue;
+            latest.set(message.sender, message); // Queue is oldest first, so the newest wins
+        }
+
+        for (const [sender, message] of latest) {
+            const key = `${message.symbols.join(',')}|${message.intent}`;
+            let bubble = this.speechBubbles.get(sender);
+            if (bubble && bubble.key === key) continue;
+
+            const texture = this.getBubbleTexture(key, message.symbols, message.intent);
+            if (!bubble) {
+                const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                    map: texture,
+                    transparent: true,
+                    depthWrite: false
+                }));
+                sprite.scale.set(3, 1.5, 1);
+                sprite.renderOrder = 2;
+                this.planetGroup.add(sprite);
+                bubble = { sprite, key };
+                this.speechBubbles.set(sender, bubble);
+            } else {
+                bubble.sprite.material.map = texture;
+                bubble.key = key;
             }
+        }
 
-            // Find a land position for the resource
-            const pos = this.findLandPosition();
-            const surfaceInfo = this.positionOnPlanetSurface(pos.flatX, pos.flatZ, 0.5);
-
-            rockGroup.position.copy(surfaceInfo.position);
-            rockGroup.quaternion.copy(surfaceInfo.quaternion);
-            rockGroup.scale.setScalar(1.5);
-            rockGroup.userData.resourceId = i;
-
-            this.planetGroup.add(rockGroup);
-            this.resources.set(i, {
-                mesh: rockGroup,
-                type: resourceType,
-                amount: 50 + Math.floor(Math.random() * 50),
-                flatX: pos.flatX,
-                flatZ: pos.flatZ
-            });
+        for (const [sender, bubble] of this.speechBubbles) {
+            if (latest.has(sender)) continue;
+            this.planetGroup.remove(bubble.sprite);
+            bubble.sprite.material.dispose();
+            this.speechBubbles.delete(sender);
+        }
+    }
+
+    // Bubble textures are shared between organisms saying the same thing
+    getBubbleTexture(key, symbols, intent) {
+        let texture = this.bubbleTextures.get(key);
+        if (texture) return texture;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 64;
+        drawSpeechBubble(canvas, symbols, intent);
+        texture = new THREE.CanvasTexture(canvas);
+        this.bubbleTextures.set(key, texture);
+
+        // Drop the oldest texture nobody is showing
+        if (this.bubbleTextures.size > this.MAX_BUBBLE_TEXTURES) {
+            const inUse = new Set([...this.speechBubbles.values()].map(bubble => bubble.key));
+            for (const [oldKey, oldTexture] of this.bubbleTextures) {
+                if (inUse.has(oldKey) || oldKey === key) continue;
+                oldTexture.dispose();
+                this.bubbleTextures.delete(oldKey);
+                break;
+            }
+        }
+        return texture;
+    }
+
+    // Keep bubbles floating above their speakers
+    positionSpeechBubbles() {
+        for (const [sender, bubble] of this.speechBubbles) {
+            const mesh = this.organisms.get(sender);
+            if (!mesh) continue;
+            const up = mesh.position.clone().normalize();
+            bubble.sprite.position.copy(mesh.position).addScaledVector(up, 3);
+        }
+    }
+
+    // Build the overlay mesh: one patch of sub-quads per territory cell, lifted just above the surface
+    createTerritoryOverlay(map) {
+        const sub = this.TERRITORY_SUBDIVISIONS;
+        const cellCount = map.width * map.height;
+        const vertsPerCell = sub * sub * 6;
+        const positions = new Float32Array(cellCount * vertsPerCell * 3);
+
+        let v = 0;
+        for (let cz = 0; cz < map.height; cz++) {
+            for (let cx = 0; cx < map.width; cx++) {
+                // Surface point at sub-grid corner (u, w) of this cell
+                const corner = (u, w) => this.positionOnPlanetSurface(
+                    map.originX + (cx + u / sub) * map.cellSize,
+                    map.originZ + (cz + w / sub) * map.cellSize,
+                    0.25
+                ).position;
+
+                for (let w = 0; w < sub; w++) {
+                    for (let u = 0; u < sub; u++) {
+                        const a = corner(u, w);
+                        const b = corner(u + 1, w);
+                        const c = corner(u + 1, w + 1);
+                        const d = corner(u, w + 1);
+                        for (const p of [a, b, c, a, c, d]) {
+                            positions[v++] = p.x;
+                            positions[v++] = p.y;
+                            positions[v++] = p.z;
+                        }
+                    }
+                }
+            }
         }
 
-        console.log(`[Renderer] Created ${nodeCount} resource nodes`);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        // RGBA so unclaimed land stays fully clear
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(cellCount * vertsPerCell * 4), 4));
+
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: -2,
+            polygonOffsetUnits: -2
+        });
+
+        this.territoryOverlay = new THREE.Mesh(geometry, material);
+        this.territoryOverlay.renderOrder = 1;
+        this.territoryOverlay.visible = this.showTerritory;
+        this.territoryOverlay.userData.gridWidth = map.width;
+        this.territoryOverlay.userData.gridHeight = map.height;
+        this.planetGroup.add(this.territoryOverlay);
+    }
+
+    // Recolor the overlay from the current territory grid
+    // Claimed cells take their tribe's tint (stronger with control), edges facing other owners are
+    // drawn bright as a border, and contested cells stripe the owner's and challenger's colors
+    updateTerritoryOverlay() {
+        const map = this.wasmModule.getTerritoryMap();
+        if (!map) return;
+        this.territoryMap = map;
+
+        if (this.territoryOverlay &&
+            (this.territoryOverlay.userData.gridWidth !== map.width ||
+             this.territoryOverlay.userData.gridHeight !== map.height)) {
+            this.dropTerritoryOverlay();
+        }
+        if (!this.territoryOverlay) this.createTerritoryOverlay(map);
+        if (!this.showTerritory) return;
+
+        const sub = this.TERRITORY_SUBDIVISIONS;
+        const colors = this.territoryOverlay.geometry.attributes.color;
+        const tribeColors = new Map();
+        const colorOf = (tribeId) => {
+            if (!tribeColors.has(tribeId)) {
+                const { r, g, b } = this.wasmModule.getTribeData(tribeId).color;
+                tribeColors.set(tribeId, { r: r / 255, g: g / 255, b: b / 255 });
+            }
+            return tribeColors.get(tribeId);
+        };
+        const ownerAt = (cx, cz) => {
+            if (cx < 0 || cz < 0 || cx >= map.width || cz >= map.height) return 255;
+            return map.owners[cz * map.width + cx];
+        };
+
+        let v = 0;
+        for (let cz = 0; cz < map.height; cz++) {
+            for (let cx = 0; cx < map.width; cx++) {
+                const cell = cz * map.width + cx;
+                const owner = map.owners[cell];
+                const contester = map.contesters[cell];
+
+                if (owner === 255) {
+                    for (let i = 0; i < sub * sub * 6; i++) colors.setXYZW(v++, 0, 0, 0, 0);
+                    continue;
+                }
+
+                const baseAlpha = 0.12 + 0.2 * map.control[cell] / 100;
+                const ownerColor = colorOf(owner);
+                const rivalColor = contester !== 255 ? colorOf(contester) : ownerColor;
+                const borderW = ownerAt(cx - 1, cz) !== owner;
+                const borderE = ownerAt(cx + 1, cz) !== owner;
+                const borderN = ownerAt(cx, cz - 1) !== owner;
+                const borderS = ownerAt(cx, cz + 1) !== owner;
+
+                // Corner (u, w) is bright when it lies on an edge shared with another owner
+                const alphaAt = (u, w) => {
+                    const onBorder = (u === 0 && borderW) || (u === sub && borderE) ||
+                                     (w === 0 && borderN) || (w === sub && borderS);
+                    return onBorder ? 0.75 : baseAlpha;
+                };
+
+                for (let w = 0; w < sub; w++) {
+                    for (let u = 0; u < sub; u++) {
+                        const stripe = contester !== 255 && (u + w) % 2 === 1;
+                        const color = stripe ? rivalColor : ownerColor;
+                        for (const [cu, cw] of [[u, w], [u + 1, w], [u + 1, w + 1], [u, w], [u + 1, w + 1], [u, w + 1]]) {
+                            const alpha = contester !== 255 ? Math.max(0.45, alphaAt(cu, cw)) : alphaAt(cu, cw);
+                            colors.setXYZW(v++, color.r, color.g, color.b, alpha);
+                        }
+                    }
+                }
+            }
+        }
+
+        colors.needsUpdate = true;
+    }
+
+    // Throw the overlay away so the next refresh rebuilds it (it is draped over the terrain as built)
+    dropTerritoryOverlay() {
+        if (!this.territoryOverlay) return;
+        this.planetGroup.remove(this.territoryOverlay);
+        this.territoryOverlay.geometry.dispose();
+        this.territoryOverlay.material.dispose();
+        this.territoryOverlay = null;
+    }
+
+    // Show or hide the territory overlay
+    toggleTerritoryOverlay() {
+        this.showTerritory = !this.showTerritory;
+        if (this.territoryOverlay) this.territoryOverlay.visible = this.showTerritory;
+        if (this.showTerritory) this.updateTerritoryOverlay();
+        console.log(`[Renderer] Territory overlay ${this.showTerritory ? 'shown' : 'hidden'}`);
     }
 
     addTestMarkers() {
@@ -263,7 +602,7 @@ export class Renderer {
     initScene(container) {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x000000);
-        this.scene.fog = new THREE.FogExp2(0x000000, 0.002);
+        this.scene.fog = new THREE.FogExp2(0x000000, FOG_DENSITY);
 
         this.renderer = new THREE.WebGLRenderer({
             antialias: true,
@@ -341,101 +680,327 @@ export class Renderer {
         console.log('[Renderer] Audio system connected for weather sounds');
     }
 
+    setGodPowers(godPowers) {
+        this.godPowers = godPowers;
+    }
+
     createPlanet() {
-        // Store noise function as class method for consistent terrain across all systems
-        this.noise = (x, y, z) => {
-            return Math.sin(x * 2) * Math.cos(y * 2) * Math.sin(z * 2) +
-                   Math.sin(x * 4.5) * Math.cos(y * 4.5) * 0.5 +
-                   Math.sin(x * 8.2) * Math.cos(z * 8.2) * 0.25;
-        };
+        // Heights and biomes come from the simulation's heightfield (see terrain.zig), so the
+        // planet shows exactly the water, mountains and biomes the creatures live by
+        this.heightfield = this.wasmModule.getHeightfield();
+        this.terrainRevision = this.wasmModule.getTerrainRevision();
 
         // Terrain height function - used everywhere
-        this.getTerrainHeight = (nx, ny, nz) => {
-            const continentNoise = this.noise(nx * 0.8, ny * 0.8, nz * 0.8) * 6;
-            const mountainNoise = this.noise(nx * 3, ny * 3, nz * 3) * 2.5;
-            const detailNoise = this.noise(nx * 10, ny * 10, nz * 10) * 0.4;
-            return continentNoise + mountainNoise + detailNoise;
-        };
+        this.getTerrainHeight = (nx, ny, nz) => this.sampleHeightfield(nx, ny, nz);
 
         // Check if a position is on land (for spawn validation)
         this.isOnLand = (nx, ny, nz) => {
-            return this.getTerrainHeight(nx, ny, nz) > 0.5; // Above water level
+            return this.getTerrainHeight(nx, ny, nz) > this.seaLevel();
         };
 
         // Real 3D terrain with actual vertex displacement
         // Using IcosahedronGeometry to avoid UV seam artifacts
         const geometry = new THREE.IcosahedronGeometry(PLANET_RADIUS, 7); // 7 subdivisions = ~163k vertices
         const positions = geometry.attributes.position;
-        const colors = new Float32Array(positions.count * 3);
-
-        // Biome color based on height and latitude - only for LAND (not water)
-        const getBiomeColor = (height, latitude) => {
-            const absLat = Math.abs(latitude);
-
-            // Water is handled by separate water mesh, so terrain below water is seafloor
-            if (height < 0) return { r: 0.15, g: 0.12, b: 0.08 };       // Seafloor (brownish)
-            if (height < 0.5) return { r: 0.9, g: 0.83, b: 0.63 };      // Beach
-            if (height < 2) {
-                if (absLat > 0.7) return { r: 0.44, g: 0.5, b: 0.56 };  // Tundra
-                if (absLat > 0.4) return { r: 0.34, g: 0.49, b: 0.27 }; // Temperate forest
-                return { r: 0.42, g: 0.56, b: 0.14 };                    // Grassland
-            }
-            if (height < 4) {
-                if (absLat > 0.6) return { r: 0.54, g: 0.45, b: 0.33 }; // Mountain rock
-                return { r: 0.18, g: 0.31, b: 0.09 };                    // Dense forest
-            }
-            if (height < 6) return { r: 0.41, g: 0.41, b: 0.41 };       // Rocky mountain
-            return { r: 0.94, g: 0.97, b: 1.0 };                         // Snow peak
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(positions.count * 3), 3));
+
+        // Snow settles on land from the poles and peaks down (lower threshold = snows first)
+        this.snowThresholds = new Float32Array(positions.count);
+
+        const material = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            roughness: 0.8,
+            metalness: 0.1
+        });
+
+        this.planet = new THREE.Mesh(geometry, material);
+        this.planet.receiveShadow = true;
+        this.planet.castShadow = true;
+        this.planetGroup.add(this.planet);
+
+        this.shapePlanet();
+
+        // Create separate water layer
+        this.createWater();
+
+        // Clouds are now created by the WeatherSystem
+    }
+
+    seaLevel() {
+        return this.heightfield ? this.heightfield.waterLevel : 0.5;
+    }
+
+    // Fractional texel coordinates of a unit direction (texel centres at whole numbers)
+    heightfieldCoords(nx, ny, nz) {
+        const { width, height } = this.heightfield;
+        const longitude = Math.atan2(nz, nx);
+        const latitude = Math.asin(Math.max(-1, Math.min(1, ny)));
+        return {
+            u: (longitude + Math.PI) / (Math.PI * 2) * width - 0.5,
+            v: (latitude + Math.PI / 2) / Math.PI * height - 0.5
         };
+    }
 
-        // Store terrain data for organism placement
-        this.terrainData = [];
+    // The four texels around a direction with their bilinear weights (same as Terrain.heightInDirection)
+    heightfieldTexels(nx, ny, nz) {
+        const { width, height } = this.heightfield;
+        const { u, v } = this.heightfieldCoords(nx, ny, nz);
+        const u0 = Math.floor(u);
+        const v0 = Math.floor(v);
+        const fu = u - u0;
+        const fv = v - v0;
+        const col = (c) => ((c % width) + width) % width;
+        const row = (r) => Math.max(0, Math.min(height - 1, r)) * width;
+
+        return [
+            [row(v0) + col(u0), (1 - fu) * (1 - fv)],
+            [row(v0) + col(u0 + 1), fu * (1 - fv)],
+            [row(v0 + 1) + col(u0), (1 - fu) * fv],
+            [row(v0 + 1) + col(u0 + 1), fu * fv]
+        ];
+    }
+
+    sampleHeightfield(nx, ny, nz) {
+        if (!this.heightfield) return 1;
+
+        let h = 0;
+        for (const [index, weight] of this.heightfieldTexels(nx, ny, nz)) {
+            h += this.heightfield.heights[index] * weight;
+        }
+        return h;
+    }
+
+    // Land color from the biome map, blended between neighbouring texels so biome edges are soft
+    biomeColor(nx, ny, nz, height) {
+        if (height <= this.seaLevel()) return SEAFLOOR_COLOR;
+        if (height >= SNOW_PEAK_HEIGHT) return SNOW_PEAK_COLOR;
+        if (!this.heightfield) return BIOME_COLORS[TerrainType.PLAINS];
+
+        const color = { r: 0, g: 0, b: 0 };
+        for (const [index, weight] of this.heightfieldTexels(nx, ny, nz)) {
+            // Ocean texels along a shore are drawn as beach
+            const biome = this.heightfield.biomes[index];
+            const c = BIOME_COLORS[biome === TerrainType.OCEAN ? TerrainType.COAST : biome] || BIOME_COLORS[TerrainType.PLAINS];
+            color.r += c.r * weight;
+            color.g += c.g * weight;
+            color.b += c.b * weight;
+        }
+        return color;
+    }
+
+    // Displace and paint the planet from the current heightfield
+    shapePlanet() {
+        const geometry = this.planet.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color.array;
+        const waterLevel = this.seaLevel();
+
+        for (let i = 0; i < positions.count; i++) {
+            this.shapeVertex(i, positions, colors, waterLevel);
+        }
+
+        this.terrainBaseColors = colors.slice();
+        geometry.computeVertexNormals();
+        geometry.computeBoundingSphere();
+        positions.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+    }
+
+    // Reshape only the vertices within `angle` radians of a unit direction (after a brush dab)
+    shapePlanetRegion(center, angle) {
+        const geometry = this.planet.geometry;
+        const positions = geometry.attributes.position;
+        const colors = geometry.attributes.color.array;
+        const waterLevel = this.seaLevel();
+        const minDot = Math.cos(Math.min(Math.PI, angle));
 
-        // Displace vertices and set colors
         for (let i = 0; i < positions.count; i++) {
             const x = positions.getX(i);
             const y = positions.getY(i);
             const z = positions.getZ(i);
-
             const len = Math.sqrt(x * x + y * y + z * z);
-            const nx = x / len, ny = y / len, nz = z / len;
+            if ((x * center.x + y * center.y + z * center.z) / len < minDot) continue;
 
-            const height = this.getTerrainHeight(nx, ny, nz);
-            const latitude = Math.asin(ny);
-            const color = getBiomeColor(height, latitude);
+            this.shapeVertex(i, positions, colors, waterLevel);
+            for (let j = i * 3; j < i * 3 + 3; j++) this.terrainBaseColors[j] = colors[j];
+        }
 
-            // Actually displace the vertex to create real 3D terrain
-            // For underwater areas, clamp to slightly below water level
-            const clampedHeight = Math.max(height, -2);
-            const newRadius = PLANET_RADIUS + clampedHeight;
-            positions.setXYZ(i, nx * newRadius, ny * newRadius, nz * newRadius);
+        geometry.computeVertexNormals();
+        positions.needsUpdate = true;
+        geometry.attributes.color.needsUpdate = true;
+        if (this.snowCoverStep > 0) this.applySnowCover(this.snowCoverStep);
+    }
+
+    // Displace and paint one planet vertex (and set where snow settles on it)
+    shapeVertex(i, positions, colors, waterLevel) {
+        const x = positions.getX(i);
+        const y = positions.getY(i);
+        const z = positions.getZ(i);
+
+        const len = Math.sqrt(x * x + y * y + z * z);
+        const nx = x / len, ny = y / len, nz = z / len;
 
-            colors[i * 3] = color.r;
-            colors[i * 3 + 1] = color.g;
-            colors[i * 3 + 2] = color.b;
+        const height = this.getTerrainHeight(nx, ny, nz);
+        const latitude = Math.asin(ny);
+        const color = this.biomeColor(nx, ny, nz, height);
 
-            this.terrainData.push({ height, latitude, nx, ny, nz });
+        // Actually displace the vertex to create real 3D terrain
+        // For underwater areas, clamp to slightly below water level
+        const clampedHeight = Math.max(height, -2);
+        const newRadius = PLANET_RADIUS + clampedHeight;
+        positions.setXYZ(i, nx * newRadius, ny * newRadius, nz * newRadius);
+
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
+
+        this.snowThresholds[i] = height < waterLevel ? 2 : 1 - Math.min(1, Math.abs(latitude) * 0.8 + height / 8);
+    }
+
+    // Rebuild the planet when the simulation's terrain changes (a new or loaded world, or an undone stroke)
+    syncTerrain() {
+        const revision = this.wasmModule.getTerrainRevision();
+        if (revision === this.terrainRevision) return;
+
+        this.terrainRevision = revision;
+        this.heightfield = this.wasmModule.getHeightfield();
+        this.shapePlanet();
+        if (this.snowCoverStep > 0) this.applySnowCover(this.snowCoverStep);
+        if (this.atmosphere) this.shapeAtmosphere(this.atmosphere.geometry);
+        this.settleOnTerrain();
+    }
+
+    // Buildings, resource nodes and the territory overlay were placed on the old ground
+    // (organisms are re-placed every frame anyway)
+    settleOnTerrain() {
+        for (const building of this.buildings.values()) {
+            const { position, quaternion } = this.positionOnPlanetSurface(building.flatX, building.flatZ, 0);
+            building.mesh.position.copy(position);
+            building.mesh.quaternion.copy(quaternion);
         }
+        for (const resource of this.resources.values()) {
+            const { position, quaternion } = this.positionOnPlanetSurface(resource.flatX, resource.flatZ, 0.5);
+            resource.mesh.position.copy(position);
+            resource.mesh.quaternion.copy(quaternion);
+        }
+        this.dropTerritoryOverlay();
+    }
 
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-        geometry.computeVertexNormals();
-        positions.needsUpdate = true;
+    // === TERRAIN SCULPTING ===
+    // While a brush is picked, holding the left mouse button on the planet sculpts it;
+    // each press is one stroke in the simulation's undo history
 
-        const material = new THREE.MeshStandardMaterial({
-            vertexColors: true,
-            roughness: 0.8,
-            metalness: 0.1
-        });
+    // Pick a terrain brush (SculptTool), or null to go back to selecting things
+    setSculptTool(tool) {
+        this.endSculptStroke();
+        this.sculptTool = tool;
+        this.renderer.domElement.style.cursor = tool === null ? 'default' : 'crosshair';
+    }
 
-        this.planet = new THREE.Mesh(geometry, material);
-        this.planet.receiveShadow = true;
-        this.planet.castShadow = true;
-        this.planetGroup.add(this.planet);
+    setSculptRadius(radius) {
+        this.sculptRadius = Math.max(SCULPT_RADIUS_MIN, Math.min(SCULPT_RADIUS_MAX, radius));
+    }
 
-        // Create separate water layer
-        this.createWater();
+    // Flat world position of a unit direction from the planet centre (inverse of positionOnPlanetSurface)
+    surfaceToFlat(direction) {
+        const worldSize = 100;
+        const latitude = Math.asin(Math.max(-1, Math.min(1, direction.y)));
+        return {
+            x: Math.atan2(direction.z, direction.x) / (Math.PI * 2) * worldSize,
+            z: (latitude + Math.PI / 2) / Math.PI * worldSize
+        };
+    }
 
-        // Clouds are now created by the WeatherSystem
+    // The spot on the planet under the mouse, or null
+    pickSurface(event) {
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+
+        const hit = this.raycaster.intersectObject(this.planet, false)[0];
+        if (!hit) return null;
+
+        const direction = this.planetGroup.worldToLocal(hit.point.clone()).normalize();
+        return { direction, ...this.surfaceToFlat(direction) };
+    }
+
+    // What a god power click is aimed at: { organismId, x, z, tribeId } (null off the planet)
+    // organismId is the creature under the mouse, tribeId its tribe or the owner of the land there
+    pickPowerTarget(event) {
+        const spot = this.pickSurface(event);
+        if (!spot) return null;
+
+        const target = { organismId: null, x: spot.x, z: spot.z, tribeId: null };
+        const organismHit = this.raycaster.intersectObjects(Array.from(this.organisms.values()), true)[0];
+        const data = this.wasmModule.getOrganismData();
+        if (organismHit && data) {
+            const mesh = organismHit.object.parent || organismHit.object;
+            const id = mesh.userData.organismId;
+            if (id !== undefined && id < data.count) {
+                target.organismId = id;
+                target.x = data.positionsX[id];
+                target.z = data.positionsZ[id];
+                if (data.tribeIds[id] !== 0xFFFFFFFF) target.tribeId = data.tribeIds[id];
+            }
+        }
+
+        const map = target.tribeId === null ? this.wasmModule.getTerritoryMap() : null;
+        if (map) {
+            const cx = Math.floor((target.x - map.originX) / map.cellSize);
+            const cz = Math.floor((target.z - map.originZ) / map.cellSize);
+            if (cx >= 0 && cz >= 0 && cx < map.width && cz < map.height) {
+                const owner = map.owners[cz * map.width + cx];
+                if (owner !== 255) target.tribeId = owner;
+            }
+        }
+        return target;
+    }
+
+    onSculptPointerDown(event) {
+        if (this.sculptTool === null || event.button !== 0) return;
+        const spot = this.pickSurface(event);
+        if (!spot) return;
+
+        // Hold the camera still while sculpting (this listener runs before OrbitControls')
+        event.stopImmediatePropagation();
+        if (!this.wasmModule.beginTerrainStroke()) return;
+        this.controls.enabled = false;
+        this.sculptStroke = spot;
+    }
+
+    onSculptPointerMove(event) {
+        if (!this.sculptStroke) return;
+        const spot = this.pickSurface(event);
+        if (spot) this.sculptStroke = spot;
+    }
+
+    endSculptStroke() {
+        if (!this.sculptStroke) return;
+        this.sculptStroke = null;
+        this.controls.enabled = true;
+
+        // The atmosphere and everything sitting on the ground catch up once per stroke
+        if (this.atmosphere) this.shapeAtmosphere(this.atmosphere.geometry);
+        this.settleOnTerrain();
+    }
+
+    // Apply the held brush where the mouse is (every frame of a stroke)
+    applySculptDab() {
+        const { x, z, direction } = this.sculptStroke;
+        const tool = this.sculptTool;
+        if (!this.wasmModule.sculptTerrain(tool, x, z, this.sculptRadius, SCULPT_STRENGTH[tool])) return;
+
+        // Reshape just the brushed area rather than letting syncTerrain rebuild the whole planet;
+        // the margin covers texels the brush touched at its rim
+        this.terrainRevision = this.wasmModule.getTerrainRevision();
+        this.heightfield = this.wasmModule.getHeightfield();
+        this.shapePlanetRegion(direction, this.sculptRadius / PLANET_RADIUS + 2 * Math.PI / this.heightfield.height);
+    }
+
+    // Undo the last stroke; syncTerrain rebuilds the planet on the next frame
+    undoTerrainStroke() {
+        this.endSculptStroke();
+        return this.wasmModule.undoTerrainStroke();
     }
 
     createWater() {
@@ -462,28 +1027,7 @@ export class Renderer {
     createAtmosphere() {
         // Atmosphere that follows terrain contours
         const geometry = new THREE.IcosahedronGeometry(PLANET_RADIUS, 5);
-        const positions = geometry.attributes.position;
-
-        // Displace atmosphere vertices to follow terrain (but smoothed and offset)
-        const atmosphereOffset = 4; // Height above terrain
-        for (let i = 0; i < positions.count; i++) {
-            const x = positions.getX(i);
-            const y = positions.getY(i);
-            const z = positions.getZ(i);
-
-            const len = Math.sqrt(x * x + y * y + z * z);
-            const nx = x / len, ny = y / len, nz = z / len;
-
-            // Get terrain height but smoothed (use lower frequency noise)
-            const smoothedHeight = this.noise(nx * 0.8, ny * 0.8, nz * 0.8) * 4;
-            const clampedHeight = Math.max(smoothedHeight, 0);
-
-            const newRadius = PLANET_RADIUS + clampedHeight + atmosphereOffset;
-            positions.setXYZ(i, nx * newRadius, ny * newRadius, nz * newRadius);
-        }
-
-        geometry.computeVertexNormals();
-        positions.needsUpdate = true;
+        this.shapeAtmosphere(geometry);
 
         const vertexShader = `
             varying vec3 vNormal;
@@ -519,6 +1063,29 @@ export class Renderer {
         this.scene.add(this.atmosphere);
     }
 
+    // Displace atmosphere vertices to follow terrain (but flattened and offset)
+    shapeAtmosphere(geometry) {
+        const positions = geometry.attributes.position;
+        const atmosphereOffset = 4; // Height above terrain
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const y = positions.getY(i);
+            const z = positions.getZ(i);
+
+            const len = Math.sqrt(x * x + y * y + z * z);
+            const nx = x / len, ny = y / len, nz = z / len;
+
+            // Only the broad shape of the land shows through
+            const smoothedHeight = Math.max(this.getTerrainHeight(nx, ny, nz), 0) * 0.6;
+
+            const newRadius = PLANET_RADIUS + smoothedHeight + atmosphereOffset;
+            positions.setXYZ(i, nx * newRadius, ny * newRadius, nz * newRadius);
+        }
+
+        geometry.computeVertexNormals();
+        positions.needsUpdate = true;
+    }
+
     createSun() {
         // Visual sun sphere
         const sunGeometry = new THREE.SphereGeometry(15, 32, 32);
@@ -694,6 +1261,11 @@ export class Renderer {
 
         this.renderer.domElement.addEventListener('click', (event) => this.onMouseClick(event));
         this.renderer.domElement.addEventListener('mousemove', (event) => this.onMouseMove(event));
+
+        // Capture phase so a brush stroke can stop OrbitControls from also rotating the camera
+        this.renderer.domElement.addEventListener('pointerdown', (event) => this.onSculptPointerDown(event), true);
+        this.renderer.domElement.addEventListener('pointermove', (event) => this.onSculptPointerMove(event));
+        window.addEventListener('pointerup', () => this.endSculptStroke());
     }
 
     initWeather() {
@@ -713,6 +1285,201 @@ export class Renderer {
         this.weatherSystem.setLightningCallback((strikeData) => {
             this.handleLightningStrike(strikeData);
         });
+
+        // Storms and clearing skies from god powers change the simulation's weather too
+        this.weatherSystem.onWeatherOverride = (weather, duration) => {
+            this.wasmModule.setWeather(weather, duration);
+        };
+    }
+
+    // Follow the simulation's calendar and weather, or let the sky and clouds run free
+    setSimulationSync(enabled) {
+        this.simulationSync = enabled;
+        if (enabled) return;
+
+        this.timeSystem.unsync();
+        if (this.weatherSystem) {
+            this.weatherSystem.stopSync();
+        }
+        this.sunlightFactor = 1;
+        this.fogDensity = FOG_DENSITY;
+        this.snowCover = 0;
+        this.seasonTint.setHex(0xffffff);
+        if (this.planet) {
+            this.planet.material.color.setHex(0xffffff);
+            this.applySnowCover(0);
+        }
+
+        // Plants go back to their summer look
+        this.seasonState = { season: Season.SUMMER, next: Season.SUMMER, blend: 0 };
+        for (const id of this.plantData.keys()) {
+            const mesh = this.organisms.get(id);
+            if (mesh) this.applySeasonToPlant(mesh);
+        }
+        this.seasonState = null;
+        if (this.visualEffects) {
+            this.visualEffects.setSeasonGrading('summer');
+        }
+    }
+
+    // Drive the sun, sky, clouds, terrain tint and snow from the simulation's season and weather
+    syncWithSimulation(deltaSeconds) {
+        const calendar = this.wasmModule.getCalendar();
+        if (!calendar) return;
+
+        this.timeSystem.syncTo(calendar.timeOfDay, calendar.day, calendar.lightLevel);
+        if (this.weatherSystem) {
+            this.weatherSystem.syncWeather(calendar.weather, calendar.season);
+        }
+
+        this.sunlightFactor = WEATHER_SUNLIGHT[calendar.weather] ?? 1;
+        this.fogDensity = WEATHER_FOG_DENSITY[calendar.weather] ?? FOG_DENSITY;
+
+        // Every seasonal look blends toward the next season over the last fifth of this one
+        const blend = Math.max(0, (calendar.seasonProgress - 0.8) / 0.2);
+        this.seasonState = {
+            season: calendar.season,
+            next: (calendar.season + 1) % 4,
+            blend: blend * blend * (3 - 2 * blend)
+        };
+
+        this.updateSeasonalTerrain(calendar, deltaSeconds);
+        this.updateSeasonalVegetation();
+        if (this.visualEffects) {
+            this.visualEffects.setSeasonGrading(
+                SEASON_NAMES[this.seasonState.season].toLowerCase(),
+                SEASON_NAMES[this.seasonState.next].toLowerCase(),
+                this.seasonState.blend
+            );
+        }
+    }
+
+    updateSeasonalTerrain(calendar, deltaSeconds) {
+        if (!this.planet) return;
+
+        const { season, next, blend } = this.seasonState;
+        this.seasonTint.copy(SEASON_TERRAIN_TINT[season]).lerp(SEASON_TERRAIN_TINT[next], blend);
+        this.planet.material.color.lerp(this.seasonTint, Math.min(1, deltaSeconds));
+
+        // Snow builds up while it snows, lingers on the poles in winter and melts otherwise
+        const snowing = calendar.weather === Weather.SNOW || calendar.weather === Weather.BLIZZARD;
+        const target = snowing ? 1 : (calendar.season === Season.WINTER ? 0.35 : 0);
+        const rate = target > this.snowCover ? (calendar.weather === Weather.BLIZZARD ? 0.08 : 0.03) : 0.02;
+        if (target > this.snowCover) {
+            this.snowCover = Math.min(target, this.snowCover + rate * deltaSeconds);
+        } else {
+            this.snowCover = Math.max(target, this.snowCover - rate * deltaSeconds);
+        }
+
+        const step = Math.round(this.snowCover * SNOW_STEPS);
+        if (step !== this.snowCoverStep) {
+            this.applySnowCover(step);
+        }
+    }
+
+    // Refresh a staggered slice of plants each frame, shedding leaves and petals as it goes
+    updateSeasonalVegetation() {
+        const { season, next, blend } = this.seasonState;
+        const slice = this.frameCount % SEASON_PLANT_FRAMES;
+        const shedding = season === Season.AUTUMN || (season === Season.SPRING && blend < 0.5);
+
+        for (const id of this.plantData.keys()) {
+            if (id % SEASON_PLANT_FRAMES !== slice) continue;
+            const mesh = this.organisms.get(id);
+            if (!mesh) continue;
+
+            const leafScale = this.applySeasonToPlant(mesh);
+            if (shedding && leafScale > 0.05 && mesh.userData.plantType === PlantType.TREE && this.particleSystem && Math.random() < 0.3) {
+                const traits = mesh.userData.seasonTraits;
+                if (season === Season.AUTUMN || traits.blossom) {
+                    const top = mesh.position.clone().normalize()
+                        .multiplyScalar((mesh.userData.treeHeight || 4) * mesh.scale.y * 0.7)
+                        .add(mesh.position);
+                    this.particleSystem.emitFallingLeaf(top.x, top.y, top.z,
+                        season === Season.AUTUMN ? traits.autumnColor : BLOSSOM_COLOR);
+                }
+            }
+        }
+    }
+
+    // How a plant looks in a season: the color its leaves lean toward, how far, and how much foliage is left
+    seasonalPlantLook(plantType, traits, season) {
+        const isTree = plantType === PlantType.TREE;
+        switch (season) {
+            case Season.SPRING:
+                if (traits.blossom && (isTree || plantType === PlantType.BUSH)) {
+                    return { color: BLOSSOM_COLOR, amount: 0.55, leafScale: 1 };
+                }
+                return { color: SPRING_GREEN, amount: 0.25, leafScale: 1 };
+            case Season.AUTUMN:
+                if (plantType === PlantType.GRASS || plantType === PlantType.CROP) {
+                    return { color: DRY_GRASS_COLOR, amount: 0.5, leafScale: 1 };
+                }
+                if (plantType === PlantType.FLOWER) {
+                    return { color: DRY_GRASS_COLOR, amount: 0.3, leafScale: 1 };
+                }
+                return { color: traits.autumnColor, amount: 0.8, leafScale: 1 };
+            case Season.WINTER:
+                if (isTree && traits.deciduous) {
+                    return { color: traits.autumnColor, amount: 1, leafScale: 0 };
+                }
+                if (plantType === PlantType.FLOWER) {
+                    return { color: DRY_GRASS_COLOR, amount: 0.6, leafScale: 0 };
+                }
+                return { color: SNOW_COLOR, amount: 0.5, leafScale: 1 };
+            default:
+                return { color: SPRING_GREEN, amount: 0, leafScale: 1 };
+        }
+    }
+
+    // Recolor a plant's leaves for the current season state; returns how much foliage it has (0-1)
+    applySeasonToPlant(mesh) {
+        const traits = mesh.userData.seasonTraits || (mesh.userData.seasonTraits = {
+            deciduous: Math.random() < DECIDUOUS_SHARE,
+            blossom: Math.random() < 0.5,
+            autumnColor: AUTUMN_LEAF_COLORS[Math.floor(Math.random() * AUTUMN_LEAF_COLORS.length)]
+        });
+        const { season, next, blend } = this.seasonState;
+        const from = this.seasonalPlantLook(mesh.userData.plantType, traits, season);
+        const to = this.seasonalPlantLook(mesh.userData.plantType, traits, next);
+        const leafScale = from.leafScale + (to.leafScale - from.leafScale) * blend;
+
+        mesh.traverse((child) => {
+            if (!child.userData.isLeaves || !child.material) return;
+            if (!child.userData.baseColor) {
+                child.userData.baseColor = child.material.color.clone();
+            }
+
+            seasonColorFrom.copy(child.userData.baseColor).lerp(from.color, from.amount);
+            seasonColorTo.copy(child.userData.baseColor).lerp(to.color, to.amount);
+            child.material.color.copy(seasonColorFrom).lerp(seasonColorTo, blend);
+
+            // Tree canopies shrink away (the plant animation scales them); other foliage just disappears
+            if (child.userData.originalScale !== undefined) {
+                child.userData.originalScale = Math.max(leafScale, 0.01);
+                child.visible = leafScale > 0.05;
+            } else {
+                child.visible = leafScale > 0.5;
+            }
+        });
+        return leafScale;
+    }
+
+    // Repaint the terrain's vertex colors with snow cover at the given step
+    applySnowCover(step) {
+        this.snowCoverStep = step;
+        const cover = step / SNOW_STEPS;
+        const colors = this.planet.geometry.attributes.color;
+        const base = this.terrainBaseColors;
+
+        for (let i = 0; i < this.snowThresholds.length; i++) {
+            const snow = Math.min(1, Math.max(0, (cover - this.snowThresholds[i]) * 4));
+            const j = i * 3;
+            colors.array[j] = base[j] + (SNOW_COLOR.r - base[j]) * snow;
+            colors.array[j + 1] = base[j + 1] + (SNOW_COLOR.g - base[j + 1]) * snow;
+            colors.array[j + 2] = base[j + 2] + (SNOW_COLOR.b - base[j + 2]) * snow;
+        }
+        colors.needsUpdate = true;
     }
 
     // Handle lightning strike - damage creatures and potentially start fires
@@ -752,7 +1519,7 @@ export class Renderer {
             const dist = building.mesh.position.distanceTo(strikePos);
             if (dist < strikeRadius * 1.5) {
                 // Hit building
-                building.health = Math.max(0, building.health - 30);
+                this.wasmModule.damageBuilding(id, 30);
                 console.log(`[Lightning] Hit building ${id}!`);
 
                 // 50% chance to start fire on buildings
@@ -852,15 +1619,11 @@ export class Renderer {
                         }
                     }
                 } else if (fire.targetType === 'building') {
-                    const building = this.buildings.get(fire.targetId);
-                    if (building) {
-                        building.health -= this.FIRE_DAMAGE_RATE * 0.5 * deltaSeconds;
-                        if (building.health <= 0) {
-                            // Building destroyed
-                            this.planetGroup.remove(building.mesh);
-                            this.buildings.delete(fire.targetId);
-                            fire.targetId = null;
-                        }
+                    // Destroyed buildings disappear on the next building sync
+                    if (this.buildings.has(fire.targetId)) {
+                        this.wasmModule.damageBuilding(fire.targetId, this.FIRE_DAMAGE_RATE * 0.5 * deltaSeconds);
+                    } else {
+                        fire.targetId = null;
                     }
                 }
             }
@@ -1029,6 +1792,13 @@ export class Renderer {
     }
 
     onMouseClick(event) {
+        if (this.sculptTool !== null) return; // Clicks sculpt while a brush is picked
+        if (this.godPowers && this.godPowers.armed !== null) {
+            const target = this.pickPowerTarget(event);
+            if (target) this.godPowers.useOn(target);
+            return;
+        }
+
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
@@ -1123,6 +1893,9 @@ export class Renderer {
     }
 
     onMouseMove(event) {
+        if (this.sculptTool !== null) return; // Keep the brush cursor
+        if (this.godPowers && this.godPowers.armed !== null) return; // Keep the power cursor
+
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
@@ -1361,42 +2134,21 @@ export class Renderer {
             font-family: 'Segoe UI', Arial, sans-serif;
         `;
 
-        const buildingTypeNames = {
-            'hut': 'Hut',
-            'house': 'House',
-            'workshop': 'Workshop',
-            'storage': 'Storage',
-            'farm': 'Farm',
-            'barracks': 'Barracks'
-        };
-
-        const buildingTypeIcons = {
-            'hut': '\u{1F3E0}',
-            'house': '\u{1F3E1}',
-            'workshop': '\u2692',
-            'storage': '\u{1F4E6}',
-            'farm': '\u{1F33E}',
-            'barracks': '\u2694'
-        };
-
-        const buildingDescriptions = {
-            'hut': 'Shelter for tribe members',
-            'storage': 'Stores gathered resources',
-            'workshop': 'Crafts tools and equipment',
-            'farm': 'Grows food for the tribe',
-            'barracks': 'Trains warriors'
-        };
-
-        const typeName = buildingTypeNames[building.type] || 'Building';
-        const typeIcon = buildingTypeIcons[building.type] || '\u{1F3D7}';
-        const description = buildingDescriptions[building.type] || '';
+        const info = getBuildingDefinition(building.simType) || { name: 'Building', icon: '\u{1F3D7}', description: '' };
+        const typeName = info.name;
+        const typeIcon = info.icon;
+        const description = info.description;
 
         const age = Math.floor((Date.now() - building.createdAt) / 1000);
         const ageMinutes = Math.floor(age / 60);
         const ageSeconds = age % 60;
         const ageStr = ageMinutes > 0 ? `${ageMinutes}m ${ageSeconds}s` : `${ageSeconds}s`;
 
-        const resources = building.resources || { wood: 0, stone: 0, gold: 0, iron: 0 };
+        // Buildings draw on the shared tribe stockpile
+        const tribe = building.tribeId !== 0xFFFFFFFF ? this.wasmModule.getTribeData(building.tribeId) : null;
+        const effects = tribe ? this.wasmModule.getTribeBuildingEffects(building.tribeId) : null;
+        const foodCap = effects ? ` / ${Math.floor(effects.foodStorage)}` : '';
+        const resourceCap = effects ? ` / ${Math.floor(effects.resourceStorage)}` : '';
 
         this.buildingPanel.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
@@ -1406,6 +2158,7 @@ export class Renderer {
                 <button id="building-close-btn" style="background: none; border: none; color: #888; font-size: 1.5rem; cursor: pointer; padding: 0;">&times;</button>
             </div>
             ${description ? `<div style="font-size: 0.8rem; color: #888; margin-bottom: 1rem;">${description}</div>` : ''}
+            ${info.tier ? `<div style="font-size: 0.75rem; color: #aaa; margin-bottom: 0.5rem;">Tier ${info.tier} ${info.category}</div>` : ''}
 
             <div style="margin: 1rem 0;">
                 <div style="font-size: 0.85rem; margin-bottom: 0.3rem; color: #888;">HEALTH</div>
@@ -1415,7 +2168,11 @@ export class Renderer {
                 <div style="text-align: right; font-size: 0.75rem; color: #888; margin-top: 0.2rem;">${building.health}%</div>
             </div>
 
-            ${building.tribeId > 0 ? `
+            ${building.progress < 100 ? `
+                <div style="font-size: 0.8rem; color: #fa0; margin-bottom: 0.5rem;">\u{1F6A7} Under construction: ${Math.floor(building.progress)}%</div>
+            ` : ''}
+
+            ${building.tribeId !== 0xFFFFFFFF ? `
                 <div style="background: rgba(255,170,0,0.15); border: 1px solid rgba(255,200,0,0.3); border-radius: 6px; padding: 0.6rem; margin: 1rem 0;">
                     <div style="color: #fa0; font-weight: 600;">\u{1F3DB} Tribe ${building.tribeId} Property</div>
                 </div>
@@ -1432,27 +2189,29 @@ export class Renderer {
                 </div>
             </div>
 
-            <div style="margin: 1rem 0;">
-                <div style="font-size: 0.85rem; margin-bottom: 0.5rem; color: #888;">STORED RESOURCES</div>
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem;">
-                    <div style="background: rgba(139,69,19,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
-                        <span>\u{1FAB5} Wood</span>
-                        <span style="color: #CD853F;">${resources.wood}</span>
-                    </div>
-                    <div style="background: rgba(128,128,128,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
-                        <span>\u{1FAA8} Stone</span>
-                        <span style="color: #888;">${resources.stone}</span>
-                    </div>
-                    <div style="background: rgba(255,215,0,0.2); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
-                        <span>\u{1F947} Gold</span>
-                        <span style="color: #FFD700;">${resources.gold}</span>
-                    </div>
-                    <div style="background: rgba(139,90,43,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
-                        <span>\u2699 Iron</span>
-                        <span style="color: #B87333;">${resources.iron}</span>
+            ${tribe ? `
+                <div style="margin: 1rem 0;">
+                    <div style="font-size: 0.85rem; margin-bottom: 0.5rem; color: #888;">TRIBE STOCKPILE</div>
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem;">
+                        <div style="background: rgba(100,160,60,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
+                            <span>\u{1F356} Food</span>
+                            <span style="color: #9c6;">${Math.floor(tribe.food)}${foodCap}</span>
+                        </div>
+                        <div style="background: rgba(139,69,19,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
+                            <span>\u{1FAB5} Wood</span>
+                            <span style="color: #CD853F;">${Math.floor(tribe.wood)}${resourceCap}</span>
+                        </div>
+                        <div style="background: rgba(128,128,128,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
+                            <span>\u{1FAA8} Stone</span>
+                            <span style="color: #888;">${Math.floor(tribe.stone)}${resourceCap}</span>
+                        </div>
+                        <div style="background: rgba(139,90,43,0.3); padding: 0.4rem 0.6rem; border-radius: 4px; display: flex; justify-content: space-between;">
+                            <span>\u2699 Metal</span>
+                            <span style="color: #B87333;">${Math.floor(tribe.metal)}${resourceCap}</span>
+                        </div>
                     </div>
                 </div>
-            </div>
+            ` : ''}
 
             <div style="font-size: 0.7rem; color: #555; margin-top: 1rem; text-align: center;">
                 Position: (${building.flatX?.toFixed(1) || '?'}, ${building.flatZ?.toFixed(1) || '?'})
@@ -1526,10 +2285,8 @@ export class Renderer {
         `;
 
         const resourceTypes = {
-            0: { name: 'Stone', icon: '\u{1FAA8}', color: '#888' },
-            1: { name: 'Iron Ore', icon: '\u2699', color: '#B87333' },
-            2: { name: 'Gold Ore', icon: '\u{1F947}', color: '#FFD700' },
-            3: { name: 'Crystal', icon: '\u{1F48E}', color: '#88ffff' }
+            [ResourceType.STONE]: { name: 'Stone', icon: '\u{1FAA8}', color: '#888' },
+            [ResourceType.METAL]: { name: 'Metal Ore', icon: '\u2699', color: '#B87333' }
         };
 
         const typeInfo = resourceTypes[resource.type] || { name: 'Resource', icon: '\u{1FAA8}', color: '#888' };
@@ -1545,9 +2302,9 @@ export class Renderer {
             <div style="margin: 1rem 0;">
                 <div style="font-size: 0.85rem; margin-bottom: 0.3rem; color: #888;">REMAINING</div>
                 <div style="background: rgba(255,255,255,0.1); height: 10px; border-radius: 5px; overflow: hidden;">
-                    <div style="width: ${resource.amount}%; height: 100%; background: ${typeInfo.color}; transition: width 0.3s;"></div>
+                    <div style="width: ${Math.min(100, resource.amount)}%; height: 100%; background: ${typeInfo.color}; transition: width 0.3s;"></div>
                 </div>
-                <div style="text-align: right; font-size: 0.75rem; color: #888; margin-top: 0.2rem;">${resource.amount} units</div>
+                <div style="text-align: right; font-size: 0.75rem; color: #888; margin-top: 0.2rem;">${Math.round(resource.amount)} units</div>
             </div>
 
             <div style="font-size: 0.8rem; color: #aaa; margin-top: 1rem;">
@@ -1674,6 +2431,12 @@ export class Renderer {
 
             ${cloud.canStorm ? '<div style="font-size: 0.8rem; color: #ff6; margin-top: 0.5rem;">\u26A1 Can produce lightning</div>' : ''}
 
+            <div style="display: flex; gap: 0.4rem; margin-top: 1rem;">
+                ${Object.keys(weatherIcons).map(state => `
+                    <button class="cloud-weather-btn" data-weather="${state}" title="Make it ${state}" style="flex: 1; background: rgba(255,255,255,${state === cloud.weatherState ? 0.25 : 0.08}); border: 1px solid ${weatherColors[state]}; border-radius: 6px; color: white; font-size: 1.1rem; padding: 0.3rem; cursor: pointer;">${weatherIcons[state]}</button>
+                `).join('')}
+            </div>
+
             <div style="font-size: 0.75rem; color: #666; margin-top: 1rem;">
                 Clouds absorb moisture over water and release it as rain over land.
             </div>
@@ -1681,6 +2444,12 @@ export class Renderer {
 
         document.body.appendChild(this.cloudPanel);
         document.getElementById('cloud-close-btn').onclick = () => this.deselectCloud();
+        this.cloudPanel.querySelectorAll('.cloud-weather-btn').forEach(button => {
+            button.onclick = () => {
+                this.weatherSystem.setCloudWeather(cloudIndex, button.dataset.weather);
+                this.showCloudPanel(cloudIndex);
+            };
+        });
     }
 
     hideCloudPanel() {
@@ -1716,6 +2485,7 @@ export class Renderer {
         const energy = data.energies[organismIndex];
         const health = data.healths[organismIndex];
         const tribeId = data.tribeIds[organismIndex];
+        const species = data.species ? getSimulationSpecies(data.species[organismIndex]) : null;
 
         console.log('[Renderer] Showing stats for organism:', {
             id: organismIndex,
@@ -1774,7 +2544,7 @@ export class Renderer {
         // Build detailed stats HTML
         const statsHTML = `
             <div style="margin-bottom: 1rem; font-size: 1.3rem; color: #0F0; text-align: center;">
-                ${typeIcons[type]} ${isPlant ? plantTypeName : typeNames[type]} #${id}
+                ${species ? species.icon : typeIcons[type]} ${isPlant ? plantTypeName : (species ? species.name.toUpperCase() : typeNames[type])} #${id}
             </div>
 
             <div style="margin: 1rem 0;">
@@ -1829,14 +2599,25 @@ export class Renderer {
                         🧠 Neural Network Live State
                     </div>
 
-                    <div style="font-size: 0.8rem; color: #888; margin-bottom: 0.5rem;">INPUTS (What it perceives):</div>
-                    <div id="nn-inputs" style="font-size: 0.75rem; margin-bottom: 1rem;"></div>
+                    <div id="nn-winner" style="font-size: 0.95rem; margin-bottom: 0.8rem; color: #ff0;">Waiting for next tick...</div>
 
-                    <div style="font-size: 0.8rem; color: #888; margin-bottom: 0.5rem;">OUTPUTS (Brain's decisions):</div>
-                    <div id="nn-outputs" style="font-size: 0.75rem;"></div>
+                    <canvas id="nn-canvas" width="640" height="260" style="width: 100%; background: rgba(0,0,0,0.35); border-radius: 6px; margin-bottom: 1rem;"></canvas>
 
-                    <div style="font-size: 0.7rem; color: #666; margin-top: 0.8rem; padding-top: 0.8rem; border-top: 1px solid rgba(255,255,255,0.1); font-style: italic;">
-                        🧠 Neural network controlling all decisions autonomously
+                    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1rem;">
+                        <div>
+                            <div style="font-size: 0.8rem; color: #888; margin-bottom: 0.5rem;">INPUTS (What it perceives):</div>
+                            <div id="nn-inputs" style="font-size: 0.75rem;"></div>
+                        </div>
+                        <div>
+                            <div style="font-size: 0.8rem; color: #888; margin-bottom: 0.5rem;">OUTPUTS (Brain's decisions):</div>
+                            <div id="nn-outputs" style="font-size: 0.75rem;"></div>
+                        </div>
+                    </div>
+
+                    <div style="display: flex; justify-content: space-between; align-items: center; font-size: 0.7rem; color: #666; margin-top: 0.8rem; padding-top: 0.8rem; border-top: 1px solid rgba(255,255,255,0.1); font-style: italic;">
+                        <span>🧠 Neural network controlling all decisions autonomously</span>
+                        <button id="nn-export-brain" style="padding: 4px 10px; background: rgba(0, 136, 255, 0.2); border: 1px solid #08f; color: #fff; cursor: pointer; border-radius: 4px; font-style: normal;">💾 Export Brain</button>
+                        <button id="nn-family-tree" style="padding: 4px 10px; background: rgba(100, 200, 100, 0.2); border: 1px solid #6c6; color: #fff; cursor: pointer; border-radius: 4px; font-style: normal;">🌳 Family Tree</button>
                     </div>
                 </div>
             `}
@@ -1861,8 +2642,22 @@ export class Renderer {
         newCloseBtn.onclick = () => this.deselectOrganism();
         this.neuralNetworkPanel.appendChild(newCloseBtn);
 
-        // If not a plant, animate the neural network values
+        const exportBtn = document.getElementById('nn-export-brain');
+        if (exportBtn) {
+            exportBtn.onclick = () => {
+                const brain = this.wasmModule.exportBrain(id);
+                if (brain) downloadBrain(brain, `${typeNames[type].toLowerCase()}-${id}`);
+            };
+        }
+
+        const familyTreeBtn = document.getElementById('nn-family-tree');
+        if (familyTreeBtn) {
+            familyTreeBtn.onclick = () => lineagePanel.showCreature(id);
+        }
+
+        // If not a plant, trace its brain in WASM and animate the live activations
         if (type !== 0) {
+            this.wasmModule.inspectOrganism(id);
             this.animateNeuralNetworkValues(id, type);
         }
     }
@@ -1872,130 +2667,57 @@ export class Renderer {
             document.body.removeChild(this.neuralNetworkPanel);
             this.neuralNetworkPanel = null;
         }
+        this.wasmModule.inspectOrganism(null);
     }
 
     animateNeuralNetworkValues(id, type) {
+        // Weights only change on mutation, so read them once per selection
+        const weights = this.wasmModule.getBrainWeights(id);
+        let lastFrame = 0;
+
+        const row = (label, value, color) => `
+            <div style="display: flex; justify-content: space-between; margin: 0.2rem 0;">
+                <span style="color: #888;">${label}:</span>
+                <span style="color: ${color};">${value >= 0 ? '+' : ''}${value.toFixed(2)}</span>
+            </div>`;
+
         const animate = () => {
             if (!this.neuralNetworkPanel || this.selectedOrganism !== id) return;
 
-            // Get fresh organism data
-            const data = this.wasmModule.getOrganismData();
-            if (!data) return;
+            const activations = this.wasmModule.getBrainActivations();
 
-            // The id IS the organism index
-            const organismIndex = id;
+            // Only redraw when the simulation has traced a new tick for this organism
+            if (activations && activations.organism === id && activations.frame !== lastFrame) {
+                lastFrame = activations.frame;
 
-            // Validate
-            if (organismIndex < 0 || organismIndex >= data.count || !data.alive[organismIndex]) {
-                return;
-            }
+                const winner = getWinningAction(activations.outputs);
 
-            const energy = data.energies[organismIndex];
-            const health = data.healths[organismIndex];
-
-            // Simulate neural network inputs (these would ideally come from WASM)
-            const nnInputs = [
-                energy / 100,
-                health / 100,
-                Math.random(), // Food nearby (placeholder)
-                Math.random(), // Predator nearby (placeholder)
-                Math.random(), // Prey nearby (placeholder)
-                0.5, // Age (placeholder)
-                0.3, // Social density (placeholder)
-                0.2  // Generation (placeholder)
-            ];
+                const winnerDiv = document.getElementById('nn-winner');
+                if (winnerDiv) {
+                    winnerDiv.textContent = `${winner.icon} Winning action: ${winner.name} (${winner.value.toFixed(2)}) · tick ${activations.frame}`;
+                }
 
-            // Simulate neural network outputs (placeholder values)
-            const nnOutputs = [
-                Math.random() * 2 - 1, // MoveX
-                Math.random() * 2 - 1, // MoveY
-                Math.random() * 2 - 1, // MoveZ
-                Math.random(), // Speed
-                data.eating[organismIndex] ? 1.0 : 0.0, // Eat
-                data.attacking[organismIndex] ? 1.0 : 0.0, // Attack
-                Math.random(), // Reproduce
-                Math.random() * 2 - 1 // Social
-            ];
+                const canvas = document.getElementById('nn-canvas');
+                if (canvas) {
+                    drawBrainNetwork(canvas, weights, activations, winner.output);
+                }
 
-            // Update inputs display
-            const inputsDiv = document.getElementById('nn-inputs');
-            if (inputsDiv) {
-                inputsDiv.innerHTML = `
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Energy:</span>
-                        <span style="color: ${nnInputs[0] > 0.7 ? '#0f0' : nnInputs[0] > 0.3 ? '#ff0' : '#f00'};">${(nnInputs[0] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Health:</span>
-                        <span style="color: ${nnInputs[1] > 0.7 ? '#0f0' : nnInputs[1] > 0.3 ? '#ff0' : '#f00'};">${(nnInputs[1] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Food Nearby:</span>
-                        <span style="color: ${nnInputs[2] > 0.5 ? '#0f0' : nnInputs[2] > 0.2 ? '#ff0' : '#888'};">${(nnInputs[2] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Predator Nearby:</span>
-                        <span style="color: ${nnInputs[3] > 0.5 ? '#f00' : nnInputs[3] > 0.2 ? '#ff0' : '#0f0'};">${(nnInputs[3] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Prey Nearby:</span>
-                        <span style="color: ${nnInputs[4] > 0.5 ? '#0f0' : '#888'};">${(nnInputs[4] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Age:</span>
-                        <span style="color: #8af;">${(nnInputs[5] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Social Density:</span>
-                        <span style="color: #8af;">${(nnInputs[6] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Generation:</span>
-                        <span style="color: #8af;">${(nnInputs[7] * 100).toFixed(0)}%</span>
-                    </div>
-                `;
-            }
+                const inputsDiv = document.getElementById('nn-inputs');
+                if (inputsDiv) {
+                    inputsDiv.innerHTML = BRAIN_INPUT_LABELS.map((label, i) => {
+                        const value = activations.inputs[i];
+                        return row(label, value, value > 0.5 ? '#0f0' : value < -0.5 ? '#f88' : '#8af');
+                    }).join('');
+                }
 
-            // Update outputs display
-            const outputsDiv = document.getElementById('nn-outputs');
-            if (outputsDiv) {
-                outputsDiv.innerHTML = `
-                    <div style="background: rgba(0,255,0,0.05); border-left: 2px solid rgba(0,255,0,0.3); padding: 0.5rem; margin: 0.5rem 0;">
-                        <div style="color: #888; margin-bottom: 0.3rem; font-weight: 600;">Movement (3D direction):</div>
-                        <div style="display: flex; justify-content: space-between; margin: 0.2rem 0;">
-                            <span>X:</span>
-                            <span style="color: ${nnOutputs[0] > 0 ? '#0f0' : '#f88'};">${nnOutputs[0] > 0 ? '+' : ''}${(nnOutputs[0] * 100).toFixed(0)}%</span>
-                        </div>
-                        <div style="display: flex; justify-content: space-between; margin: 0.2rem 0;">
-                            <span>Y:</span>
-                            <span style="color: ${nnOutputs[1] > 0 ? '#0f0' : '#f88'};">${nnOutputs[1] > 0 ? '+' : ''}${(nnOutputs[1] * 100).toFixed(0)}%</span>
-                        </div>
-                        <div style="display: flex; justify-content: space-between; margin: 0.2rem 0;">
-                            <span>Z:</span>
-                            <span style="color: ${nnOutputs[2] > 0 ? '#0f0' : '#f88'};">${nnOutputs[2] > 0 ? '+' : ''}${(nnOutputs[2] * 100).toFixed(0)}%</span>
-                        </div>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Speed Modifier:</span>
-                        <span style="color: #0f0;">${(nnOutputs[3] * 100).toFixed(0)}%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Should Eat:</span>
-                        <span style="color: ${nnOutputs[4] > 0.5 ? '#0f0' : '#f00'};">${nnOutputs[4] > 0.5 ? '✅ YES' : '❌ NO'}</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Should Attack:</span>
-                        <span style="color: ${nnOutputs[5] > 0.5 ? '#f00' : '#0f0'};">${nnOutputs[5] > 0.5 ? '⚔️ YES' : '🕊️ NO'}</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Should Reproduce:</span>
-                        <span style="color: ${nnOutputs[6] > 0.5 ? '#0f0' : '#888'};">${nnOutputs[6] > 0.5 ? '💚 YES' : '⏸️ NO'}</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 0.3rem 0;">
-                        <span style="color: #888;">Social Behavior:</span>
-                        <span style="color: ${Math.abs(nnOutputs[7]) > 0.5 ? '#0af' : '#888'};">${nnOutputs[7] > 0.5 ? '👥 SEEK' : nnOutputs[7] < -0.5 ? '🚶 AVOID' : '😐 NEUTRAL'}</span>
-                    </div>
-                `;
+                const outputsDiv = document.getElementById('nn-outputs');
+                if (outputsDiv) {
+                    outputsDiv.innerHTML = BRAIN_OUTPUT_LABELS.map((label, i) => {
+                        const value = activations.outputs[i];
+                        const color = i === winner.output ? '#ff0' : value > 0 ? '#0f0' : '#f88';
+                        return row(i === winner.output ? `▶ ${label}` : label, value, color);
+                    }).join('');
+                }
             }
 
             requestAnimationFrame(animate);
@@ -2020,11 +2742,12 @@ export class Renderer {
 
         // Use the ACTUAL terrain height function (same as planet generation)
         const terrainHeight = this.getTerrainHeight(nx, ny, nz);
-        const isLand = terrainHeight > 0.5;
+        const waterLevel = this.seaLevel();
+        const isLand = terrainHeight > waterLevel;
 
         // Position directly ON the terrain surface with minimal offset
         // objectHeight is half the object's height to place its base on ground
-        const surfaceHeight = isLand ? terrainHeight : 0.5; // Water level at 0.5
+        const surfaceHeight = isLand ? terrainHeight : waterLevel;
         const surfaceRadius = PLANET_RADIUS + surfaceHeight + objectHeight;
 
         const x = surfaceRadius * nx;
@@ -2049,9 +2772,8 @@ export class Renderer {
         for (let i = 0; i < maxAttempts; i++) {
             const flatX = (Math.random() - 0.5) * 90;
             const flatZ = (Math.random() - 0.5) * 90;
-            const result = this.positionOnPlanetSurface(flatX, flatZ);
-            if (result.isLand) {
-                return { flatX, flatZ, ...result };
+            if (this.wasmModule.isLand(flatX, flatZ)) {
+                return { flatX, flatZ, ...this.positionOnPlanetSurface(flatX, flatZ) };
             }
         }
         // Fallback - return any position
@@ -2060,6 +2782,8 @@ export class Renderer {
 
     update() {
         this.frameCount++; // Increment for staggered updates
+        this.syncTerrain();
+        if (this.sculptStroke) this.applySculptDab();
 
         // Get organism data from WASM
         const data = this.wasmModule.getOrganismData();
@@ -2073,7 +2797,11 @@ export class Renderer {
             currentIds.add(id);
 
             if (!data.alive[i]) {
-                this.removeOrganism(id);
+                if (data.types[i] === 0 && this.isBeingChopped(id)) {
+                    this.harvestTree(id);
+                } else {
+                    this.removeOrganism(id);
+                }
                 continue;
             }
 
@@ -2086,14 +2814,12 @@ export class Renderer {
                 mesh = null;
             }
 
-            let isNewOrganism = false;
             if (!mesh) {
                 mesh = this.createOrganismMesh(orgType);
                 mesh.userData.organismId = id;
                 mesh.userData.organismType = orgType;
                 this.organisms.set(id, mesh);
                 this.planetGroup.add(mesh);
-                isNewOrganism = true;
 
                 // Initialize animation state
                 this.animationSystem.initAnimationState(id, orgType);
@@ -2116,8 +2842,8 @@ export class Renderer {
             }
 
             // Position on planet surface
-            let flatX = data.positionsX[i];
-            let flatZ = data.positionsZ[i];
+            const flatX = data.positionsX[i];
+            const flatZ = data.positionsZ[i];
 
             // Determine object height offset for proper ground placement
             // This lifts the object's origin above terrain so feet/base touch ground
@@ -2134,57 +2860,7 @@ export class Renderer {
             const objectHeight = objectHeights[orgType] || 0.5;
 
             // Get terrain info at this position
-            let { position, quaternion, isLand } = this.positionOnPlanetSurface(flatX, flatZ, objectHeight);
-
-            // Skip rendering plants that ended up in water (don't render them)
-            if (orgType === 0 && !isLand) {
-                mesh.visible = false;
-                continue;
-            }
-
-            // Water avoidance for non-plants (OPTIMIZED: staggered checks to reduce CPU load)
-            // Only check 1/10th of organisms each frame to spread the load
-            if (orgType !== 0 && (this.frameCount % 10 === i % 10)) {
-                let needsPositionUpdate = false;
-
-                // If in water, push toward center (simple heuristic - land is usually toward center)
-                if (!isLand) {
-                    // Simple push toward map center (0,0) which is typically land
-                    const toCenterX = -flatX;
-                    const toCenterZ = -flatZ;
-                    const len = Math.sqrt(toCenterX * toCenterX + toCenterZ * toCenterZ);
-                    if (len > 0.1) {
-                        flatX += (toCenterX / len) * 2.0;
-                        flatZ += (toCenterZ / len) * 2.0;
-                        needsPositionUpdate = true;
-                    }
-                } else if (data.velocitiesX && data.velocitiesZ) {
-                    // On land - simple forward water check
-                    const vx = data.velocitiesX[i] || 0;
-                    const vz = data.velocitiesZ[i] || 0;
-                    const speed = Math.sqrt(vx * vx + vz * vz);
-
-                    if (speed > 0.5) {
-                        const lookAhead = 2.0;
-                        const futureX = flatX + (vx / speed) * lookAhead;
-                        const futureZ = flatZ + (vz / speed) * lookAhead;
-                        const futureInfo = this.positionOnPlanetSurface(futureX, futureZ);
-
-                        // If heading toward water, reverse velocity
-                        if (!futureInfo.isLand && this.wasmModule.setOrganismVelocity) {
-                            this.wasmModule.setOrganismVelocity(i, -vx * 0.5, 0, -vz * 0.5);
-                        }
-                    }
-                }
-
-                // Write corrected position back to WASM
-                if (needsPositionUpdate && this.wasmModule.setOrganismPosition) {
-                    this.wasmModule.setOrganismPosition(i, flatX, data.positionsY[i], flatZ);
-                    const adjusted = this.positionOnPlanetSurface(flatX, flatZ, objectHeight);
-                    position = adjusted.position;
-                    quaternion = adjusted.quaternion;
-                }
-            }
+            const { position, quaternion } = this.positionOnPlanetSurface(flatX, flatZ, objectHeight);
 
             // Smooth position interpolation to prevent jerky movement
             if (mesh.userData.hasPosition) {
@@ -2299,23 +2975,26 @@ export class Renderer {
                 // Store tribeId in userData for UI/selection purposes
                 mesh.userData.tribeId = tribeId;
             }
-
-            // Emit birth particles for newly created organisms (skip plants to reduce particle spam)
-            if (isNewOrganism && this.particleSystem && orgType !== 0) {
-                const pos = mesh.position;
-                this.particleSystem.emitBirth(pos.x, pos.y, pos.z, orgType);
-            }
-
-            // Play birth sound for newly created organisms (skip plants)
-            if (isNewOrganism && this.audioSystem && this.audioSystem.enabled && orgType !== 0) {
-                const pos = mesh.position;
-                this.audioSystem.playEventSound('birth', { x: pos.x, y: pos.y, z: pos.z });
-            }
         }
 
         // Update humanoid behaviors (chopping, mining, building)
         this.updateHumanoidBehaviors(data);
 
+        // Mirror simulation-owned buildings and deposits
+        this.syncBuildings();
+        this.syncResourceNodes();
+
+        // Show what organisms are saying
+        if (this.frameCount % 10 === 0) {
+            this.syncSpeechBubbles();
+        }
+        this.positionSpeechBubbles();
+
+        // Territory changes slowly - refresh the overlay every few frames
+        if (this.frameCount % this.TERRITORY_REFRESH_FRAMES === 0) {
+            this.updateTerritoryOverlay();
+        }
+
         // Update plant growth and seeding
         this.updatePlants(data, 1/60); // Assuming ~60fps
 
@@ -2331,7 +3010,7 @@ export class Renderer {
     }
 
     updateHumanoidBehaviors(data) {
-        // Check each humanoid for nearby resources/trees and update their activity
+        // Visualize humanoid work - the simulation does the actual chopping, mining and building
         for (let i = 0; i < data.count; i++) {
             if (!data.alive[i]) continue;
             if (data.types[i] !== 3) continue; // Only humanoids
@@ -2343,8 +3022,8 @@ export class Renderer {
             const humanoidPos = mesh.position.clone();
             let activity = this.humanoidActivities.get(i);
 
-            // Check what's nearby if humanoid is in attack mode
-            if (isAttacking) {
+            // Tribal humanoids in attack mode work whatever is in reach
+            if (isAttacking && data.tribeIds[i] !== 0xFFFFFFFF) {
                 let foundTarget = false;
 
                 // Check for nearby trees (plants that are trees)
@@ -2359,16 +3038,12 @@ export class Renderer {
                             activity = {
                                 activity: 'chopping',
                                 target: plantId,
-                                progress: 0,
                                 lastEffectTime: 0
                             };
                             this.humanoidActivities.set(i, activity);
                         }
                         foundTarget = true;
 
-                        // Update chopping progress
-                        activity.progress += 0.5;
-
                         // Create chopping effect every few frames
                         if (Date.now() - activity.lastEffectTime > 300) {
                             this.createChoppingEffect(plantMesh.position);
@@ -2379,23 +3054,6 @@ export class Renderer {
                                 this.audioSystem.playSpatialSound('chop', { x: pos.x, y: pos.y, z: pos.z }, 0.3);
                             }
                         }
-
-                        // Tree falls after enough chopping
-                        if (activity.progress > 100) {
-                            const tribeId = data.tribeIds[i];
-                            this.harvestTree(plantId, i);
-                            // Add wood to tribe resources
-                            if (tribeId !== 0xFFFFFFFF) {
-                                this.addTribeResource(tribeId, this.RESOURCE_TYPES.WOOD, 15);
-                                console.log(`[Renderer] Tribe ${tribeId} gained 15 wood`);
-                                // Play harvest sound
-                                if (this.audioSystem && this.audioSystem.enabled) {
-                                    const pos = plantMesh.position;
-                                    this.audioSystem.playEventSound('harvest', { x: pos.x, y: pos.y, z: pos.z });
-                                }
-                            }
-                            this.humanoidActivities.delete(i);
-                        }
                         break;
                     }
                 }
@@ -2403,8 +3061,6 @@ export class Renderer {
                 // If no tree, check for resources to mine
                 if (!foundTarget) {
                     for (const [resId, resource] of this.resources) {
-                        if (resource.amount <= 0) continue;
-
                         const dist = humanoidPos.distanceTo(resource.mesh.position);
                         if (dist < 5) {
                             // Found a resource to mine!
@@ -2412,81 +3068,24 @@ export class Renderer {
                                 activity = {
                                     activity: 'mining',
                                     target: resId,
-                                    progress: 0,
                                     lastEffectTime: 0
                                 };
                                 this.humanoidActivities.set(i, activity);
                             }
                             foundTarget = true;
 
-                            // Update mining progress
-                            activity.progress += 0.3;
-
                             // Create mining spark effect
                             if (Date.now() - activity.lastEffectTime > 200) {
                                 this.createMiningEffect(resource.mesh.position, resource.type);
                                 activity.lastEffectTime = Date.now();
                             }
-
-                            // Extract resource
-                            if (activity.progress > 50) {
-                                resource.amount -= 10;
-                                activity.progress = 0;
-
-                                // Add resource to tribe
-                                const tribeId = data.tribeIds[i];
-                                if (tribeId !== 0xFFFFFFFF) {
-                                    this.addTribeResource(tribeId, resource.type, 10);
-                                    const typeNames = ['wood', 'stone', 'gold', 'iron'];
-                                    console.log(`[Renderer] Tribe ${tribeId} gained 10 ${typeNames[resource.type]}`);
-                                }
-
-                                // Remove depleted resource
-                                if (resource.amount <= 0) {
-                                    this.planetGroup.remove(resource.mesh);
-                                    this.resources.delete(resId);
-                                    this.humanoidActivities.delete(i);
-                                }
-                            }
                             break;
                         }
                     }
                 }
 
-                // If no resource or tree, try to build (if tribe has resources)
-                if (!foundTarget && (!activity || activity.activity !== 'building')) {
-                    const tribeId = data.tribeIds[i];
-                    // 2% chance to attempt building when attacking with no target
-                    if (tribeId !== 0xFFFFFFFF && Math.random() < 0.02) {
-                        const flatX = data.positionsX[i];
-                        const flatZ = data.positionsZ[i];
-
-                        // Pick building type based on what tribe can afford
-                        const buildingTypes = ['hut', 'storage', 'workshop', 'farm', 'barracks'];
-                        const affordableTypes = buildingTypes.filter(type =>
-                            this.canAffordBuilding(tribeId, type)
-                        );
-
-                        if (affordableTypes.length > 0) {
-                            // Weighted selection - huts more common
-                            let buildType;
-                            if (affordableTypes.includes('hut') && Math.random() < 0.5) {
-                                buildType = 'hut';
-                            } else {
-                                buildType = affordableTypes[Math.floor(Math.random() * affordableTypes.length)];
-                            }
-
-                            const result = this.tryBuild(flatX, flatZ, tribeId, buildType);
-                            if (result) {
-                                console.log(`[Renderer] Humanoid ${i} built a ${buildType}!`);
-                                // Play building complete sound
-                                if (this.audioSystem && this.audioSystem.enabled) {
-                                    const pos = mesh.position;
-                                    this.audioSystem.playEventSound('buildingComplete', { x: pos.x, y: pos.y, z: pos.z });
-                                }
-                            }
-                        }
-                    }
+                if (!foundTarget && activity) {
+                    this.humanoidActivities.delete(i);
                 }
             } else {
                 // Not attacking - clear activity
@@ -2500,6 +3099,14 @@ export class Renderer {
         this.updateActivityEffects();
     }
 
+    // Is a humanoid currently chopping this plant?
+    isBeingChopped(plantId) {
+        for (const activity of this.humanoidActivities.values()) {
+            if (activity.activity === 'chopping' && activity.target === plantId) return true;
+        }
+        return false;
+    }
+
     createChoppingEffect(position) {
         // Create wood chip particles
         const particleCount = 5;
@@ -2543,9 +3150,7 @@ export class Renderer {
         const particleCount = 8;
         const particles = new THREE.Group();
 
-        let color = 0xFFFFFF;
-        if (resourceType === this.RESOURCE_TYPES.GOLD) color = 0xFFD700;
-        else if (resourceType === this.RESOURCE_TYPES.IRON) color = 0xFF6600;
+        const color = resourceType === ResourceType.METAL ? 0xFF6600 : 0xFFFFFF;
 
         for (let i = 0; i < particleCount; i++) {
             const spark = new THREE.Mesh(
@@ -2663,10 +3268,10 @@ export class Renderer {
         const newX = parentPlant.flatX + Math.cos(angle) * distance;
         const newZ = parentPlant.flatZ + Math.sin(angle) * distance;
 
-        // Check if on land
-        const pos = this.positionOnPlanetSurface(newX, newZ, 0);
-        if (!pos.isLand) {
-            return; // Can't seed in water
+        // Seeds only take in biomes that can feed them (the simulation refuses water outright)
+        const chance = SEED_BIOME_CHANCE[this.wasmModule.getTerrainType(newX, newZ)] ?? 1;
+        if (Math.random() >= chance) {
+            return;
         }
 
         // Spawn the new plant via WASM
@@ -2678,105 +3283,98 @@ export class Renderer {
         }
     }
 
-    harvestTree(plantId, humanoidId) {
-        // Tree has been chopped - remove it and maybe spawn wood resource
+    // A tree felled by the simulation topples over before its mesh is removed
+    harvestTree(plantId) {
         const plantMesh = this.organisms.get(plantId);
-        if (plantMesh) {
-            // Create falling tree effect
-            const fallDir = new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
-            const startQuat = plantMesh.quaternion.clone();
-
-            // Animate fall over time
-            let fallProgress = 0;
-            const fallInterval = setInterval(() => {
-                fallProgress += 0.05;
-                if (fallProgress >= 1) {
-                    clearInterval(fallInterval);
-                    this.planetGroup.remove(plantMesh);
-                    this.organisms.delete(plantId);
-                } else {
-                    // Rotate tree to fall
-                    plantMesh.rotateOnAxis(fallDir, 0.05);
-                    plantMesh.scale.multiplyScalar(0.98);
-                }
-            }, 50);
+        if (!plantMesh) return;
+
+        // Detach now so the regular organism sync does not touch it again
+        this.organisms.delete(plantId);
+        this.previousPositions.delete(plantId);
+        this.dustEmitTimers.delete(plantId);
+        this.plantData.delete(plantId);
+        this.animationSystem.removeAnimationState(plantId);
+        if (this.selectedOrganism === plantId) {
+            this.deselectOrganism();
+        }
+        for (const [id, activity] of this.humanoidActivities) {
+            if (activity.target === plantId) this.humanoidActivities.delete(id);
+        }
 
-            console.log(`[Renderer] Tree ${plantId} harvested by humanoid ${humanoidId}`);
+        if (this.audioSystem && this.audioSystem.enabled) {
+            const pos = plantMesh.position;
+            this.audioSystem.playEventSound('harvest', { x: pos.x, y: pos.y, z: pos.z });
         }
-    }
 
-    // Check if a building can be placed at this location (no overlap)
-    canBuildAt(flatX, flatZ) {
-        for (const [id, building] of this.buildings) {
-            const dx = flatX - building.flatX;
-            const dz = flatZ - building.flatZ;
-            const dist = Math.sqrt(dx * dx + dz * dz);
-            if (dist < this.BUILDING_RADIUS * 2) {
-                return false; // Too close to existing building
+        // Create falling tree effect
+        const fallDir = new THREE.Vector3(Math.random() - 0.5, 0, Math.random() - 0.5).normalize();
+
+        // Animate fall over time
+        let fallProgress = 0;
+        const fallInterval = setInterval(() => {
+            fallProgress += 0.05;
+            if (fallProgress >= 1) {
+                clearInterval(fallInterval);
+                this.planetGroup.remove(plantMesh);
+            } else {
+                // Rotate tree to fall
+                plantMesh.rotateOnAxis(fallDir, 0.05);
+                plantMesh.scale.multiplyScalar(0.98);
             }
-        }
-        return true;
+        }, 50);
     }
 
-    // Get or initialize tribe resources
-    getTribeResources(tribeId) {
-        if (!this.tribeResources.has(tribeId)) {
-            this.tribeResources.set(tribeId, { wood: 0, stone: 0, gold: 0, iron: 0 });
-        }
-        return this.tribeResources.get(tribeId);
-    }
+    // Mirror simulation buildings: create meshes for new ones, drop destroyed ones
+    syncBuildings() {
+        const buildings = this.wasmModule.getAllBuildings();
 
-    // Add resources to a tribe
-    addTribeResource(tribeId, resourceType, amount) {
-        const resources = this.getTribeResources(tribeId);
-        const typeNames = ['wood', 'stone', 'gold', 'iron'];
-        const typeName = typeNames[resourceType] || 'wood';
-        resources[typeName] += amount;
-    }
+        for (const data of buildings) {
+            let building = this.buildings.get(data.id);
 
-    // Check if tribe can afford a building
-    canAffordBuilding(tribeId, buildingType) {
-        const resources = this.getTribeResources(tribeId);
-        const cost = this.BUILDING_COSTS[buildingType] || this.BUILDING_COSTS.hut;
+            // Slot now holds a different building (world was replaced)
+            if (building && (building.flatX !== data.x || building.flatZ !== data.z)) {
+                this.removeBuilding(data.id);
+                building = null;
+            }
 
-        for (const [resource, amount] of Object.entries(cost)) {
-            if ((resources[resource] || 0) < amount) {
-                return false;
+            if (!data.active) {
+                if (building) this.removeBuilding(data.id);
+                continue;
             }
-        }
-        return true;
-    }
 
-    // Deduct building cost from tribe
-    deductBuildingCost(tribeId, buildingType) {
-        const resources = this.getTribeResources(tribeId);
-        const cost = this.BUILDING_COSTS[buildingType] || this.BUILDING_COSTS.hut;
+            if (!building) {
+                const visual = this.BUILDING_VISUALS[data.type] || 'hut';
+                this.createBuilding(data.id, data.x, data.z, data.tribeId, visual);
+                building = this.buildings.get(data.id);
+                building.simType = data.type;
+            }
 
-        for (const [resource, amount] of Object.entries(cost)) {
-            resources[resource] -= amount;
-        }
-    }
+            building.health = Math.round(data.health / data.maxHealth * 100);
+            building.progress = data.progress;
 
-    // Try to build - returns true if successful
-    tryBuild(flatX, flatZ, tribeId, buildingType = 'hut') {
-        // Check spacing
-        if (!this.canBuildAt(flatX, flatZ)) {
-            return null;
+            // Rise out of the ground while under construction
+            building.mesh.scale.y = 0.2 + 0.8 * (data.progress / 100);
         }
 
-        // Check resources
-        if (!this.canAffordBuilding(tribeId, buildingType)) {
-            return null;
+        for (const id of [...this.buildings.keys()]) {
+            if (id >= buildings.length) this.removeBuilding(id);
         }
+    }
+
+    removeBuilding(id) {
+        const building = this.buildings.get(id);
+        if (!building) return;
 
-        // Deduct cost and build
-        this.deductBuildingCost(tribeId, buildingType);
-        return this.createBuilding(flatX, flatZ, tribeId, buildingType);
+        if (this.selectedBuilding === id) this.deselectBuilding();
+        if (this.visualEffects) {
+            this.visualEffects.removeCampfireGlow(id);
+        }
+        this.planetGroup.remove(building.mesh);
+        this.buildings.delete(id);
     }
 
-    createBuilding(flatX, flatZ, tribeId, buildingType = 'hut') {
+    createBuilding(buildingId, flatX, flatZ, tribeId, buildingType = 'hut') {
         const buildingGroup = new THREE.Group();
-        const buildingId = Date.now() + Math.random();
 
         // Building scale
         const scale = 1.5;
@@ -2800,9 +3398,11 @@ export class Renderer {
                 this.createBarracksBuilding(buildingGroup, scale);
                 break;
             case 'hut':
-            default:
                 this.createHutBuilding(buildingGroup, scale);
                 break;
+            default:
+                this.createCatalogueBuilding(buildingGroup, buildingType, tribeId);
+                break;
         }
 
         // Position on planet surface
@@ -2836,8 +3436,7 @@ export class Renderer {
             createdAt: Date.now(),
             health: 100,
             capacity: capacity,
-            occupants: [],
-            resources: { wood: 0, stone: 0, gold: 0, iron: 0 }
+            occupants: []
         });
 
         // AAA Effect: Add campfire glow for huts and workshops (at night they glow)
@@ -2856,13 +3455,26 @@ export class Renderer {
             );
         }
 
-        const cost = this.BUILDING_COSTS[buildingType] || this.BUILDING_COSTS.hut;
-        console.log(`[Renderer] ${buildingType} built for tribe ${tribeId} (cost: ${JSON.stringify(cost)})`);
+        console.log(`[Renderer] ${buildingType} placed for tribe ${tribeId}`);
         return buildingId;
     }
 
     // === UNIQUE BUILDING CREATION METHODS ===
 
+    // Buildings from the js/engine/buildings.js catalogue (towers, temples, walls, ...)
+    createCatalogueBuilding(group, buildingType, tribeId) {
+        if (!this.buildingVisuals) {
+            this.buildingVisuals = new BuildingVisuals(this.scene);
+        }
+
+        const tribe = tribeId !== 0xFFFFFFFF ? this.wasmModule.getTribeData(tribeId) : null;
+        const tribeColor = tribe ? (tribe.color.r << 16) | (tribe.color.g << 8) | tribe.color.b : 0x888888;
+
+        const mesh = this.buildingVisuals.createBuildingMesh(buildingType, 0, tribeColor);
+        mesh.scale.setScalar(2.0); // Catalogue meshes are modelled at unit scale
+        group.add(mesh);
+    }
+
     createHutBuilding(group, scale) {
         // Round thatched hut with cone roof
         const base = new THREE.Mesh(
@@ -3767,26 +4379,7 @@ export class Renderer {
     removeOrganism(id) {
         const mesh = this.organisms.get(id);
         if (mesh) {
-            // Get position for effects
-            const pos = new THREE.Vector3();
-            mesh.getWorldPosition(pos);
-            const orgType = mesh.userData.organismType;
-
-            // Emit death particles at organism's last position
-            if (this.particleSystem) {
-                this.particleSystem.emitDeath(pos.x, pos.y, pos.z);
-            }
-
-            // AAA effect: Screen shake for significant deaths (humanoids)
-            if (this.visualEffects && orgType === 3) {
-                this.visualEffects.triggerScreenShake(0.25, 0.15);
-            }
-
-            // Play death sound at organism's position
-            if (this.audioSystem && this.audioSystem.enabled) {
-                this.audioSystem.playEventSound('death', { x: pos.x, y: pos.y, z: pos.z });
-            }
-
+            // Death effects come from the simulation's event log (see sim-events.js)
             this.planetGroup.remove(mesh);
             this.organisms.delete(id);
             this.previousPositions.delete(id);
@@ -3799,7 +4392,37 @@ export class Renderer {
         }
     }
 
+    // Drop every organism, building and deposit mesh without death effects
+    // (used after the simulation is replaced; the next update rebuilds them)
+    clearOrganisms() {
+        this.deselectOrganism();
+        this.deselectBuilding();
+
+        for (const [id, mesh] of this.organisms) {
+            this.planetGroup.remove(mesh);
+            this.animationSystem.removeAnimationState(id);
+        }
+
+        this.organisms.clear();
+        this.previousPositions.clear();
+        this.dustEmitTimers.clear();
+        this.plantData.clear();
+        this.humanoidActivities.clear();
+
+        for (const id of [...this.buildings.keys()]) {
+            this.removeBuilding(id);
+        }
+        for (const id of [...this.resources.keys()]) {
+            this.removeResourceNode(id);
+        }
+    }
+
     render(deltaMs = 16) {
+        // Follow the simulation's calendar and weather (the time system stops its own clock)
+        if (this.simulationSync) {
+            this.syncWithSimulation(deltaMs / 1000);
+        }
+
         // Update time system (day/night cycle)
         this.timeSystem.update(deltaMs);
         const timeInfo = this.timeSystem.getTimeInfo();
@@ -3809,7 +4432,7 @@ export class Renderer {
             const sunPos = this.timeSystem.getSunPosition(SUN_ORBIT_RADIUS);
             this.sun.position.copy(sunPos);
             this.sunLight.position.copy(sunPos);
-            this.sunLight.intensity = timeInfo.sunIntensity;
+            this.sunLight.intensity = timeInfo.sunIntensity * this.sunlightFactor;
 
             // Sun color based on time
             if (timeInfo.phase === 'sunrise' || timeInfo.phase === 'sunset') {
@@ -3841,6 +4464,7 @@ export class Renderer {
         this.scene.background.copy(timeInfo.skyColor);
         if (this.scene.fog) {
             this.scene.fog.color.copy(timeInfo.fogColor);
+            this.scene.fog.density += (this.fogDensity - this.scene.fog.density) * Math.min(1, deltaMs / 1000);
         }
 
         // Update ambient light with time-of-day color grading (AAA quality)
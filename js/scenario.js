@@ -0,0 +1,358 @@
+// Scenarios - JSON descriptions of a starting world
+// Shared by the browser (?scenario=<url> or the scenario file picker) and the headless runner,
+// so a setup that behaves interestingly in one can be reproduced exactly in the other.
+
+import {
+    OrganismType, TerrainType, Technology, BuildingType, ResourceType,
+    TreatyType, WarReason, EventType, Weather, brainToWeights
+} from './wasm-loader.js';
+
+export const SCENARIO_FORMAT = 'planet-eden-scenario';
+export const SCENARIO_FORMAT_VERSION = 1;
+
+const NO_TRIBE = 0xFFFFFFFF;
+const NO_ID = 0xFFFFFFFF;
+
+const DEFAULT_TRIBE_SPREAD = 8;     // Members start within this distance of a tribe's position
+const DEFAULT_NODE_AMOUNT = 75;     // Matches the middle of the scattered deposit range
+const DEFAULT_WEATHER_DURATION = 60;
+const MAX_PLACEMENT_ATTEMPTS = 100;
+
+// The world every session started with before scenarios existed
+export const DEFAULT_SCENARIO = {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_FORMAT_VERSION,
+    name: 'Planet Eden',
+    maxOrganisms: 500,
+    tribes: [{ members: 12 }],
+    species: [{ plant: 300, herbivore: 25, carnivore: 8 }]
+};
+
+// Enum value from a scenario name ('iron_working', 'Iron Working', 'METAL') or a raw id
+function enumValue(values, name) {
+    if (typeof name === 'number') return Object.values(values).includes(name) ? name : undefined;
+    return values[String(name).toUpperCase().replace(/[\s-]+/g, '_')];
+}
+
+function requireEnum(values, name, what) {
+    const value = enumValue(values, name);
+    if (value === undefined) {
+        throw new Error(`Unknown ${what} "${name}"`);
+    }
+    return value;
+}
+
+// Technology id from a config name ('iron_working', 'Iron Working') or id
+export function techId(tech) {
+    return enumValue(Technology, tech);
+}
+
+// Small seeded PRNG so spawn placement is reproducible per seed
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function tribeIndex(index, tribeCount, what) {
+    if (!Number.isInteger(index) || index < 0 || index >= tribeCount) {
+        throw new Error(`${what} refers to unknown tribe ${index}`);
+    }
+    return index;
+}
+
+function finite(value, fallback = null) {
+    return Number.isFinite(value) ? value : fallback;
+}
+
+function normalizeTribe(tribe, index) {
+    const position = finite(tribe.x) !== null && finite(tribe.z) !== null;
+    const research = tribe.research || {};
+
+    return {
+        name: tribe.name || `Tribe ${index + 1}`,
+        x: position ? tribe.x : null,
+        z: position ? tribe.z : null,
+        spread: finite(tribe.spread, DEFAULT_TRIBE_SPREAD),
+        members: Math.max(0, Math.floor(finite(tribe.members, 0))),
+        resources: {
+            food: finite(tribe.resources?.food, 0),
+            wood: finite(tribe.resources?.wood, 0),
+            stone: finite(tribe.resources?.stone, 0),
+            metal: finite(tribe.resources?.metal, 0)
+        },
+        techs: (tribe.techs || []).map(tech => requireEnum(Technology, tech, 'technology')),
+        research: {
+            guided: !!research.guided,
+            queue: (research.queue || []).map(tech => requireEnum(Technology, tech, 'technology'))
+        }
+    };
+}
+
+function normalizeSpecies(entry) {
+    const counts = [];
+    for (const [key, count] of Object.entries(entry)) {
+        if (key === 'biome') continue;
+        counts.push({ type: requireEnum(OrganismType, key, 'organism type'), count: Math.max(0, Math.floor(count)) });
+    }
+    return {
+        biome: entry.biome !== undefined ? requireEnum(TerrainType, entry.biome, 'biome') : null,
+        counts
+    };
+}
+
+function normalizeSpawn(spawn, tribeCount) {
+    const type = requireEnum(OrganismType, spawn.type, 'organism type');
+    if (spawn.brain && !brainToWeights(spawn.brain)) {
+        throw new Error(`Spawn of "${spawn.type}" has an invalid brain`);
+    }
+    const position = finite(spawn.x) !== null && finite(spawn.z) !== null;
+
+    return {
+        type,
+        count: Math.max(0, Math.floor(finite(spawn.count, 1))),
+        tribe: spawn.tribe !== undefined ? tribeIndex(spawn.tribe, tribeCount, `Spawn of "${spawn.type}"`) : null,
+        brain: spawn.brain || null,
+        biome: spawn.biome !== undefined ? requireEnum(TerrainType, spawn.biome, 'biome') : null,
+        x: position ? spawn.x : null,
+        z: position ? spawn.z : null,
+        spread: finite(spawn.spread, DEFAULT_TRIBE_SPREAD)
+    };
+}
+
+function normalizeResourceNode(node) {
+    const type = requireEnum(ResourceType, node.type, 'resource type');
+    if (type !== ResourceType.STONE && type !== ResourceType.METAL) {
+        throw new Error(`Resource nodes are stone or metal, not "${node.type}"`);
+    }
+    if (finite(node.x) === null || finite(node.z) === null) {
+        throw new Error('Resource nodes need an x and z position');
+    }
+    return { type, x: node.x, z: node.z, amount: finite(node.amount, DEFAULT_NODE_AMOUNT) };
+}
+
+function normalizeRelation(relation, tribeCount) {
+    const [a, b] = relation.tribes || [];
+    tribeIndex(a, tribeCount, 'Relation');
+    tribeIndex(b, tribeCount, 'Relation');
+    if (a === b) {
+        throw new Error(`Relation between tribe ${a} and itself`);
+    }
+
+    let war = null;
+    if (relation.war) {
+        war = relation.war === true ? WarReason.CONQUEST : requireEnum(WarReason, relation.war, 'war reason');
+    }
+
+    return {
+        a,
+        b,
+        reputation: finite(relation.reputation),
+        treaties: [].concat(relation.treaty ?? []).map(treaty => requireEnum(TreatyType, treaty, 'treaty')),
+        war
+    };
+}
+
+function normalizeEvent(event) {
+    if (finite(event.at) === null || event.at < 0) {
+        throw new Error('Scheduled events need an "at" time in simulated seconds');
+    }
+    if (event.weather !== undefined) {
+        return {
+            at: event.at,
+            weather: requireEnum(Weather, event.weather, 'weather'),
+            duration: finite(event.duration, DEFAULT_WEATHER_DURATION)
+        };
+    }
+    const position = finite(event.x) !== null && finite(event.z) !== null;
+    return {
+        at: event.at,
+        type: requireEnum(EventType, event.type, 'event type'),
+        x: position ? event.x : null,
+        z: position ? event.z : null
+    };
+}
+
+// Validate a scenario and resolve every name to its simulation id (throws on anything unknown).
+// `tribes` may be a count instead of a list, as in headless experiment configs.
+export function normalizeScenario(data = {}) {
+    if (data.format !== undefined && data.format !== SCENARIO_FORMAT) {
+        throw new Error(`Not a scenario file (format "${data.format}")`);
+    }
+    if ((data.version ?? SCENARIO_FORMAT_VERSION) > SCENARIO_FORMAT_VERSION) {
+        throw new Error(`Scenario version ${data.version} is newer than this build supports`);
+    }
+
+    const tribeList = typeof data.tribes === 'number'
+        ? Array.from({ length: data.tribes }, () => ({}))
+        : (data.tribes || []);
+    const tribes = tribeList.map(normalizeTribe);
+
+    const scenario = {
+        name: data.name || 'Untitled scenario',
+        seed: finite(data.seed),
+        maxOrganisms: finite(data.maxOrganisms, 500),
+        worldSize: finite(data.worldSize, 90),
+        tribes,
+        species: (data.species || []).map(normalizeSpecies),
+        spawns: (data.spawns || []).map(spawn => normalizeSpawn(spawn, tribes.length)),
+        buildings: (data.buildings || []).map(b => ({
+            type: requireEnum(BuildingType, b.type, 'building type'),
+            tribe: tribeIndex(b.tribe, tribes.length, `Building "${b.type}"`),
+            x: finite(b.x, 0),
+            z: finite(b.z, 0)
+        })),
+        // null keeps the deposits the simulation scattered itself
+        resourceNodes: data.resourceNodes ? data.resourceNodes.map(normalizeResourceNode) : null,
+        relations: (data.relations || []).map(relation => normalizeRelation(relation, tribes.length)),
+        events: (data.events || []).map(normalizeEvent).sort((a, b) => a.at - b.at)
+    };
+
+    if (scenario.maxOrganisms <= 0) {
+        throw new Error('maxOrganisms must be positive');
+    }
+    return scenario;
+}
+
+// Read a scenario from a URL, a File from a picker, or an already-parsed object
+export async function loadScenario(source) {
+    if (typeof source === 'string') {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`Could not fetch scenario ${source} (${response.status})`);
+        }
+        return normalizeScenario(await response.json());
+    }
+    if (source && typeof source.text === 'function') {
+        return normalizeScenario(JSON.parse(await source.text()));
+    }
+    return normalizeScenario(source);
+}
+
+// Build a normalized scenario's world into a freshly initialized simulation.
+// `random` drives organism placement (pass a seeded one for reproducible worlds) and
+// `isLand(x, z)` rejects spots under water (the simulation's own terrain by default).
+// Returns the simulation id of every scenario tribe and how many of each organism type were placed.
+export function applyScenario(wasm, scenario, { random = Math.random, isLand = (x, z) => wasm.isLand(x, z) } = {}) {
+    const tribeIds = scenario.tribes.map(() => wasm.createTribe());
+    const placed = [0, 0, 0, 0];
+    let missed = 0;
+    let outsideBiome = 0;
+
+    scenario.tribes.forEach((tribe, index) => {
+        const id = tribeIds[index];
+        const { food, wood, stone, metal } = tribe.resources;
+        if (food || wood || stone || metal) wasm.giveResources(id, food, wood, stone, metal);
+        for (const tech of tribe.techs) wasm.grantTechnology(id, tech);
+        if (tribe.research.guided) wasm.setResearchGuided(id, true);
+        for (const tech of tribe.research.queue) wasm.queueResearch(id, tech);
+    });
+
+    if (scenario.resourceNodes) {
+        wasm.clearResourceNodes();
+        for (const node of scenario.resourceNodes) {
+            if (wasm.addResourceNode(node.type, node.x, node.z, node.amount) === NO_ID) {
+                console.warn(`[Scenario] No room for the resource node at (${node.x}, ${node.z})`);
+            }
+        }
+    }
+
+    for (const b of scenario.buildings) {
+        if (wasm.placeCompletedBuilding(b.type, tribeIds[b.tribe], b.x, b.z) === NO_ID) {
+            console.warn(`[Scenario] Building ${b.type} at (${b.x}, ${b.z}) is blocked`);
+        }
+    }
+
+    for (const relation of scenario.relations) {
+        const a = tribeIds[relation.a];
+        const b = tribeIds[relation.b];
+        wasm.setReputation(a, b, relation.reputation ?? 0);
+        for (const treaty of relation.treaties) wasm.brokerTreaty(treaty, a, b);
+        if (relation.war !== null) wasm.declareWar(a, b, relation.war);
+    }
+
+    // Pick a spot in the whole world (or around a center), on land and in the right biome.
+    // A biome too scarce to hit (little of it above water for this seed) falls back to any land there.
+    const findSpot = (biome, center) => {
+        for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+            const x = center ? center.x + (random() * 2 - 1) * center.spread : (random() - 0.5) * scenario.worldSize;
+            const z = center ? center.z + (random() * 2 - 1) * center.spread : (random() - 0.5) * scenario.worldSize;
+            if (!isLand(x, z)) continue;
+            if (biome !== null && wasm.getTerrainType(x, z) !== biome) continue;
+            return { x, z };
+        }
+        if (biome === null) return null;
+
+        const spot = findSpot(null, center);
+        if (spot) outsideBiome++;
+        return spot;
+    };
+
+    const spawnGroup = (type, count, tribeId, { biome = null, center = null, brain = null } = {}) => {
+        for (let i = 0; i < count; i++) {
+            const spot = findSpot(biome, center);
+            if (spot && wasm.spawnOrganism(type, spot.x, 0.5, spot.z, tribeId, brain) !== NO_ID) {
+                placed[type]++;
+            } else {
+                missed++;
+            }
+        }
+    };
+
+    for (const entry of scenario.species) {
+        for (const { type, count } of entry.counts) {
+            spawnGroup(type, count, NO_TRIBE, { biome: entry.biome });
+        }
+    }
+
+    scenario.tribes.forEach((tribe, index) => {
+        const center = tribe.x !== null ? tribe : null;
+        spawnGroup(OrganismType.HUMANOID, tribe.members, tribeIds[index], { center });
+    });
+
+    for (const spawn of scenario.spawns) {
+        const tribeId = spawn.tribe !== null ? tribeIds[spawn.tribe] : NO_TRIBE;
+        const center = spawn.x !== null ? spawn : null;
+        spawnGroup(spawn.type, spawn.count, tribeId, { biome: spawn.biome, center, brain: spawn.brain });
+    }
+
+    if (outsideBiome > 0) {
+        console.warn(`[Scenario] ${outsideBiome} organisms were placed outside their biome`);
+    }
+    if (missed > 0) {
+        console.warn(`[Scenario] ${missed} organisms found no place to spawn`);
+    }
+    return { tribeIds, placed };
+}
+
+// Fires a scenario's scheduled events and weather as simulated time reaches them
+export class ScenarioEvents {
+    constructor(events = []) {
+        this.events = events;
+        this.next = 0;
+    }
+
+    update(wasm, time) {
+        while (this.next < this.events.length && this.events[this.next].at <= time) {
+            const event = this.events[this.next++];
+            if (event.weather !== undefined) {
+                wasm.setWeather(event.weather, event.duration);
+            } else if (event.x !== null) {
+                wasm.triggerEventAt(event.type, event.x, event.z);
+            } else {
+                wasm.triggerEvent(event.type);
+            }
+        }
+    }
+
+    // Skip every event at or before `time` (a loaded save jumps the clock - what it passed over is not fired)
+    seek(time) {
+        const index = this.events.findIndex(event => event.at > time);
+        this.next = index === -1 ? this.events.length : index;
+    }
+}
@@ -11,13 +11,26 @@ export class WasmModule {
         this._tribesCacheTime = 0;
         this._tribesCacheInterval = 500; // Refresh cache every 500ms
         this._tribesDirty = true; // Force initial fetch
+
+        // The technology tree never changes, so it is read once
+        this._techTree = null;
+
+        // Replay support: every call that mutates the simulation is reported to the recorder,
+        // and external mutations are ignored while a replay player owns the module
+        this.recorder = null;
+        this.replayLocked = false;
+        this.initParams = null;
     }
 
-    async load(wasmPath = './zig-out/bin/planet-eden.wasm') {
+    // source: URL/path to fetch, or the module bytes (ArrayBuffer / Uint8Array) when running under Node
+    async load(source = './zig-out/bin/planet-eden.wasm') {
         try {
             // Fetch and instantiate WASM module
-            const response = await fetch(wasmPath);
-            const bytes = await response.arrayBuffer();
+            let bytes = source;
+            if (typeof source === 'string') {
+                const response = await fetch(source);
+                bytes = await response.arrayBuffer();
+            }
 
             // WASM module manages its own memory (no imports needed)
             const importObject = {
@@ -56,6 +69,8 @@ export class WasmModule {
 
         const success = this.exports.init(maxOrganisms, seed);
         if (success) {
+            this.initParams = { maxOrganisms, seed };
+            if (this.recorder) this.recorder.recordInit(maxOrganisms, seed);
             console.log(`[WASM] Simulation initialized with ${maxOrganisms} max organisms, seed: ${seed}`);
         } else {
             console.error('[WASM] Initialization failed');
@@ -65,11 +80,19 @@ export class WasmModule {
 
     // Update simulation
     update(delta) {
-        if (this.exports) {
+        if (this.exports && !this.replayLocked) {
             this.exports.update(delta);
+            if (this.recorder) this.recorder.recordUpdate(delta);
         }
     }
 
+    // Run a mutating export, reporting it to the replay recorder
+    _mutate(name, args) {
+        const result = this.exports[name](...args);
+        if (this.recorder) this.recorder.recordCall(name, args);
+        return result;
+    }
+
     // Create typed array views of WASM memory
     getOrganismData() {
         if (!this.exports || !this.memory) return null;
@@ -98,6 +121,11 @@ export class WasmModule {
                 this.exports.getTypes(),
                 count
             ),
+            species: this.exports.getSpeciesIds ? new Uint8Array(
+                this.memory.buffer,
+                this.exports.getSpeciesIds(),
+                count
+            ) : null,
             energies: new Float32Array(
                 this.memory.buffer,
                 this.exports.getEnergies(),
@@ -153,28 +181,265 @@ export class WasmModule {
 
     // Set organism position (for water avoidance corrections)
     setOrganismPosition(idx, x, y, z) {
-        if (this.exports && this.exports.setOrganismPosition) {
-            this.exports.setOrganismPosition(idx, x, y, z);
+        if (this.exports && this.exports.setOrganismPosition && !this.replayLocked) {
+            this._mutate('setOrganismPosition', [idx, x, y, z]);
         }
     }
 
     // Set organism velocity (for water avoidance push)
     setOrganismVelocity(idx, vx, vy, vz) {
-        if (this.exports && this.exports.setOrganismVelocity) {
-            this.exports.setOrganismVelocity(idx, vx, vy, vz);
+        if (this.exports && this.exports.setOrganismVelocity && !this.replayLocked) {
+            this._mutate('setOrganismVelocity', [idx, vx, vy, vz]);
         }
     }
 
     // Spawn organism (tribeId 0xFFFFFFFF = no tribe)
-    spawnOrganism(type, x, y, z, tribeId = 0xFFFFFFFF) {
-        if (!this.exports) return 0xFFFFFFFF;
-        return this.exports.spawnOrganism(type, x, y, z, tribeId);
+    // Pass a brain from exportBrain()/exportChampion() to replace its freshly initialized network
+    spawnOrganism(type, x, y, z, tribeId = 0xFFFFFFFF, brain = null) {
+        if (!this.exports || this.replayLocked) return 0xFFFFFFFF;
+        if (!brain) return this._mutate('spawnOrganism', [type, x, y, z, tribeId]);
+
+        const weights = brainToWeights(brain);
+        if (!weights || !this.stageBrain(weights)) return 0xFFFFFFFF;
+
+        // The weights ride along in the replay log so playback can stage them again
+        const result = this.exports.spawnOrganismWithBrain(type, x, y, z, tribeId);
+        if (this.recorder) this.recorder.recordCall('spawnOrganismWithBrain', [type, x, y, z, tribeId, Array.from(weights)]);
+        return result;
+    }
+
+    // Copy flat brain weights into the WASM import buffer for the next spawnOrganismWithBrain
+    stageBrain(weights) {
+        if (!this.exports || !this.exports.getBrainImportBuffer) return false;
+        if (weights.length !== this.exports.getBrainParameterCount()) return false;
+
+        new Float32Array(this.memory.buffer, this.exports.getBrainImportBuffer(), weights.length).set(weights);
+        return true;
+    }
+
+    // Spawn a copy of a gene bank champion (see GeneBankMetric)
+    spawnChampion(metric, rank, x, y, z, tribeId = 0xFFFFFFFF) {
+        if (!this.exports || !this.exports.spawnChampion || this.replayLocked) return 0xFFFFFFFF;
+        return this._mutate('spawnChampion', [metric, rank, x, y, z, tribeId]);
+    }
+
+    // Spawn an animal of a given Species (its type follows from the species)
+    spawnSpecies(species, x, y, z, tribeId = NO_SIM_ID) {
+        if (!this.exports || !this.exports.spawnSpecies || this.replayLocked) return NO_SIM_ID;
+        return this._mutate('spawnSpecies', [species, x, y, z, tribeId]);
+    }
+
+    // Living animals of each Species, indexed by species id
+    getSpeciesCounts() {
+        if (!this.exports || !this.exports.getSpeciesPopulation) return [];
+        const counts = [];
+        for (let i = 0; i < this.exports.getSpeciesCount(); i++) {
+            counts.push(this.exports.getSpeciesPopulation(i));
+        }
+        return counts;
     }
 
     // Create tribe
     createTribe() {
-        if (!this.exports) return 0xFFFFFFFF;
-        return this.exports.createTribe();
+        if (!this.exports || this.replayLocked) return 0xFFFFFFFF;
+        return this._mutate('createTribe', []);
+    }
+
+    // === GOD POWERS / DIPLOMACY OVERRIDES ===
+
+    declareWar(attacker, defender, reason = WarReason.CONQUEST) {
+        if (!this.exports || this.replayLocked) return false;
+        if (this.exports.declareWarWithReason) {
+            return this._mutate('declareWarWithReason', [attacker, defender, reason]);
+        }
+        if (!this.exports.declareWar) return false;
+        return this._mutate('declareWar', [attacker, defender]);
+    }
+
+    forcePeace(tribeA, tribeB) {
+        if (!this.exports || !this.exports.forcePeace || this.replayLocked) return;
+        this._mutate('forcePeace', [tribeA, tribeB]);
+    }
+
+    modifyReputation(tribeA, tribeB, delta) {
+        if (!this.exports || !this.exports.modifyReputation || this.replayLocked) return;
+        this._mutate('modifyReputation', [tribeA, tribeB, delta]);
+    }
+
+    // Introduce two tribes with a starting reputation (-100..100) held both ways
+    setReputation(tribeA, tribeB, reputation) {
+        if (!this.exports || !this.exports.setReputation || this.replayLocked) return;
+        this._mutate('setReputation', [tribeA, tribeB, reputation]);
+    }
+
+    // Broker a treaty (see TreatyType); returns the treaty index or 0xFFFFFFFF
+    brokerTreaty(treatyType, tribeA, tribeB) {
+        if (!this.exports || !this.exports.brokerTreaty || this.replayLocked) return 0xFFFFFFFF;
+        return this._mutate('brokerTreaty', [treatyType, tribeA, tribeB]);
+    }
+
+    breakTreaty(index) {
+        if (!this.exports || !this.exports.breakTreaty || this.replayLocked) return false;
+        return this._mutate('breakTreaty', [index]);
+    }
+
+    acceptTradeOffer(index) {
+        if (!this.exports || !this.exports.acceptTradeOffer || this.replayLocked) return false;
+        return this._mutate('acceptTradeOffer', [index]);
+    }
+
+    declineTradeOffer(index) {
+        if (!this.exports || !this.exports.declineTradeOffer || this.replayLocked) return false;
+        return this._mutate('declineTradeOffer', [index]);
+    }
+
+    // Returns false if the tribe is unknown
+    giveResources(tribeId, food, wood, stone, metal) {
+        if (!this.exports || !this.exports.giveResources || this.replayLocked) return false;
+        return !!this._mutate('giveResources', [tribeId, food, wood, stone, metal]);
+    }
+
+    // Trigger a world event at a random spot; returns its id (NO_EVENT if refused)
+    triggerEvent(eventType) {
+        if (!this.exports || !this.exports.triggerEvent || this.replayLocked) return NO_EVENT;
+        return this._mutate('triggerEvent', [eventType]);
+    }
+
+    // Trigger a world event centered on (x, z)
+    triggerEventAt(eventType, x, z) {
+        if (!this.exports || !this.exports.triggerEventAt || this.replayLocked) return NO_EVENT;
+        return this._mutate('triggerEventAt', [eventType, x, z]);
+    }
+
+    // Force the simulation's weather (see Weather) for `duration` seconds
+    setWeather(weather, duration = 60) {
+        if (!this.exports || !this.exports.setWeather || this.replayLocked) return false;
+        return !!this._mutate('setWeather', [weather, duration]);
+    }
+
+    // Returns false if nobody caught it
+    startOutbreak(tribeId, diseaseType) {
+        if (!this.exports || !this.exports.startOutbreak || this.replayLocked) return false;
+        return !!this._mutate('startOutbreak', [tribeId, diseaseType]);
+    }
+
+    // === DIVINE INTERVENTION ===
+    // Health powers reach living animals and humanoids; plants are unaffected.
+    // Victims are recorded with `cause` (DeathCause, defaults to DISASTER).
+
+    damageOrganism(orgId, amount, cause = DeathCause.DISASTER) {
+        if (!this.exports || !this.exports.damageOrganism || this.replayLocked) return false;
+        return this._mutate('damageOrganism', [orgId, amount, cause]);
+    }
+
+    // Restore health (capped at 100) and add energy
+    healOrganism(orgId, health, energy = 0) {
+        if (!this.exports || !this.exports.healOrganism || this.replayLocked) return false;
+        return this._mutate('healOrganism', [orgId, health, energy]);
+    }
+
+    killOrganism(orgId, cause = DeathCause.DISASTER) {
+        if (!this.exports || !this.exports.killOrganism || this.replayLocked) return false;
+        return this._mutate('killOrganism', [orgId, cause]);
+    }
+
+    // Take health and energy away, never below 10 - a curse weakens but doesn't kill
+    curseOrganism(orgId, health, energy) {
+        if (!this.exports || !this.exports.curseOrganism || this.replayLocked) return false;
+        return !!this._mutate('curseOrganism', [orgId, health, energy]);
+    }
+
+    // Mutate the brain as if `rounds` generations had passed
+    evolveOrganism(orgId, rounds) {
+        if (!this.exports || !this.exports.evolveOrganism || this.replayLocked) return false;
+        return !!this._mutate('evolveOrganism', [orgId, rounds]);
+    }
+
+    // Pull the brain halfway towards the gene bank's best of its kind; false until one is banked
+    enlightenOrganism(orgId) {
+        if (!this.exports || !this.exports.enlightenOrganism || this.replayLocked) return false;
+        return !!this._mutate('enlightenOrganism', [orgId]);
+    }
+
+    // Revive the creature that died most recently near (x, z); returns its id (NO_SIM_ID if none)
+    resurrectNear(x, z, radius) {
+        if (!this.exports || !this.exports.resurrectNear || this.replayLocked) return NO_SIM_ID;
+        return this._mutate('resurrectNear', [x, z, radius]);
+    }
+
+    // Twin a creature at (x, z) with its species, tribe and brain; returns the twin's id (NO_SIM_ID if it failed)
+    cloneOrganism(orgId, x, z) {
+        if (!this.exports || !this.exports.cloneOrganism || this.replayLocked) return NO_SIM_ID;
+        return this._mutate('cloneOrganism', [orgId, x, z]);
+    }
+
+    // False if the creature is already sick or immune
+    infectOrganism(orgId, diseaseType) {
+        if (!this.exports || !this.exports.infectOrganism || this.replayLocked) return false;
+        return this._mutate('infectOrganism', [orgId, diseaseType]);
+    }
+
+    // Area powers return how many creatures within `radius` of (x, z) they changed
+    damageArea(x, z, radius, amount, cause = DeathCause.DISASTER) {
+        if (!this.exports || !this.exports.damageArea || this.replayLocked) return 0;
+        return this._mutate('damageArea', [x, z, radius, amount, cause]);
+    }
+
+    healArea(x, z, radius, health, energy = 0) {
+        if (!this.exports || !this.exports.healArea || this.replayLocked) return 0;
+        return this._mutate('healArea', [x, z, radius, health, energy]);
+    }
+
+    killArea(x, z, radius, cause = DeathCause.DISASTER) {
+        if (!this.exports || !this.exports.killArea || this.replayLocked) return 0;
+        return this._mutate('killArea', [x, z, radius, cause]);
+    }
+
+    // Each creature in range catches the disease with probability `chance` (0-1)
+    infectArea(x, z, radius, diseaseType, chance = 1) {
+        if (!this.exports || !this.exports.infectArea || this.replayLocked) return 0;
+        return this._mutate('infectArea', [x, z, radius, diseaseType, chance]);
+    }
+
+    // Kill the plants in range (returns how many)
+    witherArea(x, z, radius) {
+        if (!this.exports || !this.exports.witherArea || this.replayLocked) return 0;
+        return this._mutate('witherArea', [x, z, radius]);
+    }
+
+    grantTechnology(tribeId, techId) {
+        if (!this.exports || !this.exports.grantTechnology || this.replayLocked) return;
+        this._mutate('grantTechnology', [tribeId, techId]);
+    }
+
+    // === RESEARCH CONTROL ===
+
+    // Queue a technology; missing prerequisites are queued ahead of it
+    queueResearch(tribeId, techId) {
+        if (!this.exports || !this.exports.queueResearch || this.replayLocked) return false;
+        return this._mutate('queueResearch', [tribeId, techId]);
+    }
+
+    unqueueResearch(tribeId, techId) {
+        if (!this.exports || !this.exports.unqueueResearch || this.replayLocked) return false;
+        return this._mutate('unqueueResearch', [tribeId, techId]);
+    }
+
+    clearResearchQueue(tribeId) {
+        if (!this.exports || !this.exports.clearResearchQueue || this.replayLocked) return;
+        this._mutate('clearResearchQueue', [tribeId]);
+    }
+
+    // Switch research now (progress on the old target is lost)
+    setResearch(tribeId, techId) {
+        if (!this.exports || !this.exports.setResearch || this.replayLocked) return false;
+        return this._mutate('setResearch', [tribeId, techId]);
+    }
+
+    // Guided tribes only research their queue instead of picking at random
+    setResearchGuided(tribeId, guided) {
+        if (!this.exports || !this.exports.setResearchGuided || this.replayLocked) return;
+        this._mutate('setResearchGuided', [tribeId, guided ? 1 : 0]);
     }
 
     // Get tribe data
@@ -253,20 +518,6 @@ export class WasmModule {
         return tribes;
     }
 
-    // Get building data
-    getBuildingData(buildingId) {
-        if (!this.exports) return null;
-
-        return {
-            id: buildingId,
-            x: this.exports.getBuildingPosX(buildingId),
-            y: this.exports.getBuildingPosY(buildingId),
-            z: this.exports.getBuildingPosZ(buildingId),
-            type: this.exports.getBuildingType(buildingId),
-            health: this.exports.getBuildingHealth(buildingId)
-        };
-    }
-
     // Get statistics
     getStats() {
         if (!this.exports) return null;
@@ -281,60 +532,523 @@ export class WasmModule {
         };
     }
 
-    // Get plant data
-    getPlantData() {
-        if (!this.exports || !this.memory) return null;
+    // Get season, diplomacy and population totals (see getExtendedStats in main.zig)
+    getExtendedStats() {
+        if (!this.exports || !this.exports.getCurrentSeason) return null;
+
+        if (!this.exports.getExtendedStatsBuffer) {
+            // Older builds: read the same values through the individual getters (u64 counters arrive as BigInt)
+            return {
+                season: this.exports.getCurrentSeason(),
+                weather: this.exports.getCurrentWeather(),
+                day: this.exports.getCurrentDay(),
+                year: this.exports.getCurrentYear(),
+                activeWars: this.exports.getActiveWarCount(),
+                activeTreaties: this.exports.getActiveTreatyCount(),
+                activeEvents: this.exports.getActiveEventCount(),
+                totalBirths: Number(this.exports.getTotalBirths()),
+                totalDeaths: Number(this.exports.getTotalDeaths()),
+                totalDiseases: Number(this.exports.getTotalDiseases())
+            };
+        }
 
-        const count = this.exports.getPlantCount ? this.exports.getPlantCount() : 0;
-        if (count === 0) return { count: 0 };
+        const ptr = this.exports.getExtendedStatsBuffer();
+        this.exports.getExtendedStats(ptr);
+        const data = new Uint32Array(this.memory.buffer, ptr, 13);
+
+        return {
+            season: data[0],
+            weather: data[1],
+            day: data[2],
+            year: data[3],
+            activeWars: data[4],
+            activeTreaties: data[5],
+            activeEvents: data[6],
+            totalBirths: data[7] + data[8] * 0x100000000,
+            totalDeaths: data[9] + data[10] * 0x100000000,
+            totalDiseases: data[11] + data[12] * 0x100000000
+        };
+    }
+
+    // Get tribe data plus tech, territory and population counters
+    getTribeStats(tribeId) {
+        const tribe = this.getTribeData(tribeId);
+        if (!tribe) return null;
+
+        tribe.techLevel = this.exports.getTribeTechLevel ? this.exports.getTribeTechLevel(tribeId) : 0;
+        tribe.era = this.exports.getCurrentEra ? this.exports.getCurrentEra(tribeId) : 0;
+        tribe.territory = this.exports.getTribeTerritoryCount ? this.exports.getTribeTerritoryCount(tribeId) : 0;
+        tribe.births = this.exports.getTribeBirths ? this.exports.getTribeBirths(tribeId) : 0;
+        tribe.deaths = this.exports.getTribeDeaths ? this.exports.getTribeDeaths(tribeId) : 0;
+        return tribe;
+    }
+
+    // Get a tribe's humanoid age structure, health and hunger (null for an unknown tribe)
+    getPopulationStats(tribeId) {
+        if (!this.exports || !this.exports.getPopulationStatsBuffer) return null;
+
+        const ptr = this.exports.getPopulationStatsBuffer();
+        if (!this.exports.getPopulationStats(tribeId, ptr)) return null;
+        const data = new Float32Array(this.memory.buffer, ptr, 12);
+
+        return {
+            tribeId,
+            total: data[0],
+            ages: [data[1], data[2], data[3], data[4]], // By AgeStage
+            healthy: data[5],
+            sick: data[6],
+            starving: data[7],
+            birthsThisYear: data[8],
+            deathsThisYear: data[9],
+            avgAge: data[10],
+            avgHealth: data[11]
+        };
+    }
+
+    // Get all-time deaths by DeathCause, for one tribe or the whole world
+    getDeathCauses(tribeId = null) {
+        if (!this.exports || !this.exports.getDeathCauseCount) return null;
+
+        const counts = [];
+        for (const cause of Object.values(DeathCause)) {
+            counts[cause] = tribeId === null
+                ? this.exports.getDeathCauseCount(cause)
+                : this.exports.getTribeDeathCauseCount(tribeId, cause);
+        }
+        return counts;
+    }
+
+    // Get all-time infections by Disease
+    getDiseaseCases() {
+        if (!this.exports || !this.exports.getDiseaseCaseCount) return null;
+        return Object.values(Disease).map(disease => this.exports.getDiseaseCaseCount(disease));
+    }
+
+    // Get an organism's disease, immunities, pregnancy and hunger
+    getHealthState(orgId) {
+        if (!this.exports || !this.exports.getOrganismDisease) return null;
+
+        const disease = this.exports.getOrganismDisease(orgId);
+        return {
+            disease,
+            diseaseProgress: this.exports.getOrganismDiseaseProgress(orgId),
+            recoveryTime: this.exports.getDiseaseRecoveryTime(disease),
+            immunity: Object.values(Disease).map(d => this.exports.getOrganismImmunity(orgId, d)),
+            fertility: this.exports.getOrganismFertility(orgId),
+            pregnant: this.exports.isOrganismPregnant(orgId),
+            pregnancyProgress: this.exports.getOrganismPregnancyProgress(orgId),
+            pregnancyDuration: this.exports.getPregnancyDuration(),
+            starveTime: this.exports.getOrganismStarveTime(orgId),
+            ageStage: this.exports.getOrganismAgeStage(orgId),
+            hunger: this.exports.getOrganismHungerLevel(orgId),
+            deathCause: this.exports.getOrganismDeathCause(orgId)
+        };
+    }
+
+    // Get every organism's disease, age stage and hunger level, indexed like getOrganismData
+    // (NO_HEALTH marks dead organisms and plants; the views are copies)
+    getHealthMap() {
+        if (!this.exports || !this.exports.refreshHealthMaps) return null;
+
+        const count = this.exports.refreshHealthMaps();
+        const read = (ptr) => new Uint8Array(this.memory.buffer, ptr, count).slice();
 
         return {
             count,
-            types: new Uint8Array(
-                this.memory.buffer,
-                this.exports.getPlantTypes(),
-                count
-            ),
-            growthStages: new Uint8Array(
-                this.memory.buffer,
-                this.exports.getPlantGrowthStages(),
-                count
-            ),
-            sizes: new Float32Array(
-                this.memory.buffer,
-                this.exports.getPlantSizes(),
-                count
-            ),
-            ages: new Float32Array(
-                this.memory.buffer,
-                this.exports.getPlantAges(),
-                count
-            )
+            diseases: read(this.exports.getHealthDiseaseMap()),
+            stages: read(this.exports.getHealthStageMap()),
+            hunger: read(this.exports.getHealthHungerMap())
+        };
+    }
+
+    // Get the diplomatic relation between two tribes
+    getDiplomacy(tribeA, tribeB) {
+        if (!this.exports || !this.exports.getDiplomaticStatus) return null;
+
+        return {
+            status: this.exports.getDiplomaticStatus(tribeA, tribeB),
+            reputation: this.exports.getReputation(tribeA, tribeB),
+            atWar: this.exports.areAtWar(tribeA, tribeB),
+            haveMet: this.exports.haveMet(tribeA, tribeB)
+        };
+    }
+
+    // Every treaty slot, in force or ended (endTime is null while active)
+    getTreaties() {
+        if (!this.exports || !this.exports.getTreatySlotCount) return [];
+
+        const ended = (time) => (time < 0 ? null : time);
+        const treaties = [];
+        for (let index = 0; index < this.exports.getTreatySlotCount(); index++) {
+            treaties.push({
+                index,
+                type: this.exports.getTreatyType(index),
+                tribeA: this.exports.getTreatyTribeA(index),
+                tribeB: this.exports.getTreatyTribeB(index),
+                active: !!this.exports.isTreatyActive(index),
+                broken: !!this.exports.isTreatyBroken(index),
+                startTime: this.exports.getTreatyStartTime(index),
+                duration: this.exports.getTreatyDuration(index),
+                endTime: ended(this.exports.getTreatyEndTime(index)),
+                terms: {
+                    resourceAmount: this.exports.getTreatyTerm(index, 0),
+                    resourceType: this.exports.getTreatyTerm(index, 1),
+                    territoryId: this.exports.getTreatyTerm(index, 2)
+                }
+            });
+        }
+        return treaties;
+    }
+
+    // Every war slot, ongoing or over (endTime is null while active)
+    getWars() {
+        if (!this.exports || !this.exports.getWarSlotCount) return [];
+
+        const wars = [];
+        for (let index = 0; index < this.exports.getWarSlotCount(); index++) {
+            const endTime = this.exports.getWarEndTime(index);
+            wars.push({
+                index,
+                attacker: this.exports.getWarAttacker(index),
+                defender: this.exports.getWarDefender(index),
+                reason: this.exports.getWarReason(index),
+                active: !!this.exports.isWarActive(index),
+                startTime: this.exports.getWarStartTime(index),
+                endTime: endTime < 0 ? null : endTime,
+                score: this.exports.getWarScore(index),
+                casualties: {
+                    attacker: this.exports.getWarCasualties(index, true),
+                    defender: this.exports.getWarCasualties(index, false)
+                },
+                battlesWon: {
+                    attacker: this.exports.getWarBattlesWon(index, true),
+                    defender: this.exports.getWarBattlesWon(index, false)
+                }
+            });
+        }
+        return wars;
+    }
+
+    // Every trade offer slot, pending or resolved (see TradeOutcome)
+    getTradeOffers() {
+        if (!this.exports || !this.exports.getTradeSlotCount) return [];
+
+        const resources = (getter, index) => ({
+            food: getter(index, 0),
+            wood: getter(index, 1),
+            stone: getter(index, 2),
+            metal: getter(index, 3)
+        });
+
+        const trades = [];
+        for (let index = 0; index < this.exports.getTradeSlotCount(); index++) {
+            const endTime = this.exports.getTradeEndTime(index);
+            trades.push({
+                index,
+                from: this.exports.getTradeFrom(index),
+                to: this.exports.getTradeTo(index),
+                active: !!this.exports.isTradeActive(index),
+                outcome: this.exports.getTradeOutcome(index),
+                offered: resources(this.exports.getTradeOffered, index),
+                requested: resources(this.exports.getTradeRequested, index),
+                valueRatio: this.exports.getTradeValueRatio(index),
+                createdTime: this.exports.getTradeCreatedTime(index),
+                expiresTime: this.exports.getTradeExpiresTime(index),
+                endTime: endTime < 0 ? null : endTime
+            });
+        }
+        return trades;
+    }
+
+    // Biome at a world position (a TerrainType; OCEAN wherever the ground is under water)
+    getTerrainType(x, z) {
+        if (!this.exports || !this.exports.getTerrainType) return TerrainType.PLAINS;
+        return this.exports.getTerrainType(x, z);
+    }
+
+    // Copy of the shared heightfield and biome map, equirectangular over the planet:
+    // width columns of longitude (-PI to PI) by height rows of latitude, south pole first
+    getHeightfield() {
+        if (!this.exports || !this.exports.getHeightfield) return null;
+
+        const width = this.exports.getHeightfieldWidth();
+        const height = this.exports.getHeightfieldHeight();
+        const texels = width * height;
+        return {
+            width,
+            height,
+            waterLevel: this.exports.getWaterLevel(),
+            revision: this.exports.getTerrainRevision(),
+            heights: new Float32Array(this.memory.buffer, this.exports.getHeightfield(), texels).slice(),
+            biomes: new Uint8Array(this.memory.buffer, this.exports.getBiomeMap(), texels).slice()
+        };
+    }
+
+    // Changes whenever the heightfield or biome map does (including when a new world is loaded)
+    getTerrainRevision() {
+        if (!this.exports || !this.exports.getTerrainRevision) return 0;
+        return this.exports.getTerrainRevision();
+    }
+
+    getTerrainHeightAt(x, z) {
+        if (!this.exports || !this.exports.getTerrainHeightAt) return 0;
+        return this.exports.getTerrainHeightAt(x, z);
+    }
+
+    // Whether a world position is dry land
+    isLand(x, z) {
+        if (!this.exports || !this.exports.isLand) return true;
+        return !!this.exports.isLand(x, z);
+    }
+
+    // === TERRAIN SCULPTING ===
+    // Call beginTerrainStroke once per brush stroke, then sculptTerrain for each dab.
+    // The last few strokes can be undone; the sculpted map and its undo history are saved with the world.
+
+    beginTerrainStroke() {
+        if (!this.exports || !this.exports.beginTerrainStroke || this.replayLocked) return false;
+        return !!this._mutate('beginTerrainStroke', []);
+    }
+
+    // One dab of a SculptTool brush at (x, z); radius runs along the planet surface and strength is
+    // height per dab for RAISE/LOWER, or how far (0-1) towards the target SMOOTH/FLATTEN/FLOOD go
+    sculptTerrain(tool, x, z, radius, strength) {
+        if (!this.exports || !this.exports.sculptTerrain || this.replayLocked) return false;
+        return !!this._mutate('sculptTerrain', [tool, x, z, radius, strength]);
+    }
+
+    undoTerrainStroke() {
+        if (!this.exports || !this.exports.undoTerrainStroke || this.replayLocked) return false;
+        return !!this._mutate('undoTerrainStroke', []);
+    }
+
+    getTerrainUndoCount() {
+        if (!this.exports || !this.exports.getTerrainUndoCount) return 0;
+        return this.exports.getTerrainUndoCount();
+    }
+
+    // Territory grid snapshot: per-cell owner, terrain, contesting tribe and control, plus border conflicts
+    // Cells are row-major (index = z * width + x); cell (0, 0) starts at world (originX, originZ)
+    getTerritoryMap() {
+        if (!this.exports || !this.exports.refreshTerritoryMaps) return null;
+
+        this.exports.refreshTerritoryMaps();
+
+        const width = this.exports.getTerritoryGridWidth();
+        const height = this.exports.getTerritoryGridHeight();
+        const cellSize = this.exports.getTerritoryCellSize();
+        const cells = width * height;
+        const read = (ptr) => new Uint8Array(this.memory.buffer, ptr, cells).slice();
+
+        const conflicts = [];
+        for (let index = 0; index < this.exports.getConflictSlotCount(); index++) {
+            if (!this.exports.isConflictActive(index)) continue;
+            conflicts.push({
+                index,
+                defender: this.exports.getConflictTribe(index, true),
+                attacker: this.exports.getConflictTribe(index, false),
+                cellX: this.exports.getConflictCellX(index),
+                cellZ: this.exports.getConflictCellZ(index),
+                defenderPressure: this.exports.getConflictPressure(index, true),
+                attackerPressure: this.exports.getConflictPressure(index, false)
+            });
+        }
+
+        return {
+            width,
+            height,
+            cellSize,
+            originX: -width * cellSize / 2,
+            originZ: -height * cellSize / 2,
+            owners: read(this.exports.getTerritoryOwnerMap()),
+            terrain: read(this.exports.getTerritoryTerrainMap()),
+            contesters: read(this.exports.getTerritoryContestMap()),
+            control: read(this.exports.getTerritoryControlMap()),
+            conflicts
         };
     }
 
-    // Get plant genetics
-    getPlantGenetics(plantIdx) {
-        if (!this.exports || !this.exports.getPlantGenetics) return null;
+    // Messages still in the queue, oldest first (receiver 0 = broadcast to everyone nearby)
+    getRecentMessages() {
+        if (!this.exports || !this.exports.getMessageCount) return [];
+
+        const messages = [];
+        for (let index = 0; index < this.exports.getMessageCount(); index++) {
+            const symbols = [];
+            for (let slot = 0; slot < this.exports.getMessageSymbolCount(index); slot++) {
+                symbols.push(this.exports.getMessageSymbol(index, slot));
+            }
+            messages.push({
+                index,
+                sender: this.exports.getMessageSender(index),
+                receiver: this.exports.getMessageReceiver(index),
+                age: this.exports.getMessageAge(index),
+                symbols,
+                intent: this.exports.getMessageIntent(index)
+            });
+        }
+        return messages;
+    }
+
+    // Symbol usage counts (see MessageSymbol) for the whole world, or one tribe when tribeId is given
+    getLanguageStats(tribeId = null) {
+        if (!this.exports || !this.exports.getSymbolCount) return null;
+
+        const symbolCount = this.exports.getSymbolCount();
+        const usage = [];
+        for (let symbol = 0; symbol < symbolCount; symbol++) {
+            usage.push(tribeId === null
+                ? this.exports.getSymbolUsage(symbol)
+                : this.exports.getTribeSymbolUsage(tribeId, symbol));
+        }
+
+        let mostUsed = null;
+        usage.forEach((count, symbol) => {
+            if (count > 0 && (mostUsed === null || count > usage[mostUsed])) mostUsed = symbol;
+        });
 
-        const packed = this.exports.getPlantGenetics(plantIdx);
-        // Unpack from u64
         return {
-            growthRate: (Number(packed) & 0xFF) / 255 * 4,
-            maxSize: ((Number(packed) >> 8) & 0xFF) / 255 * 4,
-            lifespan: ((Number(packed) >> 16) & 0xFF) / 255 * 4,
-            colorHue: ((Number(packed) >> 24) & 0xFF) / 255,
-            colorSaturation: ((Number(BigInt(packed) >> 32n)) & 0xFF) / 255,
-            leafDensity: ((Number(BigInt(packed) >> 40n)) & 0xFF) / 255,
-            foodValue: ((Number(BigInt(packed) >> 48n)) & 0xFF) / 255 * 3,
-            woodValue: ((Number(BigInt(packed) >> 56n)) & 0xFF) / 255 * 3
+            tribeId,
+            totalMessages: tribeId === null
+                ? this.exports.getLanguageMessageCount()
+                : this.exports.getTribeMessageCount(tribeId),
+            usage,
+            mostUsed
         };
     }
 
-    // Spawn plant with specific type
-    spawnPlant(plantType, x, y, z) {
-        if (!this.exports || !this.exports.spawnPlantOrganism) return 0xFFFFFFFF;
-        return this.exports.spawnPlantOrganism(plantType, x, y, z);
+    // Static technology tree: era, cost, prerequisites and bonuses of every tech
+    getTechTree() {
+        if (!this.exports || !this.exports.getTechCount) return [];
+        if (this._techTree) return this._techTree;
+
+        const bonusNames = [
+            'food', 'wood', 'stone', 'metal', 'attack', 'defense', 'birthRate',
+            'deathRate', 'diseaseResist', 'research', 'buildSpeed', 'buildingHealth', 'trade'
+        ];
+
+        const tree = [];
+        for (let id = 0; id < this.exports.getTechCount(); id++) {
+            const prereqs = [];
+            for (let slot = 0; slot < 4; slot++) {
+                const prereq = this.exports.getTechPrereq(id, slot);
+                if (prereq !== 255) prereqs.push(prereq);
+            }
+
+            const bonuses = {};
+            bonusNames.forEach((name, i) => {
+                const value = this.exports.getTechBonus(id, i);
+                if (Math.abs(value) > 1e-6) bonuses[name] = value;
+            });
+
+            tree.push({
+                id,
+                era: this.exports.getTechEra(id),
+                cost: this.exports.getTechCost(id),
+                prereqs,
+                bonuses
+            });
+        }
+
+        this._techTree = tree;
+        return tree;
+    }
+
+    // A tribe's research: per-tech state (see TechState), current target, progress and queue
+    getTribeResearch(tribeId) {
+        if (!this.exports || !this.exports.getTechState) return null;
+
+        const techCount = this.exports.getTechCount();
+        const states = [];
+        for (let id = 0; id < techCount; id++) {
+            states.push(this.exports.getTechState(tribeId, id));
+        }
+
+        const queue = [];
+        for (let i = 0; i < this.exports.getResearchQueueLength(tribeId); i++) {
+            queue.push(this.exports.getResearchQueueItem(tribeId, i));
+        }
+
+        const current = this.exports.getCurrentResearch(tribeId);
+        return {
+            tribeId,
+            states,
+            current: current === 255 ? null : current,
+            progress: this.exports.getResearchProgress(tribeId),
+            era: this.exports.getCurrentEra(tribeId),
+            level: this.exports.getTechLevel(tribeId),
+            guided: !!this.exports.isResearchGuided(tribeId),
+            queue
+        };
+    }
+
+    // Get calendar and weather state from the season system
+    getCalendar() {
+        if (!this.exports || !this.exports.getCurrentDay) return null;
+
+        return {
+            season: this.exports.getCurrentSeason(),
+            weather: this.exports.getCurrentWeather(),
+            day: this.exports.getCurrentDay(),
+            year: this.exports.getCurrentYear(),
+            timeOfDay: this.exports.getTimeOfDay(),
+            seasonProgress: this.exports.getSeasonProgress ? this.exports.getSeasonProgress() : 0,
+            lightLevel: this.exports.getLightLevel(),
+            foodModifier: this.exports.getFoodModifier(),
+            movementModifier: this.exports.getMovementModifier()
+        };
+    }
+
+    // Get the world events running now; times are calendar seconds (see getCalendarTime)
+    getActiveEvents() {
+        if (!this.exports || !this.exports.getActiveEventId) return [];
+
+        const events = [];
+        for (let index = 0; index < this.exports.getActiveEventCount(); index++) {
+            events.push({
+                id: this.exports.getActiveEventId(index),
+                type: this.exports.getActiveEventType(index),
+                x: this.exports.getActiveEventX(index),
+                z: this.exports.getActiveEventZ(index),
+                radius: this.exports.getActiveEventRadius(index),
+                intensity: this.exports.getActiveEventIntensity(index),
+                startTime: this.exports.getActiveEventStartTime(index),
+                duration: this.exports.getActiveEventDuration(index),
+                progress: this.exports.getActiveEventProgress(index)
+            });
+        }
+        return events;
+    }
+
+    // Take the simulation events logged since the last call, oldest first (see SimEventKind)
+    // Ids and tribes are NO_SIM_ID when an event doesn't involve one; organism types are 255 likewise
+    drainEvents() {
+        if (!this.exports || !this.exports.drainSimEvents) return [];
+
+        const e = this.exports;
+        const events = [];
+        const count = e.drainSimEvents();
+        for (let index = 0; index < count; index++) {
+            events.push({
+                kind: e.getSimEventKind(index),
+                subject: e.getSimEventSubject(index),
+                other: e.getSimEventOther(index),
+                organismType: e.getSimEventOrganismType(index),
+                otherType: e.getSimEventOtherType(index),
+                tribe: e.getSimEventTribe(index),
+                otherTribe: e.getSimEventOtherTribe(index),
+                detail: e.getSimEventDetail(index),
+                x: e.getSimEventX(index),
+                z: e.getSimEventZ(index),
+                time: e.getSimEventTime(index)
+            });
+        }
+        return events;
+    }
+
+    getCalendarTime() {
+        if (!this.exports || !this.exports.getCalendarTime) return 0;
+        return this.exports.getCalendarTime();
     }
 
     // Get resource node data
@@ -344,58 +1058,301 @@ export class WasmModule {
     }
 
     getResourceNode(nodeId) {
-        if (!this.exports) return null;
+        if (!this.exports || !this.exports.getResourceNodeCount) return null;
+        if (nodeId >= this.exports.getResourceNodeCount()) return null;
 
         return {
             id: nodeId,
             x: this.exports.getResourceNodePosX(nodeId),
-            y: this.exports.getResourceNodePosY(nodeId),
             z: this.exports.getResourceNodePosZ(nodeId),
             type: this.exports.getResourceNodeType(nodeId),
             amount: this.exports.getResourceNodeAmount(nodeId)
         };
     }
 
-    // Spawn resource node
-    spawnResourceNode(resourceType, x, y, z, amount) {
-        if (!this.exports || !this.exports.spawnResourceNode) return 0xFFFFFFFF;
-        return this.exports.spawnResourceNode(resourceType, x, y, z, amount);
-    }
-
-    // Get crafted items
+    // Get crafted items (ids shift when broken or orphaned items are discarded)
     getCraftedItemCount() {
         if (!this.exports || !this.exports.getCraftedItemCount) return 0;
         return this.exports.getCraftedItemCount();
     }
 
     getCraftedItem(itemId) {
-        if (!this.exports) return null;
+        if (!this.exports || !this.exports.getCraftedItemCount) return null;
+        if (itemId >= this.exports.getCraftedItemCount()) return null;
 
         const itemType = this.exports.getCraftedItemType(itemId);
-        const category = (itemType & 0xF0);
-        const subtype = (itemType & 0x0F);
 
         return {
             id: itemId,
             owner: this.exports.getCraftedItemOwner(itemId),
-            category, // 0x00 = tool, 0x10 = weapon, 0x20 = armor
-            subtype,
+            category: itemType & 0xF0, // ItemCategory
+            subtype: itemType & 0x0F, // ToolType, WeaponType or ArmorType
+            slot: itemSlot(itemType),
             quality: this.exports.getCraftedItemQuality(itemId),
             durability: this.exports.getCraftedItemDurability(itemId),
-            equipped: this.exports.isCraftedItemEquipped(itemId)
+            maxDurability: this.exports.getCraftedItemMaxDurability(itemId),
+            equipped: this.exports.isCraftedItemEquipped(itemId),
+            damage: this.exports.getCraftedItemDamageBonus(itemId),
+            defense: this.exports.getCraftedItemDefenseBonus(itemId)
         };
     }
 
-    // Get organism bonuses from equipment
+    // Get organism bonuses from equipped gear
     getOrganismBonuses(orgId) {
-        if (!this.exports) return { damage: 0, defense: 0 };
+        if (!this.exports || !this.exports.getOrganismDamageBonus) return { damage: 0, defense: 0 };
+
+        return {
+            damage: this.exports.getOrganismDamageBonus(orgId),
+            defense: this.exports.getOrganismDefenseBonus(orgId)
+        };
+    }
+
+    // Get everything an organism carries: equipped items by slot, spare items,
+    // personal inventory (ResourceType -> amount, non-zero only) and the craft in progress
+    getOrganismLoadout(orgId) {
+        if (!this.exports || !this.exports.getOrganismEquippedItem) return null;
+
+        const equipped = {};
+        for (const [name, slot] of Object.entries(EquipSlot)) {
+            const itemId = this.exports.getOrganismEquippedItem(orgId, slot);
+            equipped[name.toLowerCase()] = itemId === 0xFFFFFFFF ? null : this.getCraftedItem(itemId);
+        }
+
+        const spare = [];
+        const itemCount = this.exports.getCraftedItemCount();
+        for (let id = 0; id < itemCount; id++) {
+            if (this.exports.getCraftedItemOwner(id) !== orgId) continue;
+            if (this.exports.isCraftedItemEquipped(id)) continue;
+            spare.push(this.getCraftedItem(id));
+        }
+
+        const inventory = {};
+        for (const type of Object.values(ResourceType)) {
+            const amount = this.exports.getOrganismInventory(orgId, type);
+            if (amount > 0) inventory[type] = amount;
+        }
+
+        let craft = null;
+        const craftCount = this.exports.getActiveCraftCount();
+        for (let i = 0; i < craftCount; i++) {
+            if (this.exports.getActiveCraftCrafter(i) !== orgId) continue;
+            const itemType = this.exports.getActiveCraftItemType(i);
+            craft = {
+                category: itemType & 0xF0,
+                subtype: itemType & 0x0F,
+                slot: itemSlot(itemType),
+                progress: this.exports.getActiveCraftProgress(i),
+                quality: this.exports.getActiveCraftQuality(i)
+            };
+            break;
+        }
+
+        return {
+            equipped,
+            spare,
+            inventory,
+            capacity: this.exports.getOrganismInventoryCapacity(orgId),
+            craft,
+            ...this.getOrganismBonuses(orgId)
+        };
+    }
+
+    // Equip an item, replacing whatever its owner wore in that slot
+    equipCraftedItem(itemId) {
+        if (!this.exports || !this.exports.equipCraftedItem || this.replayLocked) return false;
+        return this._mutate('equipCraftedItem', [itemId]);
+    }
+
+    unequipCraftedItem(itemId) {
+        if (!this.exports || !this.exports.unequipCraftedItem || this.replayLocked) return;
+        this._mutate('unequipCraftedItem', [itemId]);
+    }
+
+    // Record an organism's network activations every frame (null to stop)
+    inspectOrganism(orgId) {
+        if (!this.exports || !this.exports.inspectOrganism) return;
+        this.exports.inspectOrganism(orgId === null ? 0xFFFFFFFF : orgId);
+    }
+
+    // Latest real activations of the inspected organism (null until its brain has run)
+    getBrainActivations() {
+        if (!this.exports || !this.exports.getBrainTraceFrame) return null;
+
+        const frame = this.exports.getBrainTraceFrame();
+        if (frame === 0) return null;
+
+        return {
+            organism: this.exports.getInspectedOrganism(),
+            frame,
+            inputs: new Float32Array(this.memory.buffer, this.exports.getBrainInputs(), 15).slice(),
+            hidden: new Float32Array(this.memory.buffer, this.exports.getBrainHidden(), 12).slice(),
+            outputs: new Float32Array(this.memory.buffer, this.exports.getBrainOutputs(), 17).slice()
+        };
+    }
+
+    // Copy of an organism's weights and biases (null for plants)
+    // weightsIH[i * hidden + h] connects input i to hidden h; weightsHO[h * outputs + o] hidden h to output o
+    getBrainWeights(orgId) {
+        if (!this.exports || !this.exports.getBrainLayerSize) return null;
+
+        const inputs = this.exports.getBrainLayerSize(orgId, 0);
+        if (inputs === 0) return null;
+        const hidden = this.exports.getBrainLayerSize(orgId, 1);
+        const outputs = this.exports.getBrainLayerSize(orgId, 2);
+        const read = (ptr, length) => new Float32Array(this.memory.buffer, ptr, length).slice();
+
+        return {
+            inputs,
+            hidden,
+            outputs,
+            weightsIH: read(this.exports.getBrainWeightsIH(orgId), inputs * hidden),
+            weightsHO: read(this.exports.getBrainWeightsHO(orgId), hidden * outputs),
+            biasH: read(this.exports.getBrainBiasH(orgId), hidden),
+            biasO: read(this.exports.getBrainBiasO(orgId), outputs)
+        };
+    }
+
+    // Serialize an organism's brain and record for download (null for plants)
+    exportBrain(orgId) {
+        const weights = this.getBrainWeights(orgId);
+        if (!weights) return null;
+
+        const data = this.getOrganismData();
+        return createBrainFile(weights, {
+            organismType: data.types[orgId],
+            source: orgId,
+            tribe: data.tribeIds[orgId],
+            age: this.exports.getOrganismAge(orgId),
+            offspring: this.exports.getOrganismOffspring(orgId),
+            kills: this.exports.getOrganismKills(orgId),
+            alive: !!data.alive[orgId]
+        }, this.exports.getVersion());
+    }
+
+    // Top brains kept after death, best first, per ranking
+    getGeneBank() {
+        const bank = { lifespan: [], offspring: [], kills: [] };
+        if (!this.exports || !this.exports.getGeneBankCount) return bank;
+
+        for (const [name, metric] of Object.entries(GeneBankMetric)) {
+            const count = this.exports.getGeneBankCount(metric);
+            for (let rank = 0; rank < count; rank++) {
+                bank[name.toLowerCase()].push({
+                    metric,
+                    rank,
+                    organismType: this.exports.getChampionType(metric, rank),
+                    source: this.exports.getChampionSource(metric, rank),
+                    tribe: this.exports.getChampionTribe(metric, rank),
+                    lifespan: this.exports.getChampionLifespan(metric, rank),
+                    offspring: this.exports.getChampionOffspring(metric, rank),
+                    kills: this.exports.getChampionKills(metric, rank)
+                });
+            }
+        }
+        return bank;
+    }
+
+    // Serialize a gene bank champion like exportBrain (null if the slot is empty)
+    exportChampion(metric, rank) {
+        if (!this.exports || !this.exports.getChampionWeights) return null;
+
+        const ptr = this.exports.getChampionWeights(metric, rank);
+        if (!ptr) return null;
+
+        const flat = new Float32Array(this.memory.buffer, ptr, this.exports.getBrainParameterCount());
+        return createBrainFile(splitBrainWeights(flat), {
+            organismType: this.exports.getChampionType(metric, rank),
+            source: this.exports.getChampionSource(metric, rank),
+            tribe: this.exports.getChampionTribe(metric, rank),
+            age: this.exports.getChampionLifespan(metric, rank),
+            offspring: this.exports.getChampionOffspring(metric, rank),
+            kills: this.exports.getChampionKills(metric, rank),
+            alive: false,
+            champion: { metric, rank }
+        }, this.exports.getVersion());
+    }
+
+    // Typed array views of the lineage table, indexed by organism id
+    getLineageData() {
+        if (!this.exports || !this.exports.getLineageCount) return null;
+
+        const count = this.exports.getLineageCount();
+        const view = (Type, ptr) => new Type(this.memory.buffer, ptr, count);
 
         return {
-            damage: this.exports.getOrganismDamageBonus ? this.exports.getOrganismDamageBonus(orgId) : 0,
-            defense: this.exports.getOrganismDefenseBonus ? this.exports.getOrganismDefenseBonus(orgId) : 0
+            count,
+            parentsA: view(Uint32Array, this.exports.getLineageParentsA()),
+            parentsB: view(Uint32Array, this.exports.getLineageParentsB()),
+            generations: view(Uint32Array, this.exports.getLineageGenerations()),
+            mutations: view(Float32Array, this.exports.getLineageMutations()),
+            birthTimes: view(Float32Array, this.exports.getLineageBirthTimes()),
+            deathTimes: view(Float32Array, this.exports.getLineageDeathTimes())
         };
     }
 
+    // One organism's lineage record (parents are null for founders)
+    getLineage(orgId, data = this.getLineageData()) {
+        if (!data || orgId < 0 || orgId >= data.count) return null;
+
+        const parent = (id) => (id === 0xFFFFFFFF ? null : id);
+        return {
+            id: orgId,
+            parents: [parent(data.parentsA[orgId]), parent(data.parentsB[orgId])].filter(id => id !== null),
+            generation: data.generations[orgId],
+            mutation: data.mutations[orgId],
+            bornAt: data.birthTimes[orgId],
+            diedAt: data.deathTimes[orgId] < 0 ? null : data.deathTimes[orgId],
+            alive: data.deathTimes[orgId] < 0
+        };
+    }
+
+    // Ancestors breadth-first through both parents: [{ id, depth }] with depth 1 = parents
+    getAncestors(orgId, maxDepth = 8) {
+        const data = this.getLineageData();
+        if (!data || orgId >= data.count) return [];
+
+        const result = [];
+        const seen = new Set([orgId]);
+        let frontier = [orgId];
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            for (const id of frontier) {
+                for (const parent of [data.parentsA[id], data.parentsB[id]]) {
+                    if (parent === 0xFFFFFFFF || parent >= data.count || seen.has(parent)) continue;
+                    seen.add(parent);
+                    result.push({ id: parent, depth });
+                    next.push(parent);
+                }
+            }
+            frontier = next;
+        }
+        return result;
+    }
+
+    // Descendants breadth-first: [{ id, depth }] with depth 1 = children
+    getDescendants(orgId, maxDepth = Infinity) {
+        const data = this.getLineageData();
+        if (!data || orgId >= data.count) return [];
+
+        const children = buildChildIndex(data);
+        const result = [];
+        const seen = new Set([orgId]);
+        let frontier = [orgId];
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            for (const id of frontier) {
+                for (const child of children.get(id) || []) {
+                    if (seen.has(child)) continue;
+                    seen.add(child);
+                    result.push({ id: child, depth });
+                    next.push(child);
+                }
+            }
+            frontier = next;
+        }
+        return result;
+    }
+
     // Enhanced building data
     getBuildingData(buildingId) {
         if (!this.exports) return null;
@@ -407,11 +1364,161 @@ export class WasmModule {
             z: this.exports.getBuildingPosZ(buildingId),
             type: this.exports.getBuildingType(buildingId),
             health: this.exports.getBuildingHealth(buildingId),
+            maxHealth: this.exports.getBuildingMaxHealth ? this.exports.getBuildingMaxHealth(buildingId) : 100,
             progress: this.exports.getBuildingProgress ? this.exports.getBuildingProgress(buildingId) : 100,
-            tribeId: this.exports.getBuildingTribeId ? this.exports.getBuildingTribeId(buildingId) : 0xFFFFFFFF
+            tribeId: this.exports.getBuildingTribeId ? this.exports.getBuildingTribeId(buildingId) : 0xFFFFFFFF,
+            active: this.exports.isBuildingActive ? this.exports.isBuildingActive(buildingId) : true
+        };
+    }
+
+    // Get every building slot (destroyed buildings stay in the list with active = false)
+    getAllBuildings() {
+        if (!this.exports) return [];
+
+        const buildings = [];
+        const count = this.exports.getBuildingCount();
+        for (let id = 0; id < count; id++) {
+            buildings.push(this.getBuildingData(id));
+        }
+        return buildings;
+    }
+
+    // Resource cost of a building type, paid from the tribe stockpile
+    getBuildingCost(buildingType) {
+        if (!this.exports || !this.exports.getBuildingCost) return null;
+
+        return {
+            food: this.exports.getBuildingCost(buildingType, 0),
+            wood: this.exports.getBuildingCost(buildingType, 1),
+            stone: this.exports.getBuildingCost(buildingType, 2),
+            metal: this.exports.getBuildingCost(buildingType, 3)
+        };
+    }
+
+    canAffordBuilding(tribeId, buildingType) {
+        const cost = this.getBuildingCost(buildingType);
+        const tribe = this.getTribeData(tribeId);
+        if (!cost || !tribe) return false;
+
+        return tribe.food >= cost.food && tribe.wood >= cost.wood &&
+               tribe.stone >= cost.stone && tribe.metal >= cost.metal;
+    }
+
+    // Why a tribe can't place a building at (x, z): null if it can, otherwise a reason code
+    getBuildBlocker(buildingType, tribeId, x, z) {
+        if (!this.exports || !this.exports.getBuildBlocker) return 'invalid';
+
+        const code = this.exports.getBuildBlocker(buildingType, tribeId, x, z);
+        return code === 0 ? null : (BuildBlocker[code] || 'invalid');
+    }
+
+    // Combined effects of a tribe's completed buildings
+    getTribeBuildingEffects(tribeId) {
+        if (!this.exports || !this.exports.getTribeHousing) return null;
+
+        return {
+            housing: this.exports.getTribeHousing(tribeId),
+            foodStorage: this.exports.getTribeFoodStorage(tribeId),
+            resourceStorage: this.exports.getTribeResourceStorage(tribeId),
+            researchBonus: this.exports.getTribeResearchBonus(tribeId),
+            diseaseReduction: this.exports.getTribeDiseaseReduction(tribeId),
+            defense: this.exports.getTribeBuildingDefense(tribeId)
         };
     }
 
+    // Place a building for a tribe (returns building ID, or 0xFFFFFFFF if unaffordable/blocked)
+    placeBuilding(buildingType, tribeId, x, z) {
+        if (!this.exports || !this.exports.placeBuilding || this.replayLocked) return 0xFFFFFFFF;
+        return this._mutate('placeBuilding', [buildingType, tribeId, x, z]);
+    }
+
+    // Place a finished building for free, ignoring era and terrain (scenario setup; 0xFFFFFFFF if blocked)
+    placeCompletedBuilding(buildingType, tribeId, x, z) {
+        if (!this.exports || !this.exports.placeCompletedBuilding || this.replayLocked) return 0xFFFFFFFF;
+        return this._mutate('placeCompletedBuilding', [buildingType, tribeId, x, z]);
+    }
+
+    damageBuilding(buildingId, amount) {
+        if (!this.exports || !this.exports.damageBuilding || this.replayLocked) return;
+        this._mutate('damageBuilding', [buildingId, amount]);
+    }
+
+    // Get stone/metal deposits (type is a ResourceType: STONE or METAL)
+    getResourceNodes() {
+        if (!this.exports || !this.exports.getResourceNodeCount) return [];
+
+        const nodes = [];
+        const count = this.exports.getResourceNodeCount();
+        for (let id = 0; id < count; id++) {
+            nodes.push({
+                id,
+                x: this.exports.getResourceNodePosX(id),
+                z: this.exports.getResourceNodePosZ(id),
+                type: this.exports.getResourceNodeType(id),
+                amount: this.exports.getResourceNodeAmount(id)
+            });
+        }
+        return nodes;
+    }
+
+    // Remove all deposits (a scenario laying out its own)
+    clearResourceNodes() {
+        if (!this.exports || !this.exports.clearResourceNodes || this.replayLocked) return;
+        this._mutate('clearResourceNodes', []);
+    }
+
+    // Place a stone or metal deposit (returns node ID, or 0xFFFFFFFF for other types / no free slot)
+    addResourceNode(resourceType, x, z, amount) {
+        if (!this.exports || !this.exports.addResourceNode || this.replayLocked) return 0xFFFFFFFF;
+        return this._mutate('addResourceNode', [resourceType, x, z, amount]);
+    }
+
+    // Serialize the complete simulation (returns a copy, or null if unsupported/failed)
+    saveState() {
+        if (!this.exports || !this.exports.saveState) return null;
+
+        const length = this.exports.saveState();
+        if (length === 0) {
+            console.error('[WASM] State snapshot failed');
+            return null;
+        }
+
+        return new Uint8Array(this.memory.buffer, this.exports.getStateBuffer(), length).slice();
+    }
+
+    // Replace the simulation with a snapshot produced by saveState()
+    loadState(bytes) {
+        if (this.replayLocked) return false;
+        return this.restoreState(bytes);
+    }
+
+    // loadState() without the replay lock - only the replay player may call this while it holds the module
+    restoreState(bytes) {
+        if (!this.exports || !this.exports.loadState) return false;
+
+        if (bytes.length > this.exports.getStateBufferSize()) {
+            console.error('[WASM] State snapshot too large:', bytes.length);
+            return false;
+        }
+
+        new Uint8Array(this.memory.buffer, this.exports.getStateBuffer(), bytes.length).set(bytes);
+        const success = this.exports.loadState(bytes.length);
+        if (success) {
+            this.invalidateTribesCache();
+            if (this.recorder) this.recorder.recordLoad(bytes);
+            console.log(`[WASM] State restored (${(bytes.length / 1024).toFixed(1)} KB)`);
+        } else {
+            console.error('[WASM] State snapshot rejected (corrupt or from another build)');
+        }
+        return success;
+    }
+
+    // Hash of the current world state (replays use it to detect divergence)
+    getStateChecksum() {
+        if (!this.exports || !this.exports.getStateChecksum) return 0;
+        return this.exports.getStateChecksum();
+    }
+
     // Cleanup
     cleanup() {
         if (this.exports) {
@@ -421,6 +1528,348 @@ export class WasmModule {
     }
 }
 
+// Saved brains - layer sizes every organism brain uses (matches neural_network.zig)
+export const BRAIN_FORMAT = 'planet-eden-brain';
+export const BRAIN_FORMAT_VERSION = 1;
+const BRAIN_LAYERS = { inputs: 15, hidden: 12, outputs: 17 };
+
+// Gene bank rankings (matches gene_bank.zig Metric)
+export const GeneBankMetric = {
+    LIFESPAN: 0,
+    OFFSPRING: 1,
+    KILLS: 2
+};
+
+function createBrainFile(weights, meta, wasmVersion) {
+    return {
+        format: BRAIN_FORMAT,
+        version: BRAIN_FORMAT_VERSION,
+        wasmVersion,
+        exportedAt: new Date().toISOString(),
+        organismType: meta.organismType,
+        layers: { inputs: weights.inputs, hidden: weights.hidden, outputs: weights.outputs },
+        meta,
+        weightsIH: Array.from(weights.weightsIH),
+        weightsHO: Array.from(weights.weightsHO),
+        biasH: Array.from(weights.biasH),
+        biasO: Array.from(weights.biasO)
+    };
+}
+
+// Flat WASM layout (weightsIH, weightsHO, biasH, biasO) -> named arrays
+function splitBrainWeights(flat) {
+    const { inputs, hidden, outputs } = BRAIN_LAYERS;
+    let offset = 0;
+    const take = (length) => flat.slice(offset, offset += length);
+
+    return {
+        inputs,
+        hidden,
+        outputs,
+        weightsIH: take(inputs * hidden),
+        weightsHO: take(hidden * outputs),
+        biasH: take(hidden),
+        biasO: take(outputs)
+    };
+}
+
+// Validate a saved brain and flatten it for the WASM import buffer (null if unusable)
+export function brainToWeights(brain) {
+    if (!brain || brain.format !== BRAIN_FORMAT) return null;
+
+    const layers = brain.layers || {};
+    if (layers.inputs !== BRAIN_LAYERS.inputs || layers.hidden !== BRAIN_LAYERS.hidden || layers.outputs !== BRAIN_LAYERS.outputs) {
+        return null;
+    }
+
+    const { inputs, hidden, outputs } = BRAIN_LAYERS;
+    const parts = [
+        [brain.weightsIH, inputs * hidden],
+        [brain.weightsHO, hidden * outputs],
+        [brain.biasH, hidden],
+        [brain.biasO, outputs]
+    ];
+
+    const flat = [];
+    for (const [values, length] of parts) {
+        if (!Array.isArray(values) || values.length !== length) return null;
+        if (!values.every(Number.isFinite)) return null;
+        flat.push(...values);
+    }
+    return Float32Array.from(flat);
+}
+
+// Map parent id -> child ids from getLineageData() (either parent counts)
+export function buildChildIndex(data) {
+    const children = new Map();
+    const add = (parent, child) => {
+        if (parent === 0xFFFFFFFF) return;
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(child);
+    };
+
+    for (let id = 0; id < data.count; id++) {
+        add(data.parentsA[id], id);
+        if (data.parentsB[id] !== data.parentsA[id]) add(data.parentsB[id], id);
+    }
+    return children;
+}
+
+// Diplomatic status between tribes (matches DiplomaticStatus in diplomacy.zig)
+export const DiplomaticStatus = {
+    UNKNOWN: 0,
+    HOSTILE: 1,
+    UNFRIENDLY: 2,
+    NEUTRAL: 3,
+    FRIENDLY: 4,
+    ALLIED: 5,
+    VASSAL: 6,
+    OVERLORD: 7
+};
+
+// Treaty types (matches TreatyType in diplomacy.zig)
+export const TreatyType = {
+    NON_AGGRESSION: 0,
+    TRADE_AGREEMENT: 1,
+    MILITARY_ALLIANCE: 2,
+    TRIBUTE: 3,
+    BORDER_AGREEMENT: 4,
+    MARRIAGE: 5
+};
+
+// War declaration reasons (matches WarReason in diplomacy.zig)
+export const WarReason = {
+    CONQUEST: 0,
+    RESOURCES: 1,
+    REVENGE: 2,
+    HOLY_WAR: 3,
+    DEFENSIVE: 4,
+    LIBERATION: 5,
+    HONOR: 6
+};
+
+// How a trade offer was resolved (matches TradeOutcome in diplomacy.zig)
+export const TradeOutcome = {
+    PENDING: 0,
+    ACCEPTED: 1,
+    DECLINED: 2,
+    EXPIRED: 3
+};
+
+// Age stages (matches AgeStage in population.zig)
+export const AgeStage = {
+    INFANT: 0,
+    CHILD: 1,
+    ADULT: 2,
+    ELDER: 3
+};
+
+// Diseases (matches Disease in population.zig)
+export const Disease = {
+    NONE: 0,
+    COLD: 1,
+    FEVER: 2,
+    PLAGUE: 3,
+    FOOD_POISONING: 4,
+    INFECTION: 5
+};
+
+// Hunger levels (matches HungerLevel in population.zig)
+export const HungerLevel = {
+    FULL: 0,
+    SATISFIED: 1,
+    HUNGRY: 2,
+    STARVING: 3,
+    CRITICAL: 4
+};
+
+// Causes of death (matches DeathCause in population.zig)
+export const DeathCause = {
+    NONE: 0,
+    OLD_AGE: 1,
+    STARVATION: 2,
+    DISEASE: 3,
+    COMBAT: 4,
+    PREDATION: 5,
+    OTHER: 6,
+    DISASTER: 7
+};
+
+// Seasons (matches Season in seasons.zig)
+export const Season = {
+    SPRING: 0,
+    SUMMER: 1,
+    AUTUMN: 2,
+    WINTER: 3
+};
+
+// Weather (matches Weather in seasons.zig)
+export const Weather = {
+    CLEAR: 0,
+    CLOUDY: 1,
+    RAIN: 2,
+    STORM: 3,
+    SNOW: 4,
+    BLIZZARD: 5,
+    DROUGHT: 6,
+    FOG: 7,
+    HEAT_WAVE: 8
+};
+
+// World events (matches EventType in seasons.zig)
+export const EventType = {
+    BOUNTIFUL_HARVEST: 0,
+    MIGRATION_ARRIVAL: 1,
+    DISCOVERY: 2,
+    CELEBRATION: 3,
+    SEASONAL_CHANGE: 4,
+    ECLIPSE: 5,
+    MIGRATION_DEPARTURE: 6,
+    FAMINE: 7,
+    DISEASE_OUTBREAK: 8,
+    PREDATOR_ATTACK: 9,
+    NATURAL_DISASTER: 10,
+    HARSH_WINTER: 11,
+    DROUGHT: 12,
+    FIRE: 13,
+    METEOR: 14,
+    AURORA: 15,
+    FLOOD: 16
+};
+
+// Simulation events returned by drainEvents (matches EventKind in event_log.zig)
+// detail holds: death DeathCause, attack 1 for a hunt, building_complete BuildingType,
+// war_declared WarReason, treaties TreatyType, tech_discovered Technology, disease_outbreak Disease
+export const SimEventKind = {
+    BIRTH: 0,
+    DEATH: 1,
+    ATTACK: 2,
+    BUILDING_COMPLETE: 3,
+    FIRST_CONTACT: 4,
+    WAR_DECLARED: 5,
+    WAR_ENDED: 6,
+    TREATY_SIGNED: 7,
+    TREATY_BROKEN: 8,
+    TREATY_EXPIRED: 9,
+    TECH_DISCOVERED: 10,
+    DISEASE_OUTBREAK: 11
+};
+
+// Organism, building or tribe slot of a simulation event that doesn't involve one
+export const NO_SIM_ID = 0xFFFFFFFF;
+
+// Event id returned when an event could not be triggered
+export const NO_EVENT = 0xFFFFFFFF;
+
+// Health map entry for dead organisms and plants
+export const NO_HEALTH = 255;
+
+// Biomes of the terrain map and territory cells (matches TerrainType in territory.zig)
+export const TerrainType = {
+    PLAINS: 0,
+    FOREST: 1,
+    MOUNTAIN: 2,
+    RIVER: 3,
+    COAST: 4,
+    DESERT: 5,
+    FERTILE: 6,
+    TUNDRA: 7,
+    OCEAN: 8
+};
+
+// Terrain brushes (matches SculptTool in terrain.zig)
+export const SculptTool = {
+    RAISE: 0,
+    LOWER: 1,
+    SMOOTH: 2,
+    FLATTEN: 3,
+    FLOOD: 4
+};
+
+// Message symbols (matches Symbol in message.zig)
+export const MessageSymbol = {
+    FOOD: 0,
+    WATER: 1,
+    SHELTER: 2,
+    DANGER: 3,
+    SAFE: 4,
+    HAPPY: 5,
+    SAD: 6,
+    ANGRY: 7,
+    FEAR: 8,
+    LOVE: 9,
+    COME: 10,
+    GO: 11,
+    ATTACK: 12,
+    DEFEND: 13,
+    BUILD: 14,
+    GATHER: 15,
+    HUNT: 16,
+    REST: 17,
+    HERE: 18,
+    THERE: 19,
+    UP: 20,
+    DOWN: 21,
+    LEFT: 22,
+    RIGHT: 23,
+    FRIEND: 24,
+    ENEMY: 25,
+    LEADER: 26,
+    FOLLOW: 27,
+    HELP: 28,
+    TRADE: 29
+};
+
+// How a message is interpreted (matches MessageIntent in message.zig)
+export const MessageIntent = {
+    UNKNOWN: 0,
+    WARNING: 1,
+    THREAT: 2,
+    REQUEST_HELP: 3,
+    REQUEST_FOOD: 4,
+    REQUEST_BUILD: 5,
+    REQUEST_TRADE: 6,
+    FRIENDLY: 7,
+    HOSTILE: 8,
+    COMMAND: 9
+};
+
+// Technologies (matches Technology in technology.zig)
+export const Technology = {
+    FIRE: 0,
+    STONE_TOOLS: 1,
+    LANGUAGE: 2,
+    HUNTING: 3,
+    AGRICULTURE: 4,
+    POTTERY: 5,
+    WEAVING: 6,
+    ANIMAL_HUSBANDRY: 7,
+    BRONZE_WORKING: 8,
+    WRITING: 9,
+    WHEEL: 10,
+    MASONRY: 11,
+    IRON_WORKING: 12,
+    CONSTRUCTION: 13,
+    MATHEMATICS: 14,
+    MEDICINE: 15,
+    PHILOSOPHY: 16,
+    ENGINEERING: 17,
+    ASTRONOMY: 18,
+    CURRENCY: 19,
+    MILITARY_TACTICS: 20,
+    IRRIGATION: 21,
+    CALENDAR: 22,
+    METALLURGY: 23
+};
+
+// Research state of a technology for a tribe (matches TechState in technology.zig)
+export const TechState = {
+    LOCKED: 0,
+    AVAILABLE: 1,
+    RESEARCHING: 2,
+    RESEARCHED: 3
+};
+
 // Organism types enum (matches Zig)
 export const OrganismType = {
     PLANT: 0,
@@ -429,6 +1878,23 @@ export const OrganismType = {
     HUMANOID: 3
 };
 
+// Animal species (matches Species in species.zig; carnivore ids are CarnivoreSpecies ids + 5)
+export const Species = {
+    DEER: 0,
+    RABBIT: 1,
+    ELEPHANT: 2,
+    BOAR: 3,
+    BISON: 4,
+    WOLF: 5,
+    LION: 6,
+    BEAR: 7,
+    TIGER: 8,
+    HYENA: 9
+};
+
+// Species slot of plants and humanoids
+export const NO_SPECIES = 255;
+
 // Building types enum (matches Zig)
 export const BuildingType = {
     HUT: 0,
@@ -440,7 +1906,29 @@ export const BuildingType = {
     SMITHY: 6,
     MINE: 7,
     MARKET: 8,
-    GRANARY: 9
+    GRANARY: 9,
+    GATE: 10,
+    WELL: 11,
+    STABLE: 12,
+    LIBRARY: 13,
+    HARBOR: 14,
+    MONUMENT: 15,
+    WORKSHOP: 16,
+    HOSPITAL: 17,
+    STOREHOUSE: 18,
+    FORTRESS: 19
+};
+
+// Reasons a building can't be placed (matches getBuildBlocker in Zig)
+export const BuildBlocker = {
+    1: 'tier',
+    2: 'building',
+    3: 'population',
+    4: 'terrain',
+    5: 'resources',
+    6: 'spacing',
+    7: 'capacity',
+    8: 'invalid'
 };
 
 // Plant types enum (matches Zig)
@@ -482,9 +1970,66 @@ export const ResourceType = {
     METAL: 14
 };
 
-// Item categories
+// Item categories (high nibble of a packed item type)
 export const ItemCategory = {
     TOOL: 0x00,
     WEAPON: 0x10,
     ARMOR: 0x20
 };
+
+// Tool types (matches ToolType in crafting.zig)
+export const ToolType = {
+    NONE: 0,
+    HAND_AXE: 1,
+    PICKAXE: 2,
+    HOE: 3,
+    FISHING_ROD: 4,
+    HAMMER: 5,
+    KNIFE: 6
+};
+
+// Weapon types (matches WeaponType in crafting.zig)
+export const WeaponType = {
+    NONE: 0,
+    CLUB: 1,
+    SPEAR: 2,
+    BOW: 3,
+    SWORD: 4,
+    AXE: 5,
+    SHIELD: 6
+};
+
+// Armor types (matches ArmorType in crafting.zig)
+export const ArmorType = {
+    NONE: 0,
+    HIDE_ARMOR: 1,
+    LEATHER_ARMOR: 2,
+    WOODEN_ARMOR: 3,
+    BONE_ARMOR: 4,
+    METAL_ARMOR: 5
+};
+
+// Item quality (matches Quality in crafting.zig)
+export const ItemQuality = {
+    CRUDE: 0,
+    NORMAL: 1,
+    FINE: 2,
+    MASTERWORK: 3,
+    LEGENDARY: 4
+};
+
+// Equipment slots (matches EquipSlot in crafting.zig)
+export const EquipSlot = {
+    TOOL: 0,
+    WEAPON: 1,
+    SHIELD: 2,
+    ARMOR: 3
+};
+
+// Slot a packed item type is worn in (shields are weapons held in their own slot)
+function itemSlot(itemType) {
+    const category = itemType & 0xF0;
+    if (category === ItemCategory.TOOL) return EquipSlot.TOOL;
+    if (category === ItemCategory.ARMOR) return EquipSlot.ARMOR;
+    return (itemType & 0x0F) === WeaponType.SHIELD ? EquipSlot.SHIELD : EquipSlot.WEAPON;
+}
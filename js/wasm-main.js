@@ -16,9 +16,18 @@ import { helpSystem } from './engine/help.js';
 import { loadingScreen } from './engine/loading.js';
 import { settingsSystem } from './engine/settings.js';
 import { saveSystem } from './engine/savesystem.js';
+import { ReplayRecorder, ReplayPlayer, ReplayControls } from './engine/replay.js';
+import { geneBankPanel } from './engine/genebank.js';
+import { lineagePanel } from './engine/lineage.js';
+import { techTreePanel } from './engine/techtree.js';
 import { uiAnimations } from './engine/uianimations.js';
 import { hud } from './engine/hud.js';
 import { aaaUISystem } from './engine/aaa-ui.js';
+import { WorldEventManager } from './engine/world-events.js';
+import { SimEventFeed } from './engine/sim-events.js';
+import { GodPowerSystem } from './engine/god-powers.js';
+import { WEATHER_KEYS, SEASON_NAMES } from './engine/weather.js';
+import { DEFAULT_SCENARIO, normalizeScenario, loadScenario, applyScenario, ScenarioEvents, mulberry32 } from './scenario.js';
 
 // Global flag to indicate new HUD is active - prevents old UI systems from creating elements
 window.PLANET_EDEN_USE_NEW_HUD = true;
@@ -45,9 +54,26 @@ class PlanetEdenWasm {
         this.loadingScreen = loadingScreen;
         this.settingsSystem = settingsSystem;
         this.saveSystem = saveSystem;
+        this.geneBank = geneBankPanel;
+        this.lineage = lineagePanel;
+        this.techTree = techTreePanel;
         this.uiAnimations = uiAnimations;
         this.hud = hud;
         this.aaaUI = aaaUISystem;
+        this.worldEvents = null;
+        this.simEvents = null;
+        this.godPowers = null;
+
+        // Replay recording / playback
+        this.replayRecorder = new ReplayRecorder(this.wasmModule);
+        this.replayPlayer = null;
+        this.replayControls = null;
+        this.liveSnapshot = null;
+
+        // Starting world (see scenario.js); its scheduled events fire as simulated time passes
+        this.scenario = null;
+        this.scenarioEvents = null;
+        this.worldSeed = 0;
     }
 
     async init() {
@@ -73,9 +99,16 @@ class PlanetEdenWasm {
 
         // Initialize simulation - plants don't use neural nets so we can have many more
         // Animals need ~1.6KB each for brain, plants are cheap (~64 bytes)
-        console.log('[Planet Eden WASM] Initializing simulation with 500 max organisms...');
         this.loadingScreen.setProgress(30, 'Initializing world...');
-        const initialized = this.wasmModule.init(500, Date.now() & 0xFFFFFFFF);
+        const params = new URLSearchParams(window.location.search);
+        this.scenario = await this.loadStartingScenario(params.get('scenario'));
+        if (params.has('record')) {
+            // Record from the seed so the whole session can be replayed
+            this.replayRecorder.attach();
+        }
+        console.log(`[Planet Eden WASM] Initializing simulation with ${this.scenario.maxOrganisms} max organisms...`);
+        this.worldSeed = this.scenario.seed ?? (Date.now() & 0xFFFFFFFF);
+        const initialized = this.wasmModule.init(this.scenario.maxOrganisms, this.worldSeed);
         if (!initialized) {
             console.error('[Planet Eden WASM] ❌ Failed to initialize simulation');
             this.showError('Failed to initialize simulation. Check console for details.');
@@ -129,8 +162,14 @@ class PlanetEdenWasm {
             help: false,
             settings: false,
             save: false,
+            geneBank: false,
+            lineage: false,
+            techTree: false,
             uiAnimations: false,
-            hud: false
+            hud: false,
+            worldEvents: false,
+            simEvents: false,
+            godPowers: false
         };
 
         // Event/Toast system
@@ -161,6 +200,31 @@ class PlanetEdenWasm {
             console.warn('[Planet Eden WASM] ⚠️ Particle system failed to initialize:', error);
         }
 
+        // World events - presents the simulation's meteors, plagues, floods, etc.
+        try {
+            this.worldEvents = new WorldEventManager(this.renderer);
+            featureStatus.worldEvents = true;
+        } catch (error) {
+            console.warn('[Planet Eden WASM] ⚠️ World events failed to initialize:', error);
+        }
+
+        // Simulation event feed - births, deaths, fights, diplomacy and discoveries from the core
+        try {
+            this.simEvents = new SimEventFeed(this.renderer);
+            featureStatus.simEvents = true;
+        } catch (error) {
+            console.warn('[Planet Eden WASM] ⚠️ Simulation event feed failed to initialize:', error);
+        }
+
+        // Targeted god powers - cast by clicking a creature, a spot or a tribe's land
+        try {
+            this.godPowers = new GodPowerSystem(this.renderer);
+            this.renderer.setGodPowers(this.godPowers);
+            featureStatus.godPowers = true;
+        } catch (error) {
+            console.warn('[Planet Eden WASM] ⚠️ God powers failed to initialize:', error);
+        }
+
         // Connect audio system to renderer for weather sounds (only if audio initialized)
         if (featureStatus.audio) {
             try {
@@ -220,12 +284,39 @@ class PlanetEdenWasm {
 
         // Save system
         try {
-            this.saveSystem.init(this.wasmModule, this.renderer, this.eventSystem);
+            this.saveSystem.init(this.wasmModule, this.renderer, this.eventSystem, this.screenshotSystem);
+            this.saveSystem.onGameLoaded = () => {
+                if (this.scenarioEvents) this.scenarioEvents.seek(this.wasmModule.getStats().time);
+            };
             featureStatus.save = true;
         } catch (error) {
             console.warn('[Planet Eden WASM] ⚠️ Save system failed to initialize:', error);
         }
 
+        // Gene bank panel (B key)
+        try {
+            this.geneBank.init(this.wasmModule, this.renderer, this.eventSystem);
+            featureStatus.geneBank = true;
+        } catch (error) {
+            console.warn('[Planet Eden WASM] ⚠️ Gene bank panel failed to initialize:', error);
+        }
+
+        // Family tree panel (F key)
+        try {
+            this.lineage.init(this.wasmModule, this.renderer);
+            featureStatus.lineage = true;
+        } catch (error) {
+            console.warn('[Planet Eden WASM] ⚠️ Lineage panel failed to initialize:', error);
+        }
+
+        // Tech tree panel (K key)
+        try {
+            this.techTree.init(this.wasmModule, this.eventSystem);
+            featureStatus.techTree = true;
+        } catch (error) {
+            console.warn('[Planet Eden WASM] ⚠️ Tech tree panel failed to initialize:', error);
+        }
+
         // UI Animations
         try {
             this.uiAnimations.init();
@@ -257,6 +348,9 @@ class PlanetEdenWasm {
                 featureStatus.audio ? this.audioSystem : null,
                 this.hud
             );
+            if (this.simEvents) {
+                this.simEvents.subscribe(event => this.aaaUI.onSimEvent(event));
+            }
             featureStatus.aaaUI = true;
         } catch (error) {
             console.warn('[Planet Eden WASM] ⚠️ AAA UI system failed to initialize:', error);
@@ -301,69 +395,43 @@ class PlanetEdenWasm {
         return true;
     }
 
-    spawnInitialWorld() {
-        console.log('[Planet Eden WASM] 🌱 Creating initial world (LAND ONLY)...');
-
-        // Create first tribe
-        const tribe1 = this.wasmModule.createTribe();
-        console.log(`[Planet Eden WASM] createTribe() returned: ${tribe1}`);
-
-        // Verify tribe was created
-        const stats = this.wasmModule.getStats();
-        console.log(`[Planet Eden WASM] Tribe count after creation: ${stats.tribeCount}`);
-
-        if (stats.tribeCount === 0) {
-            console.error('[Planet Eden WASM] ⚠️ WARNING: Tribe count is 0 after createTribe()!');
-        }
-
-        const NO_TRIBE = 0xFFFFFFFF; // Special value meaning "no tribe"
-
-        // Helper to spawn organism on land only
-        const spawnOnLand = (type, tribeId) => {
-            const pos = this.renderer.findLandPosition();
-            if (pos.isLand) {
-                this.wasmModule.spawnOrganism(type, pos.flatX, 0.5, pos.flatZ, tribeId);
-                return true;
+    // Scenario from ?scenario=<url>, or the default world if there is none (or it can't be read)
+    async loadStartingScenario(url) {
+        if (url) {
+            try {
+                const scenario = await loadScenario(url);
+                console.log(`[Planet Eden WASM] 🗺️ Scenario "${scenario.name}" loaded from ${url}`);
+                return scenario;
+            } catch (error) {
+                console.error(`[Planet Eden WASM] ❌ Could not load scenario ${url}:`, error);
             }
-            return false;
-        };
-
-        // Spawn abundant vegetation (300 plants/trees) - only on land
-        // Plants can reproduce via seeding, so a good starting forest is important
-        let plantCount = 0;
-        for (let i = 0; i < 300; i++) {
-            if (spawnOnLand(OrganismType.PLANT, NO_TRIBE)) plantCount++;
         }
+        return normalizeScenario(DEFAULT_SCENARIO);
+    }
 
-        // Spawn herbivores (25 animals) - wild grazing herds, only on land
-        let herbCount = 0;
-        for (let i = 0; i < 25; i++) {
-            if (spawnOnLand(OrganismType.HERBIVORE, NO_TRIBE)) herbCount++;
-        }
+    spawnInitialWorld() {
+        const scenario = this.scenario;
+        console.log(`[Planet Eden WASM] 🌱 Creating world "${scenario.name}" (LAND ONLY, seed ${this.worldSeed >>> 0})...`);
 
-        // Spawn carnivores (8 predators) - wild hunters, only on land
-        let carnCount = 0;
-        for (let i = 0; i < 8; i++) {
-            if (spawnOnLand(OrganismType.CARNIVORE, NO_TRIBE)) carnCount++;
-        }
+        // Placement is seeded too, so the same scenario and seed give the same world
+        const { tribeIds, placed } = applyScenario(this.wasmModule, scenario, {
+            random: mulberry32(this.worldSeed)
+        });
+        this.scenarioEvents = new ScenarioEvents(scenario.events);
 
-        // Spawn first tribe members (12 humanoids) - only on land
-        let humanCount = 0;
-        for (let i = 0; i < 12; i++) {
-            if (spawnOnLand(OrganismType.HUMANOID, tribe1)) humanCount++;
+        const stats = this.wasmModule.getStats();
+        if (stats.tribeCount < tribeIds.length) {
+            console.error(`[Planet Eden WASM] ⚠️ WARNING: only ${stats.tribeCount} of ${tribeIds.length} tribes were created!`);
         }
 
+        const [plantCount, herbCount, carnCount, humanCount] = placed;
         console.log('[Planet Eden WASM] ✅ Initial world created (LAND ONLY)!');
-        console.log(`[Planet Eden WASM] 🏛️ 1 tribe with ${humanCount} members`);
+        console.log(`[Planet Eden WASM] 🏛️ ${tribeIds.length} tribes with ${humanCount} members`);
         console.log(`[Planet Eden WASM] 🌲 ${plantCount} plants/trees (will grow and seed)`);
         console.log(`[Planet Eden WASM] 🦌 ${herbCount} herbivores`);
         console.log(`[Planet Eden WASM] 🦁 ${carnCount} carnivores`);
-        console.log(`[Planet Eden WASM] Total: ${plantCount + herbCount + carnCount + humanCount} organisms`);
-
-        // Verify organisms were spawned
-        const finalStats = this.wasmModule.getStats();
-        console.log(`[Planet Eden WASM] Final organism count: ${finalStats.organismCount}`);
-        console.log(`[Planet Eden WASM] Alive count: ${finalStats.aliveCount}`);
+        console.log(`[Planet Eden WASM] 🏗️ ${stats.buildingCount} buildings, ${scenario.events.length} scheduled events`);
+        console.log(`[Planet Eden WASM] Total: ${stats.aliveCount} organisms`);
     }
 
     setupControls() {
@@ -443,6 +511,12 @@ class PlanetEdenWasm {
                     this.renderer.toggleFollowMode();
                     break;
 
+                // Tribe territory overlay on the planet
+                case 'v':
+                case 'V':
+                    this.renderer.toggleTerritoryOverlay();
+                    break;
+
                 // Toggle panels
                 case 't':
                 case 'T':
@@ -456,8 +530,25 @@ class PlanetEdenWasm {
                     this.togglePanel('controls-panel');
                     break;
 
-                // Note: L, M, P, G, O are handled by their respective systems
-                // L = Event log, M = Mute/Audio, P = Screenshot, G = Graph, O = Objectives
+                // Note: L, M, P, G, O, B are handled by their respective systems
+                // L = Event log, M = Mute/Audio, P = Screenshot, G = Graph, O = Objectives, B = Gene bank, F = Family tree, K = Tech tree
+
+                // Replays
+                case 'F9':
+                    e.preventDefault();
+                    this.toggleReplayRecording();
+                    break;
+
+                case 'F10':
+                    e.preventDefault();
+                    this.openReplayFile();
+                    break;
+
+                // Scenarios
+                case 'F8':
+                    e.preventDefault();
+                    this.openScenarioFile();
+                    break;
 
                 // Settings menu (Escape key)
                 case 'Escape':
@@ -477,6 +568,9 @@ class PlanetEdenWasm {
         console.log('🎮 SIMULATION');
         console.log('  SPACE       - Play/Pause');
         console.log('  + / -       - Adjust time scale');
+        console.log('  F9          - Start/stop replay recording');
+        console.log('  F10         - Open replay file');
+        console.log('  F8          - Open scenario file');
         console.log('');
         console.log('📷 CAMERA');
         console.log('  ← →         - Rotate camera');
@@ -500,10 +594,14 @@ class PlanetEdenWasm {
         console.log('📊 DEBUG & TOOLS');
         console.log('  I           - Log debug info');
         console.log('  C           - Follow selected creature');
+        console.log('  V           - Toggle territory overlay');
         console.log('  L           - Toggle event log');
         console.log('  M           - Toggle audio');
         console.log('  P           - Take screenshot');
         console.log('  G           - Toggle population graph');
+        console.log('  B           - Toggle gene bank');
+        console.log('  F           - Family tree of selected creature or tribe');
+        console.log('  K           - Technology tree and research queue');
         console.log('  O           - Toggle objectives');
         console.log('');
         console.log('📋 PANELS');
@@ -634,7 +732,16 @@ class PlanetEdenWasm {
         if (this.running) {
             // Update simulation with time scaling
             const adjustedDelta = delta * this.timeScale;
-            this.wasmModule.update(adjustedDelta);
+            if (this.replayPlayer) {
+                // Replays advance by recorded frames, not wall-clock time
+                this.replayPlayer.tick();
+                this.replayControls.update();
+            } else {
+                this.wasmModule.update(adjustedDelta);
+                if (this.scenarioEvents) {
+                    this.scenarioEvents.update(this.wasmModule, this.wasmModule.getStats().time);
+                }
+            }
 
             // Update particle system with weather wind info
             if (this.particleSystem) {
@@ -646,11 +753,26 @@ class PlanetEdenWasm {
                 this.particleSystem.update(adjustedDelta);
             }
 
+            // Follow the simulation's world events
+            if (this.worldEvents) {
+                this.worldEvents.update(adjustedDelta * 1000);
+            }
+
+            // Regain mana and count down power cooldowns
+            if (this.godPowers) {
+                this.godPowers.update(adjustedDelta);
+            }
+
             // Check goals/milestones
             const stats = this.wasmModule.getStats();
             const typeCounts = SparklineGraph.countTypes(this.wasmModule);
             this.goalSystem.check(stats, { tribalHumanoids: typeCounts.humanoids });
 
+            // Notify, sound and show what happened in the simulation this frame
+            if (this.simEvents) {
+                this.simEvents.update(stats.time, typeCounts);
+            }
+
             // Update population sparkline
             this.sparkline.sample(stats, typeCounts);
 
@@ -675,6 +797,112 @@ class PlanetEdenWasm {
         requestAnimationFrame(() => this.gameLoop());
     }
 
+    toggleReplayRecording() {
+        if (this.replayPlayer) return;
+
+        if (this.replayRecorder.recording) {
+            this.replayRecorder.detach();
+            this.replayRecorder.download();
+            this.eventSystem.log('Replay', 'Replay recording saved', '⏹️', 'normal');
+        } else if (this.replayRecorder.attach()) {
+            this.eventSystem.log('Replay', 'Recording replay (F9 to stop)', '⏺️', 'normal');
+        }
+    }
+
+    openReplayFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                this.startReplay(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('[Planet Eden WASM] Failed to open replay:', error);
+                alert(`Could not open replay: ${error.message}`);
+            }
+        };
+        input.click();
+    }
+
+    openScenarioFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                this.startScenario(await loadScenario(file));
+            } catch (error) {
+                console.error('[Planet Eden WASM] Failed to open scenario:', error);
+                alert(`Could not open scenario: ${error.message}`);
+            }
+        };
+        input.click();
+    }
+
+    // Replace the running world with a fresh one built from a scenario
+    startScenario(scenario) {
+        if (this.replayPlayer) this.stopReplay();
+
+        const seed = scenario.seed ?? (Date.now() & 0xFFFFFFFF);
+        if (!this.wasmModule.init(scenario.maxOrganisms, seed)) {
+            throw new Error('the simulation could not be reinitialized');
+        }
+        this.renderer.clearOrganisms();
+
+        this.scenario = scenario;
+        this.worldSeed = seed;
+        this.spawnInitialWorld();
+        this.eventSystem.log('Scenario', `Started "${scenario.name}"`, '🗺️', 'high');
+    }
+
+    startReplay(replay) {
+        if (this.replayPlayer) this.stopReplay();
+        if (this.replayRecorder.recording) this.replayRecorder.detach();
+
+        const player = new ReplayPlayer(this.wasmModule, replay);
+
+        // Keep the live world so it can be restored when playback stops
+        this.liveSnapshot = this.wasmModule.saveState();
+        if (!this.liveSnapshot) {
+            throw new Error('could not snapshot the current world');
+        }
+
+        player.onWorldReset = () => this.renderer.clearOrganisms();
+        player.onDivergence = (info) => {
+            this.eventSystem.log('Replay', `Replay diverged at frame ${info.frame}`, '⚠️', 'high');
+        };
+
+        if (!player.begin()) {
+            this.wasmModule.loadState(this.liveSnapshot);
+            this.liveSnapshot = null;
+            throw new Error('replay start state was rejected');
+        }
+
+        this.replayPlayer = player;
+        this.replayControls = new ReplayControls(player, () => this.stopReplay());
+        this.replayControls.show();
+        if (!this.running) this.togglePause();
+    }
+
+    stopReplay() {
+        if (!this.replayPlayer) return;
+
+        this.replayPlayer.end();
+        this.replayControls.hide();
+        this.replayPlayer = null;
+        this.replayControls = null;
+
+        if (this.liveSnapshot && this.wasmModule.loadState(this.liveSnapshot)) {
+            this.renderer.clearOrganisms();
+        }
+        this.liveSnapshot = null;
+        console.log('[Planet Eden WASM] Replay stopped, live world restored');
+    }
+
     updateAudioSystem(stats, typeCounts) {
         if (!this.audioSystem || !this.audioSystem.enabled) return;
 
@@ -686,12 +914,12 @@ class PlanetEdenWasm {
             this.audioSystem.setTimeOfDay(normalizedTime);
         }
 
-        // Update game state for adaptive music
-        this.audioSystem.updateGameState(stats, {
-            isConflict: this.detectConflict(),
-            recentDeaths: this.recentDeathCount || 0,
-            recentBirths: this.recentBirthCount || 0
-        });
+        // Update game state for adaptive music from recent simulation events
+        if (this.simEvents) {
+            this.audioSystem.updateGameState(stats, this.simEvents.getMood());
+        } else {
+            this.audioSystem.updateGameState(stats);
+        }
 
         // Update listener position based on camera
         if (this.renderer.camera) {
@@ -704,24 +932,6 @@ class PlanetEdenWasm {
         }
     }
 
-    // Detect if tribes are in conflict (simple heuristic)
-    detectConflict() {
-        const tribes = this.wasmModule.getAllTribes();
-        if (tribes.length < 2) return false;
-
-        // Check if any tribes are close to each other and both have members
-        // This is a simple heuristic - in a real implementation you'd track actual combat
-        for (let i = 0; i < tribes.length; i++) {
-            for (let j = i + 1; j < tribes.length; j++) {
-                if (tribes[i].memberCount > 3 && tribes[j].memberCount > 3) {
-                    // Multiple strong tribes exist - potential for conflict
-                    return Math.random() < 0.1; // 10% chance to trigger tension music
-                }
-            }
-        }
-        return false;
-    }
-
     updateHUD() {
         const stats = this.wasmModule.getStats();
 
@@ -731,17 +941,19 @@ class PlanetEdenWasm {
         // Update population
         this.hud.updatePopulation(stats.aliveCount);
 
-        // Update time (calculate day and time from simulation time)
-        const totalMinutes = Math.floor(stats.time * 2); // 2 sim-minutes per real second
-        const day = Math.floor(totalMinutes / 1440) + 1;
-        const hours = Math.floor((totalMinutes % 1440) / 60);
-        const mins = totalMinutes % 60;
-        const timeStr = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-        this.hud.updateTime(day, timeStr);
+        // Update time and weather from the simulation's calendar
+        const calendar = this.wasmModule.getCalendar();
+        if (calendar) {
+            const totalMinutes = Math.floor(calendar.timeOfDay * 1440);
+            const hours = Math.floor(totalMinutes / 60);
+            const mins = totalMinutes % 60;
+            const timeStr = `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+            this.hud.updateTime(calendar.day, timeStr, SEASON_NAMES[calendar.season]);
+            this.hud.updateWeather(WEATHER_KEYS[calendar.weather] || 'clear');
+        }
 
-        // Update weather
-        if (this.renderer.weatherSystem) {
-            this.hud.updateWeather(this.renderer.weatherSystem.currentWeather || 'clear');
+        if (this.godPowers) {
+            this.hud.updateGodPowers(this.godPowers);
         }
 
         // Update stats and tribes (less frequently)
@@ -751,6 +963,10 @@ class PlanetEdenWasm {
             const tribes = this.wasmModule.getAllTribes();
             this.hud.updateStats(stats, typeCounts);
             this.hud.updateTribes(tribes);
+            this.hud.updateDiplomacy(tribes);
+            if (this.worldEvents) {
+                this.hud.updateEvents(this.worldEvents.getTimeline());
+            }
         }
     }
 
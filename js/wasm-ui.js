@@ -1,7 +1,13 @@
 // Enhanced WASM UI Module - Full tribal civilization interface
-import { OrganismType } from './wasm-loader.js';
+import { OrganismType, Disease } from './wasm-loader.js';
 import { SparklineGraph } from './engine/sparkline.js';
 
+// God power strength
+const PLAGUE_RADIUS = 15;
+const PLAGUE_INFECTION_CHANCE = 0.6;
+const BLESSING_HEALTH = 100; // Creatures are healed to full (health caps at 100)
+const BLESSING_ENERGY = 50;
+
 export class WasmUI {
     constructor(wasmModule, renderer = null) {
         this.wasmModule = wasmModule;
@@ -375,54 +381,56 @@ export class WasmUI {
             return;
         }
 
-        // Gift resources to a random tribe (would need WASM export for this)
+        // Gift 500 resources to a random tribe
         const randomTribe = tribes[Math.floor(Math.random() * tribes.length)];
         const tribeName = this.getTribeName(randomTribe.id);
+        this.wasmModule.giveResources(randomTribe.id, 200, 150, 100, 50);
         this.showMessage(`💎 Gifted 500 resources to the ${tribeName}!`, 'success');
-
-        // TODO: Add WASM export to actually gift resources
     }
 
     godPowerLightning() {
-        // Trigger lightning strike via weather system
-        if (this.renderer && this.renderer.weatherSystem) {
-            // Find a storm cloud to trigger from, or use any cloud
-            const clouds = this.renderer.weatherSystem.clouds || [];
-            const stormClouds = clouds.filter(c => c.weatherState === 'storm' || c.canStorm);
-
-            if (stormClouds.length > 0) {
-                // Trigger from a random storm cloud
-                const cloud = stormClouds[Math.floor(Math.random() * stormClouds.length)];
-                this.renderer.weatherSystem.triggerLightning(cloud);
-                this.showMessage('⚡ Lightning strikes from the heavens!', 'warning');
-            } else if (clouds.length > 0) {
-                // Force lightning from any cloud
-                const cloud = clouds[Math.floor(Math.random() * clouds.length)];
-                this.renderer.weatherSystem.triggerLightning(cloud);
-                this.showMessage('⚡ You summon divine lightning!', 'warning');
-            } else {
-                this.showMessage('❌ No clouds to strike from', 'error');
-            }
-        } else {
-            this.showMessage('❌ Weather system not available', 'error');
+        // Lightning is aimed: arm it and the next click on the planet brings the bolt down
+        const godPowers = this.renderer && this.renderer.godPowers;
+        if (!godPowers) {
+            this.showMessage('❌ God powers not available', 'error');
+            return;
+        }
+
+        if (godPowers.arm('lightning')) {
+            this.showMessage('⚡ Click the planet to strike', 'info');
         }
     }
 
     godPowerPlague() {
-        const aliveCount = this.wasmModule.exports.getAliveCount();
-        const killCount = Math.floor(aliveCount * 0.2); // Kill 20%
+        // The plague breaks out around a random creature; the disease itself does the killing
+        const data = this.wasmModule.getOrganismData();
+        const creatures = [];
+        for (let i = 0; i < (data ? data.count : 0); i++) {
+            if (data.alive[i] && data.types[i] !== OrganismType.PLANT) creatures.push(i);
+        }
+
+        if (creatures.length === 0) {
+            this.showMessage('❌ No creatures for the plague to strike', 'error');
+            return;
+        }
 
-        this.showMessage(`☠️ Plague strikes! ${killCount} organisms perish!`, 'warning');
+        const patientZero = creatures[Math.floor(Math.random() * creatures.length)];
+        const infected = this.wasmModule.infectArea(
+            data.positionsX[patientZero], data.positionsZ[patientZero],
+            PLAGUE_RADIUS, Disease.PLAGUE, PLAGUE_INFECTION_CHANCE
+        );
 
-        // TODO: Add WASM export to kill random organisms
+        if (infected > 0) {
+            this.showMessage(`☠️ Plague strikes! ${infected} creatures fall sick!`, 'warning');
+        } else {
+            this.showMessage('☠️ The plague fizzles out - no one caught it', 'info');
+        }
     }
 
     godPowerBlessing() {
-        const aliveCount = this.wasmModule.exports.getAliveCount();
-
-        this.showMessage(`✨ Divine blessing! All ${aliveCount} organisms healed!`, 'success');
+        const healed = this.wasmModule.healArea(0, 0, Infinity, BLESSING_HEALTH, BLESSING_ENERGY);
 
-        // TODO: Add WASM export to heal all organisms
+        this.showMessage(`✨ Divine blessing! ${healed} creatures healed and fed!`, 'success');
     }
 
     spawnRandom(type) {
@@ -0,0 +1,104 @@
+// Headless simulation CLI - runs Planet Eden without a browser for balancing studies
+//
+// Usage:
+//   node simulate.mjs [config.json] [--seeds 1-20] [--out runs/] [--format csv|json|both] [--wasm path]
+//
+// Each seed writes <out>/seed-<n>/{samples,tribes,diplomacy}.csv (and/or result.json) plus
+// champions.json with the gene bank's brains; a sweep additionally writes <out>/summary.csv
+// with the final sample of every seed.
+//
+// A spawn entry may set "brain" to a brain file (or a champions.json plus "champion": index)
+// to seed that group with an evolved network.
+
+import fs from 'fs';
+import path from 'path';
+import { HeadlessRunner, toCSV, parseSeeds } from './js/headless-runner.js';
+
+function parseArgs(argv) {
+    const args = { config: null, seeds: null, out: 'runs', format: 'csv', wasm: './zig-out/bin/planet-eden.wasm' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--seeds': args.seeds = argv[++i]; break;
+            case '--out': args.out = argv[++i]; break;
+            case '--format': args.format = argv[++i]; break;
+            case '--wasm': args.wasm = argv[++i]; break;
+            case '--help':
+            case '-h':
+                args.help = true;
+                break;
+            default:
+                args.config = arg;
+        }
+    }
+    return args;
+}
+
+function writeResult(dir, result, format) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (format === 'csv' || format === 'both') {
+        fs.writeFileSync(path.join(dir, 'samples.csv'), toCSV(result.samples));
+        fs.writeFileSync(path.join(dir, 'tribes.csv'), toCSV(result.tribes));
+        fs.writeFileSync(path.join(dir, 'diplomacy.csv'), toCSV(result.diplomacy));
+    }
+    if (format === 'json' || format === 'both') {
+        fs.writeFileSync(path.join(dir, 'result.json'), JSON.stringify(result, null, 2));
+    }
+    fs.writeFileSync(path.join(dir, 'champions.json'), JSON.stringify(result.champions, null, 2));
+}
+
+// Replace spawn "brain" paths (relative to the config file) with the brain they point to
+function resolveBrains(config, configPath) {
+    const baseDir = configPath ? path.dirname(configPath) : process.cwd();
+    for (const spawn of config.spawns || []) {
+        if (typeof spawn.brain !== 'string') continue;
+
+        const file = path.resolve(baseDir, spawn.brain);
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        spawn.brain = Array.isArray(data) ? data[spawn.champion ?? 0] : data;
+        if (!spawn.brain) {
+            throw new Error(`No champion ${spawn.champion} in ${file}`);
+        }
+    }
+    return config;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node simulate.mjs [config.json] [--seeds 1-20] [--out runs/] [--format csv|json|both] [--wasm path]');
+        return;
+    }
+    if (!['csv', 'json', 'both'].includes(args.format)) {
+        throw new Error(`Unknown format "${args.format}"`);
+    }
+
+    const config = resolveBrains(args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {}, args.config);
+    const seeds = args.seeds ? parseSeeds(args.seeds) : (config.seeds || [config.seed ?? 42]);
+    const runner = new HeadlessRunner(fs.readFileSync(args.wasm), config);
+
+    console.log(`[Simulate] ${seeds.length} run(s), ${runner.config.duration}s each, output → ${args.out}`);
+
+    const summary = [];
+    for (const seed of seeds) {
+        const started = Date.now();
+        const result = await runner.run(seed);
+        writeResult(path.join(args.out, `seed-${seed}`), result, args.format);
+
+        const last = result.samples[result.samples.length - 1];
+        summary.push({ seed, ...last });
+        console.log(`[Simulate] Seed ${seed}: ${last.alive} alive, ${last.tribes} tribes, ${last.wars} wars (${Date.now() - started}ms)`);
+    }
+
+    if (seeds.length > 1) {
+        fs.writeFileSync(path.join(args.out, 'summary.csv'), toCSV(summary));
+        console.log(`[Simulate] Sweep summary written to ${path.join(args.out, 'summary.csv')}`);
+    }
+}
+
+main().catch(error => {
+    console.error('[Simulate] Failed:', error.message);
+    process.exit(1);
+});
@@ -1,22 +1,326 @@
-// Building system with 10 building types
+// Building system with 20 building types
 // Each building provides bonuses to tribes
+// Definitions mirror BuildingDefinitions in js/engine/buildings.js
 
 const std = @import("std");
 const math = @import("math.zig");
 const tribe = @import("tribe.zig");
+const territory = @import("territory.zig");
+const snapshot = @import("snapshot.zig");
 
 /// Building types
 pub const BuildingType = enum(u8) {
     hut = 0,        // Basic shelter, increases max population
     farm = 1,       // Produces food over time
-    tower = 2,      // Defense bonus, vision range
-    temple = 3,     // Faith/culture bonus
-    wall = 4,       // Defense structure
+    tower = 2,      // Defense bonus, attacks nearby enemies
+    temple = 3,     // Faith/culture bonus, healing
+    wall = 4,       // Defense structure, blocks enemies
     barracks = 5,   // Trains warriors faster
-    smithy = 6,     // Produces equipment
+    smithy = 6,     // Produces tools (gathering bonus)
     mine = 7,       // Produces stone and metal
     market = 8,     // Trades resources
-    granary = 9,    // Stores food, reduces spoilage
+    granary = 9,    // Stores food
+    gate = 10,      // Defended passage through walls
+    well = 11,      // Water supply, reduces disease
+    stable = 12,    // Mounts, faster movement
+    library = 13,   // Research bonus
+    harbor = 14,    // Fishing
+    monument = 15,  // Culture (research) bonus
+    workshop = 16,  // Repairs buildings, tools
+    hospital = 17,  // Heals members, reduces disease
+    storehouse = 18, // Stores wood, stone and metal
+    fortress = 19,  // Strongest defense, blocks enemies
+};
+
+/// Number of building types
+pub const BUILDING_TYPE_COUNT: usize = 20;
+
+/// Minimum distance between building centers (footprint radius 4)
+pub const MIN_BUILDING_SPACING: f32 = 8.0;
+
+/// Members a tribe can house before building huts
+pub const BASE_HOUSING: u32 = 16;
+
+/// Stockpile limits before granaries/storehouses
+pub const BASE_FOOD_STORAGE: f32 = 400.0;
+pub const BASE_RESOURCE_STORAGE: f32 = 400.0;
+
+/// Completions held between takeCompleted calls
+pub const MAX_PENDING_COMPLETED: usize = 32;
+
+/// Resource cost of a building
+pub const Cost = struct { food: f32, wood: f32, stone: f32, metal: f32 };
+
+/// Ground a building must stand on
+pub const TerrainRequirement = enum(u8) {
+    any,
+    mountain,
+    water, // River or coast
+};
+
+/// Static definition of a building type: tier, requirements and effects
+pub const BuildingDef = struct {
+    tier: u8,
+    max_health: f32,
+    construction_time: f32, // Seconds
+    cost: Cost,
+
+    // Requirements
+    requires: []const BuildingType = &.{}, // Completed buildings the tribe must own
+    min_population: usize = 0,
+    terrain: TerrainRequirement = .any,
+
+    // Tribe-wide effects (summed over completed buildings)
+    housing: u32 = 0,
+    food_storage: f32 = 0,
+    resource_storage: f32 = 0,
+    research_bonus: f32 = 0,     // Fraction of base research
+    disease_reduction: f32 = 0,  // Fraction of infection chance removed
+    defense_bonus: f32 = 0,
+    combat_bonus: f32 = 0,       // Attack damage multiplier bonus
+    speed_bonus: f32 = 0,        // Movement speed multiplier bonus
+    gather_bonus: f32 = 0,       // Chopping/mining speed bonus
+    repair_rate: f32 = 0,        // Health/sec restored to damaged tribe buildings
+
+    // Local effects around the building
+    healing_rate: f32 = 0,       // Health/sec restored to members within AURA_RADIUS
+    attack_damage: f32 = 0,      // Damage/sec to the nearest enemy within attack_range
+    attack_range: f32 = 0,
+    blocks_enemies: bool = false, // Non-members cannot enter the footprint
+
+    /// Tribe era (technology tree) needed to unlock this tier
+    pub fn requiredEra(self: BuildingDef) u8 {
+        return self.tier - 1;
+    }
+
+    pub fn allowsTerrain(self: BuildingDef, terrain: territory.TerrainType) bool {
+        // Nothing stands in open water
+        if (terrain == .ocean) return false;
+        return switch (self.terrain) {
+            .any => true,
+            .mountain => terrain == .mountain,
+            .water => terrain == .river or terrain == .coast,
+        };
+    }
+};
+
+/// Radius of healing auras
+pub const AURA_RADIUS: f32 = 12.0;
+
+/// Radius of the footprint that walls keep enemies out of
+pub const BLOCK_RADIUS: f32 = MIN_BUILDING_SPACING / 2.0;
+
+/// Get the definition of a building type
+pub fn getDef(building_type: BuildingType) BuildingDef {
+    return switch (building_type) {
+        .hut => .{
+            .tier = 1,
+            .max_health = 100,
+            .construction_time = 10,
+            .cost = .{ .food = 20, .wood = 50, .stone = 10, .metal = 0 },
+            .housing = 4,
+        },
+        .farm => .{
+            .tier = 1,
+            .max_health = 80,
+            .construction_time = 15,
+            .cost = .{ .food = 10, .wood = 30, .stone = 5, .metal = 0 },
+        },
+        .tower => .{
+            .tier = 2,
+            .max_health = 200,
+            .construction_time = 25,
+            .cost = .{ .food = 30, .wood = 40, .stone = 80, .metal = 20 },
+            .requires = &.{.hut},
+            .defense_bonus = 20,
+            .attack_damage = 5,
+            .attack_range = 30,
+        },
+        .temple => .{
+            .tier = 3,
+            .max_health = 150,
+            .construction_time = 40,
+            .cost = .{ .food = 50, .wood = 60, .stone = 100, .metal = 30 },
+            .requires = &.{ .hut, .tower },
+            .min_population = 10,
+            .research_bonus = 0.1,
+            .healing_rate = 0.5,
+        },
+        .wall => .{
+            .tier = 1,
+            .max_health = 300,
+            .construction_time = 20,
+            .cost = .{ .food = 0, .wood = 20, .stone = 50, .metal = 10 },
+            .defense_bonus = 15,
+            .blocks_enemies = true,
+        },
+        .barracks => .{
+            .tier = 2,
+            .max_health = 180,
+            .construction_time = 30,
+            .cost = .{ .food = 40, .wood = 70, .stone = 60, .metal = 30 },
+            .requires = &.{.hut},
+            .defense_bonus = 10,
+            .combat_bonus = 0.2,
+        },
+        .smithy => .{
+            .tier = 2,
+            .max_health = 160,
+            .construction_time = 25,
+            .cost = .{ .food = 30, .wood = 50, .stone = 40, .metal = 50 },
+            .requires = &.{.hut},
+            .gather_bonus = 0.2,
+        },
+        .mine => .{
+            .tier = 2,
+            .max_health = 200,
+            .construction_time = 35,
+            .cost = .{ .food = 40, .wood = 80, .stone = 30, .metal = 20 },
+            .terrain = .mountain,
+        },
+        .market => .{
+            .tier = 2,
+            .max_health = 120,
+            .construction_time = 20,
+            .cost = .{ .food = 60, .wood = 80, .stone = 40, .metal = 20 },
+            .requires = &.{ .hut, .farm },
+        },
+        .granary => .{
+            .tier = 1,
+            .max_health = 140,
+            .construction_time = 15,
+            .cost = .{ .food = 30, .wood = 70, .stone = 50, .metal = 10 },
+            .requires = &.{.farm},
+            .food_storage = 500,
+        },
+        .gate => .{
+            .tier = 2,
+            .max_health = 250,
+            .construction_time = 25,
+            .cost = .{ .food = 10, .wood = 60, .stone = 80, .metal = 40 },
+            .requires = &.{.wall},
+            .defense_bonus = 10,
+            .blocks_enemies = true,
+        },
+        .well => .{
+            .tier = 1,
+            .max_health = 80,
+            .construction_time = 10,
+            .cost = .{ .food = 10, .wood = 20, .stone = 40, .metal = 5 },
+            .disease_reduction = 0.1,
+        },
+        .stable => .{
+            .tier = 2,
+            .max_health = 140,
+            .construction_time = 25,
+            .cost = .{ .food = 50, .wood = 80, .stone = 30, .metal = 20 },
+            .requires = &.{ .farm, .barracks },
+            .speed_bonus = 0.3,
+        },
+        .library => .{
+            .tier = 3,
+            .max_health = 120,
+            .construction_time = 35,
+            .cost = .{ .food = 40, .wood = 60, .stone = 70, .metal = 20 },
+            .requires = &.{.temple},
+            .min_population = 15,
+            .research_bonus = 0.25,
+        },
+        .harbor => .{
+            .tier = 2,
+            .max_health = 160,
+            .construction_time = 40,
+            .cost = .{ .food = 30, .wood = 100, .stone = 60, .metal = 30 },
+            .terrain = .water,
+        },
+        .monument => .{
+            .tier = 3,
+            .max_health = 400,
+            .construction_time = 60,
+            .cost = .{ .food = 100, .wood = 50, .stone = 200, .metal = 50 },
+            .requires = &.{ .temple, .library },
+            .min_population = 25,
+            .research_bonus = 0.2,
+        },
+        .workshop => .{
+            .tier = 2,
+            .max_health = 140,
+            .construction_time = 20,
+            .cost = .{ .food = 25, .wood = 60, .stone = 30, .metal = 25 },
+            .requires = &.{.hut},
+            .research_bonus = 0.1,
+            .repair_rate = 2.0,
+        },
+        .hospital => .{
+            .tier = 3,
+            .max_health = 150,
+            .construction_time = 35,
+            .cost = .{ .food = 60, .wood = 70, .stone = 80, .metal = 30 },
+            .requires = &.{ .well, .temple },
+            .min_population = 20,
+            .disease_reduction = 0.5,
+            .healing_rate = 2.0,
+        },
+        .storehouse => .{
+            .tier = 1,
+            .max_health = 120,
+            .construction_time = 15,
+            .cost = .{ .food = 20, .wood = 60, .stone = 30, .metal = 10 },
+            .resource_storage = 300,
+        },
+        .fortress => .{
+            .tier = 3,
+            .max_health = 500,
+            .construction_time = 80,
+            .cost = .{ .food = 100, .wood = 150, .stone = 300, .metal = 100 },
+            .requires = &.{ .barracks, .wall, .tower },
+            .min_population = 30,
+            .defense_bonus = 50,
+            .blocks_enemies = true,
+        },
+    };
+}
+
+/// Combined effects of a tribe's completed buildings
+pub const TribeEffects = struct {
+    housing: u32,
+    food_storage: f32,
+    resource_storage: f32,
+    research_bonus: f32,
+    disease_reduction: f32,
+    defense_bonus: f32,
+    combat_bonus: f32,
+    speed_bonus: f32,
+    gather_bonus: f32,
+    repair_rate: f32,
+
+    pub fn init() TribeEffects {
+        return .{
+            .housing = BASE_HOUSING,
+            .food_storage = BASE_FOOD_STORAGE,
+            .resource_storage = BASE_RESOURCE_STORAGE,
+            .research_bonus = 0,
+            .disease_reduction = 0,
+            .defense_bonus = 0,
+            .combat_bonus = 0,
+            .speed_bonus = 0,
+            .gather_bonus = 0,
+            .repair_rate = 0,
+        };
+    }
+
+    fn add(self: *TribeEffects, def: BuildingDef) void {
+        self.housing += def.housing;
+        self.food_storage += def.food_storage;
+        self.resource_storage += def.resource_storage;
+        self.research_bonus += def.research_bonus;
+        self.disease_reduction = @min(0.9, self.disease_reduction + def.disease_reduction);
+        self.defense_bonus += def.defense_bonus;
+        self.combat_bonus += def.combat_bonus;
+        self.speed_bonus = @max(self.speed_bonus, def.speed_bonus); // Mounts don't stack
+        self.gather_bonus += def.gather_bonus;
+        self.repair_rate += def.repair_rate;
+    }
 };
 
 /// Building state
@@ -42,18 +346,7 @@ pub const Building = struct {
     production_timer: f32,
 
     pub fn init(id: u32, building_type: BuildingType, tribe_id: u32, pos: math.Vec3) Building {
-        const max_health: f32 = switch (building_type) {
-            .hut => 100.0,
-            .farm => 80.0,
-            .tower => 200.0,
-            .temple => 150.0,
-            .wall => 300.0,
-            .barracks => 180.0,
-            .smithy => 160.0,
-            .mine => 200.0,
-            .market => 120.0,
-            .granary => 140.0,
-        };
+        const max_health = getDef(building_type).max_health;
 
         return .{
             .id = id,
@@ -75,19 +368,8 @@ pub const Building = struct {
     }
 
     /// Get resource cost to build
-    pub fn getBuildCost(building_type: BuildingType) struct { food: f32, wood: f32, stone: f32, metal: f32 } {
-        return switch (building_type) {
-            .hut => .{ .food = 20, .wood = 50, .stone = 10, .metal = 0 },
-            .farm => .{ .food = 10, .wood = 30, .stone = 5, .metal = 0 },
-            .tower => .{ .food = 30, .wood = 40, .stone = 80, .metal = 20 },
-            .temple => .{ .food = 50, .wood = 60, .stone = 100, .metal = 30 },
-            .wall => .{ .food = 0, .wood = 20, .stone = 50, .metal = 10 },
-            .barracks => .{ .food = 40, .wood = 70, .stone = 60, .metal = 30 },
-            .smithy => .{ .food = 30, .wood = 50, .stone = 40, .metal = 50 },
-            .mine => .{ .food = 40, .wood = 80, .stone = 30, .metal = 20 },
-            .market => .{ .food = 60, .wood = 80, .stone = 40, .metal = 20 },
-            .granary => .{ .food = 30, .wood = 70, .stone = 50, .metal = 10 },
-        };
+    pub fn getBuildCost(building_type: BuildingType) Cost {
+        return getDef(building_type).cost;
     }
 
     /// Check if building is fully constructed
@@ -101,7 +383,7 @@ pub const Building = struct {
 
         // Construction progress
         if (!self.isConstructed()) {
-            self.construction_progress += delta * 10.0; // 10% per second
+            self.construction_progress += delta * 100.0 / getDef(self.building_type).construction_time;
             return;
         }
 
@@ -135,6 +417,12 @@ pub const Building = struct {
                     self.production_timer = 0.0;
                 }
             },
+            .harbor => {
+                if (self.production_timer >= 5.0) {
+                    tribe_obj.addResource(.food, 8.0); // Fishing
+                    self.production_timer = 0.0;
+                }
+            },
             else => {},
         }
     }
@@ -161,12 +449,22 @@ pub const Buildings = struct {
     capacity: usize,
     allocator: std.mem.Allocator,
 
+    // Effects of each tribe's completed buildings (derived, rebuilt every update)
+    effects: [tribe.MAX_TRIBES]TribeEffects,
+
+    // Buildings finished since the simulation last called takeCompleted (not saved)
+    pending_completed: [MAX_PENDING_COMPLETED]u32,
+    pending_completed_count: usize,
+
     pub fn init(allocator: std.mem.Allocator, capacity: usize) !Buildings {
         return .{
             .buildings = try allocator.alloc(Building, capacity),
             .count = 0,
             .capacity = capacity,
             .allocator = allocator,
+            .effects = [_]TribeEffects{TribeEffects.init()} ** tribe.MAX_TRIBES,
+            .pending_completed = undefined,
+            .pending_completed_count = 0,
         };
     }
 
@@ -174,6 +472,21 @@ pub const Buildings = struct {
         self.allocator.free(self.buildings);
     }
 
+    /// Write active building slots to a snapshot
+    pub fn save(self: *const Buildings, writer: *snapshot.Writer) !void {
+        try writer.writeInt(@intCast(self.count));
+        try writer.writeSlice(Building, self.buildings[0..self.count]);
+    }
+
+    /// Restore buildings from a snapshot
+    pub fn load(self: *Buildings, reader: *snapshot.Reader) !void {
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+        try reader.readSlice(Building, self.buildings[0..n]);
+        self.count = n;
+        self.recomputeEffects();
+    }
+
     /// Create a new building
     pub fn create(
         self: *Buildings,
@@ -183,6 +496,7 @@ pub const Buildings = struct {
         tribe_manager: *tribe.Tribes,
     ) !u32 {
         if (self.count >= self.capacity) return error.OutOfCapacity;
+        if (!self.canBuildAt(pos)) return error.TooClose;
 
         // Check if tribe has resources
         const cost = Building.getBuildCost(building_type);
@@ -208,6 +522,36 @@ pub const Buildings = struct {
         return id;
     }
 
+    /// Check a tribe's era, prerequisite buildings, population and the ground against a building's definition
+    pub fn checkRequirements(
+        self: *const Buildings,
+        building_type: BuildingType,
+        tribe_id: u32,
+        era: u8,
+        population: usize,
+        terrain: territory.TerrainType,
+    ) !void {
+        const def = getDef(building_type);
+
+        if (era < def.requiredEra()) return error.TierLocked;
+        for (def.requires) |required| {
+            if (self.getCountByType(tribe_id, required) == 0) return error.MissingBuilding;
+        }
+        if (population < def.min_population) return error.PopulationTooLow;
+        if (!def.allowsTerrain(terrain)) return error.WrongTerrain;
+    }
+
+    /// Check that a new building at pos would not overlap an existing one
+    pub fn canBuildAt(self: *const Buildings, pos: math.Vec3) bool {
+        for (self.buildings[0..self.count]) |*building| {
+            if (!building.active) continue;
+            const dx = pos.x - building.pos_x;
+            const dz = pos.z - building.pos_z;
+            if (dx * dx + dz * dz < MIN_BUILDING_SPACING * MIN_BUILDING_SPACING) return false;
+        }
+        return true;
+    }
+
     /// Get building by ID
     pub fn get(self: *Buildings, id: u32) ?*Building {
         if (id >= self.count) return null;
@@ -216,11 +560,62 @@ pub const Buildings = struct {
 
     /// Update all buildings
     pub fn update(self: *Buildings, delta: f32, tribe_manager: *tribe.Tribes) void {
-        for (self.buildings[0..self.count]) |*building| {
+        for (self.buildings[0..self.count], 0..) |*building, i| {
+            const was_constructed = building.isConstructed();
             building.update(delta, tribe_manager);
+
+            if (building.active and !was_constructed and building.isConstructed() and
+                self.pending_completed_count < MAX_PENDING_COMPLETED)
+            {
+                self.pending_completed[self.pending_completed_count] = @intCast(i);
+                self.pending_completed_count += 1;
+            }
+        }
+
+        self.recomputeEffects();
+
+        // Workshops repair damaged tribe buildings
+        for (self.buildings[0..self.count]) |*building| {
+            if (!building.active or building.tribe_id >= tribe.MAX_TRIBES) continue;
+            const repair_rate = self.effects[building.tribe_id].repair_rate;
+            if (repair_rate > 0) building.repair(repair_rate * delta);
+        }
+
+        // Stockpiles are limited by granaries and storehouses
+        for (0..tribe_manager.count) |i| {
+            const t = tribe_manager.getTribe(@intCast(i)) orelse continue;
+            const effects = &self.effects[i];
+            t.food = @min(t.food, effects.food_storage);
+            t.wood = @min(t.wood, effects.resource_storage);
+            t.stone = @min(t.stone, effects.resource_storage);
+            t.metal = @min(t.metal, effects.resource_storage);
+        }
+    }
+
+    /// IDs of buildings whose construction finished since the last call
+    pub fn takeCompleted(self: *Buildings) []const u32 {
+        const completed = self.pending_completed[0..self.pending_completed_count];
+        self.pending_completed_count = 0;
+        return completed;
+    }
+
+    /// Rebuild each tribe's combined building effects
+    pub fn recomputeEffects(self: *Buildings) void {
+        self.effects = [_]TribeEffects{TribeEffects.init()} ** tribe.MAX_TRIBES;
+
+        for (self.buildings[0..self.count]) |*building| {
+            if (!building.active or !building.isConstructed()) continue;
+            if (building.tribe_id >= tribe.MAX_TRIBES) continue;
+            self.effects[building.tribe_id].add(getDef(building.building_type));
         }
     }
 
+    /// Get combined building effects for a tribe (base values for tribeless organisms)
+    pub fn getEffects(self: *const Buildings, tribe_id: u32) TribeEffects {
+        if (tribe_id >= tribe.MAX_TRIBES) return TribeEffects.init();
+        return self.effects[tribe_id];
+    }
+
     /// Get building count by type for a tribe
     pub fn getCountByType(self: *const Buildings, tribe_id: u32, building_type: BuildingType) usize {
         var count: usize = 0;
@@ -243,13 +638,7 @@ pub const Buildings = struct {
             if (building.tribe_id != tribe_id or !building.active or !building.isConstructed()) {
                 continue;
             }
-
-            switch (building.building_type) {
-                .tower => bonus += 20.0,
-                .wall => bonus += 15.0,
-                .barracks => bonus += 10.0,
-                else => {},
-            }
+            bonus += getDef(building.building_type).defense_bonus;
         }
         return bonus;
     }
@@ -298,8 +687,14 @@ test "Building production" {
     const building_id = try buildings.create(.farm, tribe_id, math.Vec3.init(0, 0, 0), &tribes);
     const building = buildings.get(building_id).?;
 
-    // Complete construction
-    building.construction_progress = 100.0;
+    // Finish construction
+    buildings.update(getDef(.farm).construction_time, &tribes);
+    try std.testing.expect(building.isConstructed());
+
+    const completed = buildings.takeCompleted();
+    try std.testing.expectEqual(@as(usize, 1), completed.len);
+    try std.testing.expectEqual(building_id, completed[0]);
+    try std.testing.expectEqual(@as(usize, 0), buildings.takeCompleted().len);
 
     const initial_food = t.food;
 
@@ -330,3 +725,79 @@ test "Building defense bonus" {
     const defense = buildings.getDefenseBonus(tribe_id);
     try std.testing.expectEqual(@as(f32, 20.0), defense);
 }
+
+test "Building spacing" {
+    var rng = math.Rng.init(42);
+    var tribes = tribe.Tribes.init();
+    const tribe_id = tribes.createTribe(&rng).?;
+
+    var buildings = try Buildings.init(std.testing.allocator, 100);
+    defer buildings.deinit();
+
+    const t = tribes.getTribe(tribe_id).?;
+    t.addResource(.wood, 500);
+    t.addResource(.stone, 500);
+    t.addResource(.food, 500);
+
+    _ = try buildings.create(.hut, tribe_id, math.Vec3.init(0, 0, 0), &tribes);
+    try std.testing.expectError(error.TooClose, buildings.create(.hut, tribe_id, math.Vec3.init(3, 0, 3), &tribes));
+    _ = try buildings.create(.hut, tribe_id, math.Vec3.init(10, 0, 0), &tribes);
+}
+
+test "Building requirements" {
+    var rng = math.Rng.init(42);
+    var tribes = tribe.Tribes.init();
+    const tribe_id = tribes.createTribe(&rng).?;
+
+    var buildings = try Buildings.init(std.testing.allocator, 100);
+    defer buildings.deinit();
+
+    // Tier 2 needs era 1, and a tower needs a completed hut
+    try std.testing.expectError(error.TierLocked, buildings.checkRequirements(.tower, tribe_id, 0, 5, .plains));
+    try std.testing.expectError(error.MissingBuilding, buildings.checkRequirements(.tower, tribe_id, 1, 5, .plains));
+
+    const t = tribes.getTribe(tribe_id).?;
+    t.addResource(.wood, 100);
+    const hut_id = try buildings.create(.hut, tribe_id, math.Vec3.init(0, 0, 0), &tribes);
+    buildings.get(hut_id).?.construction_progress = 100.0;
+    try buildings.checkRequirements(.tower, tribe_id, 1, 5, .plains);
+
+    try std.testing.expectError(error.WrongTerrain, buildings.checkRequirements(.mine, tribe_id, 1, 5, .plains));
+    try buildings.checkRequirements(.mine, tribe_id, 1, 5, .mountain);
+    try buildings.checkRequirements(.harbor, tribe_id, 1, 5, .coast);
+    try std.testing.expectError(error.WrongTerrain, buildings.checkRequirements(.harbor, tribe_id, 1, 5, .ocean));
+}
+
+test "Building effects" {
+    var rng = math.Rng.init(42);
+    var tribes = tribe.Tribes.init();
+    const tribe_id = tribes.createTribe(&rng).?;
+
+    var buildings = try Buildings.init(std.testing.allocator, 100);
+    defer buildings.deinit();
+
+    const t = tribes.getTribe(tribe_id).?;
+    t.addResource(.wood, 300);
+    t.addResource(.stone, 300);
+    t.addResource(.metal, 100);
+
+    const hut_id = try buildings.create(.hut, tribe_id, math.Vec3.init(0, 0, 0), &tribes);
+    const granary_id = try buildings.create(.granary, tribe_id, math.Vec3.init(20, 0, 0), &tribes);
+
+    // Unfinished buildings have no effect
+    buildings.update(0.1, &tribes);
+    try std.testing.expectEqual(BASE_HOUSING, buildings.getEffects(tribe_id).housing);
+
+    buildings.get(hut_id).?.construction_progress = 100.0;
+    buildings.get(granary_id).?.construction_progress = 100.0;
+    buildings.update(0.1, &tribes);
+
+    const effects = buildings.getEffects(tribe_id);
+    try std.testing.expectEqual(BASE_HOUSING + 4, effects.housing);
+    try std.testing.expectEqual(BASE_FOOD_STORAGE + 500, effects.food_storage);
+
+    // Stockpiles are clamped to storage
+    t.addResource(.stone, 10000);
+    buildings.update(0.1, &tribes);
+    try std.testing.expectEqual(BASE_RESOURCE_STORAGE, t.stone);
+}
@@ -4,6 +4,7 @@
 const std = @import("std");
 const math = @import("math.zig");
 const resource = @import("resource.zig");
+const snapshot = @import("snapshot.zig");
 
 /// Tool types that can be crafted
 pub const ToolType = enum(u8) {
@@ -56,6 +57,16 @@ pub const Quality = enum(u8) {
     }
 };
 
+/// Equipment slot an item occupies (an owner equips at most one item per slot)
+pub const EquipSlot = enum(u8) {
+    tool = 0,
+    weapon = 1,
+    shield = 2,
+    armor = 3,
+};
+
+pub const EQUIP_SLOT_COUNT: usize = 4;
+
 /// Crafted item
 pub const CraftedItem = struct {
     item_type: ItemType,
@@ -71,6 +82,28 @@ pub const CraftedItem = struct {
         armor: ArmorType,
     };
 
+    /// Get the slot this item is equipped in
+    pub fn getSlot(self: *const CraftedItem) EquipSlot {
+        return switch (self.item_type) {
+            .tool => .tool,
+            .weapon => |w| if (w == .shield) .shield else .weapon,
+            .armor => .armor,
+        };
+    }
+
+    /// Pack the item type as category << 4 | subtype (0x00 tool, 0x10 weapon, 0x20 armor)
+    pub fn getTypeCode(self: *const CraftedItem) u8 {
+        return typeCode(self.item_type);
+    }
+
+    pub fn typeCode(item_type: ItemType) u8 {
+        return switch (item_type) {
+            .tool => |t| 0x00 | @intFromEnum(t),
+            .weapon => |w| 0x10 | @intFromEnum(w),
+            .armor => |a| 0x20 | @intFromEnum(a),
+        };
+    }
+
     /// Get damage bonus from weapon
     pub fn getDamageBonus(self: *const CraftedItem) f32 {
         const base: f32 = switch (self.item_type) {
@@ -152,6 +185,14 @@ pub const ItemRecipe = struct {
         amount: f32,
     };
 
+    /// Check an inventory holds every input
+    pub fn canAfford(self: *const ItemRecipe, inventory: *const resource.Inventory) bool {
+        for (self.inputs[0..self.input_count]) |input| {
+            if (!inventory.has(input.resource, input.amount)) return false;
+        }
+        return true;
+    }
+
     /// Determine quality based on skill
     pub fn determineQuality(self: *const ItemRecipe, skill: f32, rng: *math.Rng) Quality {
         _ = self;
@@ -327,6 +368,9 @@ pub const ITEM_RECIPES = [_]ItemRecipe{
     },
 };
 
+/// Maximum crafts in progress at once
+pub const MAX_ACTIVE_CRAFTS: usize = 64;
+
 /// Crafting manager
 pub const CraftingManager = struct {
     items: []CraftedItem,
@@ -351,7 +395,7 @@ pub const CraftingManager = struct {
             .count = 0,
             .capacity = capacity,
             .allocator = allocator,
-            .active_crafts = try allocator.alloc(ActiveCraft, 64),
+            .active_crafts = try allocator.alloc(ActiveCraft, MAX_ACTIVE_CRAFTS),
             .active_craft_count = 0,
         };
     }
@@ -361,6 +405,30 @@ pub const CraftingManager = struct {
         self.allocator.free(self.active_crafts);
     }
 
+    /// Write items and crafts in progress to a snapshot
+    pub fn save(self: *const CraftingManager, writer: *snapshot.Writer) !void {
+        try writer.writeInt(@intCast(self.count));
+        try writer.writeSlice(CraftedItem, self.items[0..self.count]);
+        try writer.writeInt(@intCast(self.active_craft_count));
+        try writer.writeSlice(ActiveCraft, self.active_crafts[0..self.active_craft_count]);
+    }
+
+    /// Restore items and crafts in progress from a snapshot
+    pub fn load(self: *CraftingManager, reader: *snapshot.Reader) !void {
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+        try reader.readSlice(CraftedItem, self.items[0..n]);
+        self.count = n;
+
+        const crafts: usize = try reader.readInt();
+        if (crafts > MAX_ACTIVE_CRAFTS) return error.InvalidData;
+        try reader.readSlice(ActiveCraft, self.active_crafts[0..crafts]);
+        for (self.active_crafts[0..crafts]) |craft| {
+            if (craft.recipe_index >= ITEM_RECIPES.len) return error.InvalidData;
+        }
+        self.active_craft_count = crafts;
+    }
+
     /// Start crafting an item
     pub fn startCraft(
         self: *CraftingManager,
@@ -370,17 +438,13 @@ pub const CraftingManager = struct {
         inventory: *resource.Inventory,
         rng: *math.Rng,
     ) !void {
-        if (self.active_craft_count >= 64) return error.TooManyCrafts;
+        if (self.active_craft_count >= MAX_ACTIVE_CRAFTS) return error.TooManyCrafts;
         if (recipe_index >= ITEM_RECIPES.len) return error.InvalidRecipe;
 
         const recipe = &ITEM_RECIPES[recipe_index];
 
         // Check and consume resources
-        for (recipe.inputs[0..recipe.input_count]) |input| {
-            if (!inventory.has(input.resource, input.amount)) {
-                return error.InsufficientResources;
-            }
-        }
+        if (!recipe.canAfford(inventory)) return error.InsufficientResources;
 
         for (recipe.inputs[0..recipe.input_count]) |input| {
             _ = inventory.remove(input.resource, input.amount);
@@ -432,6 +496,85 @@ pub const CraftingManager = struct {
         }
     }
 
+    /// Get the craft an organism has in progress
+    pub fn getCraftFor(self: *const CraftingManager, crafter_id: u32) ?*const ActiveCraft {
+        for (self.active_crafts[0..self.active_craft_count]) |*craft| {
+            if (craft.crafter_id == crafter_id) return craft;
+        }
+        return null;
+    }
+
+    /// Abandon an organism's crafts in progress (their materials are lost)
+    pub fn cancelCraftsFor(self: *CraftingManager, crafter_id: u32) void {
+        var i: usize = 0;
+        while (i < self.active_craft_count) {
+            if (self.active_crafts[i].crafter_id == crafter_id) {
+                self.active_crafts[i] = self.active_crafts[self.active_craft_count - 1];
+                self.active_craft_count -= 1;
+            } else {
+                i += 1;
+            }
+        }
+    }
+
+    /// Remove an item (the last item takes its index)
+    pub fn discardItem(self: *CraftingManager, item_idx: usize) void {
+        if (item_idx >= self.count) return;
+        self.items[item_idx] = self.items[self.count - 1];
+        self.count -= 1;
+    }
+
+    /// Find the item an owner has equipped in a slot
+    pub fn findEquipped(self: *const CraftingManager, owner_id: u32, slot: EquipSlot) ?usize {
+        for (self.items[0..self.count], 0..) |*item, idx| {
+            if (item.owner_id == owner_id and item.equipped and item.getSlot() == slot) return idx;
+        }
+        return null;
+    }
+
+    /// Equip an item, unequipping whatever its owner had in the same slot
+    pub fn equip(self: *CraftingManager, item_idx: usize) bool {
+        if (item_idx >= self.count) return false;
+        const item = &self.items[item_idx];
+        if (item.isBroken()) return false;
+
+        if (self.findEquipped(item.owner_id, item.getSlot())) |current| {
+            self.items[current].equipped = false;
+        }
+        item.equipped = true;
+        return true;
+    }
+
+    /// Take an item off
+    pub fn unequip(self: *CraftingManager, item_idx: usize) void {
+        if (item_idx >= self.count) return;
+        self.items[item_idx].equipped = false;
+    }
+
+    /// Equip an owner's spare items into any empty slots
+    pub fn autoEquip(self: *CraftingManager, owner_id: u32) void {
+        for (self.items[0..self.count], 0..) |*item, idx| {
+            if (item.owner_id != owner_id or item.equipped or item.isBroken()) continue;
+            if (self.findEquipped(owner_id, item.getSlot()) == null) {
+                _ = self.equip(idx);
+            }
+        }
+    }
+
+    /// Wear down the item an owner has equipped in a slot; broken items come off
+    pub fn wearEquipped(self: *CraftingManager, owner_id: u32, slot: EquipSlot, amount: f32) void {
+        const idx = self.findEquipped(owner_id, slot) orelse return;
+        const item = &self.items[idx];
+        item.use(amount);
+        if (item.isBroken()) item.equipped = false;
+    }
+
+    /// Get the gathering multiplier of an owner's equipped tool
+    pub fn getGatheringMultiplierForOwner(self: *const CraftingManager, owner_id: u32, gather_type: resource.ResourceType) f32 {
+        const idx = self.findEquipped(owner_id, .tool) orelse return 1.0;
+        return self.items[idx].getGatheringMultiplier(gather_type);
+    }
+
     /// Get items owned by an organism
     pub fn getItemsForOwner(self: *const CraftingManager, owner_id: u32, buffer: []u32) usize {
         var found: usize = 0;
@@ -508,3 +651,41 @@ test "CraftingManager workflow" {
     try std.testing.expectEqual(@as(usize, 1), mgr.count);
     try std.testing.expectEqual(@as(usize, 0), mgr.active_craft_count);
 }
+
+test "CraftingManager equips one item per slot" {
+    var mgr = try CraftingManager.init(std.testing.allocator, 10);
+    defer mgr.deinit();
+
+    const club = CraftedItem{
+        .item_type = .{ .weapon = .club },
+        .quality = .normal,
+        .durability = 10,
+        .max_durability = 10,
+        .owner_id = 7,
+        .equipped = false,
+    };
+    var spear = club;
+    spear.item_type = .{ .weapon = .spear };
+    var shield = club;
+    shield.item_type = .{ .weapon = .shield };
+
+    mgr.items[0] = club;
+    mgr.items[1] = spear;
+    mgr.items[2] = shield;
+    mgr.count = 3;
+
+    mgr.autoEquip(7);
+    try std.testing.expectEqual(@as(?usize, 0), mgr.findEquipped(7, .weapon));
+    try std.testing.expectEqual(@as(?usize, 2), mgr.findEquipped(7, .shield));
+    try std.testing.expectEqual(@as(u8, 0x16), mgr.items[2].getTypeCode());
+
+    // Swapping weapons takes the club off
+    try std.testing.expect(mgr.equip(1));
+    try std.testing.expect(!mgr.items[0].equipped);
+    try std.testing.expectApproxEqRel(@as(f32, 15.0), mgr.getDamageBonusForOwner(7), 0.01);
+
+    // A broken weapon comes off
+    mgr.wearEquipped(7, .weapon, 20);
+    try std.testing.expectEqual(@as(?usize, null), mgr.findEquipped(7, .weapon));
+    try std.testing.expectEqual(@as(f32, 0), mgr.getDamageBonusForOwner(7));
+}
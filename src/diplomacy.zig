@@ -14,6 +14,9 @@ pub const MAX_TRADES: usize = 16;
 /// Maximum wars tracked
 pub const MAX_WARS: usize = 8;
 
+/// End time of a treaty, war or trade offer that is still running
+pub const NOT_ENDED: f32 = -1.0;
+
 /// Diplomatic status between two tribes
 pub const DiplomaticStatus = enum(u8) {
     unknown = 0,      // Never met
@@ -36,6 +39,8 @@ pub const TreatyType = enum(u8) {
     marriage = 5,         // Royal marriage (stronger bond)
 };
 
+pub const TREATY_TYPE_COUNT: u8 = 6;
+
 /// War declaration reasons
 pub const WarReason = enum(u8) {
     conquest = 0,        // Want their territory
@@ -47,6 +52,16 @@ pub const WarReason = enum(u8) {
     honor = 6,           // Broken treaty
 };
 
+pub const WAR_REASON_COUNT: u8 = 7;
+
+/// How a trade offer was resolved
+pub const TradeOutcome = enum(u8) {
+    pending = 0,
+    accepted = 1,
+    declined = 2,
+    expired = 3,
+};
+
 /// Active treaty between tribes
 pub const Treaty = struct {
     active: bool,
@@ -55,6 +70,8 @@ pub const Treaty = struct {
     tribe_b: u32,
     start_time: f32,
     duration: f32,        // 0 = permanent until broken
+    ended_time: f32,      // NOT_ENDED while active
+    broken: bool,         // Ended early rather than running its course
     terms: TreatyTerms,
 
     pub const TreatyTerms = struct {
@@ -78,6 +95,8 @@ pub const Treaty = struct {
                 .border_agreement => 0.0,    // Permanent
                 .marriage => 0.0,            // Permanent
             },
+            .ended_time = NOT_ENDED,
+            .broken = false,
             .terms = .{
                 .resource_amount = 0,
                 .resource_type = 0,
@@ -101,6 +120,12 @@ pub const Treaty = struct {
         if (self.tribe_b == tribe_id) return self.tribe_a;
         return null;
     }
+
+    fn end(self: *Treaty, time: f32, broken: bool) void {
+        self.active = false;
+        self.ended_time = time;
+        self.broken = broken;
+    }
 };
 
 /// Active war between tribes
@@ -110,6 +135,7 @@ pub const War = struct {
     defender: u32,
     reason: WarReason,
     start_time: f32,
+    ended_time: f32, // NOT_ENDED while active
 
     // War score (-100 to +100, positive = attacker winning)
     war_score: i32,
@@ -129,6 +155,7 @@ pub const War = struct {
             .defender = defender,
             .reason = reason,
             .start_time = time,
+            .ended_time = NOT_ENDED,
             .war_score = 0,
             .attacker_casualties = 0,
             .defender_casualties = 0,
@@ -194,6 +221,8 @@ pub const TradeOffer = struct {
     // Timing
     created_time: f32,
     expires_time: f32,
+    ended_time: f32, // NOT_ENDED while pending
+    outcome: TradeOutcome,
 
     pub fn init(from: u32, to: u32, time: f32) TradeOffer {
         return .{
@@ -210,6 +239,8 @@ pub const TradeOffer = struct {
             .request_metal = 0,
             .created_time = time,
             .expires_time = time + 60.0, // 1 minute to accept
+            .ended_time = NOT_ENDED,
+            .outcome = .pending,
         };
     }
 
@@ -217,6 +248,12 @@ pub const TradeOffer = struct {
         return current_time > self.expires_time;
     }
 
+    fn resolve(self: *TradeOffer, outcome: TradeOutcome, time: f32) void {
+        self.active = false;
+        self.ended_time = time;
+        self.outcome = outcome;
+    }
+
     /// Calculate trade value ratio (1.0 = fair trade)
     pub fn getValueRatio(self: *const TradeOffer) f32 {
         const offer_value = self.offer_food + self.offer_wood * 1.5 +
@@ -247,6 +284,34 @@ pub const ReputationEvent = enum(u8) {
     tribute_missed = 13,     // -20 for missing tribute
 };
 
+/// Slot for a new treaty, war or trade: the next unused one, or once the
+/// table is full the entry that ended longest ago (history keeps the most recent)
+fn claimSlot(comptime T: type, slots: []T, count: *usize) ?usize {
+    if (count.* < slots.len) {
+        count.* += 1;
+        return count.* - 1;
+    }
+
+    var oldest: ?usize = null;
+    for (slots, 0..) |*slot, i| {
+        if (slot.active) continue;
+        if (oldest == null or slot.ended_time < slots[oldest.?].ended_time) oldest = i;
+    }
+    return oldest;
+}
+
+pub const MAX_PENDING_CHANGES: usize = 16;
+
+/// A change in relations awaiting the simulation's event log
+pub const RelationChange = struct {
+    pub const Kind = enum(u8) { first_contact, war_declared, war_ended, treaty_signed, treaty_broken, treaty_expired };
+
+    kind: Kind,
+    tribe_a: u32, // Attacker for wars
+    tribe_b: u32,
+    detail: u8, // WarReason or TreatyType
+};
+
 /// Diplomacy manager - handles all inter-tribe relations
 pub const DiplomacyManager = struct {
     // Treaties
@@ -274,6 +339,10 @@ pub const DiplomacyManager = struct {
     // Trade cooldowns (prevent spam)
     trade_cooldowns: [tribe.MAX_TRIBES][tribe.MAX_TRIBES]f32,
 
+    // Changes since the simulation last called takeChanges
+    pending_changes: [MAX_PENDING_CHANGES]RelationChange,
+    pending_change_count: usize,
+
     pub fn init() DiplomacyManager {
         var dm = DiplomacyManager{
             .treaties = undefined,
@@ -286,6 +355,8 @@ pub const DiplomacyManager = struct {
             .status = [_][tribe.MAX_TRIBES]DiplomaticStatus{[_]DiplomaticStatus{.unknown} ** tribe.MAX_TRIBES} ** tribe.MAX_TRIBES,
             .has_met = [_][tribe.MAX_TRIBES]bool{[_]bool{false} ** tribe.MAX_TRIBES} ** tribe.MAX_TRIBES,
             .trade_cooldowns = [_][tribe.MAX_TRIBES]f32{[_]f32{0} ** tribe.MAX_TRIBES} ** tribe.MAX_TRIBES,
+            .pending_changes = undefined,
+            .pending_change_count = 0,
         };
 
         // Self-relations are always max
@@ -306,11 +377,30 @@ pub const DiplomacyManager = struct {
 
         self.has_met[tribe_a][tribe_b] = true;
         self.has_met[tribe_b][tribe_a] = true;
+        self.noteChange(.first_contact, tribe_a, tribe_b, 0);
 
         // Initial reputation from first contact
         self.modifyReputation(tribe_a, tribe_b, 10);
     }
 
+    fn noteChange(self: *DiplomacyManager, kind: RelationChange.Kind, tribe_a: u32, tribe_b: u32, detail: u8) void {
+        if (self.pending_change_count >= MAX_PENDING_CHANGES) return;
+        self.pending_changes[self.pending_change_count] = .{ .kind = kind, .tribe_a = tribe_a, .tribe_b = tribe_b, .detail = detail };
+        self.pending_change_count += 1;
+    }
+
+    /// First contacts, wars and treaties since the last call
+    pub fn takeChanges(self: *DiplomacyManager) []const RelationChange {
+        const changes = self.pending_changes[0..self.pending_change_count];
+        self.pending_change_count = 0;
+        return changes;
+    }
+
+    fn endTreaty(self: *DiplomacyManager, t: *Treaty, time: f32, broken: bool) void {
+        t.end(time, broken);
+        self.noteChange(if (broken) .treaty_broken else .treaty_expired, t.tribe_a, t.tribe_b, @intFromEnum(t.treaty_type));
+    }
+
     /// Modify reputation between tribes
     pub fn modifyReputation(self: *DiplomacyManager, tribe_a: u32, tribe_b: u32, delta: i32) void {
         if (tribe_a >= tribe.MAX_TRIBES or tribe_b >= tribe.MAX_TRIBES) return;
@@ -329,6 +419,22 @@ pub const DiplomacyManager = struct {
         self.updateStatus(tribe_b, tribe_a);
     }
 
+    /// Make two tribes known to each other with the same reputation both ways (scenario setup)
+    pub fn setRelation(self: *DiplomacyManager, tribe_a: u32, tribe_b: u32, reputation: i32) void {
+        if (tribe_a >= tribe.MAX_TRIBES or tribe_b >= tribe.MAX_TRIBES) return;
+        if (tribe_a == tribe_b) return;
+
+        self.has_met[tribe_a][tribe_b] = true;
+        self.has_met[tribe_b][tribe_a] = true;
+
+        const rep: i8 = @intCast(std.math.clamp(reputation, -100, 100));
+        self.reputation[tribe_a][tribe_b] = rep;
+        self.reputation[tribe_b][tribe_a] = rep;
+
+        self.updateStatus(tribe_a, tribe_b);
+        self.updateStatus(tribe_b, tribe_a);
+    }
+
     /// Update diplomatic status based on reputation
     fn updateStatus(self: *DiplomacyManager, from: u32, to: u32) void {
         if (from >= tribe.MAX_TRIBES or to >= tribe.MAX_TRIBES) return;
@@ -388,16 +494,15 @@ pub const DiplomacyManager = struct {
 
     /// Create a new treaty
     pub fn createTreaty(self: *DiplomacyManager, treaty_type: TreatyType, tribe_a: u32, tribe_b: u32, time: f32) ?usize {
-        if (self.treaty_count >= MAX_TREATIES) return null;
         if (tribe_a >= tribe.MAX_TRIBES or tribe_b >= tribe.MAX_TRIBES) return null;
         if (tribe_a == tribe_b) return null;
 
         // Check if similar treaty already exists
         if (self.hasTreaty(tribe_a, tribe_b, treaty_type)) return null;
 
-        const idx = self.treaty_count;
+        const idx = claimSlot(Treaty, &self.treaties, &self.treaty_count) orelse return null;
         self.treaties[idx] = Treaty.init(treaty_type, tribe_a, tribe_b, time);
-        self.treaty_count += 1;
+        self.noteChange(.treaty_signed, tribe_a, tribe_b, @intFromEnum(treaty_type));
 
         // Reputation boost for signing
         self.modifyReputation(tribe_a, tribe_b, 15);
@@ -406,16 +511,17 @@ pub const DiplomacyManager = struct {
     }
 
     /// Break a treaty
-    pub fn breakTreaty(self: *DiplomacyManager, treaty_idx: usize) void {
+    pub fn breakTreaty(self: *DiplomacyManager, treaty_idx: usize, time: f32) void {
         if (treaty_idx >= self.treaty_count) return;
 
         const t = &self.treaties[treaty_idx];
         if (!t.active) return;
 
+        // End before the reputation update so the status no longer counts it
+        self.endTreaty(t, time, true);
+
         // Reputation penalty for breaking treaty
         self.modifyReputation(t.tribe_a, t.tribe_b, -30);
-
-        t.active = false;
     }
 
     /// Check if treaty exists
@@ -442,16 +548,15 @@ pub const DiplomacyManager = struct {
 
     /// Declare war
     pub fn declareWar(self: *DiplomacyManager, attacker: u32, defender: u32, reason: WarReason, time: f32) ?usize {
-        if (self.war_count >= MAX_WARS) return null;
         if (attacker >= tribe.MAX_TRIBES or defender >= tribe.MAX_TRIBES) return null;
         if (attacker == defender) return null;
 
         // Can't declare war if already at war
         if (self.isAtWar(attacker, defender)) return null;
 
-        const idx = self.war_count;
+        const idx = claimSlot(War, &self.wars, &self.war_count) orelse return null;
         self.wars[idx] = War.init(attacker, defender, reason, time);
-        self.war_count += 1;
+        self.noteChange(.war_declared, attacker, defender, @intFromEnum(reason));
 
         // Major reputation hit
         self.modifyReputation(attacker, defender, -40);
@@ -459,7 +564,7 @@ pub const DiplomacyManager = struct {
         // Break any treaties
         for (self.treaties[0..self.treaty_count]) |*t| {
             if (t.active and t.involves(attacker) and t.involves(defender)) {
-                t.active = false;
+                self.endTreaty(t, time, true);
             }
         }
 
@@ -467,16 +572,18 @@ pub const DiplomacyManager = struct {
     }
 
     /// End war with peace
-    pub fn endWar(self: *DiplomacyManager, war_idx: usize) void {
+    pub fn endWar(self: *DiplomacyManager, war_idx: usize, time: f32) void {
         if (war_idx >= self.war_count) return;
 
         const w = &self.wars[war_idx];
         if (!w.active) return;
 
+        w.active = false;
+        w.ended_time = time;
+        self.noteChange(.war_ended, w.attacker, w.defender, @intFromEnum(w.reason));
+
         // Slight reputation recovery for peace
         self.modifyReputation(w.attacker, w.defender, 10);
-
-        w.active = false;
     }
 
     /// Check if tribes are at war
@@ -513,22 +620,20 @@ pub const DiplomacyManager = struct {
 
     /// Create trade offer
     pub fn createTradeOffer(self: *DiplomacyManager, from: u32, to: u32, time: f32) ?*TradeOffer {
-        if (self.trade_count >= MAX_TRADES) return null;
         if (from >= tribe.MAX_TRIBES or to >= tribe.MAX_TRIBES) return null;
         if (from == to) return null;
 
         // Check cooldown
         if (self.trade_cooldowns[from][to] > 0) return null;
 
-        const idx = self.trade_count;
+        const idx = claimSlot(TradeOffer, &self.trades, &self.trade_count) orelse return null;
         self.trades[idx] = TradeOffer.init(from, to, time);
-        self.trade_count += 1;
 
         return &self.trades[idx];
     }
 
     /// Accept trade offer (returns true if successful)
-    pub fn acceptTrade(self: *DiplomacyManager, trade_idx: usize, tribes_mgr: *tribe.Tribes) bool {
+    pub fn acceptTrade(self: *DiplomacyManager, trade_idx: usize, tribes_mgr: *tribe.Tribes, time: f32) bool {
         if (trade_idx >= self.trade_count) return false;
 
         const t = &self.trades[trade_idx];
@@ -579,14 +684,15 @@ pub const DiplomacyManager = struct {
         // Set cooldown
         self.trade_cooldowns[t.from_tribe][t.to_tribe] = 30.0;
 
-        t.active = false;
+        t.resolve(.accepted, time);
         return true;
     }
 
     /// Decline trade offer
-    pub fn declineTrade(self: *DiplomacyManager, trade_idx: usize) void {
+    pub fn declineTrade(self: *DiplomacyManager, trade_idx: usize, time: f32) void {
         if (trade_idx >= self.trade_count) return;
-        self.trades[trade_idx].active = false;
+        if (!self.trades[trade_idx].active) return;
+        self.trades[trade_idx].resolve(.declined, time);
     }
 
     // === Update ===
@@ -605,21 +711,21 @@ pub const DiplomacyManager = struct {
         // Expire treaties
         for (self.treaties[0..self.treaty_count]) |*t| {
             if (t.active and t.isExpired(current_time)) {
-                t.active = false;
+                self.endTreaty(t, current_time, false);
             }
         }
 
         // Expire trade offers
         for (self.trades[0..self.trade_count]) |*t| {
             if (t.active and t.isExpired(current_time)) {
-                t.active = false;
+                t.resolve(.expired, current_time);
             }
         }
 
         // Check for war endings
         for (self.wars[0..self.war_count], 0..) |*w, idx| {
             if (w.active and w.shouldEnd()) {
-                self.endWar(idx);
+                self.endWar(idx, current_time);
             }
         }
 
@@ -735,6 +841,19 @@ test "Diplomacy reputation system" {
     try std.testing.expect(dm.getReputation(0, 1) > 50);
 }
 
+test "Diplomacy relations set by a scenario" {
+    var dm = DiplomacyManager.init();
+
+    dm.setRelation(0, 1, -60);
+    try std.testing.expect(dm.haveMet(0, 1));
+    try std.testing.expectEqual(@as(i8, -60), dm.getReputation(1, 0));
+    try std.testing.expectEqual(DiplomaticStatus.hostile, dm.getStatus(0, 1));
+
+    dm.setRelation(0, 1, 500);
+    try std.testing.expectEqual(@as(i8, 100), dm.getReputation(0, 1));
+    try std.testing.expectEqual(DiplomaticStatus.allied, dm.getStatus(1, 0));
+}
+
 test "Diplomacy treaties" {
     var dm = DiplomacyManager.init();
 
@@ -744,8 +863,10 @@ test "Diplomacy treaties" {
     try std.testing.expect(dm.hasTreaty(0, 1, .non_aggression));
 
     // Break treaty
-    dm.breakTreaty(idx.?);
+    dm.breakTreaty(idx.?, 5.0);
     try std.testing.expect(!dm.hasTreaty(0, 1, .non_aggression));
+    try std.testing.expect(dm.treaties[idx.?].broken);
+    try std.testing.expectEqual(@as(f32, 5.0), dm.treaties[idx.?].ended_time);
 }
 
 test "Diplomacy wars" {
@@ -764,6 +885,34 @@ test "Diplomacy wars" {
     }
 
     // End war
-    dm.endWar(idx.?);
+    dm.endWar(idx.?, 10.0);
     try std.testing.expect(!dm.isAtWar(0, 1));
+    try std.testing.expectEqual(@as(f32, 10.0), dm.wars[idx.?].ended_time);
+
+    const changes = dm.takeChanges();
+    try std.testing.expectEqual(@as(usize, 2), changes.len);
+    try std.testing.expectEqual(RelationChange.Kind.war_declared, changes[0].kind);
+    try std.testing.expectEqual(RelationChange.Kind.war_ended, changes[1].kind);
+    try std.testing.expectEqual(@as(usize, 0), dm.takeChanges().len);
+}
+
+test "Diplomacy reuses the oldest ended slot once full" {
+    var dm = DiplomacyManager.init();
+
+    // Fill the war table with ended wars
+    for (0..MAX_WARS) |i| {
+        const idx = dm.declareWar(0, 1, .conquest, @floatFromInt(i)).?;
+        dm.endWar(idx, @floatFromInt(100 - i));
+    }
+
+    // The war that ended first (the last declared) makes room for the next one
+    const idx = dm.declareWar(1, 2, .revenge, 200.0);
+    try std.testing.expectEqual(@as(?usize, MAX_WARS - 1), idx);
+    try std.testing.expectEqual(MAX_WARS, dm.war_count);
+    try std.testing.expect(dm.isAtWar(1, 2));
+
+    // Trades record how they were resolved
+    _ = dm.createTradeOffer(0, 1, 0.0).?;
+    dm.update(0.1, 61.0);
+    try std.testing.expectEqual(TradeOutcome.expired, dm.trades[0].outcome);
 }
@@ -3,6 +3,7 @@
 
 const std = @import("std");
 const math = @import("math.zig");
+const snapshot = @import("snapshot.zig");
 
 /// Equipment types
 pub const EquipmentType = enum(u8) {
@@ -140,6 +141,20 @@ pub const EquipmentManager = struct {
         self.allocator.free(self.equipment);
     }
 
+    /// Write equipment slots to a snapshot
+    pub fn save(self: *const EquipmentManager, writer: *snapshot.Writer) !void {
+        try writer.writeInt(@intCast(self.count));
+        try writer.writeSlice(Equipment, self.equipment[0..self.count]);
+    }
+
+    /// Restore equipment from a snapshot
+    pub fn load(self: *EquipmentManager, reader: *snapshot.Reader) !void {
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+        try reader.readSlice(Equipment, self.equipment[0..n]);
+        self.count = n;
+    }
+
     /// Craft new equipment
     pub fn craft(self: *EquipmentManager, equipment_type: EquipmentType) !u32 {
         if (self.count >= self.capacity) return error.OutOfCapacity;
@@ -0,0 +1,123 @@
+// Simulation event log - notable moments of each tick, held in a ring buffer until JS drains it
+// Births, deaths, fights, construction, diplomacy, discoveries and outbreaks, each with where and who
+
+const std = @import("std");
+
+/// Id or tribe slot of an event that doesn't involve one
+pub const NONE: u32 = 0xFFFFFFFF;
+
+/// Organism type slot of an event that doesn't involve an organism
+pub const NO_TYPE: u8 = 255;
+
+/// Events kept between drains; the oldest are overwritten when nobody drains (headless runs)
+pub const LOG_CAPACITY: usize = 256;
+
+pub const EventKind = enum(u8) {
+    birth = 0, // subject: child, other: parent, detail: second parent (NONE for single-parent births)
+    death = 1, // subject: organism, detail: DeathCause
+    attack = 2, // subject: attacker, other: target, detail: 1 for a predator's hunt, 0 for a fight
+    building_complete = 3, // subject: building, detail: BuildingType
+    first_contact = 4, // tribe meets other_tribe
+    war_declared = 5, // tribe (attacker) on other_tribe (defender), detail: WarReason
+    war_ended = 6, // tribe (attacker) and other_tribe (defender) made peace
+    treaty_signed = 7, // detail: TreatyType
+    treaty_broken = 8, // detail: TreatyType
+    treaty_expired = 9, // detail: TreatyType
+    tech_discovered = 10, // detail: Technology
+    disease_outbreak = 11, // subject: first victim (NONE for area outbreaks), detail: Disease
+};
+
+pub const EVENT_KIND_COUNT: usize = 12;
+
+pub const SimEvent = struct {
+    kind: EventKind,
+    organism_type: u8, // OrganismType of subject (NO_TYPE if it isn't an organism)
+    other_type: u8, // OrganismType of other
+    subject: u32,
+    other: u32,
+    tribe: u32,
+    other_tribe: u32,
+    detail: u32,
+    x: f32,
+    z: f32,
+    time: f32,
+
+    /// An event with every optional slot empty
+    pub fn init(kind: EventKind, x: f32, z: f32, time: f32) SimEvent {
+        return .{
+            .kind = kind,
+            .organism_type = NO_TYPE,
+            .other_type = NO_TYPE,
+            .subject = NONE,
+            .other = NONE,
+            .tribe = NONE,
+            .other_tribe = NONE,
+            .detail = 0,
+            .x = x,
+            .z = z,
+            .time = time,
+        };
+    }
+};
+
+pub const EventLog = struct {
+    events: [LOG_CAPACITY]SimEvent,
+    start: usize, // Oldest pending event
+    len: usize,
+    dropped: u64, // Overwritten before a drain
+
+    pub fn init() EventLog {
+        return .{
+            .events = undefined,
+            .start = 0,
+            .len = 0,
+            .dropped = 0,
+        };
+    }
+
+    pub fn push(self: *EventLog, event: SimEvent) void {
+        if (self.len == LOG_CAPACITY) {
+            self.start = (self.start + 1) % LOG_CAPACITY;
+            self.len -= 1;
+            self.dropped += 1;
+        }
+        self.events[(self.start + self.len) % LOG_CAPACITY] = event;
+        self.len += 1;
+    }
+
+    /// Move pending events into `out`, oldest first
+    /// Returns: how many were moved (any that don't fit stay pending)
+    pub fn drain(self: *EventLog, out: []SimEvent) usize {
+        const n = @min(self.len, out.len);
+        for (out[0..n], 0..) |*slot, i| {
+            slot.* = self.events[(self.start + i) % LOG_CAPACITY];
+        }
+        self.start = (self.start + n) % LOG_CAPACITY;
+        self.len -= n;
+        return n;
+    }
+
+    pub fn clear(self: *EventLog) void {
+        self.start = 0;
+        self.len = 0;
+    }
+};
+
+// Tests
+test "Event log drains oldest first and overwrites when full" {
+    var log = EventLog.init();
+    var out: [LOG_CAPACITY]SimEvent = undefined;
+
+    log.push(SimEvent.init(.birth, 0, 0, 1));
+    log.push(SimEvent.init(.death, 0, 0, 2));
+    try std.testing.expectEqual(@as(usize, 2), log.drain(&out));
+    try std.testing.expectEqual(EventKind.birth, out[0].kind);
+    try std.testing.expectEqual(@as(usize, 0), log.drain(&out));
+
+    for (0..LOG_CAPACITY + 3) |i| {
+        log.push(SimEvent.init(.attack, 0, 0, @floatFromInt(i)));
+    }
+    try std.testing.expectEqual(@as(u64, 3), log.dropped);
+    try std.testing.expectEqual(LOG_CAPACITY, log.drain(&out));
+    try std.testing.expectEqual(@as(f32, 3), out[0].time);
+}
@@ -0,0 +1,191 @@
+// Gene Bank - keeps the brains of the best organisms after they die
+// Champions are ranked separately by lifespan, offspring and kills so
+// evolved behaviour can be exported or seeded into new spawns
+
+const std = @import("std");
+const math = @import("math.zig");
+const nn = @import("neural_network.zig");
+const snapshot = @import("snapshot.zig");
+
+/// Champions kept per ranking
+pub const SLOTS_PER_METRIC: usize = 5;
+
+/// What a champion is ranked by
+pub const Metric = enum(u8) {
+    lifespan = 0,
+    offspring = 1,
+    kills = 2,
+};
+
+pub const METRIC_COUNT: usize = 3;
+
+/// A banked brain and the record that earned its place
+pub const Champion = struct {
+    used: bool,
+    org_type: u8,
+    source_id: u32, // Organism id the brain came from
+    tribe_id: u32,
+    lifespan: f32,
+    offspring: u32,
+    kills: u32,
+    banked_frame: u64,
+    weights: [nn.BRAIN_PARAMETER_COUNT]f32, // Flat layout from NeuralNetwork.writeFlat
+
+    pub fn empty() Champion {
+        return .{
+            .used = false,
+            .org_type = 0,
+            .source_id = 0,
+            .tribe_id = 0,
+            .lifespan = 0,
+            .offspring = 0,
+            .kills = 0,
+            .banked_frame = 0,
+            .weights = [_]f32{0} ** nn.BRAIN_PARAMETER_COUNT,
+        };
+    }
+
+    pub fn score(self: *const Champion, metric: Metric) f32 {
+        return switch (metric) {
+            .lifespan => self.lifespan,
+            .offspring => @floatFromInt(self.offspring),
+            .kills => @floatFromInt(self.kills),
+        };
+    }
+};
+
+/// Record of an organism that just died, offered to the bank
+pub const Candidate = struct {
+    org_type: u8,
+    source_id: u32,
+    tribe_id: u32,
+    lifespan: f32,
+    offspring: u32,
+    kills: u32,
+};
+
+/// Top performers per metric, best first
+/// Champions live on the heap - each carries a full brain, too large for the simulation struct
+pub const GeneBank = struct {
+    champions: []Champion, // METRIC_COUNT rankings of SLOTS_PER_METRIC
+    total_banked: u32,
+    allocator: std.mem.Allocator,
+
+    pub fn init(allocator: std.mem.Allocator) !GeneBank {
+        const champions = try allocator.alloc(Champion, METRIC_COUNT * SLOTS_PER_METRIC);
+        for (champions) |*slot| slot.* = Champion.empty();
+
+        return .{
+            .champions = champions,
+            .total_banked = 0,
+            .allocator = allocator,
+        };
+    }
+
+    pub fn deinit(self: *GeneBank) void {
+        self.allocator.free(self.champions);
+    }
+
+    fn ranking(self: *const GeneBank, metric: Metric) []Champion {
+        return self.champions[@as(usize, @intFromEnum(metric)) * SLOTS_PER_METRIC ..][0..SLOTS_PER_METRIC];
+    }
+
+    /// Offer a dead organism's brain to every ranking; returns true if it placed anywhere
+    pub fn consider(self: *GeneBank, candidate: Candidate, brain: *const nn.NeuralNetwork, frame: u64) bool {
+        if (brain.getTotalWeights() != nn.BRAIN_PARAMETER_COUNT) return false;
+
+        var placed = false;
+        for (0..METRIC_COUNT) |m| {
+            const metric: Metric = @enumFromInt(m);
+            const slots = self.ranking(metric);
+
+            var entry = Champion{
+                .used = true,
+                .org_type = candidate.org_type,
+                .source_id = candidate.source_id,
+                .tribe_id = candidate.tribe_id,
+                .lifespan = candidate.lifespan,
+                .offspring = candidate.offspring,
+                .kills = candidate.kills,
+                .banked_frame = frame,
+                .weights = undefined,
+            };
+
+            // A champion with nothing to show for the metric is not worth a slot
+            if (entry.score(metric) <= 0) continue;
+
+            const rank = for (slots, 0..) |*slot, i| {
+                if (!slot.used or entry.score(metric) > slot.score(metric)) break i;
+            } else continue;
+
+            brain.writeFlat(&entry.weights);
+
+            // Shift lower ranks down and drop the last
+            var i = SLOTS_PER_METRIC - 1;
+            while (i > rank) : (i -= 1) {
+                slots[i] = slots[i - 1];
+            }
+            slots[rank] = entry;
+            placed = true;
+        }
+
+        if (placed) self.total_banked += 1;
+        return placed;
+    }
+
+    /// Get a champion by ranking and position (0 = best)
+    pub fn get(self: *const GeneBank, metric: Metric, rank: usize) ?*const Champion {
+        if (rank >= SLOTS_PER_METRIC) return null;
+        const champion = &self.ranking(metric)[rank];
+        return if (champion.used) champion else null;
+    }
+
+    /// Number of filled slots in a ranking
+    pub fn count(self: *const GeneBank, metric: Metric) usize {
+        var n: usize = 0;
+        for (self.ranking(metric)) |slot| {
+            if (slot.used) n += 1;
+        }
+        return n;
+    }
+
+    /// Write all champion slots to a snapshot
+    pub fn save(self: *const GeneBank, writer: *snapshot.Writer) !void {
+        try writer.writeInt(self.total_banked);
+        try writer.writeSlice(Champion, self.champions);
+    }
+
+    /// Restore champion slots from a snapshot
+    pub fn load(self: *GeneBank, reader: *snapshot.Reader) !void {
+        self.total_banked = try reader.readInt();
+        try reader.readSlice(Champion, self.champions);
+    }
+};
+
+// Tests
+test "GeneBank ranks champions per metric" {
+    var rng = math.Rng.init(42);
+    var brain = try nn.NeuralNetwork.init(std.testing.allocator, nn.BRAIN_INPUTS, nn.BRAIN_HIDDEN, nn.BRAIN_OUTPUTS, &rng);
+    defer brain.deinit();
+
+    var bank = try GeneBank.init(std.testing.allocator);
+    defer bank.deinit();
+
+    const elder = Candidate{ .org_type = 1, .source_id = 3, .tribe_id = 0, .lifespan = 120, .offspring = 0, .kills = 0 };
+    const hunter = Candidate{ .org_type = 2, .source_id = 7, .tribe_id = 0, .lifespan = 40, .offspring = 1, .kills = 4 };
+
+    try std.testing.expect(bank.consider(elder, &brain, 10));
+    try std.testing.expect(bank.consider(hunter, &brain, 20));
+
+    try std.testing.expectEqual(@as(u32, 3), bank.get(.lifespan, 0).?.source_id);
+    try std.testing.expectEqual(@as(u32, 7), bank.get(.lifespan, 1).?.source_id);
+    try std.testing.expectEqual(@as(u32, 7), bank.get(.kills, 0).?.source_id);
+    try std.testing.expectEqual(@as(usize, 1), bank.count(.offspring));
+    try std.testing.expectEqual(@as(usize, 1), bank.count(.kills));
+
+    // Banked weights restore the same network
+    var restored = try nn.NeuralNetwork.init(std.testing.allocator, nn.BRAIN_INPUTS, nn.BRAIN_HIDDEN, nn.BRAIN_OUTPUTS, &rng);
+    defer restored.deinit();
+    try restored.readFlat(&bank.get(.kills, 0).?.weights);
+    try std.testing.expectEqualSlices(f32, brain.weights_ho, restored.weights_ho);
+}
@@ -0,0 +1,140 @@
+// Lineage tracking - parent/child relationships for every organism
+// Indexed by organism id (ids are stable), Structure of Arrays so JS can read it zero-copy
+
+const std = @import("std");
+const snapshot = @import("snapshot.zig");
+
+/// Parent slot value for founders and single-parent births
+pub const NO_PARENT: u32 = 0xFFFFFFFF;
+
+/// Death time of an organism that is still alive
+pub const STILL_ALIVE: f32 = -1.0;
+
+pub const Lineage = struct {
+    parents_a: []u32, // Primary parent (whose position and tribe the child inherits)
+    parents_b: []u32, // Mate, NO_PARENT for single-parent births
+    generations: []u32, // 0 for founders, else one more than the older parent line
+    mutations: []f32, // Mean absolute weight change from the inherited brain
+    birth_times: []f32,
+    death_times: []f32,
+
+    count: usize,
+    capacity: usize,
+    allocator: std.mem.Allocator,
+
+    pub fn init(allocator: std.mem.Allocator, capacity: usize) !Lineage {
+        return .{
+            .parents_a = try allocator.alloc(u32, capacity),
+            .parents_b = try allocator.alloc(u32, capacity),
+            .generations = try allocator.alloc(u32, capacity),
+            .mutations = try allocator.alloc(f32, capacity),
+            .birth_times = try allocator.alloc(f32, capacity),
+            .death_times = try allocator.alloc(f32, capacity),
+            .count = 0,
+            .capacity = capacity,
+            .allocator = allocator,
+        };
+    }
+
+    pub fn deinit(self: *Lineage) void {
+        self.allocator.free(self.parents_a);
+        self.allocator.free(self.parents_b);
+        self.allocator.free(self.generations);
+        self.allocator.free(self.mutations);
+        self.allocator.free(self.birth_times);
+        self.allocator.free(self.death_times);
+    }
+
+    /// Record an organism with no parents (initial spawns, god powers, imported brains)
+    pub fn recordFounder(self: *Lineage, id: u32, time: f32) void {
+        if (id >= self.capacity) return;
+        self.parents_a[id] = NO_PARENT;
+        self.parents_b[id] = NO_PARENT;
+        self.generations[id] = 0;
+        self.mutations[id] = 0;
+        self.birth_times[id] = time;
+        self.death_times[id] = STILL_ALIVE;
+        self.count = @max(self.count, @as(usize, id) + 1);
+    }
+
+    /// Record a birth (parent_b may be NO_PARENT)
+    pub fn recordBirth(self: *Lineage, id: u32, parent_a: u32, parent_b: u32, mutation: f32, time: f32) void {
+        self.recordFounder(id, time);
+        if (id >= self.capacity) return;
+
+        var generation: u32 = 0;
+        for ([_]u32{ parent_a, parent_b }) |parent| {
+            if (parent < self.count) generation = @max(generation, self.generations[parent] + 1);
+        }
+
+        self.parents_a[id] = parent_a;
+        self.parents_b[id] = parent_b;
+        self.generations[id] = generation;
+        self.mutations[id] = mutation;
+    }
+
+    /// Stamp the death time of organisms that died since the last call
+    pub fn recordDeaths(self: *Lineage, alive: []const bool, time: f32) void {
+        const n = @min(self.count, alive.len);
+        for (0..n) |i| {
+            if (!alive[i] and self.death_times[i] == STILL_ALIVE) {
+                self.death_times[i] = time;
+            }
+        }
+    }
+
+    /// Number of organisms with the given parent
+    pub fn countChildren(self: *const Lineage, id: u32) u32 {
+        var n: u32 = 0;
+        for (self.parents_a[0..self.count], self.parents_b[0..self.count]) |a, b| {
+            if (a == id or b == id) n += 1;
+        }
+        return n;
+    }
+
+    /// Write the lineage arrays to a snapshot
+    pub fn save(self: *const Lineage, writer: *snapshot.Writer) !void {
+        const n = self.count;
+        try writer.writeInt(@intCast(n));
+        try writer.writeSlice(u32, self.parents_a[0..n]);
+        try writer.writeSlice(u32, self.parents_b[0..n]);
+        try writer.writeSlice(u32, self.generations[0..n]);
+        try writer.writeSlice(f32, self.mutations[0..n]);
+        try writer.writeSlice(f32, self.birth_times[0..n]);
+        try writer.writeSlice(f32, self.death_times[0..n]);
+    }
+
+    /// Restore lineage arrays from a snapshot
+    pub fn load(self: *Lineage, reader: *snapshot.Reader) !void {
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+        try reader.readSlice(u32, self.parents_a[0..n]);
+        try reader.readSlice(u32, self.parents_b[0..n]);
+        try reader.readSlice(u32, self.generations[0..n]);
+        try reader.readSlice(f32, self.mutations[0..n]);
+        try reader.readSlice(f32, self.birth_times[0..n]);
+        try reader.readSlice(f32, self.death_times[0..n]);
+        self.count = n;
+    }
+};
+
+// Tests
+test "Lineage generations and deaths" {
+    var lineage = try Lineage.init(std.testing.allocator, 10);
+    defer lineage.deinit();
+
+    lineage.recordFounder(0, 0);
+    lineage.recordFounder(1, 0);
+    lineage.recordBirth(2, 0, 1, 0.05, 10);
+    lineage.recordBirth(3, 2, NO_PARENT, 0.02, 20);
+
+    try std.testing.expectEqual(@as(u32, 1), lineage.generations[2]);
+    try std.testing.expectEqual(@as(u32, 2), lineage.generations[3]);
+    try std.testing.expectEqual(@as(u32, 1), lineage.countChildren(0));
+    try std.testing.expectEqual(@as(u32, 1), lineage.countChildren(2));
+
+    const alive = [_]bool{ false, true, true, true };
+    lineage.recordDeaths(&alive, 30);
+    try std.testing.expectEqual(@as(f32, 30), lineage.death_times[0]);
+    try std.testing.expectEqual(STILL_ALIVE, lineage.death_times[1]);
+}
@@ -1,13 +1,13 @@
 // Main WASM module with exports for JavaScript
 // This is the entry point for the WebAssembly module
-// Version: 11 - AAA Strategic Systems (Diplomacy, Tech, Seasons, Territory, Population)
+// Version: 31 - Species-aware animals
 
 const std = @import("std");
 
 // Version export to verify WASM is updated
-// Version: 11 - AAA Strategic Systems
+// Version: 31 - Species-aware animals
 export fn getVersion() u32 {
-    return 11;
+    return 31;
 }
 
 const tribe = @import("tribe.zig");
@@ -23,32 +23,65 @@ export fn getMaxTribes() u32 {
 const math = @import("math.zig");
 const simulation = @import("simulation.zig");
 const organism = @import("organism.zig");
+const snapshot = @import("snapshot.zig");
+const building = @import("building.zig");
+const nn = @import("neural_network.zig");
+const gene_bank = @import("gene_bank.zig");
+const diplomacy = @import("diplomacy.zig");
+const message = @import("message.zig");
+const crafting = @import("crafting.zig");
+const population = @import("population.zig");
+const resource = @import("resource.zig");
+const event_log = @import("event_log.zig");
+const terrain = @import("terrain.zig");
+const species = @import("species.zig");
 
 // Global simulation instance - stored directly, not as pointer
 var global_sim: simulation.Simulation = undefined;
 var sim_initialized: bool = false;
 
-// Static memory buffer for allocations (2MB, uninitialized to avoid large data section)
-var memory_buffer: [2 * 1024 * 1024]u8 = undefined;
-var fba: std.heap.FixedBufferAllocator = undefined;
+// Static memory buffers for allocations (2MB each, uninitialized to avoid large data section)
+// The world lives in one; a loaded snapshot is decoded into the other and only then swapped in
+var memory_buffers: [2][2 * 1024 * 1024]u8 = undefined;
+var heaps: [2]std.heap.FixedBufferAllocator = undefined;
+var active_heap: usize = 0;
+
+// World a snapshot is decoded into before it replaces global_sim
+var loading_sim: simulation.Simulation = undefined;
+
+// Added to the world's own terrain revision (which is saved with it) when reporting it to JS
+var terrain_revision_offset: u32 = 0;
 
 fn getAllocator() std.mem.Allocator {
-    return fba.allocator();
+    return heaps[active_heap].allocator();
 }
 
 /// Initialize the simulation
 export fn init(max_organisms: u32, seed: u32) bool {
+    const revision = nextTerrainRevision();
+
     // Initialize allocator
-    fba = std.heap.FixedBufferAllocator.init(&memory_buffer);
-    const allocator = fba.allocator();
+    heaps[active_heap] = std.heap.FixedBufferAllocator.init(&memory_buffers[active_heap]);
+    const allocator = heaps[active_heap].allocator();
 
     // Initialize full simulation
-    global_sim = simulation.Simulation.init(allocator, seed, max_organisms) catch return false;
+    sim_initialized = false;
+    global_sim.init(allocator, seed, max_organisms) catch return false;
+    terrain_revision_offset = revision -% global_sim.terrain.revision;
     sim_initialized = true;
 
     return true;
 }
 
+/// Terrain revision for a world about to replace the current one - keeps counting up so
+/// the renderer rebuilds the planet even when the new world starts at the same revision
+fn nextTerrainRevision() u32 {
+    if (sim_initialized) {
+        return getTerrainRevision() +% 1;
+    }
+    return 0;
+}
+
 /// Update simulation by delta time
 export fn update(delta: f32) void {
     if (sim_initialized) {
@@ -67,6 +100,28 @@ export fn spawnOrganism(org_type: u8, x: f32, y: f32, z: f32, tribe_id: u32) u32
     return 0xFFFFFFFF;
 }
 
+/// Spawn an animal of a specific species (see species.zig for the ids)
+export fn spawnSpecies(species_id: u8, x: f32, y: f32, z: f32, tribe_id: u32) u32 {
+    if (sim_initialized and species_id < species.SPECIES_COUNT) {
+        const pos = math.Vec3.init(x, y, z);
+        return global_sim.spawnSpecies(@enumFromInt(species_id), pos, tribe_id) catch 0xFFFFFFFF;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get number of animal species
+export fn getSpeciesCount() u32 {
+    return @intCast(species.SPECIES_COUNT);
+}
+
+/// Get how many living animals belong to a species
+export fn getSpeciesPopulation(species_id: u8) u32 {
+    if (sim_initialized and species_id < species.SPECIES_COUNT) {
+        return global_sim.countSpecies()[species_id];
+    }
+    return 0;
+}
+
 /// Create a new tribe
 export fn createTribe() u32 {
     if (sim_initialized) {
@@ -157,6 +212,14 @@ export fn getTypes() [*]u8 {
     return undefined;
 }
 
+/// Get pointer to species array (255 for plants and humanoids)
+export fn getSpeciesIds() [*]u8 {
+    if (sim_initialized) {
+        return global_sim.organisms.species.ptr;
+    }
+    return undefined;
+}
+
 /// Get pointer to energies array
 export fn getEnergies() [*]f32 {
     if (sim_initialized) {
@@ -389,6 +452,237 @@ export fn getBuildingHealth(building_id: u32) f32 {
     return 0;
 }
 
+/// Get building max health
+export fn getBuildingMaxHealth(building_id: u32) f32 {
+    if (sim_initialized) {
+        if (global_sim.buildings.get(building_id)) |b| {
+            return b.max_health;
+        }
+    }
+    return 0;
+}
+
+/// Get building construction progress (0-100)
+export fn getBuildingProgress(building_id: u32) f32 {
+    if (sim_initialized) {
+        if (global_sim.buildings.get(building_id)) |b| {
+            return @min(b.construction_progress, 100.0);
+        }
+    }
+    return 0;
+}
+
+/// Get owning tribe of a building
+export fn getBuildingTribeId(building_id: u32) u32 {
+    if (sim_initialized) {
+        if (global_sim.buildings.get(building_id)) |b| {
+            return b.tribe_id;
+        }
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Check if a building is still standing
+export fn isBuildingActive(building_id: u32) bool {
+    if (sim_initialized) {
+        if (global_sim.buildings.get(building_id)) |b| {
+            return b.active;
+        }
+    }
+    return false;
+}
+
+/// Get the cost of a building type (resource: 0=food, 1=wood, 2=stone, 3=metal)
+export fn getBuildingCost(building_type: u8, resource_type: u8) f32 {
+    if (building_type >= building.BUILDING_TYPE_COUNT) return 0;
+    const cost = building.Building.getBuildCost(@enumFromInt(building_type));
+    return switch (resource_type) {
+        0 => cost.food,
+        1 => cost.wood,
+        2 => cost.stone,
+        3 => cost.metal,
+        else => 0,
+    };
+}
+
+/// Place a building for a tribe, paying its cost (returns building ID or 0xFFFFFFFF)
+export fn placeBuilding(building_type: u8, tribe_id: u32, x: f32, z: f32) u32 {
+    if (sim_initialized) {
+        if (building_type >= building.BUILDING_TYPE_COUNT) return 0xFFFFFFFF;
+        return global_sim.placeBuilding(@enumFromInt(building_type), tribe_id, x, z) catch 0xFFFFFFFF;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Place a finished building at no cost, skipping tier and terrain requirements (scenario setup)
+/// Returns: building id, or 0xFFFFFFFF if the tribe is unknown or the spot is taken
+export fn placeCompletedBuilding(building_type: u8, tribe_id: u32, x: f32, z: f32) u32 {
+    if (sim_initialized) {
+        if (building_type >= building.BUILDING_TYPE_COUNT) return 0xFFFFFFFF;
+        return global_sim.placeCompletedBuilding(@enumFromInt(building_type), tribe_id, x, z) catch 0xFFFFFFFF;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get number of building types
+export fn getBuildingTypeCount() u32 {
+    return @intCast(building.BUILDING_TYPE_COUNT);
+}
+
+/// Get the tier of a building type (tier N needs technology era N-1)
+export fn getBuildingTier(building_type: u8) u32 {
+    if (building_type >= building.BUILDING_TYPE_COUNT) return 0;
+    return building.getDef(@enumFromInt(building_type)).tier;
+}
+
+/// Check why a tribe cannot place a building at (x, z)
+/// 0=ok, 1=tier locked, 2=missing building, 3=population too low, 4=wrong terrain,
+/// 5=insufficient resources, 6=too close, 7=no capacity, 8=invalid
+export fn getBuildBlocker(building_type: u8, tribe_id: u32, x: f32, z: f32) u32 {
+    if (sim_initialized) {
+        if (building_type >= building.BUILDING_TYPE_COUNT) return 8;
+        const building_enum: building.BuildingType = @enumFromInt(building_type);
+
+        global_sim.checkBuildingRequirements(building_enum, tribe_id, x, z) catch |err| return switch (err) {
+            error.TierLocked => 1,
+            error.MissingBuilding => 2,
+            error.PopulationTooLow => 3,
+            error.WrongTerrain => 4,
+            else => 8,
+        };
+
+        const t = global_sim.tribes.getTribeConst(tribe_id) orelse return 8;
+        const cost = building.Building.getBuildCost(building_enum);
+        if (!t.hasResources(cost.food, cost.wood, cost.stone, cost.metal)) return 5;
+        if (!global_sim.buildings.canBuildAt(math.Vec3.init(x, 0, z))) return 6;
+        if (global_sim.buildings.count >= global_sim.buildings.capacity) return 7;
+        return 0;
+    }
+    return 8;
+}
+
+/// Get a tribe's housing capacity (members it can grow to)
+export fn getTribeHousing(tribe_id: u32) u32 {
+    if (sim_initialized) {
+        return @min(global_sim.buildings.getEffects(tribe_id).housing, tribe.MAX_MEMBERS_PER_TRIBE);
+    }
+    return 0;
+}
+
+/// Get a tribe's food storage limit
+export fn getTribeFoodStorage(tribe_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.buildings.getEffects(tribe_id).food_storage;
+    }
+    return 0;
+}
+
+/// Get a tribe's wood/stone/metal storage limit
+export fn getTribeResourceStorage(tribe_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.buildings.getEffects(tribe_id).resource_storage;
+    }
+    return 0;
+}
+
+/// Get a tribe's research bonus from buildings (fraction of base research)
+export fn getTribeResearchBonus(tribe_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.buildings.getEffects(tribe_id).research_bonus;
+    }
+    return 0;
+}
+
+/// Get a tribe's disease reduction from buildings (0-1)
+export fn getTribeDiseaseReduction(tribe_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.buildings.getEffects(tribe_id).disease_reduction;
+    }
+    return 0;
+}
+
+/// Get a tribe's defense bonus from buildings (applies on its own territory)
+export fn getTribeBuildingDefense(tribe_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.buildings.getEffects(tribe_id).defense_bonus;
+    }
+    return 0;
+}
+
+/// Damage a building (fire, lightning); it is destroyed at zero health
+export fn damageBuilding(building_id: u32, amount: f32) void {
+    if (sim_initialized) {
+        if (global_sim.buildings.get(building_id)) |b| {
+            b.takeDamage(amount);
+        }
+    }
+}
+
+// Resource node access
+
+/// Get number of resource nodes (stone/metal deposits)
+export fn getResourceNodeCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.resource_nodes.count);
+    }
+    return 0;
+}
+
+/// Get resource node position X
+export fn getResourceNodePosX(node_id: u32) f32 {
+    if (sim_initialized and node_id < global_sim.resource_nodes.count) {
+        return global_sim.resource_nodes.nodes[node_id].position.x;
+    }
+    return 0;
+}
+
+/// Get resource node position Z
+export fn getResourceNodePosZ(node_id: u32) f32 {
+    if (sim_initialized and node_id < global_sim.resource_nodes.count) {
+        return global_sim.resource_nodes.nodes[node_id].position.z;
+    }
+    return 0;
+}
+
+/// Get resource node type (ResourceType: 1=stone, 14=metal)
+export fn getResourceNodeType(node_id: u32) u8 {
+    if (sim_initialized and node_id < global_sim.resource_nodes.count) {
+        return @intFromEnum(global_sim.resource_nodes.nodes[node_id].resource_type);
+    }
+    return 0;
+}
+
+/// Get amount remaining in a resource node
+export fn getResourceNodeAmount(node_id: u32) f32 {
+    if (sim_initialized and node_id < global_sim.resource_nodes.count) {
+        return global_sim.resource_nodes.nodes[node_id].amount;
+    }
+    return 0;
+}
+
+/// Remove every resource node (a scenario replacing the scattered deposits)
+export fn clearResourceNodes() void {
+    if (sim_initialized) {
+        global_sim.resource_nodes.clear();
+    }
+}
+
+/// Place a non-regenerating deposit (ResourceType: 1=stone, 14=metal)
+/// Returns: node id, or 0xFFFFFFFF for other types or when the node slots are full
+export fn addResourceNode(resource_type: u8, x: f32, z: f32, amount: f32) u32 {
+    if (sim_initialized) {
+        const kind: resource.ResourceType = switch (resource_type) {
+            @intFromEnum(resource.ResourceType.stone) => .stone,
+            @intFromEnum(resource.ResourceType.metal) => .metal,
+            else => return 0xFFFFFFFF,
+        };
+        const node = resource.ResourceNode.init(math.Vec3.init(x, 0.5, z), kind, @max(amount, 1.0), 0);
+        const idx = global_sim.resource_nodes.add(node) catch return 0xFFFFFFFF;
+        return @intCast(idx);
+    }
+    return 0xFFFFFFFF;
+}
+
 // ============================================================================
 // AAA STRATEGIC SYSTEMS - WASM EXPORTS
 // ============================================================================
@@ -459,6 +753,14 @@ export fn getMovementModifier() f32 {
     return 1.0;
 }
 
+/// Get how far the current season has run (0.0-1.0)
+export fn getSeasonProgress() f32 {
+    if (sim_initialized) {
+        return global_sim.season_mgr.getSeasonProgress();
+    }
+    return 0;
+}
+
 /// Get active event count
 export fn getActiveEventCount() u32 {
     if (sim_initialized) {
@@ -467,6 +769,95 @@ export fn getActiveEventCount() u32 {
     return 0;
 }
 
+fn getActiveEvent(index: u32) ?*const seasons.Event {
+    if (!sim_initialized or index >= global_sim.season_mgr.event_count) return null;
+    return &global_sim.season_mgr.events[index];
+}
+
+/// Get seconds since the world began on the season calendar (the clock event times use)
+export fn getCalendarTime() f32 {
+    if (sim_initialized) {
+        return global_sim.season_mgr.getTotalTime();
+    }
+    return 0;
+}
+
+/// Get total events triggered since the world began
+export fn getTotalEventCount() u32 {
+    if (sim_initialized) {
+        return global_sim.season_mgr.total_events_triggered;
+    }
+    return 0;
+}
+
+/// Get an active event's unique id (stable while it runs)
+export fn getActiveEventId(index: u32) u32 {
+    if (getActiveEvent(index)) |e| {
+        return e.id;
+    }
+    return seasons.NO_EVENT;
+}
+
+/// Get an active event's type (see EventType in seasons.zig)
+export fn getActiveEventType(index: u32) u8 {
+    if (getActiveEvent(index)) |e| {
+        return @intFromEnum(e.event_type);
+    }
+    return 255;
+}
+
+export fn getActiveEventX(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.position_x;
+    }
+    return 0;
+}
+
+export fn getActiveEventZ(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.position_z;
+    }
+    return 0;
+}
+
+export fn getActiveEventRadius(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.radius;
+    }
+    return 0;
+}
+
+/// Get an active event's strength (0.5-1.0)
+export fn getActiveEventIntensity(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.intensity;
+    }
+    return 0;
+}
+
+/// Get when an active event started (calendar seconds)
+export fn getActiveEventStartTime(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.start_time;
+    }
+    return 0;
+}
+
+export fn getActiveEventDuration(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.duration;
+    }
+    return 0;
+}
+
+/// Get how far an active event has run (0-1)
+export fn getActiveEventProgress(index: u32) f32 {
+    if (getActiveEvent(index)) |e| {
+        return e.getProgress(global_sim.season_mgr.getTotalTime());
+    }
+    return 0;
+}
+
 // === DIPLOMACY ===
 
 /// Get reputation between two tribes (-100 to 100)
@@ -537,7 +928,7 @@ export fn forcePeace(tribe_a: u32, tribe_b: u32) void {
                     global_sim.diplomacy_mgr.wars[i].involves(tribe_a) and
                     global_sim.diplomacy_mgr.wars[i].involves(tribe_b))
                 {
-                    global_sim.diplomacy_mgr.endWar(i);
+                    global_sim.diplomacy_mgr.endWar(i, global_sim.time);
                     break;
                 }
             }
@@ -545,82 +936,496 @@ export fn forcePeace(tribe_a: u32, tribe_b: u32) void {
     }
 }
 
-// === TECHNOLOGY ===
-
-/// Get tribe's technology level (number of techs researched)
-export fn getTechLevel(tribe_id: u32) u32 {
+/// Declare war with a reason (0=conquest, 1=resources, 2=revenge, 3=holy war, 4=defensive, 5=liberation, 6=honor)
+export fn declareWarWithReason(attacker: u32, defender: u32, reason: u8) bool {
     if (sim_initialized) {
-        return global_sim.tech_mgr.getTechLevel(tribe_id);
+        if (reason >= diplomacy.WAR_REASON_COUNT) return false;
+        const result = global_sim.diplomacy_mgr.declareWar(attacker, defender, @enumFromInt(reason), global_sim.time);
+        return result != null;
     }
-    return 0;
+    return false;
 }
 
-/// Check if tribe has specific technology
-export fn hasTechnology(tribe_id: u32, tech_id: u8) bool {
+/// Broker a treaty between two tribes (0=non-aggression, 1=trade, 2=alliance, 3=tribute, 4=border, 5=marriage)
+/// Returns the treaty index or 0xFFFFFFFF (unknown tribe, at war, already signed or no room)
+export fn brokerTreaty(treaty_type: u8, tribe_a: u32, tribe_b: u32) u32 {
     if (sim_initialized) {
-        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
-            const tech: technology.Technology = @enumFromInt(tech_id);
-            return research.hasTech(tech);
-        }
+        if (treaty_type >= diplomacy.TREATY_TYPE_COUNT) return 0xFFFFFFFF;
+        return global_sim.brokerTreaty(@enumFromInt(treaty_type), tribe_a, tribe_b) catch 0xFFFFFFFF;
     }
-    return false;
+    return 0xFFFFFFFF;
 }
 
-/// Get current research progress (0-100%)
-export fn getResearchProgress(tribe_id: u32) f32 {
-    if (sim_initialized) {
-        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
-            return research.getResearchProgress();
-        }
-    }
-    return 0;
+/// Break an active treaty (both tribes lose reputation with each other)
+export fn breakTreaty(index: u32) bool {
+    const treaty = getTreaty(index) orelse return false;
+    if (!treaty.active) return false;
+    global_sim.diplomacy_mgr.breakTreaty(index, global_sim.time);
+    return true;
 }
 
-/// Get current research target (255 = none)
-export fn getCurrentResearch(tribe_id: u32) u8 {
-    if (sim_initialized) {
-        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
-            if (research.current_research) |tech| {
-                return @intFromEnum(tech);
-            }
-        }
-    }
-    return 255;
+/// Force a pending trade offer through (fails if either tribe can't pay)
+export fn acceptTradeOffer(index: u32) bool {
+    const trade = getTrade(index) orelse return false;
+    if (!trade.active) return false;
+    return global_sim.diplomacy_mgr.acceptTrade(index, &global_sim.tribes, global_sim.time);
 }
 
-/// Get current era (0-5)
-export fn getCurrentEra(tribe_id: u32) u8 {
-    if (sim_initialized) {
-        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
-            return research.getCurrentEra();
-        }
-    }
-    return 0;
+/// Turn down a pending trade offer
+export fn declineTradeOffer(index: u32) bool {
+    const trade = getTrade(index) orelse return false;
+    if (!trade.active) return false;
+    global_sim.diplomacy_mgr.declineTrade(index, global_sim.time);
+    return true;
 }
 
-/// Grant technology to tribe (god power)
-export fn grantTechnology(tribe_id: u32, tech_id: u8) void {
-    if (sim_initialized) {
-        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
-            const tech: technology.Technology = @enumFromInt(tech_id);
-            research.grantTech(tech);
-        }
-    }
+// === DIPLOMACY RECORDS ===
+// Treaties, wars and trade offers are kept after they end (oldest reused once full),
+// so slot counts include history; check the Active getters for what is in force
+
+fn getTreaty(index: u32) ?*const diplomacy.Treaty {
+    if (!sim_initialized or index >= global_sim.diplomacy_mgr.treaty_count) return null;
+    return &global_sim.diplomacy_mgr.treaties[index];
 }
 
-// === TERRITORY ===
+fn getWarRecord(index: u32) ?*const diplomacy.War {
+    if (!sim_initialized or index >= global_sim.diplomacy_mgr.war_count) return null;
+    return &global_sim.diplomacy_mgr.wars[index];
+}
 
-/// Get number of territory cells owned by tribe
-export fn getTerritoryCount(tribe_id: u32) u32 {
+fn getTrade(index: u32) ?*const diplomacy.TradeOffer {
+    if (!sim_initialized or index >= global_sim.diplomacy_mgr.trade_count) return null;
+    return &global_sim.diplomacy_mgr.trades[index];
+}
+
+/// Get number of treaty slots in use (active and ended)
+export fn getTreatySlotCount() u32 {
     if (sim_initialized) {
-        return global_sim.territory_mgr.getTerritoryCount(tribe_id);
+        return @intCast(global_sim.diplomacy_mgr.treaty_count);
     }
     return 0;
 }
 
-/// Get territory owner at world position (255 = unclaimed)
-export fn getTerritoryOwner(x: f32, z: f32) u8 {
-    if (sim_initialized) {
+/// Check if a treaty is still in force
+export fn isTreatyActive(index: u32) bool {
+    const treaty = getTreaty(index) orelse return false;
+    return treaty.active;
+}
+
+/// Get treaty type (0xFF for an unused slot)
+export fn getTreatyType(index: u32) u8 {
+    const treaty = getTreaty(index) orelse return 0xFF;
+    return @intFromEnum(treaty.treaty_type);
+}
+
+/// Get the first signatory tribe
+export fn getTreatyTribeA(index: u32) u32 {
+    const treaty = getTreaty(index) orelse return 0xFFFFFFFF;
+    return treaty.tribe_a;
+}
+
+/// Get the second signatory tribe
+export fn getTreatyTribeB(index: u32) u32 {
+    const treaty = getTreaty(index) orelse return 0xFFFFFFFF;
+    return treaty.tribe_b;
+}
+
+/// Get simulation time the treaty was signed
+export fn getTreatyStartTime(index: u32) f32 {
+    const treaty = getTreaty(index) orelse return 0;
+    return treaty.start_time;
+}
+
+/// Get treaty duration in seconds (0 = permanent until broken)
+export fn getTreatyDuration(index: u32) f32 {
+    const treaty = getTreaty(index) orelse return 0;
+    return treaty.duration;
+}
+
+/// Get simulation time the treaty ended (-1 while active)
+export fn getTreatyEndTime(index: u32) f32 {
+    const treaty = getTreaty(index) orelse return diplomacy.NOT_ENDED;
+    return treaty.ended_time;
+}
+
+/// Check if a treaty was broken rather than running its course
+export fn isTreatyBroken(index: u32) bool {
+    const treaty = getTreaty(index) orelse return false;
+    return treaty.broken;
+}
+
+/// Get a treaty term (0=resource amount, 1=resource type, 2=territory id)
+export fn getTreatyTerm(index: u32, term: u8) f32 {
+    const treaty = getTreaty(index) orelse return 0;
+    return switch (term) {
+        0 => treaty.terms.resource_amount,
+        1 => @floatFromInt(treaty.terms.resource_type),
+        2 => @floatFromInt(treaty.terms.territory_id),
+        else => 0,
+    };
+}
+
+/// Get number of war slots in use (active and ended)
+export fn getWarSlotCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.diplomacy_mgr.war_count);
+    }
+    return 0;
+}
+
+/// Check if a war is still being fought
+export fn isWarActive(index: u32) bool {
+    const war = getWarRecord(index) orelse return false;
+    return war.active;
+}
+
+/// Get the tribe that declared the war
+export fn getWarAttacker(index: u32) u32 {
+    const war = getWarRecord(index) orelse return 0xFFFFFFFF;
+    return war.attacker;
+}
+
+/// Get the tribe war was declared on
+export fn getWarDefender(index: u32) u32 {
+    const war = getWarRecord(index) orelse return 0xFFFFFFFF;
+    return war.defender;
+}
+
+/// Get war reason (0xFF for an unused slot)
+export fn getWarReason(index: u32) u8 {
+    const war = getWarRecord(index) orelse return 0xFF;
+    return @intFromEnum(war.reason);
+}
+
+/// Get simulation time the war was declared
+export fn getWarStartTime(index: u32) f32 {
+    const war = getWarRecord(index) orelse return 0;
+    return war.start_time;
+}
+
+/// Get simulation time the war ended (-1 while active)
+export fn getWarEndTime(index: u32) f32 {
+    const war = getWarRecord(index) orelse return diplomacy.NOT_ENDED;
+    return war.ended_time;
+}
+
+/// Get war score (-100 to 100, positive = attacker winning)
+export fn getWarScore(index: u32) i32 {
+    const war = getWarRecord(index) orelse return 0;
+    return war.war_score;
+}
+
+/// Get casualties on one side (attacker = true for the attacker's losses)
+export fn getWarCasualties(index: u32, attacker: bool) u32 {
+    const war = getWarRecord(index) orelse return 0;
+    return if (attacker) war.attacker_casualties else war.defender_casualties;
+}
+
+/// Get battles won by one side (attacker = true for the attacker's victories)
+export fn getWarBattlesWon(index: u32, attacker: bool) u32 {
+    const war = getWarRecord(index) orelse return 0;
+    return if (attacker) war.battles_won_attacker else war.battles_won_defender;
+}
+
+/// Get number of trade offer slots in use (pending and resolved)
+export fn getTradeSlotCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.diplomacy_mgr.trade_count);
+    }
+    return 0;
+}
+
+/// Check if a trade offer is still waiting for an answer
+export fn isTradeActive(index: u32) bool {
+    const trade = getTrade(index) orelse return false;
+    return trade.active;
+}
+
+/// Get the tribe making the offer
+export fn getTradeFrom(index: u32) u32 {
+    const trade = getTrade(index) orelse return 0xFFFFFFFF;
+    return trade.from_tribe;
+}
+
+/// Get the tribe the offer is made to
+export fn getTradeTo(index: u32) u32 {
+    const trade = getTrade(index) orelse return 0xFFFFFFFF;
+    return trade.to_tribe;
+}
+
+/// Get an offered amount (resource: 0=food, 1=wood, 2=stone, 3=metal)
+export fn getTradeOffered(index: u32, resource_type: u8) f32 {
+    const trade = getTrade(index) orelse return 0;
+    return switch (resource_type) {
+        0 => trade.offer_food,
+        1 => trade.offer_wood,
+        2 => trade.offer_stone,
+        3 => trade.offer_metal,
+        else => 0,
+    };
+}
+
+/// Get a requested amount (resource: 0=food, 1=wood, 2=stone, 3=metal)
+export fn getTradeRequested(index: u32, resource_type: u8) f32 {
+    const trade = getTrade(index) orelse return 0;
+    return switch (resource_type) {
+        0 => trade.request_food,
+        1 => trade.request_wood,
+        2 => trade.request_stone,
+        3 => trade.request_metal,
+        else => 0,
+    };
+}
+
+/// Get offered value over requested value (1.0 = fair, 100 = gift)
+export fn getTradeValueRatio(index: u32) f32 {
+    const trade = getTrade(index) orelse return 0;
+    return trade.getValueRatio();
+}
+
+/// Get simulation time the offer was made
+export fn getTradeCreatedTime(index: u32) f32 {
+    const trade = getTrade(index) orelse return 0;
+    return trade.created_time;
+}
+
+/// Get simulation time the offer lapses if unanswered
+export fn getTradeExpiresTime(index: u32) f32 {
+    const trade = getTrade(index) orelse return 0;
+    return trade.expires_time;
+}
+
+/// Get simulation time the offer was resolved (-1 while pending)
+export fn getTradeEndTime(index: u32) f32 {
+    const trade = getTrade(index) orelse return diplomacy.NOT_ENDED;
+    return trade.ended_time;
+}
+
+/// Get trade outcome (0=pending, 1=accepted, 2=declined, 3=expired)
+export fn getTradeOutcome(index: u32) u8 {
+    const trade = getTrade(index) orelse return 0;
+    return @intFromEnum(trade.outcome);
+}
+
+// === TECHNOLOGY ===
+
+/// Get tribe's technology level (number of techs researched)
+export fn getTechLevel(tribe_id: u32) u32 {
+    if (sim_initialized) {
+        return global_sim.tech_mgr.getTechLevel(tribe_id);
+    }
+    return 0;
+}
+
+/// Check if tribe has specific technology
+export fn hasTechnology(tribe_id: u32, tech_id: u8) bool {
+    if (sim_initialized and tech_id < technology.TECH_COUNT) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            const tech: technology.Technology = @enumFromInt(tech_id);
+            return research.hasTech(tech);
+        }
+    }
+    return false;
+}
+
+/// Get current research progress (0-100%)
+export fn getResearchProgress(tribe_id: u32) f32 {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            return research.getResearchProgress();
+        }
+    }
+    return 0;
+}
+
+/// Get current research target (255 = none)
+export fn getCurrentResearch(tribe_id: u32) u8 {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            if (research.current_research) |tech| {
+                return @intFromEnum(tech);
+            }
+        }
+    }
+    return 255;
+}
+
+/// Get current era (0-5)
+export fn getCurrentEra(tribe_id: u32) u8 {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            return research.getCurrentEra();
+        }
+    }
+    return 0;
+}
+
+/// Grant technology to tribe (god power)
+export fn grantTechnology(tribe_id: u32, tech_id: u8) void {
+    if (sim_initialized and tech_id < technology.TECH_COUNT) {
+        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
+            const tech: technology.Technology = @enumFromInt(tech_id);
+            research.grantTech(tech);
+        }
+    }
+}
+
+/// Get number of technologies in the tree
+export fn getTechCount() u32 {
+    return @intCast(technology.TECH_COUNT);
+}
+
+/// Get the era a technology belongs to (0-5, 255 if invalid)
+export fn getTechEra(tech_id: u8) u8 {
+    if (tech_id >= technology.TECH_COUNT) return 255;
+    const tech: technology.Technology = @enumFromInt(tech_id);
+    return tech.getEra();
+}
+
+/// Get research points a technology costs
+export fn getTechCost(tech_id: u8) u32 {
+    if (tech_id >= technology.TECH_COUNT) return 0;
+    const tech: technology.Technology = @enumFromInt(tech_id);
+    return tech.getBaseCost();
+}
+
+/// Get a technology's prerequisite (slot 0-3, 255 = none)
+export fn getTechPrereq(tech_id: u8, slot: u32) u8 {
+    if (tech_id >= technology.TECH_COUNT or slot >= 4) return 255;
+    const prereqs = technology.TechPrereqs.getPrereqsFor(@enumFromInt(tech_id));
+    return if (prereqs[slot]) |prereq| @intFromEnum(prereq) else 255;
+}
+
+/// Get what a technology adds to one bonus
+/// 0=food, 1=wood, 2=stone, 3=metal (multipliers), 4=attack, 5=defense, 6=birth rate, 7=death rate,
+/// 8=disease resist, 9=research, 10=build speed, 11=building health, 12=trade
+export fn getTechBonus(tech_id: u8, bonus: u8) f32 {
+    if (tech_id >= technology.TECH_COUNT) return 0;
+    const base = technology.TechBonus.init();
+    var after = technology.TechBonus.init();
+    after.addTechBonus(@enumFromInt(tech_id));
+
+    return switch (bonus) {
+        0 => after.food_mult - base.food_mult,
+        1 => after.wood_mult - base.wood_mult,
+        2 => after.stone_mult - base.stone_mult,
+        3 => after.metal_mult - base.metal_mult,
+        4 => after.attack_bonus - base.attack_bonus,
+        5 => after.defense_bonus - base.defense_bonus,
+        6 => after.birth_rate_mult - base.birth_rate_mult,
+        7 => after.death_rate_mult - base.death_rate_mult,
+        8 => after.disease_resist - base.disease_resist,
+        9 => after.research_mult - base.research_mult,
+        10 => after.build_speed_mult - base.build_speed_mult,
+        11 => after.building_health_mult - base.building_health_mult,
+        12 => after.trade_bonus - base.trade_bonus,
+        else => 0,
+    };
+}
+
+/// Get a technology's state for a tribe (0=locked, 1=available, 2=researching, 3=researched)
+export fn getTechState(tribe_id: u32, tech_id: u8) u8 {
+    if (sim_initialized and tech_id < technology.TECH_COUNT) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            return @intFromEnum(research.getState(@enumFromInt(tech_id)));
+        }
+    }
+    return 0;
+}
+
+// === RESEARCH QUEUE ===
+
+/// Get number of technologies queued for a tribe
+export fn getResearchQueueLength(tribe_id: u32) u32 {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            return @intCast(research.queue_len);
+        }
+    }
+    return 0;
+}
+
+/// Get the technology at a queue position (255 = none)
+export fn getResearchQueueItem(tribe_id: u32, index: u32) u8 {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            if (index < research.queue_len) return @intFromEnum(research.queue[index]);
+        }
+    }
+    return 255;
+}
+
+/// Queue a technology and any missing prerequisites (false if already planned or the queue is full)
+export fn queueResearch(tribe_id: u32, tech_id: u8) bool {
+    if (sim_initialized and tech_id < technology.TECH_COUNT) {
+        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
+            return research.queueResearch(@enumFromInt(tech_id));
+        }
+    }
+    return false;
+}
+
+/// Remove a technology from a tribe's queue
+export fn unqueueResearch(tribe_id: u32, tech_id: u8) bool {
+    if (sim_initialized and tech_id < technology.TECH_COUNT) {
+        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
+            return research.unqueueResearch(@enumFromInt(tech_id));
+        }
+    }
+    return false;
+}
+
+/// Empty a tribe's research queue
+export fn clearResearchQueue(tribe_id: u32) void {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
+            research.clearQueue();
+        }
+    }
+}
+
+/// Research a technology now, abandoning progress on the current target (needs prerequisites)
+export fn setResearch(tribe_id: u32, tech_id: u8) bool {
+    if (sim_initialized and tech_id < technology.TECH_COUNT) {
+        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
+            return research.overrideResearch(@enumFromInt(tech_id));
+        }
+    }
+    return false;
+}
+
+/// Guided tribes only research what is queued; others pick at random once the queue runs out
+export fn setResearchGuided(tribe_id: u32, guided: bool) void {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearch(tribe_id)) |research| {
+            research.guided = guided;
+        }
+    }
+}
+
+/// Check if a tribe's research is guided
+export fn isResearchGuided(tribe_id: u32) bool {
+    if (sim_initialized) {
+        if (global_sim.tech_mgr.getResearchConst(tribe_id)) |research| {
+            return research.guided;
+        }
+    }
+    return false;
+}
+
+// === TERRITORY ===
+
+/// Get number of territory cells owned by tribe
+export fn getTerritoryCount(tribe_id: u32) u32 {
+    if (sim_initialized) {
+        return global_sim.territory_mgr.getTerritoryCount(tribe_id);
+    }
+    return 0;
+}
+
+/// Get territory owner at world position (255 = unclaimed)
+export fn getTerritoryOwner(x: f32, z: f32) u8 {
+    if (sim_initialized) {
         if (global_sim.territory_mgr.getCellAtConst(x, z)) |cell| {
             if (cell.owner_tribe == 0xFFFFFFFF) return 255;
             return @as(u8, @intCast(@min(254, cell.owner_tribe)));
@@ -629,85 +1434,946 @@ export fn getTerritoryOwner(x: f32, z: f32) u8 {
     return 255;
 }
 
-/// Get terrain type at position
+/// Get terrain type (biome) at position
 export fn getTerrainType(x: f32, z: f32) u8 {
     if (sim_initialized) {
-        if (global_sim.territory_mgr.getCellAtConst(x, z)) |cell| {
-            return @intFromEnum(cell.terrain);
-        }
+        return @intFromEnum(global_sim.terrain.biomeAt(x, z));
+    }
+    return 0;
+}
+
+/// Get active border conflict count
+export fn getActiveConflictCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.territory_mgr.getActiveConflictCount());
+    }
+    return 0;
+}
+
+/// Check if two tribes share a border
+export fn sharesBorder(tribe_a: u32, tribe_b: u32) bool {
+    if (sim_initialized) {
+        return global_sim.territory_mgr.sharesBorder(tribe_a, tribe_b);
+    }
+    return false;
+}
+
+/// Get territory grid width in cells
+export fn getTerritoryGridWidth() u32 {
+    return @intCast(territory.GRID_WIDTH);
+}
+
+/// Get territory grid height in cells
+export fn getTerritoryGridHeight() u32 {
+    return @intCast(territory.GRID_HEIGHT);
+}
+
+/// Get territory cell size in world units
+export fn getTerritoryCellSize() f32 {
+    return territory.CELL_SIZE;
+}
+
+/// Per-cell maps filled by refreshTerritoryMaps (row-major, z rows of x cells)
+var territory_owner_map: [territory.TOTAL_CELLS]u8 = [_]u8{255} ** territory.TOTAL_CELLS;
+var territory_terrain_map: [territory.TOTAL_CELLS]u8 = [_]u8{0} ** territory.TOTAL_CELLS;
+var territory_contest_map: [territory.TOTAL_CELLS]u8 = [_]u8{255} ** territory.TOTAL_CELLS;
+var territory_control_map: [territory.TOTAL_CELLS]u8 = [_]u8{0} ** territory.TOTAL_CELLS;
+
+/// Copy the territory grid into the map buffers
+export fn refreshTerritoryMaps() void {
+    if (sim_initialized) {
+        global_sim.territory_mgr.getTerritoryMap(&territory_owner_map);
+        global_sim.territory_mgr.getTerrainMap(&territory_terrain_map);
+        global_sim.territory_mgr.getContestMap(&territory_contest_map);
+        global_sim.territory_mgr.getControlMap(&territory_control_map);
+    }
+}
+
+/// Get pointer to cell owners (255 = unclaimed)
+export fn getTerritoryOwnerMap() [*]u8 {
+    return &territory_owner_map;
+}
+
+/// Get pointer to cell terrain types
+export fn getTerritoryTerrainMap() [*]u8 {
+    return &territory_terrain_map;
+}
+
+/// Get pointer to contesting tribe per cell (255 = uncontested)
+export fn getTerritoryContestMap() [*]u8 {
+    return &territory_contest_map;
+}
+
+/// Get pointer to cell control strength (0-100)
+export fn getTerritoryControlMap() [*]u8 {
+    return &territory_control_map;
+}
+
+fn getBorderConflict(index: u32) ?*const territory.BorderConflict {
+    if (!sim_initialized or index >= global_sim.territory_mgr.conflict_count) return null;
+    return &global_sim.territory_mgr.conflicts[index];
+}
+
+/// Get number of border conflict slots (use getActiveConflictCount for live ones)
+export fn getConflictSlotCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.territory_mgr.conflict_count);
     }
     return 0;
 }
 
-/// Get active border conflict count
-export fn getActiveConflictCount() u32 {
-    if (sim_initialized) {
-        return @intCast(global_sim.territory_mgr.getActiveConflictCount());
+/// Check if a border conflict is still being fought
+export fn isConflictActive(index: u32) bool {
+    if (getBorderConflict(index)) |conflict| {
+        return conflict.active;
+    }
+    return false;
+}
+
+/// Get a border conflict side (defender = the cell owner when it began)
+export fn getConflictTribe(index: u32, defender: bool) u32 {
+    if (getBorderConflict(index)) |conflict| {
+        return if (defender) conflict.tribe_a else conflict.tribe_b;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get the grid column of the contested cell
+export fn getConflictCellX(index: u32) u32 {
+    if (getBorderConflict(index)) |conflict| {
+        return conflict.cell_x;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get the grid row of the contested cell
+export fn getConflictCellZ(index: u32) u32 {
+    if (getBorderConflict(index)) |conflict| {
+        return conflict.cell_z;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get a side's pressure in a border conflict (0-100, the side at 0 loses the cell)
+export fn getConflictPressure(index: u32, defender: bool) f32 {
+    if (getBorderConflict(index)) |conflict| {
+        return if (defender) conflict.strength_a else conflict.strength_b;
+    }
+    return 0;
+}
+
+// === MESSAGES ===
+
+fn getMessage(index: u32) ?*const message.Message {
+    if (!sim_initialized or index >= global_sim.messages.count) return null;
+    return &global_sim.messages.messages[index];
+}
+
+/// Get number of messages still in the queue (oldest first, kept for 10 seconds)
+export fn getMessageCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.messages.count);
+    }
+    return 0;
+}
+
+/// Get the organism that sent a message
+export fn getMessageSender(index: u32) u32 {
+    if (getMessage(index)) |msg| {
+        return msg.sender_id;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get the organism a message is addressed to (0 = broadcast)
+export fn getMessageReceiver(index: u32) u32 {
+    if (getMessage(index)) |msg| {
+        return msg.receiver_id;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get seconds since a message was sent
+export fn getMessageAge(index: u32) f32 {
+    if (getMessage(index)) |msg| {
+        return global_sim.messages.current_time - msg.timestamp;
+    }
+    return 0;
+}
+
+/// Get number of symbols in a message (0-4)
+export fn getMessageSymbolCount(index: u32) u32 {
+    if (getMessage(index)) |msg| {
+        return msg.symbol_count;
+    }
+    return 0;
+}
+
+/// Get a symbol of a message (255 = no symbol in that slot)
+export fn getMessageSymbol(index: u32, slot: u32) u8 {
+    if (getMessage(index)) |msg| {
+        if (slot < msg.symbol_count) return @intFromEnum(msg.symbols[slot]);
+    }
+    return 255;
+}
+
+/// Get the interpreted intent of a message (see MessageIntent)
+export fn getMessageIntent(index: u32) u8 {
+    if (getMessage(index)) |msg| {
+        return @intFromEnum(msg.getIntent());
+    }
+    return 0;
+}
+
+// === LANGUAGE ===
+
+/// Get number of message symbols
+export fn getSymbolCount() u32 {
+    return @intCast(message.SYMBOL_COUNT);
+}
+
+/// Get total messages ever sent
+export fn getLanguageMessageCount() u32 {
+    if (sim_initialized) {
+        return global_sim.language_stats.total_messages;
+    }
+    return 0;
+}
+
+/// Get how many times a symbol has been used
+export fn getSymbolUsage(symbol: u32) u32 {
+    if (sim_initialized and symbol < message.SYMBOL_COUNT) {
+        return global_sim.language_stats.symbol_usage[symbol];
+    }
+    return 0;
+}
+
+/// Get the most used symbol (255 = nothing said yet)
+export fn getMostUsedSymbol() u8 {
+    if (sim_initialized) {
+        if (global_sim.language_stats.getMostUsedSymbol()) |symbol| {
+            return @intFromEnum(symbol);
+        }
+    }
+    return 255;
+}
+
+/// Get total messages sent by a tribe's members
+export fn getTribeMessageCount(tribe_id: u32) u32 {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
+        return global_sim.tribe_language[tribe_id].total_messages;
+    }
+    return 0;
+}
+
+/// Get how many times a tribe's members have used a symbol
+export fn getTribeSymbolUsage(tribe_id: u32, symbol: u32) u32 {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES and symbol < message.SYMBOL_COUNT) {
+        return global_sim.tribe_language[tribe_id].symbol_usage[symbol];
+    }
+    return 0;
+}
+
+/// Get how many symbols a tribe has used at least min_uses times
+export fn getTribeVocabularySize(tribe_id: u32, min_uses: u32) u32 {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
+        return global_sim.tribe_language[tribe_id].getVocabularySize(min_uses);
+    }
+    return 0;
+}
+
+// === CRAFTING & EQUIPMENT ===
+
+fn getCraftedItem(index: u32) ?*const crafting.CraftedItem {
+    if (!sim_initialized or index >= global_sim.crafting_mgr.count) return null;
+    return &global_sim.crafting_mgr.items[index];
+}
+
+fn getActiveCraft(index: u32) ?*const crafting.CraftingManager.ActiveCraft {
+    if (!sim_initialized or index >= global_sim.crafting_mgr.active_craft_count) return null;
+    return &global_sim.crafting_mgr.active_crafts[index];
+}
+
+/// Get number of crafted items (indices shift when broken or orphaned items are discarded)
+export fn getCraftedItemCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.crafting_mgr.count);
+    }
+    return 0;
+}
+
+/// Get an item's type as category << 4 | subtype (0x00 tool, 0x10 weapon, 0x20 armor; 255 = none)
+export fn getCraftedItemType(index: u32) u8 {
+    if (getCraftedItem(index)) |item| {
+        return item.getTypeCode();
+    }
+    return 255;
+}
+
+/// Get the organism that owns an item
+export fn getCraftedItemOwner(index: u32) u32 {
+    if (getCraftedItem(index)) |item| {
+        return item.owner_id;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get an item's quality (0=crude, 1=normal, 2=fine, 3=masterwork, 4=legendary)
+export fn getCraftedItemQuality(index: u32) u8 {
+    if (getCraftedItem(index)) |item| {
+        return @intFromEnum(item.quality);
+    }
+    return 0;
+}
+
+/// Get an item's remaining durability
+export fn getCraftedItemDurability(index: u32) f32 {
+    if (getCraftedItem(index)) |item| {
+        return item.durability;
+    }
+    return 0;
+}
+
+/// Get an item's durability when new
+export fn getCraftedItemMaxDurability(index: u32) f32 {
+    if (getCraftedItem(index)) |item| {
+        return item.max_durability;
+    }
+    return 0;
+}
+
+/// Check if an item is equipped by its owner
+export fn isCraftedItemEquipped(index: u32) bool {
+    if (getCraftedItem(index)) |item| {
+        return item.equipped;
+    }
+    return false;
+}
+
+/// Get the damage bonus an item gives (weapons)
+export fn getCraftedItemDamageBonus(index: u32) f32 {
+    if (getCraftedItem(index)) |item| {
+        return item.getDamageBonus();
+    }
+    return 0;
+}
+
+/// Get the defense bonus an item gives (armor and shields)
+export fn getCraftedItemDefenseBonus(index: u32) f32 {
+    if (getCraftedItem(index)) |item| {
+        return item.getDefenseBonus();
+    }
+    return 0;
+}
+
+/// Equip an item, replacing whatever its owner had in that slot (false if broken or unknown)
+export fn equipCraftedItem(index: u32) bool {
+    if (sim_initialized) {
+        return global_sim.crafting_mgr.equip(index);
+    }
+    return false;
+}
+
+/// Take an item off (the owner re-equips spare gear on its next crafting tick)
+export fn unequipCraftedItem(index: u32) void {
+    if (sim_initialized) {
+        global_sim.crafting_mgr.unequip(index);
+    }
+}
+
+/// Get the item an organism has equipped in a slot (0=tool, 1=weapon, 2=shield, 3=armor; 0xFFFFFFFF = empty)
+export fn getOrganismEquippedItem(org_id: u32, slot: u8) u32 {
+    if (sim_initialized and slot < crafting.EQUIP_SLOT_COUNT) {
+        if (global_sim.crafting_mgr.findEquipped(org_id, @enumFromInt(slot))) |idx| {
+            return @intCast(idx);
+        }
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get the damage bonus an organism's equipped gear gives
+export fn getOrganismDamageBonus(org_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.crafting_mgr.getDamageBonusForOwner(org_id);
+    }
+    return 0;
+}
+
+/// Get the defense bonus an organism's equipped gear gives
+export fn getOrganismDefenseBonus(org_id: u32) f32 {
+    if (sim_initialized) {
+        return global_sim.crafting_mgr.getDefenseBonusForOwner(org_id);
+    }
+    return 0;
+}
+
+/// Get how much of a resource an organism carries (ResourceType index)
+export fn getOrganismInventory(org_id: u32, resource_type: u8) f32 {
+    if (sim_initialized and org_id < global_sim.organisms.count) {
+        const inventory = &global_sim.organisms.inventories[org_id];
+        if (resource_type < inventory.resources.len) return inventory.resources[resource_type];
+    }
+    return 0;
+}
+
+/// Get how much an organism can carry in total
+export fn getOrganismInventoryCapacity(org_id: u32) f32 {
+    if (sim_initialized and org_id < global_sim.organisms.count) {
+        return global_sim.organisms.inventories[org_id].capacity;
+    }
+    return 0;
+}
+
+/// Get number of crafts in progress
+export fn getActiveCraftCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.crafting_mgr.active_craft_count);
+    }
+    return 0;
+}
+
+/// Get the organism working on a craft
+export fn getActiveCraftCrafter(index: u32) u32 {
+    if (getActiveCraft(index)) |craft| {
+        return craft.crafter_id;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get the type a craft will produce (same packing as getCraftedItemType)
+export fn getActiveCraftItemType(index: u32) u8 {
+    if (getActiveCraft(index)) |craft| {
+        return crafting.CraftedItem.typeCode(crafting.ITEM_RECIPES[craft.recipe_index].result_type);
+    }
+    return 255;
+}
+
+/// Get a craft's progress (0-100)
+export fn getActiveCraftProgress(index: u32) f32 {
+    if (getActiveCraft(index)) |craft| {
+        return craft.progress;
+    }
+    return 0;
+}
+
+/// Get the quality a craft will come out at
+export fn getActiveCraftQuality(index: u32) u8 {
+    if (getActiveCraft(index)) |craft| {
+        return @intFromEnum(craft.quality);
+    }
+    return 0;
+}
+
+// === POPULATION ===
+
+/// Get total births (all time)
+export fn getTotalBirths() u64 {
+    if (sim_initialized) {
+        return global_sim.population_mgr.total_births;
+    }
+    return 0;
+}
+
+/// Get total deaths (all time)
+export fn getTotalDeaths() u64 {
+    if (sim_initialized) {
+        return global_sim.population_mgr.total_deaths;
+    }
+    return 0;
+}
+
+/// Get total disease cases (all time)
+export fn getTotalDiseases() u64 {
+    if (sim_initialized) {
+        return global_sim.population_mgr.total_disease_cases;
+    }
+    return 0;
+}
+
+/// Get tribe births this year
+export fn getTribeBirths(tribe_id: u32) u32 {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
+        return global_sim.population_mgr.tribe_births[tribe_id];
+    }
+    return 0;
+}
+
+/// Get tribe deaths this year
+export fn getTribeDeaths(tribe_id: u32) u32 {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
+        return global_sim.population_mgr.tribe_deaths[tribe_id];
+    }
+    return 0;
+}
+
+/// Start disease outbreak in tribe (god power)
+/// Returns: false if the disease is unknown or nobody caught it
+export fn startOutbreak(tribe_id: u32, disease_type: u8) bool {
+    if (sim_initialized) {
+        if (disease_type == 0 or disease_type >= population.DISEASE_COUNT) return false;
+        const disease: population.Disease = @enumFromInt(disease_type);
+        return global_sim.startOutbreak(tribe_id, disease);
+    }
+    return false;
+}
+
+/// Scratch space JS can pass to getPopulationStats
+var population_stats_buffer: [12]f32 = [_]f32{0} ** 12;
+
+/// Get pointer to a buffer large enough for getPopulationStats
+export fn getPopulationStatsBuffer() [*]f32 {
+    return &population_stats_buffer;
+}
+
+/// Get a tribe's humanoid population statistics as packed data (false for an unknown tribe)
+/// Writes: [total, infants, children, adults, elders, healthy, sick, starving,
+///          births_this_year, deaths_this_year, avg_age, avg_health]
+export fn getPopulationStats(tribe_id: u32, out_buffer: [*]f32) bool {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
+        const stats = global_sim.population_mgr.calculateStats(tribe_id, &global_sim.organisms);
+        out_buffer[0] = @floatFromInt(stats.total);
+        out_buffer[1] = @floatFromInt(stats.infants);
+        out_buffer[2] = @floatFromInt(stats.children);
+        out_buffer[3] = @floatFromInt(stats.adults);
+        out_buffer[4] = @floatFromInt(stats.elders);
+        out_buffer[5] = @floatFromInt(stats.healthy);
+        out_buffer[6] = @floatFromInt(stats.sick);
+        out_buffer[7] = @floatFromInt(stats.starving);
+        out_buffer[8] = @floatFromInt(stats.births_this_year);
+        out_buffer[9] = @floatFromInt(stats.deaths_this_year);
+        out_buffer[10] = stats.avg_age;
+        out_buffer[11] = stats.avg_health;
+        return true;
+    }
+    return false;
+}
+
+/// Get deaths from a cause (all time; 1=old age, 2=starvation, 3=disease, 4=combat, 5=predation, 6=other, 7=disaster)
+export fn getDeathCauseCount(cause: u8) u32 {
+    if (sim_initialized and cause < population.DEATH_CAUSE_COUNT) {
+        return global_sim.population_mgr.death_causes[cause];
+    }
+    return 0;
+}
+
+/// Get a tribe's deaths from a cause (all time)
+export fn getTribeDeathCauseCount(tribe_id: u32, cause: u8) u32 {
+    if (sim_initialized and tribe_id < tribe.MAX_TRIBES and cause < population.DEATH_CAUSE_COUNT) {
+        return global_sim.population_mgr.tribe_death_causes[tribe_id][cause];
+    }
+    return 0;
+}
+
+/// Get infections of a disease (all time; 1=cold, 2=fever, 3=plague, 4=food poisoning, 5=infection)
+export fn getDiseaseCaseCount(disease: u8) u32 {
+    if (sim_initialized and disease < population.DISEASE_COUNT) {
+        return global_sim.population_mgr.disease_cases[disease];
+    }
+    return 0;
+}
+
+/// Get seconds a disease takes to run its course
+export fn getDiseaseRecoveryTime(disease: u8) f32 {
+    if (disease < population.DISEASE_COUNT) {
+        const d: population.Disease = @enumFromInt(disease);
+        return d.getBaseRecoveryTime();
+    }
+    return 0;
+}
+
+/// Get seconds from conception to birth
+export fn getPregnancyDuration() f32 {
+    return population.PREGNANCY_DURATION;
+}
+
+fn getHealthState(org_id: u32) ?*const population.HealthState {
+    if (!sim_initialized or org_id >= global_sim.organisms.count) return null;
+    return global_sim.population_mgr.getHealthState(org_id);
+}
+
+/// Get an organism's current disease (0 = healthy)
+export fn getOrganismDisease(org_id: u32) u8 {
+    if (getHealthState(org_id)) |hs| {
+        return @intFromEnum(hs.disease);
+    }
+    return 0;
+}
+
+/// Get seconds an organism has been sick with its current disease
+export fn getOrganismDiseaseProgress(org_id: u32) f32 {
+    if (getHealthState(org_id)) |hs| {
+        return hs.disease_progress;
+    }
+    return 0;
+}
+
+/// Get an organism's immunity to a disease (0-1)
+export fn getOrganismImmunity(org_id: u32, disease: u8) f32 {
+    if (getHealthState(org_id)) |hs| {
+        if (disease < population.DISEASE_COUNT) return hs.immunity[disease];
+    }
+    return 0;
+}
+
+/// Get an organism's fertility modifier (0.8-1.2)
+export fn getOrganismFertility(org_id: u32) f32 {
+    if (getHealthState(org_id)) |hs| {
+        return hs.fertility;
+    }
+    return 0;
+}
+
+/// Check if an organism is pregnant
+export fn isOrganismPregnant(org_id: u32) bool {
+    if (getHealthState(org_id)) |hs| {
+        return hs.is_pregnant;
+    }
+    return false;
+}
+
+/// Get seconds an organism has been pregnant
+export fn getOrganismPregnancyProgress(org_id: u32) f32 {
+    if (getHealthState(org_id)) |hs| {
+        return hs.pregnancy_progress;
+    }
+    return 0;
+}
+
+/// Get seconds an organism has been starving without a break
+export fn getOrganismStarveTime(org_id: u32) f32 {
+    if (getHealthState(org_id)) |hs| {
+        return hs.consecutive_starve_time;
+    }
+    return 0;
+}
+
+/// Get why an organism died (0 = alive or not yet recorded)
+export fn getOrganismDeathCause(org_id: u32) u8 {
+    if (getHealthState(org_id)) |hs| {
+        if (hs.death_recorded) return @intFromEnum(hs.death_cause);
+    }
+    return 0;
+}
+
+/// Get an organism's age stage (0=infant, 1=child, 2=adult, 3=elder)
+export fn getOrganismAgeStage(org_id: u32) u8 {
+    if (sim_initialized and org_id < global_sim.organisms.count) {
+        return @intFromEnum(population.AgeStage.fromAge(global_sim.organisms.ages[org_id]));
+    }
+    return 0;
+}
+
+/// Get an organism's hunger level (0=full, 1=satisfied, 2=hungry, 3=starving, 4=critical)
+export fn getOrganismHungerLevel(org_id: u32) u8 {
+    if (sim_initialized and org_id < global_sim.organisms.count) {
+        return @intFromEnum(population.HungerLevel.fromEnergy(global_sim.organisms.energies[org_id]));
+    }
+    return 0;
+}
+
+/// Per-organism maps filled by refreshHealthMaps (indexed like the organism arrays)
+var health_disease_map: [population.MAX_HEALTH_TRACKED]u8 = [_]u8{255} ** population.MAX_HEALTH_TRACKED;
+var health_stage_map: [population.MAX_HEALTH_TRACKED]u8 = [_]u8{255} ** population.MAX_HEALTH_TRACKED;
+var health_hunger_map: [population.MAX_HEALTH_TRACKED]u8 = [_]u8{255} ** population.MAX_HEALTH_TRACKED;
+
+/// Copy every organism's disease, age stage and hunger level into the map buffers
+/// Returns how many organisms were written (255 marks dead organisms and plants)
+export fn refreshHealthMaps() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.population_mgr.fillHealthMaps(
+            &global_sim.organisms,
+            &health_disease_map,
+            &health_stage_map,
+            &health_hunger_map,
+        ));
+    }
+    return 0;
+}
+
+/// Get pointer to per-organism diseases
+export fn getHealthDiseaseMap() [*]u8 {
+    return &health_disease_map;
+}
+
+/// Get pointer to per-organism age stages
+export fn getHealthStageMap() [*]u8 {
+    return &health_stage_map;
+}
+
+/// Get pointer to per-organism hunger levels
+export fn getHealthHungerMap() [*]u8 {
+    return &health_hunger_map;
+}
+
+// === BRAIN INSPECTOR ===
+
+/// Record the given organism's network activations every frame (0xFFFFFFFF to stop)
+export fn inspectOrganism(organism_id: u32) void {
+    if (sim_initialized) {
+        global_sim.inspectOrganism(organism_id);
+    }
+}
+
+/// Get the organism whose activations are being recorded
+export fn getInspectedOrganism() u32 {
+    if (sim_initialized) {
+        return global_sim.brain_trace.organism;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get the frame the inspected activations were recorded on (0 = not recorded yet)
+export fn getBrainTraceFrame() u32 {
+    if (sim_initialized) {
+        return @truncate(global_sim.brain_trace.frame);
+    }
+    return 0;
+}
+
+/// Get pointer to the inspected organism's 15 network inputs
+export fn getBrainInputs() [*]f32 {
+    return &global_sim.brain_trace.inputs;
+}
+
+/// Get pointer to the inspected organism's 12 hidden activations
+export fn getBrainHidden() [*]f32 {
+    return &global_sim.brain_trace.hidden;
+}
+
+/// Get pointer to the inspected organism's 17 network outputs
+export fn getBrainOutputs() [*]f32 {
+    return &global_sim.brain_trace.outputs;
+}
+
+/// Look up an organism's brain (plants have none)
+fn getBrain(organism_id: u32) ?*nn.NeuralNetwork {
+    if (!sim_initialized or organism_id >= global_sim.organisms.count) return null;
+    return global_sim.organisms.brains[organism_id];
+}
+
+/// Get a brain layer size (layer: 0=inputs, 1=hidden, 2=outputs; 0 if no brain)
+export fn getBrainLayerSize(organism_id: u32, layer: u8) u32 {
+    const brain = getBrain(organism_id) orelse return 0;
+    return switch (layer) {
+        0 => brain.inputs_count,
+        1 => brain.hidden_count,
+        2 => brain.outputs_count,
+        else => 0,
+    };
+}
+
+/// Get pointer to input→hidden weights (inputs x hidden, row per input; null if no brain)
+export fn getBrainWeightsIH(organism_id: u32) ?[*]f32 {
+    const brain = getBrain(organism_id) orelse return null;
+    return brain.weights_ih.ptr;
+}
+
+/// Get pointer to hidden→output weights (hidden x outputs, row per hidden neuron; null if no brain)
+export fn getBrainWeightsHO(organism_id: u32) ?[*]f32 {
+    const brain = getBrain(organism_id) orelse return null;
+    return brain.weights_ho.ptr;
+}
+
+/// Get pointer to hidden layer biases (null if no brain)
+export fn getBrainBiasH(organism_id: u32) ?[*]f32 {
+    const brain = getBrain(organism_id) orelse return null;
+    return brain.bias_h.ptr;
+}
+
+/// Get pointer to output layer biases (null if no brain)
+export fn getBrainBiasO(organism_id: u32) ?[*]f32 {
+    const brain = getBrain(organism_id) orelse return null;
+    return brain.bias_o.ptr;
+}
+
+// === BRAIN EXPORT / GENE BANK ===
+
+/// Staging area JS fills with a saved brain before spawnOrganismWithBrain
+var brain_import_buffer: [nn.BRAIN_PARAMETER_COUNT]f32 = [_]f32{0} ** nn.BRAIN_PARAMETER_COUNT;
+
+/// Get number of weights and biases in a brain (flat order: weights_ih, weights_ho, bias_h, bias_o)
+export fn getBrainParameterCount() u32 {
+    return nn.BRAIN_PARAMETER_COUNT;
+}
+
+/// Get pointer to the brain import staging buffer
+export fn getBrainImportBuffer() [*]f32 {
+    return &brain_import_buffer;
+}
+
+/// Spawn an organism with the brain currently in the import buffer (0xFFFFFFFF on failure)
+export fn spawnOrganismWithBrain(org_type: u8, x: f32, y: f32, z: f32, tribe_id: u32) u32 {
+    if (sim_initialized and org_type <= @intFromEnum(organism.OrganismType.humanoid)) {
+        const pos = math.Vec3.init(x, y, z);
+        const org_enum = @as(organism.OrganismType, @enumFromInt(org_type));
+        return global_sim.spawnOrganismWithBrain(org_enum, pos, tribe_id, &brain_import_buffer) catch 0xFFFFFFFF;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Get an organism's age in seconds
+export fn getOrganismAge(organism_id: u32) f32 {
+    if (sim_initialized and organism_id < global_sim.organisms.count) {
+        return global_sim.organisms.ages[organism_id];
+    }
+    return 0;
+}
+
+/// Get how many offspring an organism has produced
+export fn getOrganismOffspring(organism_id: u32) u32 {
+    if (sim_initialized and organism_id < global_sim.organisms.count) {
+        return global_sim.organisms.offspring_counts[organism_id];
+    }
+    return 0;
+}
+
+/// Get how many organisms an organism has killed
+export fn getOrganismKills(organism_id: u32) u32 {
+    if (sim_initialized and organism_id < global_sim.organisms.count) {
+        return global_sim.organisms.kill_counts[organism_id];
+    }
+    return 0;
+}
+
+/// Look up a gene bank champion (metric: 0=lifespan, 1=offspring, 2=kills; rank 0 = best)
+fn getChampion(metric: u8, rank: u32) ?*const gene_bank.Champion {
+    if (!sim_initialized or metric >= gene_bank.METRIC_COUNT) return null;
+    return global_sim.gene_bank.get(@enumFromInt(metric), rank);
+}
+
+/// Get champions kept per gene bank ranking
+export fn getGeneBankSlots() u32 {
+    return gene_bank.SLOTS_PER_METRIC;
+}
+
+/// Get number of champions in a gene bank ranking
+export fn getGeneBankCount(metric: u8) u32 {
+    if (sim_initialized and metric < gene_bank.METRIC_COUNT) {
+        return @intCast(global_sim.gene_bank.count(@enumFromInt(metric)));
     }
     return 0;
 }
 
-/// Check if two tribes share a border
-export fn sharesBorder(tribe_a: u32, tribe_b: u32) bool {
-    if (sim_initialized) {
-        return global_sim.territory_mgr.sharesBorder(tribe_a, tribe_b);
+/// Get champion organism type (0xFF if the slot is empty)
+export fn getChampionType(metric: u8, rank: u32) u8 {
+    const champion = getChampion(metric, rank) orelse return 0xFF;
+    return champion.org_type;
+}
+
+/// Get the organism id the champion's brain came from
+export fn getChampionSource(metric: u8, rank: u32) u32 {
+    const champion = getChampion(metric, rank) orelse return 0xFFFFFFFF;
+    return champion.source_id;
+}
+
+/// Get the tribe the champion belonged to
+export fn getChampionTribe(metric: u8, rank: u32) u32 {
+    const champion = getChampion(metric, rank) orelse return 0xFFFFFFFF;
+    return champion.tribe_id;
+}
+
+/// Get champion lifespan in seconds
+export fn getChampionLifespan(metric: u8, rank: u32) f32 {
+    const champion = getChampion(metric, rank) orelse return 0;
+    return champion.lifespan;
+}
+
+/// Get champion offspring count
+export fn getChampionOffspring(metric: u8, rank: u32) u32 {
+    const champion = getChampion(metric, rank) orelse return 0;
+    return champion.offspring;
+}
+
+/// Get champion kill count
+export fn getChampionKills(metric: u8, rank: u32) u32 {
+    const champion = getChampion(metric, rank) orelse return 0;
+    return champion.kills;
+}
+
+/// Get pointer to a champion's flat brain weights (null if the slot is empty)
+export fn getChampionWeights(metric: u8, rank: u32) ?[*]const f32 {
+    const champion = getChampion(metric, rank) orelse return null;
+    return &champion.weights;
+}
+
+/// Spawn a copy of a gene bank champion (0xFFFFFFFF on failure)
+export fn spawnChampion(metric: u8, rank: u32, x: f32, y: f32, z: f32, tribe_id: u32) u32 {
+    if (sim_initialized and metric < gene_bank.METRIC_COUNT) {
+        const pos = math.Vec3.init(x, y, z);
+        return global_sim.spawnChampion(@enumFromInt(metric), rank, pos, tribe_id) catch 0xFFFFFFFF;
     }
-    return false;
+    return 0xFFFFFFFF;
 }
 
-// === POPULATION ===
+// === LINEAGE ===
+// Arrays are indexed by organism id and hold getLineageCount() entries
 
-/// Get total births (all time)
-export fn getTotalBirths() u64 {
+/// Get number of organisms with a lineage record
+export fn getLineageCount() u32 {
     if (sim_initialized) {
-        return global_sim.population_mgr.total_births;
+        return @intCast(global_sim.lineage.count);
     }
     return 0;
 }
 
-/// Get total deaths (all time)
-export fn getTotalDeaths() u64 {
+/// Get pointer to primary parent ids (0xFFFFFFFF for founders)
+export fn getLineageParentsA() [*]u32 {
     if (sim_initialized) {
-        return global_sim.population_mgr.total_deaths;
+        return global_sim.lineage.parents_a.ptr;
     }
-    return 0;
+    return undefined;
 }
 
-/// Get total disease cases (all time)
-export fn getTotalDiseases() u64 {
+/// Get pointer to second parent ids (0xFFFFFFFF for single-parent births)
+export fn getLineageParentsB() [*]u32 {
     if (sim_initialized) {
-        return global_sim.population_mgr.total_disease_cases;
+        return global_sim.lineage.parents_b.ptr;
     }
-    return 0;
+    return undefined;
 }
 
-/// Get tribe births this year
-export fn getTribeBirths(tribe_id: u32) u32 {
-    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
-        return global_sim.population_mgr.tribe_births[tribe_id];
+/// Get pointer to generation numbers (0 = founder)
+export fn getLineageGenerations() [*]u32 {
+    if (sim_initialized) {
+        return global_sim.lineage.generations.ptr;
     }
-    return 0;
+    return undefined;
 }
 
-/// Get tribe deaths this year
-export fn getTribeDeaths(tribe_id: u32) u32 {
-    if (sim_initialized and tribe_id < tribe.MAX_TRIBES) {
-        return global_sim.population_mgr.tribe_deaths[tribe_id];
+/// Get pointer to mutation magnitudes (mean absolute weight change at birth)
+export fn getLineageMutations() [*]f32 {
+    if (sim_initialized) {
+        return global_sim.lineage.mutations.ptr;
     }
-    return 0;
+    return undefined;
 }
 
-/// Start disease outbreak in tribe (god power)
-export fn startOutbreak(tribe_id: u32, disease_type: u8) void {
+/// Get pointer to birth times in simulation seconds
+export fn getLineageBirthTimes() [*]f32 {
     if (sim_initialized) {
-        const population = @import("population.zig");
-        const disease: population.Disease = @enumFromInt(disease_type);
-        global_sim.population_mgr.startOutbreak(tribe_id, disease, &global_sim.organisms, &global_sim.rng);
+        return global_sim.lineage.birth_times.ptr;
     }
+    return undefined;
+}
+
+/// Get pointer to death times in simulation seconds (-1 while alive)
+export fn getLineageDeathTimes() [*]f32 {
+    if (sim_initialized) {
+        return global_sim.lineage.death_times.ptr;
+    }
+    return undefined;
 }
 
 // === EXTENDED STATS ===
 
+/// Scratch space JS can pass to getExtendedStats
+var extended_stats_buffer: [13]u32 = [_]u32{0} ** 13;
+
+/// Get pointer to a buffer large enough for getExtendedStats
+export fn getExtendedStatsBuffer() [*]u32 {
+    return &extended_stats_buffer;
+}
+
 /// Get extended statistics as packed data
 /// Returns: [season, weather, day_lo, day_hi, year_lo, year_hi, wars, treaties, events, ...]
 export fn getExtendedStats(out_buffer: [*]u32) void {
@@ -749,24 +2415,46 @@ export fn getTribeTerritoryCount(tribe_id: u32) u32 {
 
 // === GOD POWERS ===
 
-/// Trigger seasonal event (for testing/god powers)
-export fn triggerEvent(event_type: u8) void {
-    if (sim_initialized) {
-        const event: seasons.EventType = @enumFromInt(event_type);
-        global_sim.season_mgr.triggerEvent(event, &global_sim.rng);
+/// Trigger seasonal event at a random spot (for testing/god powers)
+/// Returns: the new event's id, 0xFFFFFFFF for an unknown event type
+export fn triggerEvent(event_type: u8) u32 {
+    if (sim_initialized and event_type < seasons.EVENT_TYPE_COUNT) {
+        return global_sim.season_mgr.triggerEvent(@enumFromInt(event_type), &global_sim.rng).id;
+    }
+    return seasons.NO_EVENT;
+}
+
+/// Trigger seasonal event centered on (x, z)
+export fn triggerEventAt(event_type: u8, x: f32, z: f32) u32 {
+    if (sim_initialized and event_type < seasons.EVENT_TYPE_COUNT) {
+        return global_sim.season_mgr.triggerEventAt(@enumFromInt(event_type), x, z, &global_sim.rng).id;
+    }
+    return seasons.NO_EVENT;
+}
+
+/// Force the weather for `duration` seconds (god-power storms, cloud seeding)
+/// Movement and food modifiers follow at once; returns false for an unknown weather
+export fn setWeather(weather: u8, duration: f32) bool {
+    if (sim_initialized and weather < seasons.WEATHER_COUNT) {
+        global_sim.season_mgr.setWeather(@enumFromInt(weather), @max(duration, 1.0));
+        return true;
     }
+    return false;
 }
 
 /// Give resources to tribe
-export fn giveResources(tribe_id: u32, food: f32, wood: f32, stone: f32, metal: f32) void {
+/// Returns: false if the tribe is unknown
+export fn giveResources(tribe_id: u32, food: f32, wood: f32, stone: f32, metal: f32) bool {
     if (sim_initialized) {
         if (global_sim.tribes.getTribe(tribe_id)) |t| {
             t.food += food;
             t.wood += wood;
             t.stone += stone;
             t.metal += metal;
+            return true;
         }
     }
+    return false;
 }
 
 /// Modify reputation between tribes
@@ -776,6 +2464,386 @@ export fn modifyReputation(tribe_a: u32, tribe_b: u32, delta: i32) void {
     }
 }
 
+/// Introduce two tribes with the same reputation both ways (-100..100), as a scenario's starting relation
+export fn setReputation(tribe_a: u32, tribe_b: u32, reputation: i32) void {
+    if (sim_initialized) {
+        global_sim.diplomacy_mgr.setRelation(tribe_a, tribe_b, reputation);
+    }
+}
+
+/// Death cause to pin on a god power's victims (unknown causes count as a disaster)
+fn interventionCause(cause: u8) population.DeathCause {
+    if (cause == 0 or cause >= population.DEATH_CAUSE_COUNT) return .disaster;
+    return @enumFromInt(cause);
+}
+
+/// Damage a creature; if it dies, its death is recorded with `cause` (a DeathCause)
+/// Returns: false if it is not a living animal or humanoid
+export fn damageOrganism(organism_id: u32, amount: f32, cause: u8) bool {
+    if (sim_initialized and amount > 0) {
+        return global_sim.harmOrganism(organism_id, amount, interventionCause(cause));
+    }
+    return false;
+}
+
+/// Restore a creature's health (capped at 100) and add energy
+export fn healOrganism(organism_id: u32, health: f32, energy: f32) bool {
+    if (sim_initialized and health >= 0 and energy >= 0) {
+        return global_sim.healOrganism(organism_id, health, energy);
+    }
+    return false;
+}
+
+/// Kill a creature outright
+export fn killOrganism(organism_id: u32, cause: u8) bool {
+    if (sim_initialized) {
+        return global_sim.killOrganism(organism_id, interventionCause(cause));
+    }
+    return false;
+}
+
+/// Sap a creature's health and energy (a curse never takes either below 10)
+export fn curseOrganism(organism_id: u32, health: f32, energy: f32) bool {
+    if (sim_initialized and health >= 0 and energy >= 0) {
+        return global_sim.curseOrganism(organism_id, health, energy);
+    }
+    return false;
+}
+
+/// Mutate a creature's brain as if `rounds` generations had passed
+export fn evolveOrganism(organism_id: u32, rounds: u32) bool {
+    if (sim_initialized) {
+        return global_sim.evolveOrganism(organism_id, rounds);
+    }
+    return false;
+}
+
+/// Pull a creature's brain halfway towards the gene bank's best of its kind
+/// Returns: false if no brain of its type has been banked yet
+export fn enlightenOrganism(organism_id: u32) bool {
+    if (sim_initialized) {
+        return global_sim.enlightenOrganism(organism_id);
+    }
+    return false;
+}
+
+/// Bring back the animal or humanoid that died most recently within `radius` of (x, z)
+/// Returns: its id, or 0xFFFFFFFF if nobody died there
+export fn resurrectNear(x: f32, z: f32, radius: f32) u32 {
+    if (sim_initialized) {
+        return global_sim.resurrectNear(x, z, radius) orelse 0xFFFFFFFF;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Spawn a twin of an animal or humanoid at (x, z) with its species, tribe and brain
+/// Returns: the twin's id, or 0xFFFFFFFF if the original is not a living creature
+export fn cloneOrganism(organism_id: u32, x: f32, z: f32) u32 {
+    if (sim_initialized and organism_id < global_sim.organisms.count) {
+        const pos = math.Vec3.init(x, global_sim.organisms.positions_y[organism_id], z);
+        return global_sim.cloneOrganism(organism_id, pos) catch 0xFFFFFFFF;
+    }
+    return 0xFFFFFFFF;
+}
+
+/// Kill every plant within `radius` of (x, z)
+/// Returns: number of plants killed
+export fn witherArea(x: f32, z: f32, radius: f32) u32 {
+    if (sim_initialized) {
+        return global_sim.witherArea(x, z, radius);
+    }
+    return 0;
+}
+
+/// Infect a creature with a disease (false if it is already sick or immune)
+export fn infectOrganism(organism_id: u32, disease_type: u8) bool {
+    if (sim_initialized and disease_type > 0 and disease_type < population.DISEASE_COUNT) {
+        return global_sim.infectOrganism(organism_id, @enumFromInt(disease_type));
+    }
+    return false;
+}
+
+/// Damage every creature within `radius` of (x, z)
+/// Returns: number of creatures hit
+export fn damageArea(x: f32, z: f32, radius: f32, amount: f32, cause: u8) u32 {
+    if (sim_initialized and amount > 0) {
+        return global_sim.applyAreaEffect(x, z, radius, .{ .damage = .{ .amount = amount, .cause = interventionCause(cause) } });
+    }
+    return 0;
+}
+
+/// Heal every creature within `radius` of (x, z)
+/// Returns: number of creatures healed
+export fn healArea(x: f32, z: f32, radius: f32, health: f32, energy: f32) u32 {
+    if (sim_initialized and health >= 0 and energy >= 0) {
+        return global_sim.applyAreaEffect(x, z, radius, .{ .heal = .{ .health = health, .energy = energy } });
+    }
+    return 0;
+}
+
+/// Kill every creature within `radius` of (x, z)
+/// Returns: number of creatures killed
+export fn killArea(x: f32, z: f32, radius: f32, cause: u8) u32 {
+    if (sim_initialized) {
+        return global_sim.applyAreaEffect(x, z, radius, .{ .kill = interventionCause(cause) });
+    }
+    return 0;
+}
+
+/// Infect each creature within `radius` of (x, z) with probability `chance` (0-1)
+/// Returns: number of new infections
+export fn infectArea(x: f32, z: f32, radius: f32, disease_type: u8, chance: f32) u32 {
+    if (sim_initialized and disease_type > 0 and disease_type < population.DISEASE_COUNT) {
+        return global_sim.applyAreaEffect(x, z, radius, .{ .infect = .{ .disease = @enumFromInt(disease_type), .chance = chance } });
+    }
+    return 0;
+}
+
+// === TERRAIN ===
+// The heightfield and biome map are equirectangular over the planet: getHeightfieldWidth()
+// columns of longitude (-pi to pi) by getHeightfieldHeight() rows of latitude (south pole first)
+
+/// Get heightfield width in texels (longitude)
+export fn getHeightfieldWidth() u32 {
+    return @intCast(terrain.MAP_WIDTH);
+}
+
+/// Get heightfield height in texels (latitude)
+export fn getHeightfieldHeight() u32 {
+    return @intCast(terrain.MAP_HEIGHT);
+}
+
+/// Get pointer to the heightfield (heights above the planet radius)
+export fn getHeightfield() [*]const f32 {
+    if (sim_initialized) {
+        return global_sim.terrain.heights.ptr;
+    }
+    return undefined;
+}
+
+/// Get pointer to the biome map (one TerrainType per texel)
+export fn getBiomeMap() [*]const u8 {
+    if (sim_initialized) {
+        return @ptrCast(global_sim.terrain.biomes.ptr);
+    }
+    return undefined;
+}
+
+/// Get the height at or below which the ground is under water
+export fn getWaterLevel() f32 {
+    return terrain.WATER_LEVEL;
+}
+
+/// Get ground height at a flat world position
+export fn getTerrainHeightAt(x: f32, z: f32) f32 {
+    if (sim_initialized) {
+        return global_sim.terrain.heightAt(x, z);
+    }
+    return 0;
+}
+
+/// Check whether a flat world position is dry land
+export fn isLand(x: f32, z: f32) bool {
+    if (sim_initialized) {
+        return global_sim.terrain.isLand(x, z);
+    }
+    return false;
+}
+
+/// Get the terrain revision (changes whenever the heightfield or biome map does)
+export fn getTerrainRevision() u32 {
+    if (sim_initialized) {
+        return global_sim.terrain.revision +% terrain_revision_offset;
+    }
+    return 0;
+}
+
+/// Start a sculpting stroke (call once before the dabs of each brush stroke so it can be undone)
+export fn beginTerrainStroke() bool {
+    if (sim_initialized) {
+        return global_sim.beginTerrainStroke();
+    }
+    return false;
+}
+
+/// Apply one dab of a SculptTool brush at a flat world position
+/// radius is along the planet surface; strength is height per dab (raise/lower) or 0-1 blend
+/// Returns: whether the ground changed (the terrain revision is bumped if it did)
+export fn sculptTerrain(tool: u8, x: f32, z: f32, radius: f32, strength: f32) bool {
+    if (sim_initialized) {
+        if (tool >= terrain.SCULPT_TOOL_COUNT) return false;
+        return global_sim.sculptTerrain(@enumFromInt(tool), x, z, radius, strength);
+    }
+    return false;
+}
+
+/// Undo the last sculpting stroke
+export fn undoTerrainStroke() bool {
+    if (sim_initialized) {
+        return global_sim.undoTerrainStroke();
+    }
+    return false;
+}
+
+/// Get how many sculpting strokes can be undone
+export fn getTerrainUndoCount() u32 {
+    if (sim_initialized) {
+        return @intCast(global_sim.terrain.undo_count);
+    }
+    return 0;
+}
+
+// === SIMULATION EVENTS ===
+
+/// Events moved out of the simulation's log by the last drainSimEvents
+var drained_events: [event_log.LOG_CAPACITY]event_log.SimEvent = undefined;
+var drained_event_count: usize = 0;
+
+/// Move every pending simulation event into the drained list, oldest first
+/// Returns: number of events drained (read them with the getSimEvent* getters)
+export fn drainSimEvents() u32 {
+    if (sim_initialized) {
+        drained_event_count = global_sim.events.drain(&drained_events);
+        return @intCast(drained_event_count);
+    }
+    drained_event_count = 0;
+    return 0;
+}
+
+/// Get events overwritten before they were drained
+export fn getDroppedSimEventCount() u32 {
+    if (sim_initialized) {
+        return @truncate(global_sim.events.dropped);
+    }
+    return 0;
+}
+
+fn drainedEvent(index: u32) ?*const event_log.SimEvent {
+    if (index >= drained_event_count) return null;
+    return &drained_events[index];
+}
+
+/// Get drained event kind (EventKind, 255 if out of range)
+export fn getSimEventKind(index: u32) u8 {
+    const e = drainedEvent(index) orelse return 255;
+    return @intFromEnum(e.kind);
+}
+
+/// Get the organism, building or first victim an event is about
+export fn getSimEventSubject(index: u32) u32 {
+    const e = drainedEvent(index) orelse return event_log.NONE;
+    return e.subject;
+}
+
+/// Get the parent or target of a birth or attack
+export fn getSimEventOther(index: u32) u32 {
+    const e = drainedEvent(index) orelse return event_log.NONE;
+    return e.other;
+}
+
+/// Get the subject's organism type (255 if the subject isn't an organism)
+export fn getSimEventOrganismType(index: u32) u8 {
+    const e = drainedEvent(index) orelse return event_log.NO_TYPE;
+    return e.organism_type;
+}
+
+/// Get the other organism's type
+export fn getSimEventOtherType(index: u32) u8 {
+    const e = drainedEvent(index) orelse return event_log.NO_TYPE;
+    return e.other_type;
+}
+
+/// Get the subject's tribe (the attacker for wars)
+export fn getSimEventTribe(index: u32) u32 {
+    const e = drainedEvent(index) orelse return event_log.NONE;
+    return e.tribe;
+}
+
+/// Get the other tribe of an attack, contact, war or treaty
+export fn getSimEventOtherTribe(index: u32) u32 {
+    const e = drainedEvent(index) orelse return event_log.NONE;
+    return e.other_tribe;
+}
+
+/// Get the kind-specific detail (death cause, building type, technology, disease...)
+export fn getSimEventDetail(index: u32) u32 {
+    const e = drainedEvent(index) orelse return 0;
+    return e.detail;
+}
+
+export fn getSimEventX(index: u32) f32 {
+    const e = drainedEvent(index) orelse return 0;
+    return e.x;
+}
+
+export fn getSimEventZ(index: u32) f32 {
+    const e = drainedEvent(index) orelse return 0;
+    return e.z;
+}
+
+/// Get the simulation time the event happened at
+export fn getSimEventTime(index: u32) f32 {
+    const e = drainedEvent(index) orelse return 0;
+    return e.time;
+}
+
+// === SAVE / LOAD ===
+
+// Snapshot transfer buffer shared with JavaScript (uninitialized to avoid large data section)
+var state_buffer: [snapshot.BUFFER_SIZE]u8 = undefined;
+
+/// Get pointer to the snapshot transfer buffer
+export fn getStateBuffer() [*]u8 {
+    return &state_buffer;
+}
+
+/// Get snapshot transfer buffer capacity in bytes
+export fn getStateBufferSize() u32 {
+    return state_buffer.len;
+}
+
+/// Serialize the full simulation into the snapshot buffer
+/// Returns: number of bytes written, 0 on failure
+export fn saveState() u32 {
+    if (sim_initialized) {
+        var writer = snapshot.Writer.init(&state_buffer);
+        global_sim.saveSnapshot(&writer) catch return 0;
+        return @intCast(writer.pos);
+    }
+    return 0;
+}
+
+/// Replace the simulation with a snapshot of `len` bytes copied into the snapshot buffer
+export fn loadState(len: u32) bool {
+    if (len > state_buffer.len) return false;
+    const data = state_buffer[0..len];
+
+    // Decode the whole snapshot into the spare heap first, so a corrupt one leaves the current world alone
+    // (the fixed buffer allocator cannot reclaim the old world piecemeal)
+    const spare = 1 - active_heap;
+    heaps[spare] = std.heap.FixedBufferAllocator.init(&memory_buffers[spare]);
+    loading_sim.loadSnapshot(heaps[spare].allocator(), data) catch return false;
+    const revision = nextTerrainRevision();
+
+    if (sim_initialized) {
+        global_sim.deinit();
+    }
+    global_sim = loading_sim;
+    active_heap = spare;
+    terrain_revision_offset = revision -% global_sim.terrain.revision;
+    sim_initialized = true;
+
+    return true;
+}
+
+/// Get a hash of the current world state (for replay verification)
+export fn getStateChecksum() u32 {
+    if (sim_initialized) {
+        return global_sim.checksum();
+    }
+    return 0;
+}
+
 /// Clean up simulation
 export fn cleanup() void {
     if (sim_initialized) {
@@ -3,6 +3,10 @@
 
 const std = @import("std");
 const math = @import("math.zig");
+const snapshot = @import("snapshot.zig");
+
+/// Number of message symbols
+pub const SYMBOL_COUNT: usize = 30;
 
 /// Message symbols (30 types)
 pub const Symbol = enum(u8) {
@@ -143,7 +147,7 @@ pub const Message = struct {
 };
 
 /// Message intent (simplified interpretation)
-pub const MessageIntent = enum {
+pub const MessageIntent = enum(u8) {
     unknown,
     warning,
     threat,
@@ -178,6 +182,22 @@ pub const MessageQueue = struct {
         self.allocator.free(self.messages);
     }
 
+    /// Write queued messages to a snapshot
+    pub fn save(self: *const MessageQueue, writer: *snapshot.Writer) !void {
+        try writer.writeValue(f32, &self.current_time);
+        try writer.writeInt(@intCast(self.count));
+        try writer.writeSlice(Message, self.messages[0..self.count]);
+    }
+
+    /// Restore queued messages from a snapshot
+    pub fn load(self: *MessageQueue, reader: *snapshot.Reader) !void {
+        try reader.readValue(f32, &self.current_time);
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+        try reader.readSlice(Message, self.messages[0..n]);
+        self.count = n;
+    }
+
     /// Send a message
     pub fn send(self: *MessageQueue, message: Message) !void {
         if (self.count >= self.capacity) {
@@ -266,12 +286,12 @@ pub const MessageQueue = struct {
 
 /// Language evolution - tracks symbol usage frequency
 pub const LanguageStats = struct {
-    symbol_usage: [30]u32, // Count for each symbol
+    symbol_usage: [SYMBOL_COUNT]u32, // Count for each symbol
     total_messages: u32,
 
     pub fn init() LanguageStats {
         return .{
-            .symbol_usage = [_]u32{0} ** 30,
+            .symbol_usage = [_]u32{0} ** SYMBOL_COUNT,
             .total_messages = 0,
         };
     }
@@ -300,6 +320,15 @@ pub const LanguageStats = struct {
         return @enumFromInt(max_idx);
     }
 
+    /// Count symbols used at least min_uses times
+    pub fn getVocabularySize(self: *const LanguageStats, min_uses: u32) u32 {
+        var size: u32 = 0;
+        for (self.symbol_usage) |count| {
+            if (count > 0 and count >= min_uses) size += 1;
+        }
+        return size;
+    }
+
     /// Get symbol usage percentage
     pub fn getSymbolUsage(self: *const LanguageStats, symbol: Symbol) f32 {
         if (self.total_messages == 0) return 0;
@@ -361,3 +390,20 @@ test "LanguageStats tracking" {
     const usage = stats.getSymbolUsage(.food);
     try std.testing.expect(usage > 0);
 }
+
+test "LanguageStats vocabulary size" {
+    var stats = LanguageStats.init();
+
+    var msg = Message.init(1, 0, 0);
+    _ = msg.addSymbol(.food);
+    _ = msg.addSymbol(.danger);
+    stats.recordMessage(&msg);
+    stats.recordMessage(&msg);
+
+    var other = Message.init(2, 0, 0);
+    _ = other.addSymbol(.trade);
+    stats.recordMessage(&other);
+
+    try std.testing.expectEqual(@as(u32, 3), stats.getVocabularySize(1));
+    try std.testing.expectEqual(@as(u32, 2), stats.getVocabularySize(2));
+}
@@ -3,6 +3,15 @@
 
 const std = @import("std");
 const math = @import("math.zig");
+const snapshot = @import("snapshot.zig");
+
+/// Layer sizes every organism brain is created with
+pub const BRAIN_INPUTS: u32 = 15;
+pub const BRAIN_HIDDEN: u32 = 12;
+pub const BRAIN_OUTPUTS: u32 = 17;
+
+/// Weights and biases in a standard brain, in flat order: weights_ih, weights_ho, bias_h, bias_o
+pub const BRAIN_PARAMETER_COUNT: usize = BRAIN_INPUTS * BRAIN_HIDDEN + BRAIN_HIDDEN * BRAIN_OUTPUTS + BRAIN_HIDDEN + BRAIN_OUTPUTS;
 
 /// Neural Network brain for organisms
 /// Architecture: 15 inputs → Hidden layer → 17 outputs
@@ -147,6 +156,74 @@ pub const NeuralNetwork = struct {
         };
     }
 
+    /// Write layer sizes, weights and biases to a snapshot
+    pub fn save(self: *const NeuralNetwork, writer: *snapshot.Writer) !void {
+        try writer.writeInt(self.inputs_count);
+        try writer.writeInt(self.hidden_count);
+        try writer.writeInt(self.outputs_count);
+        try writer.writeSlice(f32, self.weights_ih);
+        try writer.writeSlice(f32, self.weights_ho);
+        try writer.writeSlice(f32, self.bias_h);
+        try writer.writeSlice(f32, self.bias_o);
+    }
+
+    /// Read a neural network previously written with save()
+    pub fn load(allocator: std.mem.Allocator, reader: *snapshot.Reader) !NeuralNetwork {
+        const inputs = try reader.readInt();
+        const hidden = try reader.readInt();
+        const outputs = try reader.readInt();
+        if (inputs == 0 or hidden == 0 or outputs == 0) return error.InvalidData;
+
+        const weights_ih = try allocator.alloc(f32, inputs * hidden);
+        errdefer allocator.free(weights_ih);
+        const weights_ho = try allocator.alloc(f32, hidden * outputs);
+        errdefer allocator.free(weights_ho);
+        const bias_h = try allocator.alloc(f32, hidden);
+        errdefer allocator.free(bias_h);
+        const bias_o = try allocator.alloc(f32, outputs);
+        errdefer allocator.free(bias_o);
+
+        try reader.readSlice(f32, weights_ih);
+        try reader.readSlice(f32, weights_ho);
+        try reader.readSlice(f32, bias_h);
+        try reader.readSlice(f32, bias_o);
+
+        return .{
+            .inputs_count = inputs,
+            .hidden_count = hidden,
+            .outputs_count = outputs,
+            .weights_ih = weights_ih,
+            .weights_ho = weights_ho,
+            .bias_h = bias_h,
+            .bias_o = bias_o,
+            .allocator = allocator,
+        };
+    }
+
+    /// Copy all weights and biases into out (weights_ih, weights_ho, bias_h, bias_o)
+    pub fn writeFlat(self: *const NeuralNetwork, out: []f32) void {
+        std.debug.assert(out.len == self.getTotalWeights());
+        var pos: usize = 0;
+        for ([_][]const f32{ self.weights_ih, self.weights_ho, self.bias_h, self.bias_o }) |part| {
+            @memcpy(out[pos..][0..part.len], part);
+            pos += part.len;
+        }
+    }
+
+    /// Replace all weights and biases from a flat array laid out like writeFlat
+    pub fn readFlat(self: *NeuralNetwork, flat: []const f32) !void {
+        if (flat.len != self.getTotalWeights()) return error.InvalidData;
+        for (flat) |w| {
+            if (!std.math.isFinite(w)) return error.InvalidData;
+        }
+
+        var pos: usize = 0;
+        for ([_][]f32{ self.weights_ih, self.weights_ho, self.bias_h, self.bias_o }) |part| {
+            @memcpy(part, flat[pos..][0..part.len]);
+            pos += part.len;
+        }
+    }
+
     /// Get total number of weights (for debugging)
     pub fn getTotalWeights(self: *const NeuralNetwork) usize {
         return self.weights_ih.len + self.weights_ho.len + self.bias_h.len + self.bias_o.len;
@@ -210,3 +287,41 @@ test "NeuralNetwork clone and mutate" {
     }
     try std.testing.expect(different);
 }
+
+test "NeuralNetwork flat weight round trip" {
+    var rng = math.Rng.init(42);
+    var nn = try NeuralNetwork.init(std.testing.allocator, BRAIN_INPUTS, BRAIN_HIDDEN, BRAIN_OUTPUTS, &rng);
+    defer nn.deinit();
+    var other = try NeuralNetwork.init(std.testing.allocator, BRAIN_INPUTS, BRAIN_HIDDEN, BRAIN_OUTPUTS, &rng);
+    defer other.deinit();
+
+    var flat: [BRAIN_PARAMETER_COUNT]f32 = undefined;
+    nn.writeFlat(&flat);
+    try other.readFlat(&flat);
+
+    try std.testing.expectEqualSlices(f32, nn.weights_ih, other.weights_ih);
+    try std.testing.expectEqualSlices(f32, nn.bias_o, other.bias_o);
+    try std.testing.expectError(error.InvalidData, other.readFlat(flat[1..]));
+}
+
+test "NeuralNetwork save and load" {
+    var rng = math.Rng.init(42);
+    var nn = try NeuralNetwork.init(std.testing.allocator, 15, 12, 17, &rng);
+    defer nn.deinit();
+
+    var buffer: [4096]u8 = undefined;
+    var writer = snapshot.Writer.init(&buffer);
+    try nn.save(&writer);
+
+    var reader = snapshot.Reader.init(buffer[0..writer.pos]);
+    var loaded = try NeuralNetwork.load(std.testing.allocator, &reader);
+    defer loaded.deinit();
+
+    try std.testing.expectEqual(nn.hidden_count, loaded.hidden_count);
+    try std.testing.expectEqualSlices(f32, nn.weights_ho, loaded.weights_ho);
+    try std.testing.expectEqualSlices(f32, nn.bias_o, loaded.bias_o);
+
+    // A truncated network fails without leaking what was read so far
+    var truncated = snapshot.Reader.init(buffer[0 .. writer.pos - 4]);
+    try std.testing.expectError(error.UnexpectedEnd, NeuralNetwork.load(std.testing.allocator, &truncated));
+}
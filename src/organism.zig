@@ -4,6 +4,13 @@
 const std = @import("std");
 const math = @import("math.zig");
 const nn = @import("neural_network.zig");
+const snapshot = @import("snapshot.zig");
+const resource = @import("resource.zig");
+const terrain = @import("terrain.zig");
+const species = @import("species.zig");
+
+/// Personal carrying capacity (crafting materials, separate from the tribe stockpile)
+pub const INVENTORY_CAPACITY: f32 = 20.0;
 
 /// Organism type enum
 pub const OrganismType = enum(u8) {
@@ -33,9 +40,13 @@ pub const Organisms = struct {
 
     // Type and tribe info
     types: []u8, // OrganismType
+    species: []u8, // Species (species.NONE for plants and humanoids)
     tribe_ids: []u32,
     equipment_ids: []u32, // Index into equipment array
 
+    // Personal inventory (crafting materials)
+    inventories: []resource.Inventory,
+
     // Neural networks (one per organism)
     brains: []?*nn.NeuralNetwork,
 
@@ -47,6 +58,10 @@ pub const Organisms = struct {
     // Reproduction cooldown
     reproduction_cooldowns: []f32,
 
+    // Lifetime performance (ranks brains for the gene bank)
+    offspring_counts: []u32,
+    kill_counts: []u32,
+
     count: usize,
     capacity: usize,
     allocator: std.mem.Allocator,
@@ -65,13 +80,17 @@ pub const Organisms = struct {
             .ages = try allocator.alloc(f32, capacity),
             .sizes = try allocator.alloc(f32, capacity),
             .types = try allocator.alloc(u8, capacity),
+            .species = try allocator.alloc(u8, capacity),
             .tribe_ids = try allocator.alloc(u32, capacity),
             .equipment_ids = try allocator.alloc(u32, capacity),
+            .inventories = try allocator.alloc(resource.Inventory, capacity),
             .brains = try allocator.alloc(?*nn.NeuralNetwork, capacity),
             .alive = try allocator.alloc(bool, capacity),
             .is_attacking = try allocator.alloc(bool, capacity),
             .is_eating = try allocator.alloc(bool, capacity),
             .reproduction_cooldowns = try allocator.alloc(f32, capacity),
+            .offspring_counts = try allocator.alloc(u32, capacity),
+            .kill_counts = try allocator.alloc(u32, capacity),
             .count = 0,
             .capacity = capacity,
             .allocator = allocator,
@@ -99,16 +118,20 @@ pub const Organisms = struct {
         self.allocator.free(self.ages);
         self.allocator.free(self.sizes);
         self.allocator.free(self.types);
+        self.allocator.free(self.species);
         self.allocator.free(self.tribe_ids);
         self.allocator.free(self.equipment_ids);
+        self.allocator.free(self.inventories);
         self.allocator.free(self.brains);
         self.allocator.free(self.alive);
         self.allocator.free(self.is_attacking);
         self.allocator.free(self.is_eating);
         self.allocator.free(self.reproduction_cooldowns);
+        self.allocator.free(self.offspring_counts);
+        self.allocator.free(self.kill_counts);
     }
 
-    /// Spawn a new organism
+    /// Spawn a new organism (animals get a random species)
     pub fn spawn(
         self: *Organisms,
         org_type: OrganismType,
@@ -116,6 +139,19 @@ pub const Organisms = struct {
         tribe_id: u32,
         rng: *math.Rng,
     ) !u32 {
+        return self.spawnAs(org_type, species.pick(org_type, null, rng), pos, tribe_id, rng);
+    }
+
+    /// Spawn a new organism of a given species (species.NONE for plants and humanoids)
+    pub fn spawnAs(
+        self: *Organisms,
+        org_type: OrganismType,
+        species_id: u8,
+        pos: math.Vec3,
+        tribe_id: u32,
+        rng: *math.Rng,
+    ) !u32 {
+        if (!species.fits(org_type, species_id)) return error.InvalidSpecies;
         if (self.count >= self.capacity) return error.OutOfCapacity;
 
         const idx = self.count;
@@ -126,13 +162,34 @@ pub const Organisms = struct {
         self.positions_y[idx] = pos.y;
         self.positions_z[idx] = pos.z;
 
+        self.types[idx] = @intFromEnum(org_type);
+        self.species[idx] = species_id;
+        self.tribe_ids[idx] = tribe_id;
+        self.equipment_ids[idx] = 0; // No equipment
+        self.inventories[idx] = resource.Inventory.init(INVENTORY_CAPACITY);
+        self.brains[idx] = null;
+        try self.startLife(idx, rng);
+
+        return @intCast(idx);
+    }
+
+    /// Bring a dead animal or humanoid back to life where it fell, as if newly spawned
+    /// (a brain already released after death is replaced by a fresh one)
+    pub fn revive(self: *Organisms, idx: usize, rng: *math.Rng) !void {
+        if (idx >= self.count or self.alive[idx]) return error.NotDead;
+        if (self.types[idx] == @intFromEnum(OrganismType.plant)) return error.NotDead;
+        try self.startLife(idx, rng);
+    }
+
+    /// Fresh stats, brain and counters for the organism in slot `idx` (type and species already set)
+    fn startLife(self: *Organisms, idx: usize, rng: *math.Rng) !void {
         // Zero velocity
         self.velocities_x[idx] = 0;
         self.velocities_y[idx] = 0;
         self.velocities_z[idx] = 0;
 
         // Set stats based on type with random variation for genetic diversity
-        switch (org_type) {
+        switch (@as(OrganismType, @enumFromInt(self.types[idx]))) {
             .plant => {
                 // Plants: no brain, no variation needed (they're environment)
                 self.energies[idx] = 50.0;
@@ -140,21 +197,14 @@ pub const Organisms = struct {
                 self.sizes[idx] = 0.3 + rng.float() * 0.4; // 0.3-0.7 size variation
                 self.brains[idx] = null; // Plants don't have brains
             },
-            .herbivore => {
-                // Herbivores: variation in size affects energy/health
+            .herbivore, .carnivore => {
+                // Animals: their species' build, give or take 15-20% for genetic diversity
+                const def = species.defOf(self.species[idx]) orelse return error.InvalidSpecies;
                 const size_var = 0.8 + rng.float() * 0.4; // 0.8-1.2 multiplier
-                self.energies[idx] = 80.0 + rng.float() * 40.0; // 80-120 starting energy
-                self.healths[idx] = 60.0 + rng.float() * 40.0; // 60-100 health
-                self.sizes[idx] = 1.0 * size_var;
-                self.brains[idx] = try self.createBrain(rng);
-            },
-            .carnivore => {
-                // Carnivores: larger variation, some are bigger/stronger
-                const size_var = 0.7 + rng.float() * 0.6; // 0.7-1.3 multiplier
-                self.energies[idx] = 100.0 + rng.float() * 40.0; // 100-140 energy
-                self.healths[idx] = 80.0 + rng.float() * 40.0; // 80-120 health
-                self.sizes[idx] = 1.5 * size_var;
-                self.brains[idx] = try self.createBrain(rng);
+                self.energies[idx] = def.energy * (0.85 + rng.float() * 0.3);
+                self.healths[idx] = def.health * (0.85 + rng.float() * 0.3);
+                self.sizes[idx] = def.size * size_var;
+                if (self.brains[idx] == null) self.brains[idx] = try self.createBrain(rng);
             },
             .humanoid => {
                 // Humanoids: moderate variation, some stronger/weaker
@@ -162,29 +212,117 @@ pub const Organisms = struct {
                 self.energies[idx] = 90.0 + rng.float() * 30.0; // 90-120 energy
                 self.healths[idx] = 80.0 + rng.float() * 40.0; // 80-120 health
                 self.sizes[idx] = 1.8 * size_var;
-                self.brains[idx] = try self.createBrain(rng);
+                if (self.brains[idx] == null) self.brains[idx] = try self.createBrain(rng);
             },
         }
 
         self.ages[idx] = 0;
-        self.types[idx] = @intFromEnum(org_type);
-        self.tribe_ids[idx] = tribe_id;
-        self.equipment_ids[idx] = 0; // No equipment
         self.alive[idx] = true;
         self.is_attacking[idx] = false;
         self.is_eating[idx] = false;
         self.reproduction_cooldowns[idx] = 0;
-
-        return @intCast(idx);
+        self.offspring_counts[idx] = 0;
+        self.kill_counts[idx] = 0;
     }
 
     /// Create a neural network for an organism
     fn createBrain(self: *Organisms, rng: *math.Rng) !*nn.NeuralNetwork {
         const brain = try self.allocator.create(nn.NeuralNetwork);
-        brain.* = try nn.NeuralNetwork.init(self.allocator, 15, 12, 17, rng);
+        brain.* = try nn.NeuralNetwork.init(self.allocator, nn.BRAIN_INPUTS, nn.BRAIN_HIDDEN, nn.BRAIN_OUTPUTS, rng);
         return brain;
     }
 
+    /// Write all organism arrays and brains to a snapshot
+    pub fn save(self: *const Organisms, writer: *snapshot.Writer) !void {
+        const n = self.count;
+        try writer.writeInt(@intCast(n));
+
+        try writer.writeSlice(f32, self.positions_x[0..n]);
+        try writer.writeSlice(f32, self.positions_y[0..n]);
+        try writer.writeSlice(f32, self.positions_z[0..n]);
+        try writer.writeSlice(f32, self.velocities_x[0..n]);
+        try writer.writeSlice(f32, self.velocities_y[0..n]);
+        try writer.writeSlice(f32, self.velocities_z[0..n]);
+        try writer.writeSlice(f32, self.energies[0..n]);
+        try writer.writeSlice(f32, self.healths[0..n]);
+        try writer.writeSlice(f32, self.ages[0..n]);
+        try writer.writeSlice(f32, self.sizes[0..n]);
+        try writer.writeSlice(u8, self.types[0..n]);
+        try writer.writeSlice(u8, self.species[0..n]);
+        try writer.writeSlice(u32, self.tribe_ids[0..n]);
+        try writer.writeSlice(u32, self.equipment_ids[0..n]);
+        try writer.writeSlice(resource.Inventory, self.inventories[0..n]);
+        try writer.writeSlice(bool, self.alive[0..n]);
+        try writer.writeSlice(bool, self.is_attacking[0..n]);
+        try writer.writeSlice(bool, self.is_eating[0..n]);
+        try writer.writeSlice(f32, self.reproduction_cooldowns[0..n]);
+        try writer.writeSlice(u32, self.offspring_counts[0..n]);
+        try writer.writeSlice(u32, self.kill_counts[0..n]);
+
+        // Brains of dead organisms are never used again, so only living ones are stored
+        for (0..n) |i| {
+            const brain = if (self.alive[i]) self.brains[i] else null;
+            if (brain) |b| {
+                try writer.writeValue(bool, &true);
+                try b.save(writer);
+            } else {
+                try writer.writeValue(bool, &false);
+            }
+        }
+    }
+
+    /// Restore organisms from a snapshot (container must be empty)
+    pub fn load(self: *Organisms, reader: *snapshot.Reader) !void {
+        std.debug.assert(self.count == 0);
+
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+
+        try reader.readSlice(f32, self.positions_x[0..n]);
+        try reader.readSlice(f32, self.positions_y[0..n]);
+        try reader.readSlice(f32, self.positions_z[0..n]);
+        try reader.readSlice(f32, self.velocities_x[0..n]);
+        try reader.readSlice(f32, self.velocities_y[0..n]);
+        try reader.readSlice(f32, self.velocities_z[0..n]);
+        try reader.readSlice(f32, self.energies[0..n]);
+        try reader.readSlice(f32, self.healths[0..n]);
+        try reader.readSlice(f32, self.ages[0..n]);
+        try reader.readSlice(f32, self.sizes[0..n]);
+        try reader.readSlice(u8, self.types[0..n]);
+        try reader.readSlice(u8, self.species[0..n]);
+        try reader.readSlice(u32, self.tribe_ids[0..n]);
+        try reader.readSlice(u32, self.equipment_ids[0..n]);
+        try reader.readSlice(resource.Inventory, self.inventories[0..n]);
+        try reader.readSlice(bool, self.alive[0..n]);
+        try reader.readSlice(bool, self.is_attacking[0..n]);
+        try reader.readSlice(bool, self.is_eating[0..n]);
+        try reader.readSlice(f32, self.reproduction_cooldowns[0..n]);
+        try reader.readSlice(u32, self.offspring_counts[0..n]);
+        try reader.readSlice(u32, self.kill_counts[0..n]);
+
+        for (self.types[0..n], self.species[0..n]) |t, s| {
+            if (t > @intFromEnum(OrganismType.humanoid)) return error.InvalidData;
+            if (!species.fits(@enumFromInt(t), s)) return error.InvalidData;
+        }
+
+        for (0..n) |i| {
+            // Publish each slot before loading its brain so deinit() can free partial loads
+            self.brains[i] = null;
+            self.count = i + 1;
+
+            var has_brain: bool = false;
+            try reader.readValue(bool, &has_brain);
+            if (has_brain) {
+                const brain = try self.allocator.create(nn.NeuralNetwork);
+                brain.* = nn.NeuralNetwork.load(self.allocator, reader) catch |err| {
+                    self.allocator.destroy(brain);
+                    return err;
+                };
+                self.brains[i] = brain;
+            }
+        }
+    }
+
     /// Get position as Vec3
     pub fn getPosition(self: *const Organisms, idx: usize) math.Vec3 {
         return math.Vec3.init(
@@ -218,7 +356,8 @@ pub const Organisms = struct {
     }
 
     /// Update all organisms (physics, aging, etc.)
-    pub fn update(self: *Organisms, delta: f32) void {
+    /// With a world, walkers are slowed by rough ground and can't step from land into water
+    pub fn update(self: *Organisms, delta: f32, world: ?*const terrain.Terrain) void {
         for (0..self.count) |i| {
             if (!self.alive[i]) continue;
 
@@ -239,15 +378,30 @@ pub const Organisms = struct {
                 continue;
             }
 
-            // Update position based on velocity
-            self.positions_x[i] += self.velocities_x[i] * delta;
-            self.positions_y[i] += self.velocities_y[i] * delta;
-            self.positions_z[i] += self.velocities_z[i] * delta;
-
-            // Clamp to world bounds (-100 to 100)
-            self.positions_x[i] = math.clamp(self.positions_x[i], -100, 100);
-            self.positions_y[i] = math.clamp(self.positions_y[i], 0, 50);
-            self.positions_z[i] = math.clamp(self.positions_z[i], -100, 100);
+            // Update position based on velocity, clamped to world bounds (-100 to 100)
+            var step = delta;
+            if (world) |w| {
+                // Anything already stranded in water (factor 0) swims at full speed to get out
+                const factor = w.movementFactor(self.positions_x[i], self.positions_z[i]);
+                if (factor > 0) step *= factor;
+            }
+            const next_x = math.clamp(self.positions_x[i] + self.velocities_x[i] * step, -100, 100);
+            const next_z = math.clamp(self.positions_z[i] + self.velocities_z[i] * step, -100, 100);
+
+            const blocked = if (world) |w|
+                w.isWater(next_x, next_z) and w.isLand(self.positions_x[i], self.positions_z[i])
+            else
+                false;
+
+            if (blocked) {
+                // Turn back at the shore
+                self.velocities_x[i] *= -0.5;
+                self.velocities_z[i] *= -0.5;
+            } else {
+                self.positions_x[i] = next_x;
+                self.positions_z[i] = next_z;
+            }
+            self.positions_y[i] = math.clamp(self.positions_y[i] + self.velocities_y[i] * step, 0, 50);
 
             // Apply friction
             self.velocities_x[i] *= 0.95;
@@ -283,13 +437,17 @@ pub const Organisms = struct {
                     self.ages[write_idx] = self.ages[read_idx];
                     self.sizes[write_idx] = self.sizes[read_idx];
                     self.types[write_idx] = self.types[read_idx];
+                    self.species[write_idx] = self.species[read_idx];
                     self.tribe_ids[write_idx] = self.tribe_ids[read_idx];
                     self.equipment_ids[write_idx] = self.equipment_ids[read_idx];
+                    self.inventories[write_idx] = self.inventories[read_idx];
                     self.brains[write_idx] = self.brains[read_idx];
                     self.alive[write_idx] = self.alive[read_idx];
                     self.is_attacking[write_idx] = self.is_attacking[read_idx];
                     self.is_eating[write_idx] = self.is_eating[read_idx];
                     self.reproduction_cooldowns[write_idx] = self.reproduction_cooldowns[read_idx];
+                    self.offspring_counts[write_idx] = self.offspring_counts[read_idx];
+                    self.kill_counts[write_idx] = self.kill_counts[read_idx];
                 }
                 write_idx += 1;
             } else {
@@ -324,6 +482,25 @@ test "Organisms creation and spawn" {
     try std.testing.expectEqual(@as(usize, 1), organisms.count);
     try std.testing.expect(organisms.alive[0]);
     try std.testing.expectEqual(@as(u8, @intFromEnum(OrganismType.humanoid)), organisms.types[0]);
+    try std.testing.expectEqual(species.NONE, organisms.species[0]);
+}
+
+test "Organisms take their species' build" {
+    var rng = math.Rng.init(42);
+    var organisms = try Organisms.init(std.testing.allocator, 100);
+    defer organisms.deinit();
+
+    const rabbit = try organisms.spawnAs(.herbivore, @intFromEnum(species.Species.rabbit), math.Vec3.init(0, 5, 0), 0, &rng);
+    const elephant = try organisms.spawnAs(.herbivore, @intFromEnum(species.Species.elephant), math.Vec3.init(5, 5, 0), 0, &rng);
+    try std.testing.expect(organisms.healths[elephant] > organisms.healths[rabbit] * 4);
+    try std.testing.expect(organisms.sizes[elephant] > organisms.sizes[rabbit] * 3);
+
+    // A wolf is no herbivore, and animals always have a species
+    try std.testing.expectError(error.InvalidSpecies, organisms.spawnAs(.herbivore, @intFromEnum(species.Species.wolf), math.Vec3.init(0, 5, 0), 0, &rng));
+    try std.testing.expectError(error.InvalidSpecies, organisms.spawnAs(.carnivore, species.NONE, math.Vec3.init(0, 5, 0), 0, &rng));
+
+    const animal = try organisms.spawn(.carnivore, math.Vec3.init(0, 5, 0), 0, &rng);
+    try std.testing.expect(species.fits(.carnivore, organisms.species[animal]));
 }
 
 test "Organisms update and death" {
@@ -335,7 +512,7 @@ test "Organisms update and death" {
 
     // Drain energy until death
     for (0..300) |_| {
-        organisms.update(1.0);
+        organisms.update(1.0, null);
     }
 
     try std.testing.expect(!organisms.alive[0]);
@@ -86,6 +86,8 @@ pub const Disease = enum(u8) {
     }
 };
 
+pub const DISEASE_COUNT: usize = 6;
+
 /// Hunger levels
 pub const HungerLevel = enum(u8) {
     full = 0,        // Recently ate, bonus energy regen
@@ -123,6 +125,32 @@ pub const HungerLevel = enum(u8) {
     }
 };
 
+/// Why an organism died (none while alive)
+pub const DeathCause = enum(u8) {
+    none = 0,
+    old_age = 1,
+    starvation = 2,   // Ran out of energy or wasted away while starving
+    disease = 3,
+    combat = 4,       // Killed by a humanoid or a tower
+    predation = 5,    // Killed by a carnivore
+    other = 6,
+    disaster = 7,     // Struck down by a god power or a world event
+
+    /// Cause of a death nobody claimed, judged from the organism's last state
+    pub fn classify(hs: *const HealthState, energy: f32, age: f32) DeathCause {
+        if (hs.death_cause != .none) return hs.death_cause;
+        if (energy <= 0 or hs.consecutive_starve_time > 0) return .starvation;
+        if (hs.disease != .none) return .disease;
+        if (AgeStage.fromAge(age) == .elder) return .old_age;
+        return .other;
+    }
+};
+
+pub const DEATH_CAUSE_COUNT: usize = 8;
+
+/// Seconds from conception to birth
+pub const PREGNANCY_DURATION: f32 = 120.0;
+
 /// Population statistics for a tribe
 pub const PopulationStats = struct {
     total: u32,
@@ -174,6 +202,8 @@ pub const HealthState = struct {
     pregnancy_progress: f32,
     last_meal_time: f32,
     consecutive_starve_time: f32,
+    death_cause: DeathCause, // Set by the killing blow, or when the death is recorded
+    death_recorded: bool,
 
     pub fn init(rng: *math.Rng) HealthState {
         return .{
@@ -192,6 +222,8 @@ pub const HealthState = struct {
             .pregnancy_progress = 0,
             .last_meal_time = 0,
             .consecutive_starve_time = 0,
+            .death_cause = .none,
+            .death_recorded = false,
         };
     }
 };
@@ -199,6 +231,32 @@ pub const HealthState = struct {
 /// Maximum organisms tracked for health
 pub const MAX_HEALTH_TRACKED: usize = 500;
 
+/// Per-tribe conditions supplied by the simulation (housing, medicine)
+pub const TribeConditions = struct {
+    housing_full: bool,
+    disease_reduction: f32, // Fraction of infection chance removed
+
+    pub fn init() TribeConditions {
+        return .{ .housing_full = false, .disease_reduction = 0 };
+    }
+};
+
+/// Births reported per update (more in one frame are still born, just not reported)
+pub const MAX_PENDING_BIRTHS: usize = 8;
+pub const MAX_PENDING_DEATHS: usize = 64;
+
+/// A pregnancy birth awaiting lineage/brain inheritance by the simulation
+pub const Birth = struct {
+    child: u32,
+    parent: u32,
+};
+
+/// A recorded death awaiting the simulation's event log
+pub const Death = struct {
+    organism: u32,
+    cause: DeathCause,
+};
+
 /// Population dynamics manager
 pub const PopulationManager = struct {
     // Health states for each organism
@@ -213,6 +271,19 @@ pub const PopulationManager = struct {
     total_deaths: u64,
     total_disease_cases: u64,
 
+    // Cause-of-death and infection breakdowns (all time)
+    death_causes: [DEATH_CAUSE_COUNT]u32,
+    tribe_death_causes: [tribe.MAX_TRIBES][DEATH_CAUSE_COUNT]u32,
+    disease_cases: [DISEASE_COUNT]u32,
+
+    // Births since the simulation last called takeBirths
+    pending_births: [MAX_PENDING_BIRTHS]Birth,
+    pending_birth_count: usize,
+
+    // Deaths recorded since the simulation last called takeDeaths
+    pending_deaths: [MAX_PENDING_DEATHS]Death,
+    pending_death_count: usize,
+
     // Configuration
     base_birth_rate: f32,
     base_death_rate: f32,
@@ -227,6 +298,13 @@ pub const PopulationManager = struct {
             .total_births = 0,
             .total_deaths = 0,
             .total_disease_cases = 0,
+            .death_causes = [_]u32{0} ** DEATH_CAUSE_COUNT,
+            .tribe_death_causes = [_][DEATH_CAUSE_COUNT]u32{[_]u32{0} ** DEATH_CAUSE_COUNT} ** tribe.MAX_TRIBES,
+            .disease_cases = [_]u32{0} ** DISEASE_COUNT,
+            .pending_births = undefined,
+            .pending_birth_count = 0,
+            .pending_deaths = undefined,
+            .pending_death_count = 0,
             .base_birth_rate = 0.001,     // Per second per fertile adult
             .base_death_rate = 0.0001,    // Per second (natural)
             .disease_spread_rate = 0.1,   // Per second per contact
@@ -257,6 +335,7 @@ pub const PopulationManager = struct {
         rng: *math.Rng,
         season_birth_modifier: f32,
         season_disease_modifier: f32,
+        conditions: *const [tribe.MAX_TRIBES]TribeConditions,
     ) void {
         for (0..organisms.count) |i| {
             if (!organisms.alive[i]) continue;
@@ -267,6 +346,9 @@ pub const PopulationManager = struct {
             if (i >= MAX_HEALTH_TRACKED) continue;
             const hs = &self.health_states[i];
 
+            // Healed after a killing blow (the death check runs before healing auras)
+            if (organisms.healths[i] > 0) hs.death_cause = .none;
+
             // === Hunger/Starvation ===
             const hunger = HungerLevel.fromEnergy(organisms.energies[i]);
 
@@ -314,18 +396,23 @@ pub const PopulationManager = struct {
                     const death_chance = self.base_death_rate * (years - 60) * 0.1;
                     if (rng.float() < death_chance * delta) {
                         organisms.healths[i] = 0;
+                        hs.death_cause = .old_age;
                     }
                 }
             }
 
             // === Reproduction (humanoids only) ===
             if (org_type == .humanoid and age_stage == .adult) {
-                self.updateReproduction(i, delta, organisms, rng, season_birth_modifier);
+                const tribe_id = organisms.tribe_ids[i];
+                const housing_full = tribe_id < tribe.MAX_TRIBES and conditions[tribe_id].housing_full;
+                if (!housing_full) {
+                    self.updateReproduction(i, delta, organisms, rng, season_birth_modifier);
+                }
             }
 
             // === Disease spreading ===
             if (hs.disease != .none and hs.disease.getContagiousness() > 0) {
-                self.spreadDisease(i, organisms, rng, vulnerability * season_disease_modifier);
+                self.spreadDisease(i, organisms, rng, vulnerability * season_disease_modifier, conditions);
             }
         }
     }
@@ -346,7 +433,7 @@ pub const PopulationManager = struct {
             hs.pregnancy_progress += delta;
 
             // Birth after ~120 seconds (2 game years)
-            if (hs.pregnancy_progress >= 120.0) {
+            if (hs.pregnancy_progress >= PREGNANCY_DURATION) {
                 // Give birth
                 self.giveBirth(idx, organisms, rng);
                 hs.is_pregnant = false;
@@ -389,14 +476,30 @@ pub const PopulationManager = struct {
         // Initialize health state
         self.initOrganism(child_idx, rng);
 
-        // Track birth
+        self.countBirth(tribe_id);
+
+        if (self.pending_birth_count < MAX_PENDING_BIRTHS) {
+            self.pending_births[self.pending_birth_count] = .{ .child = child_idx, .parent = @intCast(parent_idx) };
+            self.pending_birth_count += 1;
+        }
+
+        // Parent loses energy
+        organisms.energies[parent_idx] -= 30;
+    }
+
+    /// Count a birth towards the totals (pregnancies count themselves; the simulation counts mating births)
+    pub fn countBirth(self: *PopulationManager, tribe_id: u32) void {
         if (tribe_id < tribe.MAX_TRIBES) {
             self.tribe_births[tribe_id] += 1;
         }
         self.total_births += 1;
+    }
 
-        // Parent loses energy
-        organisms.energies[parent_idx] -= 30;
+    /// Births since the last call (the slice is valid until the next update)
+    pub fn takeBirths(self: *PopulationManager) []const Birth {
+        const births = self.pending_births[0..self.pending_birth_count];
+        self.pending_birth_count = 0;
+        return births;
     }
 
     /// Spread disease to nearby organisms
@@ -406,6 +509,7 @@ pub const PopulationManager = struct {
         organisms: *organism.Organisms,
         rng: *math.Rng,
         modifier: f32,
+        conditions: *const [tribe.MAX_TRIBES]TribeConditions,
     ) void {
         const hs = &self.health_states[infected_idx];
         const disease = hs.disease;
@@ -431,36 +535,47 @@ pub const PopulationManager = struct {
             if (dist < 5.0) { // 5 unit infection radius
                 // Infection chance based on distance, contagiousness, immunity
                 const immunity = other_hs.immunity[@intFromEnum(disease)];
-                const infection_chance = contagiousness * (1.0 - immunity) * modifier * (1.0 - dist / 5.0);
+                const other_tribe = organisms.tribe_ids[i];
+                const protection = if (other_tribe < tribe.MAX_TRIBES) conditions[other_tribe].disease_reduction else 0;
+                const infection_chance = contagiousness * (1.0 - immunity) * (1.0 - protection) * modifier * (1.0 - dist / 5.0);
 
                 if (rng.float() < infection_chance * 0.01) { // Per-frame check
                     other_hs.disease = disease;
                     other_hs.disease_progress = 0;
-                    self.total_disease_cases += 1;
+                    self.countCase(disease);
                 }
             }
         }
     }
 
     /// Infect organism with disease
-    pub fn infectOrganism(self: *PopulationManager, idx: usize, disease: Disease) void {
-        if (idx >= MAX_HEALTH_TRACKED) return;
+    /// Returns: false if it was already sick or is immune
+    pub fn infectOrganism(self: *PopulationManager, idx: usize, disease: Disease) bool {
+        if (idx >= MAX_HEALTH_TRACKED) return false;
 
         const hs = &self.health_states[idx];
-        if (hs.disease != .none) return; // Already sick
+        if (hs.disease != .none) return false; // Already sick
 
         // Check immunity
         const immunity = hs.immunity[@intFromEnum(disease)];
-        if (immunity >= 0.9) return; // Immune
+        if (immunity >= 0.9) return false; // Immune
 
         hs.disease = disease;
         hs.disease_progress = 0;
+        self.countCase(disease);
+        return true;
+    }
+
+    fn countCase(self: *PopulationManager, disease: Disease) void {
         self.total_disease_cases += 1;
+        self.disease_cases[@intFromEnum(disease)] += 1;
     }
 
     /// Start disease outbreak in tribe
-    pub fn startOutbreak(self: *PopulationManager, tribe_id: u32, disease: Disease, organisms: *organism.Organisms, rng: *math.Rng) void {
+    /// Returns: the first member infected, or null if nobody caught it
+    pub fn startOutbreak(self: *PopulationManager, tribe_id: u32, disease: Disease, organisms: *organism.Organisms, rng: *math.Rng) ?usize {
         var infected: u32 = 0;
+        var first: ?usize = null;
 
         for (0..organisms.count) |i| {
             if (!organisms.alive[i]) continue;
@@ -469,27 +584,66 @@ pub const PopulationManager = struct {
 
             // Randomly infect ~20% of tribe
             if (rng.float() < 0.2) {
-                self.infectOrganism(i, disease);
-                infected += 1;
+                if (self.infectOrganism(i, disease)) {
+                    if (first == null) first = i;
+                    infected += 1;
+                }
             }
 
             if (infected >= 5) break; // Cap initial infections
         }
+        return first;
     }
 
-    /// Record death
-    pub fn recordDeath(self: *PopulationManager, idx: usize, tribe_id: u32) void {
-        _ = idx;
+    /// Note what dealt a killing blow, so the death is recorded with that cause
+    pub fn markKilled(self: *PopulationManager, idx: usize, cause: DeathCause) void {
+        if (idx >= MAX_HEALTH_TRACKED) return;
+        const hs = &self.health_states[idx];
+        if (hs.death_cause == .none) hs.death_cause = cause;
+    }
+
+    /// Record the deaths of animals and humanoids that died since the last call (each is counted once)
+    pub fn recordDeaths(self: *PopulationManager, organisms: *const organism.Organisms) void {
+        const tracked = @min(organisms.count, MAX_HEALTH_TRACKED);
+        for (0..tracked) |i| {
+            if (organisms.alive[i]) continue;
+            if (organisms.types[i] == @intFromEnum(organism.OrganismType.plant)) continue;
 
+            const hs = &self.health_states[i];
+            if (hs.death_recorded) continue;
+            hs.death_recorded = true;
+            hs.death_cause = DeathCause.classify(hs, organisms.energies[i], organisms.ages[i]);
+            self.recordDeath(organisms.tribe_ids[i], hs.death_cause);
+
+            if (self.pending_death_count < MAX_PENDING_DEATHS) {
+                self.pending_deaths[self.pending_death_count] = .{ .organism = @intCast(i), .cause = hs.death_cause };
+                self.pending_death_count += 1;
+            }
+        }
+    }
+
+    /// Deaths recorded since the last call (only the first MAX_PENDING_DEATHS of a mass death)
+    pub fn takeDeaths(self: *PopulationManager) []const Death {
+        const deaths = self.pending_deaths[0..self.pending_death_count];
+        self.pending_death_count = 0;
+        return deaths;
+    }
+
+    /// Record death
+    fn recordDeath(self: *PopulationManager, tribe_id: u32, cause: DeathCause) void {
+        const cause_idx = @intFromEnum(cause);
         if (tribe_id < tribe.MAX_TRIBES) {
             self.tribe_deaths[tribe_id] += 1;
+            self.tribe_death_causes[tribe_id][cause_idx] += 1;
         }
+        self.death_causes[cause_idx] += 1;
         self.total_deaths += 1;
     }
 
     /// Calculate population stats for a tribe
     pub fn calculateStats(self: *const PopulationManager, tribe_id: u32, organisms: *const organism.Organisms) PopulationStats {
         var stats = PopulationStats.init();
+        if (tribe_id >= tribe.MAX_TRIBES) return stats;
 
         var total_age: f32 = 0;
         var total_health: f32 = 0;
@@ -558,6 +712,32 @@ pub const PopulationManager = struct {
         return &self.health_states[idx];
     }
 
+    /// Fill per-organism maps of disease, age stage and hunger level (255 = dead, plant or untracked)
+    /// Returns how many entries were written
+    pub fn fillHealthMaps(
+        self: *const PopulationManager,
+        organisms: *const organism.Organisms,
+        diseases: []u8,
+        stages: []u8,
+        hunger: []u8,
+    ) usize {
+        const n = @min(organisms.count, diseases.len, stages.len, hunger.len);
+        for (0..n) |i| {
+            const tracked = i < MAX_HEALTH_TRACKED and organisms.alive[i] and
+                organisms.types[i] != @intFromEnum(organism.OrganismType.plant);
+            if (!tracked) {
+                diseases[i] = 255;
+                stages[i] = 255;
+                hunger[i] = 255;
+                continue;
+            }
+            diseases[i] = @intFromEnum(self.health_states[i].disease);
+            stages[i] = @intFromEnum(AgeStage.fromAge(organisms.ages[i]));
+            hunger[i] = @intFromEnum(HungerLevel.fromEnergy(organisms.energies[i]));
+        }
+        return n;
+    }
+
     /// Get disease name
     pub fn getDiseaseName(disease: Disease) []const u8 {
         return switch (disease) {
@@ -597,3 +777,32 @@ test "Population manager init" {
     try std.testing.expectEqual(@as(u64, 0), pm.total_births);
     try std.testing.expectEqual(@as(u64, 0), pm.total_deaths);
 }
+
+test "Deaths are recorded once with their cause" {
+    var rng = math.Rng.init(7);
+    var organisms = try organism.Organisms.init(std.testing.allocator, 10);
+    defer organisms.deinit();
+    var pm = PopulationManager.init();
+
+    const hunted = try organisms.spawn(.herbivore, math.Vec3.init(0, 0, 0), 0xFFFFFFFF, &rng);
+    const starved = try organisms.spawn(.herbivore, math.Vec3.init(5, 0, 0), 0xFFFFFFFF, &rng);
+    pm.initOrganism(hunted, &rng);
+    pm.initOrganism(starved, &rng);
+
+    organisms.healths[hunted] = 0;
+    pm.markKilled(hunted, .predation);
+    organisms.energies[starved] = 0;
+    organisms.update(0.016, null);
+
+    pm.recordDeaths(&organisms);
+    pm.recordDeaths(&organisms);
+
+    try std.testing.expectEqual(@as(u64, 2), pm.total_deaths);
+    try std.testing.expectEqual(@as(u32, 1), pm.death_causes[@intFromEnum(DeathCause.predation)]);
+    try std.testing.expectEqual(@as(u32, 1), pm.death_causes[@intFromEnum(DeathCause.starvation)]);
+
+    const deaths = pm.takeDeaths();
+    try std.testing.expectEqual(@as(usize, 2), deaths.len);
+    try std.testing.expectEqual(DeathCause.predation, deaths[0].cause);
+    try std.testing.expectEqual(@as(usize, 0), pm.takeDeaths().len);
+}
@@ -3,6 +3,7 @@
 
 const std = @import("std");
 const math = @import("math.zig");
+const snapshot = @import("snapshot.zig");
 
 /// Types of resources that can be gathered
 pub const ResourceType = enum(u8) {
@@ -280,6 +281,20 @@ pub const ResourceNodes = struct {
         self.allocator.free(self.nodes);
     }
 
+    /// Write node slots to a snapshot
+    pub fn save(self: *const ResourceNodes, writer: *snapshot.Writer) !void {
+        try writer.writeInt(@intCast(self.count));
+        try writer.writeSlice(ResourceNode, self.nodes[0..self.count]);
+    }
+
+    /// Restore nodes from a snapshot
+    pub fn load(self: *ResourceNodes, reader: *snapshot.Reader) !void {
+        const n: usize = try reader.readInt();
+        if (n > self.capacity) return error.InvalidData;
+        try reader.readSlice(ResourceNode, self.nodes[0..n]);
+        self.count = n;
+    }
+
     pub fn add(self: *ResourceNodes, node: ResourceNode) !usize {
         if (self.count >= self.capacity) return error.OutOfCapacity;
         const idx = self.count;
@@ -288,6 +303,11 @@ pub const ResourceNodes = struct {
         return idx;
     }
 
+    /// Remove every node
+    pub fn clear(self: *ResourceNodes) void {
+        self.count = 0;
+    }
+
     pub fn update(self: *ResourceNodes, delta: f32) void {
         for (self.nodes[0..self.count]) |*node| {
             node.update(delta);
@@ -311,6 +331,36 @@ pub const ResourceNodes = struct {
 
         return best_idx;
     }
+
+    /// Scatter non-regenerating stone and metal deposits over a square world area
+    pub fn scatter(self: *ResourceNodes, rng: *math.Rng, count: usize, half_extent: f32) void {
+        for (0..count) |_| {
+            self.scatterAt(rng, rng.range(-half_extent, half_extent), rng.range(-half_extent, half_extent));
+        }
+    }
+
+    /// Add one non-regenerating deposit of random kind and size at a world position
+    pub fn scatterAt(self: *ResourceNodes, rng: *math.Rng, x: f32, z: f32) void {
+        const kind: ResourceType = if (rng.float() < 0.4) .stone else .metal;
+        _ = self.add(ResourceNode.init(math.Vec3.init(x, 0.5, z), kind, rng.range(50, 100), 0)) catch return;
+    }
+
+    /// Find nearest non-empty node of any type within radius
+    pub fn findNearestAny(self: *const ResourceNodes, pos: math.Vec3, radius: f32) ?usize {
+        var best_idx: ?usize = null;
+        var best_dist: f32 = radius;
+
+        for (self.nodes[0..self.count], 0..) |node, i| {
+            if (node.amount <= 0) continue;
+            const dist = pos.distance(node.position);
+            if (dist < best_dist) {
+                best_dist = dist;
+                best_idx = i;
+            }
+        }
+
+        return best_idx;
+    }
 };
 
 // Tests
@@ -342,3 +392,18 @@ test "Recipe crafting" {
     try std.testing.expectEqual(@as(f32, 8), inv.get(.wood));
     try std.testing.expectEqual(@as(f32, 4), inv.get(.stone));
 }
+
+test "Resource node scatter and harvest" {
+    var rng = math.Rng.init(42);
+    var nodes = try ResourceNodes.init(std.testing.allocator, 8);
+    defer nodes.deinit();
+
+    nodes.scatter(&rng, 20, 45.0);
+    try std.testing.expectEqual(@as(usize, 8), nodes.count);
+
+    const node = &nodes.nodes[0];
+    const idx = nodes.findNearestAny(node.position, 1.0).?;
+    const taken = nodes.nodes[idx].harvest(1000);
+    try std.testing.expect(taken >= 50);
+    try std.testing.expectEqual(@as(?usize, null), nodes.findNearestAny(node.position, 0.01));
+}
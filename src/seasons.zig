@@ -98,6 +98,8 @@ pub const Weather = enum(u8) {
     }
 };
 
+pub const WEATHER_COUNT: usize = 9;
+
 /// Event types that can occur
 pub const EventType = enum(u8) {
     // Positive events
@@ -161,10 +163,26 @@ pub const EventType = enum(u8) {
             else => false,
         };
     }
+
+    /// Progress (0-1) at which the event's one-off effect on the world lands
+    pub fn getImpactProgress(self: EventType) f32 {
+        return switch (self) {
+            .meteor => 0.5, // Strikes halfway through its approach
+            else => 0,
+        };
+    }
 };
 
+pub const EVENT_TYPE_COUNT: usize = 17;
+
+/// Events are centered within this distance of the world origin on each axis
+pub const EVENT_EXTENT: f32 = 45.0;
+
+pub const NO_EVENT: u32 = 0xFFFFFFFF;
+
 /// Active event
 pub const Event = struct {
+    id: u32,               // Unique for the world's lifetime
     event_type: EventType,
     start_time: f32,
     duration: f32,
@@ -173,17 +191,20 @@ pub const Event = struct {
     position_x: f32,       // Center of effect
     position_z: f32,
     radius: f32,           // Affected area
+    impact_applied: bool,  // One-off effect has landed (see getImpactProgress)
 
-    pub fn init(event_type: EventType, time: f32, rng: *math.Rng) Event {
+    pub fn init(id: u32, event_type: EventType, time: f32, rng: *math.Rng) Event {
         return .{
+            .id = id,
             .event_type = event_type,
             .start_time = time,
             .duration = getDefaultDuration(event_type),
             .intensity = 0.5 + rng.float() * 0.5, // 0.5-1.0
             .affected_tribe = 0xFFFFFFFF, // All tribes
-            .position_x = rng.range(-80, 80),
-            .position_z = rng.range(-80, 80),
+            .position_x = rng.range(-EVENT_EXTENT, EVENT_EXTENT),
+            .position_z = rng.range(-EVENT_EXTENT, EVENT_EXTENT),
             .radius = getDefaultRadius(event_type),
+            .impact_applied = false,
         };
     }
 
@@ -279,6 +300,7 @@ pub const SeasonManager = struct {
 
     // Statistics
     total_events_triggered: u32,
+    next_event_id: u32,
 
     pub fn init() SeasonManager {
         return .{
@@ -298,6 +320,7 @@ pub const SeasonManager = struct {
             .health_modifier = 0,
             .birth_rate_modifier = 1.0,
             .total_events_triggered = 0,
+            .next_event_id = 0,
         };
     }
 
@@ -348,7 +371,7 @@ pub const SeasonManager = struct {
         }
 
         // Trigger season change event
-        self.triggerEvent(.seasonal_change, rng);
+        _ = self.triggerEvent(.seasonal_change, rng);
 
         // Reset weather for new season
         self.changeWeather(rng);
@@ -392,6 +415,13 @@ pub const SeasonManager = struct {
         self.weather_timer = 20.0 + rng.range(0, 40); // 20-60 seconds
     }
 
+    /// Force the weather (e.g. a god-power storm) until the next natural change
+    pub fn setWeather(self: *SeasonManager, weather: Weather, duration: f32) void {
+        self.current_weather = weather;
+        self.weather_timer = duration;
+        self.recalculateModifiers();
+    }
+
     /// Trigger a random event based on season
     fn triggerRandomEvent(self: *SeasonManager, rng: *math.Rng) void {
         const roll = rng.float();
@@ -428,12 +458,12 @@ pub const SeasonManager = struct {
         };
 
         if (event_type) |et| {
-            self.triggerEvent(et, rng);
+            _ = self.triggerEvent(et, rng);
         }
     }
 
-    /// Trigger a specific event
-    pub fn triggerEvent(self: *SeasonManager, event_type: EventType, rng: *math.Rng) void {
+    /// Trigger a specific event at a random spot
+    pub fn triggerEvent(self: *SeasonManager, event_type: EventType, rng: *math.Rng) *Event {
         if (self.event_count >= MAX_EVENTS) {
             // Remove oldest event
             for (1..self.event_count) |i| {
@@ -442,18 +472,27 @@ pub const SeasonManager = struct {
             self.event_count -= 1;
         }
 
-        const current_time = self.season_timer + @as(f32, @floatFromInt(self.current_year * 4)) * self.season_length;
-
-        self.events[self.event_count] = Event.init(event_type, current_time, rng);
+        const event = &self.events[self.event_count];
+        event.* = Event.init(self.next_event_id, event_type, self.getTotalTime(), rng);
+        self.next_event_id += 1;
         self.event_count += 1;
         self.total_events_triggered += 1;
+        return event;
+    }
+
+    /// Trigger a specific event centered on (x, z)
+    pub fn triggerEventAt(self: *SeasonManager, event_type: EventType, x: f32, z: f32, rng: *math.Rng) *Event {
+        const event = self.triggerEvent(event_type, rng);
+        event.position_x = x;
+        event.position_z = z;
+        return event;
     }
 
     /// Update active events
     fn updateEvents(self: *SeasonManager, delta: f32) void {
         _ = delta;
 
-        const current_time = self.season_timer + @as(f32, @floatFromInt(self.current_year * 4)) * self.season_length;
+        const current_time = self.getTotalTime();
 
         // Remove expired events
         var write_idx: usize = 0;
@@ -533,6 +572,11 @@ pub const SeasonManager = struct {
         return self.day_timer / self.day_length;
     }
 
+    /// Get how far the current season has run (0-1)
+    pub fn getSeasonProgress(self: *const SeasonManager) f32 {
+        return self.season_timer / self.season_length;
+    }
+
     /// Is it daytime?
     pub fn isDaytime(self: *const SeasonManager) bool {
         const time = self.getTimeOfDay();
@@ -629,14 +673,45 @@ test "Weather modifiers" {
     try std.testing.expect(Weather.blizzard.getHealthDrain() > 0);
 }
 
+test "Forced weather drives modifiers" {
+    var sm = SeasonManager.init();
+
+    sm.setWeather(.blizzard, 45);
+    try std.testing.expectEqual(Weather.blizzard, sm.current_weather);
+    try std.testing.expectEqual(@as(f32, 45), sm.weather_timer);
+    try std.testing.expectEqual(Weather.blizzard.getMovementMod(), sm.movement_modifier);
+    try std.testing.expect(sm.food_modifier < 1.0);
+}
+
 test "Event creation" {
     var sm = SeasonManager.init();
     var rng = math.Rng.init(42);
 
-    sm.triggerEvent(.bountiful_harvest, &rng);
+    _ = sm.triggerEvent(.bountiful_harvest, &rng);
     try std.testing.expectEqual(@as(usize, 1), sm.event_count);
 
     const e = &sm.events[0];
     try std.testing.expectEqual(EventType.bountiful_harvest, e.event_type);
     try std.testing.expect(e.intensity >= 0.5);
 }
+
+test "Events expire on the world clock across season changes" {
+    var sm = SeasonManager.init();
+    var rng = math.Rng.init(42);
+
+    // Late in spring, so the event outlives the season
+    sm.season_timer = sm.season_length - 10;
+    const id = sm.triggerEventAt(.celebration, 5, -5, &rng).id;
+    sm.season_timer = 0;
+    sm.changeSeason(&rng);
+    sm.updateEvents(0);
+    try std.testing.expectEqual(id, sm.events[0].id);
+    try std.testing.expectEqual(@as(f32, 5), sm.events[0].position_x);
+
+    // Over 30 seconds after it started, the celebration is over
+    sm.season_timer = 21;
+    sm.updateEvents(0);
+    for (sm.events[0..sm.event_count]) |*e| {
+        try std.testing.expect(e.id != id);
+    }
+}
@@ -8,9 +8,17 @@ const organism = @import("organism.zig");
 const spatial_grid = @import("spatial_grid.zig");
 const tribe = @import("tribe.zig");
 const building = @import("building.zig");
+const resource = @import("resource.zig");
 const equipment = @import("equipment.zig");
+const crafting = @import("crafting.zig");
 const message = @import("message.zig");
 const nn = @import("neural_network.zig");
+const snapshot = @import("snapshot.zig");
+const gene_bank = @import("gene_bank.zig");
+const lineage = @import("lineage.zig");
+const event_log = @import("event_log.zig");
+const terrain = @import("terrain.zig");
+const species = @import("species.zig");
 
 // New AAA systems
 const diplomacy = @import("diplomacy.zig");
@@ -19,6 +27,92 @@ const seasons = @import("seasons.zig");
 const territory = @import("territory.zig");
 const population = @import("population.zig");
 
+/// Stone/metal deposits scattered at world creation
+const RESOURCE_NODE_COUNT = 15;
+/// Deposit slots; room beyond the scattered ones for deposits a scenario places
+const RESOURCE_NODE_CAPACITY = 64;
+/// Deposits are placed on land within +/- this distance of the origin
+const RESOURCE_NODE_EXTENT: f32 = 45.0;
+/// How close a humanoid must be to chop a tree or mine a deposit
+const HARVEST_RANGE: f32 = 5.0;
+/// Tree health removed per second of chopping
+const CHOP_RATE: f32 = 10.0;
+/// Wood gained when a tree is felled
+const WOOD_PER_TREE: f32 = 15.0;
+/// Stone/metal extracted per second of mining
+const MINE_RATE: f32 = 3.5;
+
+/// Crafted items that can exist at once
+const CRAFTED_ITEM_CAPACITY = 128;
+/// Share of mined stone/metal a miner keeps for crafting (the rest goes to the tribe)
+const PERSONAL_MINE_SHARE: f32 = 0.25;
+/// Wood and fiber a feller keeps from each tree
+const PERSONAL_WOOD_PER_TREE: f32 = 2.0;
+const FIBER_PER_TREE: f32 = 1.0;
+/// Hide and bone a humanoid takes from an animal it kills
+const HIDE_PER_KILL: f32 = 1.0;
+const BONE_PER_KILL: f32 = 2.0;
+/// Durability lost per second of use (chopping, mining, striking or being struck)
+const ITEM_WEAR_RATE: f32 = 1.0;
+
+/// Seconds between attack events for one attacker (a fight strikes every frame)
+const ATTACK_EVENT_INTERVAL: f32 = 2.0;
+
+/// Chance each inherited weight is nudged when a brain is passed to offspring
+const BRAIN_MUTATION_RATE: f32 = 0.1;
+
+/// Least speed prey runs at while a predator is inside its flee distance
+const FLIGHT_SPEED: f32 = 4.0;
+
+/// No organism selected for brain inspection
+pub const NO_ORGANISM: u32 = 0xFFFFFFFF;
+
+// World event effects (scaled by each event's intensity)
+const EVENT_METEOR_DAMAGE: f32 = 150.0;
+const EVENT_QUAKE_DAMAGE: f32 = 40.0;
+const EVENT_FIRE_DAMAGE: f32 = 0.8; // Per second inside the blaze
+const EVENT_FLOOD_DAMAGE: f32 = 0.2; // Per second inside the flood
+const EVENT_OUTBREAK_INFECTION_CHANCE: f32 = 0.3;
+const EVENT_MIGRATION_HERD_SIZE = 6;
+const EVENT_MIGRATION_SPREAD: f32 = 10.0;
+
+/// Divine healing never raises health past this (the same cap as building healing auras)
+const MAX_DIVINE_HEALTH: f32 = 100.0;
+
+/// A curse never takes health or energy below this - it weakens but doesn't kill
+const CURSE_FLOOR: f32 = 10.0;
+
+/// How far enlightenment moves a brain towards the gene bank's best of its kind
+const ENLIGHTEN_BLEND: f32 = 0.5;
+
+/// What an area god power or world event does to each creature it reaches
+pub const AreaEffect = union(enum) {
+    damage: struct { amount: f32, cause: population.DeathCause },
+    heal: struct { health: f32, energy: f32 },
+    kill: population.DeathCause,
+    infect: struct { disease: population.Disease, chance: f32 },
+};
+
+/// Latest network activations of the organism being inspected
+/// (UI state only - not saved in snapshots or included in checksums)
+pub const BrainTrace = struct {
+    organism: u32,
+    frame: u64, // Frame the activations were recorded on (0 = not yet)
+    inputs: [15]f32,
+    hidden: [12]f32,
+    outputs: [17]f32,
+
+    pub fn init(organism_id: u32) BrainTrace {
+        return .{
+            .organism = organism_id,
+            .frame = 0,
+            .inputs = [_]f32{0} ** 15,
+            .hidden = [_]f32{0} ** 12,
+            .outputs = [_]f32{0} ** 17,
+        };
+    }
+};
+
 /// Main simulation state
 pub const Simulation = struct {
     // Core systems
@@ -26,9 +120,12 @@ pub const Simulation = struct {
     grid: spatial_grid.SpatialGrid,
     tribes: tribe.Tribes,
     buildings: building.Buildings,
+    resource_nodes: resource.ResourceNodes,
     equipment_mgr: equipment.EquipmentManager,
+    crafting_mgr: crafting.CraftingManager,
     messages: message.MessageQueue,
     language_stats: message.LanguageStats,
+    tribe_language: [tribe.MAX_TRIBES]message.LanguageStats,
 
     // AAA Strategic Systems
     diplomacy_mgr: diplomacy.DiplomacyManager,
@@ -37,50 +134,90 @@ pub const Simulation = struct {
     territory_mgr: territory.TerritoryManager,
     population_mgr: population.PopulationManager,
 
+    gene_bank: gene_bank.GeneBank,
+    lineage: lineage.Lineage,
+
+    // Heightfield and biomes shared with the renderer
+    terrain: terrain.Terrain,
+
     rng: math.Rng,
     time: f32,
     frame_count: u64,
 
+    brain_trace: BrainTrace,
+
+    // Notable moments awaiting JS (transient - not saved in snapshots)
+    events: event_log.EventLog,
+    last_attack_event: []f32, // Per attacker, throttles attack events
+
     allocator: std.mem.Allocator,
 
-    /// Initialize simulation
-    pub fn init(allocator: std.mem.Allocator, seed: u32, max_organisms: usize) !Simulation {
+    /// Initialize simulation in place - a whole Simulation returned by value overflows the WASM stack
+    pub fn init(sim: *Simulation, allocator: std.mem.Allocator, seed: u32, max_organisms: usize) !void {
         // Limit capacities - plants are cheap (no neural net), animals need ~1.6KB each for brain
         // With 512KB buffer, we can handle ~500 organisms (most being plants)
         const org_cap = @min(max_organisms, 500);
 
         // Build piece by piece to avoid large stack frame
-        var sim: Simulation = undefined;
         sim.allocator = allocator;
         sim.rng = math.Rng.init(seed);
         sim.time = 0;
         sim.frame_count = 0;
+        sim.brain_trace = BrainTrace.init(NO_ORGANISM);
+        sim.events = event_log.EventLog.init();
+        sim.last_attack_event = try allocator.alloc(f32, org_cap);
+        @memset(sim.last_attack_event, -ATTACK_EVENT_INTERVAL);
+
+        sim.terrain = try terrain.Terrain.init(allocator, seed);
 
         // Core systems
         sim.organisms = try organism.Organisms.init(allocator, org_cap);
         sim.grid = spatial_grid.SpatialGrid.init(allocator);
         sim.tribes = tribe.Tribes.init();
         sim.buildings = try building.Buildings.init(allocator, 30);
+        sim.resource_nodes = try resource.ResourceNodes.init(allocator, RESOURCE_NODE_CAPACITY);
         sim.equipment_mgr = try equipment.EquipmentManager.init(allocator, 30);
+        sim.crafting_mgr = try crafting.CraftingManager.init(allocator, CRAFTED_ITEM_CAPACITY);
         sim.messages = try message.MessageQueue.init(allocator, 50);
         sim.language_stats = message.LanguageStats.init();
+        sim.tribe_language = [_]message.LanguageStats{message.LanguageStats.init()} ** tribe.MAX_TRIBES;
 
         // AAA Strategic Systems
         sim.diplomacy_mgr = diplomacy.DiplomacyManager.init();
         sim.tech_mgr = technology.TechnologyManager.init();
         sim.season_mgr = seasons.SeasonManager.init();
-        sim.territory_mgr = territory.TerritoryManager.init(&sim.rng);
+        sim.territory_mgr = territory.TerritoryManager.init();
+        sim.applyTerrainToTerritory();
         sim.population_mgr = population.PopulationManager.init();
+        sim.gene_bank = try gene_bank.GeneBank.init(allocator);
+        sim.lineage = try lineage.Lineage.init(allocator, org_cap);
 
-        return sim;
+        for (0..RESOURCE_NODE_COUNT) |_| {
+            const pos = sim.terrain.randomLand(&sim.rng, RESOURCE_NODE_EXTENT);
+            sim.resource_nodes.scatterAt(&sim.rng, pos.x, pos.z);
+        }
     }
 
     pub fn deinit(self: *Simulation) void {
         self.organisms.deinit();
         self.grid.deinit();
         self.buildings.deinit();
+        self.resource_nodes.deinit();
         self.equipment_mgr.deinit();
+        self.crafting_mgr.deinit();
         self.messages.deinit();
+        self.gene_bank.deinit();
+        self.lineage.deinit();
+        self.terrain.deinit();
+        self.allocator.free(self.last_attack_event);
+    }
+
+    /// Give each territory cell the biome at its centre
+    fn applyTerrainToTerritory(self: *Simulation) void {
+        for (0..territory.TOTAL_CELLS) |i| {
+            const center = territory.TerritoryManager.cellToWorld(i);
+            self.territory_mgr.setTerrain(i, self.terrain.biomeAt(center.x, center.z));
+        }
     }
 
     /// Main update loop
@@ -93,7 +230,9 @@ pub const Simulation = struct {
         self.updateOrganisms(delta);
         self.updateTribes(delta);
         self.updateBuildings(delta);
+        self.updateBuildingEffects(delta);
         self.updateEquipment(delta);
+        self.updateCrafting(delta);
         self.updateMessages(delta);
         self.updateInteractions(delta);
 
@@ -113,6 +252,8 @@ pub const Simulation = struct {
         if (self.frame_count % 3600 == 0) { // ~60 seconds at 60fps
             self.population_mgr.resetYearlyStats();
         }
+
+        self.collectEvents();
     }
 
     /// Rebuild spatial grid with current organism positions
@@ -129,7 +270,9 @@ pub const Simulation = struct {
 
     /// Update all organisms
     fn updateOrganisms(self: *Simulation, delta: f32) void {
-        self.organisms.update(delta);
+        self.organisms.update(delta, &self.terrain);
+        self.lineage.recordDeaths(self.organisms.alive[0..self.organisms.count], self.time);
+        self.bankDeadBrains();
 
         // Update organism brains and behavior
         for (0..self.organisms.count) |i| {
@@ -147,8 +290,29 @@ pub const Simulation = struct {
         }
     }
 
+    /// Offer the brains of organisms that died this frame to the gene bank, then release them
+    fn bankDeadBrains(self: *Simulation) void {
+        for (0..self.organisms.count) |i| {
+            if (self.organisms.alive[i]) continue;
+            const brain = self.organisms.brains[i] orelse continue;
+
+            _ = self.gene_bank.consider(.{
+                .org_type = self.organisms.types[i],
+                .source_id = @intCast(i),
+                .tribe_id = self.organisms.tribe_ids[i],
+                .lifespan = self.organisms.ages[i],
+                .offspring = self.organisms.offspring_counts[i],
+                .kills = self.organisms.kill_counts[i],
+            }, brain, self.frame_count);
+
+            brain.deinit();
+            self.organisms.allocator.destroy(brain);
+            self.organisms.brains[i] = null;
+        }
+    }
+
     /// Update single organism behavior using neural network
-    fn updateOrganismBehavior(self: *Simulation, idx: usize, brain: *nn.NeuralNetwork, _: f32) void {
+    fn updateOrganismBehavior(self: *Simulation, idx: usize, brain: *nn.NeuralNetwork, delta: f32) void {
         // Prepare inputs (15 values)
         var inputs: [15]f32 = undefined;
         var outputs: [17]f32 = undefined;
@@ -162,6 +326,12 @@ pub const Simulation = struct {
         const tribe_id = self.organisms.tribe_ids[idx];
         const has_tribe = tribe_id < self.tribes.count;
 
+        // Diet and temperament come from the species (humanoids have none)
+        const my_species = self.organisms.species[idx];
+        const my_def = species.defOf(my_species);
+        const grazes = species.eatsPlants(my_type, my_species);
+        const hunts = species.eatsMeat(my_type, my_species);
+
         // Get seasonal and environmental modifiers
         const movement_mod = self.season_mgr.movement_modifier;
         const is_harsh = self.season_mgr.isHarshConditions(pos.x, pos.z);
@@ -183,6 +353,10 @@ pub const Simulation = struct {
         var ally_count: f32 = 0;
         var enemy_count: f32 = 0;
 
+        // Closest predator inside the species' flee distance
+        var predator_dist: f32 = std.math.floatMax(f32);
+        var predator_pos = pos;
+
         for (nearby[0..nearby_count]) |other_idx| {
             if (other_idx == idx) continue;
             if (!self.organisms.alive[other_idx]) continue;
@@ -190,12 +364,25 @@ pub const Simulation = struct {
             const other_type = @as(organism.OrganismType, @enumFromInt(self.organisms.types[other_idx]));
             const other_tribe = self.organisms.tribe_ids[other_idx];
 
-            if (my_type == .herbivore and other_type == .plant) {
+            if (grazes and other_type == .plant) {
                 food_count += 1;
-            } else if (my_type == .carnivore and other_type == .herbivore) {
+            } else if (hunts and other_type == .herbivore) {
                 food_count += 1;
             } else if (other_type == .carnivore and my_type != .carnivore) {
-                threat_count += 1;
+                if (my_def) |def| {
+                    // Animals only notice predators within their flee distance
+                    const other_pos = self.organisms.getPosition(other_idx);
+                    const dist = pos.distance(other_pos);
+                    if (dist < def.flee_distance) {
+                        threat_count += 1;
+                        if (dist < predator_dist) {
+                            predator_dist = dist;
+                            predator_pos = other_pos;
+                        }
+                    }
+                } else {
+                    threat_count += 1;
+                }
             } else if (self.organisms.tribe_ids[other_idx] == tribe_id and has_tribe) {
                 ally_count += 1;
             }
@@ -223,17 +410,41 @@ pub const Simulation = struct {
         // Run neural network
         brain.predict(&inputs, &outputs, &hidden);
 
+        if (idx == self.brain_trace.organism) {
+            self.brain_trace.frame = self.frame_count;
+            self.brain_trace.inputs = inputs;
+            self.brain_trace.hidden = hidden;
+            self.brain_trace.outputs = outputs;
+        }
+
         // =====================================================
         // Apply outputs (17 total) - Enhanced with new systems
         // =====================================================
 
         // === MOVEMENT (outputs 0-3) ===
-        const move_dir = math.Vec3.init(outputs[0], 0, outputs[2]).normalize();
+        var move_dir = math.Vec3.init(outputs[0], 0, outputs[2]).normalize();
         var speed = math.clamp(outputs[3], 0, 1) * 5.0;
 
+        // Prey bolt straight away from a predator that gets too close
+        if (predator_dist < std.math.floatMax(f32)) {
+            const away = math.Vec3.init(pos.x - predator_pos.x, 0, pos.z - predator_pos.z);
+            if (away.length() > 0.001) move_dir = away.normalize();
+            speed = @max(speed, FLIGHT_SPEED);
+        }
+
+        // Each species has its own pace
+        if (my_def) |def| {
+            speed *= def.speed;
+        }
+
         // Apply seasonal movement modifier
         speed *= movement_mod;
 
+        // Stables mount the tribe
+        if (has_tribe) {
+            speed *= 1.0 + self.buildings.getEffects(tribe_id).speed_bonus;
+        }
+
         // Flee behavior (output 13) - boost speed away from threats
         if (outputs[13] > 0.3 and (threat_count > 0 or enemy_count > 0)) {
             speed *= 1.0 + outputs[13]; // Up to 2x speed when fleeing
@@ -251,11 +462,17 @@ pub const Simulation = struct {
         self.organisms.is_eating[idx] = outputs[4] > 0.5;
         self.organisms.is_attacking[idx] = outputs[5] > 0.5;
 
+        // Tribal humanoids put their attacks into chopping trees and mining deposits
+        if (self.organisms.is_attacking[idx] and has_tribe and my_type == .humanoid) {
+            self.harvestNearby(idx, tribe_id, pos, nearby[0..nearby_count], delta);
+        }
+
         // === BUILDING (outputs 6-8) ===
         // Only humanoids with tribes can build
         if (outputs[6] > 0.7 and has_tribe and my_type == .humanoid) {
-            // Map output[7] to building type (0-9)
-            const building_type_idx = @as(u8, @intFromFloat(math.clamp((outputs[7] + 1.0) * 5.0, 0, 9)));
+            // Map output[7] to building type (0-19)
+            const max_type: f32 = @floatFromInt(building.BUILDING_TYPE_COUNT - 1);
+            const building_type_idx = @as(u8, @intFromFloat(math.clamp((outputs[7] + 1.0) * 10.0, 0, max_type)));
             const building_type = @as(building.BuildingType, @enumFromInt(building_type_idx));
 
             // Build at offset from current position
@@ -266,8 +483,8 @@ pub const Simulation = struct {
                 pos.z + move_dir.z * build_offset,
             );
 
-            // Try to create building (may fail due to resources/capacity)
-            _ = self.buildings.create(building_type, tribe_id, build_pos, &self.tribes) catch {};
+            // Try to create building (may fail due to requirements/resources/capacity)
+            _ = self.placeBuilding(building_type, tribe_id, build_pos.x, build_pos.z) catch {};
         }
 
         // === MESSAGING (outputs 9-11) ===
@@ -276,11 +493,17 @@ pub const Simulation = struct {
             const symbol1_idx = @as(u8, @intFromFloat(math.clamp((outputs[10] + 1.0) * 15.0, 0, 29)));
             const symbol2_idx = @as(u8, @intFromFloat(math.clamp((outputs[11] + 1.0) * 15.0, 0, 29)));
 
-            const symbol1 = @as(message.Symbol, @enumFromInt(symbol1_idx));
-            const symbol2 = @as(message.Symbol, @enumFromInt(symbol2_idx));
-
             // Send message to nearby organisms (receiver 0 = broadcast)
-            self.messages.sendPair(@intCast(idx), 0, symbol1, symbol2) catch {};
+            var msg = message.Message.init(@intCast(idx), 0, self.messages.current_time);
+            _ = msg.addSymbol(@enumFromInt(symbol1_idx));
+            _ = msg.addSymbol(@enumFromInt(symbol2_idx));
+            self.messages.send(msg) catch {};
+
+            // Track how the language is used overall and by each tribe
+            self.language_stats.recordMessage(&msg);
+            if (has_tribe and tribe_id < tribe.MAX_TRIBES) {
+                self.tribe_language[tribe_id].recordMessage(&msg);
+            }
         }
 
         // === REPRODUCTION (output 12) - Enhanced with population system ===
@@ -290,7 +513,8 @@ pub const Simulation = struct {
 
             // Need enough energy to reproduce (harder in winter)
             const energy_threshold = 60.0 / birth_mod;
-            if (energy > energy_threshold and self.organisms.count < self.organisms.capacity) {
+            const has_room = !has_tribe or self.hasHousing(tribe_id);
+            if (energy > energy_threshold and has_room and self.organisms.count < self.organisms.capacity) {
                 // Find nearby ally of same type for reproduction
                 for (nearby[0..nearby_count]) |other_idx| {
                     if (other_idx == idx) continue;
@@ -298,22 +522,26 @@ pub const Simulation = struct {
 
                     const other_type = @as(organism.OrganismType, @enumFromInt(self.organisms.types[other_idx]));
                     if (other_type != my_type) continue;
+                    if (self.organisms.species[other_idx] != my_species) continue;
 
                     // Same tribe or both tribeless
                     const other_tribe = self.organisms.tribe_ids[other_idx];
                     if (has_tribe and other_tribe != tribe_id) continue;
 
-                    // Spawn offspring near parent
-                    const offspring_pos = math.Vec3.init(
+                    // Spawn offspring near parent (on the parent's spot if that would be in water)
+                    var offspring_pos = math.Vec3.init(
                         pos.x + self.rng.range(-2, 2),
                         pos.y,
                         pos.z + self.rng.range(-2, 2),
                     );
+                    if (self.terrain.isWater(offspring_pos.x, offspring_pos.z)) offspring_pos = pos;
 
-                    const child_id = self.spawnOrganism(my_type, offspring_pos, tribe_id) catch break;
+                    const child_id = self.spawnAs(my_type, my_species, offspring_pos, tribe_id) catch break;
+                    self.recordBirth(child_id, @intCast(idx), other_idx);
 
                     // Initialize health state for new organism
                     self.population_mgr.initOrganism(child_id, &self.rng);
+                    self.population_mgr.countBirth(tribe_id);
 
                     // Cost energy and set cooldown
                     self.organisms.energies[idx] -= 30.0;
@@ -384,6 +612,95 @@ pub const Simulation = struct {
         }
     }
 
+    /// Chop the nearest tree, or failing that mine the nearest deposit, for the humanoid's tribe
+    /// The harvester keeps a share in its own inventory for crafting; an equipped tool speeds the work
+    fn harvestNearby(self: *Simulation, idx: usize, tribe_id: u32, pos: math.Vec3, nearby: []const u32, delta: f32) void {
+        const t = self.tribes.getTribe(tribe_id) orelse return;
+        const owner: u32 = @intCast(idx);
+        const inventory = &self.organisms.inventories[idx];
+        const building_mult = 1.0 + self.buildings.getEffects(tribe_id).gather_bonus;
+
+        for (nearby) |other_idx| {
+            if (other_idx == idx or !self.organisms.alive[other_idx]) continue;
+            if (self.organisms.healths[other_idx] <= 0) continue; // Already felled this frame
+            if (self.organisms.types[other_idx] != @intFromEnum(organism.OrganismType.plant)) continue;
+            if (pos.distance(self.organisms.getPosition(other_idx)) > HARVEST_RANGE) continue;
+
+            const tool_mult = building_mult * self.crafting_mgr.getGatheringMultiplierForOwner(owner, .wood);
+            self.crafting_mgr.wearEquipped(owner, .tool, ITEM_WEAR_RATE * delta);
+
+            self.organisms.healths[other_idx] -= CHOP_RATE * tool_mult * delta;
+            if (self.organisms.healths[other_idx] <= 0) {
+                // Felled - the organism update removes it next frame
+                t.addResource(.wood, WOOD_PER_TREE);
+                _ = inventory.add(.wood, PERSONAL_WOOD_PER_TREE);
+                _ = inventory.add(.fiber, FIBER_PER_TREE);
+            }
+            return;
+        }
+
+        const node_idx = self.resource_nodes.findNearestAny(pos, HARVEST_RANGE) orelse return;
+        const node = &self.resource_nodes.nodes[node_idx];
+        const mined_type: resource.ResourceType = if (node.resource_type == .metal) .metal else .stone;
+        const tool_mult = building_mult * self.crafting_mgr.getGatheringMultiplierForOwner(owner, mined_type);
+        self.crafting_mgr.wearEquipped(owner, .tool, ITEM_WEAR_RATE * delta);
+
+        const mined = node.harvest(MINE_RATE * tool_mult * delta);
+        const kept = inventory.add(mined_type, mined * PERSONAL_MINE_SHARE);
+        const stockpile: tribe.ResourceType = if (mined_type == .metal) .metal else .stone;
+        t.addResource(stockpile, mined - kept);
+    }
+
+    /// Select the organism whose brain activations are recorded each frame (NO_ORGANISM to stop)
+    pub fn inspectOrganism(self: *Simulation, organism_id: u32) void {
+        self.brain_trace = BrainTrace.init(organism_id);
+    }
+
+    /// Place a building for a tribe, paying its cost from the tribe stockpile
+    pub fn placeBuilding(self: *Simulation, building_type: building.BuildingType, tribe_id: u32, x: f32, z: f32) !u32 {
+        try self.checkBuildingRequirements(building_type, tribe_id, x, z);
+        return self.buildings.create(building_type, tribe_id, math.Vec3.init(x, 0, z), &self.tribes);
+    }
+
+    /// Place an already-built building for a tribe at no cost, skipping tier and terrain
+    /// requirements (pre-placed scenario buildings). Spacing and capacity still apply.
+    pub fn placeCompletedBuilding(self: *Simulation, building_type: building.BuildingType, tribe_id: u32, x: f32, z: f32) !u32 {
+        const t = self.tribes.getTribe(tribe_id) orelse return error.InvalidTribe;
+        const cost = building.Building.getBuildCost(building_type);
+
+        // Fund the build so create() leaves the tribe's stores untouched
+        t.food += cost.food;
+        t.wood += cost.wood;
+        t.stone += cost.stone;
+        t.metal += cost.metal;
+        errdefer {
+            t.food -= cost.food;
+            t.wood -= cost.wood;
+            t.stone -= cost.stone;
+            t.metal -= cost.metal;
+        }
+
+        const id = try self.buildings.create(building_type, tribe_id, math.Vec3.init(x, 0, z), &self.tribes);
+        self.buildings.get(id).?.construction_progress = 100.0;
+        return id;
+    }
+
+    /// Check a building's tier (against the tribe's technology era), prerequisites, population and terrain
+    pub fn checkBuildingRequirements(self: *const Simulation, building_type: building.BuildingType, tribe_id: u32, x: f32, z: f32) !void {
+        const t = self.tribes.getTribeConst(tribe_id) orelse return error.InvalidTribe;
+        const research = self.tech_mgr.getResearchConst(tribe_id) orelse return error.InvalidTribe;
+        const ground = self.terrain.biomeAt(x, z);
+
+        try self.buildings.checkRequirements(building_type, tribe_id, research.getCurrentEra(), t.member_count, ground);
+    }
+
+    /// Check whether a tribe has housing for another member
+    fn hasHousing(self: *const Simulation, tribe_id: u32) bool {
+        const t = self.tribes.getTribeConst(tribe_id) orelse return true;
+        const housing = @min(self.buildings.getEffects(tribe_id).housing, tribe.MAX_MEMBERS_PER_TRIBE);
+        return t.member_count < housing;
+    }
+
     /// Update all tribes
     fn updateTribes(self: *Simulation, delta: f32) void {
         self.tribes.update(delta);
@@ -394,11 +711,151 @@ pub const Simulation = struct {
         self.buildings.update(delta, &self.tribes);
     }
 
+    /// Apply the local effects of completed buildings: healing auras, tower fire and walls
+    fn updateBuildingEffects(self: *Simulation, delta: f32) void {
+        for (self.buildings.buildings[0..self.buildings.count]) |*b| {
+            if (!b.active or !b.isConstructed()) continue;
+            const def = building.getDef(b.building_type);
+            const center = b.getPosition();
+
+            if (def.healing_rate > 0) {
+                for (0..self.organisms.count) |i| {
+                    if (!self.organisms.alive[i] or self.organisms.tribe_ids[i] != b.tribe_id) continue;
+                    if (self.organisms.healths[i] >= 100.0) continue;
+                    if (center.distance(self.organisms.getPosition(i)) > building.AURA_RADIUS) continue;
+                    self.organisms.healths[i] = @min(100.0, self.organisms.healths[i] + def.healing_rate * delta);
+                }
+            }
+
+            if (def.attack_damage > 0) {
+                self.buildingAttack(b, def, delta);
+            }
+
+            if (def.blocks_enemies) {
+                for (0..self.organisms.count) |i| {
+                    if (!self.organisms.alive[i] or self.organisms.tribe_ids[i] == b.tribe_id) continue;
+                    if (self.organisms.types[i] == @intFromEnum(organism.OrganismType.plant)) continue;
+
+                    // Push intruders back to the edge of the footprint
+                    const pos = self.organisms.getPosition(i);
+                    const dx = pos.x - center.x;
+                    const dz = pos.z - center.z;
+                    const dist = @sqrt(dx * dx + dz * dz);
+                    if (dist >= building.BLOCK_RADIUS) continue;
+
+                    const push = if (dist > 0.001) building.BLOCK_RADIUS / dist else 0;
+                    const new_x = if (dist > 0.001) center.x + dx * push else center.x + building.BLOCK_RADIUS;
+                    const new_z = if (dist > 0.001) center.z + dz * push else center.z;
+                    self.organisms.setPosition(i, math.Vec3.init(new_x, pos.y, new_z));
+                }
+            }
+        }
+    }
+
+    /// A tower fires at the nearest predator or war enemy in range
+    fn buildingAttack(self: *Simulation, b: *const building.Building, def: building.BuildingDef, delta: f32) void {
+        const center = b.getPosition();
+        var target: ?usize = null;
+        var best_dist = def.attack_range;
+
+        for (0..self.organisms.count) |i| {
+            if (!self.organisms.alive[i]) continue;
+            const other_tribe = self.organisms.tribe_ids[i];
+            const is_predator = self.organisms.types[i] == @intFromEnum(organism.OrganismType.carnivore);
+            const is_enemy = other_tribe < self.tribes.count and self.diplomacy_mgr.isAtWar(b.tribe_id, other_tribe);
+            if (!is_predator and !is_enemy) continue;
+
+            const dist = center.distance(self.organisms.getPosition(i));
+            if (dist < best_dist) {
+                best_dist = dist;
+                target = i;
+            }
+        }
+
+        const idx = target orelse return;
+        self.organisms.healths[idx] -= def.attack_damage * delta;
+        if (self.organisms.healths[idx] <= 0) self.population_mgr.markKilled(idx, .combat);
+
+        const target_tribe = self.organisms.tribe_ids[idx];
+        if (self.organisms.healths[idx] <= 0 and target_tribe < self.tribes.count) {
+            if (self.diplomacy_mgr.getWar(b.tribe_id, target_tribe)) |war| {
+                war.recordCasualty(war.isAttacker(target_tribe));
+            }
+        }
+    }
+
     /// Update equipment
     fn updateEquipment(self: *Simulation, delta: f32) void {
         self.equipment_mgr.update(delta);
     }
 
+    /// Progress crafts, equip finished items, and start new crafts (every 60 frames)
+    fn updateCrafting(self: *Simulation, delta: f32) void {
+        self.crafting_mgr.update(delta);
+
+        if (self.frame_count % 60 != 0) return;
+
+        // Gear of the dead and broken gear is discarded
+        var item_idx: usize = 0;
+        while (item_idx < self.crafting_mgr.count) {
+            const item = &self.crafting_mgr.items[item_idx];
+            const owner = item.owner_id;
+            if (owner >= self.organisms.count or !self.organisms.alive[owner] or item.isBroken()) {
+                self.crafting_mgr.discardItem(item_idx);
+            } else {
+                item_idx += 1;
+            }
+        }
+
+        for (0..self.organisms.count) |i| {
+            const crafter: u32 = @intCast(i);
+            if (!self.organisms.alive[i]) {
+                self.crafting_mgr.cancelCraftsFor(crafter);
+                continue;
+            }
+            if (self.organisms.types[i] != @intFromEnum(organism.OrganismType.humanoid)) continue;
+
+            const tribe_id = self.organisms.tribe_ids[i];
+            if (tribe_id >= self.tribes.count) continue;
+
+            self.crafting_mgr.autoEquip(crafter);
+            if (self.crafting_mgr.getCraftFor(crafter) != null) continue;
+
+            // Craftsmanship grows with the tribe's technology era
+            const era: f32 = if (self.tech_mgr.getResearchConst(tribe_id)) |r| @floatFromInt(r.getCurrentEra()) else 0;
+            const skill = 10.0 + era * 15.0;
+
+            const recipe = self.pickRecipe(crafter, skill) orelse continue;
+            self.crafting_mgr.startCraft(recipe, crafter, skill, &self.organisms.inventories[i], &self.rng) catch {};
+        }
+    }
+
+    /// Choose the most demanding affordable recipe that fills an empty equipment slot
+    fn pickRecipe(self: *const Simulation, crafter: u32, skill: f32) ?u8 {
+        const inventory = &self.organisms.inventories[crafter];
+        var best: ?u8 = null;
+        var best_skill: f32 = -1;
+
+        for (&crafting.ITEM_RECIPES, 0..) |*recipe, r| {
+            if (recipe.skill_required > skill or recipe.skill_required <= best_skill) continue;
+            if (!recipe.canAfford(inventory)) continue;
+
+            const item = crafting.CraftedItem{
+                .item_type = recipe.result_type,
+                .quality = .normal,
+                .durability = 0,
+                .max_durability = 0,
+                .owner_id = crafter,
+                .equipped = false,
+            };
+            if (self.crafting_mgr.findEquipped(crafter, item.getSlot()) != null) continue;
+
+            best = @intCast(r);
+            best_skill = recipe.skill_required;
+        }
+        return best;
+    }
+
     /// Update messages
     fn updateMessages(self: *Simulation, delta: f32) void {
         self.messages.update(delta);
@@ -409,6 +866,51 @@ pub const Simulation = struct {
     /// Update seasons and weather
     fn updateSeasons(self: *Simulation, delta: f32) void {
         self.season_mgr.update(delta, &self.rng);
+        self.applyEventEffects(delta);
+    }
+
+    /// Let active events act on the creatures they cover: a one-off impact when each lands, then ongoing harm
+    fn applyEventEffects(self: *Simulation, delta: f32) void {
+        const now = self.season_mgr.getTotalTime();
+        for (self.season_mgr.events[0..self.season_mgr.event_count]) |*e| {
+            if (!e.impact_applied and e.getProgress(now) >= e.event_type.getImpactProgress()) {
+                e.impact_applied = true;
+                self.applyEventImpact(e);
+            }
+
+            const damage_per_second: f32 = switch (e.event_type) {
+                .fire => EVENT_FIRE_DAMAGE,
+                .flood => EVENT_FLOOD_DAMAGE,
+                else => 0,
+            };
+            if (damage_per_second > 0) {
+                const amount = damage_per_second * e.intensity * delta;
+                _ = self.applyAreaEffect(e.position_x, e.position_z, e.radius, .{ .damage = .{ .amount = amount, .cause = .disaster } });
+            }
+        }
+    }
+
+    fn applyEventImpact(self: *Simulation, e: *const seasons.Event) void {
+        switch (e.event_type) {
+            .meteor, .natural_disaster => {
+                const damage = if (e.event_type == .meteor) EVENT_METEOR_DAMAGE else EVENT_QUAKE_DAMAGE;
+                _ = self.applyAreaEffect(e.position_x, e.position_z, e.radius, .{ .damage = .{ .amount = damage * e.intensity, .cause = .disaster } });
+            },
+            .disease_outbreak => {
+                const chance = EVENT_OUTBREAK_INFECTION_CHANCE * e.intensity;
+                _ = self.applyAreaEffect(e.position_x, e.position_z, e.radius, .{ .infect = .{ .disease = .plague, .chance = chance } });
+            },
+            .migration_arrival => {
+                for (0..EVENT_MIGRATION_HERD_SIZE) |_| {
+                    const x = e.position_x + self.rng.range(-EVENT_MIGRATION_SPREAD, EVENT_MIGRATION_SPREAD);
+                    const z = e.position_z + self.rng.range(-EVENT_MIGRATION_SPREAD, EVENT_MIGRATION_SPREAD);
+                    // Herds arrive over land
+                    const land = self.terrain.nearestLand(x, z, EVENT_MIGRATION_SPREAD * 2) orelse continue;
+                    _ = self.spawnOrganism(.herbivore, math.Vec3.init(land.x, 0.5, land.z), NO_ORGANISM) catch break;
+                }
+            },
+            else => {},
+        }
     }
 
     /// Update diplomacy system
@@ -418,7 +920,11 @@ pub const Simulation = struct {
 
     /// Update technology research
     fn updateTechnology(self: *Simulation, delta: f32) void {
-        self.tech_mgr.update(delta, &self.tribes);
+        var research_bonus: [tribe.MAX_TRIBES]f32 = undefined;
+        for (0..tribe.MAX_TRIBES) |i| {
+            research_bonus[i] = self.buildings.effects[i].research_bonus;
+        }
+        self.tech_mgr.update(delta, &self.tribes, &research_bonus);
     }
 
     /// Update territory control
@@ -444,6 +950,14 @@ pub const Simulation = struct {
 
     /// Update population dynamics
     fn updatePopulation(self: *Simulation, delta: f32) void {
+        var conditions: [tribe.MAX_TRIBES]population.TribeConditions = undefined;
+        for (0..tribe.MAX_TRIBES) |i| {
+            conditions[i] = .{
+                .housing_full = !self.hasHousing(@intCast(i)),
+                .disease_reduction = self.buildings.effects[i].disease_reduction,
+            };
+        }
+
         self.population_mgr.update(
             delta,
             &self.organisms,
@@ -451,15 +965,14 @@ pub const Simulation = struct {
             &self.rng,
             self.season_mgr.birth_rate_modifier,
             if (self.season_mgr.current_weather == .rain) 1.2 else 1.0,
+            &conditions,
         );
 
-        // Record deaths
-        for (0..self.organisms.count) |i| {
-            if (self.organisms.alive[i]) continue;
-            if (self.organisms.healths[i] <= 0) {
-                self.population_mgr.recordDeath(i, self.organisms.tribe_ids[i]);
-            }
+        for (self.population_mgr.takeBirths()) |birth| {
+            self.recordBirth(birth.child, birth.parent, lineage.NO_PARENT);
         }
+
+        self.population_mgr.recordDeaths(&self.organisms);
     }
 
     /// Update tribe AI decision making
@@ -571,14 +1084,15 @@ pub const Simulation = struct {
 
         // Eating
         if (self.organisms.is_eating[i]) {
-            if (type_i == .herbivore and type_j == .plant) {
+            const species_i = self.organisms.species[i];
+            if (type_j == .plant and species.eatsPlants(type_i, species_i)) {
                 // Apply seasonal food gathering modifier
                 const food_amount = delta * 20.0 * self.season_mgr.food_modifier;
                 self.organisms.energies[i] += food_amount;
                 self.organisms.energies[j] -= food_amount;
-            } else if (type_i == .carnivore and type_j == .herbivore) {
+            } else if (type_j == .herbivore and species.eatsMeat(type_i, species_i)) {
                 self.organisms.energies[i] += delta * 30.0;
-                self.organisms.healths[j] -= delta * 10.0;
+                self.damageOrganism(i, j, delta * 10.0);
             }
         }
 
@@ -591,15 +1105,27 @@ pub const Simulation = struct {
             // Don't attack same tribe or allies
             if (same_tribe or is_allied) return;
 
-            // Base damage with tech bonus
+            // Base damage with tech bonus, trained by barracks
             var damage = delta * 5.0;
             damage += bonuses_i.attack_bonus * delta * 0.1;
-
-            // Apply defender's defense bonus
-            const defense_reduction = bonuses_j.defense_bonus * delta * 0.05;
+            damage *= 1.0 + self.buildings.getEffects(tribe_i).combat_bonus;
+
+            // Crafted gear: the attacker's weapon and the defender's armor and shield
+            damage += self.crafting_mgr.getDamageBonusForOwner(@intCast(i)) * delta * 0.1;
+            self.crafting_mgr.wearEquipped(@intCast(i), .weapon, ITEM_WEAR_RATE * delta);
+            self.crafting_mgr.wearEquipped(@intCast(j), .armor, ITEM_WEAR_RATE * delta);
+            self.crafting_mgr.wearEquipped(@intCast(j), .shield, ITEM_WEAR_RATE * delta);
+
+            // Apply defender's defense bonus (fortifications only count on home territory)
+            var defense = bonuses_j.defense_bonus + self.crafting_mgr.getDefenseBonusForOwner(@intCast(j));
+            const pos_j = self.organisms.getPosition(j);
+            if (self.territory_mgr.getCellAtConst(pos_j.x, pos_j.z)) |cell| {
+                if (cell.isOwnedBy(tribe_j)) defense += self.buildings.getEffects(tribe_j).defense_bonus;
+            }
+            const defense_reduction = defense * delta * 0.05;
             damage = @max(0, damage - defense_reduction);
 
-            self.organisms.healths[j] -= damage;
+            self.damageOrganism(i, j, damage);
             self.organisms.energies[i] -= delta * 2.0; // Attacking costs energy
 
             // If at war, record casualty if killed
@@ -616,14 +1142,111 @@ pub const Simulation = struct {
         }
     }
 
-    /// Spawn a new organism
+    /// Give a newborn its parents' brain and record the birth in the lineage
+    fn recordBirth(self: *Simulation, child: u32, parent_a: u32, parent_b: u32) void {
+        const mutation = self.inheritBrain(child, parent_a, parent_b);
+        self.lineage.recordBirth(child, parent_a, parent_b, mutation, self.time);
+
+        var event = self.organismEvent(.birth, child);
+        event.other = parent_a;
+        event.other_type = self.organisms.types[parent_a];
+        event.detail = parent_b;
+        self.events.push(event);
+
+        for ([_]u32{ parent_a, parent_b }) |parent| {
+            if (parent < self.organisms.count) self.organisms.offspring_counts[parent] += 1;
+        }
+    }
+
+    /// Replace the child's random brain with a crossover of its parents' brains, then mutate it
+    /// Returns the mean absolute weight change the mutation made
+    fn inheritBrain(self: *Simulation, child: u32, parent_a: u32, parent_b: u32) f32 {
+        const child_brain = self.organisms.brains[child] orelse return 0;
+        const brain_a = self.organisms.brains[parent_a] orelse return 0;
+
+        var inherited: [nn.BRAIN_PARAMETER_COUNT]f32 = undefined;
+        brain_a.writeFlat(&inherited);
+
+        // Uniform crossover: each weight comes from either parent
+        if (parent_b != lineage.NO_PARENT) {
+            if (self.organisms.brains[parent_b]) |brain_b| {
+                var mate: [nn.BRAIN_PARAMETER_COUNT]f32 = undefined;
+                brain_b.writeFlat(&mate);
+                for (&inherited, mate) |*w, m| {
+                    if (self.rng.float() < 0.5) w.* = m;
+                }
+            }
+        }
+
+        child_brain.readFlat(&inherited) catch return 0;
+        child_brain.mutate(&self.rng, BRAIN_MUTATION_RATE);
+
+        var mutated: [nn.BRAIN_PARAMETER_COUNT]f32 = undefined;
+        child_brain.writeFlat(&mutated);
+        var total: f32 = 0;
+        for (inherited, mutated) |before, after| {
+            total += @abs(after - before);
+        }
+        return total / @as(f32, @floatFromInt(nn.BRAIN_PARAMETER_COUNT));
+    }
+
+    /// Apply damage from one organism to another, crediting the attacker with the kill
+    /// A humanoid that kills an animal takes its hide and bone
+    fn damageOrganism(self: *Simulation, attacker: usize, target: usize, damage: f32) void {
+        const was_alive = self.organisms.healths[target] > 0;
+        if (was_alive and self.time - self.last_attack_event[attacker] >= ATTACK_EVENT_INTERVAL) {
+            self.last_attack_event[attacker] = self.time;
+            var event = self.organismEvent(.attack, @intCast(attacker));
+            event.other = @intCast(target);
+            event.other_type = self.organisms.types[target];
+            event.other_tribe = self.organisms.tribe_ids[target];
+            event.detail = @intFromBool(self.organisms.types[attacker] == @intFromEnum(organism.OrganismType.carnivore));
+            self.events.push(event);
+        }
+
+        self.organisms.healths[target] -= damage;
+        if (was_alive and self.organisms.healths[target] <= 0) {
+            self.organisms.kill_counts[attacker] += 1;
+            const is_predator = self.organisms.types[attacker] == @intFromEnum(organism.OrganismType.carnivore);
+            self.population_mgr.markKilled(target, if (is_predator) .predation else .combat);
+
+            const target_type: organism.OrganismType = @enumFromInt(self.organisms.types[target]);
+            const is_animal = target_type == .herbivore or target_type == .carnivore;
+            if (is_animal and self.organisms.types[attacker] == @intFromEnum(organism.OrganismType.humanoid)) {
+                _ = self.organisms.inventories[attacker].add(.hide, HIDE_PER_KILL);
+                _ = self.organisms.inventories[attacker].add(.bone, BONE_PER_KILL);
+            }
+        }
+    }
+
+    /// Spawn a new organism (animals are of a species that lives in the biome at `pos`)
     pub fn spawnOrganism(
         self: *Simulation,
         org_type: organism.OrganismType,
         pos: math.Vec3,
         tribe_id: u32,
     ) !u32 {
-        const organism_id = try self.organisms.spawn(org_type, pos, tribe_id, &self.rng);
+        const species_id = species.pick(org_type, self.terrain.biomeAt(pos.x, pos.z), &self.rng);
+        return self.spawnAs(org_type, species_id, pos, tribe_id);
+    }
+
+    /// Spawn an animal of the given species
+    pub fn spawnSpecies(self: *Simulation, kind: species.Species, pos: math.Vec3, tribe_id: u32) !u32 {
+        return self.spawnAs(species.getDef(kind).organism_type, @intFromEnum(kind), pos, tribe_id);
+    }
+
+    fn spawnAs(
+        self: *Simulation,
+        org_type: organism.OrganismType,
+        species_id: u8,
+        pos: math.Vec3,
+        tribe_id: u32,
+    ) !u32 {
+        // Plants only take root on land
+        if (org_type == .plant and self.terrain.isWater(pos.x, pos.z)) return error.InWater;
+
+        const organism_id = try self.organisms.spawnAs(org_type, species_id, pos, tribe_id, &self.rng);
+        self.lineage.recordFounder(organism_id, self.time);
 
         // Add organism to tribe if tribe_id is valid
         if (tribe_id < self.tribes.count) {
@@ -638,6 +1261,34 @@ pub const Simulation = struct {
         return organism_id;
     }
 
+    /// Spawn an organism whose brain is replaced by saved weights (flat NeuralNetwork.writeFlat layout)
+    pub fn spawnOrganismWithBrain(
+        self: *Simulation,
+        org_type: organism.OrganismType,
+        pos: math.Vec3,
+        tribe_id: u32,
+        weights: []const f32,
+    ) !u32 {
+        if (org_type == .plant) return error.NoBrain;
+
+        // Validate before spawning so a bad brain leaves no organism behind
+        if (weights.len != nn.BRAIN_PARAMETER_COUNT) return error.InvalidData;
+        for (weights) |w| {
+            if (!std.math.isFinite(w)) return error.InvalidData;
+        }
+
+        const organism_id = try self.spawnOrganism(org_type, pos, tribe_id);
+        const brain = self.organisms.brains[organism_id] orelse return error.NoBrain;
+        try brain.readFlat(weights);
+        return organism_id;
+    }
+
+    /// Spawn a copy of a gene bank champion (its own organism type)
+    pub fn spawnChampion(self: *Simulation, metric: gene_bank.Metric, rank: usize, pos: math.Vec3, tribe_id: u32) !u32 {
+        const champion = self.gene_bank.get(metric, rank) orelse return error.NoChampion;
+        return self.spawnOrganismWithBrain(@enumFromInt(champion.org_type), pos, tribe_id, &champion.weights);
+    }
+
     /// Create a new tribe
     pub fn createTribe(self: *Simulation) ?u32 {
         const tribe_id = self.tribes.createTribe(&self.rng);
@@ -655,6 +1306,297 @@ pub const Simulation = struct {
         return tribe_id;
     }
 
+    // === DIVINE INTERVENTION (god powers and world events) ===
+
+    /// A living animal or humanoid - plants are out of reach of health powers
+    fn isLivingCreature(self: *const Simulation, idx: usize) bool {
+        if (idx >= self.organisms.count or !self.organisms.alive[idx]) return false;
+        if (self.organisms.types[idx] == @intFromEnum(organism.OrganismType.plant)) return false;
+        return self.organisms.healths[idx] > 0; // Not already dying this frame
+    }
+
+    /// Living animals of each Species
+    pub fn countSpecies(self: *const Simulation) [species.SPECIES_COUNT]u32 {
+        var counts = [_]u32{0} ** species.SPECIES_COUNT;
+        for (0..self.organisms.count) |i| {
+            if (!self.organisms.alive[i]) continue;
+            const s = self.organisms.species[i];
+            if (s < species.SPECIES_COUNT) counts[s] += 1;
+        }
+        return counts;
+    }
+
+    /// Damage a creature; a killing blow is recorded with `cause`
+    /// Returns: false if there was no living creature to hit
+    pub fn harmOrganism(self: *Simulation, idx: usize, amount: f32, cause: population.DeathCause) bool {
+        if (!self.isLivingCreature(idx)) return false;
+        self.organisms.healths[idx] -= amount;
+        if (self.organisms.healths[idx] <= 0) self.population_mgr.markKilled(idx, cause);
+        return true;
+    }
+
+    /// Kill a creature outright
+    pub fn killOrganism(self: *Simulation, idx: usize, cause: population.DeathCause) bool {
+        if (!self.isLivingCreature(idx)) return false;
+        return self.harmOrganism(idx, self.organisms.healths[idx], cause);
+    }
+
+    /// Restore a creature's health (up to MAX_DIVINE_HEALTH) and feed it `energy`
+    pub fn healOrganism(self: *Simulation, idx: usize, health: f32, energy: f32) bool {
+        if (!self.isLivingCreature(idx)) return false;
+        const current = self.organisms.healths[idx];
+        self.organisms.healths[idx] = @max(current, @min(MAX_DIVINE_HEALTH, current + health));
+        self.organisms.energies[idx] += energy;
+        return true;
+    }
+
+    /// Start an outbreak among a tribe's members
+    /// Returns: false if nobody caught it
+    pub fn startOutbreak(self: *Simulation, tribe_id: u32, disease: population.Disease) bool {
+        const first = self.population_mgr.startOutbreak(tribe_id, disease, &self.organisms, &self.rng) orelse return false;
+        var event = self.organismEvent(.disease_outbreak, @intCast(first));
+        event.detail = @intFromEnum(disease);
+        self.events.push(event);
+        return true;
+    }
+
+    /// Sap a creature's health and energy, never below CURSE_FLOOR
+    pub fn curseOrganism(self: *Simulation, idx: usize, health: f32, energy: f32) bool {
+        if (!self.isLivingCreature(idx)) return false;
+        const hp = &self.organisms.healths[idx];
+        const en = &self.organisms.energies[idx];
+        hp.* = @min(hp.*, @max(CURSE_FLOOR, hp.* - health));
+        en.* = @min(en.*, @max(CURSE_FLOOR, en.* - energy));
+        return true;
+    }
+
+    /// Mutate a creature's brain `rounds` times over, as if that many generations had passed
+    pub fn evolveOrganism(self: *Simulation, idx: usize, rounds: u32) bool {
+        if (!self.isLivingCreature(idx)) return false;
+        const brain = self.organisms.brains[idx] orelse return false;
+        for (0..rounds) |_| brain.mutate(&self.rng, BRAIN_MUTATION_RATE);
+        self.lineage.generations[idx] += rounds;
+        return true;
+    }
+
+    /// Move a creature's brain ENLIGHTEN_BLEND of the way towards the best banked brain of its kind
+    /// (gene bank rankings are tried in Metric order)
+    /// Returns: false if the gene bank holds no brain of its type yet
+    pub fn enlightenOrganism(self: *Simulation, idx: usize) bool {
+        if (!self.isLivingCreature(idx)) return false;
+        const brain = self.organisms.brains[idx] orelse return false;
+
+        const mentor = blk: {
+            for (0..gene_bank.METRIC_COUNT) |m| {
+                for (0..gene_bank.SLOTS_PER_METRIC) |rank| {
+                    const champion = self.gene_bank.get(@enumFromInt(m), rank) orelse break;
+                    if (champion.org_type == self.organisms.types[idx]) break :blk champion;
+                }
+            }
+            return false;
+        };
+
+        var weights: [nn.BRAIN_PARAMETER_COUNT]f32 = undefined;
+        brain.writeFlat(&weights);
+        for (&weights, mentor.weights) |*w, target| {
+            w.* += (target - w.*) * ENLIGHTEN_BLEND;
+        }
+        brain.readFlat(&weights) catch return false;
+        return true;
+    }
+
+    /// Bring back the animal or humanoid that died most recently within `radius` of (x, z)
+    /// Returns: its id, or null if nobody died there
+    pub fn resurrectNear(self: *Simulation, x: f32, z: f32, radius: f32) ?u32 {
+        var chosen: ?usize = null;
+        for (0..self.organisms.count) |i| {
+            if (self.organisms.alive[i]) continue;
+            if (self.organisms.types[i] == @intFromEnum(organism.OrganismType.plant)) continue;
+            const dx = self.organisms.positions_x[i] - x;
+            const dz = self.organisms.positions_z[i] - z;
+            if (dx * dx + dz * dz > radius * radius) continue;
+            if (chosen == null or self.lineage.death_times[i] > self.lineage.death_times[chosen.?]) chosen = i;
+        }
+
+        const idx = chosen orelse return null;
+        self.organisms.revive(idx, &self.rng) catch return null;
+        self.population_mgr.initOrganism(idx, &self.rng);
+        self.lineage.death_times[idx] = lineage.STILL_ALIVE;
+        return @intCast(idx);
+    }
+
+    /// Spawn a twin of a creature at `pos`: same species, tribe, brain and generation
+    pub fn cloneOrganism(self: *Simulation, idx: usize, pos: math.Vec3) !u32 {
+        if (!self.isLivingCreature(idx)) return error.NotACreature;
+        const brain = self.organisms.brains[idx] orelse return error.NoBrain;
+        var weights: [nn.BRAIN_PARAMETER_COUNT]f32 = undefined;
+        brain.writeFlat(&weights);
+
+        const org_type: organism.OrganismType = @enumFromInt(self.organisms.types[idx]);
+        const twin = try self.spawnAs(org_type, self.organisms.species[idx], pos, self.organisms.tribe_ids[idx]);
+        const twin_brain = self.organisms.brains[twin] orelse return error.NoBrain;
+        try twin_brain.readFlat(&weights);
+        self.lineage.generations[twin] = self.lineage.generations[idx];
+        return twin;
+    }
+
+    /// Kill every plant within `radius` of (x, z)
+    /// Returns: how many withered
+    pub fn witherArea(self: *Simulation, x: f32, z: f32, radius: f32) u32 {
+        var withered: u32 = 0;
+        for (0..self.organisms.count) |i| {
+            const dx = self.organisms.positions_x[i] - x;
+            const dz = self.organisms.positions_z[i] - z;
+            if (dx * dx + dz * dz > radius * radius) continue;
+            if (self.killPlant(i)) withered += 1;
+        }
+        return withered;
+    }
+
+    /// Kill a living plant (health powers don't reach plants - see isLivingCreature)
+    fn killPlant(self: *Simulation, idx: usize) bool {
+        if (!self.organisms.alive[idx] or self.organisms.healths[idx] <= 0) return false;
+        if (self.organisms.types[idx] != @intFromEnum(organism.OrganismType.plant)) return false;
+        self.organisms.healths[idx] = 0;
+        self.population_mgr.markKilled(idx, .disaster);
+        return true;
+    }
+
+    /// Infect a creature; false if it is already sick or immune
+    pub fn infectOrganism(self: *Simulation, idx: usize, disease: population.Disease) bool {
+        if (disease == .none or !self.isLivingCreature(idx)) return false;
+        return self.population_mgr.infectOrganism(idx, disease);
+    }
+
+    /// Apply an effect to every living creature within `radius` of (x, z)
+    /// Returns: how many creatures it changed
+    pub fn applyAreaEffect(self: *Simulation, x: f32, z: f32, radius: f32, effect: AreaEffect) u32 {
+        var affected: u32 = 0;
+        for (0..self.organisms.count) |i| {
+            if (!self.isLivingCreature(i)) continue;
+            const dx = self.organisms.positions_x[i] - x;
+            const dz = self.organisms.positions_z[i] - z;
+            if (dx * dx + dz * dz > radius * radius) continue;
+
+            const changed = switch (effect) {
+                .damage => |d| self.harmOrganism(i, d.amount, d.cause),
+                .heal => |h| self.healOrganism(i, h.health, h.energy),
+                .kill => |cause| self.killOrganism(i, cause),
+                .infect => |inf| self.rng.float() < inf.chance and self.infectOrganism(i, inf.disease),
+            };
+            if (changed) affected += 1;
+        }
+
+        if (effect == .infect and affected > 0) {
+            var event = event_log.SimEvent.init(.disease_outbreak, x, z, self.time);
+            event.detail = @intFromEnum(effect.infect.disease);
+            self.events.push(event);
+        }
+        return affected;
+    }
+
+    // === TERRAIN SCULPTING ===
+
+    /// Start a sculpting stroke, remembering the map so it can be undone
+    pub fn beginTerrainStroke(self: *Simulation) bool {
+        return self.terrain.beginStroke();
+    }
+
+    /// Apply one brush dab (see Terrain.sculpt)
+    pub fn sculptTerrain(self: *Simulation, tool: terrain.SculptTool, x: f32, z: f32, radius: f32, strength: f32) bool {
+        if (!self.terrain.sculpt(tool, x, z, radius, strength)) return false;
+        self.terrainChanged();
+        return true;
+    }
+
+    /// Undo the last sculpting stroke
+    pub fn undoTerrainStroke(self: *Simulation) bool {
+        if (!self.terrain.undo()) return false;
+        self.terrainChanged();
+        return true;
+    }
+
+    /// Territory cells take the new biomes and plants under the new coastline drown
+    fn terrainChanged(self: *Simulation) void {
+        self.applyTerrainToTerritory();
+
+        for (0..self.organisms.count) |i| {
+            if (self.terrain.isLand(self.organisms.positions_x[i], self.organisms.positions_z[i])) continue;
+            _ = self.killPlant(i);
+        }
+    }
+
+    // === EVENT LOG ===
+
+    /// An event about an organism, at its position and with its tribe
+    fn organismEvent(self: *const Simulation, kind: event_log.EventKind, idx: u32) event_log.SimEvent {
+        var event = event_log.SimEvent.init(kind, self.organisms.positions_x[idx], self.organisms.positions_z[idx], self.time);
+        event.subject = idx;
+        event.organism_type = self.organisms.types[idx];
+        event.tribe = self.organisms.tribe_ids[idx];
+        return event;
+    }
+
+    /// Centre of a tribe's living members (the origin if it has none)
+    fn tribeCenter(self: *const Simulation, tribe_id: u32) [2]f32 {
+        const t = self.tribes.getTribeConst(tribe_id) orelse return .{ 0, 0 };
+        var sum = [2]f32{ 0, 0 };
+        var n: f32 = 0;
+        for (t.member_ids[0..t.member_count]) |id| {
+            if (id >= self.organisms.count or !self.organisms.alive[id]) continue;
+            sum[0] += self.organisms.positions_x[id];
+            sum[1] += self.organisms.positions_z[id];
+            n += 1;
+        }
+        if (n == 0) return .{ 0, 0 };
+        return .{ sum[0] / n, sum[1] / n };
+    }
+
+    /// Turn what the managers queued this update into events
+    fn collectEvents(self: *Simulation) void {
+        for (self.population_mgr.takeDeaths()) |death| {
+            var event = self.organismEvent(.death, death.organism);
+            event.detail = @intFromEnum(death.cause);
+            self.events.push(event);
+        }
+
+        for (self.buildings.takeCompleted()) |id| {
+            const b = self.buildings.get(id) orelse continue;
+            var event = event_log.SimEvent.init(.building_complete, b.pos_x, b.pos_z, self.time);
+            event.subject = id;
+            event.tribe = b.tribe_id;
+            event.detail = @intFromEnum(b.building_type);
+            self.events.push(event);
+        }
+
+        for (self.tech_mgr.takeDiscoveries()) |discovery| {
+            const center = self.tribeCenter(discovery.tribe_id);
+            var event = event_log.SimEvent.init(.tech_discovered, center[0], center[1], self.time);
+            event.tribe = discovery.tribe_id;
+            event.detail = @intFromEnum(discovery.tech);
+            self.events.push(event);
+        }
+
+        // Relations happen between two tribes, so place them halfway between
+        for (self.diplomacy_mgr.takeChanges()) |change| {
+            const a = self.tribeCenter(change.tribe_a);
+            const b = self.tribeCenter(change.tribe_b);
+            const kind: event_log.EventKind = switch (change.kind) {
+                .first_contact => .first_contact,
+                .war_declared => .war_declared,
+                .war_ended => .war_ended,
+                .treaty_signed => .treaty_signed,
+                .treaty_broken => .treaty_broken,
+                .treaty_expired => .treaty_expired,
+            };
+            var event = event_log.SimEvent.init(kind, (a[0] + b[0]) / 2, (a[1] + b[1]) / 2, self.time);
+            event.tribe = change.tribe_a;
+            event.other_tribe = change.tribe_b;
+            event.detail = change.detail;
+            self.events.push(event);
+        }
+    }
+
     // === PUBLIC ACCESSORS FOR NEW SYSTEMS ===
 
     /// Get current season
@@ -712,6 +1654,125 @@ pub const Simulation = struct {
         return self.diplomacy_mgr.getActiveTreatyCount();
     }
 
+    /// Broker a treaty between two tribes (god action); returns the treaty index
+    pub fn brokerTreaty(self: *Simulation, treaty_type: diplomacy.TreatyType, tribe_a: u32, tribe_b: u32) !u32 {
+        if (tribe_a >= self.tribes.count or tribe_b >= self.tribes.count or tribe_a == tribe_b) return error.InvalidTribe;
+        if (self.diplomacy_mgr.isAtWar(tribe_a, tribe_b)) return error.AtWar;
+        if (self.diplomacy_mgr.hasTreaty(tribe_a, tribe_b, treaty_type)) return error.TreatyExists;
+
+        // Brokered tribes know each other from then on
+        self.diplomacy_mgr.recordFirstContact(tribe_a, tribe_b);
+        const idx = self.diplomacy_mgr.createTreaty(treaty_type, tribe_a, tribe_b, self.time) orelse return error.NoCapacity;
+        return @intCast(idx);
+    }
+
+    // === SAVE / LOAD ===
+
+    /// Serialize the complete simulation (organisms, brains, tribes, all strategic systems, RNG)
+    pub fn saveSnapshot(self: *const Simulation, writer: *snapshot.Writer) !void {
+        const header_pos = writer.pos;
+        var header = snapshot.Header{
+            .magic = snapshot.MAGIC,
+            .version = snapshot.FORMAT_VERSION,
+            .payload_size = 0,
+            .organism_capacity = @intCast(self.organisms.capacity),
+        };
+        try writer.writeValue(snapshot.Header, &header);
+        const payload_start = writer.pos;
+
+        try writer.writeValue(math.Rng, &self.rng);
+        try writer.writeValue(f32, &self.time);
+        try writer.writeValue(u64, &self.frame_count);
+        try self.terrain.save(writer);
+
+        // Core systems (the spatial grid is rebuilt every frame, so it is skipped)
+        try self.organisms.save(writer);
+        try writer.writeValue(tribe.Tribes, &self.tribes);
+        try self.buildings.save(writer);
+        try self.equipment_mgr.save(writer);
+        try self.crafting_mgr.save(writer);
+        try self.messages.save(writer);
+        try writer.writeValue(message.LanguageStats, &self.language_stats);
+        try writer.writeValue([tribe.MAX_TRIBES]message.LanguageStats, &self.tribe_language);
+
+        // AAA Strategic Systems are fixed-size, so they are copied whole
+        try writer.writeValue(diplomacy.DiplomacyManager, &self.diplomacy_mgr);
+        try writer.writeValue(technology.TechnologyManager, &self.tech_mgr);
+        try writer.writeValue(seasons.SeasonManager, &self.season_mgr);
+        try writer.writeValue(territory.TerritoryManager, &self.territory_mgr);
+        try writer.writeValue(population.PopulationManager, &self.population_mgr);
+        try self.resource_nodes.save(writer);
+        try self.gene_bank.save(writer);
+        try self.lineage.save(writer);
+
+        // Patch the header now that the payload size is known
+        header.payload_size = @intCast(writer.pos - payload_start);
+        @memcpy(writer.buffer[header_pos..][0..@sizeOf(snapshot.Header)], std.mem.asBytes(&header));
+    }
+
+    /// Build the simulation a snapshot written by saveSnapshot holds into `sim`
+    /// Decoded in place - a whole Simulation returned by value overflows the WASM stack
+    pub fn loadSnapshot(sim: *Simulation, allocator: std.mem.Allocator, data: []const u8) !void {
+        const header = try snapshot.peekHeader(data);
+
+        try sim.init(allocator, 0, header.organism_capacity);
+        errdefer sim.deinit();
+
+        var reader = snapshot.Reader.init(data[@sizeOf(snapshot.Header)..]);
+
+        try reader.readValue(math.Rng, &sim.rng);
+        try reader.readValue(f32, &sim.time);
+        try reader.readValue(u64, &sim.frame_count);
+        try sim.terrain.load(&reader);
+
+        try sim.organisms.load(&reader);
+        try reader.readValue(tribe.Tribes, &sim.tribes);
+        try sim.buildings.load(&reader);
+        try sim.equipment_mgr.load(&reader);
+        try sim.crafting_mgr.load(&reader);
+        try sim.messages.load(&reader);
+        try reader.readValue(message.LanguageStats, &sim.language_stats);
+        try reader.readValue([tribe.MAX_TRIBES]message.LanguageStats, &sim.tribe_language);
+
+        try reader.readValue(diplomacy.DiplomacyManager, &sim.diplomacy_mgr);
+        try reader.readValue(technology.TechnologyManager, &sim.tech_mgr);
+        try reader.readValue(seasons.SeasonManager, &sim.season_mgr);
+        try reader.readValue(territory.TerritoryManager, &sim.territory_mgr);
+        try reader.readValue(population.PopulationManager, &sim.population_mgr);
+        try sim.resource_nodes.load(&reader);
+        try sim.gene_bank.load(&reader);
+        try sim.lineage.load(&reader);
+
+        if (reader.pos != reader.data.len) return error.SizeMismatch;
+    }
+
+    /// Hash of the evolving world state - replays compare it to detect divergence
+    pub fn checksum(self: *const Simulation) u32 {
+        var hasher = std.hash.Fnv1a_32.init();
+        const n = self.organisms.count;
+
+        hasher.update(std.mem.asBytes(&self.rng.state));
+        hasher.update(std.mem.asBytes(&self.frame_count));
+        hasher.update(std.mem.sliceAsBytes(self.organisms.positions_x[0..n]));
+        hasher.update(std.mem.sliceAsBytes(self.organisms.positions_z[0..n]));
+        hasher.update(std.mem.sliceAsBytes(self.organisms.energies[0..n]));
+        hasher.update(std.mem.sliceAsBytes(self.organisms.healths[0..n]));
+        hasher.update(std.mem.sliceAsBytes(self.organisms.tribe_ids[0..n]));
+        hasher.update(std.mem.sliceAsBytes(self.organisms.alive[0..n]));
+
+        for (self.tribes.tribes[0..self.tribes.count]) |t| {
+            hasher.update(std.mem.asBytes(&t.food));
+            hasher.update(std.mem.asBytes(&t.wood));
+            hasher.update(std.mem.asBytes(&t.stone));
+            hasher.update(std.mem.asBytes(&t.metal));
+        }
+
+        hasher.update(std.mem.sliceAsBytes(self.terrain.heights));
+        hasher.update(std.mem.asBytes(&self.terrain.revision));
+
+        return hasher.final();
+    }
+
     /// Get statistics
     pub fn getStats(self: *const Simulation) SimulationStats {
         return .{
@@ -768,8 +1829,15 @@ pub const ExtendedStats = struct {
 };
 
 // Tests
+/// Raise the whole map to grassland so tests can place things anywhere
+fn flattenTerrainForTest(sim: *Simulation) void {
+    @memset(sim.terrain.heights, 2.0);
+    @memset(sim.terrain.biomes, .plains);
+}
+
 test "Simulation creation" {
-    var sim = try Simulation.init(std.testing.allocator, 42, 100);
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
     defer sim.deinit();
 
     try std.testing.expectEqual(@as(usize, 0), sim.organisms.count);
@@ -777,7 +1845,8 @@ test "Simulation creation" {
 }
 
 test "Simulation spawn and update" {
-    var sim = try Simulation.init(std.testing.allocator, 42, 100);
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
     defer sim.deinit();
 
     const tribe_id = sim.createTribe().?;
@@ -796,7 +1865,8 @@ test "Simulation spawn and update" {
 }
 
 test "Simulation new systems initialized" {
-    var sim = try Simulation.init(std.testing.allocator, 42, 100);
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
     defer sim.deinit();
 
     // Check new systems are initialized
@@ -804,3 +1874,435 @@ test "Simulation new systems initialized" {
     try std.testing.expectEqual(@as(u32, 1), sim.getCurrentYear());
     try std.testing.expectEqual(@as(usize, 0), sim.getActiveWarCount());
 }
+
+test "Simulation snapshot of a full world fits the state buffer" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 500);
+    defer sim.deinit();
+
+    // Humanoids carry the most state (brain and inventory)
+    for (0..sim.organisms.capacity) |i| {
+        const x: f32 = @floatFromInt(i % 25);
+        const z: f32 = @floatFromInt(i / 25);
+        _ = try sim.spawnOrganism(.humanoid, math.Vec3.init(x * 3 - 36, 0.5, z * 3 - 30), 0xFFFFFFFF);
+    }
+
+    const buffer = try std.testing.allocator.alloc(u8, snapshot.BUFFER_SIZE);
+    defer std.testing.allocator.free(buffer);
+    var writer = snapshot.Writer.init(buffer);
+    try sim.saveSnapshot(&writer);
+}
+
+test "Simulation snapshot round trip" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    flattenTerrainForTest(&sim);
+    const tribe_id = sim.createTribe().?;
+    _ = try sim.spawnOrganism(.humanoid, math.Vec3.init(0, 5, 0), tribe_id);
+    _ = try sim.spawnOrganism(.herbivore, math.Vec3.init(5, 5, 5), 0xFFFFFFFF);
+    _ = try sim.spawnOrganism(.plant, math.Vec3.init(-5, 0, 3), 0xFFFFFFFF);
+    for (0..120) |_| {
+        sim.update(1.0 / 60.0);
+    }
+
+    const buffer = try std.testing.allocator.alloc(u8, 256 * 1024);
+    defer std.testing.allocator.free(buffer);
+    var writer = snapshot.Writer.init(buffer);
+    try sim.saveSnapshot(&writer);
+
+    var restored: Simulation = undefined;
+    try restored.loadSnapshot(std.testing.allocator, buffer[0..writer.pos]);
+    defer restored.deinit();
+
+    try std.testing.expectEqual(sim.frame_count, restored.frame_count);
+    try std.testing.expectEqual(sim.rng.state, restored.rng.state);
+    try std.testing.expectEqual(sim.organisms.count, restored.organisms.count);
+
+    // A restored world must continue exactly like the original
+    for (0..60) |_| {
+        sim.update(1.0 / 60.0);
+        restored.update(1.0 / 60.0);
+    }
+    try std.testing.expectEqualSlices(f32, sim.organisms.positions_x[0..sim.organisms.count], restored.organisms.positions_x[0..restored.organisms.count]);
+    try std.testing.expectEqual(sim.rng.state, restored.rng.state);
+}
+
+test "Simulation checksum is deterministic" {
+    var a: Simulation = undefined;
+    try a.init(std.testing.allocator, 7, 50);
+    defer a.deinit();
+    var b: Simulation = undefined;
+    try b.init(std.testing.allocator, 7, 50);
+    defer b.deinit();
+
+    _ = try a.spawnOrganism(.herbivore, math.Vec3.init(1, 5, 1), 0xFFFFFFFF);
+    _ = try b.spawnOrganism(.herbivore, math.Vec3.init(1, 5, 1), 0xFFFFFFFF);
+    for (0..30) |_| {
+        a.update(1.0 / 60.0);
+        b.update(1.0 / 60.0);
+    }
+    try std.testing.expectEqual(a.checksum(), b.checksum());
+
+    a.update(1.0 / 60.0);
+    try std.testing.expect(a.checksum() != b.checksum());
+}
+
+test "Simulation checksum covers the terrain" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 7, 50);
+    defer sim.deinit();
+
+    const before = sim.checksum();
+    sim.terrain.heights[0] += 1.0;
+    const reshaped = sim.checksum();
+    try std.testing.expect(reshaped != before);
+
+    sim.terrain.revision += 1;
+    try std.testing.expect(sim.checksum() != reshaped);
+}
+
+test "Simulation humanoids harvest into the tribe stockpile" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    flattenTerrainForTest(&sim);
+    const tribe_id = sim.createTribe().?;
+    const worker = try sim.spawnOrganism(.humanoid, math.Vec3.init(0, 0.5, 0), tribe_id);
+    const tree = try sim.spawnOrganism(.plant, math.Vec3.init(1, 0.5, 0), 0xFFFFFFFF);
+
+    const wood_before = sim.tribes.getTribe(tribe_id).?.wood;
+    var nearby = [_]u32{ worker, tree };
+    for (0..10) |_| {
+        sim.harvestNearby(worker, tribe_id, sim.organisms.getPosition(worker), &nearby, 1.0);
+    }
+
+    try std.testing.expect(sim.organisms.healths[tree] <= 0);
+    try std.testing.expectEqual(wood_before + WOOD_PER_TREE, sim.tribes.getTribe(tribe_id).?.wood);
+}
+
+test "Simulation building tiers follow the technology tree" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    const tribe_id = sim.createTribe().?;
+    _ = try sim.spawnOrganism(.humanoid, math.Vec3.init(0, 0.5, 0), tribe_id);
+    const t = sim.tribes.getTribe(tribe_id).?;
+    t.addResource(.wood, 300);
+    t.addResource(.stone, 300);
+    t.addResource(.metal, 100);
+
+    // Flat grassland everywhere, so only tiers decide what can be built
+    flattenTerrainForTest(&sim);
+
+    // A new tribe is still in the stone age
+    try std.testing.expectError(error.TierLocked, sim.placeBuilding(.tower, tribe_id, 0, 0));
+
+    sim.tech_mgr.getResearch(tribe_id).?.grantTech(.agriculture);
+    try std.testing.expectError(error.MissingBuilding, sim.placeBuilding(.tower, tribe_id, 0, 0));
+
+    const hut_id = try sim.placeBuilding(.hut, tribe_id, 0, 0);
+    sim.buildings.get(hut_id).?.construction_progress = 100.0;
+    _ = try sim.placeBuilding(.tower, tribe_id, 20, 0);
+}
+
+test "Simulation places completed scenario buildings for free" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    const tribe_id = sim.createTribe().?;
+    const t = sim.tribes.getTribe(tribe_id).?;
+    const wood = t.wood;
+
+    // No members, no era and no resources needed - and nothing is spent
+    const id = try sim.placeCompletedBuilding(.tower, tribe_id, 0, 0);
+    try std.testing.expect(sim.buildings.get(id).?.isConstructed());
+    try std.testing.expectEqual(wood, t.wood);
+
+    // Spacing still applies, and a failed placement leaves the stores as they were
+    try std.testing.expectError(error.TooClose, sim.placeCompletedBuilding(.hut, tribe_id, 1, 0));
+    try std.testing.expectEqual(wood, t.wood);
+}
+
+test "Simulation records the inspected organism's brain activations" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    _ = try sim.spawnOrganism(.herbivore, math.Vec3.init(0, 0.5, 0), 0xFFFFFFFF);
+    const watched = try sim.spawnOrganism(.herbivore, math.Vec3.init(10, 0.5, 0), 0xFFFFFFFF);
+
+    sim.inspectOrganism(watched);
+    sim.update(0.016);
+
+    try std.testing.expectEqual(sim.frame_count, sim.brain_trace.frame);
+    try std.testing.expectApproxEqAbs(sim.organisms.positions_x[watched] / 100.0, sim.brain_trace.inputs[2], 0.0001);
+    for (sim.brain_trace.outputs) |out| {
+        try std.testing.expect(out >= -1.0 and out <= 1.0);
+    }
+}
+
+test "Simulation banks dead brains and respawns champions" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    const elder = try sim.spawnOrganism(.herbivore, math.Vec3.init(0, 0.5, 0), 0xFFFFFFFF);
+    sim.organisms.ages[elder] = 90;
+    sim.organisms.energies[elder] = 0;
+    sim.update(0.016);
+
+    try std.testing.expect(!sim.organisms.alive[elder]);
+    try std.testing.expect(sim.organisms.brains[elder] == null);
+    const champion = sim.gene_bank.get(.lifespan, 0).?;
+    try std.testing.expectEqual(elder, champion.source_id);
+
+    const clone = try sim.spawnChampion(.lifespan, 0, math.Vec3.init(5, 0.5, 5), 0xFFFFFFFF);
+    var weights: [nn.BRAIN_PARAMETER_COUNT]f32 = undefined;
+    sim.organisms.brains[clone].?.writeFlat(&weights);
+    try std.testing.expectEqualSlices(f32, &champion.weights, &weights);
+
+    try std.testing.expectError(error.NoBrain, sim.spawnOrganismWithBrain(.plant, math.Vec3.init(0, 0.5, 0), 0xFFFFFFFF, &weights));
+}
+
+test "Simulation area effects reach only creatures in range" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    flattenTerrainForTest(&sim);
+    const near = try sim.spawnOrganism(.herbivore, math.Vec3.init(2, 0.5, 0), 0xFFFFFFFF);
+    const far = try sim.spawnOrganism(.herbivore, math.Vec3.init(30, 0.5, 0), 0xFFFFFFFF);
+    const tree = try sim.spawnOrganism(.plant, math.Vec3.init(0, 0.5, 1), 0xFFFFFFFF);
+    const far_health = sim.organisms.healths[far];
+    const tree_health = sim.organisms.healths[tree];
+
+    try std.testing.expectEqual(@as(u32, 1), sim.applyAreaEffect(0, 0, 10, .{ .damage = .{ .amount = 500, .cause = .disaster } }));
+    try std.testing.expectEqual(far_health, sim.organisms.healths[far]);
+    try std.testing.expectEqual(tree_health, sim.organisms.healths[tree]);
+
+    // The dead creature can no longer be healed and its death is pinned on the disaster
+    try std.testing.expect(!sim.healOrganism(near, 10, 0));
+    sim.update(0.016);
+    try std.testing.expectEqual(@as(u32, 1), sim.population_mgr.death_causes[@intFromEnum(population.DeathCause.disaster)]);
+
+    sim.organisms.healths[far] = 40;
+    try std.testing.expect(sim.healOrganism(far, 500, 0));
+    try std.testing.expectEqual(MAX_DIVINE_HEALTH, sim.organisms.healths[far]);
+}
+
+test "Simulation meteors strike when they land" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    // Frail enough for one strike to kill (an elephant or bison would survive it)
+    const victim = try sim.spawnSpecies(.rabbit, math.Vec3.init(0, 0.5, 0), 0xFFFFFFFF);
+    const meteor = sim.season_mgr.triggerEventAt(.meteor, 0, 0, &sim.rng);
+    meteor.intensity = 1.0;
+
+    // Still on its way in
+    sim.applyEventEffects(0.016);
+    try std.testing.expect(sim.organisms.healths[victim] > 0);
+
+    sim.season_mgr.season_timer += meteor.duration * 0.5;
+    sim.applyEventEffects(0.016);
+    try std.testing.expect(sim.organisms.healths[victim] <= 0);
+}
+
+test "Simulation brokers treaties between known tribes" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    const a = sim.createTribe().?;
+    const b = sim.createTribe().?;
+
+    const idx = try sim.brokerTreaty(.military_alliance, a, b);
+    try std.testing.expect(sim.diplomacy_mgr.haveMet(a, b));
+    try std.testing.expectEqual(diplomacy.DiplomaticStatus.allied, sim.diplomacy_mgr.getStatus(a, b));
+    try std.testing.expectError(error.TreatyExists, sim.brokerTreaty(.military_alliance, a, b));
+    try std.testing.expectError(error.InvalidTribe, sim.brokerTreaty(.trade_agreement, a, 99));
+
+    // War tears up the alliance, and no treaty can be brokered until peace
+    _ = sim.diplomacy_mgr.declareWar(a, b, .honor, sim.time).?;
+    try std.testing.expect(sim.diplomacy_mgr.treaties[idx].broken);
+    try std.testing.expectError(error.AtWar, sim.brokerTreaty(.non_aggression, a, b));
+}
+
+test "Simulation births inherit a mutated parent brain and record lineage" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    const mother = try sim.spawnOrganism(.herbivore, math.Vec3.init(0, 0.5, 0), 0xFFFFFFFF);
+    const father = try sim.spawnOrganism(.herbivore, math.Vec3.init(1, 0.5, 0), 0xFFFFFFFF);
+    const child = try sim.spawnOrganism(.herbivore, math.Vec3.init(2, 0.5, 0), 0xFFFFFFFF);
+    sim.recordBirth(child, mother, father);
+
+    try std.testing.expectEqual(mother, sim.lineage.parents_a[child]);
+    try std.testing.expectEqual(father, sim.lineage.parents_b[child]);
+    try std.testing.expectEqual(@as(u32, 1), sim.lineage.generations[child]);
+    try std.testing.expectEqual(@as(u32, 1), sim.organisms.offspring_counts[mother]);
+    try std.testing.expect(sim.lineage.mutations[child] >= 0);
+
+    // Every weight comes from a parent unless it mutated, so the child is far closer to
+    // its parents than a fresh random brain would be
+    const child_brain = sim.organisms.brains[child].?;
+    const mother_brain = sim.organisms.brains[mother].?;
+    const father_brain = sim.organisms.brains[father].?;
+    var inherited: usize = 0;
+    for (child_brain.weights_ih, mother_brain.weights_ih, father_brain.weights_ih) |c, m, f| {
+        if (c == m or c == f) inherited += 1;
+    }
+    try std.testing.expect(inherited > child_brain.weights_ih.len / 2);
+}
+
+test "Simulation logs births, deaths and diplomacy as events" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    const a = sim.createTribe().?;
+    const b = sim.createTribe().?;
+    const mother = try sim.spawnOrganism(.herbivore, math.Vec3.init(0, 0.5, 0), 0xFFFFFFFF);
+    const child = try sim.spawnOrganism(.herbivore, math.Vec3.init(1, 0.5, 0), 0xFFFFFFFF);
+    sim.recordBirth(child, mother, lineage.NO_PARENT);
+
+    _ = sim.diplomacy_mgr.declareWar(a, b, .conquest, sim.time).?;
+    try std.testing.expect(sim.killOrganism(child, .disaster));
+    sim.update(0.016);
+
+    var out: [event_log.LOG_CAPACITY]event_log.SimEvent = undefined;
+    const n = sim.events.drain(&out);
+    var saw_birth = false;
+    var saw_death = false;
+    var saw_war = false;
+    for (out[0..n]) |e| {
+        switch (e.kind) {
+            .birth => {
+                saw_birth = true;
+                try std.testing.expectEqual(child, e.subject);
+                try std.testing.expectEqual(mother, e.other);
+            },
+            .death => if (e.subject == child) {
+                saw_death = true;
+                try std.testing.expectEqual(@as(u32, @intFromEnum(population.DeathCause.disaster)), e.detail);
+            },
+            .war_declared => {
+                saw_war = true;
+                try std.testing.expectEqual(a, e.tribe);
+                try std.testing.expectEqual(b, e.other_tribe);
+            },
+            else => {},
+        }
+    }
+    try std.testing.expect(saw_birth and saw_death and saw_war);
+}
+
+test "Simulation keeps plants and territory off the sea" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+
+    var sea: ?usize = null;
+    for (0..territory.TOTAL_CELLS) |i| {
+        if (sim.territory_mgr.cells[i].terrain == .ocean) {
+            sea = i;
+            break;
+        }
+    }
+    const center = territory.TerritoryManager.cellToWorld(sea.?);
+    try std.testing.expect(sim.terrain.isWater(center.x, center.z));
+    try std.testing.expectError(error.InWater, sim.spawnOrganism(.plant, math.Vec3.init(center.x, 0.5, center.z), 0xFFFFFFFF));
+    try std.testing.expect(!sim.territory_mgr.claimTerritory(center.x, center.z, 0));
+
+    for (sim.resource_nodes.nodes[0..sim.resource_nodes.count]) |node| {
+        try std.testing.expect(sim.terrain.isLand(node.position.x, node.position.z));
+    }
+}
+
+test "Simulation sculpting moves the coastline and drowns plants" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+    flattenTerrainForTest(&sim);
+
+    const plant = try sim.spawnOrganism(.plant, math.Vec3.init(35, 0.5, 35), 0xFFFFFFFF);
+    const cell = territory.TerritoryManager.worldToCell(35, 35).?;
+
+    try std.testing.expect(sim.beginTerrainStroke());
+    try std.testing.expect(sim.sculptTerrain(.flood, 35, 35, 8, 1));
+    try std.testing.expect(sim.terrain.isWater(35, 35));
+    try std.testing.expectEqual(territory.TerrainType.ocean, sim.territory_mgr.cells[cell].terrain);
+    try std.testing.expect(sim.organisms.healths[plant] <= 0);
+
+    try std.testing.expect(sim.undoTerrainStroke());
+    try std.testing.expect(sim.terrain.isLand(35, 35));
+    try std.testing.expect(sim.territory_mgr.cells[cell].terrain != .ocean);
+    try std.testing.expect(!sim.undoTerrainStroke());
+}
+
+test "Simulation creature powers curse, evolve, wither and resurrect" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+    flattenTerrainForTest(&sim);
+
+    const deer = try sim.spawnOrganism(.herbivore, math.Vec3.init(20, 0.5, 20), 0xFFFFFFFF);
+    const plant = try sim.spawnOrganism(.plant, math.Vec3.init(21, 0.5, 20), 0xFFFFFFFF);
+    try std.testing.expect(!sim.curseOrganism(plant, 50, 50));
+
+    try std.testing.expect(sim.curseOrganism(deer, 500, 500));
+    try std.testing.expectEqual(CURSE_FLOOR, sim.organisms.healths[deer]);
+    try std.testing.expectEqual(CURSE_FLOOR, sim.organisms.energies[deer]);
+
+    const generation = sim.lineage.generations[deer];
+    try std.testing.expect(sim.evolveOrganism(deer, 5));
+    try std.testing.expectEqual(generation + 5, sim.lineage.generations[deer]);
+
+    try std.testing.expectEqual(@as(u32, 1), sim.witherArea(20, 20, 3));
+    try std.testing.expect(sim.resurrectNear(20, 20, 3) == null); // Nobody has died yet
+
+    try std.testing.expect(sim.killOrganism(deer, .disaster));
+    sim.update(0.016);
+    try std.testing.expect(!sim.organisms.alive[deer]);
+    try std.testing.expect(!sim.organisms.alive[plant]);
+
+    try std.testing.expectEqual(@as(?u32, deer), sim.resurrectNear(20, 20, 3));
+    try std.testing.expect(sim.organisms.alive[deer]);
+    try std.testing.expect(sim.organisms.brains[deer] != null);
+    try std.testing.expect(sim.isLivingCreature(deer));
+}
+
+test "Simulation animals keep their species through births, clones and meals" {
+    var sim: Simulation = undefined;
+    try sim.init(std.testing.allocator, 42, 100);
+    defer sim.deinit();
+    flattenTerrainForTest(&sim);
+
+    const wolves_before = sim.countSpecies()[@intFromEnum(species.Species.wolf)];
+    const wolf = try sim.spawnSpecies(.wolf, math.Vec3.init(20, 0.5, 20), 0xFFFFFFFF);
+    try std.testing.expectEqual(@as(u8, @intFromEnum(species.Species.wolf)), sim.organisms.species[wolf]);
+
+    const twin = try sim.cloneOrganism(wolf, math.Vec3.init(22, 0.5, 20));
+    try std.testing.expectEqual(sim.organisms.species[wolf], sim.organisms.species[twin]);
+    try std.testing.expectEqual(wolves_before + 2, sim.countSpecies()[@intFromEnum(species.Species.wolf)]);
+
+    // A bear grazes where a wolf would go hungry
+    const bear = try sim.spawnSpecies(.bear, math.Vec3.init(30, 0.5, 30), 0xFFFFFFFF);
+    const plant = try sim.spawnOrganism(.plant, math.Vec3.init(30, 0.5, 30), 0xFFFFFFFF);
+    const energy = sim.organisms.energies[bear];
+    sim.organisms.is_eating[bear] = true;
+    sim.handleInteraction(bear, plant, 0.1);
+    try std.testing.expect(sim.organisms.energies[bear] > energy);
+
+    const wolf_energy = sim.organisms.energies[wolf];
+    sim.organisms.is_eating[wolf] = true;
+    sim.handleInteraction(wolf, plant, 0.1);
+    try std.testing.expectEqual(wolf_energy, sim.organisms.energies[wolf]);
+}
@@ -0,0 +1,135 @@
+// Simulation snapshots - binary save/load of the complete world state
+// Fixed-size systems are copied byte-for-byte, so a snapshot is only valid
+// for the WASM build that wrote it (guarded by FORMAT_VERSION)
+
+const std = @import("std");
+
+/// "EDEN" in little-endian byte order
+pub const MAGIC: u32 = 0x4E454445;
+
+/// Bump whenever any serialized struct layout changes
+pub const FORMAT_VERSION: u32 = 15;
+
+/// Size of the WASM snapshot transfer buffer - must hold a world at full organism capacity
+pub const BUFFER_SIZE = 2 * 1024 * 1024;
+
+pub const SnapshotError = error{
+    BufferTooSmall,
+    UnexpectedEnd,
+    BadMagic,
+    UnsupportedVersion,
+    SizeMismatch,
+    InvalidData,
+};
+
+/// Snapshot header - written first so the loader can size the simulation
+pub const Header = struct {
+    magic: u32,
+    version: u32,
+    payload_size: u32, // Bytes following the header
+    organism_capacity: u32,
+};
+
+/// Sequential writer into a caller-provided byte buffer
+pub const Writer = struct {
+    buffer: []u8,
+    pos: usize,
+
+    pub fn init(buffer: []u8) Writer {
+        return .{ .buffer = buffer, .pos = 0 };
+    }
+
+    pub fn writeBytes(self: *Writer, bytes: []const u8) SnapshotError!void {
+        if (self.pos + bytes.len > self.buffer.len) return error.BufferTooSmall;
+        @memcpy(self.buffer[self.pos..][0..bytes.len], bytes);
+        self.pos += bytes.len;
+    }
+
+    /// Write a plain value (no pointers or slices) as raw bytes
+    pub fn writeValue(self: *Writer, comptime T: type, value: *const T) SnapshotError!void {
+        try self.writeBytes(std.mem.asBytes(value));
+    }
+
+    /// Write the elements of a slice as raw bytes (length is not stored)
+    pub fn writeSlice(self: *Writer, comptime T: type, items: []const T) SnapshotError!void {
+        try self.writeBytes(std.mem.sliceAsBytes(items));
+    }
+
+    pub fn writeInt(self: *Writer, value: u32) SnapshotError!void {
+        try self.writeValue(u32, &value);
+    }
+};
+
+/// Sequential reader over snapshot bytes
+pub const Reader = struct {
+    data: []const u8,
+    pos: usize,
+
+    pub fn init(data: []const u8) Reader {
+        return .{ .data = data, .pos = 0 };
+    }
+
+    pub fn readBytes(self: *Reader, dest: []u8) SnapshotError!void {
+        if (self.pos + dest.len > self.data.len) return error.UnexpectedEnd;
+        @memcpy(dest, self.data[self.pos..][0..dest.len]);
+        self.pos += dest.len;
+    }
+
+    pub fn readValue(self: *Reader, comptime T: type, dest: *T) SnapshotError!void {
+        try self.readBytes(std.mem.asBytes(dest));
+    }
+
+    pub fn readSlice(self: *Reader, comptime T: type, dest: []T) SnapshotError!void {
+        try self.readBytes(std.mem.sliceAsBytes(dest));
+    }
+
+    pub fn readInt(self: *Reader) SnapshotError!u32 {
+        var value: u32 = 0;
+        try self.readValue(u32, &value);
+        return value;
+    }
+};
+
+/// Validate and return the header without consuming the payload
+pub fn peekHeader(data: []const u8) SnapshotError!Header {
+    var reader = Reader.init(data);
+    var header: Header = undefined;
+    try reader.readValue(Header, &header);
+
+    if (header.magic != MAGIC) return error.BadMagic;
+    if (header.version != FORMAT_VERSION) return error.UnsupportedVersion;
+    if (header.payload_size != data.len - @sizeOf(Header)) return error.SizeMismatch;
+
+    return header;
+}
+
+// Tests
+test "Snapshot writer and reader round trip" {
+    var buffer: [64]u8 = undefined;
+    var writer = Writer.init(&buffer);
+
+    const values = [_]f32{ 1.5, -2.0, 3.25 };
+    try writer.writeInt(42);
+    try writer.writeSlice(f32, &values);
+
+    var reader = Reader.init(buffer[0..writer.pos]);
+    try std.testing.expectEqual(@as(u32, 42), try reader.readInt());
+
+    var restored: [3]f32 = undefined;
+    try reader.readSlice(f32, &restored);
+    try std.testing.expectEqualSlices(f32, &values, &restored);
+    try std.testing.expectError(error.UnexpectedEnd, reader.readInt());
+}
+
+test "Snapshot header validation" {
+    var buffer: [32]u8 = undefined;
+    var writer = Writer.init(&buffer);
+
+    const header = Header{ .magic = MAGIC, .version = FORMAT_VERSION, .payload_size = 4, .organism_capacity = 10 };
+    try writer.writeValue(Header, &header);
+    try writer.writeInt(0);
+
+    const peeked = try peekHeader(buffer[0..writer.pos]);
+    try std.testing.expectEqual(@as(u32, 10), peeked.organism_capacity);
+    try std.testing.expectError(error.SizeMismatch, peekHeader(buffer[0 .. writer.pos - 1]));
+}
@@ -0,0 +1,231 @@
+// Animal species - every herbivore and carnivore belongs to one, with its own build and habits
+// Stats follow the HerbivoreSpecies and CarnivoreSpecies definitions in js/engine/variety.js
+
+const std = @import("std");
+const math = @import("math.zig");
+const organism = @import("organism.zig");
+const territory = @import("territory.zig");
+
+const OrganismType = organism.OrganismType;
+const TerrainType = territory.TerrainType;
+
+/// Herbivores first, then carnivores, each in variety.js order (the JS id of a carnivore
+/// species is its id here minus CARNIVORE_FIRST)
+pub const Species = enum(u8) {
+    deer = 0,
+    rabbit = 1,
+    elephant = 2,
+    boar = 3,
+    bison = 4,
+    wolf = 5,
+    lion = 6,
+    bear = 7,
+    tiger = 8,
+    hyena = 9,
+};
+
+pub const SPECIES_COUNT: usize = 10;
+pub const CARNIVORE_FIRST: u8 = 5;
+
+/// Species slot of plants and humanoids
+pub const NONE: u8 = 255;
+
+pub const Diet = enum(u8) {
+    plants = 0,
+    meat = 1, // Hunts herbivores
+    omnivore = 2,
+};
+
+pub const SpeciesDef = struct {
+    organism_type: OrganismType,
+    energy: f32, // Starting energy
+    health: f32, // Starting health
+    speed: f32, // Multiplies the speed the brain picks
+    size: f32,
+    flee_distance: f32, // Runs from a predator closer than this (0 = never flees)
+    diet: Diet,
+    habitat: []const TerrainType, // Biomes it is found in
+};
+
+pub fn getDef(species: Species) SpeciesDef {
+    return switch (species) {
+        .deer => .{
+            .organism_type = .herbivore,
+            .energy = 90,
+            .health = 70,
+            .speed = 1.3,
+            .size = 1.0,
+            .flee_distance = 12,
+            .diet = .plants,
+            .habitat = &.{ .forest, .plains, .fertile },
+        },
+        .rabbit => .{
+            .organism_type = .herbivore,
+            .energy = 50,
+            .health = 30,
+            .speed = 1.6,
+            .size = 0.4,
+            .flee_distance = 8,
+            .diet = .plants,
+            .habitat = &.{ .plains, .fertile, .forest },
+        },
+        .elephant => .{
+            .organism_type = .herbivore,
+            .energy = 200,
+            .health = 250,
+            .speed = 0.6,
+            .size = 2.5,
+            .flee_distance = 5, // Stands its ground
+            .diet = .plants,
+            .habitat = &.{ .plains, .fertile, .desert },
+        },
+        .boar => .{
+            .organism_type = .herbivore,
+            .energy = 100,
+            .health = 120,
+            .speed = 1.1,
+            .size = 1.2,
+            .flee_distance = 6,
+            .diet = .plants,
+            .habitat = &.{.forest},
+        },
+        .bison => .{
+            .organism_type = .herbivore,
+            .energy = 180,
+            .health = 200,
+            .speed = 0.9,
+            .size = 2.0,
+            .flee_distance = 8,
+            .diet = .plants,
+            .habitat = &.{ .plains, .fertile, .tundra },
+        },
+        .wolf => .{
+            .organism_type = .carnivore,
+            .energy = 110,
+            .health = 100,
+            .speed = 1.4,
+            .size = 1.1,
+            .flee_distance = 0,
+            .diet = .meat,
+            .habitat = &.{ .forest, .tundra, .plains, .fertile },
+        },
+        .lion => .{
+            .organism_type = .carnivore,
+            .energy = 140,
+            .health = 150,
+            .speed = 1.3,
+            .size = 1.5,
+            .flee_distance = 0,
+            .diet = .meat,
+            .habitat = &.{ .desert, .plains, .fertile },
+        },
+        .bear => .{
+            .organism_type = .carnivore,
+            .energy = 160,
+            .health = 200,
+            .speed = 0.9,
+            .size = 1.8,
+            .flee_distance = 0,
+            .diet = .omnivore,
+            .habitat = &.{ .forest, .tundra },
+        },
+        .tiger => .{
+            .organism_type = .carnivore,
+            .energy = 130,
+            .health = 140,
+            .speed = 1.5,
+            .size = 1.4,
+            .flee_distance = 0,
+            .diet = .meat,
+            .habitat = &.{ .forest, .river },
+        },
+        .hyena => .{
+            .organism_type = .carnivore,
+            .energy = 100,
+            .health = 90,
+            .speed = 1.2,
+            .size = 0.9,
+            .flee_distance = 0,
+            .diet = .meat,
+            .habitat = &.{ .desert, .plains, .fertile },
+        },
+    };
+}
+
+/// The definition behind a species slot, or null for plants and humanoids
+pub fn defOf(species_id: u8) ?SpeciesDef {
+    if (species_id >= SPECIES_COUNT) return null;
+    return getDef(@enumFromInt(species_id));
+}
+
+/// Whether an organism of `org_type` may be of `species_id` (only NONE for plants and humanoids)
+pub fn fits(org_type: OrganismType, species_id: u8) bool {
+    const def = defOf(species_id) orelse return species_id == NONE and !hasSpecies(org_type);
+    return def.organism_type == org_type;
+}
+
+/// Herbivores and carnivores belong to a species
+pub fn hasSpecies(org_type: OrganismType) bool {
+    return org_type == .herbivore or org_type == .carnivore;
+}
+
+/// Grazes on plants (a species-less herbivore does too)
+pub fn eatsPlants(org_type: OrganismType, species_id: u8) bool {
+    const def = defOf(species_id) orelse return org_type == .herbivore;
+    return def.diet != .meat;
+}
+
+/// Hunts herbivores (a species-less carnivore does too)
+pub fn eatsMeat(org_type: OrganismType, species_id: u8) bool {
+    const def = defOf(species_id) orelse return org_type == .carnivore;
+    return def.diet != .plants;
+}
+
+/// A random species of `org_type` that lives in `biome` (any of its species if none does)
+/// Returns: NONE for plants and humanoids, without drawing from the RNG
+pub fn pick(org_type: OrganismType, biome: ?TerrainType, rng: *math.Rng) u8 {
+    if (!hasSpecies(org_type)) return NONE;
+
+    var candidates: [SPECIES_COUNT]u8 = undefined;
+    var count: usize = 0;
+    var all: [SPECIES_COUNT]u8 = undefined;
+    var all_count: usize = 0;
+    for (0..SPECIES_COUNT) |i| {
+        const def = getDef(@enumFromInt(i));
+        if (def.organism_type != org_type) continue;
+        all[all_count] = @intCast(i);
+        all_count += 1;
+        if (biome) |b| {
+            if (std.mem.indexOfScalar(TerrainType, def.habitat, b) != null) {
+                candidates[count] = @intCast(i);
+                count += 1;
+            }
+        }
+    }
+
+    if (count == 0) return all[rng.next() % all_count];
+    return candidates[rng.next() % count];
+}
+
+// Tests
+test "Species picks follow type and habitat" {
+    var rng = math.Rng.init(42);
+
+    try std.testing.expectEqual(NONE, pick(.plant, .forest, &rng));
+    try std.testing.expectEqual(NONE, pick(.humanoid, null, &rng));
+
+    for (0..50) |_| {
+        const tundra_herbivore = pick(.herbivore, .tundra, &rng);
+        try std.testing.expectEqual(@as(u8, @intFromEnum(Species.bison)), tundra_herbivore);
+
+        const hunter = pick(.carnivore, null, &rng);
+        try std.testing.expect(fits(.carnivore, hunter));
+        try std.testing.expect(!fits(.herbivore, hunter));
+    }
+
+    try std.testing.expect(fits(.humanoid, NONE));
+    try std.testing.expect(!fits(.herbivore, NONE));
+    try std.testing.expect(eatsPlants(.carnivore, @intFromEnum(Species.bear)));
+    try std.testing.expect(!eatsPlants(.carnivore, @intFromEnum(Species.wolf)));
+    try std.testing.expect(!eatsMeat(.herbivore, @intFromEnum(Species.boar)));
+}
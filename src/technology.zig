@@ -5,6 +5,20 @@ const std = @import("std");
 const math = @import("math.zig");
 const tribe = @import("tribe.zig");
 
+/// Number of technologies in the tree
+pub const TECH_COUNT: usize = 24;
+
+/// Technologies a tribe can have queued behind its current research
+pub const MAX_RESEARCH_QUEUE: usize = 12;
+
+/// Where a technology stands for a tribe
+pub const TechState = enum(u8) {
+    locked = 0,      // Prerequisites missing
+    available = 1,   // Can be researched now
+    researching = 2, // Current research target
+    researched = 3,
+};
+
 /// Technology IDs - organized by era
 pub const Technology = enum(u8) {
     // Era 0: Stone Age (start)
@@ -322,6 +336,13 @@ pub const TribeResearch = struct {
     // Calculated bonuses
     bonuses: TechBonus,
 
+    // Planned research, started in order as prerequisites allow
+    queue: [MAX_RESEARCH_QUEUE]Technology,
+    queue_len: usize,
+
+    // Guided tribes only research what is queued (no automatic picks)
+    guided: bool,
+
     pub fn init() TribeResearch {
         return TribeResearch{
             .researched = [_]bool{false} ** 24,
@@ -329,6 +350,9 @@ pub const TribeResearch = struct {
             .research_progress = 0,
             .total_research_generated = 0,
             .bonuses = TechBonus.init(),
+            .queue = undefined,
+            .queue_len = 0,
+            .guided = false,
         };
     }
 
@@ -393,6 +417,94 @@ pub const TribeResearch = struct {
         return TechPrereqs.hasPrereqs(tech, &self.researched);
     }
 
+    /// Research state of a technology
+    pub fn getState(self: *const TribeResearch, tech: Technology) TechState {
+        if (self.researched[@intFromEnum(tech)]) return .researched;
+        if (self.current_research == tech) return .researching;
+        if (TechPrereqs.hasPrereqs(tech, &self.researched)) return .available;
+        return .locked;
+    }
+
+    /// Check if a technology is waiting in the queue
+    pub fn isQueued(self: *const TribeResearch, tech: Technology) bool {
+        for (self.queue[0..self.queue_len]) |queued| {
+            if (queued == tech) return true;
+        }
+        return false;
+    }
+
+    /// Queue a technology, along with any missing prerequisites ahead of it
+    /// Returns false (leaving the queue unchanged) if nothing new fits
+    pub fn queueResearch(self: *TribeResearch, tech: Technology) bool {
+        const before = self.queue_len;
+        if (!self.queuePath(tech)) {
+            self.queue_len = before;
+            return false;
+        }
+        return self.queue_len > before;
+    }
+
+    fn queuePath(self: *TribeResearch, tech: Technology) bool {
+        if (self.researched[@intFromEnum(tech)] or self.current_research == tech or self.isQueued(tech)) return true;
+
+        for (TechPrereqs.getPrereqsFor(tech)) |maybe_prereq| {
+            if (maybe_prereq) |prereq| {
+                if (!self.queuePath(prereq)) return false;
+            }
+        }
+
+        if (self.queue_len >= MAX_RESEARCH_QUEUE) return false;
+        self.queue[self.queue_len] = tech;
+        self.queue_len += 1;
+        return true;
+    }
+
+    /// Remove a technology from the queue (techs that need it stay queued but wait)
+    pub fn unqueueResearch(self: *TribeResearch, tech: Technology) bool {
+        for (self.queue[0..self.queue_len], 0..) |queued, i| {
+            if (queued != tech) continue;
+            std.mem.copyForwards(Technology, self.queue[i .. self.queue_len - 1], self.queue[i + 1 .. self.queue_len]);
+            self.queue_len -= 1;
+            return true;
+        }
+        return false;
+    }
+
+    pub fn clearQueue(self: *TribeResearch) void {
+        self.queue_len = 0;
+    }
+
+    /// Switch research to a technology now, dropping progress on the old target
+    pub fn overrideResearch(self: *TribeResearch, tech: Technology) bool {
+        if (self.current_research == tech) return true;
+        if (!self.startResearch(tech)) return false;
+        _ = self.unqueueResearch(tech);
+        return true;
+    }
+
+    /// Start the first queued technology whose prerequisites are met
+    /// Returns true if research was started
+    pub fn advanceQueue(self: *TribeResearch) bool {
+        if (self.current_research != null) return false;
+
+        // Drop anything researched meanwhile (granted, traded)
+        var kept: usize = 0;
+        for (self.queue[0..self.queue_len]) |queued| {
+            if (self.researched[@intFromEnum(queued)]) continue;
+            self.queue[kept] = queued;
+            kept += 1;
+        }
+        self.queue_len = kept;
+
+        for (self.queue[0..self.queue_len]) |queued| {
+            if (self.startResearch(queued)) {
+                _ = self.unqueueResearch(queued);
+                return true;
+            }
+        }
+        return false;
+    }
+
     /// Get current era (highest era with any tech)
     pub fn getCurrentEra(self: *const TribeResearch) u8 {
         var max_era: u8 = 0;
@@ -449,13 +561,25 @@ pub const TribeResearch = struct {
     }
 };
 
+/// A finished research awaiting the simulation's event log
+pub const Discovery = struct {
+    tribe_id: u32,
+    tech: Technology,
+};
+
 /// Technology manager for all tribes
 pub const TechnologyManager = struct {
     tribe_research: [tribe.MAX_TRIBES]TribeResearch,
 
+    // Discoveries since the simulation last called takeDiscoveries (extras past capacity are dropped)
+    pending_discoveries: [tribe.MAX_TRIBES]Discovery,
+    pending_discovery_count: usize,
+
     pub fn init() TechnologyManager {
         var tm = TechnologyManager{
             .tribe_research = undefined,
+            .pending_discoveries = undefined,
+            .pending_discovery_count = 0,
         };
 
         for (0..tribe.MAX_TRIBES) |i| {
@@ -478,7 +602,8 @@ pub const TechnologyManager = struct {
     }
 
     /// Update technology system
-    pub fn update(self: *TechnologyManager, delta: f32, tribes: *tribe.Tribes) void {
+    /// building_bonus is each tribe's extra research fraction from temples, libraries, etc.
+    pub fn update(self: *TechnologyManager, delta: f32, tribes: *tribe.Tribes, building_bonus: *const [tribe.MAX_TRIBES]f32) void {
         _ = delta;
 
         for (0..tribes.count) |i| {
@@ -488,17 +613,31 @@ pub const TechnologyManager = struct {
             const base_research: u32 = @intCast(@max(1, t.member_count));
 
             // Add bonus from buildings (temples, libraries, etc.)
-            const building_bonus: u32 = 0; // TODO: integrate with building system
+            const building_research: u32 = @intFromFloat(@as(f32, @floatFromInt(base_research)) * building_bonus[i]);
 
-            const total_research = base_research + building_bonus;
+            const total_research = base_research + building_research;
 
             // Add research every "tick" (roughly every second at 60fps)
+            const tech = self.tribe_research[i].current_research;
             if (self.tribe_research[i].addResearchPoints(total_research)) {
-                // Research completed - could trigger notification
+                self.noteDiscovery(@intCast(i), tech.?);
             }
         }
     }
 
+    fn noteDiscovery(self: *TechnologyManager, tribe_id: u32, tech: Technology) void {
+        if (self.pending_discovery_count >= self.pending_discoveries.len) return;
+        self.pending_discoveries[self.pending_discovery_count] = .{ .tribe_id = tribe_id, .tech = tech };
+        self.pending_discovery_count += 1;
+    }
+
+    /// Technologies researched or traded for since the last call
+    pub fn takeDiscoveries(self: *TechnologyManager) []const Discovery {
+        const discoveries = self.pending_discoveries[0..self.pending_discovery_count];
+        self.pending_discovery_count = 0;
+        return discoveries;
+    }
+
     /// Auto-select next research for AI tribes
     pub fn autoSelectResearch(self: *TechnologyManager, tribe_id: u32, rng: *math.Rng) void {
         if (tribe_id >= tribe.MAX_TRIBES) return;
@@ -506,6 +645,10 @@ pub const TechnologyManager = struct {
         const research = &self.tribe_research[tribe_id];
         if (research.current_research != null) return;
 
+        // Queued research comes first; guided tribes never pick for themselves
+        if (research.advanceQueue()) return;
+        if (research.guided) return;
+
         var available: [24]Technology = undefined;
         const count = research.getAvailableTechs(&available);
 
@@ -548,6 +691,7 @@ pub const TechnologyManager = struct {
         if (!TechPrereqs.hasPrereqs(tech, &self.tribe_research[to_tribe].researched)) return false;
 
         self.tribe_research[to_tribe].grantTech(tech);
+        self.noteDiscovery(to_tribe, tech);
         return true;
     }
 };
@@ -577,6 +721,53 @@ test "Technology research" {
     try std.testing.expect(tr.bonuses.food_mult > 1.0);
 }
 
+test "Technology manager reports discoveries" {
+    var tm = TechnologyManager.init();
+    _ = tm.tribe_research[0].startResearch(.fire);
+
+    try std.testing.expect(tm.tribe_research[0].addResearchPoints(100));
+    try std.testing.expect(tm.transferTech(0, 2, .fire));
+
+    const discoveries = tm.takeDiscoveries();
+    try std.testing.expectEqual(@as(usize, 1), discoveries.len);
+    try std.testing.expectEqual(@as(u32, 2), discoveries[0].tribe_id);
+    try std.testing.expectEqual(Technology.fire, discoveries[0].tech);
+    try std.testing.expectEqual(@as(usize, 0), tm.takeDiscoveries().len);
+}
+
+test "Technology research queue plans prerequisites" {
+    var tm = TechnologyManager.init();
+    var rng = math.Rng.init(42);
+    const research = tm.getResearch(0).?;
+
+    // Philosophy needs writing and mathematics, which need language first
+    try std.testing.expect(research.queueResearch(.philosophy));
+    try std.testing.expectEqual(@as(usize, 4), research.queue_len);
+    try std.testing.expectEqual(Technology.language, research.queue[0]);
+    try std.testing.expectEqual(Technology.philosophy, research.queue[3]);
+    try std.testing.expect(!research.queueResearch(.writing)); // Already planned
+
+    // Guided tribes follow the queue and then stop
+    research.guided = true;
+    tm.autoSelectResearch(0, &rng);
+    try std.testing.expectEqual(TechState.researching, research.getState(.language));
+    try std.testing.expectEqual(TechState.locked, research.getState(.writing));
+
+    research.grantTech(.language);
+    research.current_research = null;
+    tm.autoSelectResearch(0, &rng);
+    try std.testing.expectEqual(@as(?Technology, .writing), research.current_research);
+
+    research.clearQueue();
+    research.current_research = null;
+    tm.autoSelectResearch(0, &rng);
+    try std.testing.expect(research.current_research == null);
+
+    // Overrides switch immediately but must have prerequisites
+    try std.testing.expect(research.overrideResearch(.hunting));
+    try std.testing.expect(!research.overrideResearch(.metallurgy));
+}
+
 test "Technology eras" {
     try std.testing.expectEqual(@as(u8, 0), Technology.fire.getEra());
     try std.testing.expectEqual(@as(u8, 1), Technology.agriculture.getEra());
@@ -0,0 +1,466 @@
+// Terrain - one seeded heightfield and biome map shared by the simulation and the renderer
+// Stored as an equirectangular map of the planet so every flat position that lands on the same
+// spot of the sphere reads the same height (the renderer samples the same arrays by direction)
+
+const std = @import("std");
+const math = @import("math.zig");
+const snapshot = @import("snapshot.zig");
+const territory = @import("territory.zig");
+
+const TerrainType = territory.TerrainType;
+
+/// Map resolution (longitude x latitude texels)
+pub const MAP_WIDTH: usize = 128;
+pub const MAP_HEIGHT: usize = 64;
+pub const MAP_SIZE: usize = MAP_WIDTH * MAP_HEIGHT;
+
+/// Heights at or below this are under the sea (matches the renderer's water sphere)
+pub const WATER_LEVEL: f32 = 0.5;
+/// Land below this is beach
+pub const COAST_LEVEL: f32 = 1.0;
+/// Land at or above this is mountain
+pub const MOUNTAIN_LEVEL: f32 = 4.0;
+/// Latitude (radians) beyond which lowland is tundra
+pub const TUNDRA_LATITUDE: f32 = 0.7;
+
+/// Planet radius in the same units as heights (matches the renderer), for brush sizes
+pub const PLANET_RADIUS: f32 = 50.0;
+/// Sculpting keeps heights within this range
+pub const MIN_HEIGHT: f32 = -4.0;
+pub const MAX_HEIGHT: f32 = 12.0;
+/// Flooded ground sinks this far below the water level
+pub const FLOOD_DEPTH: f32 = 1.0;
+/// Sculpting strokes that can be undone
+pub const UNDO_DEPTH: usize = 4;
+
+/// Terrain brushes (matches SculptTool in wasm-loader.js)
+pub const SculptTool = enum(u8) {
+    raise = 0,
+    lower = 1,
+    smooth = 2, // Towards the average of neighbouring texels
+    flatten = 3, // Towards the height under the brush centre
+    flood = 4, // Sinks land below the water level
+};
+
+pub const SCULPT_TOOL_COUNT: usize = 5;
+
+/// Mixed into the world seed so terrain doesn't share a random stream with the simulation
+const SEED_SALT: u32 = 0x7E44A1B3;
+
+/// Layered sine noise (the renderer's original terrain function)
+fn noise(x: f32, y: f32, z: f32) f32 {
+    return @sin(x * 2) * @cos(y * 2) * @sin(z * 2) +
+        @sin(x * 4.5) * @cos(y * 4.5) * 0.5 +
+        @sin(x * 8.2) * @cos(z * 8.2) * 0.25;
+}
+
+/// Unit direction on the planet above a flat world position (matches renderer positionOnPlanetSurface)
+pub fn surfaceDirection(x: f32, z: f32) math.Vec3 {
+    const longitude = x / 100.0 * std.math.pi * 2.0;
+    const latitude = z / 100.0 * std.math.pi - std.math.pi / 2.0;
+    return math.Vec3.init(
+        @cos(latitude) * @cos(longitude),
+        @sin(latitude),
+        @cos(latitude) * @sin(longitude),
+    );
+}
+
+pub const Terrain = struct {
+    heights: []f32, // Height above the planet radius, row-major from the south pole
+    biomes: []TerrainType,
+    offsets: [9]f32, // Seeded noise phases: height, moisture and rivers (biomes are re-derived after edits)
+    revision: u32, // Bumped whenever the map changes (saved with the world), so the renderer knows to rebuild
+
+    // Heights before each of the last sculpting strokes (saved with the map, so a replay can undo what was recorded)
+    undo_heights: ?[]f32, // UNDO_DEPTH maps, allocated on the first stroke
+    undo_next: usize,
+    undo_count: usize,
+
+    allocator: std.mem.Allocator,
+
+    /// Generate the map for a world seed
+    pub fn init(allocator: std.mem.Allocator, seed: u32) !Terrain {
+        var t = Terrain{
+            .heights = try allocator.alloc(f32, MAP_SIZE),
+            .biomes = try allocator.alloc(TerrainType, MAP_SIZE),
+            .offsets = undefined,
+            .revision = 0,
+            .undo_heights = null,
+            .undo_next = 0,
+            .undo_count = 0,
+            .allocator = allocator,
+        };
+        errdefer t.deinit();
+
+        var rng = math.Rng.init(seed ^ SEED_SALT);
+        for (&t.offsets) |*o| o.* = rng.range(-10, 10);
+
+        for (0..MAP_HEIGHT) |row| {
+            for (0..MAP_WIDTH) |col| {
+                const dir = texelDirection(col, row);
+                t.heights[row * MAP_WIDTH + col] = layeredNoise(dir, t.offsets[0..3], 0.8) * 6 +
+                    layeredNoise(dir, t.offsets[0..3], 3) * 2.5 +
+                    layeredNoise(dir, t.offsets[0..3], 10) * 0.4;
+            }
+        }
+        t.classifyAll();
+
+        return t;
+    }
+
+    pub fn deinit(self: *Terrain) void {
+        if (self.undo_heights) |history| self.allocator.free(history);
+        self.allocator.free(self.heights);
+        self.allocator.free(self.biomes);
+    }
+
+    /// Biome of one texel from its height and the seeded moisture and river noise
+    fn classifyTexel(self: *const Terrain, col: usize, row: usize) TerrainType {
+        const dir = texelDirection(col, row);
+        const moisture = layeredNoise(dir, self.offsets[3..6], 1.7);
+        const river = layeredNoise(dir, self.offsets[6..9], 2.3);
+        return classify(self.heights[row * MAP_WIDTH + col], std.math.asin(dir.y), moisture, river);
+    }
+
+    fn classifyAll(self: *Terrain) void {
+        for (0..MAP_HEIGHT) |row| {
+            for (0..MAP_WIDTH) |col| {
+                self.biomes[row * MAP_WIDTH + col] = self.classifyTexel(col, row);
+            }
+        }
+    }
+
+    fn layeredNoise(dir: math.Vec3, offset: []const f32, frequency: f32) f32 {
+        return noise(dir.x * frequency + offset[0], dir.y * frequency + offset[1], dir.z * frequency + offset[2]);
+    }
+
+    /// Direction through the centre of a texel
+    fn texelDirection(col: usize, row: usize) math.Vec3 {
+        const longitude = (@as(f32, @floatFromInt(col)) + 0.5) / @as(f32, @floatFromInt(MAP_WIDTH)) * std.math.pi * 2.0 - std.math.pi;
+        const latitude = (@as(f32, @floatFromInt(row)) + 0.5) / @as(f32, @floatFromInt(MAP_HEIGHT)) * std.math.pi - std.math.pi / 2.0;
+        return math.Vec3.init(
+            @cos(latitude) * @cos(longitude),
+            @sin(latitude),
+            @cos(latitude) * @sin(longitude),
+        );
+    }
+
+    /// Biome from height, latitude, moisture and the river noise (rivers run where it crosses zero)
+    pub fn classify(height: f32, latitude: f32, moisture: f32, river: f32) TerrainType {
+        if (height <= WATER_LEVEL) return .ocean;
+        if (height < COAST_LEVEL) return .coast;
+        if (height >= MOUNTAIN_LEVEL) return .mountain;
+        if (@abs(latitude) > TUNDRA_LATITUDE) return .tundra;
+        if (@abs(river) < 0.06 and height < 2.5) return .river;
+        if (moisture < -0.5) return .desert;
+        if (moisture < 0) return .plains;
+        if (moisture < 0.5) return .forest;
+        return .fertile;
+    }
+
+    /// Fractional texel coordinates of a direction (texel centres at whole numbers)
+    fn texelCoords(dir: math.Vec3) struct { u: f32, v: f32 } {
+        const longitude = std.math.atan2(dir.z, dir.x);
+        const latitude = std.math.asin(math.clamp(dir.y, -1, 1));
+        return .{
+            .u = (longitude + std.math.pi) / (std.math.pi * 2.0) * @as(f32, @floatFromInt(MAP_WIDTH)) - 0.5,
+            .v = (latitude + std.math.pi / 2.0) / std.math.pi * @as(f32, @floatFromInt(MAP_HEIGHT)) - 0.5,
+        };
+    }
+
+    fn wrapColumn(col: i32) usize {
+        return @intCast(@mod(col, @as(i32, MAP_WIDTH)));
+    }
+
+    fn clampRow(row: i32) usize {
+        return @intCast(std.math.clamp(row, 0, @as(i32, MAP_HEIGHT) - 1));
+    }
+
+    /// Texel under a flat world position
+    pub fn texelAt(x: f32, z: f32) usize {
+        const uv = texelCoords(surfaceDirection(x, z));
+        const col = wrapColumn(@intFromFloat(@round(uv.u)));
+        const row = clampRow(@intFromFloat(@round(uv.v)));
+        return row * MAP_WIDTH + col;
+    }
+
+    /// Height along a unit direction, interpolated between the four nearest texels
+    pub fn heightInDirection(self: *const Terrain, dir: math.Vec3) f32 {
+        const uv = texelCoords(dir);
+        const u_floor = @floor(uv.u);
+        const v_floor = @floor(uv.v);
+        const fu = uv.u - u_floor;
+        const fv = uv.v - v_floor;
+
+        const c0 = wrapColumn(@intFromFloat(u_floor));
+        const c1 = wrapColumn(@as(i32, @intFromFloat(u_floor)) + 1);
+        const r0 = clampRow(@intFromFloat(v_floor));
+        const r1 = clampRow(@as(i32, @intFromFloat(v_floor)) + 1);
+
+        const south = self.heights[r0 * MAP_WIDTH + c0] * (1 - fu) + self.heights[r0 * MAP_WIDTH + c1] * fu;
+        const north = self.heights[r1 * MAP_WIDTH + c0] * (1 - fu) + self.heights[r1 * MAP_WIDTH + c1] * fu;
+        return south * (1 - fv) + north * fv;
+    }
+
+    /// Height of the ground at a flat world position
+    pub fn heightAt(self: *const Terrain, x: f32, z: f32) f32 {
+        return self.heightInDirection(surfaceDirection(x, z));
+    }
+
+    pub fn isLand(self: *const Terrain, x: f32, z: f32) bool {
+        return self.heightAt(x, z) > WATER_LEVEL;
+    }
+
+    pub fn isWater(self: *const Terrain, x: f32, z: f32) bool {
+        return !self.isLand(x, z);
+    }
+
+    /// Biome at a flat world position (ocean wherever the ground is under water)
+    pub fn biomeAt(self: *const Terrain, x: f32, z: f32) TerrainType {
+        if (!self.isLand(x, z)) return .ocean;
+        const biome = self.biomes[texelAt(x, z)];
+        // Interpolated shoreline can poke past an ocean texel
+        return if (biome == .ocean) .coast else biome;
+    }
+
+    /// How fast a walker crosses the ground here (0 = impassable water)
+    pub fn movementFactor(self: *const Terrain, x: f32, z: f32) f32 {
+        return switch (self.biomeAt(x, z)) {
+            .ocean => 0,
+            .mountain => 0.5,
+            .forest => 0.8,
+            .river => 0.7,
+            .desert, .tundra => 0.9,
+            else => 1.0,
+        };
+    }
+
+    /// A land position near (x, z), searching outwards in rings; null if none within `radius`
+    pub fn nearestLand(self: *const Terrain, x: f32, z: f32, radius: f32) ?math.Vec3 {
+        if (self.isLand(x, z)) return math.Vec3.init(x, 0, z);
+
+        const step: f32 = 2.0;
+        var r: f32 = step;
+        while (r <= radius) : (r += step) {
+            for (0..8) |k| {
+                const angle = @as(f32, @floatFromInt(k)) / 8.0 * std.math.pi * 2.0;
+                const px = math.clamp(x + @cos(angle) * r, -100, 100);
+                const pz = math.clamp(z + @sin(angle) * r, -100, 100);
+                if (self.isLand(px, pz)) return math.Vec3.init(px, 0, pz);
+            }
+        }
+        return null;
+    }
+
+    /// A random land position within +/- half_extent of the origin (any position if none is found)
+    pub fn randomLand(self: *const Terrain, rng: *math.Rng, half_extent: f32) math.Vec3 {
+        var pos = math.Vec3.zero();
+        for (0..64) |_| {
+            pos = math.Vec3.init(rng.range(-half_extent, half_extent), 0, rng.range(-half_extent, half_extent));
+            if (self.isLand(pos.x, pos.z)) return pos;
+        }
+        return pos;
+    }
+
+    /// Average height of a texel's four neighbours (longitude wraps, latitude clamps)
+    fn neighbourAverage(self: *const Terrain, col: usize, row: usize) f32 {
+        const c: i32 = @intCast(col);
+        const r: i32 = @intCast(row);
+        const here = row * MAP_WIDTH;
+        const sum = self.heights[here + wrapColumn(c - 1)] +
+            self.heights[here + wrapColumn(c + 1)] +
+            self.heights[clampRow(r - 1) * MAP_WIDTH + col] +
+            self.heights[clampRow(r + 1) * MAP_WIDTH + col];
+        return sum / 4.0;
+    }
+
+    /// Apply one dab of a brush centred on a flat world position
+    /// radius is measured along the planet surface; strength is height per dab for raise/lower and
+    /// the fraction of the way to the target (0-1) for smooth, flatten and flood
+    /// Returns: whether any height changed
+    pub fn sculpt(self: *Terrain, tool: SculptTool, x: f32, z: f32, radius: f32, strength: f32) bool {
+        if (!(radius > 0) or !(strength > 0)) return false;
+
+        const center = surfaceDirection(x, z);
+        const max_angle = @min(radius / PLANET_RADIUS, std.math.pi);
+        const min_dot = @cos(max_angle);
+        const target = self.heightInDirection(center);
+        const blend = @min(strength, 1.0);
+
+        var changed = false;
+        for (0..MAP_HEIGHT) |row| {
+            for (0..MAP_WIDTH) |col| {
+                const d = texelDirection(col, row).dot(center);
+                if (d < min_dot) continue;
+
+                // Full strength at the centre, fading to nothing at the rim
+                const falloff = 1.0 - std.math.acos(math.clamp(d, -1, 1)) / max_angle;
+                const idx = row * MAP_WIDTH + col;
+                const h = self.heights[idx];
+                const next = switch (tool) {
+                    .raise => h + strength * falloff,
+                    .lower => h - strength * falloff,
+                    .smooth => h + (self.neighbourAverage(col, row) - h) * blend * falloff,
+                    .flatten => h + (target - h) * blend * falloff,
+                    .flood => @min(h, h + (WATER_LEVEL - FLOOD_DEPTH - h) * blend * falloff),
+                };
+
+                const clamped = math.clamp(next, MIN_HEIGHT, MAX_HEIGHT);
+                if (clamped == h) continue;
+                self.heights[idx] = clamped;
+                self.biomes[idx] = self.classifyTexel(col, row);
+                changed = true;
+            }
+        }
+
+        if (changed) self.revision +%= 1;
+        return changed;
+    }
+
+    /// Remember the current heights so the stroke about to start can be undone
+    /// (the oldest stroke is forgotten once UNDO_DEPTH are remembered)
+    /// Returns: false if there was no memory for the undo history
+    pub fn beginStroke(self: *Terrain) bool {
+        const history = self.undo_heights orelse blk: {
+            const maps = self.allocator.alloc(f32, UNDO_DEPTH * MAP_SIZE) catch return false;
+            self.undo_heights = maps;
+            break :blk maps;
+        };
+
+        @memcpy(history[self.undo_next * MAP_SIZE ..][0..MAP_SIZE], self.heights);
+        self.undo_next = (self.undo_next + 1) % UNDO_DEPTH;
+        self.undo_count = @min(self.undo_count + 1, UNDO_DEPTH);
+        return true;
+    }
+
+    /// Restore the heights from before the last stroke
+    /// Returns: false if there is nothing to undo
+    pub fn undo(self: *Terrain) bool {
+        if (self.undo_count == 0) return false;
+        const maps = self.undo_heights.?;
+
+        self.undo_next = (self.undo_next + UNDO_DEPTH - 1) % UNDO_DEPTH;
+        self.undo_count -= 1;
+        @memcpy(self.heights, maps[self.undo_next * MAP_SIZE ..][0..MAP_SIZE]);
+        self.classifyAll();
+        self.revision +%= 1;
+        return true;
+    }
+
+    /// Write the map to a snapshot
+    pub fn save(self: *const Terrain, writer: *snapshot.Writer) !void {
+        try writer.writeValue([9]f32, &self.offsets);
+        try writer.writeSlice(f32, self.heights);
+        try writer.writeSlice(TerrainType, self.biomes);
+        try writer.writeInt(self.revision);
+
+        try writer.writeInt(@intCast(self.undo_count));
+        try writer.writeInt(@intCast(self.undo_next));
+        if (self.undo_count > 0) try writer.writeSlice(f32, self.undo_heights.?);
+    }
+
+    /// Restore the map from a snapshot
+    pub fn load(self: *Terrain, reader: *snapshot.Reader) !void {
+        try reader.readValue([9]f32, &self.offsets);
+        try reader.readSlice(f32, self.heights);
+        try reader.readSlice(TerrainType, self.biomes);
+        for (self.biomes) |b| {
+            if (@intFromEnum(b) > @intFromEnum(TerrainType.ocean)) return error.InvalidData;
+        }
+        self.revision = try reader.readInt();
+
+        const undo_count = try reader.readInt();
+        const undo_next = try reader.readInt();
+        if (undo_count > UNDO_DEPTH or undo_next >= UNDO_DEPTH) return error.InvalidData;
+        if (undo_count > 0) {
+            const maps = self.undo_heights orelse try self.allocator.alloc(f32, UNDO_DEPTH * MAP_SIZE);
+            self.undo_heights = maps;
+            try reader.readSlice(f32, maps);
+        }
+        self.undo_count = undo_count;
+        self.undo_next = undo_next;
+    }
+};
+
+// Tests
+test "Terrain is seeded and has land and sea" {
+    var a = try Terrain.init(std.testing.allocator, 42);
+    defer a.deinit();
+    var b = try Terrain.init(std.testing.allocator, 42);
+    defer b.deinit();
+
+    try std.testing.expectEqualSlices(f32, a.heights, b.heights);
+
+    var land: usize = 0;
+    for (a.heights) |h| {
+        if (h > WATER_LEVEL) land += 1;
+    }
+    try std.testing.expect(land > 0 and land < MAP_SIZE);
+}
+
+test "Terrain samples agree with biomes and aliased flat positions" {
+    var t = try Terrain.init(std.testing.allocator, 7);
+    defer t.deinit();
+
+    // Longitude wraps every 100 units of x, so these are the same spot on the planet
+    try std.testing.expectApproxEqAbs(t.heightAt(-80, 30), t.heightAt(20, 30), 0.01);
+
+    var x: f32 = -100;
+    while (x < 100) : (x += 7) {
+        const water = t.isWater(x, 10);
+        try std.testing.expectEqual(water, t.biomeAt(x, 10) == .ocean);
+        try std.testing.expectEqual(water, t.movementFactor(x, 10) == 0);
+    }
+
+    const spot = t.nearestLand(0, 0, 100).?;
+    try std.testing.expect(t.isLand(spot.x, spot.z));
+}
+
+test "Terrain sculpting reshapes the coast and can be undone" {
+    var t = try Terrain.init(std.testing.allocator, 42);
+    defer t.deinit();
+
+    const spot = t.nearestLand(0, 30, 100).?;
+    const before = t.heightAt(spot.x, spot.z);
+    const revision = t.revision;
+
+    try std.testing.expect(t.beginStroke());
+    try std.testing.expect(t.sculpt(.flood, spot.x, spot.z, 6, 1));
+    for (0..8) |_| _ = t.sculpt(.flood, spot.x, spot.z, 6, 1);
+    try std.testing.expect(t.isWater(spot.x, spot.z));
+    try std.testing.expectEqual(TerrainType.ocean, t.biomeAt(spot.x, spot.z));
+    try std.testing.expect(t.revision != revision);
+
+    try std.testing.expect(t.beginStroke());
+    try std.testing.expect(t.sculpt(.raise, spot.x, spot.z, 6, 20));
+    try std.testing.expectEqual(MAX_HEIGHT, t.heights[Terrain.texelAt(spot.x, spot.z)]);
+
+    try std.testing.expect(t.undo());
+    try std.testing.expect(t.undo());
+    try std.testing.expect(!t.undo());
+    try std.testing.expectApproxEqAbs(before, t.heightAt(spot.x, spot.z), 0.0001);
+}
+
+test "Terrain undo history survives a snapshot" {
+    var t = try Terrain.init(std.testing.allocator, 42);
+    defer t.deinit();
+
+    const spot = t.nearestLand(0, 30, 100).?;
+    const before = t.heightAt(spot.x, spot.z);
+    try std.testing.expect(t.beginStroke());
+    try std.testing.expect(t.sculpt(.raise, spot.x, spot.z, 6, 2));
+
+    const buffer = try std.testing.allocator.alloc(u8, 256 * 1024);
+    defer std.testing.allocator.free(buffer);
+    var writer = snapshot.Writer.init(buffer);
+    try t.save(&writer);
+
+    var restored = try Terrain.init(std.testing.allocator, 1);
+    defer restored.deinit();
+    var reader = snapshot.Reader.init(buffer[0..writer.pos]);
+    try restored.load(&reader);
+
+    try std.testing.expectEqual(@as(usize, 1), restored.undo_count);
+    try std.testing.expect(restored.undo());
+    try std.testing.expectApproxEqAbs(before, restored.heightAt(spot.x, spot.z), 0.0001);
+}
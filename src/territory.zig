@@ -25,6 +25,7 @@ pub const TerrainType = enum(u8) {
     desert = 5,     // Low resources
     fertile = 6,    // High food bonus
     tundra = 7,     // Cold, low resources
+    ocean = 8,      // Open water - can't be claimed or built on
 };
 
 /// Cell state
@@ -93,6 +94,12 @@ pub const TerritoryCell = struct {
                 cell.wood_yield = 0.2;
                 cell.stone_yield = 0.4;
             },
+            .ocean => {
+                cell.food_yield = 0;
+                cell.wood_yield = 0;
+                cell.stone_yield = 0;
+                cell.metal_yield = 0;
+            },
         }
 
         return cell;
@@ -163,6 +170,9 @@ pub const BorderConflict = struct {
 /// Maximum active border conflicts
 pub const MAX_CONFLICTS: usize = 32;
 
+/// Pressure a tribe adds to a border conflict each time it works the contested cell
+pub const CLAIM_PRESSURE: f32 = 1.0;
+
 /// Territory manager
 pub const TerritoryManager = struct {
     // Territory grid
@@ -175,58 +185,25 @@ pub const TerritoryManager = struct {
     // Statistics per tribe
     tribe_territory_count: [tribe.MAX_TRIBES]u32,
 
-    pub fn init(rng: *math.Rng) TerritoryManager {
-        var tm = TerritoryManager{
-            .cells = undefined,
+    /// All cells start as plains until the world's terrain is applied (see setTerrain)
+    pub fn init() TerritoryManager {
+        return .{
+            .cells = [_]TerritoryCell{TerritoryCell.init(.plains)} ** TOTAL_CELLS,
             .conflicts = undefined,
             .conflict_count = 0,
             .tribe_territory_count = [_]u32{0} ** tribe.MAX_TRIBES,
         };
-
-        // Initialize cells with varied terrain
-        for (0..TOTAL_CELLS) |i| {
-            const x = i % GRID_WIDTH;
-            const z = i / GRID_WIDTH;
-
-            // Generate terrain based on position and randomness
-            const terrain = tm.generateTerrain(x, z, rng);
-            tm.cells[i] = TerritoryCell.init(terrain);
-        }
-
-        return tm;
     }
 
-    /// Generate terrain type for a cell
-    fn generateTerrain(self: *TerritoryManager, x: usize, z: usize, rng: *math.Rng) TerrainType {
-        _ = self;
-
-        // Convert to world coordinates (-100 to 100)
-        const world_x = @as(f32, @floatFromInt(x)) * CELL_SIZE - 100.0;
-        const world_z = @as(f32, @floatFromInt(z)) * CELL_SIZE - 100.0;
-
-        // Distance from center (for variety)
-        const dist_from_center = @sqrt(world_x * world_x + world_z * world_z);
-
-        // Edge tiles are more likely to be harsh terrain
-        if (dist_from_center > 80) {
-            if (rng.float() < 0.4) return .mountain;
-            if (rng.float() < 0.5) return .tundra;
-            if (rng.float() < 0.3) return .desert;
-        }
-
-        // River running through middle-ish
-        if (@abs(world_x) < 15 and rng.float() < 0.4) {
-            return .river;
-        }
-
-        // Random terrain distribution
-        const roll = rng.float();
-        if (roll < 0.35) return .plains;
-        if (roll < 0.55) return .forest;
-        if (roll < 0.70) return .fertile;
-        if (roll < 0.80) return .mountain;
-        if (roll < 0.90) return .coast;
-        return .desert;
+    /// Change a cell's terrain (and yields), keeping its owner and control
+    pub fn setTerrain(self: *TerritoryManager, idx: usize, terrain: TerrainType) void {
+        const old = self.cells[idx];
+        self.cells[idx] = TerritoryCell.init(terrain);
+        self.cells[idx].owner_tribe = old.owner_tribe;
+        self.cells[idx].control_strength = old.control_strength;
+        self.cells[idx].contested = old.contested;
+        self.cells[idx].contesting_tribe = old.contesting_tribe;
+        self.cells[idx].has_building = old.has_building;
     }
 
     /// Convert world position to cell index
@@ -273,10 +250,12 @@ pub const TerritoryManager = struct {
     pub fn claimTerritory(self: *TerritoryManager, x: f32, z: f32, tribe_id: u32) bool {
         const idx = worldToCell(x, z) orelse return false;
         const cell = &self.cells[idx];
+        if (cell.terrain == .ocean) return false;
 
         // Already owned by this tribe
         if (cell.owner_tribe == tribe_id) {
             cell.control_strength = @min(100, cell.control_strength + 5);
+            if (cell.contested) self.pushConflict(idx, tribe_id);
             return true;
         }
 
@@ -298,11 +277,34 @@ pub const TerritoryManager = struct {
 
             // Start border conflict
             self.startConflict(cell.owner_tribe, tribe_id, idx);
+        } else {
+            self.pushConflict(idx, tribe_id);
         }
 
         return false;
     }
 
+    /// Find the active conflict over a cell
+    fn findConflictAt(self: *TerritoryManager, cell_idx: usize) ?*BorderConflict {
+        const cell_x = cell_idx % GRID_WIDTH;
+        const cell_z = cell_idx / GRID_WIDTH;
+
+        for (self.conflicts[0..self.conflict_count]) |*c| {
+            if (c.active and c.cell_x == cell_x and c.cell_z == cell_z) return c;
+        }
+        return null;
+    }
+
+    /// Add border pressure for a tribe acting on a contested cell
+    fn pushConflict(self: *TerritoryManager, cell_idx: usize, tribe_id: u32) void {
+        const c = self.findConflictAt(cell_idx) orelse return;
+        if (c.tribe_a == tribe_id) {
+            c.addPressure(true, CLAIM_PRESSURE);
+        } else if (c.tribe_b == tribe_id) {
+            c.addPressure(false, CLAIM_PRESSURE);
+        }
+    }
+
     /// Start a border conflict
     fn startConflict(self: *TerritoryManager, defender: u32, attacker: u32, cell_idx: usize) void {
         if (self.conflict_count >= MAX_CONFLICTS) return;
@@ -355,11 +357,12 @@ pub const TerritoryManager = struct {
         self.conflict_count = write_idx;
 
         // Decay control strength over time for contested territories
-        for (&self.cells) |*cell| {
+        for (&self.cells, 0..) |*cell, idx| {
             if (cell.contested and cell.isOwned()) {
                 cell.control_strength -= 0.1;
                 if (cell.control_strength <= 0) {
-                    // Lost control
+                    // Lost control - the border conflict over it is settled too
+                    if (self.findConflictAt(idx)) |c| c.active = false;
                     const old_owner = cell.owner_tribe;
                     cell.owner_tribe = cell.contesting_tribe;
                     cell.contesting_tribe = 0xFFFFFFFF;
@@ -462,7 +465,7 @@ pub const TerritoryManager = struct {
     pub fn canExpandTo(self: *const TerritoryManager, tribe_id: u32, cell_idx: usize) bool {
         // Must be unclaimed or contested
         const cell = &self.cells[cell_idx];
-        if (cell.isOwnedBy(tribe_id)) return false;
+        if (cell.isOwnedBy(tribe_id) or cell.terrain == .ocean) return false;
 
         // Must be adjacent to owned territory
         var adjacent: [4]?usize = undefined;
@@ -551,6 +554,25 @@ pub const TerritoryManager = struct {
             map[i] = @intFromEnum(self.cells[i].terrain);
         }
     }
+
+    /// Get contesting tribe per cell as byte array (255 = uncontested)
+    pub fn getContestMap(self: *const TerritoryManager, map: *[TOTAL_CELLS]u8) void {
+        for (0..TOTAL_CELLS) |i| {
+            const cell = &self.cells[i];
+            if (!cell.contested or cell.contesting_tribe == 0xFFFFFFFF) {
+                map[i] = 255;
+            } else {
+                map[i] = @as(u8, @intCast(@min(254, cell.contesting_tribe)));
+            }
+        }
+    }
+
+    /// Get control strength per cell as byte array (0-100)
+    pub fn getControlMap(self: *const TerritoryManager, map: *[TOTAL_CELLS]u8) void {
+        for (0..TOTAL_CELLS) |i| {
+            map[i] = @as(u8, @intFromFloat(math.clamp(self.cells[i].control_strength, 0, 100)));
+        }
+    }
 };
 
 // Tests
@@ -570,8 +592,7 @@ test "Territory position conversion" {
 }
 
 test "Territory claiming" {
-    var rng = math.Rng.init(42);
-    var tm = TerritoryManager.init(&rng);
+    var tm = TerritoryManager.init();
 
     // Claim a cell
     try std.testing.expect(tm.claimTerritory(0, 0, 0));
@@ -586,8 +607,7 @@ test "Territory claiming" {
 }
 
 test "Territory yields" {
-    var rng = math.Rng.init(42);
-    var tm = TerritoryManager.init(&rng);
+    var tm = TerritoryManager.init();
 
     // Claim some cells
     _ = tm.claimTerritory(0, 0, 0);
@@ -597,3 +617,24 @@ test "Territory yields" {
     const yields = tm.getTotalYield(0);
     try std.testing.expect(yields.food > 0);
 }
+
+test "Territory maps report contested cells and border pressure" {
+    var tm = TerritoryManager.init();
+
+    _ = tm.claimTerritory(0, 0, 0);
+    _ = tm.claimTerritory(0, 0, 1);
+
+    const idx = TerritoryManager.worldToCell(0, 0).?;
+    var owners: [TOTAL_CELLS]u8 = undefined;
+    var contest: [TOTAL_CELLS]u8 = undefined;
+    tm.getTerritoryMap(&owners);
+    tm.getContestMap(&contest);
+    try std.testing.expectEqual(@as(u8, 0), owners[idx]);
+    try std.testing.expectEqual(@as(u8, 1), contest[idx]);
+    try std.testing.expectEqual(@as(u8, 255), contest[idx + 1]);
+
+    // The attacker keeps working the cell and gains the upper hand
+    _ = tm.claimTerritory(0, 0, 1);
+    try std.testing.expectEqual(@as(usize, 1), tm.getActiveConflictCount());
+    try std.testing.expect(tm.conflicts[0].strength_b > tm.conflicts[0].strength_a);
+}
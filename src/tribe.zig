@@ -84,7 +84,7 @@ pub const Tribe = struct {
     }
 
     pub fn addBuilding(self: *Tribe, building_id: u32) bool {
-        if (self.building_count >= 64) return false;
+        if (self.building_count >= self.building_ids.len) return false;
         self.building_ids[self.building_count] = building_id;
         self.building_count += 1;
         return true;